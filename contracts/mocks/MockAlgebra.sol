@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./MockConcentratedPool.sol";
+
+interface IAlgebraSwapCallback {
+    function algebraSwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) external;
+}
+
+// =============================================================================
+// POOL
+// =============================================================================
+
+/**
+ * @title MockAlgebraPool
+ * @notice Algebra V1 (Swapr) surface: globalState() with the fee in it,
+ *         tickTable(), a constant tick spacing of 60 with no getter
+ */
+contract MockAlgebraPool is MockConcentratedPool {
+    int24 private constant TICK_SPACING = 60;
+
+    uint16 public currentFee;
+
+    constructor(address _token0, address _token1, uint16 fee) MockConcentratedPool(_token0, _token1, TICK_SPACING) {
+        currentFee = fee;
+    }
+
+    function globalState() external view returns (
+        uint160 price,
+        int24 tick,
+        uint16 fee,
+        uint16 timepointIndex,
+        uint8 communityFeeToken0,
+        uint8 communityFeeToken1,
+        bool unlocked
+    ) {
+        return (_sqrtPriceX96, _tick, currentFee, 0, 0, 0, true);
+    }
+
+    function tickTable(int16 wordPos) external view returns (uint256) {
+        return _bitmapWord(wordPos);
+    }
+
+    /// @notice Stand-in for the adaptive fee (hundredths of a bip)
+    function setFee(uint16 fee) external {
+        currentFee = fee;
+    }
+
+    function _fee() internal view override returns (uint24) {
+        return currentFee;
+    }
+
+    function _swapCallback(int256 amount0, int256 amount1, bytes calldata data) internal override {
+        IAlgebraSwapCallback(msg.sender).algebraSwapCallback(amount0, amount1, data);
+    }
+}
+
+// =============================================================================
+// FACTORY
+// =============================================================================
+
+contract MockAlgebraFactory {
+    uint16 public constant DEFAULT_FEE = 3000;
+
+    mapping(address => mapping(address => address)) public poolByPair;
+
+    event Pool(address indexed token0, address indexed token1, address pool);
+
+    function createPool(address tokenA, address tokenB) external returns (address pool) {
+        require(tokenA != tokenB, "Identical tokens");
+        (address token0, address token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        require(poolByPair[token0][token1] == address(0), "Pool exists");
+
+        pool = address(new MockAlgebraPool(token0, token1, DEFAULT_FEE));
+        poolByPair[token0][token1] = pool;
+        poolByPair[token1][token0] = pool;
+        emit Pool(token0, token1, pool);
+    }
+}
+
+// =============================================================================
+// SWAP ROUTER
+// =============================================================================
+
+/**
+ * @title MockAlgebraSwapRouter
+ * @notice exactInputSingle of the Swapr router; the payer approves the router
+ */
+contract MockAlgebraSwapRouter is IAlgebraSwapCallback {
+    using SafeERC20 for IERC20;
+
+    struct ExactInputSingleParams {
+        address tokenIn;
+        address tokenOut;
+        address recipient;
+        uint256 deadline;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+        uint160 limitSqrtPrice;
+    }
+
+    MockAlgebraFactory public immutable factory;
+
+    constructor(MockAlgebraFactory _factory) {
+        factory = _factory;
+    }
+
+    function exactInputSingle(ExactInputSingleParams calldata params) external payable returns (uint256 amountOut) {
+        require(block.timestamp <= params.deadline, "Transaction too old");
+        address pool = factory.poolByPair(params.tokenIn, params.tokenOut);
+        require(pool != address(0), "Pool does not exist");
+
+        bool zeroToOne = params.tokenIn < params.tokenOut;
+        uint160 limit = params.limitSqrtPrice != 0
+            ? params.limitSqrtPrice
+            : (zeroToOne ? MockPoolMath.MIN_SQRT_RATIO + 1 : MockPoolMath.MAX_SQRT_RATIO - 1);
+
+        (int256 amount0, int256 amount1) = MockAlgebraPool(pool).swap(
+            params.recipient,
+            zeroToOne,
+            int256(params.amountIn),
+            limit,
+            abi.encode(params.tokenIn, params.tokenOut, msg.sender)
+        );
+        amountOut = uint256(-(zeroToOne ? amount1 : amount0));
+        require(amountOut >= params.amountOutMinimum, "Too little received");
+    }
+
+    function algebraSwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) external override {
+        require(amount0Delta > 0 || amount1Delta > 0, "Zero swap");
+        (address tokenIn, address tokenOut, address payer) = abi.decode(data, (address, address, address));
+        require(msg.sender == factory.poolByPair(tokenIn, tokenOut), "Invalid caller");
+
+        uint256 amountToPay = amount0Delta > 0 ? uint256(amount0Delta) : uint256(amount1Delta);
+        IERC20(tokenIn).safeTransferFrom(payer, msg.sender, amountToPay);
+    }
+}
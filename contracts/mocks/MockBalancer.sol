@@ -0,0 +1,230 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+// =============================================================================
+// BALANCER V3 VAULT (unlock / sendTo / settle)
+// =============================================================================
+
+/**
+ * @title MockBalancerV3Vault
+ * @notice The transient-accounting flash loan of the V3 vault: unlock() calls
+ *         back the caller, sendTo() takes debt, settle() credits what arrived
+ *         since the last sync, and every delta must be zero when the callback
+ *         returns.
+ * @dev Reserves sync on every sendTo/settle, so tokens minted straight to the
+ *      vault by a fixture count as lending liquidity.
+ */
+contract MockBalancerV3Vault {
+    using SafeERC20 for IERC20;
+
+    bool private _unlocked;
+    uint256 private _nonzeroDeltaCount;
+    mapping(IERC20 => int256) private _tokenDeltas;
+    mapping(IERC20 => uint256) private _reservesOf;
+
+    error VaultIsNotUnlocked();
+    error BalanceNotSettled();
+
+    modifier onlyWhenUnlocked() {
+        if (!_unlocked) revert VaultIsNotUnlocked();
+        _;
+    }
+
+    function unlock(bytes calldata data) external returns (bytes memory result) {
+        _unlocked = true;
+        result = Address.functionCall(msg.sender, data);
+        _unlocked = false;
+        if (_nonzeroDeltaCount != 0) revert BalanceNotSettled();
+    }
+
+    function sendTo(IERC20 token, address to, uint256 amount) external onlyWhenUnlocked {
+        _accountDelta(token, int256(amount));
+        token.safeTransfer(to, amount);
+        _reservesOf[token] = token.balanceOf(address(this));
+    }
+
+    function settle(IERC20 token, uint256 amountHint) external onlyWhenUnlocked returns (uint256 credit) {
+        uint256 reservesBefore = _reservesOf[token];
+        uint256 currentReserves = token.balanceOf(address(this));
+        _reservesOf[token] = currentReserves;
+        credit = currentReserves > reservesBefore ? currentReserves - reservesBefore : 0;
+        // Anything above the hint is kept by the vault, as on mainnet
+        if (credit > amountHint) credit = amountHint;
+        _accountDelta(token, -int256(credit));
+    }
+
+    function _accountDelta(IERC20 token, int256 delta) private {
+        if (delta == 0) return;
+        int256 current = _tokenDeltas[token];
+        int256 next = current + delta;
+        if (next == 0) {
+            _nonzeroDeltaCount--;
+        } else if (current == 0) {
+            _nonzeroDeltaCount++;
+        }
+        _tokenDeltas[token] = next;
+    }
+}
+
+// =============================================================================
+// BALANCER V2 VAULT (flashLoan / batchSwap)
+// =============================================================================
+
+interface IFlashLoanRecipient {
+    function receiveFlashLoan(
+        IERC20[] memory tokens,
+        uint256[] memory amounts,
+        uint256[] memory feeAmounts,
+        bytes memory userData
+    ) external;
+}
+
+/**
+ * @title MockBalancerV2Vault
+ * @notice Fee-free flashLoan with the V2 balance check, and GIVEN_IN batchSwap
+ *         over registered two-token constant-product pools (a stand-in for
+ *         the weighted and stable pools the Gnosis V4 spot leg routes through)
+ * @dev Reverts with the vault's BAL#nnn codes where the real vault would.
+ */
+contract MockBalancerV2Vault {
+    using SafeERC20 for IERC20;
+
+    enum SwapKind { GIVEN_IN, GIVEN_OUT }
+
+    struct BatchSwapStep {
+        bytes32 poolId;
+        uint256 assetInIndex;
+        uint256 assetOutIndex;
+        uint256 amount;
+        bytes userData;
+    }
+
+    struct FundManagement {
+        address sender;
+        bool fromInternalBalance;
+        address payable recipient;
+        bool toInternalBalance;
+    }
+
+    struct Pool {
+        address tokenA;
+        address tokenB;
+        uint256 balanceA;
+        uint256 balanceB;
+        uint256 swapFeePercentage;  // 1e18 = 100%
+    }
+
+    mapping(bytes32 => Pool) public pools;
+    bool private _entered;
+
+    event FlashLoan(IFlashLoanRecipient indexed recipient, IERC20 indexed token, uint256 amount, uint256 feeAmount);
+    event Swap(bytes32 indexed poolId, IERC20 indexed tokenIn, IERC20 indexed tokenOut, uint256 amountIn, uint256 amountOut);
+
+    modifier nonReentrant() {
+        require(!_entered, "BAL#400");
+        _entered = true;
+        _;
+        _entered = false;
+    }
+
+    /// @notice Register (or re-balance) a pool; the vault must hold the tokens
+    function setPool(bytes32 poolId, address tokenA, address tokenB, uint256 balanceA, uint256 balanceB, uint256 swapFeePercentage)
+        external
+    {
+        pools[poolId] = Pool(tokenA, tokenB, balanceA, balanceB, swapFeePercentage);
+    }
+
+    function flashLoan(
+        IFlashLoanRecipient recipient,
+        IERC20[] memory tokens,
+        uint256[] memory amounts,
+        bytes memory userData
+    ) external nonReentrant {
+        require(tokens.length == amounts.length, "BAL#103");
+        uint256[] memory feeAmounts = new uint256[](tokens.length);
+        uint256[] memory preLoanBalances = new uint256[](tokens.length);
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            require(i == 0 || address(tokens[i]) > address(tokens[i - 1]), "BAL#101");
+            preLoanBalances[i] = tokens[i].balanceOf(address(this));
+            require(preLoanBalances[i] >= amounts[i], "BAL#528");
+            tokens[i].safeTransfer(address(recipient), amounts[i]);
+        }
+
+        recipient.receiveFlashLoan(tokens, amounts, feeAmounts, userData);
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            require(tokens[i].balanceOf(address(this)) >= preLoanBalances[i], "BAL#515");
+            emit FlashLoan(recipient, tokens[i], amounts[i], 0);
+        }
+    }
+
+    function batchSwap(
+        SwapKind kind,
+        BatchSwapStep[] memory swaps,
+        address[] memory assets,
+        FundManagement memory funds,
+        int256[] memory limits,
+        uint256 deadline
+    ) external payable nonReentrant returns (int256[] memory assetDeltas) {
+        require(block.timestamp <= deadline, "BAL#508");
+        require(kind == SwapKind.GIVEN_IN, "GIVEN_OUT not supported by the mock");
+        require(assets.length == limits.length, "BAL#103");
+
+        assetDeltas = new int256[](assets.length);
+        uint256 previousAmountOut;
+        for (uint256 i = 0; i < swaps.length; i++) {
+            BatchSwapStep memory step = swaps[i];
+            require(step.assetInIndex < assets.length && step.assetOutIndex < assets.length, "BAL#100");
+            require(step.assetInIndex != step.assetOutIndex, "BAL#509");
+
+            uint256 amountIn = step.amount;
+            if (amountIn == 0) {
+                // Chained step: spends the previous step's output
+                require(i > 0, "BAL#510");
+                require(swaps[i - 1].assetOutIndex == step.assetInIndex, "BAL#511");
+                amountIn = previousAmountOut;
+            }
+
+            previousAmountOut = _swapGivenIn(step.poolId, assets[step.assetInIndex], assets[step.assetOutIndex], amountIn);
+            assetDeltas[step.assetInIndex] += int256(amountIn);
+            assetDeltas[step.assetOutIndex] -= int256(previousAmountOut);
+        }
+
+        for (uint256 i = 0; i < assets.length; i++) {
+            int256 delta = assetDeltas[i];
+            require(delta <= limits[i], "BAL#507");
+            if (delta > 0) {
+                IERC20(assets[i]).safeTransferFrom(funds.sender, address(this), uint256(delta));
+            } else if (delta < 0) {
+                IERC20(assets[i]).safeTransfer(funds.recipient, uint256(-delta));
+            }
+        }
+    }
+
+    function _swapGivenIn(bytes32 poolId, address tokenIn, address tokenOut, uint256 amountIn)
+        private returns (uint256 amountOut)
+    {
+        Pool storage pool = pools[poolId];
+        require(pool.tokenA != address(0), "BAL#500");
+        bool aToB = tokenIn == pool.tokenA && tokenOut == pool.tokenB;
+        require(aToB || (tokenIn == pool.tokenB && tokenOut == pool.tokenA), "BAL#521");
+
+        (uint256 balanceIn, uint256 balanceOut) = aToB ? (pool.balanceA, pool.balanceB) : (pool.balanceB, pool.balanceA);
+        uint256 amountInLessFee = amountIn - (amountIn * pool.swapFeePercentage) / 1e18;
+        amountOut = (balanceOut * amountInLessFee) / (balanceIn + amountInLessFee);
+
+        if (aToB) {
+            pool.balanceA += amountIn;
+            pool.balanceB -= amountOut;
+        } else {
+            pool.balanceB += amountIn;
+            pool.balanceA -= amountOut;
+        }
+        emit Swap(poolId, IERC20(tokenIn), IERC20(tokenOut), amountIn, amountOut);
+    }
+}
@@ -0,0 +1,464 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+// =============================================================================
+// POOL MATH (Uniswap V3 TickMath / SqrtPriceMath / SwapMath)
+// =============================================================================
+
+/**
+ * @title MockPoolMath
+ * @notice The Uniswap V3 swap math, rounding for rounding, so the mock pools
+ *         quote exactly what scripts/lib/clmm.js quotes for the same state.
+ * @dev getTickAtSqrtRatio is a binary search over getSqrtRatioAtTick rather
+ *      than the log2 bit-twiddling: same result, simpler to audit, more gas.
+ */
+library MockPoolMath {
+    int24 internal constant MIN_TICK = -887272;
+    int24 internal constant MAX_TICK = 887272;
+    uint160 internal constant MIN_SQRT_RATIO = 4295128739;
+    uint160 internal constant MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342;
+    uint256 internal constant FEE_DENOMINATOR = 1e6;
+    uint256 internal constant Q96 = 1 << 96;
+
+    function getSqrtRatioAtTick(int24 tick) internal pure returns (uint160) {
+        uint256 absTick = tick < 0 ? uint256(-int256(tick)) : uint256(int256(tick));
+        require(absTick <= uint256(int256(MAX_TICK)), "T");
+
+        uint256 ratio = absTick & 0x1 != 0 ? 0xfffcb933bd6fad37aa2d162d1a594001 : 0x100000000000000000000000000000000;
+        if (absTick & 0x2 != 0) ratio = (ratio * 0xfff97272373d413259a46990580e213a) >> 128;
+        if (absTick & 0x4 != 0) ratio = (ratio * 0xfff2e50f5f656932ef12357cf3c7fdcc) >> 128;
+        if (absTick & 0x8 != 0) ratio = (ratio * 0xffe5caca7e10e4e61c3624eaa0941cd0) >> 128;
+        if (absTick & 0x10 != 0) ratio = (ratio * 0xffcb9843d60f6159c9db58835c926644) >> 128;
+        if (absTick & 0x20 != 0) ratio = (ratio * 0xff973b41fa98c081472e6896dfb254c0) >> 128;
+        if (absTick & 0x40 != 0) ratio = (ratio * 0xff2ea16466c96a3843ec78b326b52861) >> 128;
+        if (absTick & 0x80 != 0) ratio = (ratio * 0xfe5dee046a99a2a811c461f1969c3053) >> 128;
+        if (absTick & 0x100 != 0) ratio = (ratio * 0xfcbe86c7900a88aedcffc83b479aa3a4) >> 128;
+        if (absTick & 0x200 != 0) ratio = (ratio * 0xf987a7253ac413176f2b074cf7815e54) >> 128;
+        if (absTick & 0x400 != 0) ratio = (ratio * 0xf3392b0822b70005940c7a398e4b70f3) >> 128;
+        if (absTick & 0x800 != 0) ratio = (ratio * 0xe7159475a2c29b7443b29c7fa6e889d9) >> 128;
+        if (absTick & 0x1000 != 0) ratio = (ratio * 0xd097f3bdfd2022b8845ad8f792aa5825) >> 128;
+        if (absTick & 0x2000 != 0) ratio = (ratio * 0xa9f746462d870fdf8a65dc1f90e061e5) >> 128;
+        if (absTick & 0x4000 != 0) ratio = (ratio * 0x70d869a156d2a1b890bb3df62baf32f7) >> 128;
+        if (absTick & 0x8000 != 0) ratio = (ratio * 0x31be135f97d08fd981231505542fcfa6) >> 128;
+        if (absTick & 0x10000 != 0) ratio = (ratio * 0x9aa508b5b7a84e1c677de54f3e99bc9) >> 128;
+        if (absTick & 0x20000 != 0) ratio = (ratio * 0x5d6af8dedb81196699c329225ee604) >> 128;
+        if (absTick & 0x40000 != 0) ratio = (ratio * 0x2216e584f5fa1ea926041bedfe98) >> 128;
+        if (absTick & 0x80000 != 0) ratio = (ratio * 0x48a170391f7dc42444e8fa2) >> 128;
+
+        if (tick > 0) ratio = type(uint256).max / ratio;
+        return uint160((ratio >> 32) + (ratio % (1 << 32) == 0 ? 0 : 1));
+    }
+
+    /// @dev Greatest tick whose sqrt ratio is <= sqrtPriceX96
+    function getTickAtSqrtRatio(uint160 sqrtPriceX96) internal pure returns (int24) {
+        require(sqrtPriceX96 >= MIN_SQRT_RATIO && sqrtPriceX96 < MAX_SQRT_RATIO, "R");
+        int24 low = MIN_TICK;
+        int24 high = MAX_TICK;
+        while (low < high) {
+            int24 mid = int24((int256(low) + int256(high) + 1) >> 1);
+            if (getSqrtRatioAtTick(mid) <= sqrtPriceX96) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    function divRoundingUp(uint256 x, uint256 y) internal pure returns (uint256) {
+        return x / y + (x % y > 0 ? 1 : 0);
+    }
+
+    function getNextSqrtPriceFromAmount0RoundingUp(uint160 sqrtP, uint128 liquidity, uint256 amount, bool add)
+        internal pure returns (uint160)
+    {
+        if (amount == 0) return sqrtP;
+        uint256 numerator1 = uint256(liquidity) << 96;
+        uint256 product;
+        unchecked {
+            product = amount * sqrtP;
+        }
+        bool productFits = product / amount == sqrtP;
+
+        if (add) {
+            // Same fallback as Uniswap when the product overflows
+            if (productFits && numerator1 + product >= numerator1) {
+                return uint160(Math.mulDiv(numerator1, sqrtP, numerator1 + product, Math.Rounding.Ceil));
+            }
+            return uint160(divRoundingUp(numerator1, numerator1 / sqrtP + amount));
+        }
+        require(productFits && numerator1 > product, "SqrtPriceMath: insufficient liquidity");
+        return uint160(Math.mulDiv(numerator1, sqrtP, numerator1 - product, Math.Rounding.Ceil));
+    }
+
+    function getNextSqrtPriceFromAmount1RoundingDown(uint160 sqrtP, uint128 liquidity, uint256 amount, bool add)
+        internal pure returns (uint160)
+    {
+        if (add) {
+            uint256 next = uint256(sqrtP) + Math.mulDiv(amount, Q96, liquidity);
+            require(next <= type(uint160).max, "SqrtPriceMath: price overflow");
+            return uint160(next);
+        }
+        uint256 quotient = Math.mulDiv(amount, Q96, liquidity, Math.Rounding.Ceil);
+        require(sqrtP > quotient, "SqrtPriceMath: insufficient liquidity");
+        return uint160(sqrtP - quotient);
+    }
+
+    function getAmount0Delta(uint160 sqrtA, uint160 sqrtB, uint128 liquidity, bool roundUp)
+        internal pure returns (uint256)
+    {
+        if (sqrtA > sqrtB) (sqrtA, sqrtB) = (sqrtB, sqrtA);
+        uint256 numerator1 = uint256(liquidity) << 96;
+        uint256 numerator2 = sqrtB - sqrtA;
+        return roundUp
+            ? divRoundingUp(Math.mulDiv(numerator1, numerator2, sqrtB, Math.Rounding.Ceil), sqrtA)
+            : Math.mulDiv(numerator1, numerator2, sqrtB) / sqrtA;
+    }
+
+    function getAmount1Delta(uint160 sqrtA, uint160 sqrtB, uint128 liquidity, bool roundUp)
+        internal pure returns (uint256)
+    {
+        if (sqrtA > sqrtB) (sqrtA, sqrtB) = (sqrtB, sqrtA);
+        return roundUp
+            ? Math.mulDiv(liquidity, sqrtB - sqrtA, Q96, Math.Rounding.Ceil)
+            : Math.mulDiv(liquidity, sqrtB - sqrtA, Q96);
+    }
+
+    /// @dev amountRemaining > 0 is exact input, < 0 exact output
+    function computeSwapStep(
+        uint160 sqrtCurrent,
+        uint160 sqrtTarget,
+        uint128 liquidity,
+        int256 amountRemaining,
+        uint24 feePips
+    ) internal pure returns (uint160 sqrtNext, uint256 amountIn, uint256 amountOut, uint256 feeAmount) {
+        bool zeroForOne = sqrtCurrent >= sqrtTarget;
+        bool exactIn = amountRemaining >= 0;
+
+        if (exactIn) {
+            uint256 remainingLessFee = Math.mulDiv(uint256(amountRemaining), FEE_DENOMINATOR - feePips, FEE_DENOMINATOR);
+            amountIn = zeroForOne
+                ? getAmount0Delta(sqrtTarget, sqrtCurrent, liquidity, true)
+                : getAmount1Delta(sqrtCurrent, sqrtTarget, liquidity, true);
+            if (remainingLessFee >= amountIn) {
+                sqrtNext = sqrtTarget;
+            } else {
+                sqrtNext = zeroForOne
+                    ? getNextSqrtPriceFromAmount0RoundingUp(sqrtCurrent, liquidity, remainingLessFee, true)
+                    : getNextSqrtPriceFromAmount1RoundingDown(sqrtCurrent, liquidity, remainingLessFee, true);
+            }
+        } else {
+            uint256 wanted = uint256(-amountRemaining);
+            amountOut = zeroForOne
+                ? getAmount1Delta(sqrtTarget, sqrtCurrent, liquidity, false)
+                : getAmount0Delta(sqrtCurrent, sqrtTarget, liquidity, false);
+            if (wanted >= amountOut) {
+                sqrtNext = sqrtTarget;
+            } else {
+                sqrtNext = zeroForOne
+                    ? getNextSqrtPriceFromAmount1RoundingDown(sqrtCurrent, liquidity, wanted, false)
+                    : getNextSqrtPriceFromAmount0RoundingUp(sqrtCurrent, liquidity, wanted, false);
+            }
+        }
+
+        bool max = sqrtTarget == sqrtNext;
+        if (zeroForOne) {
+            if (!(max && exactIn)) amountIn = getAmount0Delta(sqrtNext, sqrtCurrent, liquidity, true);
+            if (!(max && !exactIn)) amountOut = getAmount1Delta(sqrtNext, sqrtCurrent, liquidity, false);
+        } else {
+            if (!(max && exactIn)) amountIn = getAmount1Delta(sqrtCurrent, sqrtNext, liquidity, true);
+            if (!(max && !exactIn)) amountOut = getAmount0Delta(sqrtCurrent, sqrtNext, liquidity, false);
+        }
+        if (!exactIn && amountOut > uint256(-amountRemaining)) amountOut = uint256(-amountRemaining);
+
+        feeAmount = exactIn && sqrtNext != sqrtTarget
+            ? uint256(amountRemaining) - amountIn
+            : Math.mulDiv(amountIn, feePips, FEE_DENOMINATOR - feePips, Math.Rounding.Ceil);
+    }
+}
+
+// =============================================================================
+// SINGLE-POSITION CONCENTRATED LIQUIDITY POOL
+// =============================================================================
+
+/**
+ * @title MockConcentratedPool
+ * @notice One liquidity position [positionLower, positionUpper) and the real
+ *         swap loop over it: ticks and the tick bitmap are derived from the
+ *         position, so off-chain models that walk the bitmap see a real pool.
+ * @dev No fee growth, oracle or LP accounting. setPrice / setPosition are open
+ *      so tests and sandbox scenarios can move the market; the pool's token
+ *      balances are the fixture's job (scripts/lib/mock-protocols.js).
+ */
+abstract contract MockConcentratedPool {
+    using SafeERC20 for IERC20;
+
+    address public immutable token0;
+    address public immutable token1;
+    int24 internal immutable _spacing;
+
+    uint160 internal _sqrtPriceX96;
+    int24 internal _tick;
+    uint128 public liquidity;
+
+    int24 public positionLower;
+    int24 public positionUpper;
+    uint128 public positionLiquidity;
+
+    bool private _locked;
+
+    event Swap(
+        address indexed sender,
+        address indexed recipient,
+        int256 amount0,
+        int256 amount1,
+        uint160 sqrtPriceX96,
+        uint128 liquidity,
+        int24 tick
+    );
+
+    // Position changes, in the Uniswap V3 / Algebra layout the bots' triggers watch
+    event Mint(
+        address sender,
+        address indexed owner,
+        int24 indexed tickLower,
+        int24 indexed tickUpper,
+        uint128 amount,
+        uint256 amount0,
+        uint256 amount1
+    );
+    event Burn(
+        address indexed owner,
+        int24 indexed tickLower,
+        int24 indexed tickUpper,
+        uint128 amount,
+        uint256 amount0,
+        uint256 amount1
+    );
+
+    struct SwapState {
+        int256 remaining;
+        int256 calculated;
+        uint160 sqrtPriceX96;
+        int24 tick;
+        uint128 liquidity;
+        uint32 ticksCrossed;
+    }
+
+    constructor(address _token0, address _token1, int24 spacing) {
+        require(_token0 < _token1, "Tokens not sorted");
+        token0 = _token0;
+        token1 = _token1;
+        _spacing = spacing;
+    }
+
+    // ==========================================================================
+    // FIXTURE CONTROLS
+    // ==========================================================================
+
+    function initialize(uint160 sqrtPriceX96) external {
+        require(_sqrtPriceX96 == 0, "AI");
+        _setPrice(sqrtPriceX96);
+    }
+
+    /**
+     * @notice Jump the price without a trade (price shocks in tests and scenarios)
+     * @dev Emits a zero-amount Swap with the new state, as a real price move
+     *      would, so log watchers and replays see it
+     */
+    function setPrice(uint160 sqrtPriceX96) external {
+        _setPrice(sqrtPriceX96);
+        emit Swap(msg.sender, msg.sender, 0, 0, _sqrtPriceX96, liquidity, _tick);
+    }
+
+    /// @notice Replace the pool's single position (a Burn of the old one, a Mint of the new)
+    function setPosition(int24 lower, int24 upper, uint128 amount) external {
+        require(lower < upper, "TLU");
+        require(lower >= MockPoolMath.MIN_TICK && upper <= MockPoolMath.MAX_TICK, "TLM");
+        require(lower % _spacing == 0 && upper % _spacing == 0, "TS");
+        if (positionLiquidity > 0) emit Burn(msg.sender, positionLower, positionUpper, positionLiquidity, 0, 0);
+        positionLower = lower;
+        positionUpper = upper;
+        positionLiquidity = amount;
+        _updateActiveLiquidity();
+        if (amount > 0) emit Mint(msg.sender, msg.sender, lower, upper, amount, 0, 0);
+    }
+
+    function _setPrice(uint160 sqrtPriceX96) internal {
+        _sqrtPriceX96 = sqrtPriceX96;
+        _tick = MockPoolMath.getTickAtSqrtRatio(sqrtPriceX96);
+        _updateActiveLiquidity();
+    }
+
+    function _updateActiveLiquidity() internal {
+        liquidity = _tick >= positionLower && _tick < positionUpper ? positionLiquidity : 0;
+    }
+
+    // ==========================================================================
+    // TICK VIEWS
+    // ==========================================================================
+
+    function ticks(int24 tick) external view returns (
+        uint128 liquidityGross,
+        int128 liquidityNet,
+        uint256 feeGrowthOutside0X128,
+        uint256 feeGrowthOutside1X128,
+        int56 tickCumulativeOutside,
+        uint160 secondsPerLiquidityOutsideX128,
+        uint32 secondsOutside,
+        bool initialized
+    ) {
+        liquidityNet = _liquidityNet(tick);
+        initialized = liquidityNet != 0;
+        liquidityGross = initialized ? positionLiquidity : 0;
+        return (liquidityGross, liquidityNet, 0, 0, 0, 0, 0, initialized);
+    }
+
+    function _liquidityNet(int24 tick) internal view returns (int128) {
+        if (positionLiquidity == 0) return 0;
+        if (tick == positionLower) return int128(positionLiquidity);
+        if (tick == positionUpper) return -int128(positionLiquidity);
+        return 0;
+    }
+
+    function _bitmapWord(int16 wordPos) internal view returns (uint256 word) {
+        if (positionLiquidity == 0) return 0;
+        (int16 lowerWord, uint8 lowerBit) = _position(positionLower / _spacing);
+        (int16 upperWord, uint8 upperBit) = _position(positionUpper / _spacing);
+        if (lowerWord == wordPos) word |= uint256(1) << lowerBit;
+        if (upperWord == wordPos) word |= uint256(1) << upperBit;
+    }
+
+    function _position(int24 compressed) private pure returns (int16 wordPos, uint8 bitPos) {
+        wordPos = int16(compressed >> 8);
+        bitPos = uint8(uint24(compressed & 0xff));
+    }
+
+    /// @dev TickBitmap.nextInitializedTickWithinOneWord
+    function _nextInitializedTick(int24 tick, bool lte) internal view returns (int24 next, bool initialized) {
+        int24 compressed = tick / _spacing;
+        if (tick < 0 && tick % _spacing != 0) compressed--;
+
+        if (lte) {
+            (int16 wordPos, uint8 bitPos) = _position(compressed);
+            uint256 mask = (uint256(1) << bitPos) - 1 + (uint256(1) << bitPos);
+            uint256 masked = _bitmapWord(wordPos) & mask;
+            initialized = masked != 0;
+            next = initialized
+                ? (compressed - int24(uint24(bitPos - uint8(Math.log2(masked))))) * _spacing
+                : (compressed - int24(uint24(bitPos))) * _spacing;
+        } else {
+            (int16 wordPos, uint8 bitPos) = _position(compressed + 1);
+            uint256 mask = ~((uint256(1) << bitPos) - 1);
+            uint256 masked = _bitmapWord(wordPos) & mask;
+            initialized = masked != 0;
+            next = initialized
+                ? (compressed + 1 + int24(uint24(uint8(Math.log2(masked & (~masked + 1))) - bitPos))) * _spacing
+                : (compressed + 1 + int24(uint24(type(uint8).max - bitPos))) * _spacing;
+        }
+    }
+
+    // ==========================================================================
+    // SWAP
+    // ==========================================================================
+
+    /// @notice What swap() would do now, without moving tokens (mock-only)
+    function quote(bool zeroForOne, int256 amountSpecified, uint160 sqrtPriceLimitX96)
+        external view returns (int256 amount0, int256 amount1, uint160 sqrtPriceX96After, uint32 ticksCrossed)
+    {
+        SwapState memory s;
+        (amount0, amount1, s) = _simulate(zeroForOne, amountSpecified, sqrtPriceLimitX96);
+        return (amount0, amount1, s.sqrtPriceX96, s.ticksCrossed);
+    }
+
+    function swap(
+        address recipient,
+        bool zeroForOne,
+        int256 amountSpecified,
+        uint160 sqrtPriceLimitX96,
+        bytes calldata data
+    ) external returns (int256 amount0, int256 amount1) {
+        require(!_locked, "LOK");
+        require(amountSpecified != 0, "AS");
+        SwapState memory s;
+        (amount0, amount1, s) = _simulate(zeroForOne, amountSpecified, sqrtPriceLimitX96);
+
+        _sqrtPriceX96 = s.sqrtPriceX96;
+        _tick = s.tick;
+        liquidity = s.liquidity;
+
+        _locked = true;
+        if (zeroForOne) {
+            if (amount1 < 0) IERC20(token1).safeTransfer(recipient, uint256(-amount1));
+            uint256 balanceBefore = IERC20(token0).balanceOf(address(this));
+            _swapCallback(amount0, amount1, data);
+            require(balanceBefore + uint256(amount0) <= IERC20(token0).balanceOf(address(this)), "IIA");
+        } else {
+            if (amount0 < 0) IERC20(token0).safeTransfer(recipient, uint256(-amount0));
+            uint256 balanceBefore = IERC20(token1).balanceOf(address(this));
+            _swapCallback(amount0, amount1, data);
+            require(balanceBefore + uint256(amount1) <= IERC20(token1).balanceOf(address(this)), "IIA");
+        }
+        _locked = false;
+
+        emit Swap(msg.sender, recipient, amount0, amount1, s.sqrtPriceX96, s.liquidity, s.tick);
+    }
+
+    function _simulate(bool zeroForOne, int256 amountSpecified, uint160 limit)
+        internal view returns (int256 amount0, int256 amount1, SwapState memory s)
+    {
+        uint160 price = _sqrtPriceX96;
+        require(
+            zeroForOne
+                ? limit < price && limit > MockPoolMath.MIN_SQRT_RATIO
+                : limit > price && limit < MockPoolMath.MAX_SQRT_RATIO,
+            "SPL"
+        );
+        bool exactIn = amountSpecified > 0;
+        uint24 feePips = _fee();
+        s = SwapState(amountSpecified, 0, price, _tick, liquidity, 0);
+
+        while (s.remaining != 0 && s.sqrtPriceX96 != limit) {
+            uint160 start = s.sqrtPriceX96;
+            (int24 tickNext, bool initialized) = _nextInitializedTick(s.tick, zeroForOne);
+            if (tickNext < MockPoolMath.MIN_TICK) tickNext = MockPoolMath.MIN_TICK;
+            if (tickNext > MockPoolMath.MAX_TICK) tickNext = MockPoolMath.MAX_TICK;
+            uint160 sqrtNext = MockPoolMath.getSqrtRatioAtTick(tickNext);
+            uint160 target = (zeroForOne ? sqrtNext < limit : sqrtNext > limit) ? limit : sqrtNext;
+
+            (uint160 sqrtAfter, uint256 stepIn, uint256 stepOut, uint256 stepFee) =
+                MockPoolMath.computeSwapStep(s.sqrtPriceX96, target, s.liquidity, s.remaining, feePips);
+            s.sqrtPriceX96 = sqrtAfter;
+            if (exactIn) {
+                s.remaining -= int256(stepIn + stepFee);
+                s.calculated -= int256(stepOut);
+            } else {
+                s.remaining += int256(stepOut);
+                s.calculated += int256(stepIn + stepFee);
+            }
+
+            if (sqrtAfter == sqrtNext) {
+                if (initialized) {
+                    int128 net = _liquidityNet(tickNext);
+                    if (zeroForOne) net = -net;
+                    s.liquidity = net < 0 ? s.liquidity - uint128(-net) : s.liquidity + uint128(net);
+                    s.ticksCrossed++;
+                }
+                s.tick = zeroForOne ? tickNext - 1 : tickNext;
+            } else if (sqrtAfter != start) {
+                s.tick = MockPoolMath.getTickAtSqrtRatio(sqrtAfter);
+            }
+        }
+
+        int256 consumed = amountSpecified - s.remaining;
+        (amount0, amount1) = zeroForOne == exactIn ? (consumed, s.calculated) : (s.calculated, consumed);
+    }
+
+    function _fee() internal view virtual returns (uint24);
+
+    function _swapCallback(int256 amount0, int256 amount1, bytes calldata data) internal virtual;
+}
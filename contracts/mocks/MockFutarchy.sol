@@ -0,0 +1,88 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./MockERC20.sol";
+
+// =============================================================================
+// PROPOSAL
+// =============================================================================
+
+/**
+ * @title MockFutarchyProposal
+ * @notice Two collaterals and their wrapped YES/NO outcome tokens, in the
+ *         order of the real proposals: 0 YES col1, 1 NO col1, 2 YES col2, 3 NO col2
+ */
+contract MockFutarchyProposal {
+    IERC20 public immutable collateralToken1;
+    IERC20 public immutable collateralToken2;
+
+    IERC20 private immutable _yes1;
+    IERC20 private immutable _no1;
+    IERC20 private immutable _yes2;
+    IERC20 private immutable _no2;
+
+    constructor(IERC20 collateral1, IERC20 collateral2, IERC20[4] memory outcomes) {
+        collateralToken1 = collateral1;
+        collateralToken2 = collateral2;
+        _yes1 = outcomes[0];
+        _no1 = outcomes[1];
+        _yes2 = outcomes[2];
+        _no2 = outcomes[3];
+    }
+
+    function wrappedOutcome(uint256 index) external view returns (IERC20 wrapped1155, bytes memory data) {
+        if (index == 0) return (_yes1, "");
+        if (index == 1) return (_no1, "");
+        if (index == 2) return (_yes2, "");
+        if (index == 3) return (_no2, "");
+        revert("Invalid outcome index");
+    }
+}
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+/**
+ * @title MockFutarchyRouter
+ * @notice split: collateral in, one YES and one NO out per unit.
+ *         merge: one YES and one NO in (pulled with transferFrom), collateral out.
+ * @dev Outcome tokens must be MockERC20s; the router mints and burns them.
+ */
+contract MockFutarchyRouter {
+    using SafeERC20 for IERC20;
+
+    function splitPosition(address proposal, address collateralToken, uint256 amount) external {
+        (MockERC20 yes, MockERC20 no) = _outcomes(proposal, collateralToken);
+        IERC20(collateralToken).safeTransferFrom(msg.sender, address(this), amount);
+        yes.mint(msg.sender, amount);
+        no.mint(msg.sender, amount);
+    }
+
+    function mergePositions(address proposal, address collateralToken, uint256 amount) external {
+        (MockERC20 yes, MockERC20 no) = _outcomes(proposal, collateralToken);
+        IERC20(address(yes)).safeTransferFrom(msg.sender, address(this), amount);
+        IERC20(address(no)).safeTransferFrom(msg.sender, address(this), amount);
+        yes.burn(amount);
+        no.burn(amount);
+        IERC20(collateralToken).safeTransfer(msg.sender, amount);
+    }
+
+    function _outcomes(address proposal, address collateralToken) internal view returns (MockERC20 yes, MockERC20 no) {
+        MockFutarchyProposal p = MockFutarchyProposal(proposal);
+        uint256 first;
+        if (collateralToken == address(p.collateralToken1())) {
+            first = 0;
+        } else if (collateralToken == address(p.collateralToken2())) {
+            first = 2;
+        } else {
+            revert("Not a collateral of the proposal");
+        }
+        (IERC20 yesToken,) = p.wrappedOutcome(first);
+        (IERC20 noToken,) = p.wrappedOutcome(first + 1);
+        yes = MockERC20(address(yesToken));
+        no = MockERC20(address(noToken));
+    }
+}
@@ -0,0 +1,126 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+// =============================================================================
+// UNISWAP V2 PAIR (DXswap / Honeyswap)
+// =============================================================================
+
+/**
+ * @title MockUniswapV2Pair
+ * @notice Constant-product pair with a configurable fee, for the PNK spot route
+ * @dev swapFeeBps is out of 10000: 25 for DXswap, 30 for Honeyswap. No LP
+ *      shares or flash swaps; a fixture funds the pair and calls sync().
+ */
+contract MockUniswapV2Pair {
+    using SafeERC20 for IERC20;
+
+    address public immutable token0;
+    address public immutable token1;
+    uint256 public immutable swapFeeBps;
+
+    uint112 private _reserve0;
+    uint112 private _reserve1;
+    uint32 private _blockTimestampLast;
+
+    event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to);
+    event Sync(uint112 reserve0, uint112 reserve1);
+
+    constructor(address tokenA, address tokenB, uint256 _swapFeeBps) {
+        (token0, token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        swapFeeBps = _swapFeeBps;
+    }
+
+    function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast) {
+        return (_reserve0, _reserve1, _blockTimestampLast);
+    }
+
+    function sync() external {
+        _update(IERC20(token0).balanceOf(address(this)), IERC20(token1).balanceOf(address(this)));
+    }
+
+    function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes calldata) external {
+        require(amount0Out > 0 || amount1Out > 0, "UniswapV2: INSUFFICIENT_OUTPUT_AMOUNT");
+        require(amount0Out < _reserve0 && amount1Out < _reserve1, "UniswapV2: INSUFFICIENT_LIQUIDITY");
+
+        if (amount0Out > 0) IERC20(token0).safeTransfer(to, amount0Out);
+        if (amount1Out > 0) IERC20(token1).safeTransfer(to, amount1Out);
+        uint256 balance0 = IERC20(token0).balanceOf(address(this));
+        uint256 balance1 = IERC20(token1).balanceOf(address(this));
+
+        uint256 amount0In = balance0 > _reserve0 - amount0Out ? balance0 - (_reserve0 - amount0Out) : 0;
+        uint256 amount1In = balance1 > _reserve1 - amount1Out ? balance1 - (_reserve1 - amount1Out) : 0;
+        require(amount0In > 0 || amount1In > 0, "UniswapV2: INSUFFICIENT_INPUT_AMOUNT");
+
+        uint256 balance0Adjusted = balance0 * 10000 - amount0In * swapFeeBps;
+        uint256 balance1Adjusted = balance1 * 10000 - amount1In * swapFeeBps;
+        require(
+            balance0Adjusted * balance1Adjusted >= uint256(_reserve0) * uint256(_reserve1) * 10000 ** 2,
+            "UniswapV2: K"
+        );
+
+        _update(balance0, balance1);
+        emit Swap(msg.sender, amount0In, amount1In, amount0Out, amount1Out, to);
+    }
+
+    function _update(uint256 balance0, uint256 balance1) private {
+        require(balance0 <= type(uint112).max && balance1 <= type(uint112).max, "UniswapV2: OVERFLOW");
+        _reserve0 = uint112(balance0);
+        _reserve1 = uint112(balance1);
+        _blockTimestampLast = uint32(block.timestamp);
+        emit Sync(_reserve0, _reserve1);
+    }
+}
+
+// =============================================================================
+// SAVINGS DAI (ERC4626)
+// =============================================================================
+
+/**
+ * @title MockSavingsDai
+ * @notice Plain ERC4626 over WXDAI; donating assets to it raises the rate
+ */
+contract MockSavingsDai is ERC4626 {
+    constructor(IERC20 asset_) ERC20("Savings xDAI", "sDAI") ERC4626(asset_) {}
+}
+
+// =============================================================================
+// SKY USDS PSM WRAPPER
+// =============================================================================
+
+/**
+ * @title MockUsdsPsmWrapper
+ * @notice 1:1 USDS <-> gem (USDC) at zero fees, from reserves the fixture mints
+ */
+contract MockUsdsPsmWrapper {
+    using SafeERC20 for IERC20;
+
+    IERC20 public immutable usds;
+    IERC20 public immutable gem;
+    uint256 public immutable to18ConversionFactor;
+
+    uint256 public constant tin = 0;
+    uint256 public constant tout = 0;
+
+    constructor(IERC20 _usds, IERC20 _gem, uint8 gemDecimals) {
+        usds = _usds;
+        gem = _gem;
+        to18ConversionFactor = 10 ** (18 - gemDecimals);
+    }
+
+    function sellGem(address usr, uint256 gemAmt) external returns (uint256 usdsOutWad) {
+        usdsOutWad = gemAmt * to18ConversionFactor;
+        gem.safeTransferFrom(msg.sender, address(this), gemAmt);
+        usds.safeTransfer(usr, usdsOutWad);
+    }
+
+    function buyGem(address usr, uint256 gemAmt) external returns (uint256 usdsInWad) {
+        usdsInWad = gemAmt * to18ConversionFactor;
+        usds.safeTransferFrom(msg.sender, address(this), usdsInWad);
+        gem.safeTransfer(usr, gemAmt);
+    }
+}
@@ -0,0 +1,273 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./MockConcentratedPool.sol";
+
+interface IUniswapV3SwapCallback {
+    function uniswapV3SwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) external;
+}
+
+// =============================================================================
+// POOL
+// =============================================================================
+
+contract MockUniswapV3Pool is MockConcentratedPool {
+    uint24 public immutable fee;
+    int24 public immutable tickSpacing;
+
+    constructor(address _token0, address _token1, uint24 _fee, int24 _tickSpacing)
+        MockConcentratedPool(_token0, _token1, _tickSpacing)
+    {
+        fee = _fee;
+        tickSpacing = _tickSpacing;
+    }
+
+    function slot0() external view returns (
+        uint160 sqrtPriceX96,
+        int24 tick,
+        uint16 observationIndex,
+        uint16 observationCardinality,
+        uint16 observationCardinalityNext,
+        uint8 feeProtocol,
+        bool unlocked
+    ) {
+        return (_sqrtPriceX96, _tick, 0, 1, 1, 0, true);
+    }
+
+    function tickBitmap(int16 wordPos) external view returns (uint256) {
+        return _bitmapWord(wordPos);
+    }
+
+    function _fee() internal view override returns (uint24) {
+        return fee;
+    }
+
+    function _swapCallback(int256 amount0, int256 amount1, bytes calldata data) internal override {
+        IUniswapV3SwapCallback(msg.sender).uniswapV3SwapCallback(amount0, amount1, data);
+    }
+}
+
+// =============================================================================
+// FACTORY
+// =============================================================================
+
+contract MockUniswapV3Factory {
+    mapping(uint24 => int24) public feeAmountTickSpacing;
+    mapping(address => mapping(address => mapping(uint24 => address))) public getPool;
+
+    event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, int24 tickSpacing, address pool);
+
+    constructor() {
+        feeAmountTickSpacing[100] = 1;
+        feeAmountTickSpacing[500] = 10;
+        feeAmountTickSpacing[3000] = 60;
+        feeAmountTickSpacing[10000] = 200;
+    }
+
+    function createPool(address tokenA, address tokenB, uint24 fee) external returns (address pool) {
+        require(tokenA != tokenB, "Identical tokens");
+        (address token0, address token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        int24 tickSpacing = feeAmountTickSpacing[fee];
+        require(tickSpacing != 0, "Fee not enabled");
+        require(getPool[token0][token1][fee] == address(0), "Pool exists");
+
+        pool = address(new MockUniswapV3Pool(token0, token1, fee, tickSpacing));
+        getPool[token0][token1][fee] = pool;
+        getPool[token1][token0][fee] = pool;
+        emit PoolCreated(token0, token1, fee, tickSpacing, pool);
+    }
+}
+
+// =============================================================================
+// PERMIT2 (allowance transfers only)
+// =============================================================================
+
+contract MockPermit2 {
+    using SafeERC20 for IERC20;
+
+    struct PackedAllowance {
+        uint160 amount;
+        uint48 expiration;
+        uint48 nonce;
+    }
+
+    /// @dev owner => token => spender
+    mapping(address => mapping(address => mapping(address => PackedAllowance))) public allowance;
+
+    error AllowanceExpired(uint256 deadline);
+    error InsufficientAllowance(uint256 amount);
+
+    event Approval(address indexed owner, address indexed token, address indexed spender, uint160 amount, uint48 expiration);
+
+    function approve(address token, address spender, uint160 amount, uint48 expiration) external {
+        PackedAllowance storage allowed = allowance[msg.sender][token][spender];
+        allowed.amount = amount;
+        allowed.expiration = expiration == 0 ? uint48(block.timestamp) : expiration;
+        emit Approval(msg.sender, token, spender, amount, expiration);
+    }
+
+    function transferFrom(address from, address to, uint160 amount, address token) external {
+        PackedAllowance storage allowed = allowance[from][token][msg.sender];
+        if (block.timestamp > allowed.expiration) revert AllowanceExpired(allowed.expiration);
+        if (allowed.amount != type(uint160).max) {
+            if (amount > allowed.amount) revert InsufficientAllowance(allowed.amount);
+            allowed.amount -= amount;
+        }
+        IERC20(token).safeTransferFrom(from, to, amount);
+    }
+}
+
+// =============================================================================
+// UNIVERSAL ROUTER (V3_SWAP_EXACT_IN only)
+// =============================================================================
+
+/**
+ * @title MockUniversalRouter
+ * @notice execute() with V3_SWAP_EXACT_IN (0x00) commands over multi-hop
+ *         paths; payerIsUser pulls through Permit2 like the real router
+ */
+contract MockUniversalRouter is IUniswapV3SwapCallback {
+    using SafeERC20 for IERC20;
+
+    uint256 private constant V3_SWAP_EXACT_IN = 0x00;
+    uint256 private constant COMMAND_TYPE_MASK = 0x3f;
+    address private constant MSG_SENDER = address(1);
+    address private constant ADDRESS_THIS = address(2);
+    uint256 private constant HOP_LENGTH = 23;       // token + fee
+    uint256 private constant POOL_KEY_LENGTH = 43;  // token + fee + token
+
+    MockUniswapV3Factory public immutable factory;
+    MockPermit2 public immutable permit2;
+
+    error LengthMismatch();
+    error TransactionDeadlinePassed();
+    error InvalidCommandType(uint256 commandType);
+    error V3TooLittleReceived();
+    error V3InvalidSwap();
+    error V3InvalidCaller();
+
+    constructor(MockUniswapV3Factory _factory, MockPermit2 _permit2) {
+        factory = _factory;
+        permit2 = _permit2;
+    }
+
+    function execute(bytes calldata commands, bytes[] calldata inputs, uint256 deadline) external payable {
+        if (block.timestamp > deadline) revert TransactionDeadlinePassed();
+        if (commands.length != inputs.length) revert LengthMismatch();
+
+        for (uint256 i = 0; i < commands.length; i++) {
+            uint256 command = uint8(commands[i]) & COMMAND_TYPE_MASK;
+            if (command != V3_SWAP_EXACT_IN) revert InvalidCommandType(command);
+
+            _v3SwapExactInput(inputs[i]);
+        }
+    }
+
+    function _v3SwapExactInput(bytes calldata input) private {
+        (address recipient, uint256 amountIn, uint256 amountOutMin, bytes memory path, bool payerIsUser) =
+            abi.decode(input, (address, uint256, uint256, bytes, bool));
+        if (recipient == MSG_SENDER) recipient = msg.sender;
+        else if (recipient == ADDRESS_THIS) recipient = address(this);
+
+        address payer = payerIsUser ? msg.sender : address(this);
+        uint256 amountOut;
+        while (true) {
+            if (path.length < POOL_KEY_LENGTH) revert V3InvalidSwap();
+            bool hasMultiplePools = path.length >= POOL_KEY_LENGTH + HOP_LENGTH;
+            (address tokenIn, uint24 fee, address tokenOut) = _firstPool(path);
+
+            amountOut = _swap(tokenIn, tokenOut, fee, amountIn, hasMultiplePools ? address(this) : recipient, payer);
+            if (!hasMultiplePools) break;
+
+            amountIn = amountOut;
+            payer = address(this);
+            path = _skipToken(path);
+        }
+        if (amountOut < amountOutMin) revert V3TooLittleReceived();
+    }
+
+    function uniswapV3SwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) external override {
+        if (amount0Delta <= 0 && amount1Delta <= 0) revert V3InvalidSwap();
+        (address tokenIn, address tokenOut, uint24 fee, address payer) =
+            abi.decode(data, (address, address, uint24, address));
+        if (msg.sender != factory.getPool(tokenIn, tokenOut, fee)) revert V3InvalidCaller();
+
+        uint256 amountToPay = amount0Delta > 0 ? uint256(amount0Delta) : uint256(amount1Delta);
+        if (payer == address(this)) {
+            IERC20(tokenIn).safeTransfer(msg.sender, amountToPay);
+        } else {
+            permit2.transferFrom(payer, msg.sender, uint160(amountToPay), tokenIn);
+        }
+    }
+
+    function _swap(address tokenIn, address tokenOut, uint24 fee, uint256 amountIn, address recipient, address payer)
+        private returns (uint256 amountOut)
+    {
+        address pool = factory.getPool(tokenIn, tokenOut, fee);
+        if (pool == address(0)) revert V3InvalidSwap();
+        bool zeroForOne = tokenIn < tokenOut;
+        (int256 amount0, int256 amount1) = MockUniswapV3Pool(pool).swap(
+            recipient,
+            zeroForOne,
+            int256(amountIn),
+            zeroForOne ? MockPoolMath.MIN_SQRT_RATIO + 1 : MockPoolMath.MAX_SQRT_RATIO - 1,
+            abi.encode(tokenIn, tokenOut, fee, payer)
+        );
+        amountOut = uint256(-(zeroForOne ? amount1 : amount0));
+    }
+
+    function _firstPool(bytes memory path) private pure returns (address tokenIn, uint24 fee, address tokenOut) {
+        assembly {
+            tokenIn := shr(96, mload(add(path, 32)))
+            fee := shr(232, mload(add(path, 52)))
+            tokenOut := shr(96, mload(add(path, 55)))
+        }
+    }
+
+    function _skipToken(bytes memory path) private pure returns (bytes memory rest) {
+        rest = new bytes(path.length - HOP_LENGTH);
+        for (uint256 i = 0; i < rest.length; i++) {
+            rest[i] = path[i + HOP_LENGTH];
+        }
+    }
+}
+
+// =============================================================================
+// QUOTER V2
+// =============================================================================
+
+contract MockQuoterV2 {
+    struct QuoteExactInputSingleParams {
+        address tokenIn;
+        address tokenOut;
+        uint256 amountIn;
+        uint24 fee;
+        uint160 sqrtPriceLimitX96;
+    }
+
+    MockUniswapV3Factory public immutable factory;
+
+    constructor(MockUniswapV3Factory _factory) {
+        factory = _factory;
+    }
+
+    function quoteExactInputSingle(QuoteExactInputSingleParams memory params)
+        public returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)
+    {
+        address pool = factory.getPool(params.tokenIn, params.tokenOut, params.fee);
+        require(pool != address(0), "Pool does not exist");
+        bool zeroForOne = params.tokenIn < params.tokenOut;
+        uint160 limit = params.sqrtPriceLimitX96 != 0
+            ? params.sqrtPriceLimitX96
+            : (zeroForOne ? MockPoolMath.MIN_SQRT_RATIO + 1 : MockPoolMath.MAX_SQRT_RATIO - 1);
+
+        int256 amount0;
+        int256 amount1;
+        (amount0, amount1, sqrtPriceX96After, initializedTicksCrossed) =
+            MockUniswapV3Pool(pool).quote(zeroForOne, int256(params.amountIn), limit);
+        amountOut = uint256(-(zeroForOne ? amount1 : amount0));
+        gasEstimate = 0;
+    }
+}
@@ -2,6 +2,10 @@ require("@nomicfoundation/hardhat-ethers");
 require("@nomicfoundation/hardhat-verify");
 require("dotenv").config();
 
+// The in-process network forks only when an RPC is configured: a plain
+// `npm test` runs offline on an empty chain (the suite deploys mocks).
+const FORK_URL = process.env.FORK_RPC || process.env.RPC_URL;
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
     solidity: {
@@ -16,10 +20,10 @@ module.exports = {
     },
     networks: {
         hardhat: {
-            forking: {
-                url: process.env.RPC_URL || "https://rpc.gnosischain.com",
+            forking: FORK_URL ? {
+                url: FORK_URL,
                 enabled: true
-            }
+            } : undefined
         },
         gnosis: {
             url: process.env.GNOSIS_RPC_URL || "https://rpc.gnosischain.com",
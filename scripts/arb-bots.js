@@ -0,0 +1,27 @@
+/**
+ * 🤖 Multi-market Arbitrage Bot
+ *
+ * Runs any set of registered markets (markets/*.json) in one process,
+ * each woken by its pools' Swap / Mint / Burn events (or new blocks), across
+ * Gnosis and Mainnet.
+ *
+ * Usage:
+ *   node scripts/arb-bots.js                          # all markets, dry run
+ *   node scripts/arb-bots.js gnosis-v5 pnk            # selected markets
+ *   MARKETS=eth-v1,vlr-v3 node scripts/arb-bots.js
+ *   CONFIRM=true node scripts/arb-bots.js gnosis-v5   # live execution
+ *   ONCE=true node scripts/arb-bots.js                # single scan per market
+ *   TRIGGERS=interval node scripts/arb-bots.js        # fixed scanIntervalMs sleeps
+ *   GNOSIS_WS_URL=wss://... node scripts/arb-bots.js  # subscribe instead of polling
+ *   METRICS_PORT=9464 node scripts/arb-bots.js       # Prometheus metrics on /metrics
+ *   STATUS_PORT=8080 node scripts/arb-bots.js        # JSON status API on /api
+ *   DASHBOARD_PORT=8090 node scripts/arb-bots.js     # web dashboard of prices and trades
+ */
+
+require("dotenv").config();
+const { runBots } = require("./lib/bot-engine");
+
+runBots(process.argv.slice(2)).catch(error => {
+    console.error(error);
+    process.exit(1);
+});
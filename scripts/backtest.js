@@ -0,0 +1,59 @@
+/**
+ * ⏪ Backtest a market over a block range, offline
+ *
+ * Replays a JSONL dump of the market's pool events (scripts/dump-pool-events.js)
+ * through the bot's own sizing and decision logic and reports simulated PnL,
+ * gas spend and the opportunities it would have missed. See
+ * scripts/lib/backtest.js for the dump format and replay assumptions.
+ *
+ * Usage:
+ *   node scripts/backtest.js <market> <dump.jsonl>
+ *   FROM_BLOCK=38010000 TO_BLOCK=38020000 node scripts/backtest.js gnosis-v5 logs/backtest/gnosis-v5-….jsonl
+ *   GAS_USED=900000 GAS_PRICE_GWEI=1.5 node scripts/backtest.js gnosis-v5 dump.jsonl
+ *   REPORT_JSON=report.json VERBOSE=true node scripts/backtest.js gnosis-v5 dump.jsonl
+ *
+ * The simulated scans and trades go to a ledger of their own,
+ * logs/backtest/<market>/backtest.sqlite (LEDGER_DB=… node scripts/profit-report.js).
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { getMarket } = require("./lib/markets");
+const { readEventDump, runBacktest, formatReport } = require("./lib/backtest");
+
+async function main() {
+    const [marketId, dumpFile] = process.argv.slice(2);
+    if (!marketId || !dumpFile) {
+        console.log("Usage: node scripts/backtest.js <market> <dump.jsonl>");
+        process.exit(1);
+    }
+    const env = name => (process.env[name] ? process.env[name] : undefined);
+    const market = getMarket(marketId);
+    const records = readEventDump(dumpFile);
+
+    const report = await runBacktest({
+        market,
+        records,
+        fromBlock: env("FROM_BLOCK") && Number(env("FROM_BLOCK")),
+        toBlock: env("TO_BLOCK") && Number(env("TO_BLOCK")),
+        gasUsed: env("GAS_USED") && BigInt(env("GAS_USED")),
+        gasPrice: env("GAS_PRICE_GWEI") && ethers.parseUnits(env("GAS_PRICE_GWEI"), "gwei"),
+        logDir: path.join(__dirname, "../logs/backtest", marketId),
+        verbose: process.env.VERBOSE === "true",
+    });
+
+    console.log("\n" + formatReport(report) + "\n");
+    if (env("REPORT_JSON")) {
+        fs.writeFileSync(env("REPORT_JSON"), JSON.stringify(report, null, 2) + "\n");
+        console.log(`📝 Report written to ${env("REPORT_JSON")}`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error("Error:", error);
+        process.exit(1);
+    });
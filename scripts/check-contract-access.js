@@ -1,10 +1,15 @@
 /**
  * Check contract owner and verify access (standalone script)
+ *
+ * Usage: node scripts/check-contract-access.js
+ *        MARKET=<id> selects another entry in markets/*.json with a "V3_OWNER_ONLY" deployment
  */
 require('dotenv').config();
 const { ethers } = require('ethers');
+const { getMarket, deploymentAddress } = require('./lib/markets');
 
-const CONTRACT_ADDRESS = '0xe0545480aAB67Bc855806b1f64486F5c77F08eCC';
+// markets/<MARKET>.json, its "V3_OWNER_ONLY" deployment
+const CONTRACT_ADDRESS = deploymentAddress(getMarket(process.env.MARKET || 'gnosis-v4'), 'V3_OWNER_ONLY');
 const RPC_URL = process.env.RPC_URL || 'https://rpc.gnosischain.com';
 
 // Minimal ABI for owner check
@@ -0,0 +1,76 @@
+/**
+ * 💓 Heartbeat check
+ *
+ * Reads the heartbeat file of every market that writes one (markets/*.json
+ * "heartbeatFile", in logs/) and reports markets whose last scan is older
+ * than STALE_MS (default 3 scan periods - the interval, or maxIdleMs for
+ * event-triggered markets - at least 5 min). The notifier
+ * inside a bot cannot report that the bot process itself died: run this from
+ * cron with a sink configured and it sends the stale-heartbeat alert.
+ * Exits 1 when any heartbeat is stale or missing.
+ *
+ * Usage:
+ *   node scripts/check-heartbeats.js                  every market with a heartbeat file
+ *   node scripts/check-heartbeats.js gnosis-v4 eth-v1
+ *   NOTIFY_WEBHOOK_URL=https://... node scripts/check-heartbeats.js     (crontab, every 5 min)
+ *   STALE_MS=900000 node scripts/check-heartbeats.js
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { getMarket, listMarkets } = require("./lib/markets");
+const { createNotifier, loadNotifyConfig } = require("./lib/notifier");
+const { scanPeriodMs } = require("./lib/triggers");
+
+const LOG_DIR = path.join(__dirname, "../logs");
+const MIN_STALE_MS = 5 * 60 * 1000;
+
+function readHeartbeat(market) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(LOG_DIR, market.heartbeatFile), "utf8"));
+    } catch (_) {
+        return null;
+    }
+}
+
+async function main() {
+    const ids = process.argv.slice(2);
+    const markets = (ids.length > 0 ? ids : listMarkets()).map(getMarket).filter(m => m.heartbeatFile);
+    if (markets.length === 0) throw new Error("No selected market writes a heartbeatFile");
+
+    const notifyConfig = loadNotifyConfig();
+    const notifier = notifyConfig ? createNotifier(notifyConfig) : null;
+    let stale = 0;
+
+    console.log(`\n💓 Heartbeats in ${path.relative(process.cwd(), LOG_DIR) || "."}`);
+    console.log("─".repeat(60));
+    for (const market of markets) {
+        const beat = readHeartbeat(market);
+        const staleAfter = process.env.STALE_MS ? Number(process.env.STALE_MS) : Math.max(3 * scanPeriodMs(market), MIN_STALE_MS);
+        const age = beat?.timestamp ? Date.now() - new Date(beat.timestamp).getTime() : null;
+        const ok = age !== null && age < staleAfter;
+        const ageText = age === null ? "no heartbeat" : `${Math.round(age / 1000)}s ago`;
+        console.log(`${ok ? "✅" : "❌"} ${market.id.padEnd(12)} ${ageText.padStart(14)}  ${beat?.action || beat?.error || ""}`);
+        if (ok) continue;
+
+        stale++;
+        if (notifier) {
+            await notifier.notify({
+                kind: "stale-heartbeat",
+                market: market.id,
+                title: `${market.id}: ${age === null ? "no heartbeat" : `no scan for ${Math.round(age / 60000)} min`}`,
+                message: `${market.heartbeatFile}: ${beat?.timestamp ? `last scan ${beat.timestamp}` : "missing or unreadable"}; is the bot running?`,
+                data: { heartbeat: beat, staleAfterMs: staleAfter },
+            });
+        }
+    }
+
+    if (notifier) console.log(`\n🔔 ${notifier.sent.length} alert(s) sent to ${notifier.sinks.join(", ")}`);
+    if (stale > 0) process.exitCode = 1;
+}
+
+main().then(() => process.exit(process.exitCode || 0)).catch(error => {
+    console.error("Error:", error);
+    process.exit(1);
+});
@@ -3,29 +3,31 @@
  * 
  * Uses static calls (no gas cost) to simulate arbitrage and find profit opportunities
  * Usage: npx hardhat run scripts/check-opportunities.js --network gnosis
+ *        MARKET=gnosis-v5 npx hardhat run scripts/check-opportunities.js --network gnosis
  */
 
 const { ethers } = require("hardhat");
+const { getMarket } = require("./lib/markets");
+
+// Contract, proposal and token addresses: markets/<MARKET>.json
+const market = getMarket(process.env.MARKET || "gnosis-v4");
 
 // ═══════════════════════════════════════════════════════════════════════════
 // CONFIGURATION
 // ═══════════════════════════════════════════════════════════════════════════
 
 const CONFIG = {
-    // V4 PERMISSIONLESS Contract
-    contractAddress: "0x0ECD7369cFe4CD2f35b47B3c66e32AaC2016B25a",
-
-    // Proposal to check
-    proposalAddress: "0x45e1064348fD8A407D6D1F59Fc64B05F633b28FC",
+    contractAddress: market.contractAddress,
+    proposalAddress: market.proposalAddress,
 
     // Token addresses
-    gnoAddress: "0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb",
-    sdaiAddress: "0xaf204776c7245bF4147c2612BF6e5972Ee483701",
+    gnoAddress: market.tokens.GNO,
+    sdaiAddress: market.tokens.SDAI,
 
     // Balancer V3 for spot price
-    wagnoAddress: "0x7c16F0185A26Db0AE7a9377f23BC18ea7ce5d644",
-    balancerPool: "0xD1D7Fa8871d84d0E77020fc28B7Cd5718C446522",
-    wagnoRateProvider: "0xbbb4966335677ea24f7b86dc19a423412390e1fb",
+    wagnoAddress: market.tokens.WAGNO,
+    balancerPool: market.pools.balancerSpot,
+    wagnoRateProvider: market.rateProviders.WAGNO,
 
     // Test amounts for each strategy
     gnoAmounts: ["0.001", "0.005", "0.01", "0.05", "0.1", "0.5", "1"],    // SPOT_SPLIT (borrow GNO)
@@ -1,25 +1,27 @@
 /**
  * Check Uniswap V3 Pool Prices and Liquidity for Outcome Tokens
  * 
- * Pools:
- *   YES_AAVE / YES_GHO: 0xd4776Ea355326C3D9Ab3Ff9417F12D6c8718066F
- *   NO_AAVE / NO_GHO:   0x08D364Bf5ED8698790114a56678d14b5d6a89A77
+ * Pools and outcome tokens come from markets/<MARKET>.json (default aave-v6):
+ *   YES_AAVE / YES_GHO and NO_AAVE / NO_GHO
+ *
+ * Every read goes through Multicall3 at one block, so both pools and the
+ * balances are from the same state.
  */
 
 const { ethers } = require("ethers");
 require("dotenv").config();
+const { getMarket } = require("./lib/markets");
+const { createBatchReader } = require("./lib/multicall");
 
 const RPC = process.env.RPC_URL || "https://ethereum.publicnode.com";
 
+const market = getMarket(process.env.MARKET || "aave-v6");
+
 // Verified Pool Addresses
-const YES_POOL = "0xd4776Ea355326C3D9Ab3Ff9417F12D6c8718066F";
-const NO_POOL = "0x08D364Bf5ED8698790114a56678d14b5d6a89A77";
+const { yes: YES_POOL, no: NO_POOL } = market.pools;
 
 // Outcome Token Addresses (from verify script)
-const YES_AAVE = "0x63Ad5275380416b3700B84BFaD3B74ED812dfAE4";
-const NO_AAVE = "0xf7c5a22Aeeb87c8E06b1a2bF40ab46c1e944f837";
-const YES_GHO = "0x01917fD18c1019389cC89457c53E6631A13c1e9D";
-const NO_GHO = "0xA31EF4bEfE367064fB0D8863A3E0AAD50054B917";
+const { YES_AAVE, NO_AAVE, YES_GHO, NO_GHO } = market.outcomeTokens;
 
 // Uniswap V3 Pool ABI (minimal)
 const POOL_ABI = [
@@ -39,28 +41,33 @@ const ERC20_ABI = [
 
 async function main() {
     const provider = new ethers.JsonRpcProvider(RPC);
+    const reads = createBatchReader(provider);
+    await reads.pin();
 
     console.log("╔════════════════════════════════════════════════════════════════╗");
     console.log("║  UNISWAP V3 OUTCOME POOL ANALYSIS                              ║");
-    console.log("╚════════════════════════════════════════════════════════════════╝\n");
+    console.log("╚════════════════════════════════════════════════════════════════╝");
+    console.log(`Block: ${reads.blockTag}\n`);
 
     // Analyze YES Pool
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
     console.log("📊 YES_AAVE / YES_GHO Pool");
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-    await analyzePool(provider, YES_POOL, "YES");
+    await analyzePool(reads, YES_POOL, "YES");
 
     console.log("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
     console.log("📊 NO_AAVE / NO_GHO Pool");
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-    await analyzePool(provider, NO_POOL, "NO");
+    await analyzePool(reads, NO_POOL, "NO");
 
     // Check token balances in pools
     console.log("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
     console.log("💰 Token Balances in Pools (TVL Proxy)");
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-    await checkPoolBalances(provider, YES_POOL, YES_AAVE, YES_GHO, "YES");
-    await checkPoolBalances(provider, NO_POOL, NO_AAVE, NO_GHO, "NO");
+    await checkPoolBalances(reads, YES_POOL, YES_AAVE, YES_GHO, "YES");
+    await checkPoolBalances(reads, NO_POOL, NO_AAVE, NO_GHO, "NO");
+
+    console.log(`\n${reads.stats.calls} reads in ${reads.stats.requests} RPC requests`);
 }
 
 async function analyzePool(provider, poolAddress, label) {
@@ -71,7 +78,8 @@ async function analyzePool(provider, poolAddress, label) {
             pool.slot0(),
             pool.liquidity(),
             pool.token0(),
-            pool.token1()
+            pool.token1(),
+            pool.fee()
         ]);
 
         const sqrtPriceX96 = slot0[0];
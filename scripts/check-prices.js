@@ -0,0 +1,56 @@
+/**
+ * 💱 Price oracle check
+ *
+ * Reads every source of the price oracle (scripts/lib/oracle.js) and prints
+ * each symbol's USD price, the quote of every source and the sanity-check
+ * verdict: outliers dropped, sources that disagree, sources that failed.
+ *
+ * Usage:
+ *   node scripts/check-prices.js                  Gnosis and Mainnet
+ *   node scripts/check-prices.js 100 GNO SDAI     one chain, some symbols
+ *   MAX_DEVIATION=0.01 node scripts/check-prices.js 1
+ *   REPORT_JSON=prices.json node scripts/check-prices.js
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const { createPriceOracle, ORACLE_SOURCES } = require("./lib/oracle");
+const { getChain } = require("./lib/chains");
+
+const STATUS_ICONS = { ok: "✅", outliers: "⚠️ ", disagree: "❌", unavailable: "❌" };
+
+async function main() {
+    const [chainArg, ...symbols] = process.argv.slice(2);
+    const chainIds = chainArg ? [Number(chainArg)] : [100, 1];
+    const maxDeviation = process.env.MAX_DEVIATION ? Number(process.env.MAX_DEVIATION) : undefined;
+    const reports = {};
+
+    for (const chainId of chainIds) {
+        if (!ORACLE_SOURCES[chainId]) throw new Error(`No oracle sources for chain ${chainId}`);
+        const oracle = createPriceOracle(chainId, { maxDeviation });
+        await oracle.prices(symbols.length > 0 ? symbols : undefined);
+        const report = oracle.report();
+        reports[chainId] = report;
+
+        console.log(`\n💱 ${getChain(chainId).name} (chain ${chainId})`);
+        console.log("─".repeat(60));
+        for (const [symbol, entry] of Object.entries(report)) {
+            const price = entry.price === null ? "unpriced" : `$${entry.price.toFixed(4)}`;
+            console.log(`${STATUS_ICONS[entry.status] || "  "} ${symbol.padEnd(6)} ${price.padStart(12)}  ${entry.status}`);
+            for (const q of entry.quotes) {
+                const value = q.error ? `error: ${q.error}` : `$${q.usd.toFixed(4)}${q.inQuote !== undefined ? ` (${q.inQuote.toFixed(6)} quote)` : ""}`;
+                console.log(`      ${q.outlier ? "✗" : "·"} ${q.source}: ${value}`);
+            }
+        }
+    }
+
+    if (process.env.REPORT_JSON) {
+        fs.writeFileSync(process.env.REPORT_JSON, JSON.stringify(reports, null, 2) + "\n");
+        console.log(`\n📝 Report written to ${process.env.REPORT_JSON}`);
+    }
+}
+
+main().then(() => process.exit(0)).catch(error => {
+    console.error("Error:", error);
+    process.exit(1);
+});
@@ -0,0 +1,39 @@
+/**
+ * 📈 Market dashboard
+ *
+ * Serves the web dashboard (scripts/lib/dashboard.js) on the ledger, without
+ * running a bot: YES / NO / spot prices, implied probability, simulated
+ * profit and the last size-ladder profit curves per market, with executed
+ * trades marked. Bots write the ledger as they scan, so this can run next to
+ * them (or on a copy of logs/ledger.sqlite).
+ *
+ * Usage:
+ *   node scripts/dashboard.js                     http://127.0.0.1:8090/
+ *   node scripts/dashboard.js 9000
+ *   LEDGER_DB=/tmp/ledger.sqlite node scripts/dashboard.js
+ *   DASHBOARD_HOST=0.0.0.0 node scripts/dashboard.js   (no auth: trusted networks only)
+ */
+
+require("dotenv").config();
+const path = require("path");
+const { openLedger } = require("./lib/ledger");
+const { startDashboardServer } = require("./lib/dashboard");
+
+async function main() {
+    const port = Number(process.argv[2] || process.env.DASHBOARD_PORT || 8090);
+    const ledger = openLedger();
+    const dashboard = await startDashboardServer({ ledger, port, host: process.env.DASHBOARD_HOST });
+
+    console.log(`📈 Dashboard on ${dashboard.url}`);
+    console.log(`   Ledger: ${path.relative(process.cwd(), ledger.file)} (${ledger.markets().length} markets)`);
+    console.log("   Ctrl+C to stop");
+
+    await new Promise(resolve => process.once("SIGINT", resolve));
+    await dashboard.close();
+    ledger.close();
+}
+
+main().then(() => process.exit(0)).catch(error => {
+    console.error("Error:", error);
+    process.exit(1);
+});
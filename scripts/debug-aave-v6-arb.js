@@ -9,26 +9,27 @@
 
 require("dotenv").config();
 const { ethers } = require("ethers");
+const { getMarket } = require("./lib/markets");
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
+// Contract, proposal and tokens: markets/<MARKET>.json
+const market = getMarket(process.env.MARKET || "aave-v6");
+
 const CONFIG = {
-    contract: "0xBc69Db11D5Eb837926E8f5Bb6Dd20069193919AE",
-    proposal: "0xfb45ae9d8e5874e85b8e23d735eb9718efef47fa",
+    contract: market.contractAddress,
+    proposal: market.proposalAddress,
 
     rpc: process.env.MAINNET_RPC_URL || "https://ethereum.publicnode.com",
 };
 
-// Hardcoded tokens for balance checks
+// Tokens for balance checks
 const TOKENS = {
-    AAVE: "0x7Fc66500c84A76Ad7e9c93437bFc5Ac33E2DDaE9",
-    GHO: "0x40D16FC0246aD3160Ccc09B8D0D3A2cD28aE6C2f",
-    YES_AAVE: "0x63Ad5275380416b3700B84BFaD3B74ED812dfAE4",
-    NO_AAVE: "0xf7c5a22Aeeb87c8E06b1a2bF40ab46c1e944f837",
-    YES_GHO: "0x01917fD18c1019389cC89457c53E6631A13c1e9D",
-    NO_GHO: "0xA31EF4bEfE367064fB0D8863A3E0AAD50054B917",
+    AAVE: market.tokens.AAVE,
+    GHO: market.tokens.GHO,
+    ...market.outcomeTokens,
 };
 
 // V6 uses the updated signature with proposal address
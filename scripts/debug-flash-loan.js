@@ -1,18 +1,24 @@
 /**
  * Debug: Test V3 Flash Loan in isolation
  * Just borrow and repay, no swaps
+ *
+ * Usage: node scripts/debug-flash-loan.js
+ *        MARKET=<id> selects another entry in markets/*.json
  */
 
 const { ethers } = require("ethers");
 require("dotenv").config();
+const { getMarket } = require("./lib/markets");
+
+// Contract, proposal and token addresses: markets/<MARKET>.json
+const market = getMarket(process.env.MARKET || "aave-v2");
 
 // Minimal contract to test V3 flash loan only
 const SIMPLE_FLASH_ABI = [
     "function executeArbitrage(address proposalAddress, address borrowToken, uint256 borrowAmount, uint8 direction, uint256 minProfit) external returns (tuple(bool success, uint256 profit, uint256 borrowAmount) result)"
 ];
 
-const GHO = "0x40D16FC0246aD3160Ccc09B8D0D3A2cD28aE6C2f";
-const AAVE = "0x7Fc66500c84A76Ad7e9c93437bFc5Ac33E2DDaE9";
+const { GHO, AAVE } = market.tokens;
 
 async function main() {
     console.log("🔍 DEBUG: Test Flash Loan in Isolation\n");
@@ -59,7 +65,7 @@ async function main() {
 
     // Try to simulate the call
     const contract = new ethers.Contract(
-        "0x098321F3f0d20dD4fc9559267a9B1c88AaDd2876",
+        market.contractAddress,
         SIMPLE_FLASH_ABI,
         signer
     );
@@ -69,7 +75,7 @@ async function main() {
     try {
         // Use staticCall to simulate without sending
         const result = await contract.executeArbitrage.staticCall(
-            "0xFb45aE9d8e5874e85b8e23D735EB9718EfEF47Fa", // proposal
+            market.proposalAddress,
             GHO,           // borrowToken
             ethers.parseEther("0.01"),  // borrowAmount - very small
             1,             // MERGE_SPOT
@@ -84,7 +90,7 @@ async function main() {
         console.log("\n🔬 Trying with AAVE instead...");
         try {
             const result = await contract.executeArbitrage.staticCall(
-                "0xFb45aE9d8e5874e85b8e23D735EB9718EfEF47Fa",
+                market.proposalAddress,
                 AAVE,
                 ethers.parseEther("0.001"),
                 0,  // SPOT_SPLIT
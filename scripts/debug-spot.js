@@ -4,14 +4,13 @@
  */
 
 const { ethers } = require("hardhat");
+const { getMarket } = require("./lib/markets");
 
-// Balancer V3 Addresses (Gnosis)
-const WAGNO_SDAI_POOL = "0xd1d7fa8871d84d0e77020fc28b7cd5718c446522";
-const RATE_PROVIDER = "0xbbb4966335677ea24f7b86dc19a423412390e1fb";
-
-// Token addresses
-const WAGNO = "0x7c16F0185A26Db0AE7a9377f23BC18ea7ce5d644";
-const SDAI = "0xaf204776c7245bF4147c2612BF6e5972Ee483701";
+// Balancer V3 WAGNO/sDAI pool + tokens from markets/<MARKET>.json
+const market = getMarket(process.env.MARKET || "gnosis-v4");
+const WAGNO_SDAI_POOL = market.pools.balancerSpot;
+const RATE_PROVIDER = market.rateProviders.WAGNO;
+const { WAGNO, SDAI } = market.tokens;
 
 // Balancer V3 WeightedPool ABI (relevant functions only)
 const WEIGHTED_POOL_ABI = [
@@ -1,67 +1,110 @@
 /**
  * 🕵️ Transaction Debugger
- * 
- * Fetches transaction receipt and decodes custom error if it reverted.
+ *
+ * Fetches a transaction and its receipt and, if it reverted, replays it as an
+ * eth_call at the parent block and decodes the revert (scripts/lib/reverts.js):
+ * our contracts' errors, Balancer V2/V3, Algebra / Uniswap V3, Permit2 and
+ * Universal Router errors, require strings and panics. Calls to a configured
+ * market contract also get their executeArbitrage arguments decoded.
+ *
+ * Usage:
+ *   node scripts/debug-tx.js <txHash>                  looks on Gnosis, then Mainnet
+ *   node scripts/debug-tx.js <txHash> 1                chain id
+ *   node scripts/debug-tx.js <txHash> vlr-v3           market id (its chain and contract)
+ *   BLOCK=38000000 node scripts/debug-tx.js <txHash>   replay at another block
  */
 
-const { ethers } = require("hardhat");
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { CHAINS, findTransaction, getTxExplorerUrl } = require("./lib/chains");
+const { getMarket } = require("./lib/markets");
+const { findAdapterByContract } = require("./lib/adapters");
+const { decodeRevert, formatRevert, revertData, replayRevert } = require("./lib/reverts");
 
-const TX_HASH = "0xce5daf52b8555341c747a522ad62885dd747f8c"; // Need to verify this hash
+function printDecoded(decoded, options, indent = "   ") {
+    console.log(`${indent}Error:   ${formatRevert(decoded, options)}`);
+    if (!decoded) return;
+    console.log(`${indent}Source:  ${decoded.source || "unknown"}`);
+    if (decoded.signature) console.log(`${indent}Sig:     ${decoded.signature} (${decoded.selector})`);
+    for (const arg of decoded.args) console.log(`${indent}  ${arg.name || arg.type}: ${arg.value}`);
+    if (decoded.inner) {
+        console.log(`${indent}Inner revert:`);
+        printDecoded(decoded.inner, options, indent + "   ");
+    }
+}
 
 async function main() {
-    console.log(`\n🕵️ ANALYZING TRANSACTION: ${TX_HASH}\n`);
+    const [hash, where] = process.argv.slice(2);
+    if (!hash || !ethers.isHexString(hash, 32)) {
+        console.log("Usage: node scripts/debug-tx.js <txHash> [chainId | marketId]");
+        process.exit(1);
+    }
 
-    const receipt = await ethers.provider.getTransactionReceipt(TX_HASH);
-    if (!receipt) {
-        console.log("❌ Transaction not found or not mined yet.");
+    console.log(`\n🕵️ ANALYZING TRANSACTION: ${hash}\n`);
+    const chainIds = !where ? undefined : CHAINS[Number(where)] ? [Number(where)] : [getMarket(where).chainId];
+    const found = await findTransaction(hash, chainIds);
+    if (!found) {
+        console.log("❌ Transaction not found.");
         return;
     }
+    const { chainId, provider, tx } = found;
+    const receipt = await provider.getTransactionReceipt(hash);
 
-    console.log(`Status: ${receipt.status === 1 ? "SUCCESS" : "FAILED (REVERTED)"}`);
-    console.log(`Block:  ${receipt.blockNumber}`);
-    console.log(`Gas Used: ${receipt.gasUsed.toString()}`);
-
-    if (receipt.status === 0) {
-        console.log("\n🔍 Attempting to decode revert reason...");
-
-        try {
-            const tx = await ethers.provider.getTransaction(TX_HASH);
-            const code = await ethers.provider.call({
-                to: tx.to,
-                from: tx.from,
-                nonce: tx.nonce,
-                gasLimit: tx.gasLimit,
-                gasPrice: tx.gasPrice,
-                data: tx.data,
-                value: tx.value,
-                blockTag: receipt.blockNumber
-            });
-            console.log("Raw Revert Data:", code);
-        } catch (error) {
-            console.log("❌ Revert Reason Retrieval failed:", error.message);
+    console.log(`Chain:    ${CHAINS[chainId].name}`);
+    console.log(`From:     ${tx.from}`);
+    console.log(`To:       ${tx.to}`);
+    console.log(`Explorer: ${getTxExplorerUrl(chainId, hash)}`);
+    if (!receipt) {
+        console.log("\n⏳ Not mined yet.");
+        return;
+    }
+    console.log(`Status:   ${receipt.status === 1 ? "SUCCESS" : "FAILED (REVERTED)"}`);
+    console.log(`Block:    ${receipt.blockNumber}`);
+    console.log(`Gas Used: ${receipt.gasUsed} / ${tx.gasLimit}`);
 
-            if (error.data) {
-                console.log("Error Data Found! Decoding...");
-                decodeCustomError(error.data);
-            }
+    // ───────────────────────────────────────────────────────────────────────
+    // Call: executeArbitrage arguments of a market contract
+    // ───────────────────────────────────────────────────────────────────────
+    const adapter = await findAdapterByContract(chainId, tx.to);
+    const iface = adapter ? adapter.contract.interface : null;
+    const options = { decimals: 18 };
+    if (adapter) {
+        const { market } = adapter;
+        console.log(`\n📋 Market ${market.id} (${market.label})`);
+        const call = iface.parseTransaction({ data: tx.data, value: tx.value });
+        if (call) {
+            console.log(`   ${call.name}(`);
+            call.fragment.inputs.forEach((input, i) => console.log(`      ${input.name}: ${call.args[i]}`));
+            console.log("   )");
+            const borrowToken = call.fragment.inputs.findIndex(input => input.name === "borrowToken");
+            const symbol = borrowToken >= 0 && Object.keys(market.tokens || {}).find(s => market.tokens[s].toLowerCase() === call.args[borrowToken].toLowerCase());
+            if (symbol) options.unit = symbol;
         }
     }
-}
 
-function decodeCustomError(data) {
-    try {
-        const iface = new ethers.Interface([
-            "error ArbitrageFailed(uint256 balanceAfter, uint256 borrowAmount, string reason)"
-        ]);
-        const decoded = iface.parseError(data);
-        console.log("\n🚨 DECODED ERROR:");
-        console.log(`   Reason:        ${decoded.args[2]}`);
-        console.log(`   Balance After: ${ethers.formatEther(decoded.args[0])} GNO`);
-        console.log(`   Borrow Amount: ${ethers.formatEther(decoded.args[1])} GNO`);
-        console.log(`   Delta:         ${ethers.formatEther(decoded.args[0] - decoded.args[1])} GNO`);
-    } catch (e) {
-        console.log("   Could not decode custom error:", e.message);
+    if (receipt.status === 1) return;
+
+    // ───────────────────────────────────────────────────────────────────────
+    // Revert
+    // ───────────────────────────────────────────────────────────────────────
+    const replay = await replayRevert(provider, hash, { blockTag: process.env.BLOCK ? Number(process.env.BLOCK) : undefined });
+    console.log(`\n🔍 Replayed at block ${replay.blockTag}:`);
+    if (replay.outOfGas) console.log(`   ⛽ Used its whole gas limit: out of gas`);
+    if (!replay.error) {
+        console.log("   ✅ Replay succeeds: the revert came from a transaction earlier in the same block");
+        console.log(`      (try BLOCK=${receipt.blockNumber} to replay on top of the whole block)`);
+        return;
+    }
+    const data = revertData(replay.error);
+    if (!data) {
+        console.log(`   Reverted without data: ${replay.error.shortMessage || replay.error.message}`);
+        return;
     }
+    console.log(`   Data:    ${data.length > 138 ? data.slice(0, 138) + "…" : data}`);
+    printDecoded(decodeRevert(data, { iface, source: adapter ? adapter.id : undefined }), options);
 }
 
-main().then(() => process.exit(0)).catch(console.error);
+main().then(() => process.exit(0)).catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -1,10 +1,20 @@
+/**
+ * Simulate a small AAVE V2 SPOT_SPLIT with staticCall and print the revert.
+ *
+ * Usage: node scripts/debug-v2.js
+ *        MARKET=<id> selects another entry in markets/*.json
+ */
 const { ethers } = require("ethers");
 require("dotenv").config();
+const { getMarket } = require("./lib/markets");
 
 const RPC = process.env.RPC_URL || "https://ethereum.publicnode.com";
-const CONTRACT = "0x098321F3f0d20dD4fc9559267a9B1c88AaDd2876";
-const PROPOSAL = "0xFb45aE9d8e5874e85b8e23D735EB9718EfEF47Fa";
-const AAVE = "0x7Fc66500c84A76Ad7e9c93437bFc5Ac33E2DDaE9";
+
+// Contract, proposal and token addresses: markets/<MARKET>.json
+const market = getMarket(process.env.MARKET || "aave-v2");
+const CONTRACT = market.contractAddress;
+const PROPOSAL = market.proposalAddress;
+const { AAVE } = market.tokens;
 
 const ABI = [
     "function executeArbitrage(address proposalAddress, address borrowToken, uint256 borrowAmount, uint8 direction, uint256 minProfit) external returns (tuple(bool success, uint256 profit, uint256 borrowAmount) result)"
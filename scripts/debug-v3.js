@@ -1,12 +1,18 @@
 /**
  * Debug V3 Contract
+ *
+ * Usage: npx hardhat run scripts/debug-v3.js --network gnosis
+ *        MARKET=<id> selects another entry in markets/*.json with a "V3_DEBUG" deployment
  */
 
 const { ethers } = require("hardhat");
+const { getMarket, deploymentAddress } = require("./lib/markets");
 
-const CONTRACT = "0x075899a15c56a83ff1874e91df316d902de115f7";
-const PROPOSAL = "0x45e1064348fD8A407D6D1F59Fc64B05F633b28FC";
-const GNO = "0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb";
+// Proposal and token addresses: markets/<MARKET>.json; the contract is its "V3_DEBUG" deployment
+const market = getMarket(process.env.MARKET || "gnosis-v4");
+const CONTRACT = deploymentAddress(market, "V3_DEBUG");
+const PROPOSAL = market.proposalAddress;
+const { GNO } = market.tokens;
 
 async function main() {
     console.log("\n🔍 Debug V3 Contract\n");
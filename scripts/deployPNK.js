@@ -1,5 +1,6 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 require("dotenv").config();
+const { getMarket, recordContractAddress } = require("./lib/markets");
 
 /**
  * Deploy PNKFlashArbitrage — permissionless PNK/sDAI arbitrage contract.
@@ -62,13 +63,10 @@ async function main() {
     console.log("\nPNKFlashArbitrage deployed!");
     console.log("Address:", contractAddress);
 
-    const fs = require("fs");
-    const path = require("path");
-    fs.writeFileSync(
-        path.join(__dirname, "../last_deployment_pnk.txt"),
-        contractAddress
-    );
-    console.log("Saved to last_deployment_pnk.txt");
+    // A fork or local deploy must not overwrite the registry
+    if (network.name === "gnosis") {
+        console.log("Saved to", recordContractAddress("pnk", contractAddress));
+    }
 
     console.log("\nVerify with:");
     console.log(`npx hardhat verify --network gnosis ${contractAddress} \\`);
@@ -76,7 +74,7 @@ async function main() {
     console.log(`  "${config.pnkToken}" "${config.sdaiToken}" "${config.wethToken}" "${config.wxdaiToken}" \\`);
     console.log(`  "${config.dxswapPair}" "${config.wethWxdaiPair}"`);
 
-    const proposalAddr = process.env.PNK_PROPOSAL_ADDRESS || "0xb607bd7c7201e966e6a150cd6ef1d08db55cad5d";
+    const proposalAddr = process.env.PNK_PROPOSAL_ADDRESS || getMarket("pnk").proposalAddress;
     console.log(`\nUsage (PERMISSIONLESS):
 // SPOT_SPLIT: Borrow WETH → PNK → split → sell outcomes → merge sDAI → WXDAI → WETH
 await contract.executeArbitrage(
@@ -1,5 +1,9 @@
 const { ethers } = require("hardhat");
 require("dotenv").config();
+const { getMarket } = require("./lib/markets");
+
+// Proposal for the usage example: markets/<MARKET>.json unless FUTARCHY_PROPOSAL_ADDRESS is set
+const EXAMPLE_PROPOSAL = process.env.FUTARCHY_PROPOSAL_ADDRESS || getMarket(process.env.MARKET || "gnosis-v4").proposalAddress;
 
 async function main() {
     console.log("🚀 Deploying GnosisFlashArbitrageV3 (Balancer V3 Compatible)...\n");
@@ -65,7 +69,7 @@ async function main() {
     console.log(`
 // SPOT_SPLIT: Borrow GNO, split, sell outcomes, merge sDAI, swap back
 await contract.executeArbitrage(
-    "${process.env.FUTARCHY_PROPOSAL_ADDRESS || '0x45e1064348fD8A407D6D1F59Fc64B05F633b28FC'}",  // proposal
+    "${EXAMPLE_PROPOSAL}",  // proposal
     "${config.gnoToken}",  // borrow GNO
     ethers.parseEther("10"),  // 10 GNO
     0,  // SPOT_SPLIT
@@ -74,7 +78,7 @@ await contract.executeArbitrage(
 
 // MERGE_SPOT: Borrow sDAI, split, buy outcomes, merge GNO, swap back  
 await contract.executeArbitrage(
-    "${process.env.FUTARCHY_PROPOSAL_ADDRESS || '0x45e1064348fD8A407D6D1F59Fc64B05F633b28FC'}",
+    "${EXAMPLE_PROPOSAL}",
     "${config.sdaiToken}",  // borrow sDAI
     ethers.parseEther("1000"),  // 1000 sDAI
     1,  // MERGE_SPOT
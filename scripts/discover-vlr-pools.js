@@ -8,19 +8,23 @@
 
 const { ethers } = require('ethers');
 require('dotenv').config();
+const { getMarket } = require('./lib/markets');
+
+// Proposal and VLR / USDC: markets/<MARKET>.json
+const market = getMarket(process.env.MARKET || 'vlr-v3');
 
 // ========================================
 // Configuration
 // ========================================
 
-const PROPOSAL = '0x4e018f1D8b93B91a0Ce186874eDb53CB6fFfCa62';
+const PROPOSAL = market.proposalAddress;
 const FACTORY = '0x1F98431c8aD98523631AE4a59f267346ea31F984';
 const FEE_TIERS = [100, 500, 3000, 10000]; // All possible fee tiers
 
 // Known tokens
-const VLR = '0x4e107a0000DB66f0E9Fd2039288Bf811dD1f9c74';
+const VLR = market.tokens.VLR;
 const USDS = '0xdC035D45d973E3EC169d2276DDab16f1e407384F';
-const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const USDC = market.tokens.USDC;
 
 // ========================================
 // ABIs
@@ -0,0 +1,92 @@
+/**
+ * 📼 Pool event dumper (input for scripts/backtest.js)
+ *
+ * Snapshots a market's pools (full tick table) at fromBlock - 1, then writes
+ * every Swap/Mint/Burn/Fee log and the header of each block that has one,
+ * as JSONL in the format documented in scripts/lib/backtest.js. The snapshot
+ * reads state at a past block, so the RPC must be an archive node.
+ *
+ * Usage:
+ *   node scripts/dump-pool-events.js <market> <fromBlock> <toBlock> [out.jsonl]
+ *   CHUNK=2000 node scripts/dump-pool-events.js gnosis-v5 38000000 38120000
+ *
+ * Default output: logs/backtest/<market>-<fromBlock>-<toBlock>.jsonl
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { getMarket } = require("./lib/markets");
+const { createAdapter } = require("./lib/adapters");
+const { loadPoolState, wordBounds } = require("./lib/clmm");
+const { POOL_EVENTS, recordFromLog, snapshotRecord, toJsonLine } = require("./lib/backtest");
+
+const LOG_CHUNK = Number(process.env.CHUNK || 5000);
+const HEADER_BATCH = 20;
+
+async function main() {
+    const [marketId, fromArg, toArg, outArg] = process.argv.slice(2);
+    if (!marketId || !fromArg || !toArg) {
+        console.log("Usage: node scripts/dump-pool-events.js <market> <fromBlock> <toBlock> [out.jsonl]");
+        process.exit(1);
+    }
+    const fromBlock = Number(fromArg);
+    const toBlock = Number(toArg);
+    const out = outArg || path.join(__dirname, "../logs/backtest", `${marketId}-${fromBlock}-${toBlock}.jsonl`);
+
+    const adapter = createAdapter(getMarket(marketId));
+    if (!adapter.poolModel) throw new Error(`Market ${marketId}: adapter "${adapter.market.adapter}" has no pool model to replay`);
+    await adapter.connect();
+    await adapter.loadProposal();
+    const provider = adapter.provider;
+    const pools = adapter.poolModel.addresses();
+
+    console.log(`\n📼 Dumping ${marketId} pools, blocks ${fromBlock}–${toBlock}`);
+    const records = [];
+
+    // 1. Snapshots at the end of fromBlock - 1
+    for (const [name, address] of Object.entries(pools)) {
+        const pool = await loadPoolState(provider, address, {
+            kind: adapter.poolModel.kind,
+            wordRange: "all",
+            blockTag: fromBlock - 1,
+        });
+        records.push(snapshotRecord(pool, fromBlock - 1, wordBounds(pool, "all")));
+        console.log(`   📸 ${name} ${address}: tick ${pool.tick}, ${pool.ticks.size} initialized ticks`);
+    }
+
+    // 2. Pool logs, chunked
+    const topics = [["Swap", "Mint", "Burn", "Fee"].map(e => POOL_EVENTS.getEvent(e).topicHash)];
+    const blocks = new Set();
+    for (let from = fromBlock; from <= toBlock; from += LOG_CHUNK) {
+        const to = Math.min(from + LOG_CHUNK - 1, toBlock);
+        const logs = await provider.getLogs({ address: Object.values(pools), topics, fromBlock: from, toBlock: to });
+        for (const log of logs) {
+            const record = recordFromLog(log);
+            if (!record) continue;
+            records.push(record);
+            blocks.add(record.blockNumber);
+        }
+        console.log(`   📜 ${from}–${to}: ${logs.length} logs`);
+    }
+
+    // 3. Headers (timestamp, base fee) of the blocks with events
+    const numbers = [...blocks].sort((a, b) => a - b);
+    for (let i = 0; i < numbers.length; i += HEADER_BATCH) {
+        const headers = await Promise.all(numbers.slice(i, i + HEADER_BATCH).map(n => provider.getBlock(n)));
+        for (const b of headers) {
+            records.push({ type: "block", blockNumber: b.number, timestamp: b.timestamp, baseFeePerGas: b.baseFeePerGas ?? 0n });
+        }
+    }
+
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, records.map(toJsonLine).join("\n") + "\n");
+    console.log(`\n✅ ${records.length} records (${blocks.size} blocks with events) → ${out}`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error("Error:", error);
+        process.exit(1);
+    });
@@ -1,13 +1,19 @@
 /**
  * Test V3 Contract with Result Struct
  * Shows profit + all leftovers sent to user
+ *
+ * Usage: npx hardhat run scripts/execute-arb.js --network gnosis
+ *        MARKET=<id> selects another entry in markets/*.json with a "V3_RESULT" deployment
  */
 
 const { ethers } = require("hardhat");
+const { getMarket, deploymentAddress } = require("./lib/markets");
 
-const CONTRACT = "0x833C9a4A9F635d314654f97495f64A3efFebd0dC";
-const PROPOSAL = "0x45e1064348fD8A407D6D1F59Fc64B05F633b28FC";
-const GNO = "0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb";
+// Proposal and token addresses: markets/<MARKET>.json; the contract is its "V3_RESULT" deployment
+const market = getMarket(process.env.MARKET || "gnosis-v4");
+const CONTRACT = deploymentAddress(market, "V3_RESULT");
+const PROPOSAL = market.proposalAddress;
+const { GNO } = market.tokens;
 
 async function main() {
     console.log("\n🧪 Testing V3 Contract with Result Struct\n");
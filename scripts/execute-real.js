@@ -2,14 +2,21 @@
  * 🚀 Execute Real Arbitrage Transaction
  * 1. Simulates via staticCall (but ignores failure)
  * 2. Broadcasts REAL transaction with forced gas limit
+ *
+ * Usage: npx hardhat run scripts/execute-real.js --network gnosis
+ *        MARKET=<id> selects another entry in markets/*.json with a "V3_OWNER_ONLY" deployment
  */
 
 const { ethers } = require("hardhat");
+const { getMarket, deploymentAddress } = require("./lib/markets");
+
+// Proposal and token addresses: markets/<MARKET>.json; the contract is its "V3_OWNER_ONLY" deployment
+const market = getMarket(process.env.MARKET || "gnosis-v4");
 
 const CONFIG = {
-    CONTRACT: "0xe0545480aAB67Bc855806b1f64486F5c77F08eCC",
-    PROPOSAL: "0x45e1064348fD8A407D6D1F59Fc64B05F633b28FC",
-    GNO: "0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb",
+    CONTRACT: deploymentAddress(market, "V3_OWNER_ONLY"),
+    PROPOSAL: market.proposalAddress,
+    GNO: market.tokens.GNO,
 
     // Safety Limits
     AMOUNT: "0.000001", // Very small test amount (1u GNO)
@@ -6,6 +6,10 @@
  */
 
 const { ethers } = require("hardhat");
+const { getMarket } = require("./lib/markets");
+
+// Contract, proposal and token addresses: markets/<MARKET>.json
+const market = getMarket(process.env.MARKET || "gnosis-v4");
 require("dotenv").config();
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -13,17 +17,17 @@ require("dotenv").config();
 // ═══════════════════════════════════════════════════════════════════════════
 
 const CONFIG = {
-    contractAddress: "0x0ECD7369cFe4CD2f35b47B3c66e32AaC2016B25a",  // V4 PERMISSIONLESS
-    proposalAddress: "0x45e1064348fD8A407D6D1F59Fc64B05F633b28FC",
-    sdaiAddress: "0xaf204776c7245bF4147c2612BF6e5972Ee483701",
-    gnoAddress: "0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb",
+    contractAddress: market.contractAddress,
+    proposalAddress: market.proposalAddress,
+    sdaiAddress: market.tokens.SDAI,
+    gnoAddress: market.tokens.GNO,
 
     // Test amounts (in sDAI)
     testAmounts: [100, 500, 1000, 2000, 5000, 10000],
 
     // Balancer WAGNO/sDAI pool for spot price
-    balancerPool: "0xD1D7Fa8871d84d0E77020fc28B7Cd5718C446522",
-    wagnoRateProvider: "0xbbb4966335677ea24f7b86dc19a423412390e1fb"
+    balancerPool: market.pools.balancerSpot,
+    wagnoRateProvider: market.rateProviders.WAGNO
 };
 
 const ArbitrageDirection = {
@@ -153,7 +157,7 @@ async function main() {
             "function getRate() view returns (uint256)"
         ], signer);
 
-        const wagnoInfo = await balancerPool.getTokenInfo("0x7c16F0185A26Db0AE7a9377f23BC18ea7ce5d644");
+        const wagnoInfo = await balancerPool.getTokenInfo(market.tokens.WAGNO);
         const sdaiInfo = await balancerPool.getTokenInfo(CONFIG.sdaiAddress);
         const wagnoRate = await rateProvider.getRate();
 
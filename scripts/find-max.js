@@ -1,12 +1,18 @@
 /**
  * Find Maximum Profitable Trade Size
+ *
+ * Usage: npx hardhat run scripts/find-max.js --network gnosis
+ *        MARKET=<id> selects another entry in markets/*.json with a "V3" deployment
  */
 
 const { ethers } = require("hardhat");
+const { getMarket, deploymentAddress } = require("./lib/markets");
 
-const CONTRACT = "0x5649CA18945a8cf36945aA2674f74db3634157cC";
-const PROPOSAL = "0x45e1064348fD8A407D6D1F59Fc64B05F633b28FC";
-const GNO = "0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb";
+// Proposal and token addresses: markets/<MARKET>.json; the contract is its "V3" deployment
+const market = getMarket(process.env.MARKET || "gnosis-v4");
+const CONTRACT = deploymentAddress(market, "V3");
+const PROPOSAL = market.proposalAddress;
+const { GNO } = market.tokens;
 
 async function main() {
     console.log("\n🔍 Finding Maximum Profitable Trade Size\n");
@@ -0,0 +1,63 @@
+/**
+ * 📥 Import JSON-lines bot logs into the trade ledger
+ *
+ * Loads the pre-ledger logs/*.json files (one JSON event per line) into the
+ * SQLite ledger. A file belongs to the market whose registry entry names it
+ * as logFile; lines that carry a `market` field keep it. Safe to re-run:
+ * already-imported lines are skipped (see ledger.importLines). Old bots'
+ * trades have no unit; it comes from the market adapter's strategy units.
+ *
+ * Usage:
+ *   node scripts/import-logs.js                        all logs/*.json of registered markets
+ *   node scripts/import-logs.js logs/arb-bot-pnk.json  one file (market from the registry)
+ *   MARKET=gnosis-v4 node scripts/import-logs.js old/arbitrage-bot.json
+ *   LEDGER_DB=/tmp/ledger.sqlite node scripts/import-logs.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { openLedger } = require("./lib/ledger");
+const { listMarkets, getMarket } = require("./lib/markets");
+const { createAdapter } = require("./lib/adapters");
+const { CHAINS } = require("./lib/chains");
+
+const LOG_DIR = path.join(__dirname, "../logs");
+
+/** Unit per strategy and gas token for lines the old per-market bots wrote. */
+function legacyDefaults(id) {
+    const market = getMarket(id);
+    return {
+        units: createAdapter(market).units,
+        gasSymbol: CHAINS[market.chainId]?.nativeSymbol,
+    };
+}
+
+function main() {
+    const byLogFile = {};
+    for (const id of listMarkets()) {
+        const { logFile } = getMarket(id);
+        if (logFile) byLogFile[logFile] = id;
+    }
+
+    const files = process.argv.length > 2
+        ? process.argv.slice(2)
+        : Object.keys(byLogFile).map(f => path.join(LOG_DIR, f)).filter(f => fs.existsSync(f));
+    if (files.length === 0) {
+        console.log("Nothing to import (no registered logFile found in logs/)");
+        return;
+    }
+
+    const ledger = openLedger();
+    console.log(`\n📥 Importing into ${ledger.file}`);
+    for (const file of files) {
+        const market = process.env.MARKET || byLogFile[path.basename(file)];
+        const stats = ledger.importLines(fs.readFileSync(file, "utf8"), market, market ? legacyDefaults(market) : {});
+        console.log(`   ${path.basename(file)} → ${market || "(market field)"}: ` +
+            `${stats.imported} imported, ${stats.skipped} already present, ${stats.invalid} invalid`);
+    }
+    const counts = ledger.counts();
+    console.log(`\n✅ Ledger: ${counts.scans} scans, ${counts.simulations} simulations, ${counts.trades} trades\n`);
+    ledger.close();
+}
+
+main();
@@ -0,0 +1,61 @@
+/**
+ * AAVE/GHO market on AaveFlashArbitrageV2 (formerly scripts/arb-bot-aave.js).
+ *
+ * Borrows AAVE for SPOT_SPLIT and GHO for MERGE_SPOT. Gas is converted with
+ * the oracle's ETH and GHO prices; AAVE (and any token the oracle cannot
+ * price) uses the approximate USD prices from the market config.
+ */
+
+const { ethers } = require("ethers");
+const { DIRECTION, createFlashArbAdapter } = require("./base");
+
+const AAVE_V2_ABI = [
+    "function executeArbitrage(address proposalAddress, address borrowToken, uint256 borrowAmount, uint8 direction, uint256 minProfit) returns (tuple(bool success, uint256 profit, uint256 borrowAmount) result)",
+    "event ArbitrageExecuted(address indexed caller, address indexed proposal, uint256 profit, address token)",
+    "error ArbitrageFailed(uint256 balanceAfter, uint256 required, string reason)",
+];
+
+function create(market) {
+    return createFlashArbAdapter(market, {
+        abi: AAVE_V2_ABI,
+        units: { SPOT_SPLIT: "AAVE", MERGE_SPOT: "GHO" },
+
+        buildSizeCandidates() {
+            return [
+                {
+                    strategy: "SPOT_SPLIT",
+                    direction: DIRECTION.SPOT_SPLIT,
+                    borrowToken: market.tokens.AAVE,
+                    unit: "AAVE",
+                    amounts: market.ladders.SPOT_SPLIT,
+                    minNetProfit: market.minNetProfit.SPOT_SPLIT,
+                },
+                {
+                    strategy: "MERGE_SPOT",
+                    direction: DIRECTION.MERGE_SPOT,
+                    borrowToken: market.tokens.GHO,
+                    unit: "GHO",
+                    amounts: market.ladders.MERGE_SPOT,
+                    minNetProfit: market.minNetProfit.MERGE_SPOT,
+                },
+            ];
+        },
+
+        referencePrices() {
+            const { ethUsd, aaveUsd, ghoUsd } = market.prices;
+            return { AAVE: aaveUsd, GHO: ghoUsd, ETH: ethUsd };
+        },
+
+        executeArgs(_adapter, candidate, minProfit) {
+            return [
+                market.proposalAddress,
+                candidate.borrowToken,
+                ethers.parseUnits(candidate.amount, candidate.decimals ?? 18),
+                candidate.direction,
+                minProfit,
+            ];
+        },
+    });
+}
+
+module.exports = { create, AAVE_V2_ABI };
@@ -0,0 +1,60 @@
+/**
+ * AAVE/GHO market on AaveFlashArbitrageV6 (formerly scripts/arb-bot-aave-v6.js).
+ *
+ * V6 always borrows AAVE; both directions are checked at every size (no early
+ * exit, reverts usually just mean negative profit). Net profit threshold is
+ * configured in USD and converted to AAVE at the configured AAVE/ETH ratio
+ * and the oracle's ETH price (the configured ethUsd when it has none).
+ */
+
+const { ethers } = require("ethers");
+const { DIRECTION, createFlashArbAdapter } = require("./base");
+
+const AAVE_V6_ABI = [
+    "function executeArbitrage(address proposalAddress, uint256 borrowAmount, uint8 direction, uint256 minProfit) returns (tuple(bool success, uint256 profit, uint256 borrowAmount, uint256 gasUsed) result)",
+    "event ArbitrageExecuted(address indexed caller, address indexed proposal, uint8 direction, uint256 borrowAmount, uint256 profit, uint256 gasUsed)",
+    "error ArbitrageFailed(uint256 balanceAfter, uint256 required, string reason)",
+    "error InvalidProposal(address proposal)",
+];
+
+function create(market) {
+    return createFlashArbAdapter(market, {
+        abi: AAVE_V6_ABI,
+        units: { SPOT_SPLIT: "AAVE", MERGE_SPOT: "AAVE" },
+
+        // Gas used is ~500k-1M; estimatedGas is the conservative figure for the ladder
+        async readState(_adapter, scan) {
+            const ethUsd = scan.oraclePrices?.ETH ?? market.prices.ethUsd;
+            return { usdPerAave: market.prices.aaveEth * ethUsd, ethUsd };
+        },
+
+        buildSizeCandidates(_adapter, state) {
+            const minNetProfit = market.minNetProfitUsd / state.usdPerAave;
+            const ladder = strategy => ({
+                strategy,
+                direction: DIRECTION[strategy],
+                borrowToken: market.tokens.AAVE,
+                unit: "AAVE",
+                amounts: market.tradeSizes,
+                minNetProfit,
+                maxReverts: Infinity,
+            });
+            return [ladder("SPOT_SPLIT"), ladder("MERGE_SPOT")];
+        },
+
+        referencePrices(_adapter, state) {
+            return { AAVE: state.usdPerAave, ETH: state.ethUsd };
+        },
+
+        executeArgs(_adapter, candidate, minProfit) {
+            return [
+                market.proposalAddress,
+                ethers.parseUnits(candidate.amount, candidate.decimals ?? 18),
+                candidate.direction,
+                minProfit,
+            ];
+        },
+    });
+}
+
+module.exports = { create, AAVE_V6_ABI };
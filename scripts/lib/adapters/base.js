@@ -0,0 +1,306 @@
+/**
+ * Base market adapter for our flash arbitrage contracts.
+ *
+ * Every contract in contracts/ exposes executeArbitrage(...) returning a result
+ * struct with a `profit` field, so simulate (staticCall) and execute (send)
+ * are the same call with different args. A concrete adapter only supplies:
+ *
+ *   abi                                  human-readable contract ABI
+ *   executeArgs(adapter, cand, minProfit) executeArbitrage positional args
+ *   loadProposal(adapter)                proposal info, throws if unusable
+ *   readState(adapter, scan)             per-cycle prices/pool snapshot; view
+ *                                        calls go through scan.reads, which
+ *                                        batches them into Multicall3 at the
+ *                                        scan's block (scripts/lib/multicall.js)
+ *   buildSizeCandidates(adapter, state)  size ladders, one per strategy
+ *   evaluate(adapter, sim, cand, state)  optional: { netProfit, value }; default
+ *                                        nets gas out of the profit and values
+ *                                        it in USD (scripts/lib/profitability.js)
+ *   units                                { strategy: profit unit }, for logs
+ *                                        that predate the unit field
+ *   referencePrices(adapter, state)      { SYMBOL: USD } for the profit units and
+ *                                        the gas token: converts gas into the
+ *                                        profit unit, and is recorded with each
+ *                                        trade for profit-report.js. The price
+ *                                        oracle (scripts/lib/oracle.js) wins for
+ *                                        every symbol it prices; the adapter's
+ *                                        own quotes cover the rest (VLR, AAVE)
+ *
+ * Adapters that can price their route off-chain (scripts/lib/pricing.js)
+ * pass each ladder through modelSizedLadder(), which swaps the size grid
+ * for the single profit-maximizing amount. If they also supply the pool
+ * model hooks below, adapter.poolModel lets the backtester
+ * (scripts/lib/backtest.js) feed them replayed pool state instead of RPC reads:
+ *
+ *   poolKind                             "algebra" | "uniswap-v3"
+ *   poolAddresses(adapter)               { name: pool address }
+ *   proposalFromConfig(market)           loadProposal's result, from the config
+ *   stateFromPools(adapter, pools)       readState's result from pool snapshots
+ *   routeOutput(adapter, pools, strategy, amount, out)
+ *                                        route output in borrow-token wei; `out`
+ *                                        performs each CLMM swap
+ */
+
+const { ethers } = require("ethers");
+const { optimizeBorrow } = require("../pricing");
+const { CHAINS, getProvider, getSigner, getTxExplorerUrl } = require("../chains");
+const { createSubmitter } = require("../submission");
+const { createTxManager } = require("../tx-manager");
+const { configuredGas, gasMargin, gasPriceOf, nativeSymbolOf, netOfGas, checkNetProfit } = require("../profitability");
+const { getPriceOracle } = require("../oracle");
+const { createBatchReader } = require("../multicall");
+const { describeRevert: decodeRevertReason, replayRevert } = require("../reverts");
+const { generatePostmortem } = require("../postmortem");
+
+const DIRECTION = { SPOT_SPLIT: 0, MERGE_SPOT: 1 };
+
+/** Shortest decimal string for a float amount (ladders are built in floats). */
+function formatAmount(value, decimals = 18) {
+    const fixed = Number(value).toFixed(Math.min(decimals, 18));
+    return fixed.includes(".") ? fixed.replace(/\.?0+$/, "") : fixed;
+}
+
+/** Short human-readable reason for a failed staticCall / send (scripts/lib/reverts.js). */
+function describeRevert(error, iface, unit = "") {
+    return decodeRevertReason(error, { iface, unit });
+}
+
+/**
+ * Size a ladder from the route model: one amount (the optimum) instead of the
+ * grid, so the cycle costs a single confirming staticCall. No profitable size
+ * skips the strategy; a model error keeps the original grid.
+ * @param {object} ladder    ladder from buildSizeCandidates
+ * @param {Function} profitFn bigint borrow amount → bigint profit, in ladder units
+ * @param {object} [options] { start, max } in wei (defaults: 1e-6 units, no cap)
+ */
+function modelSizedLadder(ladder, profitFn, options = {}) {
+    if (ladder.skip) return ladder;
+    const decimals = ladder.decimals ?? 18;
+    try {
+        const best = optimizeBorrow(profitFn, {
+            start: options.start ?? 10n ** BigInt(Math.max(decimals - 6, 0)),
+            max: options.max,
+        });
+        if (!best) return { ...ladder, amounts: [], skip: "model: no profitable size" };
+
+        const amount = ethers.formatUnits(best.amount, decimals);
+        const expected = parseFloat(ethers.formatUnits(best.profit, decimals));
+        console.log(`   🧮 ${ladder.strategy} model optimum: ${amount} ${ladder.unit} → ${expected.toFixed(6)} ${ladder.unit} (${best.evaluations} quotes)`);
+        return { ...ladder, amounts: [amount], expectedProfits: [expected] };
+    } catch (e) {
+        console.log(`   ⚠️  ${ladder.strategy} model failed, using size grid: ${e.message.slice(0, 80)}`);
+        return ladder;
+    }
+}
+
+/** Fee-bump settings: the chain's fee model and block time, market "replacement" overrides. */
+function txManagerOptions(market) {
+    const chain = CHAINS[market.chainId] || {};
+    const replacement = market.replacement || {};
+    return {
+        eip1559: chain.eip1559,
+        stallMs: (replacement.stallBlocks || 3) * (chain.blockTimeMs || 12000),
+        bumpPercent: replacement.bumpPercent,
+        maxBumps: replacement.maxBumps,
+        maxFeeGwei: replacement.maxFeeGwei,
+    };
+}
+
+/**
+ * Build an adapter object for one market config entry.
+ * @param {object} market entry from scripts/lib/markets.js
+ * @param {object} spec   contract-specific hooks (see file header)
+ */
+function createFlashArbAdapter(market, spec) {
+    const adapter = {
+        id: market.id,
+        label: market.label || market.id,
+        chainId: market.chainId,
+        market,
+        provider: null,
+        signer: null,
+        contract: null,
+        proposal: null,
+        submitter: null,
+        txManager: null,
+        oracle: null,
+
+        /** Connect provider, optional signer (with its tx manager and submitter), contract and price oracle. */
+        async connect() {
+            adapter.provider = await getProvider(market.chainId);
+            adapter.oracle = getPriceOracle(market.chainId);
+            adapter.signer = getSigner(adapter.provider, market.keyEnv || "PRIVATE_KEY");
+            if (adapter.signer) {
+                adapter.txManager = createTxManager(adapter.signer, txManagerOptions(market));
+                adapter.submitter = createSubmitter(adapter.signer, market.submission, { txManager: adapter.txManager });
+            }
+            if (market.contractAddress) {
+                adapter.contract = new ethers.Contract(market.contractAddress, spec.abi, adapter.signer || adapter.provider);
+            }
+            return adapter;
+        },
+
+        get canExecute() {
+            return Boolean(adapter.contract && adapter.signer);
+        },
+
+        async loadProposal() {
+            adapter.proposal = spec.loadProposal ? await spec.loadProposal(adapter) : { proposal: market.proposalAddress };
+            return adapter.proposal;
+        },
+
+        /**
+         * Oracle prices of the profit units and gas token, then the adapter's
+         * own state, read in Multicall3 batches at the scan's block.
+         */
+        async readState(scan) {
+            const symbols = [...new Set([...Object.values(adapter.units), nativeSymbolOf(market)].filter(Boolean))];
+            const oraclePrices = adapter.oracle ? await adapter.oracle.prices(symbols.map(s => s.toUpperCase())) : {};
+            const reads = createBatchReader(adapter.provider, { blockTag: scan.block });
+            const extra = spec.readState ? await spec.readState(adapter, { ...scan, oraclePrices, reads }) : {};
+            if (reads.stats.calls > 0) {
+                console.log(`  Reads: ${reads.stats.calls} calls in ${reads.stats.requests} RPC requests at block ${reads.stats.blockTag}`);
+            }
+            return { ...scan, oraclePrices, reads: { ...reads.stats }, ...extra };
+        },
+
+        async buildSizeCandidates(state) {
+            return spec.buildSizeCandidates(adapter, state);
+        },
+
+        async simulate(candidate) {
+            const decimals = candidate.decimals ?? 18;
+            const args = spec.executeArgs(adapter, candidate, 0n);
+            try {
+                const result = await adapter.contract.executeArbitrage.staticCall(
+                    ...args,
+                    { gasLimit: market.gasLimit }
+                );
+                return {
+                    success: result.success !== false,
+                    amount: candidate.amount,
+                    profitRaw: result.profit,
+                    profit: parseFloat(ethers.formatUnits(result.profit, decimals)),
+                };
+            } catch (e) {
+                return { success: false, amount: candidate.amount, error: describeRevert(e, adapter.contract.interface, candidate.unit) };
+            }
+        },
+
+        /** Net of gas at the configured gas figure; value in USD to compare strategies. */
+        evaluate(sim, candidate, state) {
+            if (spec.evaluate) return spec.evaluate(adapter, sim, candidate, state);
+            const prices = adapter.referencePrices(state);
+            const { netProfit } = netOfGas({
+                profit: sim.profit,
+                unit: candidate.unit,
+                gasUnits: configuredGas(market),
+                gasPrice: gasPriceOf(state.feeData),
+                gasSymbol: nativeSymbolOf(market),
+                prices,
+                margin: gasMargin(market),
+            });
+            // unpriced gas: rank by gross profit, checkProfit() refuses to execute
+            const net = netProfit ?? sim.profit;
+            const usd = prices[String(candidate.unit).toUpperCase()];
+            return { netProfit: net, value: usd > 0 ? net * usd : net };
+        },
+
+        /**
+         * eth_estimateGas of executeArbitrage at this size; null without a
+         * signer (dry runs), where it would run from the zero address that
+         * admin-gated contracts reject.
+         */
+        async estimateGas(candidate) {
+            if (!adapter.signer) return null;
+            const args = spec.executeArgs(adapter, candidate, 0n);
+            return adapter.contract.executeArbitrage.estimateGas(...args);
+        },
+
+        /** Execution gate: estimated gas, fresh fees, margin (see profitability.js). */
+        checkProfit(selected, state) {
+            return checkNetProfit(adapter, selected, state);
+        },
+
+        /**
+         * Send the trade through the market's submitter (public mempool or
+         * private relay, scripts/lib/submission.js); minProfit is a fraction
+         * of the simulated profit.
+         */
+        async execute(candidate, sim) {
+            const factor = BigInt(Math.round((market.minProfitFactor || 0) * 10000));
+            const minProfit = (sim.profitRaw * factor) / 10000n;
+            const args = spec.executeArgs(adapter, candidate, minProfit);
+            const request = await adapter.contract.executeArbitrage.populateTransaction(...args, { gasLimit: market.gasLimit });
+            return adapter.submitter.send(request);
+        },
+
+        poolModel: spec.stateFromPools ? {
+            kind: spec.poolKind,
+            addresses: () => spec.poolAddresses(adapter),
+            proposalFromConfig: () => spec.proposalFromConfig(market),
+            stateFromPools: pools => spec.stateFromPools(adapter, pools),
+            routeOutput: (pools, strategy, amount, out) => spec.routeOutput(adapter, pools, strategy, amount, out),
+        } : null,
+
+        units: spec.units || {},
+
+        referencePrices(state) {
+            const own = spec.referencePrices ? spec.referencePrices(adapter, state) : {};
+            return { ...own, ...(state.oraclePrices || {}) };
+        },
+
+        /** Profit from the receipt's ArbitrageExecuted event (null if absent). */
+        realizedProfit(receipt, candidate) {
+            if (!adapter.contract) return null;
+            const target = (receipt.to || "").toLowerCase();
+            for (const log of receipt.logs || []) {
+                if (target && log.address.toLowerCase() !== target) continue;
+                let parsed = null;
+                try {
+                    parsed = adapter.contract.interface.parseLog(log);
+                } catch (_) { /* another contract's event */ }
+                if (parsed && parsed.name === "ArbitrageExecuted") {
+                    const raw = parsed.args.profit;
+                    return { raw, profit: parseFloat(ethers.formatUnits(raw, candidate.decimals ?? 18)) };
+                }
+            }
+            return null;
+        },
+
+        describeError(error, unit) {
+            return describeRevert(error, adapter.contract?.interface, unit);
+        },
+
+        /** Why a mined trade reverted: replayed at its parent block and decoded. */
+        async revertReason(receipt, unit) {
+            const replay = await replayRevert(adapter.provider, receipt.hash);
+            if (replay.outOfGas) return `out of gas (${receipt.gasUsed} gas used)`;
+            if (!replay.error) return `reverted, but passes at block ${replay.blockTag} (state changed earlier in block ${receipt.blockNumber})`;
+            return describeRevert(replay.error, adapter.contract?.interface, unit);
+        },
+
+        /**
+         * Replay a reverted trade on a local fork, call-traced, and write its
+         * post-mortem (scripts/lib/postmortem.js) → { file, report }.
+         * @param {object} options { simulation, unit, decimals, dir }
+         */
+        async postmortem(receipt, options = {}) {
+            return generatePostmortem({ provider: adapter.provider, hash: receipt.hash, adapter, ...options });
+        },
+
+        txUrl(txHash) {
+            return getTxExplorerUrl(market.chainId, txHash);
+        },
+    };
+    return adapter;
+}
+
+module.exports = {
+    DIRECTION,
+    formatAmount,
+    describeRevert,
+    modelSizedLadder,
+    txManagerOptions,
+    createFlashArbAdapter,
+};
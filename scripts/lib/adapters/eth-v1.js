@@ -0,0 +1,143 @@
+/**
+ * ETH/USDS market on ETHFlashArbitrageV1 (formerly scripts/arb-bot-eth.js).
+ *
+ * Conditional pool mid vs WETH/USDC spot (USDS == USD). Only fires when the
+ * divergence exceeds the threshold; direction follows its sign. The borrow is
+ * sized by pricing the route (Uniswap V3 YES/NO pools, 1:1 Sky PSM, V3 spot)
+ * tick by tick; with "sizing": "ladder" or when the pools cannot be read,
+ * size search walks a geometric ladder and stops once profit declines past
+ * the peak. Without a contract or key the market runs in price-scan-only mode.
+ */
+
+const { ethers } = require("ethers");
+const { DIRECTION, formatAmount, modelSizedLadder, createFlashArbAdapter } = require("./base");
+const { loadPoolState } = require("../clmm");
+const { clmmOut, splitSellMerge } = require("../pricing");
+
+const ETH_ARB_ABI = [
+    "function executeArbitrage(uint256 borrowAmount, uint8 direction, uint256 minProfit, uint256 slippageBps) returns (tuple(bool success, uint256 profit, uint256 borrowAmount, uint256 gasUsed) result)",
+    "event ArbitrageExecuted(address indexed caller, uint8 direction, uint256 borrowAmount, uint256 profit, uint256 slippageBps, uint256 gasUsed)",
+    "error ArbitrageFailed(uint256 balanceAfter, uint256 required, string reason)",
+];
+
+// Sky LitePSM wrapper: USDS (18 dec) ↔ USDC (6 dec) at 1:1, tin/tout = 0
+const GEM_CONVERSION = 10n ** 12n;
+
+const POOL_ABI = [
+    "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+];
+
+/** price of token1 per token0 in raw units, from sqrtPriceX96 */
+function rawPrice(sqrtPriceX96) {
+    const p = Number(sqrtPriceX96) / 2 ** 96;
+    return p * p;
+}
+
+function create(market) {
+    return createFlashArbAdapter(market, {
+        abi: ETH_ARB_ABI,
+        units: { SPOT_SPLIT: "WETH", MERGE_SPOT: "WETH" },
+
+        async readState(adapter, { reads }) {
+            const pool = addr => new ethers.Contract(addr, POOL_ABI, reads);
+            const [yesSlot, noSlot, spotSlot] = await Promise.all([
+                pool(market.pools.yes).slot0(),
+                pool(market.pools.no).slot0(),
+                pool(market.pools.spot).slot0(),
+            ]);
+
+            // YES pool: token0 YES_WETH, token1 YES_USDS => raw = USDS per WETH
+            const yesPrice = rawPrice(yesSlot.sqrtPriceX96);
+            // NO pool: token0 NO_USDS, token1 NO_WETH => raw = WETH per USDS => invert
+            const noPrice = 1 / rawPrice(noSlot.sqrtPriceX96);
+            // Spot: token0 USDC (6), token1 WETH (18) => USDC per WETH = 1e12 / raw
+            const spotPrice = 1e12 / rawPrice(spotSlot.sqrtPriceX96);
+
+            const condMid = (yesPrice + noPrice) / 2;
+            const divergence = (condMid - spotPrice) / spotPrice;
+
+            let pools = null;
+            if (market.sizing !== "ladder" && adapter.canExecute && Math.abs(divergence) > market.divergenceThreshold) {
+                try {
+                    const load = address => loadPoolState(reads, address, { kind: "uniswap-v3" });
+                    const [yes, no, spot] = await Promise.all([load(market.pools.yes), load(market.pools.no), load(market.pools.spot)]);
+                    pools = { yes, no, spot };
+                } catch (e) {
+                    console.log("  Pool tick read failed; using size ladder:", e.message?.slice(0, 120));
+                }
+            }
+
+            return {
+                prices: { yes: yesPrice, no: noPrice, mid: condMid, spot: spotPrice },
+                spotPrice,
+                divergence,
+                pools,
+            };
+        },
+
+        buildSizeCandidates(adapter, state) {
+            // Conditional rich vs spot => SPOT_SPLIT; cheap vs spot => MERGE_SPOT
+            const strategy = state.divergence > 0 ? "SPOT_SPLIT" : "MERGE_SPOT";
+            let skip = null;
+            if (Math.abs(state.divergence) <= market.divergenceThreshold) {
+                skip = "below-threshold";
+            } else if (!adapter.canExecute) {
+                skip = "no-contract-or-key (price-scan-only)";
+            }
+
+            // Profit(size) is unimodal, so a geometric ladder plus early stop
+            // after the peak finds the max-profit size at any pool depth.
+            const amounts = [];
+            for (let a = market.testAmounts[0]; a <= market.maxBorrow; a *= market.sizeGrowth) {
+                amounts.push(formatAmount(a));
+            }
+
+            const ladder = {
+                strategy,
+                direction: DIRECTION[strategy],
+                borrowToken: market.tokens.WETH,
+                unit: "WETH",
+                amounts,
+                minNetProfit: 0,
+                maxDeclines: 2,
+                maxReverts: 3,
+                skip,
+            };
+            if (!state.pools) return [ladder];
+
+            const { yes, no, spot } = state.pools;
+            const t = { ...market.tokens, ...market.outcomeTokens };
+            const profitFn = strategy === "SPOT_SPLIT"
+                // WETH → YES/NO_WETH → YES/NO_USDS → USDS → USDC → WETH
+                ? amount => {
+                    const usds = splitSellMerge(yes, no, t.YES_WETH, t.NO_WETH, amount);
+                    return clmmOut(spot, t.USDC, usds / GEM_CONVERSION) - amount;
+                }
+                // WETH → USDC → USDS → YES/NO_USDS → YES/NO_WETH → WETH
+                : amount => {
+                    const usds = clmmOut(spot, t.WETH, amount) * GEM_CONVERSION;
+                    return splitSellMerge(yes, no, t.YES_USDS, t.NO_USDS, usds) - amount;
+                };
+            return [modelSizedLadder(ladder, profitFn, {
+                start: ethers.parseEther(formatAmount(market.testAmounts[0])),
+                max: ethers.parseEther(formatAmount(market.maxBorrow)),
+            })];
+        },
+
+        referencePrices(_adapter, state) {
+            return { WETH: state.spotPrice, ETH: state.spotPrice, USDS: 1, USDC: 1 };
+        },
+
+        executeArgs(_adapter, candidate, minProfit) {
+            const floor = ethers.parseEther(market.minProfitWeth);
+            return [
+                ethers.parseUnits(candidate.amount, candidate.decimals ?? 18),
+                candidate.direction,
+                minProfit > floor ? minProfit : floor,
+                market.slippageBps,
+            ];
+        },
+    });
+}
+
+module.exports = { create, ETH_ARB_ABI };
@@ -0,0 +1,106 @@
+/**
+ * GNO/sDAI market on GnosisFlashArbitrageV4 (formerly scripts/arb-bot.js).
+ *
+ * Fixed size ladders for both strategies. Gas is paid in xDAI and converted
+ * to GNO / sDAI at the oracle's prices; the configured gnoPriceSdai (sDAI
+ * treated as ~1 xDAI) only stands in when the oracle has none.
+ */
+
+const { ethers } = require("ethers");
+const { DIRECTION, createFlashArbAdapter } = require("./base");
+
+// Shared by every GnosisFlashArbitrage (V4/V5) deployment
+const GNOSIS_ARB_ABI = [
+    "function executeArbitrage(address proposalAddress, address borrowToken, uint256 borrowAmount, uint8 direction, uint256 minProfit) returns (tuple(bool success, uint256 profit, uint256 leftoverYesGno, uint256 leftoverNoGno, uint256 leftoverYesSdai, uint256 leftoverNoSdai, uint256 leftoverGno, uint256 leftoverSdai) result)",
+    "function loadProposal(address proposalAddress) view returns (tuple(address proposal, address collateralToken1, address collateralToken2, address yesGno, address noGno, address yesSdai, address noSdai, address yesPool, address noPool, bool isValid) info)",
+    "event ArbitrageExecuted(address indexed caller, address indexed proposal, uint8 direction, address borrowToken, uint256 borrowAmount, uint256 profit)",
+    "error ArbitrageFailed(uint256 balanceAfter, uint256 borrowAmount, string reason)",
+];
+
+// Profit unit per strategy (the borrowed token)
+const GNOSIS_UNITS = { SPOT_SPLIT: "GNO", MERGE_SPOT: "sDAI" };
+
+async function loadGnosisProposal(adapter) {
+    const info = await adapter.contract.loadProposal(adapter.market.proposalAddress);
+    if (!info.isValid) {
+        throw new Error(`Proposal ${adapter.market.proposalAddress} is not a GNO/sDAI proposal`);
+    }
+    if (info.yesPool === ethers.ZeroAddress || info.noPool === ethers.ZeroAddress) {
+        // code lets the proposal watcher retry once the pools are created
+        throw Object.assign(new Error(`Proposal ${adapter.market.proposalAddress} has no YES/NO Algebra pools yet`), { code: "POOLS_MISSING" });
+    }
+    return {
+        proposal: info.proposal,
+        yesGno: info.yesGno,
+        noGno: info.noGno,
+        yesSdai: info.yesSdai,
+        noSdai: info.noSdai,
+        yesPool: info.yesPool,
+        noPool: info.noPool,
+    };
+}
+
+/** The same proposal info from the market config, without an RPC (backtests). */
+function gnosisProposalFromConfig(market) {
+    const { outcomeTokens: t = {}, pools = {} } = market;
+    return {
+        proposal: market.proposalAddress,
+        yesGno: t.YES_GNO,
+        noGno: t.NO_GNO,
+        yesSdai: t.YES_SDAI,
+        noSdai: t.NO_SDAI,
+        yesPool: pools.yes,
+        noPool: pools.no,
+    };
+}
+
+function gnosisExecuteArgs(adapter, candidate, minProfit) {
+    return [
+        adapter.market.proposalAddress,
+        candidate.borrowToken,
+        ethers.parseUnits(candidate.amount, candidate.decimals ?? 18),
+        candidate.direction,
+        minProfit,
+    ];
+}
+
+function create(market) {
+    return createFlashArbAdapter(market, {
+        abi: GNOSIS_ARB_ABI,
+        loadProposal: loadGnosisProposal,
+        executeArgs: gnosisExecuteArgs,
+        units: GNOSIS_UNITS,
+
+        async readState() {
+            // Fallback GNO price for gas conversion (the oracle's wins)
+            return { gnoPriceSdai: market.gnoPriceSdai };
+        },
+
+        buildSizeCandidates() {
+            return [
+                {
+                    strategy: "SPOT_SPLIT",
+                    direction: DIRECTION.SPOT_SPLIT,
+                    borrowToken: market.tokens.GNO,
+                    unit: "GNO",
+                    amounts: market.ladders.SPOT_SPLIT,
+                    minNetProfit: market.minNetProfit.SPOT_SPLIT,
+                },
+                {
+                    strategy: "MERGE_SPOT",
+                    direction: DIRECTION.MERGE_SPOT,
+                    borrowToken: market.tokens.SDAI,
+                    unit: "sDAI",
+                    amounts: market.ladders.MERGE_SPOT,
+                    minNetProfit: market.minNetProfit.MERGE_SPOT,
+                },
+            ];
+        },
+
+        referencePrices(_adapter, state) {
+            return { GNO: state.gnoPriceSdai, SDAI: 1, XDAI: 1 };
+        },
+    });
+}
+
+module.exports = { create, GNOSIS_ARB_ABI, GNOSIS_UNITS, loadGnosisProposal, gnosisProposalFromConfig, gnosisExecuteArgs };
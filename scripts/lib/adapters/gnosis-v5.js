@@ -0,0 +1,144 @@
+/**
+ * GNO/sDAI market on GnosisFlashArbitrageV5 (formerly scripts/arb-bot-gnosis-new.js).
+ *
+ * Liquidity-aware: reads the YES/NO/spot pools and only tests the strategy the
+ * divergence points to. The route (split → YES/NO pools → merge → spot pool,
+ * all Algebra) is priced tick by tick to pick the profit-maximizing borrow;
+ * "sizing": "ladder" (or a model failure) falls back to fractions of the
+ * bottleneck pool's tick-aware depth. Gas (pennies in xDAI) is netted out at
+ * the spot GNO price. The state and route are pure functions of the pool
+ * snapshots, which is what lets scripts/backtest.js replay this market.
+ */
+
+const { ethers } = require("ethers");
+const { DIRECTION, formatAmount, modelSizedLadder, createFlashArbAdapter } = require("./base");
+const { loadPoolState, poolDepth } = require("../clmm");
+const { clmmOut, splitSellMerge } = require("../pricing");
+const { GNOSIS_ARB_ABI, GNOSIS_UNITS, loadGnosisProposal, gnosisProposalFromConfig, gnosisExecuteArgs } = require("./gnosis-v4");
+
+const Q96 = 2 ** 96;
+
+// Depth = input that moves a conditional pool's price 2x (walking its ticks)
+const DEPTH_PRICE_MOVE = 1;
+
+const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+const toFloat = wei => parseFloat(ethers.formatEther(wei));
+
+/** Tick-aware depth of the bottleneck YES/NO pool, in GNO and sDAI terms. */
+function conditionalDepth(yes, no, p) {
+    const inToken = (pool, token) => {
+        const depth = poolDepth(pool, DEPTH_PRICE_MOVE);
+        return same(pool.token0, token) ? depth.token0Amount : depth.token1Amount;
+    };
+    const min = (a, b) => (a < b ? a : b);
+    return {
+        token0Amount: toFloat(min(inToken(yes, p.yesSdai), inToken(no, p.noSdai))),
+        token1Amount: toFloat(min(inToken(yes, p.yesGno), inToken(no, p.noGno))),
+    };
+}
+
+/**
+ * sDAI per GNO in a pool of a GNO-side and an sDAI-side token, oriented by
+ * its token0: discovered proposals' outcome tokens sort either way.
+ */
+function sdaiPerGno(pool, gnoToken) {
+    const price = (Number(pool.sqrtPriceX96) / Q96) ** 2;   // token1 per token0
+    return same(pool.token0, gnoToken) ? price : 1 / price;
+}
+
+function create(market) {
+    const spec = {
+        abi: GNOSIS_ARB_ABI,
+        loadProposal: loadGnosisProposal,
+        executeArgs: gnosisExecuteArgs,
+        units: GNOSIS_UNITS,
+
+        poolKind: "algebra",
+        proposalFromConfig: gnosisProposalFromConfig,
+
+        poolAddresses(adapter) {
+            return { yes: adapter.proposal.yesPool, no: adapter.proposal.noPool, spot: market.pools.spot };
+        },
+
+        async readState(adapter, { reads }) {
+            const addresses = spec.poolAddresses(adapter);
+            const names = Object.keys(addresses);
+            const snapshots = await Promise.all(names.map(name =>
+                loadPoolState(reads, addresses[name], { kind: spec.poolKind })
+            ));
+            return spec.stateFromPools(adapter, Object.fromEntries(names.map((name, i) => [name, snapshots[i]])));
+        },
+
+        stateFromPools(adapter, { yes, no, spot }) {
+            const depth = conditionalDepth(yes, no, adapter.proposal);
+
+            const p = adapter.proposal;
+            const yesPrice = sdaiPerGno(yes, p.yesGno);
+            const noPrice = sdaiPerGno(no, p.noGno);
+            const spotPrice = sdaiPerGno(spot, market.tokens.GNO);
+            const divergence = yesPrice / spotPrice - 1;
+
+            console.log(`  Prices: YES=${yesPrice.toFixed(2)} NO=${noPrice.toFixed(2)} SPOT=${spotPrice.toFixed(2)} sDAI/GNO`);
+            console.log(`  Pool depth: ${depth.token1Amount.toFixed(4)} GNO + ${depth.token0Amount.toFixed(2)} sDAI`);
+
+            const pools = market.sizing !== "ladder" ? { yes, no, spot } : null;
+            return { prices: { yes: yesPrice, no: noPrice, spot: spotPrice }, spotPrice, divergence, depth, pools };
+        },
+
+        buildSizeCandidates(adapter, state) {
+            const gnoAmounts = [];
+            const sdaiAmounts = [];
+            for (const f of market.depthFractions) {
+                const gno = state.depth.token1Amount * f;
+                const sdai = state.depth.token0Amount * f;
+                if (gno >= 0.000001) gnoAmounts.push(formatAmount(gno, 8));
+                if (sdai >= 0.0001) sdaiAmounts.push(formatAmount(sdai, 6));
+            }
+
+            const minDiv = market.minDivergence;
+            const divPct = (state.divergence * 100).toFixed(2);
+            const ladders = [
+                {
+                    strategy: "SPOT_SPLIT",
+                    direction: DIRECTION.SPOT_SPLIT,
+                    borrowToken: market.tokens.GNO,
+                    unit: "GNO",
+                    amounts: gnoAmounts,
+                    minNetProfit: market.minNetProfit.SPOT_SPLIT,
+                    skip: state.divergence > minDiv ? null : `divergence ${divPct}% too low`,
+                },
+                {
+                    strategy: "MERGE_SPOT",
+                    direction: DIRECTION.MERGE_SPOT,
+                    borrowToken: market.tokens.SDAI,
+                    unit: "sDAI",
+                    amounts: sdaiAmounts,
+                    minNetProfit: market.minNetProfit.MERGE_SPOT,
+                    skip: state.divergence < -minDiv ? null : `divergence ${divPct}% wrong direction`,
+                },
+            ];
+            if (!state.pools) return ladders;
+
+            return ladders.map(ladder => modelSizedLadder(ladder, amount =>
+                spec.routeOutput(adapter, state.pools, ladder.strategy, amount) - amount));
+        },
+
+        routeOutput(adapter, { yes, no, spot }, strategy, amount, out = clmmOut) {
+            // SPOT_SPLIT: GNO → YES/NO_GNO → YES/NO_sDAI → sDAI → GNO (spot)
+            // MERGE_SPOT: sDAI → YES/NO_sDAI → YES/NO_GNO → GNO → sDAI (spot)
+            const p = adapter.proposal;
+            if (strategy === "SPOT_SPLIT") {
+                return out(spot, market.tokens.SDAI, splitSellMerge(yes, no, p.yesGno, p.noGno, amount, out));
+            }
+            return out(spot, market.tokens.GNO, splitSellMerge(yes, no, p.yesSdai, p.noSdai, amount, out));
+        },
+
+        // sDAI ~ 1 xDAI; stands in for the oracle's prices when it has none
+        referencePrices(_adapter, state) {
+            return { GNO: state.spotPrice, SDAI: 1, XDAI: 1 };
+        },
+    };
+    return createFlashArbAdapter(market, spec);
+}
+
+module.exports = { create };
@@ -0,0 +1,37 @@
+/**
+ * Adapter lookup: market.adapter names one of the modules in this directory.
+ */
+
+const { listMarkets, getMarket } = require("../markets");
+
+const ADAPTERS = {
+    "gnosis-v4": require("./gnosis-v4"),
+    "gnosis-v5": require("./gnosis-v5"),
+    "pnk": require("./pnk"),
+    "aave-v2": require("./aave-v2"),
+    "aave-v6": require("./aave-v6"),
+    "eth-v1": require("./eth-v1"),
+    "vlr-v3": require("./vlr-v3"),
+};
+
+function createAdapter(market) {
+    const mod = ADAPTERS[market.adapter];
+    if (!mod) throw new Error(`Market ${market.id}: unknown adapter "${market.adapter}"`);
+    return mod.create(market);
+}
+
+/**
+ * Connected adapter of the configured market whose contract is `address` on
+ * `chainId` (null: not one of ours).
+ */
+async function findAdapterByContract(chainId, address) {
+    for (const id of listMarkets()) {
+        const market = getMarket(id);
+        if (market.chainId !== Number(chainId)) continue;
+        const adapter = await createAdapter(market).connect();
+        if (adapter.contract && (await adapter.contract.getAddress()).toLowerCase() === (address || "").toLowerCase()) return adapter;
+    }
+    return null;
+}
+
+module.exports = { ADAPTERS, createAdapter, findAdapterByContract };
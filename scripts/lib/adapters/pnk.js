@@ -0,0 +1,225 @@
+/**
+ * PNK/sDAI market on PNKFlashArbitrage (formerly scripts/arb-bot-pnk.js).
+ *
+ * Always borrows WETH from Balancer V3. Both routes (DXswap PNK/WETH,
+ * Algebra YES/NO pools, sDAI vault, Honeyswap WETH/WXDAI) are priced from
+ * pool state to pick the profit-maximizing borrow. With "sizing": "ladder"
+ * or when the model cannot be built, sizes are fractions of the bottleneck
+ * conditional pool depth (tick-aware) converted to WETH, then a fixed WETH
+ * grid.
+ */
+
+const { ethers } = require("ethers");
+const { DIRECTION, formatAmount, modelSizedLadder, createFlashArbAdapter } = require("./base");
+const { loadPoolState, poolDepth } = require("../clmm");
+const { splitSellMerge, v2Out, vaultDeposit, vaultRedeem, loadVault } = require("../pricing");
+const { createBatchReader } = require("../multicall");
+
+const PNK_ARB_ABI = [
+    "function executeArbitrage(address proposalAddress, uint256 borrowAmount, uint8 direction, uint256 minProfit) returns (tuple(bool success, uint256 profit, uint256 leftoverYesPnk, uint256 leftoverNoPnk, uint256 leftoverYesSdai, uint256 leftoverNoSdai, uint256 leftoverPnk, uint256 leftoverSdai) result)",
+    "function loadProposal(address proposalAddress) view returns (tuple(address proposal, address collateralToken1, address collateralToken2, address yesPnk, address noPnk, address yesSdai, address noSdai, address yesPool, address noPool, bool isValid) info)",
+    "function pnkToken() view returns (address)",
+    "function sdaiToken() view returns (address)",
+    "function wxdaiToken() view returns (address)",
+    "function dxswapPair() view returns (address)",
+    "function wethWxdaiPair() view returns (address)",
+    "event ArbitrageExecuted(address indexed caller, address indexed proposal, uint8 direction, uint256 borrowAmount, uint256 profit)",
+    "error ArbitrageFailed(uint256 balanceAfter, uint256 borrowAmount, string reason)",
+];
+
+const UNISWAP_PAIR_ABI = [
+    "function token0() view returns (address)",
+    "function token1() view returns (address)",
+    "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+];
+
+// PNKFlashArbitrage swap fees: DXswap 0.25%, Honeyswap 0.3%
+const DX_FEE = [9975, 10000];
+const HONEY_FEE = [997, 1000];
+
+const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Depth = input that moves a conditional pool's price 2x (walking its ticks)
+const DEPTH_PRICE_MOVE = 1;
+
+function depthForToken(pool, targetToken) {
+    const depth = poolDepth(pool, DEPTH_PRICE_MOVE);
+    return parseFloat(ethers.formatEther(same(pool.token0, targetToken) ? depth.token0Amount : depth.token1Amount));
+}
+
+function getMidPriceOutPerIn(reserves, token0, token1, tokenIn, tokenOut) {
+    const [reserve0, reserve1] = reserves;
+    if (same(tokenIn, token0) && same(tokenOut, token1)) {
+        return Number(reserve0) === 0 ? null : Number(reserve1) / Number(reserve0);
+    }
+    if (same(tokenIn, token1) && same(tokenOut, token0)) {
+        return Number(reserve1) === 0 ? null : Number(reserve0) / Number(reserve1);
+    }
+    return null;
+}
+
+function buildWethTestSizes(maxBorrowWeth, fractions, minSize) {
+    if (!Number.isFinite(maxBorrowWeth) || maxBorrowWeth <= 0) return [];
+    const out = fractions
+        .map(f => maxBorrowWeth * f)
+        .filter(amt => amt >= minSize)
+        .map(amt => formatAmount(amt, 6));
+    return [...new Set(out)].filter(a => parseFloat(a) > 0).sort((a, b) => parseFloat(a) - parseFloat(b));
+}
+
+/** V2 pair snapshot from reserves already read this cycle. */
+function pairState(address, token0, reserves, [feeNum, feeDenom]) {
+    return { address, token0, reserve0: reserves[0], reserve1: reserves[1], feeNum: BigInt(feeNum), feeDenom: BigInt(feeDenom) };
+}
+
+function create(market) {
+    return createFlashArbAdapter(market, {
+        abi: PNK_ARB_ABI,
+        units: { SPOT_SPLIT: "WETH", MERGE_SPOT: "WETH" },
+
+        async loadProposal(adapter) {
+            if (!adapter.contract) {
+                throw new Error("No contract: deploy with scripts/deployPNK.js (it fills markets/pnk.json contractAddress) or set PNK_ARB_CONTRACT");
+            }
+            const info = await adapter.contract.loadProposal(market.proposalAddress);
+            if (!info.isValid) throw new Error("Proposal is not valid for PNK/sDAI arbitrage");
+            if (info.yesPool === ethers.ZeroAddress || info.noPool === ethers.ZeroAddress) {
+                throw Object.assign(new Error(`Proposal ${market.proposalAddress} has no YES/NO Algebra pools yet`), { code: "POOLS_MISSING" });
+            }
+
+            const arb = adapter.contract.connect(createBatchReader(adapter.provider));
+            const [pnkToken, sdaiToken, wxdaiToken, dxswapPair, wethWxdaiPair] = await Promise.all([
+                arb.pnkToken(),
+                arb.sdaiToken(),
+                arb.wxdaiToken(),
+                arb.dxswapPair(),
+                arb.wethWxdaiPair(),
+            ]);
+            return {
+                proposal: info.proposal,
+                yesPnk: info.yesPnk,
+                noPnk: info.noPnk,
+                yesSdai: info.yesSdai,
+                noSdai: info.noSdai,
+                yesPool: info.yesPool,
+                noPool: info.noPool,
+                pnkToken,
+                sdaiToken,
+                wxdaiToken,
+                dxswapPair,
+                wethWxdaiPair,
+            };
+        },
+
+        // One snapshot at the scan's block: pools, pairs and vault in four multicalls
+        async readState(adapter, { reads }) {
+            const p = adapter.proposal;
+            const dxPair = new ethers.Contract(p.dxswapPair, UNISWAP_PAIR_ABI, reads);
+            const wxPair = new ethers.Contract(p.wethWxdaiPair, UNISWAP_PAIR_ABI, reads);
+
+            try {
+                const [
+                    yes, no,
+                    dxToken0, dxToken1, dxReserves, wxToken0, wxToken1, wxReserves,
+                ] = await Promise.all([
+                    loadPoolState(reads, p.yesPool, { kind: "algebra" }),
+                    loadPoolState(reads, p.noPool, { kind: "algebra" }),
+                    dxPair.token0(), dxPair.token1(), dxPair.getReserves(),
+                    wxPair.token0(), wxPair.token1(), wxPair.getReserves(),
+                ]);
+
+                const depth = {
+                    yesPnk: depthForToken(yes, p.yesPnk),
+                    noPnk: depthForToken(no, p.noPnk),
+                    yesSdai: depthForToken(yes, p.yesSdai),
+                    noSdai: depthForToken(no, p.noSdai),
+                };
+
+                const pnkPerWeth = getMidPriceOutPerIn(dxReserves, dxToken0, dxToken1, market.tokens.WETH, p.pnkToken);
+                // sDAI route is WETH → WXDAI → sDAI (ERC4626); assume sDAI:WXDAI ≈ 1:1
+                const sdaiPerWeth = getMidPriceOutPerIn(wxReserves, wxToken0, wxToken1, market.tokens.WETH, p.wxdaiToken);
+
+                console.log(`  Pool depth PNK: YES=${depth.yesPnk.toFixed(6)} NO=${depth.noPnk.toFixed(6)}`);
+                console.log(`  Pool depth sDAI: YES=${depth.yesSdai.toFixed(6)} NO=${depth.noSdai.toFixed(6)}`);
+                console.log(`  Spot-rate approx: ${pnkPerWeth?.toFixed(4) || "n/a"} PNK/WETH, ${sdaiPerWeth?.toFixed(4) || "n/a"} sDAI/WETH`);
+
+                let route = null;
+                if (market.sizing !== "ladder") {
+                    try {
+                        route = {
+                            yes,
+                            no,
+                            dx: pairState(p.dxswapPair, dxToken0, dxReserves, DX_FEE),
+                            wx: pairState(p.wethWxdaiPair, wxToken0, wxReserves, HONEY_FEE),
+                            vault: await loadVault(reads, p.sdaiToken),
+                        };
+                    } catch (e) {
+                        console.log("  sDAI vault read failed; sizing from depth:", e.message?.slice(0, 120));
+                    }
+                }
+                return { depth, pnkPerWeth, sdaiPerWeth, route };
+            } catch (e) {
+                console.log("  Liquidity read failed; using fallback WETH grid:", e.message?.slice(0, 120));
+                return { depth: null };
+            }
+        },
+
+        // WXDAI per WETH from the Honeyswap pair (xDAI = 1), if the oracle has no WETH
+        referencePrices(_adapter, state) {
+            return state.sdaiPerWeth ? { WETH: state.sdaiPerWeth, XDAI: 1 } : { XDAI: 1 };
+        },
+
+        buildSizeCandidates(adapter, state) {
+            let spot = [];
+            let merge = [];
+            if (state.depth) {
+                const maxBorrowPnk = 2 * Math.min(state.depth.yesPnk, state.depth.noPnk);
+                const maxBorrowSdai = 2 * Math.min(state.depth.yesSdai, state.depth.noSdai);
+                const maxSpotWeth = state.pnkPerWeth > 0 ? maxBorrowPnk / state.pnkPerWeth : 0;
+                const maxMergeWeth = state.sdaiPerWeth > 0 ? maxBorrowSdai / state.sdaiPerWeth : 0;
+                spot = buildWethTestSizes(maxSpotWeth, market.depthFractions, 0.00005);
+                merge = buildWethTestSizes(maxMergeWeth, market.depthFractions, 0.00005);
+            }
+            if (spot.length === 0) spot = market.fallbackAmounts;
+            if (merge.length === 0) merge = market.fallbackAmounts;
+
+            const ladder = (strategy, amounts) => ({
+                strategy,
+                direction: DIRECTION[strategy],
+                borrowToken: market.tokens.WETH,
+                unit: "WETH",
+                amounts,
+                minNetProfit: market.minNetProfit,
+            });
+            const ladders = [ladder("SPOT_SPLIT", spot), ladder("MERGE_SPOT", merge)];
+            if (!state.route) return ladders;
+
+            const { yes, no, dx, wx, vault } = state.route;
+            const p = adapter.proposal;
+            const weth = market.tokens.WETH;
+            return [
+                // WETH → PNK → YES/NO_PNK → YES/NO_sDAI → sDAI → WXDAI → WETH
+                modelSizedLadder(ladders[0], amount => {
+                    const sdai = splitSellMerge(yes, no, p.yesPnk, p.noPnk, v2Out(dx, weth, amount));
+                    return v2Out(wx, p.wxdaiToken, vaultRedeem(vault, sdai)) - amount;
+                }),
+                // WETH → WXDAI → sDAI → YES/NO_sDAI → YES/NO_PNK → PNK → WETH
+                modelSizedLadder(ladders[1], amount => {
+                    const sdai = vaultDeposit(vault, v2Out(wx, weth, amount));
+                    return v2Out(dx, p.pnkToken, splitSellMerge(yes, no, p.yesSdai, p.noSdai, sdai)) - amount;
+                }),
+            ];
+        },
+
+        executeArgs(adapter, candidate, minProfit) {
+            return [
+                market.proposalAddress,
+                ethers.parseUnits(candidate.amount, candidate.decimals ?? 18),
+                candidate.direction,
+                minProfit,
+            ];
+        },
+    });
+}
+
+module.exports = { create, PNK_ARB_ABI };
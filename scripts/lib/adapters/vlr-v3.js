@@ -0,0 +1,78 @@
+/**
+ * VLR/USDS market on VLRFlashArbitrageV3 (formerly scripts/arb-bot-vlr.js).
+ *
+ * SPOT_SPLIT only. The VLR price comes from the Uniswap QuoterV2 (the price
+ * oracle does not cover VLR) and converts gas into VLR at the oracle's ETH
+ * price, the quoter's when it has none (estimatedGas 1.3M, verified on
+ * mainnet: the contract's eth_estimateGas is unreliable, so the market sets
+ * "estimateGas": false).
+ */
+
+const { ethers } = require("ethers");
+const { DIRECTION, createFlashArbAdapter } = require("./base");
+
+const VLR_ARB_ABI = [
+    "function executeArbitrage(uint256 borrowAmount, uint8 direction, uint256 minProfit, uint256 slippageBps) returns (tuple(bool success, uint256 profit, uint256 borrowAmount, uint256 gasUsed) result)",
+    "event ArbitrageExecuted(address indexed caller, uint8 direction, uint256 borrowAmount, uint256 profit, uint256 slippageBps, uint256 gasUsed)",
+    "error ArbitrageFailed(uint256 balanceAfter, uint256 required, string reason)",
+    "error SlippageExceeded(uint256 expected, uint256 actual)",
+];
+
+const QUOTER_ABI = [
+    "function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96)) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)",
+];
+
+function create(market) {
+    return createFlashArbAdapter(market, {
+        abi: VLR_ARB_ABI,
+        units: { SPOT_SPLIT: "VLR" },
+
+        async readState(_adapter, { reads }) {
+            const { tokens } = market;
+            const quoter = new ethers.Contract(market.quoter, QUOTER_ABI, reads);
+
+            // 10k VLR quote for better accuracy; both quotes in one multicall
+            const [vlrQuote, ethQuote] = await Promise.all([
+                quoter.quoteExactInputSingle.staticCall({
+                    tokenIn: tokens.VLR, tokenOut: tokens.USDC,
+                    amountIn: ethers.parseEther("10000"), fee: 3000, sqrtPriceLimitX96: 0,
+                }),
+                quoter.quoteExactInputSingle.staticCall({
+                    tokenIn: tokens.WETH, tokenOut: tokens.USDC,
+                    amountIn: ethers.parseEther("1"), fee: 500, sqrtPriceLimitX96: 0,
+                }),
+            ]);
+            const vlrUsd = parseFloat(ethers.formatUnits(vlrQuote.amountOut, 6)) / 10000;
+            const ethUsd = parseFloat(ethers.formatUnits(ethQuote.amountOut, 6));
+            console.log(`  VLR ${vlrUsd.toFixed(6)} USD | ETH ${ethUsd.toFixed(2)} USD`);
+            return { prices: { vlr: vlrUsd, eth: ethUsd }, vlrUsd };
+        },
+
+        buildSizeCandidates(_adapter, state) {
+            return [{
+                strategy: "SPOT_SPLIT",
+                direction: DIRECTION.SPOT_SPLIT,
+                borrowToken: market.tokens.VLR,
+                unit: "VLR",
+                amounts: market.testAmounts,
+                minNetProfit: market.minNetProfitUsd / state.vlrUsd,
+                maxReverts: Infinity,
+            }];
+        },
+
+        referencePrices(_adapter, state) {
+            return { VLR: state.vlrUsd, ETH: state.prices.eth };
+        },
+
+        executeArgs(_adapter, candidate, minProfit) {
+            return [
+                ethers.parseUnits(candidate.amount, candidate.decimals ?? 18),
+                candidate.direction,
+                minProfit,
+                0,
+            ];
+        },
+    });
+}
+
+module.exports = { create, VLR_ARB_ABI };
@@ -0,0 +1,617 @@
+/**
+ * ⏪ Replay backtester
+ *
+ * Rebuilds a market's pools block by block from a local JSONL dump of their
+ * Swap/Mint/Burn events and runs the bot engine's own scan (sizing, ladder
+ * walk, thresholds, strategy choice) on the replayed state, so "what would
+ * the bot have made" is answered offline by the same code that trades.
+ *
+ * Dump format (scripts/dump-pool-events.js writes it), one JSON object per
+ * line, integers above 2^53 as decimal strings:
+ *
+ *   { "type": "snapshot", "blockNumber", "address", "kind", "token0", "token1",
+ *     "fee", "tickSpacing", "sqrtPriceX96", "tick", "liquidity",
+ *     "words": [first, last], "ticks": { "<tick>": "<liquidityNet>" } }
+ *       pool state at the END of blockNumber; "words" is the loaded bitmap range
+ *   { "type": "block", "blockNumber", "timestamp", "baseFeePerGas" }
+ *   { "type": "Swap", "blockNumber", "logIndex", "txHash", "address",
+ *     "amount0", "amount1", "sqrtPriceX96", "liquidity", "tick" }
+ *   { "type": "Mint" | "Burn", …, "tickLower", "tickUpper", "amount" }
+ *   { "type": "Fee", …, "fee" }                       (Algebra adaptive fee)
+ *
+ * Replay model:
+ *   - Until the simulated bot trades, a Swap sets the pool to the event's
+ *     price/tick/liquidity, i.e. exactly what happened on chain.
+ *   - A simulated trade is applied to the pools it swaps through, which are
+ *     then "dirty": later historical swaps are re-run by amount (the positive
+ *     side as exact input) on the counterfactual state.
+ *   - The engine scans once per block that touched a pool (state is
+ *     constant in between) and its trades land before the next block's
+ *     events: an optimistic bound, with no latency or competing arbitrageurs.
+ *   - Gas per trade is options.gasUsed (default market.estimatedGas, else
+ *     market.gasLimit) at the block's base fee or a fixed gas price.
+ *
+ * Only adapters exposing adapter.poolModel (see adapters/base.js) can be
+ * replayed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { getChain } = require("./chains");
+const { createBotEngine } = require("./bot-engine");
+const { openLedger } = require("./ledger");
+const { createAdapter } = require("./adapters");
+const { position, swap, swapExactInput } = require("./clmm");
+const { optimizeBorrow } = require("./pricing");
+
+// Algebra V1 signatures; Uniswap V3 events have the same topics
+const POOL_EVENTS = new ethers.Interface([
+    "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 price, uint128 liquidity, int24 tick)",
+    "event Mint(address sender, address indexed owner, int24 indexed bottomTick, int24 indexed topTick, uint128 liquidityAmount, uint256 amount0, uint256 amount1)",
+    "event Burn(address indexed owner, int24 indexed bottomTick, int24 indexed topTick, uint128 liquidityAmount, uint256 amount0, uint256 amount1)",
+    "event Fee(uint16 fee)",
+]);
+
+const BIGINT_FIELDS = ["sqrtPriceX96", "liquidity", "amount0", "amount1", "amount", "baseFeePerGas"];
+
+// Sort order within a block: header, then logs
+const TYPE_RANK = { snapshot: 0, block: 1 };
+
+// Smallest size the opportunity scan prices (as modelSizedLadder)
+const ORACLE_START = 10n ** 12n;
+
+const MISSED_LIST = 10;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DUMP FILES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Dump record for a pool log (null for other events). */
+function recordFromLog(log) {
+    let parsed;
+    try {
+        parsed = POOL_EVENTS.parseLog(log);
+    } catch (_) {
+        return null;
+    }
+    if (!parsed) return null;
+    const base = {
+        type: parsed.name,
+        blockNumber: log.blockNumber,
+        logIndex: log.index ?? log.logIndex,
+        txHash: log.transactionHash,
+        address: log.address,
+    };
+    const a = parsed.args;
+    switch (parsed.name) {
+        case "Swap":
+            return { ...base, amount0: a[2], amount1: a[3], sqrtPriceX96: a[4], liquidity: a[5], tick: Number(a[6]) };
+        case "Mint":
+            return { ...base, tickLower: Number(a[2]), tickUpper: Number(a[3]), amount: a[4] };
+        case "Burn":
+            return { ...base, tickLower: Number(a[1]), tickUpper: Number(a[2]), amount: a[3] };
+        default:
+            return { ...base, fee: Number(a[0]) };
+    }
+}
+
+/** Snapshot record for a loadPoolState() result. */
+function snapshotRecord(pool, blockNumber, words) {
+    return {
+        type: "snapshot",
+        blockNumber,
+        address: pool.address,
+        kind: pool.kind,
+        token0: pool.token0,
+        token1: pool.token1,
+        fee: pool.fee,
+        tickSpacing: pool.tickSpacing,
+        sqrtPriceX96: pool.sqrtPriceX96,
+        tick: pool.tick,
+        liquidity: pool.liquidity,
+        words,
+        ticks: Object.fromEntries([...pool.ticks].map(([t, net]) => [t, net])),
+    };
+}
+
+function toJsonLine(record) {
+    return JSON.stringify(record, (_k, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+function parseRecord(raw) {
+    const record = { ...raw };
+    for (const field of BIGINT_FIELDS) {
+        if (record[field] !== undefined && record[field] !== null) record[field] = BigInt(record[field]);
+    }
+    if (record.ticks) {
+        record.ticks = Object.fromEntries(Object.entries(record.ticks).map(([t, net]) => [t, BigInt(net)]));
+    }
+    return record;
+}
+
+function compareRecords(a, b) {
+    return a.blockNumber - b.blockNumber
+        || (TYPE_RANK[a.type] ?? 2) - (TYPE_RANK[b.type] ?? 2)
+        || (a.logIndex ?? 0) - (b.logIndex ?? 0);
+}
+
+/** Read and order a JSONL dump. Throws on a malformed line (with its number). */
+function readEventDump(file) {
+    const records = [];
+    fs.readFileSync(file, "utf8").split("\n").forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+            records.push(parseRecord(JSON.parse(line)));
+        } catch (e) {
+            throw new Error(`${file}:${i + 1}: ${e.message}`);
+        }
+    });
+    return records.sort(compareRecords);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// POOL REPLAY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** clmm.js pool snapshot from a dump snapshot record. */
+function poolFromSnapshot(record) {
+    const pool = {
+        address: record.address,
+        kind: record.kind,
+        token0: record.token0,
+        token1: record.token1,
+        fee: record.fee,
+        tickSpacing: record.tickSpacing,
+        sqrtPriceX96: record.sqrtPriceX96,
+        tick: record.tick,
+        liquidity: record.liquidity,
+        bitmap: new Map(),
+        ticks: new Map(),
+        snapshotBlock: record.blockNumber,
+        dirty: false,
+    };
+    const [first, last] = record.words;
+    for (let w = first; w <= last; w++) pool.bitmap.set(w, 0n);
+    for (const [t, net] of Object.entries(record.ticks)) setTick(pool, Number(t), net);
+    return pool;
+}
+
+function setTick(pool, tick, net) {
+    pool.ticks.set(tick, net);
+    const { word, bit } = position(tick / pool.tickSpacing);
+    // Words outside the loaded range stay unknown (swaps there still throw)
+    if (pool.bitmap.has(word)) pool.bitmap.set(word, pool.bitmap.get(word) | (1n << BigInt(bit)));
+}
+
+/**
+ * Position change: liquidityNet at both ends, active liquidity if in range.
+ * Bits stay set when a tick's net returns to 0, which prices the same.
+ */
+function applyLiquidity(pool, tickLower, tickUpper, delta) {
+    setTick(pool, tickLower, (pool.ticks.get(tickLower) ?? 0n) + delta);
+    setTick(pool, tickUpper, (pool.ticks.get(tickUpper) ?? 0n) - delta);
+    if (tickLower <= pool.tick && pool.tick < tickUpper) pool.liquidity += delta;
+}
+
+function moveTo(pool, result) {
+    pool.sqrtPriceX96 = result.sqrtPriceX96;
+    pool.tick = result.tick;
+    pool.liquidity = result.liquidity;
+}
+
+/** Apply one Swap/Mint/Burn/Fee record to a replayed pool. */
+function applyPoolEvent(pool, record) {
+    switch (record.type) {
+        case "Swap":
+            if (!pool.dirty) {
+                moveTo(pool, record);
+            } else {
+                const zeroForOne = record.amount0 > 0n;
+                const amountIn = zeroForOne ? record.amount0 : record.amount1;
+                if (amountIn > 0n) moveTo(pool, swap(pool, zeroForOne, amountIn));
+            }
+            break;
+        case "Mint":
+            applyLiquidity(pool, record.tickLower, record.tickUpper, record.amount);
+            break;
+        case "Burn":
+            applyLiquidity(pool, record.tickLower, record.tickUpper, -record.amount);
+            break;
+        case "Fee":
+            pool.fee = record.fee;
+            break;
+        default:
+            throw new Error(`Unknown pool event "${record.type}"`);
+    }
+}
+
+/** Route `out` that executes each swap on the replayed pools (marks them dirty). */
+function executeOut(pool, tokenIn, amountIn) {
+    if (amountIn === 0n) return 0n;
+    const result = swapExactInput(pool, tokenIn, amountIn);
+    moveTo(pool, result);
+    pool.dirty = true;
+    return result.amountOut;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REPLAY ADAPTER
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Wrap a market adapter so the engine scans replayed pools: state and
+ * simulations come from the pool model, execute() swaps through the
+ * replayed pools and "mines" at the current block.
+ */
+function createReplayAdapter(inner, replay) {
+    const model = inner.poolModel;
+    const decimalsOf = candidate => candidate.decimals ?? 18;
+    let txCount = 0;
+
+    return {
+        id: inner.id,
+        label: inner.label,
+        chainId: inner.chainId,
+        market: inner.market,
+        contract: null,
+        signer: null,
+        canExecute: true,
+        provider: {
+            getFeeData: async () => ({ gasPrice: replay.gasPrice() }),
+            getBlockNumber: async () => replay.block,
+        },
+
+        async connect() {},
+
+        async loadProposal() {
+            inner.proposal = model.proposalFromConfig();
+            return inner.proposal;
+        },
+
+        async readState(scan) {
+            return { ...scan, ...model.stateFromPools(replay.pools) };
+        },
+
+        async buildSizeCandidates(state) {
+            const ladders = await inner.buildSizeCandidates(state);
+            replay.onLadders(ladders);
+            return ladders;
+        },
+
+        async simulate(candidate) {
+            const amount = ethers.parseUnits(candidate.amount, decimalsOf(candidate));
+            try {
+                const profitRaw = model.routeOutput(replay.pools, candidate.strategy, amount) - amount;
+                return {
+                    success: profitRaw >= 0n,
+                    amount: candidate.amount,
+                    profitRaw,
+                    profit: parseFloat(ethers.formatUnits(profitRaw, decimalsOf(candidate))),
+                    error: profitRaw >= 0n ? undefined : "ArbitrageFailed: not profitable",
+                };
+            } catch (e) {
+                return { success: false, amount: candidate.amount, error: e.message.slice(0, 60) };
+            }
+        },
+
+        evaluate(sim, candidate, state) {
+            const result = inner.evaluate(sim, candidate, state);
+            replay.onEvaluate(candidate, result);
+            return result;
+        },
+
+        async execute(candidate) {
+            const amount = ethers.parseUnits(candidate.amount, decimalsOf(candidate));
+            model.routeOutput(replay.pools, candidate.strategy, amount, executeOut);
+            const hash = ethers.id(`backtest:${inner.id}:${replay.block}:${txCount++}`);
+            const receipt = { status: 1, blockNumber: replay.block, gasUsed: replay.gasUsed, gasPrice: replay.gasPrice() };
+            return { hash, wait: async () => receipt };
+        },
+
+        describeError: error => error.message,
+        txUrl: hash => `backtest ${hash.slice(0, 10)}`,
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RUN
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Run fn with console.log silenced (the engine narrates every scan). */
+async function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+/**
+ * Replay a dump through the market's bot logic.
+ * @param {object} options
+ * @param {object} options.market      market config (markets.js)
+ * @param {object[]} options.records   readEventDump() output
+ * @param {number} [options.fromBlock] first block to scan (earlier events only warm up the pools)
+ * @param {number} [options.toBlock]   last block to scan
+ * @param {bigint} [options.gasUsed]   gas per trade
+ * @param {bigint} [options.gasPrice]  fixed gas price in wei (default: block base fee)
+ * @param {string} options.logDir      where the simulated scans/trades go (<logDir>/backtest.sqlite ledger, rewritten each run)
+ * @param {boolean} [options.verbose]  keep the engine's console output
+ * @param {Function} [options.createAdapter]  adapter factory (tests)
+ * @returns {Promise<object>} report (see summarize)
+ */
+async function runBacktest(options) {
+    const { market, records } = options;
+    const inner = (options.createAdapter || createAdapter)(market);
+    if (!inner.poolModel) throw new Error(`Market ${market.id}: adapter "${market.adapter}" has no pool model to replay`);
+
+    const gasUsed = BigInt(options.gasUsed ?? market.estimatedGas ?? market.gasLimit);
+    const gasSource = options.gasUsed !== undefined ? "option" : market.estimatedGas ? "estimatedGas" : "gasLimit";
+    const fromBlock = options.fromBlock ?? -Infinity;
+    const toBlock = options.toBlock ?? Infinity;
+
+    const replay = {
+        block: null,
+        header: null,
+        pools: {},
+        gasUsed,
+        gasPrice: () => options.gasPrice ?? replay.header?.baseFeePerGas ?? 0n,
+        // Called before any simulation, so the opportunity is priced on the pre-trade pools
+        onLadders: ladders => { scan.opportunities = ladders.map(ladder => ({ ladder, best: bestPossible(ladder) })); },
+        onEvaluate: (candidate, result) => {
+            const best = scan.best[candidate.strategy];
+            if (best === undefined || result.netProfit > best) scan.best[candidate.strategy] = result.netProfit;
+        },
+    };
+    let scan = null;
+    const adapter = createReplayAdapter(inner, replay);
+
+    fs.mkdirSync(options.logDir, { recursive: true });
+    const ledgerFile = path.join(options.logDir, "backtest.sqlite");
+    for (const suffix of ["", "-wal", "-shm"]) fs.rmSync(ledgerFile + suffix, { force: true });
+    const ledger = openLedger(ledgerFile);
+
+    try {
+        const engine = createBotEngine({
+            markets: [],
+            confirm: true,
+            logDir: options.logDir,
+            ledger,
+            heartbeat: false,
+            clock: () => (replay.header ? new Date(replay.header.timestamp * 1000) : new Date()),
+            createAdapter: () => adapter,
+        });
+        const trades = [];
+        engine.on("trade", t => trades.push(t));
+        const run = fn => (options.verbose ? fn() : quietly(fn));
+        await run(() => engine.addMarket({ ...market, heartbeatFile: undefined }));
+
+        // Pools by address, from the dump's snapshots
+        const model = inner.poolModel;
+        const byAddress = new Map();
+        for (const record of records.filter(r => r.type === "snapshot")) {
+            byAddress.set(record.address.toLowerCase(), poolFromSnapshot(record));
+        }
+        for (const [name, address] of Object.entries(model.addresses())) {
+            const pool = byAddress.get(String(address).toLowerCase());
+            if (!pool) throw new Error(`Dump has no snapshot for pool "${name}" (${address})`);
+            replay.pools[name] = pool;
+        }
+
+        const stats = { blocksScanned: 0, events: {}, replayErrors: 0, firstBlock: null, lastBlock: null };
+        const windows = [];
+        const open = new Map();    // strategy → opportunity window still running
+
+        /** Best possible size and profit of a strategy, ignoring the bot's filters and thresholds. */
+        function bestPossible(ladder) {
+            try {
+                return optimizeBorrow(
+                    amount => model.routeOutput(replay.pools, ladder.strategy, amount) - amount,
+                    { start: ORACLE_START }
+                );
+            } catch (_) {
+                return null;   // model cannot price this block: no opportunity recorded
+            }
+        }
+
+        /** Open, extend or close each strategy's opportunity window against what the bot did. */
+        function trackOpportunities(block, traded) {
+            for (const { ladder, best } of scan.opportunities) {
+                const decimals = ladder.decimals ?? 18;
+                let window = open.get(ladder.strategy);
+                if (!best) {
+                    open.delete(ladder.strategy);
+                    continue;
+                }
+                if (!window) {
+                    window = {
+                        strategy: ladder.strategy, unit: ladder.unit, fromBlock: block, toBlock: block,
+                        profit: 0, amount: null, captured: false, reason: null,
+                    };
+                    windows.push(window);
+                    open.set(ladder.strategy, window);
+                }
+                const profit = parseFloat(ethers.formatUnits(best.profit, decimals));
+                window.toBlock = block;
+                if (profit > window.profit) {
+                    window.profit = profit;
+                    window.amount = ethers.formatUnits(best.amount, decimals);
+                }
+                if (traded.has(ladder.strategy)) {
+                    window.captured = true;
+                    open.delete(ladder.strategy);   // the trade moved the pools
+                } else {
+                    window.reason = missReason(ladder, scan.best[ladder.strategy], traded);
+                }
+            }
+        }
+
+        async function scanBlock(block) {
+            replay.block = block;
+            scan = { opportunities: [], best: {} };
+            const before = trades.length;
+            // its trade lands before the next block's events
+            await run(async () => { await engine.scanMarket(adapter); await engine.settled(); });
+            stats.blocksScanned++;
+            stats.firstBlock = stats.firstBlock ?? block;
+            stats.lastBlock = block;
+            trackOpportunities(block, new Set(trades.slice(before).map(t => t.strategy)));
+        }
+
+        // Apply each block's events, then scan it (before the next block's events)
+        let pending = null;
+        for (let i = 0; i < records.length;) {
+            const block = records[i].blockNumber;
+            if (block > toBlock) break;
+            if (pending !== null) await scanBlock(pending);
+            pending = null;
+
+            for (; i < records.length && records[i].blockNumber === block; i++) {
+                const record = records[i];
+                if (record.type === "block") replay.header = record;
+                if (record.type === "block" || record.type === "snapshot") continue;
+
+                const pool = byAddress.get(record.address.toLowerCase());
+                if (!pool || block <= pool.snapshotBlock) continue;
+                try {
+                    applyPoolEvent(pool, record);
+                } catch (_) {
+                    stats.replayErrors++;
+                }
+                stats.events[record.type] = (stats.events[record.type] || 0) + 1;
+                if (block >= fromBlock) pending = block;
+            }
+        }
+        if (pending !== null) await scanBlock(pending);
+
+        return summarize({ market, trades, windows, stats, gasUsed, gasSource, fixedGasPrice: options.gasPrice });
+    } finally {
+        ledger.close();
+    }
+}
+
+/** Why the bot did not take a strategy the model says was profitable. */
+function missReason(ladder, bestNet, traded) {
+    if (ladder.skip) return { category: "skipped", detail: ladder.skip };
+    if (bestNet === undefined) return { category: "simulation failed", detail: "no successful simulation" };
+    if (!(bestNet > ladder.minNetProfit)) {
+        return { category: "below threshold", detail: `net ${bestNet.toFixed(6)} ≤ ${ladder.minNetProfit} ${ladder.unit}` };
+    }
+    return { category: "not selected", detail: `${[...traded].join(", ") || "another strategy"} preferred` };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REPORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+function summarize({ market, trades, windows, stats, gasUsed, gasSource, fixedGasPrice }) {
+    const symbol = getChain(market.chainId).nativeSymbol;
+    const pnl = {};
+    const byStrategy = {};
+    let gasTotal = 0n;
+    let gasCost = 0n;
+    for (const t of trades) {
+        pnl[t.unit] = (pnl[t.unit] || 0) + t.profit;
+        const s = byStrategy[t.strategy] || (byStrategy[t.strategy] = { trades: 0, profit: 0, unit: t.unit });
+        s.trades++;
+        s.profit += t.profit;
+        gasTotal += BigInt(t.gasUsed);
+        gasCost += BigInt(t.gasUsed) * BigInt(t.effectiveGasPrice);
+    }
+
+    const missed = windows.filter(w => !w.captured);
+    const missedProfit = {};
+    const byReason = {};
+    for (const w of missed) {
+        missedProfit[w.unit] = (missedProfit[w.unit] || 0) + w.profit;
+        const category = w.reason?.category || "unknown";
+        byReason[category] = (byReason[category] || 0) + 1;
+    }
+
+    return {
+        market: market.id,
+        fromBlock: stats.firstBlock,
+        toBlock: stats.lastBlock,
+        blocksScanned: stats.blocksScanned,
+        events: stats.events,
+        replayErrors: stats.replayErrors,
+        trades: trades.map(t => ({
+            block: t.blockNumber,
+            timestamp: t.timestamp,
+            strategy: t.strategy,
+            amount: t.amount,
+            unit: t.unit,
+            profit: t.profit,
+            gasUsed: t.gasUsed,
+            gasCost: parseFloat(ethers.formatEther(BigInt(t.gasUsed) * BigInt(t.effectiveGasPrice))),
+        })),
+        pnl,
+        byStrategy,
+        gas: {
+            perTrade: gasUsed.toString(),
+            perTradeSource: gasSource,
+            price: fixedGasPrice !== undefined ? "fixed" : "block base fee",
+            used: gasTotal.toString(),
+            cost: parseFloat(ethers.formatEther(gasCost)),
+            symbol,
+        },
+        opportunities: {
+            windows: windows.length,
+            captured: windows.length - missed.length,
+            missed: missed.length,
+            missedProfit,
+            byReason,
+            topMissed: [...missed].sort((a, b) => b.profit - a.profit).slice(0, MISSED_LIST),
+        },
+    };
+}
+
+/** Human-readable report lines. */
+function formatReport(report) {
+    const fmt = obj => Object.entries(obj).map(([unit, v]) => `${v.toFixed(6)} ${unit}`).join(", ") || "0";
+    const lines = [
+        `⏪ BACKTEST ${report.market} | blocks ${report.fromBlock}–${report.toBlock}`,
+        "=".repeat(60),
+        `Blocks scanned:   ${report.blocksScanned}`,
+        `Events replayed:  ${Object.entries(report.events).map(([k, v]) => `${v} ${k}`).join(", ") || "none"}` +
+            (report.replayErrors ? ` (${report.replayErrors} failed)` : ""),
+        `Trades:           ${report.trades.length}`,
+        `Simulated PnL:    ${fmt(report.pnl)} (gross)`,
+        `Gas:              ${report.gas.used} gas = ${report.gas.cost.toFixed(6)} ${report.gas.symbol}` +
+            ` (${report.gas.perTrade}/trade from ${report.gas.perTradeSource}, ${report.gas.price})`,
+    ];
+    for (const [strategy, s] of Object.entries(report.byStrategy)) {
+        lines.push(`   - ${strategy}: ${s.trades} trades, ${s.profit.toFixed(6)} ${s.unit}`);
+    }
+    const o = report.opportunities;
+    lines.push(
+        "",
+        `Opportunities:    ${o.windows} (${o.captured} captured, ${o.missed} missed)`,
+        `Missed profit:    ${fmt(o.missedProfit)} (best size per window, before gas)`
+    );
+    for (const [reason, count] of Object.entries(o.byReason)) lines.push(`   - ${reason}: ${count}`);
+    if (o.topMissed.length > 0) {
+        lines.push("", "Largest missed:");
+        for (const w of o.topMissed) {
+            const blocks = w.fromBlock === w.toBlock ? `${w.fromBlock}` : `${w.fromBlock}–${w.toBlock}`;
+            lines.push(`   [${blocks}] ${w.strategy} ${w.amount} ${w.unit} → ${w.profit.toFixed(6)} ${w.unit}: ${w.reason?.detail || "?"}`);
+        }
+    }
+    return lines.join("\n");
+}
+
+module.exports = {
+    POOL_EVENTS,
+    recordFromLog,
+    snapshotRecord,
+    toJsonLine,
+    readEventDump,
+    poolFromSnapshot,
+    applyPoolEvent,
+    runBacktest,
+    formatReport,
+    quietly,
+};
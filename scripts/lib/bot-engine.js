@@ -0,0 +1,823 @@
+/**
+ * 🤖 Multi-market bot engine
+ *
+ * The scan loop, size-ladder walk, threshold check, execution, JSON logging
+ * and heartbeat that every arb-bot-*.js used to copy. Market specifics live in
+ * adapters (scripts/lib/adapters/), which implement:
+ *
+ *   connect()                     provider / signer / contract
+ *   loadProposal()                validate the proposal, resolve pools
+ *   readState(scan)               per-cycle prices and pool depth
+ *   buildSizeCandidates(state)    ladders: { strategy, direction, borrowToken,
+ *                                 unit, amounts[], minNetProfit, maxReverts?,
+ *                                 maxDeclines?, skip?, expectedProfits? }
+ *   simulate(candidate)           staticCall → { success, profit, error }
+ *   evaluate(sim, candidate, st)  { netProfit (in unit), value (comparable) }
+ *   checkProfit(selected, state)  optional execution gate: net of estimated gas
+ *                                 (scripts/lib/profitability.js) → { pass, reason, … }
+ *   execute(candidate, sim)       send → TransactionResponse (public sends also
+ *                                 have settle(), see tx-manager.js)
+ *   txManager                     optional: pending() / refresh() of in-flight txs
+ *   revertReason(receipt, unit)   optional: why a mined trade reverted
+ *                                 (scripts/lib/reverts.js), logged with the trade
+ *   postmortem(receipt, options)  optional: fork replay of a reverted trade,
+ *                                 written to <logDir>/postmortems/ (postmortem.js)
+ *                                 in the background, within postmortemTimeoutMs
+ *
+ * Each market loops at its own scanIntervalMs; scans are serialized so one
+ * process can watch Gnosis and Mainnet markets side by side with readable
+ * output. Live execution requires CONFIRM=true.
+ *
+ * With a trigger layer (scripts/lib/triggers.js, runBots creates one) a
+ * market instead sleeps until one of its pools emits a Swap / Mint / Burn or
+ * a new block arrives, and at most maxIdleMs; wake(id, reason) ends the
+ * sleep. A wake-up during a scan makes the loop scan again right after it.
+ *
+ * Scans, simulations, submitted transactions and receipts go to the SQLite
+ * ledger (scripts/lib/ledger.js). Trades a previous run submitted but never
+ * saw mined are resolved from their receipts when the market is added.
+ *
+ * A sent trade is settled in the background, outside the scan queue, so the
+ * other markets keep scanning while it is watched: one that stalls is
+ * re-simulated and re-sent on the same nonce with higher fees, or cancelled
+ * if the opportunity is gone (scripts/lib/tx-manager.js). While a market
+ * still has a transaction in flight its scans go on but nothing new is sent.
+ * start() returns once the trades in flight are settled and their
+ * post-mortems written (or timed out).
+ *
+ * Markets can be added and retired at runtime (addMarket / removeMarket),
+ * which is how the proposal watcher hot-swaps proposals.
+ *
+ * Emits: "scan" (summary), "simulation" (record), "trade-submitted" (record),
+ *        "trade" (record), "trade-error" (record), "trade-postmortem" (record),
+ *        "scan-error" ({ market, error }),
+ *        "market-added", "market-removed", "start", "stop"
+ * (scripts/lib/metrics.js turns them into Prometheus metrics, notifier.js
+ * into alerts, status-api.js into a JSON API.)
+ */
+
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { listMarkets, getMarket } = require("./markets");
+const { createAdapter } = require("./adapters");
+const { createProposalWatcher } = require("./proposal-watcher");
+const { openLedger } = require("./ledger");
+const { CHAINS } = require("./chains");
+const { formatGate } = require("./profitability");
+const { startMetricsServer } = require("./metrics");
+const { startStatusServer } = require("./status-api");
+const { startDashboardServer } = require("./dashboard");
+const { createNotifier, loadNotifyConfig } = require("./notifier");
+const { createTriggers } = require("./triggers");
+
+const LOG_DIR = path.join(__dirname, "../../logs");
+const CONFIRM_TIMEOUT_MS = 180000;
+const POSTMORTEM_TIMEOUT_MS = 120000;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ENGINE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @param {object} options
+ * @param {object[]} options.markets  market config entries (see markets.js)
+ * @param {boolean} [options.confirm] send transactions (default CONFIRM=true)
+ * @param {boolean} [options.once]    one scan per market then stop
+ * @param {string}  [options.logDir]   heartbeats and the default ledger file
+ * @param {object}  [options.ledger]   ledger to record to (default <logDir>/ledger.sqlite,
+ *                                    else LEDGER_DB or logs/ledger.sqlite)
+ * @param {Function} [options.createAdapter]  adapter factory (tests)
+ * @param {Function} [options.clock]  () => Date for log timestamps (backtests replay block time)
+ * @param {boolean} [options.heartbeat]  write heartbeats (default true)
+ * @param {object}  [options.triggers]  createTriggers() result: event-driven scans
+ * @param {boolean} [options.postmortems]  post-mortem reverted trades (default
+ *                                    unless POSTMORTEM=false)
+ * @param {number}  [options.postmortemTimeoutMs]  give up on a post-mortem after
+ *                                    this long (default POSTMORTEM_TIMEOUT_MS, else 2 min)
+ */
+function createBotEngine(options) {
+    const engine = new EventEmitter();
+    const confirm = options.confirm ?? process.env.CONFIRM === "true";
+    const once = options.once ?? process.env.ONCE === "true";
+    const logDir = options.logDir || LOG_DIR;
+    const makeAdapter = options.createAdapter || createAdapter;
+    const clock = options.clock || (() => new Date());
+    const heartbeats = options.heartbeat ?? true;
+    const triggers = once ? null : options.triggers || null;
+    const postmortems = options.postmortems ?? process.env.POSTMORTEM !== "false";
+    const postmortemTimeoutMs = options.postmortemTimeoutMs ?? Number(process.env.POSTMORTEM_TIMEOUT_MS || POSTMORTEM_TIMEOUT_MS);
+
+    engine.confirm = confirm;
+    engine.adapters = new Map();
+    engine.sessions = new Map();   // market id → { unit: total profit }
+    engine.running = false;
+
+    let scanQueue = Promise.resolve();
+    const settlements = new Map(); // market id → { hash, done } of a sent trade being settled
+    const postmortemRuns = new Set(); // post-mortems being written
+    const sleepers = new Map();    // market id → wake()
+    const loops = new Map();       // market id → loop promise
+    const rescans = new Set();     // market ids woken while scanning
+    let stopped = null;
+    let resolveStopped = () => {};
+
+    function sleep(ms, id) {
+        return new Promise(resolve => {
+            const wake = () => { clearTimeout(timer); sleepers.delete(id); resolve(); };
+            const timer = setTimeout(wake, ms);
+            sleepers.set(id, wake);
+        });
+    }
+
+    let ledger = options.ledger || null;
+    function getLedger() {
+        if (!ledger) ledger = openLedger(options.logDir ? path.join(logDir, "ledger.sqlite") : undefined);
+        return ledger;
+    }
+
+    /** Native token the market pays gas in (null for chain-less test markets). */
+    function gasSymbol(adapter) {
+        return CHAINS[adapter.market.chainId]?.nativeSymbol ?? null;
+    }
+
+    /** USD prices the adapter valued this trade at, for profit-report.js. */
+    function logPrices(adapter, state) {
+        if (!adapter.referencePrices) return;
+        try {
+            logEvent(adapter, { type: "prices", timestamp: clock().toISOString(), block: state.block, prices: adapter.referencePrices(state) });
+        } catch (e) {
+            console.error("Price record error:", e.message);
+        }
+    }
+
+    function logEvent(adapter, event) {
+        try {
+            getLedger().record(adapter.id, event);
+        } catch (e) {
+            console.error("Ledger write error:", e.message);
+        }
+    }
+
+    function heartbeat(adapter, status) {
+        if (!heartbeats) return;
+        if (adapter.market.heartbeatFile) {
+            try {
+                fs.writeFileSync(
+                    path.join(logDir, adapter.market.heartbeatFile),
+                    JSON.stringify({ market: adapter.id, ...status }, null, 2) + "\n"
+                );
+            } catch (e) {
+                console.log("⚠️ heartbeat file write failed:", e.message);
+            }
+        }
+        // Optional HTTP GET, fire-and-forget (node >= 18 global fetch)
+        if (process.env.HEARTBEAT_URL) {
+            fetch(process.env.HEARTBEAT_URL).catch(e => console.log("⚠️ heartbeat URL failed:", e.message));
+        }
+    }
+
+    function sessionLine(adapter) {
+        const totals = engine.sessions.get(adapter.id);
+        const parts = Object.entries(totals).map(([unit, v]) => `${v.toFixed(6)} ${unit}`);
+        return parts.length ? parts.join(", ") : "0";
+    }
+
+    // ───────────────────────────────────────────────────────────────────────
+    // Size ladder walk
+    // ───────────────────────────────────────────────────────────────────────
+
+    async function walkLadder(adapter, ladder, state) {
+        const maxReverts = ladder.maxReverts ?? 1;
+        const maxDeclines = ladder.maxDeclines ?? Infinity;
+        let best = null;
+        let declines = 0;
+        let revertStreak = 0;
+
+        console.log(`   📊 Testing ${ladder.strategy} (${ladder.unit})...`);
+        for (let i = 0; i < ladder.amounts.length; i++) {
+            const candidate = {
+                strategy: ladder.strategy,
+                direction: ladder.direction,
+                borrowToken: ladder.borrowToken,
+                unit: ladder.unit,
+                decimals: ladder.decimals ?? 18,
+                amount: ladder.amounts[i],
+            };
+            // Model-sized ladders carry the profit the route model predicted
+            if (ladder.expectedProfits) candidate.expectedProfit = ladder.expectedProfits[i];
+            const sim = await adapter.simulate(candidate);
+
+            if (sim.success) {
+                revertStreak = 0;
+                const { netProfit, value } = adapter.evaluate(sim, candidate, state);
+                const expected = candidate.expectedProfit !== undefined ? ` (model ${candidate.expectedProfit.toFixed(6)})` : "";
+                console.log(`      ✅ ${candidate.amount} ${ladder.unit}: profit=${sim.profit.toFixed(6)}${expected}, net=${netProfit.toFixed(6)} ${ladder.unit}`);
+                if (!best || netProfit > best.netProfit) {
+                    best = { candidate, sim, netProfit, value, minNetProfit: ladder.minNetProfit };
+                    declines = 0;
+                } else {
+                    declines++;
+                }
+            } else {
+                console.log(`      ❌ ${candidate.amount} ${ladder.unit}: ${sim.error}`);
+                revertStreak++;
+                if (best) declines++; // reverts past the peak also end the search
+            }
+            const record = { type: "simulation", timestamp: state.timestamp, block: state.block, ...candidate, ...sim };
+            logEvent(adapter, record);
+            engine.emit("simulation", { market: adapter.id, ...record });
+
+            if (revertStreak >= maxReverts || declines >= maxDeclines) {
+                const skipped = ladder.amounts.length - i - 1;
+                if (skipped > 0) console.log(`      ⏭️  Skipping ${skipped} larger amounts`);
+                break;
+            }
+        }
+        return best;
+    }
+
+    // ───────────────────────────────────────────────────────────────────────
+    // Execution
+    // ───────────────────────────────────────────────────────────────────────
+
+    /** Is the trade still worth sending? (re-simulated when its tx stalls) */
+    async function stillProfitable(adapter, selected, state) {
+        try {
+            const sim = await adapter.simulate(selected.candidate);
+            if (!sim.success) return false;
+            return adapter.evaluate(sim, selected.candidate, state).netProfit > selected.minNetProfit;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    /**
+     * Wait for the trade's receipt: { receipt, hash (the mined one), outcome }.
+     * Managed sends fee-bump or cancel a stalled tx; every re-send moves the
+     * ledger row to the new hash so recovery looks for the right one.
+     */
+    async function settleTrade(adapter, tx, selected, state) {
+        if (!tx.settle) {
+            try {
+                return { receipt: await tx.wait(1, CONFIRM_TIMEOUT_MS), hash: tx.hash, outcome: "mined" };
+            } catch (e) {
+                // ethers v6 throws on status 0; keep the receipt for the log
+                if (e.code !== "CALL_EXCEPTION" || !e.receipt) throw e;
+                return { receipt: e.receipt, hash: tx.hash, outcome: "mined" };
+            }
+        }
+        let current = tx.hash;
+        const moveTo = hash => {
+            logEvent(adapter, { type: "trade_replaced", timestamp: clock().toISOString(), txHash: current, replacementHash: hash });
+            current = hash;
+        };
+        const settled = await tx.settle({
+            timeoutMs: CONFIRM_TIMEOUT_MS,
+            stillValid: () => stillProfitable(adapter, selected, state),
+            onReplace: ({ to }) => moveTo(to),
+        });
+        // an earlier send of the nonce won the race against its replacement
+        if (settled.hash !== current) moveTo(settled.hash);
+        return settled;
+    }
+
+    /** Log and emit a trade that failed to send or to settle. */
+    function tradeError(adapter, candidate, error, txHash) {
+        const msg = error.code === "TIMEOUT" ? "confirmation timeout" : adapter.describeError(error, candidate.unit);
+        console.error(`❌ [${adapter.label}] Execution Error:`, msg);
+        const record = {
+            type: "trade_error",
+            timestamp: clock().toISOString(),
+            // the latest replacement when the tx manager re-sent it
+            txHash: error.txHash || txHash,
+            // still in the mempool: left "submitted" for recovery
+            pending: error.code === "TIMEOUT",
+            error: msg,
+            strategy: candidate.strategy,
+            amount: candidate.amount,
+            unit: candidate.unit,
+        };
+        logEvent(adapter, record);
+        engine.emit("trade-error", { market: adapter.id, ...record });
+        return msg;
+    }
+
+    /**
+     * Send the trade and hand its settlement to the background, so the scan
+     * queue (every market) is not held while it is watched and fee-bumped.
+     */
+    async function executeTrade(adapter, selected, state) {
+        const { candidate, sim } = selected;
+        console.log(`\n🔥 EXECUTING: ${candidate.strategy} ${candidate.amount} ${candidate.unit}`);
+        let tx;
+        try {
+            tx = await adapter.execute(candidate, sim);
+        } catch (error) {
+            return `${candidate.strategy}: execution failed: ${tradeError(adapter, candidate, error, null)}`;
+        }
+        const txUrl = adapter.txUrl(tx.hash);
+        console.log(`📝 TX Published: ${tx.hash}`);
+        console.log(`   Explorer: ${txUrl}`);
+        const submitted = {
+            type: "trade_submitted",
+            timestamp: clock().toISOString(),
+            txHash: tx.hash,
+            strategy: candidate.strategy,
+            direction: candidate.direction,
+            borrowToken: candidate.borrowToken,
+            amount: candidate.amount,
+            unit: candidate.unit,
+            decimals: candidate.decimals,
+            profit: sim.profit,
+            netProfit: selected.netProfit,
+            gasSymbol: gasSymbol(adapter),
+            txUrl,
+        };
+        logEvent(adapter, submitted);
+        engine.emit("trade-submitted", { market: adapter.id, ...submitted });
+        logPrices(adapter, state);
+
+        const done = finishTrade(adapter, tx, txUrl, selected, state)
+            .catch(error => { tradeError(adapter, candidate, error, tx.hash); })
+            .finally(() => settlements.delete(adapter.id));
+        settlements.set(adapter.id, { hash: tx.hash, done });
+        return `${candidate.strategy}: SENT ${candidate.amount} ${candidate.unit}, tx ${tx.hash}`;
+    }
+
+    /** Wait for a sent trade to mine (or be cancelled) and record the outcome. */
+    async function finishTrade(adapter, tx, txUrl, selected, state) {
+        const { candidate, sim } = selected;
+        const settled = await settleTrade(adapter, tx, selected, state);
+        const { receipt } = settled;
+        if (settled.outcome === "cancelled") {
+            console.log(`🚫 [${adapter.label}] TRADE CANCELLED: opportunity gone | block ${receipt.blockNumber} | gas ${receipt.gasUsed}`);
+            const record = {
+                type: "trade",
+                timestamp: clock().toISOString(),
+                txHash: settled.hash,
+                status: "cancelled",
+                gasUsed: receipt.gasUsed.toString(),
+                effectiveGasPrice: (receipt.gasPrice ?? 0n).toString(),
+                blockNumber: receipt.blockNumber,
+            };
+            logEvent(adapter, record);
+            engine.emit("trade", { market: adapter.id, strategy: candidate.strategy, ...record });
+            return;
+        }
+
+        const status = receipt.status === 1 ? "success" : "failed";
+        console.log(`${status === "success" ? "✅" : "❌"} [${adapter.label}] TRADE MINED: ${status.toUpperCase()} | block ${receipt.blockNumber} | gas ${receipt.gasUsed}` +
+            (settled.outcome === "replaced" ? " | fee-bumped" : ""));
+
+        let revertReason = null;
+        if (status === "failed" && adapter.revertReason) {
+            revertReason = await adapter.revertReason(receipt, candidate.unit).catch(e => `replay failed: ${e.shortMessage || e.message}`);
+            console.log(`   Revert: ${revertReason}`);
+        }
+
+        const realized = status === "success" && adapter.realizedProfit ? adapter.realizedProfit(receipt, candidate) : null;
+        const totals = engine.sessions.get(adapter.id);
+        if (status === "success") {
+            totals[candidate.unit] = (totals[candidate.unit] || 0) + (realized ? realized.profit : sim.profit);
+        }
+
+        const record = {
+            type: "trade",
+            timestamp: clock().toISOString(),
+            txHash: settled.hash,
+            status,
+            strategy: candidate.strategy,
+            direction: candidate.direction,
+            borrowToken: candidate.borrowToken,
+            amount: candidate.amount,
+            unit: candidate.unit,
+            profit: sim.profit,
+            netProfit: selected.netProfit,
+            realizedProfit: realized ? realized.profit : null,
+            realizedProfitRaw: realized ? realized.raw.toString() : null,
+            gasUsed: receipt.gasUsed.toString(),
+            effectiveGasPrice: (receipt.gasPrice ?? 0n).toString(),
+            blockNumber: receipt.blockNumber,
+            txUrl,
+            error: revertReason,
+            sessionTotal: totals[candidate.unit] || 0,
+        };
+        logEvent(adapter, record);
+        engine.emit("trade", { market: adapter.id, ...record });
+
+        if (status === "failed" && postmortems && adapter.postmortem) {
+            // the pre-trade staticCall this trade was sent on
+            const simulation = { block: state.block, timestamp: state.timestamp, success: true, profit: sim.profit, unit: candidate.unit };
+            writePostmortem(adapter, receipt, { simulation, unit: candidate.unit, decimals: candidate.decimals, dir: path.join(logDir, "postmortems") });
+        }
+    }
+
+    /**
+     * Fork-replay a reverted trade in the background: a replay can take
+     * minutes, so it neither holds up the market nor outlives
+     * postmortemTimeoutMs. The report's path goes onto the trade's ledger row.
+     */
+    function writePostmortem(adapter, receipt, postmortemOptions) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`timed out after ${postmortemTimeoutMs} ms`)), postmortemTimeoutMs);
+        });
+        const run = Promise.race([adapter.postmortem(receipt, postmortemOptions), timeout])
+            .then(({ file }) => {
+                console.log(`📝 [${adapter.label}] Post-mortem of ${receipt.hash}: ${file}`);
+                const record = { type: "trade_postmortem", timestamp: clock().toISOString(), txHash: receipt.hash, postmortem: file };
+                logEvent(adapter, record);
+                engine.emit("trade-postmortem", { market: adapter.id, ...record });
+            })
+            .catch(e => console.log(`⚠️  [${adapter.label}] Post-mortem of ${receipt.hash} failed: ${e.shortMessage || e.message}`))
+            .finally(() => {
+                clearTimeout(timer);
+                postmortemRuns.delete(run);
+            });
+        postmortemRuns.add(run);
+    }
+
+    // ───────────────────────────────────────────────────────────────────────
+    // One scan of one market
+    // ───────────────────────────────────────────────────────────────────────
+
+    async function scanMarket(adapter) {
+        const timestamp = clock().toISOString();
+        const startedAt = Date.now();
+        const [feeData, block] = await Promise.all([
+            adapter.provider.getFeeData(),
+            adapter.provider.getBlockNumber(),
+        ]);
+        const gasGwei = parseFloat(ethers.formatUnits(feeData.gasPrice ?? 0n, "gwei"));
+
+        console.log(`\n🔍 [${adapter.label}] SCAN ${timestamp} | block ${block} | gas ${gasGwei.toFixed(2)} gwei`);
+
+        const state = await adapter.readState({ timestamp, feeData, block });
+        if (state.divergence !== undefined) {
+            console.log(`   Divergence: ${(state.divergence * 100).toFixed(3)}%`);
+        }
+
+        const ladders = await adapter.buildSizeCandidates(state);
+        const bests = [];
+        for (const ladder of ladders) {
+            if (ladder.skip) {
+                console.log(`   ⚪ ${ladder.strategy}: skipped (${ladder.skip})`);
+                continue;
+            }
+            const best = await walkLadder(adapter, ladder, state);
+            if (best) bests.push(best);
+        }
+
+        console.log("\n   📋 SUMMARY:");
+        for (const b of bests) {
+            const ok = b.netProfit > b.minNetProfit;
+            console.log(`   ${ok ? "🎯" : "⚪"} ${b.candidate.strategy} best: ${b.candidate.amount} ${b.candidate.unit} → net ${b.netProfit.toFixed(6)} ${b.candidate.unit}` +
+                (ok ? " ✓" : ` (threshold: ${b.minNetProfit})`));
+        }
+
+        const inFlight = await pendingTransactions(adapter);
+        const eligible = bests.filter(b => b.netProfit > b.minNetProfit);
+        let action = ladders.every(l => l.skip) ? ladders.map(l => `${l.strategy}: ${l.skip}`).join("; ") : "none";
+        let selected = null;
+
+        let gate = null;
+        if (eligible.length > 0) {
+            selected = eligible.reduce((a, b) => (b.value > a.value ? b : a));
+            const { candidate } = selected;
+            if (adapter.checkProfit) {
+                gate = await adapter.checkProfit(selected, state);
+                console.log(`   ${formatGate(gate, candidate.unit)}`);
+                if (gate.pass) selected = { ...selected, netProfit: gate.netProfit };
+            }
+            if (gate && !gate.pass) {
+                action = `${candidate.strategy}: not sent, ${gate.reason}`;
+                console.log(`   🛑 Net-profit gate: ${gate.reason}`);
+            } else if (!confirm) {
+                action = `${candidate.strategy}: dry-run, best ${candidate.amount} ${candidate.unit} => net ${selected.netProfit.toFixed(6)}`;
+                console.log("   ⚠️  DRY RUN: Set CONFIRM=true to execute.");
+            } else if (!adapter.canExecute) {
+                action = `${candidate.strategy}: no wallet configured`;
+                console.log("   ⚠️  Opportunity found but no wallet configured!");
+            } else if (inFlight.length > 0) {
+                action = `${candidate.strategy}: waiting on pending tx (nonce ${inFlight[0].nonce})`;
+                console.log(`   ⏳ Nonce ${inFlight[0].nonce} still pending (${inFlight[0].hashes.length} sends), not sending another trade`);
+            } else if (settlements.has(adapter.id)) {
+                const { hash } = settlements.get(adapter.id);
+                action = `${candidate.strategy}: waiting on pending tx ${hash}`;
+                console.log(`   ⏳ ${hash} not settled yet, not sending another trade`);
+            } else {
+                action = await executeTrade(adapter, selected, state);
+            }
+        } else if (bests.length > 0) {
+            console.log("   📉 No opportunities above thresholds");
+        }
+
+        console.log(`\n💰 [${adapter.label}] SESSION TOTAL: ${sessionLine(adapter)}`);
+
+        const bestOpportunity = selected || bests[0] || null;
+        const summary = {
+            type: "scan",
+            timestamp,
+            block,
+            gasPrice: gasGwei,
+            prices: state.prices,
+            divergence: state.divergence,
+            bestOpportunity: bestOpportunity ? {
+                strategy: bestOpportunity.candidate.strategy,
+                amount: bestOpportunity.candidate.amount,
+                unit: bestOpportunity.candidate.unit,
+                profit: bestOpportunity.sim.profit,
+                netProfit: bestOpportunity.netProfit,
+            } : null,
+            action,
+            pendingTxs: inFlight.map(p => ({ nonce: p.nonce, kind: p.kind, bumps: p.bumps, hashes: p.hashes })),
+            gate: gate ? {
+                pass: gate.pass,
+                reason: gate.reason,
+                netProfit: gate.netProfit,
+                gasUnits: gate.gasUnits,
+                gasSource: gate.gasSource,
+                gasCost: gate.gasNative,
+                gasSymbol: gate.gasSymbol,
+                margin: gate.margin,
+            } : null,
+            durationMs: Date.now() - startedAt,
+            reads: state.reads ? { calls: state.reads.calls, requests: state.reads.requests } : null,
+        };
+        logEvent(adapter, summary);
+        heartbeat(adapter, { ...summary, sessionTotals: engine.sessions.get(adapter.id) });
+        engine.emit("scan", { market: adapter.id, ...summary });
+        return summary;
+    }
+
+    // ───────────────────────────────────────────────────────────────────────
+    // Lifecycle
+    // ───────────────────────────────────────────────────────────────────────
+
+    /**
+     * In-flight transactions of the market's tx manager. Once one of them
+     * mines (found by the nonce moving on), its ledger row is resolved like
+     * a crash-recovered trade, unless the trade is still being settled (which
+     * records it).
+     */
+    async function pendingTransactions(adapter) {
+        if (!adapter.txManager) return [];
+        try {
+            const done = await adapter.txManager.refresh();
+            if (done.length > 0 && !settlements.has(adapter.id)) await recoverPending(adapter);
+        } catch (e) {
+            console.log(`   ⚠️  Pending tx check failed: ${e.shortMessage || e.message}`);
+        }
+        return adapter.txManager.pending();
+    }
+
+    /** First receipt among the hashes a trade was sent under (fee bumps, cancels). */
+    async function findTradeReceipt(adapter, trade) {
+        for (const hash of getLedger().tradeHashes(trade)) {
+            const receipt = await adapter.provider.getTransactionReceipt(hash);
+            if (receipt) return { receipt, hash };
+        }
+        return null;
+    }
+
+    /** Resolve trades a previous run sent but never saw mined (crash recovery). */
+    async function recoverPending(adapter) {
+        for (const trade of getLedger().pendingTrades(adapter.id)) {
+            let found;
+            try {
+                found = await findTradeReceipt(adapter, trade);
+            } catch (e) {
+                console.log(`   ⚠️  Receipt lookup failed for ${trade.tx_hash}: ${e.shortMessage || e.message}`);
+                continue;
+            }
+            if (!found) {
+                console.log(`   ⏳ Still pending from a previous run: ${trade.strategy} ${trade.amount} ${trade.unit} ${trade.tx_hash}`);
+                continue;
+            }
+            const { receipt, hash } = found;
+            if (hash !== trade.tx_hash) {
+                logEvent(adapter, { type: "trade_replaced", timestamp: clock().toISOString(), txHash: trade.tx_hash, replacementHash: hash });
+            }
+            // a cancel is the nonce's 0-value transfer to ourselves
+            const cancelled = receipt.to && receipt.from && receipt.to.toLowerCase() === receipt.from.toLowerCase();
+            const status = cancelled ? "cancelled" : receipt.status === 1 ? "success" : "failed";
+            const realized = status === "success" && adapter.realizedProfit
+                ? adapter.realizedProfit(receipt, { decimals: trade.decimals ?? 18 })
+                : null;
+            logEvent(adapter, {
+                type: "trade",
+                timestamp: clock().toISOString(),
+                txHash: hash,
+                status,
+                realizedProfit: realized ? realized.profit : null,
+                realizedProfitRaw: realized ? realized.raw.toString() : null,
+                gasUsed: receipt.gasUsed.toString(),
+                effectiveGasPrice: (receipt.gasPrice ?? 0n).toString(),
+                blockNumber: receipt.blockNumber,
+            });
+            console.log(`   ♻️  Recovered ${hash}: ${status.toUpperCase()} in block ${receipt.blockNumber}`);
+        }
+    }
+
+    async function addMarket(market) {
+        const adapter = makeAdapter(market);
+        await adapter.connect();
+        await adapter.loadProposal();
+
+        console.log(`\n📍 [${adapter.label}] chain ${market.chainId}`);
+        console.log(`   Contract: ${adapter.contract ? await adapter.contract.getAddress() : "(not set - price-scan-only)"}`);
+        if (market.proposalAddress) console.log(`   Proposal: ${market.proposalAddress}`);
+        console.log(`   Signer:   ${adapter.signer ? adapter.signer.address : "(none - read-only)"}`);
+        console.log(`   Interval: ${market.scanIntervalMs / 1000}s | Ledger: ${path.relative(process.cwd(), getLedger().file)}`);
+
+        if (engine.adapters.has(adapter.id)) throw new Error(`Market ${adapter.id} already running`);
+        await recoverPending(adapter);
+        engine.adapters.set(adapter.id, adapter);
+        if (!engine.sessions.has(adapter.id)) engine.sessions.set(adapter.id, {});
+        if (triggers) adapter.trigger = triggers.watch(adapter, reason => wake(adapter.id, reason));
+        if (engine.running) launch(adapter);
+        engine.emit("market-added", { market: adapter.id, proposal: market.proposalAddress });
+        return adapter;
+    }
+
+    /** Stop scanning a market; its loop exits after the current scan. */
+    function removeMarket(id, reason = "removed") {
+        const adapter = engine.adapters.get(id);
+        if (!adapter) return false;
+        engine.adapters.delete(id);
+        adapter.trigger?.close();
+        rescans.delete(id);
+        sleepers.get(id)?.();
+        console.log(`\n🗑️  [${adapter.label}] retired: ${reason}`);
+        logEvent(adapter, { type: "retired", timestamp: clock().toISOString(), proposal: adapter.market.proposalAddress, reason });
+        engine.emit("market-removed", { market: id, proposal: adapter.market.proposalAddress, reason });
+        return true;
+    }
+
+    /** Scan a market now: end its sleep, or scan again once the current scan is done. */
+    function wake(id, reason) {
+        const adapter = engine.adapters.get(id);
+        if (!adapter || !engine.running) return false;
+        const wakeSleeper = sleepers.get(id);
+        if (!wakeSleeper) {
+            rescans.add(id);
+            return true;
+        }
+        console.log(`\n⚡ [${adapter.label}] ${reason || "woken"}`);
+        wakeSleeper();
+        return true;
+    }
+
+    function launch(adapter) {
+        const loop = runMarketLoop(adapter).finally(() => loops.delete(adapter.id));
+        loops.set(adapter.id, loop);
+    }
+
+    async function runMarketLoop(adapter) {
+        while (engine.running && engine.adapters.has(adapter.id)) {
+            try {
+                const scan = scanQueue.then(() => scanMarket(adapter));
+                scanQueue = scan.catch(() => {});
+                await scan;
+            } catch (error) {
+                const msg = error.shortMessage || error.message;
+                console.error(`\n❌ [${adapter.label}] Error in scan cycle:`, msg);
+                heartbeat(adapter, { timestamp: clock().toISOString(), error: msg, action: "scan-error" });
+                engine.emit("scan-error", { market: adapter.id, error });
+            }
+            if (once) break;
+            if (rescans.delete(adapter.id)) continue;
+            await sleep(adapter.trigger ? adapter.trigger.idleMs() : adapter.market.scanIntervalMs, adapter.id);
+        }
+    }
+
+    engine.scanMarket = scanMarket;
+    engine.getLedger = getLedger;
+    engine.addMarket = addMarket;
+    engine.removeMarket = removeMarket;
+    engine.wake = wake;
+
+    /** Resolves once every sent trade has been settled and recorded, and its post-mortem written or given up. */
+    engine.settled = async function settled() {
+        while (settlements.size > 0 || postmortemRuns.size > 0) {
+            await Promise.all([...settlements.values()].map(s => s.done).concat([...postmortemRuns]));
+        }
+    };
+
+    engine.start = async function start() {
+        fs.mkdirSync(logDir, { recursive: true });
+        console.log("\n🤖 ARBITRAGE BOT ENGINE STARTED");
+        console.log("=".repeat(60));
+        console.log(`Mode: ${confirm ? "🔥 LIVE EXECUTION" : "📊 DRY RUN (simulation)"}`);
+
+        for (const market of options.markets) {
+            try {
+                await addMarket(market);
+            } catch (e) {
+                console.error(`\n❌ [${market.id}] not started: ${e.shortMessage || e.message}`);
+            }
+        }
+        if (engine.adapters.size === 0 && !options.allowEmpty) throw new Error("No market could be started");
+
+        engine.running = true;
+        stopped = new Promise(resolve => { resolveStopped = resolve; });
+        for (const adapter of engine.adapters.values()) launch(adapter);
+        engine.emit("start");
+
+        // ONCE: one pass over the initial markets. Otherwise run until stop(),
+        // since markets can be added and retired while running.
+        if (!once) await stopped;
+        await Promise.all(loops.values());
+        await engine.settled();
+        engine.running = false;
+        engine.close();
+    };
+
+    /** Close the ledger if the engine opened it (a passed-in ledger is the caller's). */
+    engine.close = function close() {
+        if (ledger && !options.ledger) {
+            ledger.close();
+            ledger = null;
+        }
+    };
+
+    engine.stop = function stop() {
+        engine.running = false;
+        for (const wake of [...sleepers.values()]) wake();
+        resolveStopped();
+        engine.emit("stop");
+    };
+
+    return engine;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ENTRY POINT HELPER
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Run the engine for the given market ids (default: MARKETS env var, comma
+ * separated, else every registered market). Markets with a "discovery" block
+ * get a proposal watcher unless ONCE or DISCOVERY=false. METRICS_PORT serves
+ * Prometheus metrics on /metrics (METRICS_HOST, default 127.0.0.1), STATUS_PORT
+ * the JSON status API on /api (STATUS_HOST), DASHBOARD_PORT the web dashboard
+ * on the ledger (DASHBOARD_HOST); alerts go out when NOTIFY_CONFIG or a
+ * NOTIFY_* / SMTP_* sink is set (notifier.js). Scans are triggered by pool
+ * events and new blocks unless ONCE or TRIGGERS=interval (triggers.js).
+ */
+async function runBots(marketIds, options = {}) {
+    const ids = marketIds && marketIds.length
+        ? marketIds
+        : (process.env.MARKETS ? process.env.MARKETS.split(",").map(s => s.trim()).filter(Boolean) : listMarkets());
+    const markets = ids.map(getMarket);
+    const once = options.once ?? process.env.ONCE === "true";
+    const discovering = once || process.env.DISCOVERY === "false" ? [] : markets.filter(m => m.discovery);
+
+    const triggers = once || process.env.TRIGGERS === "interval" ? null : createTriggers();
+    const engine = createBotEngine({ ...options, markets, triggers, allowEmpty: discovering.length > 0 });
+    if (discovering.length > 0) {
+        const watcher = createProposalWatcher({ engine, markets: discovering });
+        engine.once("start", () => watcher.start());
+        engine.watcher = watcher;
+    }
+    if (process.env.METRICS_PORT) {
+        const server = await startMetricsServer(engine, { port: Number(process.env.METRICS_PORT), host: process.env.METRICS_HOST });
+        console.log(`📈 Metrics on ${server.url}`);
+        engine.metricsServer = server;
+    }
+    if (process.env.STATUS_PORT) {
+        try {
+            const server = await startStatusServer(engine, { port: Number(process.env.STATUS_PORT), host: process.env.STATUS_HOST });
+            console.log(`🔎 Status API on ${server.url}`);
+            engine.statusServer = server;
+        } catch (e) {
+            console.error(`⚠️  Status API not started (port ${process.env.STATUS_PORT}): ${e.message}; running without it`);
+        }
+    }
+    if (process.env.DASHBOARD_PORT) {
+        const server = await startDashboardServer({ ledger: engine.getLedger(), port: Number(process.env.DASHBOARD_PORT), host: process.env.DASHBOARD_HOST });
+        console.log(`📈 Dashboard on ${server.url}`);
+        engine.dashboardServer = server;
+    }
+    const notifyConfig = loadNotifyConfig();
+    if (notifyConfig) {
+        engine.notifier = createNotifier(notifyConfig);
+        engine.notifier.attach(engine);
+        console.log(`🔔 Alerts to ${engine.notifier.sinks.join(", ")}`);
+    }
+    process.once("SIGINT", () => engine.stop());
+    try {
+        await engine.start();
+    } finally {
+        await engine.metricsServer?.close();
+        await engine.statusServer?.close();
+        await engine.dashboardServer?.close();
+        engine.notifier?.close();
+        triggers?.close();
+    }
+    return engine;
+}
+
+module.exports = { createBotEngine, runBots };
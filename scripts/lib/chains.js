@@ -0,0 +1,183 @@
+/**
+ * Chain registry shared by the bot engine and scripts.
+ *
+ * One place for RPC env var precedence, explorer links and native token
+ * symbols, so a process scanning Gnosis and Mainnet markets side by side
+ * resolves providers the same way the per-chain bots used to.
+ *
+ * Every rpcEnv variable may hold a comma-separated list; all of them, then
+ * the chain's public RPC, form the provider pool (scripts/lib/rpc-pool.js),
+ * in that priority order. sendEnv URLs take the transaction sends.
+ * PUBLIC_RPC=false leaves the public RPC out when an rpcEnv URL is set, for
+ * local nodes that must not be checked against (or fail over to) the live chain.
+ */
+
+const { ethers } = require("ethers");
+const { createProviderPool } = require("./rpc-pool");
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CHAINS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const CHAINS = {
+    1: {
+        name: "mainnet",
+        nativeSymbol: "ETH",
+        // ETH_RPC_URL preferred: the repo's .env RPC_URL points at Gnosis.
+        rpcEnv: ["ETH_RPC_URL", "MAINNET_RPC_URL"],
+        sendEnv: ["ETH_SEND_RPC_URL"],
+        wsEnv: ["ETH_WS_URL", "MAINNET_WS_URL"],     // scan triggers (newHeads + pool logs)
+        defaultRpc: "https://ethereum.publicnode.com",
+        explorerTx: "https://etherscan.io/tx/",
+        eip1559: true,          // fee bumps raise maxFee and priority fee
+        blockTimeMs: 12000,
+    },
+    100: {
+        name: "gnosis",
+        nativeSymbol: "xDAI",
+        rpcEnv: ["GNOSIS_RPC_URL", "RPC_URL"],
+        sendEnv: ["GNOSIS_SEND_RPC_URL"],
+        wsEnv: ["GNOSIS_WS_URL"],
+        defaultRpc: "https://rpc.gnosischain.com",
+        explorerTx: "https://gnosisscan.io/tx/",
+        eip1559: false,         // legacy gasPrice transactions
+        blockTimeMs: 5000,
+    },
+    10200: {
+        name: "chiado",
+        nativeSymbol: "xDAI",
+        rpcEnv: ["CHIADO_RPC_URL"],
+        sendEnv: ["CHIADO_SEND_RPC_URL"],
+        wsEnv: ["CHIADO_WS_URL"],
+        defaultRpc: "https://rpc.chiadochain.net",
+        explorerTx: "https://gnosis-chiado.blockscout.com/tx/",
+        eip1559: false,
+        blockTimeMs: 5000,
+    },
+};
+
+function getChain(chainId) {
+    const chain = CHAINS[Number(chainId)];
+    if (!chain) throw new Error(`Unknown chain id ${chainId}`);
+    return chain;
+}
+
+const envUrls = names => [...new Set(names.flatMap(name => (process.env[name] || "").split(",")).map(s => s.trim()).filter(Boolean))];
+
+/** Read RPCs of the chain in priority order: rpcEnv lists, then the public RPC. */
+function getRpcUrls(chainId) {
+    const chain = getChain(chainId);
+    const urls = envUrls(chain.rpcEnv);
+    if (process.env.PUBLIC_RPC === "false" && urls.length > 0) return urls;
+    return [...new Set([...urls, chain.defaultRpc])];
+}
+
+function getRpcUrl(chainId) {
+    return getRpcUrls(chainId)[0];
+}
+
+/** RPCs for eth_sendRawTransaction (sendEnv); empty: sends use the read RPCs. */
+function getSendRpcUrls(chainId) {
+    return envUrls(getChain(chainId).sendEnv || []);
+}
+
+/** WebSocket RPC for scan triggers, or null (triggers then poll over HTTP). */
+function getWsUrl(chainId) {
+    const chain = CHAINS[Number(chainId)];
+    for (const name of chain?.wsEnv || []) {
+        if (process.env[name]) return process.env[name];
+    }
+    return null;
+}
+
+function getTxExplorerUrl(chainId, txHash) {
+    const chain = CHAINS[Number(chainId)];
+    return chain ? `${chain.explorerTx}${txHash}` : `chain:${chainId} tx:${txHash}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PROVIDERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const providers = new Map();
+
+/**
+ * Cached provider pool per chain (scripts/lib/rpc-pool.js). Each RPC's chain
+ * id is checked on first use; one on another chain (e.g. RPC_URL pointing at
+ * Gnosis for a mainnet market) is left out, so the public RPC takes over as
+ * arb-bot-eth.js's fallback did. RPC_MAX_LAG_BLOCKS (default 3) is how far
+ * behind the others an RPC may be and still serve reads. The cache is keyed
+ * by the RPC lists too: a process that repoints a chain's env (a sandbox's
+ * next local node) gets a new pool.
+ */
+async function getProvider(chainId) {
+    const id = Number(chainId);
+    const urls = getRpcUrls(id);
+    const sendUrls = getSendRpcUrls(id);
+    const key = `${id} ${urls.join(",")} ${sendUrls.join(",")}`;
+    if (providers.has(key)) return providers.get(key);
+
+    const chain = getChain(id);
+    const provider = createProviderPool(id, {
+        name: chain.name,
+        urls,
+        sendUrls,
+        maxLagBlocks: process.env.RPC_MAX_LAG_BLOCKS ? Number(process.env.RPC_MAX_LAG_BLOCKS) : undefined,
+    });
+    await provider.pool.ready();
+    providers.set(key, provider);
+    return provider;
+}
+
+/**
+ * Destroy and forget the chain's cached pools: stops their health checks,
+ * for a process whose RPC (a local node) is going away.
+ */
+function closeProviders(chainId) {
+    for (const [key, provider] of providers) {
+        if (key.split(" ")[0] !== String(Number(chainId))) continue;
+        provider.destroy();
+        providers.delete(key);
+    }
+}
+
+/** Wallet from the first set env var in keyEnv (string or list), or null. */
+function getSigner(provider, keyEnv) {
+    const names = Array.isArray(keyEnv) ? keyEnv : [keyEnv];
+    for (const name of names) {
+        if (name && process.env[name]) return new ethers.Wallet(process.env[name], provider);
+    }
+    return null;
+}
+
+/**
+ * Look a transaction up on `chainIds` in order (unreachable chains are
+ * skipped with a warning); the first chain that has it wins.
+ * @returns {Promise<{ chainId, provider, tx } | null>}
+ */
+async function findTransaction(hash, chainIds = [100, 1]) {
+    for (const chainId of chainIds) {
+        try {
+            const provider = await getProvider(chainId);
+            const tx = await provider.getTransaction(hash);
+            if (tx) return { chainId: Number(chainId), provider, tx };
+        } catch (e) {
+            console.log(`⚠️  ${getChain(chainId).name}: ${e.shortMessage || e.message}`);
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    CHAINS,
+    getChain,
+    getRpcUrl,
+    getRpcUrls,
+    getSendRpcUrls,
+    getWsUrl,
+    getTxExplorerUrl,
+    getProvider,
+    closeProviders,
+    findTransaction,
+    getSigner,
+};
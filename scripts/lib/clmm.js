@@ -0,0 +1,508 @@
+/**
+ * Concentrated-liquidity pool model (Uniswap V3 / Algebra V1).
+ *
+ * A bigint port of the Uniswap V3 TickMath, SqrtPriceMath and SwapMath
+ * libraries plus the pool's swap loop, so a swap can be quoted off-chain
+ * tick by tick from a snapshot of the pool. Algebra V1 (Swapr on Gnosis)
+ * runs the same math with a dynamic fee in globalState() and a tickTable
+ * instead of tickBitmap, so one model serves both.
+ *
+ * Only the bitmap words around the current tick are loaded; a swap that
+ * would leave them throws { code: "TICKS_NOT_LOADED" } rather than guessing.
+ *
+ * The math is checked to the wei against Uniswap v3-core's own test
+ * vectors (test/pricing.test.js) but not yet against swaps captured from
+ * live pools, so treat quotes as estimates until it is. Algebra pools
+ * also recompute their adaptive fee on the first swap of a block, so until
+ * then the globalState() fee (and the quote) can be one block stale.
+ *
+ * Usage:
+ *   const pool = await loadPoolState(provider, address, { kind: "algebra" });
+ *   const { amountOut } = swapExactInput(pool, tokenIn, amountIn);
+ *   const { amountIn } = swapExactOutput(pool, tokenOut, amountOut);
+ *   const { token0Amount, token1Amount } = poolDepth(pool, 0.5);
+ */
+
+const { ethers } = require("ethers");
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const Q96 = 1n << 96n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const MIN_SQRT_RATIO = 4295128739n;
+const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+const FEE_DENOMINATOR = 1000000n;   // fees are in hundredths of a bip on both DEXes
+
+const ALGEBRA_TICK_SPACING = 60;
+
+const TICK_RATIOS = [
+    [0x2, 0xfff97272373d413259a46990580e213an],
+    [0x4, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+    [0x8, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+    [0x10, 0xffcb9843d60f6159c9db58835c926644n],
+    [0x20, 0xff973b41fa98c081472e6896dfb254c0n],
+    [0x40, 0xff2ea16466c96a3843ec78b326b52861n],
+    [0x80, 0xfe5dee046a99a2a811c461f1969c3053n],
+    [0x100, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+    [0x200, 0xf987a7253ac413176f2b074cf7815e54n],
+    [0x400, 0xf3392b0822b70005940c7a398e4b70f3n],
+    [0x800, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+    [0x1000, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+    [0x2000, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+    [0x4000, 0x70d869a156d2a1b890bb3df62baf32f7n],
+    [0x8000, 0x31be135f97d08fd981231505542fcfa6n],
+    [0x10000, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+    [0x20000, 0x5d6af8dedb81196699c329225ee604n],
+    [0x40000, 0x2216e584f5fa1ea926041bedfe98n],
+    [0x80000, 0x48a170391f7dc42444e8fa2n],
+];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FULL MATH / TICK MATH
+// ═══════════════════════════════════════════════════════════════════════════
+
+const mulDiv = (a, b, d) => (a * b) / d;
+const mulDivRoundingUp = (a, b, d) => {
+    const p = a * b;
+    return p / d + (p % d > 0n ? 1n : 0n);
+};
+const divRoundingUp = (a, b) => a / b + (a % b > 0n ? 1n : 0n);
+
+function getSqrtRatioAtTick(tick) {
+    const absTick = Math.abs(tick);
+    if (absTick > MAX_TICK) throw new Error(`tick ${tick} out of range`);
+
+    let ratio = absTick & 0x1 ? 0xfffcb933bd6fad37aa2d162d1a594001n : 0x100000000000000000000000000000000n;
+    for (const [bit, factor] of TICK_RATIOS) {
+        if (absTick & bit) ratio = (ratio * factor) >> 128n;
+    }
+    if (tick > 0) ratio = MAX_UINT256 / ratio;
+    return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+/** Greatest tick whose sqrt ratio is <= sqrtPriceX96 (same result as TickMath). */
+function getTickAtSqrtRatio(sqrtPriceX96) {
+    if (sqrtPriceX96 < MIN_SQRT_RATIO || sqrtPriceX96 >= MAX_SQRT_RATIO) {
+        throw new Error(`sqrt price ${sqrtPriceX96} out of range`);
+    }
+    const price = (Number(sqrtPriceX96) / Number(Q96)) ** 2;
+    let tick = Math.max(MIN_TICK, Math.min(MAX_TICK, Math.floor(Math.log(price) / Math.log(1.0001))));
+    while (tick > MIN_TICK && getSqrtRatioAtTick(tick) > sqrtPriceX96) tick--;
+    while (tick < MAX_TICK && getSqrtRatioAtTick(tick + 1) <= sqrtPriceX96) tick++;
+    return tick;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SQRT PRICE MATH
+// ═══════════════════════════════════════════════════════════════════════════
+
+function getNextSqrtPriceFromAmount0RoundingUp(sqrtP, liquidity, amount, add) {
+    if (amount === 0n) return sqrtP;
+    const numerator1 = liquidity << 96n;
+    const product = amount * sqrtP;
+
+    if (add) {
+        // Solidity falls back to the less precise formula when product overflows
+        if (product <= MAX_UINT256 && numerator1 + product <= MAX_UINT256) {
+            return mulDivRoundingUp(numerator1, sqrtP, numerator1 + product);
+        }
+        return divRoundingUp(numerator1, numerator1 / sqrtP + amount);
+    }
+    if (product > MAX_UINT256 || numerator1 <= product) throw new Error("SqrtPriceMath: insufficient liquidity");
+    return mulDivRoundingUp(numerator1, sqrtP, numerator1 - product);
+}
+
+function getNextSqrtPriceFromAmount1RoundingDown(sqrtP, liquidity, amount, add) {
+    if (add) return sqrtP + (amount << 96n) / liquidity;
+    const quotient = divRoundingUp(amount << 96n, liquidity);
+    if (sqrtP <= quotient) throw new Error("SqrtPriceMath: insufficient liquidity");
+    return sqrtP - quotient;
+}
+
+function getNextSqrtPriceFromInput(sqrtP, liquidity, amountIn, zeroForOne) {
+    return zeroForOne
+        ? getNextSqrtPriceFromAmount0RoundingUp(sqrtP, liquidity, amountIn, true)
+        : getNextSqrtPriceFromAmount1RoundingDown(sqrtP, liquidity, amountIn, true);
+}
+
+function getNextSqrtPriceFromOutput(sqrtP, liquidity, amountOut, zeroForOne) {
+    return zeroForOne
+        ? getNextSqrtPriceFromAmount1RoundingDown(sqrtP, liquidity, amountOut, false)
+        : getNextSqrtPriceFromAmount0RoundingUp(sqrtP, liquidity, amountOut, false);
+}
+
+function getAmount0Delta(sqrtA, sqrtB, liquidity, roundUp) {
+    if (sqrtA > sqrtB) [sqrtA, sqrtB] = [sqrtB, sqrtA];
+    const numerator1 = liquidity << 96n;
+    const numerator2 = sqrtB - sqrtA;
+    return roundUp
+        ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, sqrtB), sqrtA)
+        : mulDiv(numerator1, numerator2, sqrtB) / sqrtA;
+}
+
+function getAmount1Delta(sqrtA, sqrtB, liquidity, roundUp) {
+    if (sqrtA > sqrtB) [sqrtA, sqrtB] = [sqrtB, sqrtA];
+    return roundUp
+        ? mulDivRoundingUp(liquidity, sqrtB - sqrtA, Q96)
+        : mulDiv(liquidity, sqrtB - sqrtA, Q96);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SWAP MATH
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * One swap step within a single tick range. amountRemaining > 0 is exact
+ * input, < 0 exact output (Uniswap V3 SwapMath.computeSwapStep).
+ */
+function computeSwapStep(sqrtCurrent, sqrtTarget, liquidity, amountRemaining, feePips) {
+    const fee = BigInt(feePips);
+    const zeroForOne = sqrtCurrent >= sqrtTarget;
+    const exactIn = amountRemaining >= 0n;
+    let sqrtNext;
+    let amountIn = 0n;
+    let amountOut = 0n;
+
+    if (exactIn) {
+        const remainingLessFee = mulDiv(amountRemaining, FEE_DENOMINATOR - fee, FEE_DENOMINATOR);
+        amountIn = zeroForOne
+            ? getAmount0Delta(sqrtTarget, sqrtCurrent, liquidity, true)
+            : getAmount1Delta(sqrtCurrent, sqrtTarget, liquidity, true);
+        sqrtNext = remainingLessFee >= amountIn
+            ? sqrtTarget
+            : getNextSqrtPriceFromInput(sqrtCurrent, liquidity, remainingLessFee, zeroForOne);
+    } else {
+        amountOut = zeroForOne
+            ? getAmount1Delta(sqrtTarget, sqrtCurrent, liquidity, false)
+            : getAmount0Delta(sqrtCurrent, sqrtTarget, liquidity, false);
+        sqrtNext = -amountRemaining >= amountOut
+            ? sqrtTarget
+            : getNextSqrtPriceFromOutput(sqrtCurrent, liquidity, -amountRemaining, zeroForOne);
+    }
+
+    const max = sqrtTarget === sqrtNext;
+    if (zeroForOne) {
+        if (!(max && exactIn)) amountIn = getAmount0Delta(sqrtNext, sqrtCurrent, liquidity, true);
+        if (!(max && !exactIn)) amountOut = getAmount1Delta(sqrtNext, sqrtCurrent, liquidity, false);
+    } else {
+        if (!(max && exactIn)) amountIn = getAmount1Delta(sqrtCurrent, sqrtNext, liquidity, true);
+        if (!(max && !exactIn)) amountOut = getAmount0Delta(sqrtCurrent, sqrtNext, liquidity, false);
+    }
+    if (!exactIn && amountOut > -amountRemaining) amountOut = -amountRemaining;
+
+    const feeAmount = exactIn && sqrtNext !== sqrtTarget
+        ? amountRemaining - amountIn
+        : mulDivRoundingUp(amountIn, fee, FEE_DENOMINATOR - fee);
+
+    return { sqrtNext, amountIn, amountOut, feeAmount };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TICK BITMAP
+// ═══════════════════════════════════════════════════════════════════════════
+
+const floorDiv = (a, b) => Math.floor(a / b);
+
+function position(compressed) {
+    const word = floorDiv(compressed, 256);
+    return { word, bit: compressed - word * 256 };
+}
+
+function bitmapWord(pool, word) {
+    const value = pool.bitmap.get(word);
+    if (value === undefined) {
+        throw Object.assign(new Error(`Pool ${pool.address}: tick word ${word} not loaded`), { code: "TICKS_NOT_LOADED" });
+    }
+    return value;
+}
+
+const msb = x => x.toString(2).length - 1;
+const lsb = x => msb(x & -x);
+
+/** TickBitmap.nextInitializedTickWithinOneWord (Algebra: nextTickInTheSameRow). */
+function nextInitializedTick(pool, tick, lte) {
+    const spacing = pool.tickSpacing;
+    const compressed = floorDiv(tick, spacing);
+
+    if (lte) {
+        const { word, bit } = position(compressed);
+        const mask = (1n << BigInt(bit)) - 1n + (1n << BigInt(bit));
+        const masked = bitmapWord(pool, word) & mask;
+        const initialized = masked !== 0n;
+        const next = initialized ? compressed - (bit - msb(masked)) : compressed - bit;
+        return { tick: next * spacing, initialized };
+    }
+    const { word, bit } = position(compressed + 1);
+    const mask = ~((1n << BigInt(bit)) - 1n) & MAX_UINT256;
+    const masked = bitmapWord(pool, word) & mask;
+    const initialized = masked !== 0n;
+    const next = initialized ? compressed + 1 + (lsb(masked) - bit) : compressed + 1 + (255 - bit);
+    return { tick: next * spacing, initialized };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SWAP
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Run the pool's swap loop without mutating the snapshot.
+ * @param {object} pool         state from loadPoolState (or built by hand)
+ * @param {boolean} zeroForOne  direction
+ * @param {bigint} amountSpecified  > 0 exact input, < 0 exact output
+ * @param {bigint} [sqrtPriceLimitX96]  defaults to the router's "no limit"
+ * @param {object} [options]  { partial: stop at the edge of the loaded ticks
+ *                             instead of throwing (result.truncated = true) }
+ */
+function swap(pool, zeroForOne, amountSpecified, sqrtPriceLimitX96, options = {}) {
+    const limit = sqrtPriceLimitX96 || (zeroForOne ? MIN_SQRT_RATIO + 1n : MAX_SQRT_RATIO - 1n);
+    const exactIn = amountSpecified > 0n;
+    const state = {
+        remaining: amountSpecified,
+        calculated: 0n,
+        sqrtPriceX96: pool.sqrtPriceX96,
+        tick: pool.tick,
+        liquidity: pool.liquidity,
+        ticksCrossed: 0,
+        feePaid: 0n,
+        truncated: false,
+    };
+
+    while (state.remaining !== 0n && state.sqrtPriceX96 !== limit) {
+        const start = state.sqrtPriceX96;
+        let next;
+        try {
+            next = nextInitializedTick(pool, state.tick, zeroForOne);
+            if (next.initialized && !pool.ticks.has(next.tick)) {
+                throw Object.assign(new Error(`Pool ${pool.address}: tick ${next.tick} not loaded`), { code: "TICKS_NOT_LOADED" });
+            }
+        } catch (e) {
+            if (!(options.partial && e.code === "TICKS_NOT_LOADED")) throw e;
+            state.truncated = true;
+            break;
+        }
+        let { tick: tickNext, initialized } = next;
+        tickNext = Math.max(MIN_TICK, Math.min(MAX_TICK, tickNext));
+        const sqrtNext = getSqrtRatioAtTick(tickNext);
+        const target = (zeroForOne ? sqrtNext < limit : sqrtNext > limit) ? limit : sqrtNext;
+
+        const step = computeSwapStep(state.sqrtPriceX96, target, state.liquidity, state.remaining, pool.fee);
+        state.sqrtPriceX96 = step.sqrtNext;
+        state.feePaid += step.feeAmount;
+        if (exactIn) {
+            state.remaining -= step.amountIn + step.feeAmount;
+            state.calculated -= step.amountOut;
+        } else {
+            state.remaining += step.amountOut;
+            state.calculated += step.amountIn + step.feeAmount;
+        }
+
+        if (state.sqrtPriceX96 === sqrtNext) {
+            if (initialized) {
+                const net = pool.ticks.get(tickNext);
+                state.liquidity += zeroForOne ? -net : net;
+                state.ticksCrossed++;
+            }
+            state.tick = zeroForOne ? tickNext - 1 : tickNext;
+        } else if (state.sqrtPriceX96 !== start) {
+            state.tick = getTickAtSqrtRatio(state.sqrtPriceX96);
+        }
+    }
+
+    const consumed = amountSpecified - state.remaining;
+    const [amount0, amount1] = zeroForOne === exactIn
+        ? [consumed, state.calculated]
+        : [state.calculated, consumed];
+    return {
+        amount0,
+        amount1,
+        sqrtPriceX96: state.sqrtPriceX96,
+        tick: state.tick,
+        liquidity: state.liquidity,
+        ticksCrossed: state.ticksCrossed,
+        feePaid: state.feePaid,
+        truncated: state.truncated,
+    };
+}
+
+function isZeroForOne(pool, tokenIn) {
+    const t = tokenIn.toLowerCase();
+    if (t === pool.token0.toLowerCase()) return true;
+    if (t === pool.token1.toLowerCase()) return false;
+    throw new Error(`Token ${tokenIn} is not in pool ${pool.address}`);
+}
+
+/** Quote an exact-input swap of tokenIn (router semantics, no price limit). */
+function swapExactInput(pool, tokenIn, amountIn) {
+    const zeroForOne = isZeroForOne(pool, tokenIn);
+    const result = swap(pool, zeroForOne, amountIn);
+    const [paid, received] = zeroForOne ? [result.amount0, result.amount1] : [result.amount1, result.amount0];
+    return { ...result, amountIn: paid, amountOut: -received };
+}
+
+/**
+ * Quote an exact-output swap: how much of the other token buys `amountOut`
+ * of tokenOut. Throws like the router when the pool cannot deliver it.
+ */
+function swapExactOutput(pool, tokenOut, amountOut) {
+    const zeroForOne = !isZeroForOne(pool, tokenOut);
+    const result = swap(pool, zeroForOne, -amountOut);
+    const [paid, received] = zeroForOne ? [result.amount0, result.amount1] : [result.amount1, result.amount0];
+    if (-received !== amountOut) throw new Error(`Pool ${pool.address}: cannot deliver ${amountOut} (got ${-received})`);
+    return { ...result, amountIn: paid, amountOut: -received };
+}
+
+/**
+ * Tick-aware depth: the input of each token that moves the price by
+ * `priceMove` (0.5 = token1 in until +50%, token0 in until price / 1.5),
+ * walking the loaded ticks. Replaces the full-range L/√P, L·√P estimates,
+ * which overstate depth once liquidity is concentrated.
+ * @returns {{ token0Amount: bigint, token1Amount: bigint, truncated: boolean }}
+ */
+function poolDepth(pool, priceMove = 0.5) {
+    const factor = BigInt(Math.round(Math.sqrt(1 + priceMove) * 1e9));
+    const up = (pool.sqrtPriceX96 * factor) / 1000000000n;
+    const down = (pool.sqrtPriceX96 * 1000000000n) / factor;
+    const huge = 1n << 200n;
+    const in0 = swap(pool, true, huge, down > MIN_SQRT_RATIO ? down : MIN_SQRT_RATIO + 1n, { partial: true });
+    const in1 = swap(pool, false, huge, up < MAX_SQRT_RATIO ? up : MAX_SQRT_RATIO - 1n, { partial: true });
+    return { token0Amount: in0.amount0, token1Amount: in1.amount1, truncated: in0.truncated || in1.truncated };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LOADING
+// ═══════════════════════════════════════════════════════════════════════════
+
+const COMMON_ABI = [
+    "function token0() view returns (address)",
+    "function token1() view returns (address)",
+    "function liquidity() view returns (uint128)",
+    "function tickSpacing() view returns (int24)",
+];
+
+const POOL_ABIS = {
+    "uniswap-v3": [
+        ...COMMON_ABI,
+        "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+        "function fee() view returns (uint24)",
+        "function tickBitmap(int16) view returns (uint256)",
+        "function ticks(int24) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)",
+    ],
+    algebra: [
+        ...COMMON_ABI,
+        "function globalState() view returns (uint160 price, int24 tick, uint16 fee, uint16 timepointIndex, uint8 communityFeeToken0, uint8 communityFeeToken1, bool unlocked)",
+        "function tickTable(int16) view returns (uint256)",
+        "function ticks(int24) view returns (uint128 liquidityTotal, int128 liquidityDelta, uint256 outerFeeGrowth0Token, uint256 outerFeeGrowth1Token, int56 outerTickCumulative, uint160 outerSecondsPerLiquidity, uint32 outerSecondsSpent, bool initialized)",
+    ],
+};
+
+/** First and last bitmap word of a snapshot's loaded range. */
+function wordBounds(pool, wordRange) {
+    if (wordRange === "all") {
+        return [
+            position(floorDiv(MIN_TICK, pool.tickSpacing)).word,
+            position(floorDiv(MAX_TICK, pool.tickSpacing)).word,
+        ];
+    }
+    const centre = position(floorDiv(pool.tick, pool.tickSpacing)).word;
+    return [centre - wordRange, centre + wordRange];
+}
+
+function setBits(word) {
+    const bits = [];
+    for (let i = 0; word > 0n; i++, word >>= 1n) {
+        if (word & 1n) bits.push(i);
+    }
+    return bits;
+}
+
+/**
+ * Snapshot a pool: price, liquidity, fee and the initialized ticks in
+ * `wordRange` bitmap words either side of the current tick ("all": the whole
+ * tick range, for replays that must follow the price anywhere).
+ * @param {object} options
+ * @param {"algebra"|"uniswap-v3"} options.kind
+ * @param {number|"all"} [options.wordRange=2]
+ * @param {number|string} [options.blockTag]  read at a pinned block
+ */
+async function loadPoolState(provider, address, options = {}) {
+    const kind = options.kind || "uniswap-v3";
+    const abi = POOL_ABIS[kind];
+    if (!abi) throw new Error(`Unknown pool kind "${kind}"`);
+    const wordRange = options.wordRange ?? 2;
+    const overrides = options.blockTag !== undefined ? { blockTag: options.blockTag } : {};
+    const pool = new ethers.Contract(address, abi, provider);
+
+    const algebra = kind === "algebra";
+    const [token0, token1, liquidity, state, fee, tickSpacing] = await Promise.all([
+        pool.token0(overrides),
+        pool.token1(overrides),
+        pool.liquidity(overrides),
+        algebra ? pool.globalState(overrides) : pool.slot0(overrides),
+        algebra ? null : pool.fee(overrides),
+        // Algebra V1 has a constant spacing and no getter
+        pool.tickSpacing(overrides).catch(() => (algebra ? ALGEBRA_TICK_SPACING : null)),
+    ]);
+    if (tickSpacing === null) throw new Error(`Pool ${address}: tickSpacing() failed`);
+
+    const snapshot = {
+        address,
+        kind,
+        token0,
+        token1,
+        fee: Number(algebra ? state[2] : fee),
+        tickSpacing: Number(tickSpacing),
+        sqrtPriceX96: state[0],
+        tick: Number(state[1]),
+        liquidity,
+        bitmap: new Map(),
+        ticks: new Map(),
+    };
+
+    const [first, last] = wordBounds(snapshot, wordRange);
+    const words = [];
+    for (let w = first; w <= last; w++) words.push(w);
+    const values = await Promise.all(words.map(w =>
+        (algebra ? pool.tickTable(w, overrides) : pool.tickBitmap(w, overrides))
+    ));
+    words.forEach((w, i) => snapshot.bitmap.set(w, values[i]));
+
+    const initialized = words.flatMap((w, i) =>
+        setBits(values[i]).map(bit => (w * 256 + bit) * snapshot.tickSpacing)
+    );
+    const infos = await Promise.all(initialized.map(t => pool.ticks(t, overrides)));
+    initialized.forEach((t, i) => snapshot.ticks.set(t, infos[i][1]));
+
+    return snapshot;
+}
+
+/** Float price of token0 in token1 units (token1 per token0), decimals-adjusted. */
+function spotPrice(pool, decimals0 = 18, decimals1 = 18) {
+    const p = Number(pool.sqrtPriceX96) / Number(Q96);
+    return p * p * 10 ** (decimals0 - decimals1);
+}
+
+module.exports = {
+    Q96,
+    MIN_TICK,
+    MAX_TICK,
+    MIN_SQRT_RATIO,
+    MAX_SQRT_RATIO,
+    getSqrtRatioAtTick,
+    getTickAtSqrtRatio,
+    getAmount0Delta,
+    getAmount1Delta,
+    computeSwapStep,
+    nextInitializedTick,
+    position,
+    wordBounds,
+    swap,
+    swapExactInput,
+    swapExactOutput,
+    poolDepth,
+    loadPoolState,
+    spotPrice,
+};
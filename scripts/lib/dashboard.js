@@ -0,0 +1,167 @@
+/**
+ * Market dashboard: prices, implied probability, simulated profit and trades
+ * over time, from the ledger.
+ *
+ * Serves one page (dashboard.html, plain SVG charts, no external scripts)
+ * and the JSON it plots:
+ *
+ *   GET /                             the dashboard
+ *   GET /dashboard/markets            market ids with scans or trades in the ledger
+ *   GET /dashboard/data/:market       ?hours=24&curves=5 → { points, curves, trades }
+ *
+ * points: per scan, the YES / NO / spot prices the adapter recorded, the
+ *         implied probability (spot − NO) / (YES − NO) clamped to [0, 1]
+ *         (spot = p·YES + (1 − p)·NO), divergence and best simulated profit;
+ *         thinned to at most `maxPoints`
+ * curves: the last `curves` size ladders, profit by amount per strategy
+ * trades: the ledger's trades in the window, plotted as markers
+ *
+ * Usage:
+ *   const dash = await startDashboardServer({ ledger, port: 8090 });
+ *   DASHBOARD_PORT=8090 node scripts/arb-bots.js     (runBots starts it)
+ *   node scripts/dashboard.js 8090                   standalone, on LEDGER_DB
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const PAGE = path.join(__dirname, "dashboard.html");
+const DEFAULTS = { hours: 24, curves: 5, maxPoints: 1500 };
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DATA
+// ═══════════════════════════════════════════════════════════════════════════
+
+const num = v => (typeof v === "number" && Number.isFinite(v) ? v : null);
+
+/** Probability the YES branch wins, as priced by spot vs the conditional pools; null without them. */
+function impliedProbability(prices = {}) {
+    const yes = num(prices.yes);
+    const no = num(prices.no);
+    const spot = num(prices.spot);
+    if (yes === null || no === null || spot === null || yes === no) return null;
+    return Math.min(1, Math.max(0, (spot - no) / (yes - no)));
+}
+
+function parsePrices(text) {
+    try {
+        return text ? JSON.parse(text) : {};
+    } catch (_) {
+        return {};
+    }
+}
+
+/**
+ * Series for one market.
+ * @param {object} ledger   openLedger() result
+ * @param {string} market
+ * @param {object} [options] { hours, curves, maxPoints, now }
+ * @returns {{ market, since, points, curves, trades }}
+ */
+function buildMarketData(ledger, market, options = {}) {
+    const { hours, curves, maxPoints } = { ...DEFAULTS, ...options };
+    const now = options.now ? options.now() : Date.now();
+    const since = new Date(now - hours * 3600 * 1000).toISOString();
+
+    const scans = ledger.scans(market, { since });
+    const step = Math.max(1, Math.ceil(scans.length / maxPoints));
+    const points = scans
+        .filter((_, i) => i % step === 0 || i === scans.length - 1)
+        .map(row => {
+            const prices = parsePrices(row.prices);
+            return {
+                t: row.timestamp,
+                block: row.block,
+                yes: num(prices.yes),
+                no: num(prices.no),
+                spot: num(prices.spot),
+                probability: impliedProbability(prices),
+                divergence: row.divergence,
+                bestProfit: row.best_profit,
+                bestNetProfit: row.best_net_profit,
+                unit: row.best_unit,
+            };
+        });
+
+    // One ladder walk = the simulations of a scan (same timestamp) for one strategy
+    const ladders = new Map();
+    for (const sim of ledger.simulations(market, { since })) {
+        const key = `${sim.timestamp}|${sim.strategy}`;
+        if (!ladders.has(key)) {
+            ladders.set(key, { t: sim.timestamp, block: sim.block, strategy: sim.strategy, unit: sim.unit, points: [] });
+        }
+        ladders.get(key).points.push({ amount: Number(sim.amount), profit: sim.success ? sim.profit : null, error: sim.error });
+    }
+    const lastCurves = [...ladders.values()].slice(-curves);
+    lastCurves.forEach(c => c.points.sort((a, b) => a.amount - b.amount));
+
+    const trades = ledger.trades({ market, since }).map(t => ({
+        t: t.submitted_at || t.updated_at,
+        txHash: t.tx_hash,
+        status: t.status,
+        strategy: t.strategy,
+        amount: t.amount,
+        unit: t.unit,
+        profit: t.realized_profit ?? t.simulated_profit,
+        txUrl: t.tx_url,
+    }));
+
+    return { market, since, points, curves: lastCurves, trades };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HTTP SERVER
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @param {object} options  { ledger, port (0 = any free), host (default 127.0.0.1) }
+ * @returns {Promise<{ url, port, close() }>}
+ */
+async function startDashboardServer(options) {
+    const { ledger } = options;
+    const page = fs.readFileSync(PAGE, "utf8");
+
+    function route(url) {
+        const { pathname, searchParams } = new URL(url, "http://localhost");
+        if (pathname === "/" || pathname === "/dashboard") return { type: "text/html", body: page };
+        if (pathname === "/dashboard/markets") return { body: { markets: ledger.markets() } };
+        const match = pathname.match(/^\/dashboard\/data\/([^/]+)$/);
+        if (match) {
+            const query = {};
+            for (const key of ["hours", "curves"]) {
+                const v = Number(searchParams.get(key));
+                if (v > 0) query[key] = v;
+            }
+            return { body: buildMarketData(ledger, decodeURIComponent(match[1]), query) };
+        }
+        return { status: 404, body: { error: `no route ${pathname}` } };
+    }
+
+    const server = http.createServer((req, res) => {
+        if (req.method !== "GET") {
+            res.writeHead(405, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ error: "GET only" }));
+            return;
+        }
+        try {
+            const { status = 200, type = "application/json", body } = route(req.url);
+            res.writeHead(status, { "Content-Type": `${type}; charset=utf-8` });
+            res.end(typeof body === "string" ? body : JSON.stringify(body));
+        } catch (e) {
+            res.writeHead(500, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ error: e.message }));
+        }
+    });
+
+    const host = options.host || "127.0.0.1";
+    await new Promise(resolve => server.listen(options.port || 0, host, resolve));
+    const { port } = server.address();
+    return {
+        url: `http://${host}:${port}/`,
+        port,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+module.exports = { buildMarketData, impliedProbability, startDashboardServer };
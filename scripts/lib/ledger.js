@@ -0,0 +1,541 @@
+/**
+ * 📒 Trade ledger
+ *
+ * One SQLite store (better-sqlite3) for everything the bots used to append
+ * to logs/*.json: scans, simulations, submitted transactions, receipts, gas
+ * paid and realized profit per market and token. Reports, dedup (tx hashes
+ * are unique) and crash recovery (trades still "submitted" after a restart)
+ * all read from here.
+ *
+ * The schema is versioned with PRAGMA user_version; MIGRATIONS[i] takes the
+ * database from version i to i + 1 and runs once, in a transaction, when the
+ * ledger is opened. Add a migration, never edit one that has shipped.
+ *
+ * Records use the engine's event shapes, so live logging and importing old
+ * JSON-lines logs (scripts/import-logs.js) share record():
+ *
+ *   scan            scan summary (bot-engine.js)
+ *   simulation      one staticCall of the size ladder
+ *   trade_submitted tx sent, receipt pending
+ *   trade           receipt: status, gas, simulated + realized profit
+ *   trade_error     send / confirmation failure
+ *   trade_replaced  fee bump or cancel re-sent the trade's nonce under a new
+ *                   hash; the row moves to the new hash (tx-manager.js)
+ *   trade_postmortem  fork-replay report of a reverted trade (postmortem.js)
+ *   prices          { SYMBOL: USD } the adapter priced the trade at
+ *   trade_onchain   ArbitrageExecuted event found by the reconciler
+ *   trade_unconfirmed  recorded as mined but no event on-chain
+ *   retired, …      anything else goes to market_events
+ *
+ * Usage:
+ *   const ledger = openLedger("logs/ledger.sqlite");
+ *   ledger.record("gnosis-v5", { type: "scan", timestamp, block, … });
+ *   ledger.pendingTrades("gnosis-v5");
+ *   ledger.realizedProfit();
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const DEFAULT_FILE = path.join(__dirname, "../../logs/ledger.sqlite");
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCHEMA
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MIGRATIONS = [
+    // 1: initial schema
+    `
+    CREATE TABLE scans (
+        id              INTEGER PRIMARY KEY,
+        market          TEXT NOT NULL,
+        timestamp       TEXT NOT NULL,
+        block           INTEGER,
+        gas_price_gwei  REAL,
+        divergence      REAL,
+        prices          TEXT,              -- JSON
+        best_strategy   TEXT,
+        best_amount     TEXT,
+        best_unit       TEXT,
+        best_profit     REAL,
+        best_net_profit REAL,
+        action          TEXT
+    );
+    CREATE INDEX scans_market_time ON scans (market, timestamp);
+
+    CREATE TABLE simulations (
+        id              INTEGER PRIMARY KEY,
+        market          TEXT NOT NULL,
+        timestamp       TEXT NOT NULL,
+        block           INTEGER,
+        strategy        TEXT,
+        amount          TEXT,
+        unit            TEXT,
+        success         INTEGER NOT NULL,
+        profit          REAL,
+        expected_profit REAL,
+        error           TEXT
+    );
+    CREATE INDEX simulations_market_time ON simulations (market, timestamp);
+
+    CREATE TABLE trades (
+        id                  INTEGER PRIMARY KEY,
+        market              TEXT NOT NULL,
+        tx_hash             TEXT UNIQUE,       -- NULL when the send itself failed
+        status              TEXT NOT NULL,     -- submitted | success | failed | error
+        strategy            TEXT,
+        direction           INTEGER,
+        borrow_token        TEXT,
+        amount              TEXT,
+        unit                TEXT,
+        decimals            INTEGER,
+        simulated_profit    REAL,
+        net_profit          REAL,
+        realized_profit     REAL,              -- from the ArbitrageExecuted event
+        realized_profit_raw TEXT,
+        block_number        INTEGER,
+        gas_used            TEXT,
+        effective_gas_price TEXT,
+        gas_paid            TEXT,              -- wei of the chain's native token
+        tx_url              TEXT,
+        error               TEXT,
+        submitted_at        TEXT,
+        updated_at          TEXT NOT NULL
+    );
+    CREATE INDEX trades_market_status ON trades (market, status);
+
+    CREATE TABLE market_events (
+        id        INTEGER PRIMARY KEY,
+        market    TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        type      TEXT NOT NULL,
+        detail    TEXT                         -- JSON
+    );
+
+    CREATE VIEW realized_profit AS
+        SELECT market, unit, borrow_token,
+               COUNT(*) AS trades,
+               SUM(COALESCE(realized_profit, simulated_profit)) AS profit,
+               SUM(CAST(gas_paid AS REAL)) / 1e18 AS gas_paid
+        FROM trades WHERE status = 'success'
+        GROUP BY market, unit, borrow_token;
+    `,
+    // 2: reference prices recorded with each trade, gas token per trade
+    `
+    CREATE TABLE prices (
+        id        INTEGER PRIMARY KEY,
+        market    TEXT,
+        timestamp TEXT NOT NULL,
+        symbol    TEXT NOT NULL,               -- upper case: GNO, SDAI, XDAI, ETH, …
+        price     REAL NOT NULL,
+        reference TEXT NOT NULL DEFAULT 'USD'
+    );
+    CREATE INDEX prices_symbol_time ON prices (symbol, timestamp);
+
+    ALTER TABLE trades ADD COLUMN gas_symbol TEXT;
+    `,
+    // 3: reconciliation against the contracts' ArbitrageExecuted events
+    `
+    ALTER TABLE trades ADD COLUMN caller TEXT;
+    ALTER TABLE trades ADD COLUMN reconciled TEXT;     -- matched | chain-only | missing-onchain, NULL = unchecked
+
+    CREATE TABLE reconcile_scans (
+        id          INTEGER PRIMARY KEY,
+        chain_id    INTEGER NOT NULL,
+        contract    TEXT NOT NULL,
+        from_block  INTEGER NOT NULL,
+        to_block    INTEGER NOT NULL,
+        events      INTEGER NOT NULL,
+        timestamp   TEXT NOT NULL
+    );
+    CREATE INDEX reconcile_scans_contract ON reconcile_scans (chain_id, contract);
+    `,
+    // 4: fee-bumped / cancelled trades (status 'cancelled': the nonce went to a 0-value self-transfer)
+    `
+    ALTER TABLE trades ADD COLUMN replaced_hashes TEXT;    -- earlier hashes of the same nonce, comma separated
+    `,
+    // 5: post-mortem reports of reverted trades
+    `
+    ALTER TABLE trades ADD COLUMN postmortem TEXT;         -- report file, written after the trade row
+    `,
+];
+
+function migrate(db) {
+    const version = db.pragma("user_version", { simple: true });
+    if (version > MIGRATIONS.length) {
+        throw new Error(`Ledger schema v${version} is newer than this code (v${MIGRATIONS.length})`);
+    }
+    for (let v = version; v < MIGRATIONS.length; v++) {
+        db.transaction(() => {
+            db.exec(MIGRATIONS[v]);
+            db.pragma(`user_version = ${v + 1}`);
+        })();
+    }
+    return MIGRATIONS.length;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LEDGER
+// ═══════════════════════════════════════════════════════════════════════════
+
+const num = v => (v === undefined || v === null || Number.isNaN(Number(v)) ? null : Number(v));
+const str = v => (v === undefined || v === null ? null : String(v));
+
+function gasPaid(gasUsed, gasPrice) {
+    if (gasUsed === undefined || gasUsed === null || gasPrice === undefined || gasPrice === null) return null;
+    return (BigInt(gasUsed) * BigInt(gasPrice)).toString();
+}
+
+/**
+ * Open (and migrate) a ledger file; ":memory:" for a throwaway store.
+ * @param {string} [file]  default LEDGER_DB or logs/ledger.sqlite
+ */
+function openLedger(file = process.env.LEDGER_DB || DEFAULT_FILE) {
+    if (file !== ":memory:") fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma("journal_mode = WAL");   // reports can read while a bot writes
+    const version = migrate(db);
+
+    const insertScan = db.prepare(`
+        INSERT INTO scans (market, timestamp, block, gas_price_gwei, divergence, prices,
+                           best_strategy, best_amount, best_unit, best_profit, best_net_profit, action)
+        VALUES (@market, @timestamp, @block, @gasPrice, @divergence, @prices,
+                @strategy, @amount, @unit, @profit, @netProfit, @action)`);
+    const insertSimulation = db.prepare(`
+        INSERT INTO simulations (market, timestamp, block, strategy, amount, unit, success, profit, expected_profit, error)
+        VALUES (@market, @timestamp, @block, @strategy, @amount, @unit, @success, @profit, @expectedProfit, @error)`);
+    const insertEvent = db.prepare(`
+        INSERT INTO market_events (market, timestamp, type, detail) VALUES (@market, @timestamp, @type, @detail)`);
+    const insertPrice = db.prepare(`
+        INSERT INTO prices (market, timestamp, symbol, price) VALUES (@market, @timestamp, @symbol, @price)`);
+    const priceBefore = db.prepare(`
+        SELECT price, timestamp FROM prices WHERE symbol = ? AND timestamp <= ? ORDER BY timestamp DESC, id DESC LIMIT 1`);
+    const priceAfter = db.prepare(`
+        SELECT price, timestamp FROM prices WHERE symbol = ? AND timestamp > ? ORDER BY timestamp, id LIMIT 1`);
+    const findTrade = db.prepare("SELECT id FROM trades WHERE tx_hash = ?");
+    const insertTrade = db.prepare(`
+        INSERT INTO trades (market, tx_hash, status, strategy, direction, borrow_token, amount, unit, decimals,
+                            simulated_profit, net_profit, gas_symbol, tx_url, error, submitted_at, updated_at)
+        VALUES (@market, @txHash, @status, @strategy, @direction, @borrowToken, @amount, @unit, @decimals,
+                @simulatedProfit, @netProfit, @gasSymbol, @txUrl, @error, @timestamp, @timestamp)`);
+    const setTradeHash = db.prepare(`
+        UPDATE trades SET tx_hash = @replacementHash, replaced_hashes = @replaced, updated_at = @timestamp WHERE tx_hash = @txHash`);
+    // The row follows its nonce to the new hash; the others are kept, oldest first
+    const moveTrade = db.transaction(e => {
+        const row = db.prepare("SELECT replaced_hashes FROM trades WHERE tx_hash = ?").get(e.txHash);
+        if (!row) return;
+        const earlier = row.replaced_hashes ? row.replaced_hashes.split(",") : [];
+        const replaced = [...earlier, e.txHash].filter(h => h !== e.replacementHash).join(",");
+        setTradeHash.run({ ...e, replaced });
+    });
+    const setPostmortem = db.prepare(`
+        UPDATE trades SET postmortem = @postmortem, updated_at = @timestamp WHERE tx_hash = @txHash`);
+    const markUnconfirmed = db.prepare(`
+        UPDATE trades SET reconciled = 'missing-onchain', updated_at = @timestamp WHERE tx_hash = @txHash`);
+    const insertReconcileScan = db.prepare(`
+        INSERT INTO reconcile_scans (chain_id, contract, from_block, to_block, events, timestamp)
+        VALUES (@chainId, @contract, @fromBlock, @toBlock, @events, @timestamp)`);
+    // Receipts and errors fill in a submitted row; COALESCE keeps what the submit recorded
+    const updateTrade = db.prepare(`
+        UPDATE trades SET
+            status = @status,
+            strategy = COALESCE(@strategy, strategy),
+            direction = COALESCE(@direction, direction),
+            borrow_token = COALESCE(@borrowToken, borrow_token),
+            unit = COALESCE(@unit, unit),
+            simulated_profit = COALESCE(@simulatedProfit, simulated_profit),
+            net_profit = COALESCE(@netProfit, net_profit),
+            realized_profit = COALESCE(@realizedProfit, realized_profit),
+            realized_profit_raw = COALESCE(@realizedProfitRaw, realized_profit_raw),
+            block_number = COALESCE(@blockNumber, block_number),
+            gas_used = COALESCE(@gasUsed, gas_used),
+            effective_gas_price = COALESCE(@effectiveGasPrice, effective_gas_price),
+            gas_paid = COALESCE(@gasPaid, gas_paid),
+            gas_symbol = COALESCE(@gasSymbol, gas_symbol),
+            caller = COALESCE(@caller, caller),
+            -- a trade first seen on-chain stays "chain-only" on later reconciles
+            reconciled = CASE WHEN reconciled = 'chain-only' THEN reconciled ELSE COALESCE(@reconciled, reconciled) END,
+            tx_url = COALESCE(@txUrl, tx_url),
+            error = COALESCE(@error, error),
+            updated_at = @timestamp
+        WHERE tx_hash = @txHash`);
+
+    function tradeParams(market, e, status) {
+        return {
+            market,
+            txHash: str(e.txHash),
+            status,
+            strategy: str(e.strategy),
+            direction: num(e.direction),
+            borrowToken: str(e.borrowToken),
+            amount: str(e.amount),
+            unit: str(e.unit),
+            decimals: num(e.decimals),
+            simulatedProfit: num(e.profit),
+            netProfit: num(e.netProfit),
+            realizedProfit: num(e.realizedProfit),
+            realizedProfitRaw: str(e.realizedProfitRaw),
+            blockNumber: num(e.blockNumber),
+            gasUsed: str(e.gasUsed),
+            effectiveGasPrice: str(e.effectiveGasPrice),
+            gasPaid: gasPaid(e.gasUsed, e.effectiveGasPrice),
+            gasSymbol: str(e.gasSymbol),
+            caller: str(e.caller),
+            reconciled: str(e.reconciled),
+            txUrl: str(e.txUrl),
+            error: str(e.error),
+            timestamp: e.timestamp || new Date().toISOString(),
+        };
+    }
+
+    const upsertTrade = db.transaction((market, e, status) => {
+        const params = tradeParams(market, e, status);
+        if (params.txHash && findTrade.get(params.txHash)) {
+            updateTrade.run(params);
+        } else {
+            insertTrade.run(params);
+            if (params.txHash) updateTrade.run(params);   // receipt fields
+        }
+    });
+
+    const ledger = {
+        file,
+        version,
+        db,
+
+        /** Store one engine event (see file header for the types). */
+        record(market, event) {
+            const timestamp = event.timestamp || new Date().toISOString();
+            switch (event.type) {
+                case "scan": {
+                    const best = event.bestOpportunity || {};
+                    insertScan.run({
+                        market,
+                        timestamp,
+                        block: num(event.block),
+                        gasPrice: num(event.gasPrice),
+                        divergence: num(event.divergence),
+                        prices: event.prices ? JSON.stringify(event.prices) : null,
+                        strategy: str(best.strategy),
+                        amount: str(best.amount),
+                        unit: str(best.unit),
+                        profit: num(best.profit),
+                        netProfit: num(best.netProfit),
+                        action: str(event.action),
+                    });
+                    break;
+                }
+                case "simulation":
+                    insertSimulation.run({
+                        market,
+                        timestamp,
+                        block: num(event.block),
+                        strategy: str(event.strategy),
+                        amount: str(event.amount),
+                        unit: str(event.unit),
+                        success: event.success ? 1 : 0,
+                        profit: num(event.profit),
+                        expectedProfit: num(event.expectedProfit),
+                        error: str(event.error),
+                    });
+                    break;
+                case "trade_submitted":
+                    upsertTrade(market, { ...event, timestamp }, "submitted");
+                    break;
+                case "trade":
+                    upsertTrade(market, { ...event, timestamp }, ["success", "cancelled"].includes(event.status) ? event.status : "failed");
+                    break;
+                case "trade_replaced":
+                    moveTrade({ txHash: str(event.txHash), replacementHash: str(event.replacementHash), timestamp });
+                    break;
+                case "trade_onchain":
+                    upsertTrade(market, { ...event, timestamp }, "success");
+                    break;
+                case "trade_postmortem":
+                    setPostmortem.run({ txHash: str(event.txHash), postmortem: str(event.postmortem), timestamp });
+                    break;
+                case "trade_unconfirmed":
+                    markUnconfirmed.run({ txHash: str(event.txHash), timestamp });
+                    break;
+                case "prices":
+                    for (const [symbol, price] of Object.entries(event.prices || {})) {
+                        if (num(price) === null || !(price > 0)) continue;
+                        insertPrice.run({ market, timestamp, symbol: symbol.toUpperCase(), price: Number(price) });
+                    }
+                    break;
+                case "trade_error":
+                    // pending: sent but unconfirmed (timeout), recovery still looks for it
+                    upsertTrade(market, { ...event, timestamp }, event.pending && event.txHash ? "submitted" : "error");
+                    break;
+                default:
+                    insertEvent.run({ market, timestamp, type: String(event.type || "unknown"), detail: JSON.stringify(event) });
+            }
+        },
+
+        /**
+         * Import JSON-lines log text (the pre-ledger logs/*.json). Lines the
+         * engine wrote carry their own `market`; older bots' lines are filed
+         * under `market`. Re-importing is a no-op: trades dedup on tx hash and
+         * time, everything else on market + type + timestamp.
+         * @param {object} [defaults]  { units: { strategy: unit }, gasSymbol } for
+         *                             lines that predate those fields
+         * @returns {{ imported: number, skipped: number, invalid: number }}
+         */
+        importLines(text, market, defaults = {}) {
+            const stats = { imported: 0, skipped: 0, invalid: 0 };
+            const seen = {
+                scan: db.prepare("SELECT 1 FROM scans WHERE market = ? AND timestamp = ?"),
+                simulation: db.prepare("SELECT 1 FROM simulations WHERE market = ? AND timestamp = ?"),
+                sent: db.prepare("SELECT 1 FROM trades WHERE tx_hash = ? AND updated_at >= ?"),
+                error: db.prepare("SELECT 1 FROM trades WHERE market = ? AND tx_hash IS NULL AND updated_at = ?"),
+                prices: db.prepare("SELECT 1 FROM prices WHERE market = ? AND timestamp = ?"),
+                event: db.prepare("SELECT 1 FROM market_events WHERE market = ? AND type = ? AND timestamp = ?"),
+            };
+            const TRADE_TYPES = ["trade", "trade_submitted", "trade_error"];
+            const isDuplicate = (id, e) => {
+                if (!e.timestamp) return false;
+                if (["scan", "simulation", "prices"].includes(e.type)) return Boolean(seen[e.type].get(id, e.timestamp));
+                if (TRADE_TYPES.includes(e.type)) {
+                    // a row already updated at or after this line has seen it (and must not regress)
+                    return Boolean(e.txHash ? seen.sent.get(e.txHash, e.timestamp) : seen.error.get(id, e.timestamp));
+                }
+                return Boolean(seen.event.get(id, String(e.type), e.timestamp));
+            };
+            db.transaction(() => {
+                for (const line of text.split("\n")) {
+                    if (!line.trim()) continue;
+                    let event;
+                    try {
+                        event = JSON.parse(line);
+                    } catch (_) {
+                        stats.invalid++;
+                        continue;
+                    }
+                    const id = event.market || market;
+                    if (!id || !event.type) {
+                        stats.invalid++;
+                    } else if (isDuplicate(id, event)) {
+                        stats.skipped++;
+                    } else {
+                        if (TRADE_TYPES.includes(event.type)) {
+                            event.unit = event.unit ?? defaults.units?.[event.strategy];
+                            event.gasSymbol = event.gasSymbol ?? defaults.gasSymbol;
+                        }
+                        ledger.record(id, event);
+                        stats.imported++;
+                    }
+                }
+            })();
+            return stats;
+        },
+
+        /**
+         * USD price of `symbol` recorded closest before `timestamp` (else the
+         * first one after), or null if it was never recorded.
+         */
+        priceAt(symbol, timestamp) {
+            const key = String(symbol).toUpperCase();
+            const row = priceBefore.get(key, timestamp) || priceAfter.get(key, timestamp);
+            return row ? row.price : null;
+        },
+
+        /** Remember a scanned block range of a contract (incremental reconciles). */
+        recordReconcileScan(scan) {
+            insertReconcileScan.run({ ...scan, contract: scan.contract.toLowerCase(), timestamp: scan.timestamp || new Date().toISOString() });
+        },
+
+        /** Last block of a contract the reconciler has scanned, or null. */
+        lastReconciledBlock(chainId, contract) {
+            const row = db.prepare("SELECT MAX(to_block) AS block FROM reconcile_scans WHERE chain_id = ? AND contract = ?")
+                .get(Number(chainId), contract.toLowerCase());
+            return row.block ?? null;
+        },
+
+        hasTrade(txHash) {
+            return Boolean(findTrade.get(txHash));
+        },
+
+        getTrade(txHash) {
+            return db.prepare("SELECT * FROM trades WHERE tx_hash = ?").get(txHash) || null;
+        },
+
+        /** Every hash a trade row was sent under, current one first. */
+        tradeHashes(trade) {
+            return [trade.tx_hash, ...(trade.replaced_hashes ? trade.replaced_hashes.split(",").reverse() : [])];
+        },
+
+        /** Trades sent but without a receipt (crash recovery). */
+        pendingTrades(market) {
+            return market
+                ? db.prepare("SELECT * FROM trades WHERE status = 'submitted' AND market = ? ORDER BY id").all(market)
+                : db.prepare("SELECT * FROM trades WHERE status = 'submitted' ORDER BY id").all();
+        },
+
+        /** Trades, newest last; filters: { market, status, since (ISO timestamp) }. */
+        trades(filter = {}) {
+            const where = [];
+            const params = {};
+            for (const [key, column] of [["market", "market"], ["status", "status"]]) {
+                if (filter[key]) {
+                    where.push(`${column} = @${key}`);
+                    params[key] = filter[key];
+                }
+            }
+            if (filter.since) {
+                where.push("COALESCE(submitted_at, updated_at) >= @since");
+                params.since = filter.since;
+            }
+            const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+            return db.prepare(`SELECT * FROM trades ${clause} ORDER BY id`).all(params);
+        },
+
+        /** Scans of a market in time order; filters: { since, until } (ISO timestamps). */
+        scans(market, filter = {}) {
+            return db.prepare(`
+                SELECT * FROM scans WHERE market = @market
+                  AND (@since IS NULL OR timestamp >= @since) AND (@until IS NULL OR timestamp <= @until)
+                ORDER BY timestamp, id`).all({ market, since: filter.since ?? null, until: filter.until ?? null });
+        },
+
+        /** Simulations of a market in time order; filters: { since, until }. */
+        simulations(market, filter = {}) {
+            return db.prepare(`
+                SELECT * FROM simulations WHERE market = @market
+                  AND (@since IS NULL OR timestamp >= @since) AND (@until IS NULL OR timestamp <= @until)
+                ORDER BY timestamp, id`).all({ market, since: filter.since ?? null, until: filter.until ?? null });
+        },
+
+        /** Every market id with scans or trades. */
+        markets() {
+            return db.prepare("SELECT market FROM scans UNION SELECT market FROM trades ORDER BY market").pluck().all();
+        },
+
+        /** Successful trades summed per market and token. */
+        realizedProfit(market) {
+            return market
+                ? db.prepare("SELECT * FROM realized_profit WHERE market = ? ORDER BY market, unit").all(market)
+                : db.prepare("SELECT * FROM realized_profit ORDER BY market, unit").all();
+        },
+
+        counts(market) {
+            const by = (table, extra = "") => db.prepare(
+                `SELECT COUNT(*) AS n FROM ${table} WHERE (@market IS NULL OR market = @market) ${extra}`
+            ).get({ market: market ?? null }).n;
+            return {
+                scans: by("scans"),
+                simulations: by("simulations"),
+                trades: by("trades"),
+                failed: by("trades", "AND status IN ('failed', 'error')"),
+                pending: by("trades", "AND status = 'submitted'"),
+            };
+        },
+
+        close() {
+            db.close();
+        },
+    };
+    return ledger;
+}
+
+module.exports = { openLedger, MIGRATIONS, DEFAULT_FILE };
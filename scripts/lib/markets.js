@@ -0,0 +1,358 @@
+/**
+ * Market registry loader.
+ *
+ * Markets are declared in markets/*.json (one file per contract + proposal,
+ * keyed by chain id and proposal address). Every file is checked against the
+ * schema below when the registry is first loaded, so a typo in an address or
+ * a missing ladder fails at startup instead of mid-scan. Rotating to a new
+ * proposal is an edit to the JSON file, not to the bots.
+ *
+ * Fields listed under "env" are overridable from the environment, e.g.
+ *   "env": { "contractAddress": "PNK_ARB_CONTRACT" }
+ * The env value is coerced to the type of the JSON default (number, string,
+ * or comma-separated list).
+ *
+ * MARKETS_DIR points the loader at another directory (tests, sandboxes).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { CHAINS } = require("./chains");
+
+const DEFAULT_DIR = path.join(__dirname, "../../markets");
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCHEMA
+// ═══════════════════════════════════════════════════════════════════════════
+
+// "deployments": earlier contracts for the market (V2, V3, …), used by the debug and test scripts
+const ADDRESS_MAPS = ["tokens", "outcomeTokens", "pools", "rateProviders", "deployments"];
+
+const COMMON_FIELDS = {
+    id: "string",
+    adapter: "string",
+    label: "string",
+    chainId: "chainId",
+    keyEnv: "string?",
+    contractAddress: "address|empty",
+    proposalAddress: "address?",
+    deployBlock: "number?",            // contract deploy block (scripts/verify-events.js)
+    quoter: "address?",
+    decimals: "decimals?",             // token decimals by symbol where not 18 (scripts/lib/reconcile.js)
+    scanIntervalMs: "positive",
+    gasLimit: "positive",
+    estimatedGas: "positive?",         // gas per trade for ladder evaluation (default gasLimit)
+    estimateGas: "boolean?",           // false: the gate uses estimatedGas instead of eth_estimateGas
+    gasMargin: "positive?",            // gas cost multiplier in the net-profit gate (scripts/lib/profitability.js)
+    minProfitFactor: "fraction?",
+    sizing: "sizing?",
+    logFile: "jsonFile?",          // legacy JSON-lines log, read by scripts/import-logs.js
+    heartbeatFile: "jsonFile?",
+    env: "object?",
+    discovery: "object?",
+    submission: "object?",            // public mempool or private relay (scripts/lib/submission.js)
+    replacement: "object?",           // stuck-tx fee bumps (scripts/lib/tx-manager.js)
+    triggers: "object?",              // event-driven scans (scripts/lib/triggers.js)
+};
+
+// Proposal discovery needs the contract's loadProposal view to validate candidates
+const DISCOVERY_ADAPTERS = ["gnosis-v4", "gnosis-v5", "pnk"];
+
+const DISCOVERY_FIELDS = {
+    "discovery.factory": "address?",
+    "discovery.event": "string?",
+    "discovery.fromBlock": "number?",
+    "discovery.registryFile": "jsonPath?",
+    "discovery.conditionalTokens": "address?",
+    "discovery.pollMs": "positive?",
+};
+
+const SUBMISSION_FIELDS = {
+    "submission.mode": "submissionMode",
+    "submission.relayUrl": "string?",
+    "submission.targetBlocks": "positive?",
+    "submission.allowPublicFallback": "boolean?",
+};
+
+const REPLACEMENT_FIELDS = {
+    "replacement.stallBlocks": "positive?",
+    "replacement.bumpPercent": "bumpPercent?",
+    "replacement.maxBumps": "number?",
+    "replacement.maxFeeGwei": "positive?",
+};
+
+const TRIGGER_FIELDS = {
+    "triggers.mode": "triggerMode?",
+    "triggers.blocks": "blockTrigger?",
+    "triggers.debounceMs": "number?",
+    "triggers.maxIdleMs": "positive?",
+};
+
+// Adapters that can price their route from pool state (default sizing "model")
+const MODEL_SIZING_ADAPTERS = ["gnosis-v5", "pnk", "eth-v1"];
+
+// Adapter-specific required fields ("tokens.GNO" = key inside an address map)
+const ADAPTER_FIELDS = {
+    "gnosis-v4": {
+        proposalAddress: "address", "tokens.GNO": "address", "tokens.SDAI": "address",
+        ladders: "ladders", minNetProfit: "object", gnoPriceSdai: "positive",
+    },
+    "gnosis-v5": {
+        proposalAddress: "address", "tokens.GNO": "address", "tokens.SDAI": "address", "pools.spot": "address",
+        depthFractions: "numbers", minDivergence: "number", minNetProfit: "object",
+    },
+    "pnk": {
+        proposalAddress: "address", "tokens.WETH": "address",
+        fallbackAmounts: "amounts", depthFractions: "numbers", minNetProfit: "number",
+    },
+    "aave-v2": {
+        proposalAddress: "address", "tokens.AAVE": "address", "tokens.GHO": "address",
+        ladders: "ladders", minNetProfit: "object", prices: "object",
+    },
+    "aave-v6": {
+        proposalAddress: "address", "tokens.AAVE": "address",
+        tradeSizes: "amounts", minNetProfitUsd: "number", prices: "object", estimatedGas: "positive",
+    },
+    "eth-v1": {
+        proposalAddress: "address", "tokens.WETH": "address", "tokens.USDC": "address", "tokens.USDS": "address",
+        "outcomeTokens.YES_WETH": "address", "outcomeTokens.NO_WETH": "address",
+        "outcomeTokens.YES_USDS": "address", "outcomeTokens.NO_USDS": "address",
+        "pools.yes": "address", "pools.no": "address", "pools.spot": "address",
+        testAmounts: "numbers", divergenceThreshold: "number", minProfitWeth: "string",
+        gasMargin: "positive", maxBorrow: "positive", sizeGrowth: "positive",
+        slippageBps: "number", estimatedGas: "positive",
+    },
+    "vlr-v3": {
+        quoter: "address", "tokens.VLR": "address", "tokens.USDC": "address", "tokens.WETH": "address",
+        testAmounts: "amounts", minNetProfitUsd: "number", estimatedGas: "positive",
+    },
+};
+
+const isAmount = v => typeof v === "string" && /^\d+(\.\d+)?$/.test(v);
+
+const CHECKS = {
+    string: v => typeof v === "string" && v.length > 0,
+    number: v => typeof v === "number" && Number.isFinite(v),
+    positive: v => typeof v === "number" && v > 0,
+    fraction: v => typeof v === "number" && v > 0 && v <= 1,
+    object: v => v !== null && typeof v === "object" && !Array.isArray(v),
+    chainId: v => CHAINS[v] !== undefined,
+    address: v => typeof v === "string" && ethers.isAddress(v),
+    "address|empty": v => v === "" || (typeof v === "string" && ethers.isAddress(v)),
+    jsonFile: v => typeof v === "string" && /^[\w.-]+\.json$/.test(v),
+    jsonPath: v => typeof v === "string" && v.endsWith(".json"),
+    numbers: v => Array.isArray(v) && v.length > 0 && v.every(CHECKS.positive),
+    amounts: v => Array.isArray(v) && v.length > 0 && v.every(isAmount),
+    ladders: v => CHECKS.object(v) && Object.values(v).every(CHECKS.amounts),
+    sizing: v => v === "model" || v === "ladder",
+    boolean: v => typeof v === "boolean",
+    submissionMode: v => v === "public" || v === "relay",
+    bumpPercent: v => typeof v === "number" && v >= 10,
+    triggerMode: v => v === "events" || v === "interval",
+    blockTrigger: v => typeof v === "boolean" || (Number.isInteger(v) && v > 0),
+    decimals: v => CHECKS.object(v) && Object.values(v).every(d => Number.isInteger(d) && d >= 0 && d <= 36),
+};
+
+const DESCRIPTIONS = {
+    chainId: `a known chain id (${Object.keys(CHAINS).join(", ")})`,
+    address: "a valid address",
+    "address|empty": "a valid address or \"\"",
+    jsonFile: "a file name ending in .json",
+    jsonPath: "a path ending in .json",
+    numbers: "a non-empty array of positive numbers",
+    amounts: "a non-empty array of decimal strings",
+    ladders: "an object of decimal-string arrays",
+    fraction: "a number in (0, 1]",
+    sizing: "\"model\" or \"ladder\"",
+    submissionMode: "\"public\" or \"relay\"",
+    bumpPercent: "a number >= 10 (nodes reject smaller replacement bumps)",
+    triggerMode: "\"events\" or \"interval\"",
+    blockTrigger: "true, false or a positive integer (every N blocks)",
+    decimals: "an object of token decimals (integers 0-36)",
+};
+
+function getPath(obj, key) {
+    return key.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+/**
+ * Check one market config. Returns a list of problems (empty when valid).
+ */
+function validateMarket(market) {
+    const problems = [];
+    const check = (key, rule) => {
+        const optional = rule.endsWith("?");
+        const type = optional ? rule.slice(0, -1) : rule;
+        const value = getPath(market, key);
+        if (value === undefined) {
+            if (!optional) problems.push(`${key}: missing`);
+        } else if (!CHECKS[type](value)) {
+            problems.push(`${key}: expected ${DESCRIPTIONS[type] || type}, got ${JSON.stringify(value)}`);
+        }
+    };
+
+    for (const [key, rule] of Object.entries(COMMON_FIELDS)) check(key, rule);
+
+    const adapterFields = ADAPTER_FIELDS[market.adapter];
+    if (market.adapter !== undefined && !adapterFields) {
+        problems.push(`adapter: unknown "${market.adapter}" (known: ${Object.keys(ADAPTER_FIELDS).join(", ")})`);
+    }
+    for (const [key, rule] of Object.entries(adapterFields || {})) check(key, rule);
+
+    if (market.sizing === "model" && !MODEL_SIZING_ADAPTERS.includes(market.adapter)) {
+        problems.push(`sizing: "model" not supported by adapter "${market.adapter}" (supported: ${MODEL_SIZING_ADAPTERS.join(", ")})`);
+    }
+
+    if (CHECKS.object(market.discovery)) {
+        if (!DISCOVERY_ADAPTERS.includes(market.adapter)) {
+            problems.push(`discovery: not supported by adapter "${market.adapter}" (supported: ${DISCOVERY_ADAPTERS.join(", ")})`);
+        }
+        if (!market.discovery.factory && !market.discovery.registryFile) {
+            problems.push("discovery: needs a factory or a registryFile");
+        }
+        for (const [key, rule] of Object.entries(DISCOVERY_FIELDS)) check(key, rule);
+    }
+
+    if (CHECKS.object(market.submission)) {
+        for (const [key, rule] of Object.entries(SUBMISSION_FIELDS)) check(key, rule);
+        if (market.submission.mode === "relay" && !market.submission.relayUrl) {
+            problems.push("submission: relay mode needs a relayUrl");
+        }
+    }
+
+    if (CHECKS.object(market.replacement)) {
+        for (const [key, rule] of Object.entries(REPLACEMENT_FIELDS)) check(key, rule);
+    }
+
+    if (CHECKS.object(market.triggers)) {
+        for (const [key, rule] of Object.entries(TRIGGER_FIELDS)) check(key, rule);
+    }
+
+    for (const map of ADDRESS_MAPS) {
+        if (market[map] === undefined) continue;
+        if (!CHECKS.object(market[map])) {
+            problems.push(`${map}: expected an object of addresses`);
+            continue;
+        }
+        for (const [name, addr] of Object.entries(market[map])) {
+            if (!CHECKS.address(addr)) problems.push(`${map}.${name}: invalid address ${JSON.stringify(addr)}`);
+        }
+    }
+    return problems;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LOADING
+// ═══════════════════════════════════════════════════════════════════════════
+
+function coerceEnv(value, current) {
+    if (Array.isArray(current)) {
+        const items = value.split(",").map(s => s.trim()).filter(Boolean);
+        return typeof current[0] === "number" ? items.map(Number) : items;
+    }
+    if (typeof current === "number") return Number(value);
+    return value;
+}
+
+function applyEnv(market) {
+    for (const [field, name] of Object.entries(market.env || {})) {
+        if (process.env[name] !== undefined && process.env[name] !== "") {
+            market[field] = coerceEnv(process.env[name], market[field]);
+        }
+    }
+    return market;
+}
+
+let cache = null;
+
+/**
+ * Load and validate every markets/*.json file. Throws one error listing all
+ * invalid files so a bad registry never half-starts.
+ */
+function loadMarkets(dir = process.env.MARKETS_DIR || DEFAULT_DIR) {
+    const markets = {};
+    const errors = [];
+
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort()) {
+        const rel = path.join(path.basename(dir), file);
+        let market;
+        try {
+            market = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+        } catch (e) {
+            errors.push(`${rel}: ${e.message}`);
+            continue;
+        }
+        market.id = market.id || path.basename(file, ".json");
+        applyEnv(market);
+
+        const problems = validateMarket(market);
+        if (markets[market.id]) problems.push(`id: duplicate "${market.id}"`);
+        if (problems.length > 0) {
+            errors.push(`${rel}:\n    - ${problems.join("\n    - ")}`);
+            continue;
+        }
+        markets[market.id] = market;
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid market config:\n  ${errors.join("\n  ")}`);
+    }
+    return markets;
+}
+
+function registry() {
+    if (!cache) cache = loadMarkets();
+    return cache;
+}
+
+function listMarkets() {
+    return Object.keys(registry());
+}
+
+function getMarket(id) {
+    const market = registry()[id];
+    if (!market) throw new Error(`Unknown market "${id}" (known: ${listMarkets().join(", ")})`);
+    return structuredClone(market);
+}
+
+/** Address of one of the market's earlier contract deployments ("deployments" map). */
+function deploymentAddress(market, name) {
+    const address = market.deployments?.[name];
+    if (!address) throw new Error(`Market ${market.id} has no "${name}" deployment (markets/*.json "deployments")`);
+    return address;
+}
+
+/**
+ * Write a newly deployed contract into the market's JSON file, so the
+ * registry (not a side file or env var) is where the bots and
+ * scripts/verify-events.js find it. Only the "contractAddress" line is
+ * rewritten; the rest of the file keeps its layout.
+ */
+function recordContractAddress(id, address, dir = process.env.MARKETS_DIR || DEFAULT_DIR) {
+    if (!ethers.isAddress(address)) throw new Error(`Not an address: ${address}`);
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".json"))) {
+        const filePath = path.join(dir, file);
+        const text = fs.readFileSync(filePath, "utf8");
+        const market = JSON.parse(text);
+        if ((market.id || path.basename(file, ".json")) !== id) continue;
+
+        const line = /("contractAddress"\s*:\s*)"[^"]*"/;
+        if (!line.test(text)) throw new Error(`${file} has no "contractAddress" field`);
+        fs.writeFileSync(filePath, text.replace(line, `$1"${ethers.getAddress(address)}"`));
+        cache = null;
+        return filePath;
+    }
+    throw new Error(`Unknown market "${id}" in ${dir}`);
+}
+
+/** Look a market up by chain id + proposal address (first match). */
+function findMarket(chainId, proposalAddress) {
+    const proposal = proposalAddress.toLowerCase();
+    const market = Object.values(registry()).find(m =>
+        m.chainId === Number(chainId) && (m.proposalAddress || "").toLowerCase() === proposal
+    );
+    return market ? structuredClone(market) : null;
+}
+
+module.exports = { loadMarkets, validateMarket, listMarkets, getMarket, findMarket, deploymentAddress, recordContractAddress };
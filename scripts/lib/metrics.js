@@ -0,0 +1,281 @@
+/**
+ * Prometheus metrics for the bot engine.
+ *
+ * A small in-process registry (counters, gauges, histograms with labels,
+ * rendered in the Prometheus text format) fed by the engine's events, and an
+ * HTTP server exposing it on /metrics. Signer balances are read when
+ * Prometheus scrapes, at most every `balanceTtlMs`.
+ *
+ *   arb_scans_total{market}                        scans completed
+ *   arb_scan_errors_total{market}                  scans that threw
+ *   arb_scan_duration_seconds{market}              histogram of scan latency
+ *   arb_last_scan_timestamp_seconds{market}
+ *   arb_last_block{market}                         block of the last scan
+ *   arb_gas_price_gwei{market}
+ *   arb_divergence_ratio{market}                   conditional vs spot, when the adapter has one
+ *   arb_best_profit{market,strategy,unit}          last scan's best simulated size, gross
+ *   arb_best_net_profit{market,strategy,unit}      ... net of gas
+ *   arb_pending_transactions{market}               in-flight nonces
+ *   arb_trades_sent_total{market,strategy}
+ *   arb_trades_total{market,strategy,status}       mined: success | reverted | cancelled
+ *   arb_trade_errors_total{market}                 send / confirmation failures
+ *   arb_realized_profit_total{market,unit}
+ *   arb_gas_spent_total{market,symbol}             native token paid for mined trades
+ *   arb_signer_balance{market,symbol}
+ *   arb_markets                                    markets being scanned
+ *
+ * Usage:
+ *   const server = await startMetricsServer(engine, { port: 9464 });
+ *   curl http://127.0.0.1:9464/metrics
+ *
+ *   METRICS_PORT=9464 node scripts/arb-bots.js      (runBots starts it)
+ */
+
+const http = require("http");
+const { ethers } = require("ethers");
+const { CHAINS } = require("./chains");
+
+const SCAN_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REGISTRY
+// ═══════════════════════════════════════════════════════════════════════════
+
+const escapeLabel = v => String(v).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+
+function labelText(labels) {
+    const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+    return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+const formatValue = v => (v === Infinity ? "+Inf" : v === -Infinity ? "-Inf" : String(v));
+
+function createRegistry() {
+    const metrics = [];
+
+    function register(type, name, help) {
+        const series = new Map();    // label text → { labels, value | buckets }
+        const metric = { type, name, help, series };
+        metrics.push(metric);
+        const entry = (labels, init) => {
+            const key = labelText(labels);
+            if (!series.has(key)) series.set(key, { labels, ...init() });
+            return series.get(key);
+        };
+        /** Drop every series whose labels include `match` (e.g. a retired market). */
+        const remove = match => {
+            for (const [key, s] of series) {
+                if (Object.entries(match).every(([k, v]) => s.labels[k] === v)) series.delete(key);
+            }
+        };
+        return { metric, entry, remove };
+    }
+
+    return {
+        counter(name, help) {
+            const { entry, remove } = register("counter", name, help);
+            return {
+                inc(labels = {}, value = 1) {
+                    entry(labels, () => ({ value: 0 })).value += value;
+                },
+                remove,
+            };
+        },
+
+        gauge(name, help) {
+            const { entry, remove } = register("gauge", name, help);
+            return {
+                set(labels, value) {
+                    if (value === null || value === undefined || Number.isNaN(value)) return;
+                    entry(labels, () => ({ value: 0 })).value = value;
+                },
+                remove,
+            };
+        },
+
+        histogram(name, help, buckets = SCAN_BUCKETS) {
+            const { metric, entry, remove } = register("histogram", name, help);
+            metric.buckets = buckets;
+            return {
+                observe(labels, value) {
+                    const h = entry(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+                    buckets.forEach((le, i) => { if (value <= le) h.counts[i]++; });
+                    h.sum += value;
+                    h.count++;
+                },
+                buckets,
+                remove,
+            };
+        },
+
+        /** Text exposition format 0.0.4. */
+        render() {
+            const lines = [];
+            for (const { type, name, help, series, buckets } of metrics) {
+                lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+                for (const s of series.values()) {
+                    if (type !== "histogram") {
+                        lines.push(`${name}${labelText(s.labels)} ${formatValue(s.value)}`);
+                        continue;
+                    }
+                    s.counts.forEach((c, i) => lines.push(`${name}_bucket${labelText({ ...s.labels, le: buckets[i] })} ${c}`));
+                    lines.push(`${name}_bucket${labelText({ ...s.labels, le: "+Inf" })} ${s.count}`);
+                    lines.push(`${name}_sum${labelText(s.labels)} ${s.sum}`);
+                    lines.push(`${name}_count${labelText(s.labels)} ${s.count}`);
+                }
+            }
+            return lines.join("\n") + "\n";
+        },
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ENGINE METRICS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Ledger / receipt status → metric label
+const TRADE_STATUS = { success: "success", failed: "reverted", cancelled: "cancelled" };
+
+/**
+ * Subscribe a registry to the engine's events.
+ * @param {EventEmitter} engine   createBotEngine() result
+ * @param {object} [options]      { balanceTtlMs (default 30000), now }
+ * @returns {{ registry, render: () => Promise<string> }}
+ */
+function createEngineMetrics(engine, options = {}) {
+    const registry = createRegistry();
+    const balanceTtlMs = options.balanceTtlMs ?? 30000;
+    const now = options.now || Date.now;
+
+    const m = {
+        scans: registry.counter("arb_scans_total", "Scans completed"),
+        scanErrors: registry.counter("arb_scan_errors_total", "Scans that failed with an error"),
+        scanDuration: registry.histogram("arb_scan_duration_seconds", "Scan latency: state read, ladder simulations, gate and send"),
+        stateReads: registry.counter("arb_state_reads_total", "View calls of the scans' state reads"),
+        stateRequests: registry.counter("arb_state_read_requests_total", "RPC requests those reads took (Multicall3 batches)"),
+        lastScan: registry.gauge("arb_last_scan_timestamp_seconds", "Unix time of the last completed scan"),
+        lastBlock: registry.gauge("arb_last_block", "Block number seen by the last scan"),
+        gasPrice: registry.gauge("arb_gas_price_gwei", "Gas price at the last scan"),
+        divergence: registry.gauge("arb_divergence_ratio", "Conditional vs spot price divergence at the last scan"),
+        bestProfit: registry.gauge("arb_best_profit", "Best simulated profit of the last scan, in the borrowed token"),
+        bestNetProfit: registry.gauge("arb_best_net_profit", "Best simulated profit of the last scan net of gas, in the borrowed token"),
+        pending: registry.gauge("arb_pending_transactions", "Transactions in flight (unmined nonces)"),
+        sent: registry.counter("arb_trades_sent_total", "Trades submitted"),
+        trades: registry.counter("arb_trades_total", "Trades mined, by outcome"),
+        tradeErrors: registry.counter("arb_trade_errors_total", "Trades that failed to send or confirm"),
+        realized: registry.counter("arb_realized_profit_total", "Profit of successful trades (event-realized, else simulated)"),
+        gasSpent: registry.counter("arb_gas_spent_total", "Gas paid for mined trades, in the native token"),
+        balance: registry.gauge("arb_signer_balance", "Native token balance of the market's signer"),
+        markets: registry.gauge("arb_markets", "Markets being scanned"),
+    };
+
+    const gasSymbolOf = market => CHAINS[engine.adapters.get(market)?.market.chainId]?.nativeSymbol || "native";
+
+    engine.on("scan", s => {
+        const labels = { market: s.market };
+        m.scans.inc(labels);
+        if (s.durationMs !== undefined) m.scanDuration.observe(labels, s.durationMs / 1000);
+        if (s.reads) {
+            m.stateReads.inc(labels, s.reads.calls);
+            m.stateRequests.inc(labels, s.reads.requests);
+        }
+        m.lastScan.set(labels, Math.floor(new Date(s.timestamp).getTime() / 1000));
+        m.lastBlock.set(labels, s.block);
+        m.gasPrice.set(labels, s.gasPrice);
+        m.divergence.set(labels, s.divergence);
+        m.pending.set(labels, (s.pendingTxs || []).length);
+        // one series per market: the best size can switch strategy between scans
+        m.bestProfit.remove(labels);
+        m.bestNetProfit.remove(labels);
+        if (s.bestOpportunity) {
+            const best = { market: s.market, strategy: s.bestOpportunity.strategy, unit: s.bestOpportunity.unit };
+            m.bestProfit.set(best, s.bestOpportunity.profit);
+            m.bestNetProfit.set(best, s.bestOpportunity.netProfit);
+        }
+    });
+
+    engine.on("scan-error", e => m.scanErrors.inc({ market: e.market }));
+    engine.on("trade-submitted", t => m.sent.inc({ market: t.market, strategy: t.strategy }));
+    engine.on("trade-error", t => m.tradeErrors.inc({ market: t.market }));
+
+    engine.on("trade", t => {
+        m.trades.inc({ market: t.market, strategy: t.strategy || "?", status: TRADE_STATUS[t.status] || t.status });
+        if (t.gasUsed && t.effectiveGasPrice) {
+            const paid = parseFloat(ethers.formatEther(BigInt(t.gasUsed) * BigInt(t.effectiveGasPrice)));
+            m.gasSpent.inc({ market: t.market, symbol: gasSymbolOf(t.market) }, paid);
+        }
+        if (t.status === "success" && t.unit) {
+            m.realized.inc({ market: t.market, unit: t.unit }, t.realizedProfit ?? t.profit ?? 0);
+        }
+    });
+
+    engine.on("market-removed", e => {
+        for (const gauge of [m.lastScan, m.lastBlock, m.gasPrice, m.divergence, m.bestProfit, m.bestNetProfit, m.pending, m.balance]) {
+            gauge.remove({ market: e.market });
+        }
+    });
+
+    let balancesAt = -Infinity;
+
+    /** Signer balances, read at most every balanceTtlMs; a failed read keeps the last value. */
+    async function refreshBalances() {
+        if (now() - balancesAt < balanceTtlMs) return;
+        balancesAt = now();
+        await Promise.all([...engine.adapters.values()].map(async adapter => {
+            if (!adapter.signer || !adapter.provider) return;
+            try {
+                const wei = await adapter.provider.getBalance(await adapter.signer.getAddress());
+                m.balance.set({ market: adapter.id, symbol: gasSymbolOf(adapter.id) }, parseFloat(ethers.formatEther(wei)));
+            } catch (_) { /* keep the last value */ }
+        }));
+    }
+
+    return {
+        registry,
+        async render() {
+            m.markets.set({}, engine.adapters.size);
+            await refreshBalances();
+            return registry.render();
+        },
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HTTP SERVER
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Serve the engine's metrics on http://host:port/metrics.
+ * @param {EventEmitter} engine
+ * @param {object} [options]  { port (0 = any free), host (default 127.0.0.1), balanceTtlMs }
+ * @returns {Promise<{ url, port, metrics, close() }>}
+ */
+async function startMetricsServer(engine, options = {}) {
+    const metrics = createEngineMetrics(engine, options);
+    const server = http.createServer(async (req, res) => {
+        if (req.method !== "GET" || req.url.split("?")[0] !== "/metrics") {
+            res.writeHead(404, { "Content-Type": "text/plain" });
+            res.end("Not found: try /metrics\n");
+            return;
+        }
+        try {
+            const body = await metrics.render();
+            res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+            res.end(body);
+        } catch (e) {
+            res.writeHead(500, { "Content-Type": "text/plain" });
+            res.end(`metrics error: ${e.message}\n`);
+        }
+    });
+
+    await new Promise(resolve => server.listen(options.port || 0, options.host || "127.0.0.1", resolve));
+    const { port } = server.address();
+    return {
+        url: `http://${options.host || "127.0.0.1"}:${port}/metrics`,
+        port,
+        metrics,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+module.exports = { createRegistry, createEngineMetrics, startMetricsServer };
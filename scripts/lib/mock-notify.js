@@ -0,0 +1,149 @@
+/**
+ * Local stand-ins for the notifier's sinks (tests, trying a config).
+ *
+ *   startWebhookStub()   HTTP server on 127.0.0.1 recording every POSTed
+ *                        JSON body (webhook and chat sinks); `status`
+ *                        scripts the reply code
+ *   startSmtpStub()      SMTP server on 127.0.0.1 recording every message
+ *                        (no TLS; accepts any AUTH)
+ *
+ * Usage:
+ *   const hook = await startWebhookStub();
+ *   ... { "type": "webhook", "url": hook.url } ...
+ *   hook.requests; await hook.close();
+ *
+ *   node scripts/lib/mock-notify.js [port]      webhook stub printing each alert
+ */
+
+const http = require("http");
+const net = require("net");
+
+/**
+ * @param {object} options   { port, status: (body, index) => HTTP code (default 200) }
+ * @returns {Promise<{ url, port, requests, close() }>}
+ */
+async function startWebhookStub(options = {}) {
+    const status = options.status || (() => 200);
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => { body += chunk; });
+        req.on("end", () => {
+            let parsed = body;
+            try {
+                parsed = JSON.parse(body);
+            } catch (_) { /* keep the raw body */ }
+            const code = status(parsed, requests.length);
+            requests.push({ path: req.url, headers: req.headers, body: parsed, status: code });
+            if (options.onRequest) options.onRequest(parsed, req);
+            res.writeHead(code, { "Content-Type": "text/plain" });
+            res.end(code < 300 ? "ok" : "error");
+        });
+    });
+
+    await new Promise(resolve => server.listen(options.port || 0, "127.0.0.1", resolve));
+    const { port } = server.address();
+    return {
+        url: `http://127.0.0.1:${port}/hook`,
+        port,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+/**
+ * @param {object} options   { port }
+ * @returns {Promise<{ host, port, messages: { from, to, data, auth }[], close() }>}
+ */
+async function startSmtpStub(options = {}) {
+    const messages = [];
+    const sockets = new Set();
+
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on("close", () => sockets.delete(socket));
+        const reply = line => socket.write(line + "\r\n");
+        let mail = { from: null, to: [], auth: null };
+        let data = null;
+        let buffer = "";
+
+        reply("220 mock-notify ESMTP");
+        socket.on("data", chunk => {
+            buffer += chunk.toString("utf8");
+            let i;
+            while ((i = buffer.indexOf("\r\n")) >= 0) {
+                const line = buffer.slice(0, i);
+                buffer = buffer.slice(i + 2);
+                if (data !== null) {
+                    if (line === ".") {
+                        messages.push({ ...mail, data: data.join("\r\n") });
+                        mail = { from: null, to: [], auth: mail.auth };
+                        data = null;
+                        reply("250 queued");
+                    } else {
+                        data.push(line.startsWith("..") ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+                const [verb] = line.split(/[ :]/);
+                switch (verb.toUpperCase()) {
+                    case "EHLO":
+                        reply("250-mock-notify");
+                        reply("250 AUTH PLAIN");
+                        break;
+                    case "AUTH": {
+                        const [, user, pass] = Buffer.from(line.split(" ")[2] || "", "base64").toString("utf8").split("\0");
+                        mail.auth = { user, pass };
+                        reply("235 accepted");
+                        break;
+                    }
+                    case "MAIL":
+                        mail.from = line.match(/<(.*)>/)?.[1];
+                        reply("250 ok");
+                        break;
+                    case "RCPT":
+                        mail.to.push(line.match(/<(.*)>/)?.[1]);
+                        reply("250 ok");
+                        break;
+                    case "DATA":
+                        data = [];
+                        reply("354 end with .");
+                        break;
+                    case "QUIT":
+                        reply("221 bye");
+                        socket.end();
+                        break;
+                    default:
+                        reply("502 not implemented");
+                }
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(options.port || 0, "127.0.0.1", resolve));
+    const { port } = server.address();
+    return {
+        host: "127.0.0.1",
+        port,
+        messages,
+        close: () => new Promise(resolve => {
+            for (const s of sockets) s.destroy();
+            server.close(resolve);
+        }),
+    };
+}
+
+module.exports = { startWebhookStub, startSmtpStub };
+
+if (require.main === module) {
+    startWebhookStub({
+        port: Number(process.argv[2] || 0),
+        onRequest: body => console.log(`🔔 ${new Date().toISOString()} ${JSON.stringify(body)}`),
+    })
+        .then(hook => console.log(`🔔 Webhook stub listening on ${hook.url}`))
+        .catch(error => {
+            console.error("Error:", error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,639 @@
+/**
+ * Mock protocols on a local Hardhat chain.
+ *
+ * Deploys the contracts in contracts/mocks/ (FutarchyRouter and proposals,
+ * Algebra and Uniswap V3 pools with their routers, Balancer V3 and V2
+ * vaults, Permit2, the Sky PSM wrapper, sDAI, V2 pairs) and our arbitrage
+ * contracts on top of them, so the contracts and the bots run end to end
+ * with no network access.
+ *
+ * Tokens, proposals and the infrastructure our contracts hardcode are put at
+ * their live addresses (deployed, then copied there with hardhat_setCode and
+ * their first storage slots): the mainnet contracts' constants resolve, and
+ * every pool sorts its tokens the way the adapters expect. The arbitrage
+ * contracts themselves are deployed normally, after the infrastructure they
+ * approve in their constructors.
+ *
+ * Pools hold one position around the price, sized by the base tokens it
+ * holds (depth); fixtures move the price or resize the position and the
+ * pool is topped up to cover it. Outcome tokens minted for a pool are backed
+ * by collateral minted to the FutarchyRouter, so merges always pay out.
+ *
+ *   startLocalNode({ chainId })             in-process chain + JSON-RPC server
+ *   deployGnosisMarkets(signer, options)    gnosis-v4, gnosis-v5, pnk
+ *   deployMainnetMarkets(signer, options)   eth-v1, vlr-v3, aave-v6
+ *   setPoolPrice(world, name, price)        quote per base, human units
+ *   setPoolDepth(world, name, depth)        base tokens in the position
+ *
+ * Usage:
+ *   const node = await startLocalNode({ chainId: 100 });
+ *   const world = await deployGnosisMarkets(await node.provider.getSigner(0));
+ *   await setPoolPrice(world, "yes", 130);
+ *   // world.markets["gnosis-v5"] is a market config for the bot engine
+ *
+ * Needs compiled artifacts (npx hardhat compile).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const clmm = require("./clmm");
+const { openFork } = require("./postmortem");
+const { validateMarket } = require("./markets");
+
+const MARKETS_DIR = path.join(__dirname, "../../markets");
+
+// Storage slots copied with an etched contract (OZ ERC20 name/symbol are 3 and 4)
+const COPIED_SLOTS = 8;
+
+// Ticks either side of the price that a pool's position covers: price / 4 .. price * 4
+const DEFAULT_RANGE_FACTOR = 4;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LIVE ADDRESSES
+// ═══════════════════════════════════════════════════════════════════════════
+
+const GNOSIS = {
+    GNO: "0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb",
+    SDAI: "0xaf204776c7245bF4147c2612BF6e5972Ee483701",
+    WXDAI: "0xe91D153E0b41518A2Ce8Dd3D7944Fa863463a97d",
+    WETH: "0x6A023CCd1ff6F2045C3309768eAd9E68F978f6e1",
+    PNK: "0x37b60f4E9A31A64cCc0024dce7D0fD07eAA0F7B3",
+    BALANCER_V3_VAULT: "0xbA1333333333a1BA1108E8412f11850A5C319bA9",
+    BALANCER_V2_VAULT: "0xBA12222222228d8Ba445958a75a0704d566BF2C8",
+    SWAPR_ROUTER: "0xfFB643E73f280B97809A8b41f7232AB401a04ee1",
+    FUTARCHY_ROUTER: "0x7495a583ba85875d59407781b4958ed6e0e1228f",
+    HONEYSWAP_WETH_WXDAI: "0x7bea4af5d425f2d4485bdad1859c88617df31a67",
+    GNO_PROPOSAL: "0x47c80f5f701ebc5f25cab64e660f0577890729c2",
+    GNO_OUTCOMES: {
+        YES_GNO: "0xcBD75765B52c278a61a481E8c79C16D8D9b08Cca",
+        NO_GNO: "0x4339E3e5168C9bB2EC6e7Ab66bce64487f2FcaC4",
+        YES_SDAI: "0x75C292EB27E33D36B087c84Ad3131197dE03B483",
+        NO_SDAI: "0x26853F7B8F70DCe83326A12317B7aEE5a20D0404",
+    },
+    PNK_PROPOSAL: "0xb607bd7c7201e966e6a150cd6ef1d08db55cad5d",
+    // GnosisFlashArbitrageV4's spot route: GNO → WXDAI → USDC → sDAI
+    V4_ROUTE: {
+        USDC: "0xDDAfbb505ad214D7b80b1f830fcCc89B60fb7A83",
+        GNO_WXDAI: "0x8189c4c96826d016a99986394103dfa9ae41e7ee0002000000000000000000aa",
+        WXDAI_USDC: "0x2086f52651837600180de173b09470f54ef7491000000000000000000000004f",
+        USDC_SDAI: "0x7644fa5d0ea14fcf3e813fdf93ca9544f8567655000000000000000000000066",
+    },
+};
+
+const MAINNET = {
+    WETH: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
+    USDC: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
+    USDS: "0xdC035D45d973E3EC169d2276DDab16f1e407384F",
+    AAVE: "0x7Fc66500c84A76Ad7e9c93437bFc5Ac33E2DDaE9",
+    GHO: "0x40D16FC0246aD3160Ccc09B8D0D3A2cD28aE6C2f",
+    VLR: "0x4e107a0000DB66f0E9Fd2039288Bf811dD1f9c74",
+    BALANCER_V2_VAULT: "0xBA12222222228d8Ba445958a75a0704d566BF2C8",
+    PERMIT2: "0x000000000022D473030F116dDEE9F6B43aC78BA3",
+    UNIVERSAL_ROUTER: "0x66a9893cC07D91D95644AEDD05D03f95e1dBA8Af",
+    FUTARCHY_ROUTER: "0xAc9Bf8EbA6Bd31f8E8c76f8E8B2AAd0BD93f98Dc",
+    USDS_PSM_WRAPPER: "0xA188EEC8F81263234dA3622A406892F3D630f98c",
+    PROPOSALS: {
+        ETH: {
+            address: "0x0d78b95fca9f3e1b588271A330b0D6f731eC38aA",
+            collateral: ["WETH", "USDS"],
+            outcomes: {
+                YES_WETH: "0x642a8d92B4FC8ECd504DFc169Fbd15275354E620",
+                NO_WETH: "0x98c4c36AaBA743C5A320355111bA51559fdD8E21",
+                YES_USDS: "0xee3db3b2f2296a92d8e57bf61e9423B0e7f5e7e1",
+                NO_USDS: "0x6C833e3787D024048F357eBA54134C358ebB1971",
+            },
+        },
+        VLR: {
+            address: "0x4e018f1D8b93B91a0Ce186874eDb53CB6fFfCa62",
+            collateral: ["VLR", "USDS"],
+            outcomes: {
+                YES_VLR: "0x354582ff9f500f05b506666b75B33dbc90A8708d",
+                NO_VLR: "0x4B53aE333bB337c0C8123aD84CE2F541ed53746E",
+                YES_USDS: "0xa51aFa14963FaE9696b6844D652196959Eb5b9F6",
+                NO_USDS: "0x1a9c528Bc34a7267b1c51a8CD3fad9fC99136171",
+            },
+        },
+        AAVE: {
+            address: "0xfb45ae9d8e5874e85b8e23d735eb9718efef47fa",
+            collateral: ["AAVE", "GHO"],
+            outcomes: {
+                YES_AAVE: "0x63Ad5275380416b3700B84BFaD3B74ED812dfAE4",
+                NO_AAVE: "0xf7c5a22Aeeb87c8E06b1a2bF40ab46c1e944f837",
+                YES_GHO: "0x01917fD18c1019389cC89457c53E6631A13c1e9D",
+                NO_GHO: "0xA31EF4bEfE367064fB0D8863A3E0AAD50054B917",
+            },
+        },
+    },
+};
+
+// Prices in xDAI (sDAI ≈ 1) and USD; every pool defaults to them
+const GNOSIS_PRICES = { GNO: 120, WETH: 2500, PNK: 0.025 };
+const MAINNET_PRICES = { WETH: 2500, AAVE: 150, VLR: 0.02 };
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DEPLOYMENT HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const artifactCache = new Map();
+
+async function artifact(name) {
+    if (!artifactCache.has(name)) {
+        // Loaded on demand: only fixtures pay for Hardhat
+        const hre = require("hardhat");
+        artifactCache.set(name, await hre.artifacts.readArtifact(name));
+    }
+    return artifactCache.get(name);
+}
+
+async function send(txPromise) {
+    return (await txPromise).wait();
+}
+
+async function deploy(signer, name, args = []) {
+    const { abi, bytecode } = await artifact(name);
+    const contract = await new ethers.ContractFactory(abi, bytecode, signer).deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+}
+
+/**
+ * Deploy `name`, then copy its runtime code and first storage slots to
+ * `address`. Immutables live in the code, so they come along.
+ */
+async function deployAt(signer, name, args, address) {
+    address = ethers.getAddress(address.toLowerCase());
+    const deployed = await deploy(signer, name, args);
+    const provider = signer.provider;
+    const source = await deployed.getAddress();
+    await provider.send("hardhat_setCode", [address, await provider.getCode(source)]);
+    for (let slot = 0; slot < COPIED_SLOTS; slot++) {
+        const value = await provider.getStorage(source, slot);
+        if (BigInt(value) !== 0n) {
+            await provider.send("hardhat_setStorageAt", [address, ethers.toQuantity(slot), value]);
+        }
+    }
+    return new ethers.Contract(address, deployed.interface, signer);
+}
+
+/** MockERC20 handle: { symbol, address, decimals, contract }, at `address` if given. */
+async function deployToken(signer, symbol, decimals = 18, address = null) {
+    const args = [symbol, symbol, decimals];
+    const contract = address ? await deployAt(signer, "MockERC20", args, address) : await deploy(signer, "MockERC20", args);
+    return { symbol, address: await contract.getAddress(), decimals, contract };
+}
+
+/**
+ * Futarchy proposal over two collateral tokens, with its four outcome
+ * tokens: { address, contract, tokens: { YES_<c1>, NO_<c1>, YES_<c2>, NO_<c2> } }.
+ * `addresses` places the proposal and outcome tokens at live addresses.
+ */
+async function deployProposal(world, collateral1, collateral2, addresses = {}) {
+    const outcomes = {};
+    for (const collateral of [collateral1, collateral2]) {
+        for (const side of ["YES", "NO"]) {
+            const symbol = `${side}_${collateral.symbol}`;
+            const token = await deployToken(world.signer, symbol, collateral.decimals, addresses.outcomes?.[symbol]);
+            outcomes[symbol] = { ...token, collateral };
+        }
+    }
+    const ordered = [`YES_${collateral1.symbol}`, `NO_${collateral1.symbol}`, `YES_${collateral2.symbol}`, `NO_${collateral2.symbol}`]
+        .map(symbol => outcomes[symbol].address);
+    const args = [collateral1.address, collateral2.address, ordered];
+    const contract = addresses.proposal
+        ? await deployAt(world.signer, "MockFutarchyProposal", args, addresses.proposal)
+        : await deploy(world.signer, "MockFutarchyProposal", args);
+    return { address: await contract.getAddress(), contract, tokens: outcomes };
+}
+
+/**
+ * Mint `amount` (wei) of a token handle to `to`: sDAI shares by depositing
+ * freshly minted assets, outcome tokens with collateral for the router.
+ */
+async function mintTo(world, token, to, amount) {
+    if (amount <= 0n) return;
+    if (token.asset) {
+        const assets = await token.contract.previewMint(amount);
+        await mintTo(world, token.asset, world.deployer, assets);
+        await send(token.asset.contract.approve(token.address, assets));
+        await send(token.contract.mint(amount, to));
+        return;
+    }
+    await send(token.contract.mint(to, amount));
+    if (token.collateral) await mintTo(world, token.collateral, world.futarchyRouter.target, amount);
+}
+
+const units = (token, amount) => ethers.parseUnits(String(amount), token.decimals);
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONCENTRATED-LIQUIDITY POOLS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Raw token1/token0 sqrtPriceX96 for a human price (quote per base). */
+function sqrtPriceOf(pool, price) {
+    const scale = 10 ** (pool.quote.decimals - pool.base.decimals);
+    const raw = pool.baseIsToken0 ? price * scale : 1 / (price * scale);
+    return BigInt(Math.round(Math.sqrt(raw) * 2 ** 96));
+}
+
+/** Human price (quote per base) from a sqrtPriceX96. */
+function priceOf(pool, sqrtPriceX96) {
+    const raw = (Number(sqrtPriceX96) / 2 ** 96) ** 2;
+    const scale = 10 ** (pool.quote.decimals - pool.base.decimals);
+    return (pool.baseIsToken0 ? raw : 1 / raw) / scale;
+}
+
+async function readSqrtPrice(pool) {
+    if (pool.kind === "algebra") return (await pool.contract.globalState()).price;
+    return (await pool.contract.slot0()).sqrtPriceX96;
+}
+
+/** Current price of a named pool, quote per base. */
+async function poolPrice(world, name) {
+    const pool = world.pools[name];
+    return priceOf(pool, await readSqrtPrice(pool));
+}
+
+/** Mint the pool whatever its position needs at the current price. */
+async function fundPool(world, pool) {
+    const [sqrtP, lower, upper, liquidity] = await Promise.all([
+        readSqrtPrice(pool),
+        pool.contract.positionLower(),
+        pool.contract.positionUpper(),
+        pool.contract.positionLiquidity(),
+    ]);
+    const sqrtLower = clmm.getSqrtRatioAtTick(Number(lower));
+    const sqrtUpper = clmm.getSqrtRatioAtTick(Number(upper));
+    const need0 = sqrtP < sqrtUpper
+        ? clmm.getAmount0Delta(sqrtP > sqrtLower ? sqrtP : sqrtLower, sqrtUpper, liquidity, true)
+        : 0n;
+    const need1 = sqrtP > sqrtLower
+        ? clmm.getAmount1Delta(sqrtLower, sqrtP < sqrtUpper ? sqrtP : sqrtUpper, liquidity, true)
+        : 0n;
+
+    const [token0, token1] = pool.baseIsToken0 ? [pool.base, pool.quote] : [pool.quote, pool.base];
+    for (const [token, need] of [[token0, need0], [token1, need1]]) {
+        const balance = await token.contract.balanceOf(pool.address);
+        if (balance < need) await mintTo(world, token, pool.address, need - balance);
+    }
+}
+
+/**
+ * Re-center the pool's position on its current price, holding `depth` base
+ * tokens (human units) across price / rangeFactor .. price * rangeFactor.
+ */
+async function setPoolDepth(world, name, depth) {
+    const pool = world.pools[name];
+    const sqrtP = await readSqrtPrice(pool);
+    const tick = clmm.getTickAtSqrtRatio(sqrtP);
+    const half = Math.round(Math.log(pool.rangeFactor) / Math.log(1.0001));
+    const spacing = pool.tickSpacing;
+    const lower = Math.max(Math.floor((tick - half) / spacing) * spacing, Math.ceil(clmm.MIN_TICK / spacing) * spacing);
+    const upper = Math.min(Math.ceil((tick + half) / spacing) * spacing, Math.floor(clmm.MAX_TICK / spacing) * spacing);
+
+    // Base held per unit of liquidity, scaled up to the requested depth
+    const sqrtLower = clmm.getSqrtRatioAtTick(lower);
+    const sqrtUpper = clmm.getSqrtRatioAtTick(upper);
+    const perQ96 = pool.baseIsToken0
+        ? clmm.getAmount0Delta(sqrtP, sqrtUpper, clmm.Q96, false)
+        : clmm.getAmount1Delta(sqrtLower, sqrtP, clmm.Q96, false);
+    const liquidity = perQ96 > 0n ? (units(pool.base, depth) * clmm.Q96) / perQ96 : 0n;
+
+    await send(pool.contract.setPosition(lower, upper, liquidity));
+    await fundPool(world, pool);
+    pool.depth = depth;
+}
+
+/** Move a pool to `price` (quote per base, human units) without a swap. */
+async function setPoolPrice(world, name, price) {
+    const pool = world.pools[name];
+    await send(pool.contract.setPrice(sqrtPriceOf(pool, price)));
+    await fundPool(world, pool);
+}
+
+/**
+ * Create a pool through its factory, initialized at `price` with `depth`
+ * base tokens, and register it as world.pools[name].
+ * @param {object} spec { kind: "algebra" | "uniswap-v3", base, quote (token
+ *                      handles), price, depth, fee (Uniswap tier, 500),
+ *                      rangeFactor (4) }
+ */
+async function createPool(world, name, spec) {
+    const { kind, base, quote, fee = 500 } = spec;
+    let address;
+    let tickSpacing;
+    if (kind === "algebra") {
+        await send(world.algebraFactory.createPool(base.address, quote.address));
+        address = await world.algebraFactory.poolByPair(base.address, quote.address);
+        tickSpacing = 60;
+    } else {
+        await send(world.uniswapFactory.createPool(base.address, quote.address, fee));
+        address = await world.uniswapFactory.getPool(base.address, quote.address, fee);
+        tickSpacing = Number(await world.uniswapFactory.feeAmountTickSpacing(fee));
+    }
+    const { abi } = await artifact(kind === "algebra" ? "MockAlgebraPool" : "MockUniswapV3Pool");
+    const pool = {
+        name,
+        kind,
+        address,
+        contract: new ethers.Contract(address, abi, world.signer),
+        base,
+        quote,
+        fee: kind === "algebra" ? null : fee,
+        tickSpacing,
+        baseIsToken0: BigInt(base.address) < BigInt(quote.address),
+        rangeFactor: spec.rangeFactor || DEFAULT_RANGE_FACTOR,
+    };
+    world.pools[name] = pool;
+    await send(pool.contract.initialize(sqrtPriceOf(pool, spec.price)));
+    await setPoolDepth(world, name, spec.depth);
+    return pool;
+}
+
+/** Pool specs with the caller's { name: { price, depth, fee, rangeFactor } } overrides. */
+function withOverrides(specs, overrides = {}) {
+    return Object.entries(specs).map(([name, spec]) => [name, { ...spec, ...(overrides[name] || {}) }]);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MARKET CONFIGS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * markets/<id>.json pointed at the local deployment: public sends, one key
+ * (PRIVATE_KEY), no env overrides or proposal discovery.
+ */
+function localMarket(id, overrides) {
+    const market = JSON.parse(fs.readFileSync(path.join(MARKETS_DIR, `${id}.json`), "utf8"));
+    delete market.env;
+    delete market.discovery;
+    delete market.rateProviders;
+    const local = { ...market, keyEnv: "PRIVATE_KEY", submission: { mode: "public" }, ...overrides };
+    const problems = validateMarket(local);
+    if (problems.length > 0) throw new Error(`local ${id} market: ${problems.join("; ")}`);
+    return local;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LOCAL NODE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Start an in-process Hardhat chain (automine, default accounts) and serve
+ * it over HTTP so bots reach it through their usual RPC URL.
+ * @returns {{ url, chainId, provider, request, accountKey, close }}
+ */
+async function startLocalNode({ chainId = 31337, port = 0, hostname = "127.0.0.1" } = {}) {
+    const hre = require("hardhat");
+    const { JsonRpcServer } = require("hardhat/internal/hardhat-network/jsonrpc/server");
+    const node = await openFork({ chainId, automine: true });
+    const server = new JsonRpcServer({ hostname, port, provider: node.provider });
+    const address = await server.listen();
+    const { mnemonic, path: hdPath } = hre.config.networks.hardhat.accounts;
+
+    return {
+        url: `http://${hostname}:${address.port}`,
+        chainId,
+        provider: new ethers.BrowserProvider(node.provider, chainId, { pollingInterval: 100 }),
+        request: node.request,
+        /** Private key of default account `index` (PRIVATE_KEY for the bots). */
+        accountKey: index => ethers.HDNodeWallet.fromPhrase(mnemonic, undefined, `${hdPath}/${index}`).privateKey,
+        close: () => server.close(),
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// GNOSIS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * GNO/sDAI and PNK/sDAI futarchy markets on Swapr (Algebra), with
+ * GnosisFlashArbitrageV4, V5 and PNKFlashArbitrage deployed against them.
+ * @param {object} signer   funded account; deploys and mints everything
+ * @param {object} [options]
+ * @param {object} [options.prices] { GNO, WETH, PNK } in xDAI
+ * @param {object} [options.pools]  { spot, yes, no, pnkYes, pnkNo: { price, depth, rangeFactor } }
+ * @returns world: { chainId, signer, tokens, proposals, pools, pairs, contracts, markets }
+ */
+async function deployGnosisMarkets(signer, options = {}) {
+    const prices = { ...GNOSIS_PRICES, ...(options.prices || {}) };
+    const world = {
+        chainId: 100,
+        signer,
+        deployer: await signer.getAddress(),
+        tokens: {},
+        proposals: {},
+        pools: {},
+        pairs: {},
+        contracts: {},
+        markets: {},
+    };
+    const t = world.tokens;
+
+    for (const symbol of ["WXDAI", "GNO", "WETH", "PNK"]) {
+        t[symbol] = await deployToken(signer, symbol, 18, GNOSIS[symbol]);
+    }
+    const sdai = await deployAt(signer, "MockSavingsDai", [t.WXDAI.address], GNOSIS.SDAI);
+    t.SDAI = { symbol: "SDAI", address: GNOSIS.SDAI, decimals: 18, contract: sdai, asset: t.WXDAI };
+
+    world.futarchyRouter = await deployAt(signer, "MockFutarchyRouter", [], GNOSIS.FUTARCHY_ROUTER);
+    world.algebraFactory = await deploy(signer, "MockAlgebraFactory");
+    world.swaprRouter = await deployAt(signer, "MockAlgebraSwapRouter", [world.algebraFactory.target], GNOSIS.SWAPR_ROUTER);
+
+    world.proposals.gno = await deployProposal(world, t.GNO, t.SDAI, { proposal: GNOSIS.GNO_PROPOSAL, outcomes: GNOSIS.GNO_OUTCOMES });
+    world.proposals.pnk = await deployProposal(world, t.PNK, t.SDAI, { proposal: GNOSIS.PNK_PROPOSAL });
+    const gno = world.proposals.gno.tokens;
+    const pnk = world.proposals.pnk.tokens;
+
+    const specs = {
+        spot: { kind: "algebra", base: t.GNO, quote: t.SDAI, price: prices.GNO, depth: 1000 },
+        yes: { kind: "algebra", base: gno.YES_GNO, quote: gno.YES_SDAI, price: prices.GNO, depth: 100 },
+        no: { kind: "algebra", base: gno.NO_GNO, quote: gno.NO_SDAI, price: prices.GNO, depth: 100 },
+        pnkYes: { kind: "algebra", base: pnk.YES_PNK, quote: pnk.YES_SDAI, price: prices.PNK, depth: 2000000 },
+        pnkNo: { kind: "algebra", base: pnk.NO_PNK, quote: pnk.NO_SDAI, price: prices.PNK, depth: 2000000 },
+    };
+    for (const [name, spec] of withOverrides(specs, options.pools)) await createPool(world, name, spec);
+
+    // Flash loans: V3 vault for every market, V2 vault for V4's spot route
+    world.v3Vault = await deployAt(signer, "MockBalancerV3Vault", [], GNOSIS.BALANCER_V3_VAULT);
+    await mintTo(world, t.GNO, world.v3Vault.target, units(t.GNO, 10000));
+    await mintTo(world, t.SDAI, world.v3Vault.target, units(t.SDAI, 1000000));
+    await mintTo(world, t.WETH, world.v3Vault.target, units(t.WETH, 1000));
+
+    world.v2Vault = await deployAt(signer, "MockBalancerV2Vault", [], GNOSIS.BALANCER_V2_VAULT);
+    const route = GNOSIS.V4_ROUTE;
+    const gnoDepth = 1000;
+    const stableDepth = 1000000;
+    await send(world.v2Vault.setPool(route.GNO_WXDAI, t.GNO.address, t.WXDAI.address,
+        units(t.GNO, gnoDepth), units(t.WXDAI, gnoDepth * prices.GNO), ethers.parseEther("0.001")));
+    await send(world.v2Vault.setPool(route.WXDAI_USDC, t.WXDAI.address, route.USDC,
+        units(t.WXDAI, stableDepth), ethers.parseUnits(String(stableDepth), 6), ethers.parseEther("0.0001")));
+    await send(world.v2Vault.setPool(route.USDC_SDAI, route.USDC, t.SDAI.address,
+        ethers.parseUnits(String(stableDepth), 6), units(t.SDAI, stableDepth), ethers.parseEther("0.0001")));
+    await mintTo(world, t.GNO, world.v2Vault.target, units(t.GNO, gnoDepth));
+    await mintTo(world, t.WXDAI, world.v2Vault.target, units(t.WXDAI, gnoDepth * prices.GNO + stableDepth));
+    await mintTo(world, t.SDAI, world.v2Vault.target, units(t.SDAI, stableDepth));
+
+    // PNK spot route: DXswap PNK/WETH (0.25%), Honeyswap WETH/WXDAI (0.3%)
+    world.pairs.pnkWeth = await deploy(signer, "MockUniswapV2Pair", [t.PNK.address, t.WETH.address, 25]);
+    world.pairs.wethWxdai = await deployAt(signer, "MockUniswapV2Pair", [t.WETH.address, t.WXDAI.address, 30], GNOSIS.HONEYSWAP_WETH_WXDAI);
+    const pairWeth = 100;
+    await mintTo(world, t.WETH, world.pairs.pnkWeth.target, units(t.WETH, pairWeth));
+    await mintTo(world, t.PNK, world.pairs.pnkWeth.target, units(t.PNK, (pairWeth * prices.WETH) / prices.PNK));
+    await mintTo(world, t.WETH, world.pairs.wethWxdai.target, units(t.WETH, pairWeth));
+    await mintTo(world, t.WXDAI, world.pairs.wethWxdai.target, units(t.WXDAI, pairWeth * prices.WETH));
+    await send(world.pairs.pnkWeth.sync());
+    await send(world.pairs.wethWxdai.sync());
+
+    const common = [world.v3Vault.target, world.swaprRouter.target, world.futarchyRouter.target, world.algebraFactory.target];
+    world.contracts.v5 = await deploy(signer, "GnosisFlashArbitrageV5", [...common, t.GNO.address, t.SDAI.address, world.pools.spot.address]);
+    world.contracts.v4 = await deploy(signer, "GnosisFlashArbitrageV4", [
+        world.v3Vault.target, world.v2Vault.target, world.swaprRouter.target, world.futarchyRouter.target,
+        world.algebraFactory.target, t.GNO.address, t.SDAI.address,
+    ]);
+    world.contracts.pnk = await deploy(signer, "PNKFlashArbitrage", [
+        ...common, t.PNK.address, t.SDAI.address, t.WETH.address, t.WXDAI.address,
+        world.pairs.pnkWeth.target, world.pairs.wethWxdai.target,
+    ]);
+
+    const tokens = { GNO: t.GNO.address, SDAI: t.SDAI.address };
+    world.markets["gnosis-v5"] = localMarket("gnosis-v5", {
+        contractAddress: world.contracts.v5.target,
+        tokens,
+        pools: { spot: world.pools.spot.address, yes: world.pools.yes.address, no: world.pools.no.address },
+    });
+    world.markets["gnosis-v4"] = localMarket("gnosis-v4", {
+        contractAddress: world.contracts.v4.target,
+        proposalAddress: GNOSIS.GNO_PROPOSAL,
+        tokens,
+        pools: {},
+        gnoPriceSdai: prices.GNO,
+    });
+    world.markets.pnk = localMarket("pnk", {
+        contractAddress: world.contracts.pnk.target,
+        tokens: { WETH: t.WETH.address },
+    });
+    return world;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MAINNET
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * ETH/USDS, VLR/USDS and AAVE/GHO futarchy markets on Uniswap V3 (behind the
+ * Universal Router and Permit2), with ETHFlashArbitrageV1, VLRFlashArbitrageV3
+ * and AaveFlashArbitrageV6 deployed against them.
+ * @param {object} signer   funded account; deploys and mints everything
+ * @param {object} [options]
+ * @param {object} [options.prices] { WETH, AAVE, VLR } in USD
+ * @param {object} [options.pools]  { ethYes, ethNo, ethSpot, vlrYes, vlrNo, usdsUsdc,
+ *                                   vlrUsdc, aaveYes, aaveNo, ghoUsdc, aaveWeth:
+ *                                   { price, depth, fee, rangeFactor } }
+ * @param {object} [options.admin]  signer that deploys the arbitrage contracts,
+ *                                   and so may trade on them (default: signer)
+ * @returns world: { chainId, signer, tokens, proposals, pools, contracts, markets }
+ */
+async function deployMainnetMarkets(signer, options = {}) {
+    const prices = { ...MAINNET_PRICES, ...(options.prices || {}) };
+    const world = {
+        chainId: 1,
+        signer,
+        deployer: await signer.getAddress(),
+        tokens: {},
+        proposals: {},
+        pools: {},
+        contracts: {},
+        markets: {},
+    };
+    const t = world.tokens;
+
+    for (const symbol of ["WETH", "USDS", "AAVE", "GHO", "VLR"]) {
+        t[symbol] = await deployToken(signer, symbol, 18, MAINNET[symbol]);
+    }
+    t.USDC = await deployToken(signer, "USDC", 6, MAINNET.USDC);
+
+    world.futarchyRouter = await deployAt(signer, "MockFutarchyRouter", [], MAINNET.FUTARCHY_ROUTER);
+    world.uniswapFactory = await deploy(signer, "MockUniswapV3Factory");
+    world.quoter = await deploy(signer, "MockQuoterV2", [world.uniswapFactory.target]);
+    world.permit2 = await deployAt(signer, "MockPermit2", [], MAINNET.PERMIT2);
+    world.universalRouter = await deployAt(signer, "MockUniversalRouter",
+        [world.uniswapFactory.target, MAINNET.PERMIT2], MAINNET.UNIVERSAL_ROUTER);
+
+    for (const [id, spec] of Object.entries(MAINNET.PROPOSALS)) {
+        const [collateral1, collateral2] = spec.collateral.map(symbol => t[symbol]);
+        world.proposals[id.toLowerCase()] = await deployProposal(world, collateral1, collateral2, {
+            proposal: spec.address,
+            outcomes: spec.outcomes,
+        });
+    }
+    const eth = world.proposals.eth.tokens;
+    const vlr = world.proposals.vlr.tokens;
+    const aave = world.proposals.aave.tokens;
+
+    // Fee tiers are the ones the contracts route through
+    const v3 = (base, quote, price, depth, fee = 500) => ({ kind: "uniswap-v3", base, quote, price, depth, fee });
+    const specs = {
+        ethYes: v3(eth.YES_WETH, eth.YES_USDS, prices.WETH, 100),
+        ethNo: v3(eth.NO_WETH, eth.NO_USDS, prices.WETH, 100),
+        ethSpot: v3(t.WETH, t.USDC, prices.WETH, 1000),
+        vlrYes: v3(vlr.YES_VLR, vlr.YES_USDS, prices.VLR, 5000000),
+        vlrNo: v3(vlr.NO_VLR, vlr.NO_USDS, prices.VLR, 5000000),
+        usdsUsdc: v3(t.USDS, t.USDC, 1, 10000000),
+        vlrUsdc: v3(t.VLR, t.USDC, prices.VLR, 50000000, 3000),
+        aaveYes: v3(aave.YES_AAVE, aave.YES_GHO, prices.AAVE, 1000),
+        aaveNo: v3(aave.NO_AAVE, aave.NO_GHO, prices.AAVE, 1000),
+        ghoUsdc: v3(t.GHO, t.USDC, 1, 10000000),
+        aaveWeth: v3(t.AAVE, t.WETH, prices.AAVE / prices.WETH, 10000, 3000),
+    };
+    for (const [name, spec] of withOverrides(specs, options.pools)) await createPool(world, name, spec);
+
+    // Flash loans (Balancer V2) and the ETH route's 1:1 USDS <-> USDC leg
+    world.v2Vault = await deployAt(signer, "MockBalancerV2Vault", [], MAINNET.BALANCER_V2_VAULT);
+    await mintTo(world, t.WETH, world.v2Vault.target, units(t.WETH, 1000));
+    await mintTo(world, t.AAVE, world.v2Vault.target, units(t.AAVE, 10000));
+    await mintTo(world, t.VLR, world.v2Vault.target, units(t.VLR, 10000000));
+    world.psm = await deployAt(signer, "MockUsdsPsmWrapper", [t.USDS.address, t.USDC.address, 6], MAINNET.USDS_PSM_WRAPPER);
+    await mintTo(world, t.USDS, world.psm.target, units(t.USDS, 10000000));
+    await mintTo(world, t.USDC, world.psm.target, units(t.USDC, 10000000));
+
+    // executeArbitrage is admin-only on all three: the deployer is the admin
+    const admin = options.admin || signer;
+    world.contracts.eth = await deploy(admin, "ETHFlashArbitrageV1");
+    world.contracts.vlr = await deploy(admin, "VLRFlashArbitrageV3");
+    world.contracts.aave = await deploy(admin, "AaveFlashArbitrageV6");
+
+    world.markets["eth-v1"] = localMarket("eth-v1", {
+        contractAddress: world.contracts.eth.target,
+        pools: { yes: world.pools.ethYes.address, no: world.pools.ethNo.address, spot: world.pools.ethSpot.address },
+    });
+    world.markets["vlr-v3"] = localMarket("vlr-v3", {
+        contractAddress: world.contracts.vlr.target,
+        quoter: world.quoter.target,
+    });
+    world.markets["aave-v6"] = localMarket("aave-v6", {
+        contractAddress: world.contracts.aave.target,
+        pools: { yes: world.pools.aaveYes.address, no: world.pools.aaveNo.address },
+        prices: { aaveEth: prices.AAVE / prices.WETH, ethUsd: prices.WETH },
+    });
+    return world;
+}
+
+module.exports = {
+    GNOSIS,
+    MAINNET,
+    GNOSIS_PRICES,
+    MAINNET_PRICES,
+    deploy,
+    deployAt,
+    deployToken,
+    deployProposal,
+    mintTo,
+    createPool,
+    poolPrice,
+    setPoolPrice,
+    setPoolDepth,
+    startLocalNode,
+    deployGnosisMarkets,
+    deployMainnetMarkets,
+};
@@ -0,0 +1,129 @@
+/**
+ * Local stand-in for a private bundle relay (tests, dry runs).
+ *
+ * Serves eth_callBundle / eth_sendBundle over HTTP on 127.0.0.1 and checks
+ * the X-Flashbots-Signature header like the real relays do. What happens to
+ * a bundle is scripted:
+ *
+ *   simulate(txs, blockNumber)   → eth_callBundle results; default: each tx
+ *                                  is eth_call'ed on `backend` (revert →
+ *                                  { error, revert }), or passes if there is
+ *                                  no backend
+ *   include(bundle, index)       → whether the bundle lands; default: always.
+ *                                  Landed bundles are broadcast to `backend`.
+ *
+ * `backend` is any provider of a local chain (a hardhat node), or omitted.
+ *
+ * Usage:
+ *   const relay = await startMockRelay({ backend: provider, include: (b, i) => i > 0 });
+ *   ... RELAY_URL = relay.url ...
+ *   relay.bundles, relay.calls; await relay.close();
+ *
+ *   node scripts/lib/mock-relay.js [port]     relay forwarding to LOCAL_RPC_URL
+ *                                             (default http://127.0.0.1:8545)
+ */
+
+const http = require("http");
+const { ethers } = require("ethers");
+
+function rpcError(id, code, message) {
+    return { jsonrpc: "2.0", id, error: { code, message } };
+}
+
+/** Default simulation: eth_call each tx against the backend. */
+async function simulateOnBackend(backend, txs) {
+    const results = [];
+    for (const raw of txs) {
+        const tx = ethers.Transaction.from(raw);
+        const result = { txHash: tx.hash, fromAddress: tx.from, toAddress: tx.to, gasUsed: 0 };
+        if (backend) {
+            try {
+                result.value = await backend.call({ from: tx.from, to: tx.to, data: tx.data, value: tx.value, gasLimit: tx.gasLimit });
+            } catch (e) {
+                result.error = "execution reverted";
+                result.revert = e.shortMessage || e.reason || e.message;
+            }
+        }
+        results.push(result);
+    }
+    return { results, bundleHash: ethers.keccak256(ethers.concat(results.map(r => r.txHash))) };
+}
+
+/**
+ * @param {object} options   { port, backend, simulate, include }
+ * @returns {Promise<{ url, port, calls, bundles, close() }>}
+ */
+async function startMockRelay(options = {}) {
+    const { backend = null } = options;
+    const simulate = options.simulate || (txs => simulateOnBackend(backend, txs));
+    const include = options.include || (() => true);
+    const calls = [];
+    const bundles = [];
+
+    async function handle(request, header) {
+        const { id, method, params } = request;
+        const [address, signature] = (header || "").split(":");
+        let signer = null;
+        try {
+            signer = ethers.verifyMessage(ethers.id(request.body), signature);
+        } catch (_) { /* malformed signature */ }
+        if (!address || !signer || signer.toLowerCase() !== address.toLowerCase()) {
+            return rpcError(id, -32600, "invalid X-Flashbots-Signature");
+        }
+        calls.push({ method, params, signer });
+
+        const [bundle] = params || [];
+        if (method === "eth_callBundle") {
+            return { jsonrpc: "2.0", id, result: await simulate(bundle.txs, Number(bundle.blockNumber)) };
+        }
+        if (method === "eth_sendBundle") {
+            const entry = { txs: bundle.txs, blockNumber: Number(bundle.blockNumber), included: false };
+            entry.included = Boolean(await include(entry, bundles.length));
+            bundles.push(entry);
+            if (entry.included && backend) {
+                for (const raw of entry.txs) await backend.broadcastTransaction(raw);
+            }
+            return { jsonrpc: "2.0", id, result: { bundleHash: ethers.keccak256(ethers.concat(entry.txs)) } };
+        }
+        return rpcError(id, -32601, `method ${method} not supported`);
+    }
+
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => { body += chunk; });
+        req.on("end", async () => {
+            let reply;
+            try {
+                const request = JSON.parse(body);
+                request.body = body;
+                reply = await handle(request, req.headers["x-flashbots-signature"]);
+            } catch (e) {
+                reply = rpcError(null, -32603, e.message);
+            }
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(reply));
+        });
+    });
+
+    await new Promise(resolve => server.listen(options.port || 0, "127.0.0.1", resolve));
+    const { port } = server.address();
+    return {
+        url: `http://127.0.0.1:${port}`,
+        port,
+        calls,
+        bundles,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+module.exports = { startMockRelay, simulateOnBackend };
+
+if (require.main === module) {
+    const backend = new ethers.JsonRpcProvider(process.env.LOCAL_RPC_URL || "http://127.0.0.1:8545");
+    startMockRelay({ port: Number(process.argv[2] || 0), backend })
+        .then(relay => console.log(`🔒 Mock relay listening on ${relay.url}`))
+        .catch(error => {
+            console.error("Error:", error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,197 @@
+/**
+ * Batched view reads through Multicall3, at one pinned block.
+ *
+ * createBatchReader() returns an ethers ContractRunner: contracts built on it
+ * queue their view calls (and staticCalls) instead of sending one eth_call
+ * each, and every call queued before the event loop turns goes out as a
+ * single Multicall3.aggregate3 eth_call. So the adapters' usual
+ *
+ *   const [slot0, liquidity] = await Promise.all([pool.slot0(), pool.liquidity()]);
+ *
+ * is one RPC request, and a pool snapshot (state, bitmap words, ticks) is
+ * three however many pools load in parallel. All reads of one reader run at
+ * the same block (`blockTag`, else the head at the first flush), so a scan
+ * sees one consistent state of every pool.
+ *
+ * Failed calls reject with the same CALL_EXCEPTION a direct eth_call gives
+ * (ethers decodes the revert data), so `.catch()` fallbacks keep working.
+ * Calls with a `from` go out directly: inside aggregate3, msg.sender is the
+ * Multicall3 contract. Chains without Multicall3 (a plain hardhat network)
+ * get one eth_call per read, still at the pinned block.
+ *
+ * Usage:
+ *   const reads = createBatchReader(provider, { blockTag: 123 });
+ *   const pool = new ethers.Contract(address, POOL_ABI, reads);
+ *   const snapshot = await loadPoolState(reads, address, { kind: "algebra" });
+ *   reads.stats    { calls: 38, requests: 3, blockTag: 123 }
+ */
+
+const { ethers } = require("ethers");
+
+// Same address on Gnosis, Chiado, Mainnet and most EVM chains (CREATE2 deployment)
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+const MULTICALL3_ABI = [
+    "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+];
+
+const multicall3 = new ethers.Interface(MULTICALL3_ABI);
+
+const DEFAULTS = {
+    maxCalls: 100,          // calls per aggregate3 request
+};
+
+// provider → Promise<boolean>: is Multicall3 deployed there
+const deployed = new WeakMap();
+
+/** Whether Multicall3 (or `address`) has code on the provider's chain; cached per provider. */
+function hasMulticall(provider, address = MULTICALL3_ADDRESS) {
+    if (!deployed.has(provider)) {
+        deployed.set(provider, provider.getCode(address).then(code => code !== "0x", () => false));
+    }
+    return deployed.get(provider);
+}
+
+/** The CALL_EXCEPTION a direct eth_call of `transaction` would have thrown. */
+function callException(transaction, data) {
+    return ethers.makeError("execution reverted", "CALL_EXCEPTION", {
+        action: "call",
+        data,
+        reason: null,
+        transaction: { to: transaction.to, data: transaction.data },
+        invocation: null,
+        revert: null,
+    });
+}
+
+/**
+ * One aggregate3 eth_call.
+ * @param {object} provider
+ * @param {object[]} calls   [{ target, callData, allowFailure? }]
+ * @param {object} [options] { blockTag, address }
+ * @returns {Promise<{ success: boolean, returnData: string }[]>}
+ */
+async function aggregate(provider, calls, options = {}) {
+    const data = multicall3.encodeFunctionData("aggregate3", [
+        calls.map(c => ({ target: c.target, allowFailure: c.allowFailure ?? true, callData: c.callData })),
+    ]);
+    const raw = await provider.call({ to: options.address || MULTICALL3_ADDRESS, data, blockTag: options.blockTag });
+    const [results] = multicall3.decodeFunctionResult("aggregate3", raw);
+    return results.map(r => ({ success: r.success, returnData: r.returnData }));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BATCH READER
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * ContractRunner that batches eth_calls into Multicall3 at a pinned block.
+ * @param {object} provider  ethers provider
+ * @param {object} [options] { blockTag (default: the head at the first read),
+ *                           maxCalls per request (100), address (Multicall3) }
+ * @returns {{ provider, call, blockTag, stats }}
+ */
+function createBatchReader(provider, options = {}) {
+    const { maxCalls } = { ...DEFAULTS, ...options };
+    const address = options.address || MULTICALL3_ADDRESS;
+    const stats = { calls: 0, requests: 0, blockTag: options.blockTag ?? null };
+    let queue = [];
+    let scheduled = false;
+    let pinning = null;
+
+    /** The block every read of this reader runs at. */
+    function pin() {
+        if (stats.blockTag !== null) return Promise.resolve(stats.blockTag);
+        if (!pinning) {
+            pinning = provider.getBlockNumber().then(block => {
+                stats.blockTag = block;
+                return block;
+            }, error => {
+                pinning = null;
+                throw error;
+            });
+        }
+        return pinning;
+    }
+
+    async function direct(entry, blockTag) {
+        stats.requests++;
+        try {
+            entry.resolve(await provider.call({ ...entry.tx, blockTag: entry.tx.blockTag ?? blockTag }));
+        } catch (e) {
+            entry.reject(e);
+        }
+    }
+
+    async function send(batch, blockTag) {
+        stats.requests++;
+        let results;
+        try {
+            results = await aggregate(provider, batch.map(e => ({ target: e.tx.to, callData: e.tx.data || "0x" })), { blockTag, address });
+        } catch (e) {
+            batch.forEach(entry => entry.reject(e));
+            return;
+        }
+        batch.forEach((entry, i) => {
+            const { success, returnData } = results[i];
+            if (success) entry.resolve(returnData);
+            else entry.reject(callException(entry.tx, returnData));
+        });
+    }
+
+    async function flush() {
+        scheduled = false;
+        const entries = queue;
+        queue = [];
+        let blockTag;
+        let batched = false;
+        try {
+            [blockTag, batched] = await Promise.all([pin(), hasMulticall(provider, address)]);
+        } catch (e) {
+            entries.forEach(entry => entry.reject(e));
+            return;
+        }
+
+        const groups = new Map();     // block tag → calls for aggregate3
+        const singles = [];
+        for (const entry of entries) {
+            if (!batched || entry.tx.from) {
+                singles.push(entry);
+                continue;
+            }
+            const tag = entry.tx.blockTag ?? blockTag;
+            if (!groups.has(tag)) groups.set(tag, []);
+            groups.get(tag).push(entry);
+        }
+        const requests = singles.map(entry => direct(entry, blockTag));
+        for (const [tag, group] of groups) {
+            for (let i = 0; i < group.length; i += maxCalls) requests.push(send(group.slice(i, i + maxCalls), tag));
+        }
+        await Promise.all(requests);
+    }
+
+    return {
+        provider,
+        stats,
+
+        get blockTag() {
+            return stats.blockTag;
+        },
+
+        /** ContractRunner.call: queue the eth_call for the next aggregate3. */
+        call(tx) {
+            stats.calls++;
+            return new Promise((resolve, reject) => {
+                queue.push({ tx, resolve, reject });
+                if (!scheduled) {
+                    scheduled = true;
+                    setImmediate(flush);
+                }
+            });
+        },
+
+        pin,
+    };
+}
+
+module.exports = { MULTICALL3_ADDRESS, aggregate, createBatchReader, hasMulticall };
@@ -0,0 +1,512 @@
+/**
+ * Alerts for trade outcomes and bot health.
+ *
+ * Watches the bot engine and sends an alert to webhook, chat-webhook (Slack,
+ * Discord) and SMTP email sinks when:
+ *
+ *   trade-executed    a trade mined successfully                   info
+ *   trade-reverted    a trade mined but reverted                   warning
+ *   scan-errors       `scanErrors` consecutive failed scans        warning
+ *   stale-heartbeat   no scan for `staleAfterMs`                   critical
+ *                     (default 3 scan periods, at least 5 min)
+ *   low-balance       signer balance below `minBalance`            critical
+ *
+ * Every alert kind has a cooldown per market (`cooldownMs`); alerts inside
+ * it are counted and reported with the next one. `maxPerHour` caps what any
+ * sink receives. A sink that fails is logged and never stops the bot.
+ *
+ * Config (NOTIFY_CONFIG=notify.json, or env for a single sink of each type):
+ *   {
+ *     "sinks": {
+ *       "ops":  { "type": "webhook", "url": "https://..." },
+ *       "chat": { "type": "chat", "format": "slack" | "discord", "url": "https://hooks..." },
+ *       "mail": { "type": "smtp", "host": "smtp.example.com", "port": 587, "secure": false,
+ *                 "user": "...", "pass": "...", "from": "bot@example.com", "to": ["me@example.com"],
+ *                 "insecureAuth": false }           // true: allow AUTH without TLS (local relays only)
+ *     },
+ *     "routes": [                                  // default: every alert to every sink
+ *       { "markets": ["pnk"], "kinds": ["trade-reverted", "scan-errors"], "sinks": ["chat"] },
+ *       { "sinks": ["ops", "mail"] }
+ *     ],
+ *     "minBalance": { "100": 1, "1": 0.02, "eth-v1": 0.05 },   // by market id, else chain id
+ *     "scanErrors": 3, "staleAfterMs": 600000, "cooldownMs": { "scan-errors": 900000 }, "maxPerHour": 30
+ *   }
+ *
+ *   NOTIFY_WEBHOOK_URL, NOTIFY_CHAT_URL (+ NOTIFY_CHAT_FORMAT), SMTP_HOST, SMTP_PORT,
+ *   SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_INSECURE_AUTH, NOTIFY_EMAIL_FROM, NOTIFY_EMAIL_TO
+ *
+ * Usage:
+ *   const notifier = createNotifier(loadNotifyConfig());
+ *   notifier.attach(engine);                    (runBots does this when a sink is configured)
+ *   await notifier.notify({ kind, market, title, message });
+ *
+ * scripts/lib/mock-notify.js serves local webhook and SMTP stubs for tests.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const tls = require("tls");
+const { ethers } = require("ethers");
+const { CHAINS } = require("./chains");
+const { scanPeriodMs } = require("./triggers");
+
+const SEVERITY = {
+    "trade-executed": "info",
+    "trade-reverted": "warning",
+    "scan-errors": "warning",
+    "stale-heartbeat": "critical",
+    "low-balance": "critical",
+};
+
+const SEVERITY_ICONS = { info: "✅", warning: "⚠️", critical: "🚨" };
+
+const DEFAULTS = {
+    scanErrors: 3,
+    minStaleMs: 5 * 60 * 1000,
+    checkIntervalMs: 60 * 1000,
+    balanceIntervalMs: 5 * 60 * 1000,
+    maxPerHour: 30,
+    timeoutMs: 10000,
+    history: 100,                   // deliveries kept in notifier.sent
+    cooldownMs: {
+        "trade-executed": 0,
+        "trade-reverted": 5 * 60 * 1000,
+        "scan-errors": 15 * 60 * 1000,
+        "stale-heartbeat": 30 * 60 * 1000,
+        "low-balance": 60 * 60 * 1000,
+    },
+    // native token, by chain id
+    minBalance: { 100: 1, 1: 0.02 },
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIG
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Notifier config from NOTIFY_CONFIG plus the env shortcuts.
+ * @returns {object|null}  null when no sink is configured
+ */
+function loadNotifyConfig(env = process.env) {
+    const config = env.NOTIFY_CONFIG ? JSON.parse(fs.readFileSync(env.NOTIFY_CONFIG, "utf8")) : {};
+    const sinks = { ...(config.sinks || {}) };
+    if (env.NOTIFY_WEBHOOK_URL) sinks.webhook = { type: "webhook", url: env.NOTIFY_WEBHOOK_URL };
+    if (env.NOTIFY_CHAT_URL) sinks.chat = { type: "chat", url: env.NOTIFY_CHAT_URL, format: env.NOTIFY_CHAT_FORMAT || "slack" };
+    if (env.SMTP_HOST && env.NOTIFY_EMAIL_TO) {
+        sinks.email = {
+            type: "smtp",
+            host: env.SMTP_HOST,
+            port: env.SMTP_PORT ? Number(env.SMTP_PORT) : undefined,
+            secure: env.SMTP_SECURE === "true",
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS,
+            insecureAuth: env.SMTP_INSECURE_AUTH === "true",
+            from: env.NOTIFY_EMAIL_FROM || env.SMTP_USER,
+            to: env.NOTIFY_EMAIL_TO.split(",").map(s => s.trim()).filter(Boolean),
+        };
+    }
+    return Object.keys(sinks).length > 0 ? { ...config, sinks } : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SINKS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function postJson(url, body, timeoutMs) {
+    const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status} ${(await res.text()).slice(0, 200)}`);
+}
+
+const alertText = alert => `${SEVERITY_ICONS[alert.severity] || ""} ${alert.title}\n${alert.message}`;
+
+/**
+ * Reads SMTP replies off a socket (multi-line replies end at "NNN ").
+ * upgrade() moves it onto the TLS socket after STARTTLS.
+ */
+function smtpConnection(socket, timeoutMs) {
+    let buffer = "";
+    let lines = [];
+    const replies = [];
+    let waiter = null;
+
+    const flush = () => {
+        if (waiter && replies.length) {
+            const { resolve } = waiter;
+            waiter = null;
+            resolve(replies.shift());
+        }
+    };
+    const fail = error => {
+        if (!waiter) return;
+        const { reject } = waiter;
+        waiter = null;
+        reject(error);
+    };
+    const onData = chunk => {
+        buffer += chunk.toString("utf8");
+        let i;
+        while ((i = buffer.indexOf("\n")) >= 0) {
+            const line = buffer.slice(0, i).replace(/\r$/, "");
+            buffer = buffer.slice(i + 1);
+            lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                replies.push({ code: Number(line.slice(0, 3)), text: lines.join("\n") });
+                lines = [];
+            }
+        }
+        flush();
+    };
+    const onError = e => fail(e);
+    const onClose = () => fail(new Error("SMTP connection closed"));
+
+    function attach(s) {
+        s.on("data", onData);
+        s.on("error", onError);
+        s.on("close", onClose);
+        s.setTimeout(timeoutMs, () => s.destroy(new Error("SMTP timeout")));
+    }
+    attach(socket);
+
+    const conn = {
+        socket,
+        read: () => new Promise((resolve, reject) => {
+            waiter = { resolve, reject };
+            flush();
+        }),
+        /** Send `line` (null: just read) and require one of the `expected` codes. */
+        async command(line, expected) {
+            if (line !== null) conn.socket.write(line + "\r\n");
+            const reply = await conn.read();
+            if (![].concat(expected).includes(reply.code)) {
+                const verb = line === null ? "greeting" : line.split(/[ :]/)[0];
+                throw new Error(`SMTP ${verb}: ${reply.text}`);
+            }
+            return reply;
+        },
+        async upgrade(servername) {
+            for (const [event, fn] of [["data", onData], ["error", onError], ["close", onClose]]) {
+                conn.socket.removeListener(event, fn);
+            }
+            conn.socket.setTimeout(0);
+            const secure = tls.connect({ socket: conn.socket, servername });
+            await new Promise((resolve, reject) => {
+                secure.once("secureConnect", resolve);
+                secure.once("error", reject);
+            });
+            conn.socket = secure;
+            attach(secure);
+        },
+    };
+    return conn;
+}
+
+/** RFC 2047 for non-ASCII subjects (the alert icons). */
+const encodeHeader = text => (/^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, "utf8").toString("base64")}?=`);
+
+function formatEmail({ from, to, subject, text }) {
+    const body = text.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+    return [
+        `From: <${from}>`,
+        `To: ${to.map(t => `<${t}>`).join(", ")}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: 8bit",
+        "",
+        body,
+    ].join("\r\n");
+}
+
+/**
+ * Send one plain-text email: EHLO, STARTTLS when offered (or implicit TLS
+ * with `secure`), AUTH PLAIN when `user` is set. The password is never sent
+ * in the clear: without TLS, AUTH fails unless the sink sets `insecureAuth`.
+ */
+async function sendSmtp(config, { subject, text }) {
+    const { host, secure = false, user, pass, from } = config;
+    const port = config.port || (secure ? 465 : 587);
+    const to = [].concat(config.to || []);
+    if (!host || !from || to.length === 0) throw new Error("smtp sink needs host, from and to");
+    const timeoutMs = config.timeoutMs || DEFAULTS.timeoutMs;
+
+    const socket = await new Promise((resolve, reject) => {
+        const s = secure
+            ? tls.connect({ host, port, servername: host }, () => resolve(s))
+            : net.connect({ host, port }, () => resolve(s));
+        s.once("error", reject);
+    });
+    const conn = smtpConnection(socket, timeoutMs);
+    try {
+        await conn.command(null, 220);
+        const ehlo = await conn.command(`EHLO ${os.hostname()}`, 250);
+        let encrypted = secure;
+        if (!secure && config.starttls !== false && /STARTTLS/i.test(ehlo.text)) {
+            await conn.command("STARTTLS", 220);
+            await conn.upgrade(host);
+            encrypted = true;
+            await conn.command(`EHLO ${os.hostname()}`, 250);
+        }
+        if (user && !encrypted && !config.insecureAuth) {
+            throw new Error(`SMTP ${host}: refusing AUTH over an unencrypted connection (no TLS or STARTTLS; "insecureAuth": true allows it)`);
+        }
+        if (user) await conn.command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ""}`).toString("base64")}`, 235);
+        await conn.command(`MAIL FROM:<${from}>`, 250);
+        for (const rcpt of to) await conn.command(`RCPT TO:<${rcpt}>`, [250, 251]);
+        await conn.command("DATA", 354);
+        await conn.command(`${formatEmail({ from, to, subject, text })}\r\n.`, 250);
+        await conn.command("QUIT", 221).catch(() => {});
+    } finally {
+        conn.socket.end();
+    }
+}
+
+/** sink config → async send(alert) */
+function createSink(name, config, timeoutMs) {
+    switch (config.type) {
+        case "webhook":
+            return alert => postJson(config.url, alert, timeoutMs);
+        case "chat": {
+            const field = config.format === "discord" ? "content" : "text";
+            return alert => postJson(config.url, { [field]: alertText(alert) }, timeoutMs);
+        }
+        case "smtp":
+            return alert => sendSmtp({ timeoutMs, ...config }, {
+                subject: `[futarchy-arb] ${alert.title}`,
+                text: `${alert.message}\n\n${JSON.stringify(alert.data ?? {}, null, 2)}\n`,
+            });
+        default:
+            throw new Error(`Notify sink ${name}: unknown type "${config.type}" (webhook | chat | smtp)`);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NOTIFIER
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @param {object} config   see the header; { sinks, routes, minBalance, scanErrors,
+ *                          staleAfterMs, cooldownMs, maxPerHour, checkIntervalMs,
+ *                          balanceIntervalMs, timeoutMs, history }
+ * @param {object} [options] { now, log }
+ * @returns {{ notify, attach, check, sent, close }}
+ */
+function createNotifier(config, options = {}) {
+    const now = options.now || Date.now;
+    const log = options.log || console.log;
+    const timeoutMs = config.timeoutMs ?? DEFAULTS.timeoutMs;
+    const cooldownMs = { ...DEFAULTS.cooldownMs, ...(config.cooldownMs || {}) };
+    const maxPerHour = config.maxPerHour ?? DEFAULTS.maxPerHour;
+    const history = config.history ?? DEFAULTS.history;
+    const minBalance = { ...DEFAULTS.minBalance, ...(config.minBalance || {}) };
+    const routes = config.routes || [{ sinks: Object.keys(config.sinks || {}) }];
+
+    const sinks = new Map(Object.entries(config.sinks || {}).map(([name, c]) => [name, { send: createSink(name, c, timeoutMs), recent: [] }]));
+    for (const route of routes) {
+        for (const name of route.sinks || []) {
+            if (!sinks.has(name)) throw new Error(`Notify route names unknown sink "${name}"`);
+        }
+    }
+
+    const cooldowns = new Map();    // kind:market → { at, suppressed }
+    const sent = [];                // last `history` { sink, alert } delivered, oldest first
+
+    function sinksFor(alert) {
+        const names = new Set();
+        for (const route of routes) {
+            if (route.markets && !route.markets.includes(alert.market)) continue;
+            if (route.kinds && !route.kinds.includes(alert.kind)) continue;
+            (route.sinks || []).forEach(n => names.add(n));
+        }
+        return [...names];
+    }
+
+    /** Per kind and market cooldown; returns how many alerts it held back, or null to drop. */
+    function admit(alert) {
+        const key = `${alert.kind}:${alert.market ?? "*"}`;
+        const entry = cooldowns.get(key);
+        const wait = cooldownMs[alert.kind] ?? 0;
+        if (entry && now() - entry.at < wait) {
+            entry.suppressed++;
+            return null;
+        }
+        cooldowns.set(key, { at: now(), suppressed: 0 });
+        return entry ? entry.suppressed : 0;
+    }
+
+    /**
+     * Route one alert to its sinks.
+     * @param {object} alert  { kind, market, title, message, data, severity? }
+     * @returns {Promise<string[]>} names of the sinks it was delivered to
+     */
+    async function notify(alert) {
+        const suppressed = admit(alert);
+        if (suppressed === null) return [];
+        const full = {
+            severity: SEVERITY[alert.kind] || "info",
+            timestamp: new Date(now()).toISOString(),
+            ...alert,
+            message: alert.message + (suppressed > 0 ? `\n(${suppressed} similar alert${suppressed > 1 ? "s" : ""} suppressed)` : ""),
+            suppressed,
+        };
+
+        const delivered = [];
+        await Promise.all(sinksFor(full).map(async name => {
+            const sink = sinks.get(name);
+            sink.recent = sink.recent.filter(t => now() - t < 3600 * 1000);
+            if (sink.recent.length >= maxPerHour) {
+                log(`⚠️ notify ${name}: over ${maxPerHour} alerts/hour, dropped ${full.kind} ${full.market ?? ""}`);
+                return;
+            }
+            sink.recent.push(now());
+            try {
+                await sink.send(full);
+                delivered.push(name);
+                sent.push({ sink: name, alert: full });
+                if (sent.length > history) sent.splice(0, sent.length - history);
+            } catch (e) {
+                log(`⚠️ notify ${name} failed: ${e.message}`);
+            }
+        }));
+        return delivered;
+    }
+
+    // ───────────────────────────────────────────────────────────────────────
+    // Engine watch
+    // ───────────────────────────────────────────────────────────────────────
+
+    let engine = null;
+    let timer = null;
+    const lastSeen = new Map();     // market id → ms of the last scan (or error)
+    const scanErrors = new Map();   // market id → consecutive failures
+    let balancesAt = -Infinity;
+
+    const staleAfter = market => config.staleAfterMs ?? Math.max(3 * scanPeriodMs(market), DEFAULTS.minStaleMs);
+    const minBalanceOf = market => minBalance[market.id] ?? minBalance[market.chainId] ?? null;
+    const nativeSymbol = market => CHAINS[market.chainId]?.nativeSymbol || "native";
+
+    function onTrade(t) {
+        if (t.status !== "success" && t.status !== "failed") return;
+        const ok = t.status === "success";
+        const profit = t.realizedProfit ?? t.profit;
+        notify({
+            kind: ok ? "trade-executed" : "trade-reverted",
+            market: t.market,
+            title: `${t.market}: trade ${ok ? "executed" : "reverted"}`,
+            message: [
+                `${t.strategy || "?"} ${t.amount ?? ""} ${t.unit ?? ""}`.trim(),
+                ok && profit !== null && profit !== undefined ? `profit ${profit} ${t.unit}` : null,
+                !ok && t.error ? `revert: ${t.error}` : null,
+                `tx ${t.txUrl || t.txHash} (block ${t.blockNumber})`,
+            ].filter(Boolean).join("\n"),
+            data: t,
+        });
+    }
+
+    function onScanError(e) {
+        lastSeen.set(e.market, now());
+        const count = (scanErrors.get(e.market) || 0) + 1;
+        scanErrors.set(e.market, count);
+        const threshold = config.scanErrors ?? DEFAULTS.scanErrors;
+        if (count < threshold) return;
+        const msg = e.error?.shortMessage || e.error?.message || String(e.error);
+        notify({
+            kind: "scan-errors",
+            market: e.market,
+            title: `${e.market}: ${count} failed scans in a row`,
+            message: `last error: ${msg}`,
+            data: { count, error: msg },
+        });
+    }
+
+    async function checkBalances() {
+        const reads = new Map();    // chain:address → balance promise, shared by markets
+        await Promise.all([...engine.adapters.values()].map(async adapter => {
+            const min = minBalanceOf(adapter.market);
+            if (min === null || !adapter.signer || !adapter.provider) return;
+            try {
+                const address = await adapter.signer.getAddress();
+                const key = `${adapter.market.chainId}:${address}`;
+                if (!reads.has(key)) reads.set(key, adapter.provider.getBalance(address));
+                const balance = parseFloat(ethers.formatEther(await reads.get(key)));
+                if (balance >= min) return;
+                const symbol = nativeSymbol(adapter.market);
+                await notify({
+                    kind: "low-balance",
+                    market: adapter.id,
+                    title: `${adapter.id}: signer balance ${balance.toFixed(4)} ${symbol}`,
+                    message: `${address} holds ${balance} ${symbol}, below ${min} ${symbol}: trades will fail for gas`,
+                    data: { address, balance, min, symbol, chainId: adapter.market.chainId },
+                });
+            } catch (e) {
+                log(`⚠️ notify: balance check for ${adapter.id} failed: ${e.shortMessage || e.message}`);
+            }
+        }));
+    }
+
+    /** Stale-heartbeat and balance checks (run every checkIntervalMs once attached). */
+    async function check() {
+        if (!engine) return;
+        const pending = [];
+        for (const adapter of engine.adapters.values()) {
+            const seen = lastSeen.get(adapter.id) ?? now();
+            if (!lastSeen.has(adapter.id)) lastSeen.set(adapter.id, seen);
+            const idle = now() - seen;
+            if (idle < staleAfter(adapter.market)) continue;
+            pending.push(notify({
+                kind: "stale-heartbeat",
+                market: adapter.id,
+                title: `${adapter.id}: no scan for ${Math.round(idle / 60000)} min`,
+                message: `last scan ${new Date(seen).toISOString()}; the market loop may be stuck on an RPC call`,
+                data: { lastScan: new Date(seen).toISOString(), idleMs: idle },
+            }));
+        }
+        if (now() - balancesAt >= (config.balanceIntervalMs ?? DEFAULTS.balanceIntervalMs)) {
+            balancesAt = now();
+            pending.push(checkBalances());
+        }
+        await Promise.all(pending);
+    }
+
+    const listeners = {
+        "trade": onTrade,
+        "scan-error": onScanError,
+        "scan": s => {
+            lastSeen.set(s.market, now());
+            scanErrors.delete(s.market);
+        },
+        "market-added": m => lastSeen.set(m.market, now()),
+        "market-removed": m => {
+            lastSeen.delete(m.market);
+            scanErrors.delete(m.market);
+        },
+        "stop": () => close(),
+    };
+
+    /** Subscribe to an engine's events and start the periodic checks. */
+    function attach(target) {
+        engine = target;
+        for (const [event, fn] of Object.entries(listeners)) engine.on(event, fn);
+        timer = setInterval(() => check().catch(e => log(`⚠️ notify check failed: ${e.message}`)), config.checkIntervalMs ?? DEFAULTS.checkIntervalMs);
+        timer.unref();
+    }
+
+    function close() {
+        clearInterval(timer);
+        timer = null;
+        if (!engine) return;
+        for (const [event, fn] of Object.entries(listeners)) engine.removeListener(event, fn);
+        engine = null;
+    }
+
+    return { notify, attach, check, sent, close, sinks: [...sinks.keys()] };
+}
+
+module.exports = { createNotifier, loadNotifyConfig, sendSmtp, SEVERITY };
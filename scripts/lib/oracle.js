@@ -0,0 +1,387 @@
+/**
+ * Price oracle: USD prices for the tokens the bots borrow, earn and pay gas in.
+ *
+ * One table of sources per chain (ORACLE_SOURCES) replaces the conversions
+ * each bot used to approximate on its own. A symbol can have several
+ * sources, each read independently:
+ *
+ *   peg                fixed USD value (xDAI, USDS, GHO, USDC, DAI)
+ *   alias              another symbol's price (ETH = WETH, WXDAI = xDAI)
+ *   chain              the same symbol's price on another chain's oracle
+ *   twap               time-weighted pool price over `windowSec` (Uniswap V3
+ *                      observe(), Algebra getTimepoints()) × the quote's price
+ *   spot               the same pool's current price, no averaging
+ *   v2                 Uniswap V2 pair mid price (Honeyswap) × the quote's price
+ *   erc4626            vault convertToAssets(1 share) × the asset's price (sDAI)
+ *   balancer-weighted  Balancer V3 weighted pool price of a wrapped token,
+ *                      unwrapped with its rate provider's getRate() (waGNO → GNO)
+ *
+ * Bridged tokens borrow another chain's price ("chain"): GNO on mainnet is
+ * priced on Gnosis, Gnosis WETH is checked against the mainnet USDC/WETH TWAP.
+ *
+ * Sanity checks: with several quotes the price is their median, and quotes
+ * more than `maxDeviation` (default 2%) away from it are dropped as outliers.
+ * If no quote is within the band (two sources that disagree), the symbol is
+ * left unpriced: callers refuse to convert rather than trade on a guess.
+ *
+ * Usage:
+ *   const oracle = getPriceOracle(100);
+ *   const prices = await oracle.prices(["GNO", "SDAI", "XDAI"]);   // { GNO: 118.2, ... }
+ *   oracle.convert(0.5, "GNO", "SDAI", prices);
+ *   oracle.report();    // per symbol: price, status, every source's quote or error
+ */
+
+const { ethers } = require("ethers");
+const { getProvider } = require("./chains");
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SOURCES
+// ═══════════════════════════════════════════════════════════════════════════
+
+const GNOSIS = {
+    GNO: "0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb",
+    SDAI: "0xaf204776c7245bF4147c2612BF6e5972Ee483701",
+    WAGNO: "0x7c16F0185A26Db0AE7a9377f23BC18ea7ce5d644",
+    WETH: "0x6A023CCd1ff6F2045C3309768eAd9E68F978f6e1",
+    WXDAI: "0xe91D153E0b41518A2Ce8Dd3D7944Fa863463a97d",
+    SWAPR_GNO_SDAI: "0x80086B6A53249277961c8672F0C22B3f54AC85FB",         // Algebra, token0 GNO
+    BALANCER_WAGNO_SDAI: "0xD1D7Fa8871d84d0E77020fc28B7Cd5718C446522",    // Balancer V3 weighted
+    WAGNO_RATE_PROVIDER: "0xbbb4966335677ea24f7b86dc19a423412390e1fb",
+    HONEYSWAP_WETH_WXDAI: "0x7bea4af5d425f2d4485bdad1859c88617df31a67",
+};
+
+const MAINNET = {
+    WETH: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
+    USDC: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
+    SDAI: "0x83F20F44975D03b1b09e64809B757c47f942BEeA",                   // Maker sDAI (DAI vault)
+    UNI_USDC_WETH: "0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640",          // Uniswap V3 0.05%, token0 USDC
+};
+
+const TWAP_WINDOW_SEC = 1800;
+
+// Stablecoins valued at their peg on every chain
+const PEGS = {
+    USD: [{ kind: "peg", usd: 1 }],
+    USDC: [{ kind: "peg", usd: 1 }],
+    DAI: [{ kind: "peg", usd: 1 }],
+    USDS: [{ kind: "peg", usd: 1 }],
+    GHO: [{ kind: "peg", usd: 1 }],
+    XDAI: [{ kind: "peg", usd: 1 }],
+};
+
+const ORACLE_SOURCES = {
+    100: {
+        ...PEGS,
+        WXDAI: [{ kind: "alias", of: "XDAI" }],
+        SDAI: [{ kind: "erc4626", vault: GNOSIS.SDAI, asset: "XDAI" }],
+        GNO: [
+            { kind: "twap", pool: GNOSIS.SWAPR_GNO_SDAI, poolKind: "algebra", base: GNOSIS.GNO, quote: "SDAI" },
+            {
+                kind: "balancer-weighted", pool: GNOSIS.BALANCER_WAGNO_SDAI, token: GNOSIS.WAGNO,
+                quote: "SDAI", quoteToken: GNOSIS.SDAI, rateProvider: GNOSIS.WAGNO_RATE_PROVIDER,
+            },
+        ],
+        WETH: [
+            { kind: "v2", pair: GNOSIS.HONEYSWAP_WETH_WXDAI, base: GNOSIS.WETH, quote: "WXDAI" },
+            { kind: "chain", chainId: 1, of: "WETH" },
+        ],
+    },
+    1: {
+        ...PEGS,
+        ETH: [{ kind: "alias", of: "WETH" }],
+        WETH: [
+            // the spot read catches a TWAP lagging a fast move (and vice versa a manipulated block)
+            { kind: "twap", pool: MAINNET.UNI_USDC_WETH, poolKind: "uniswap-v3", base: MAINNET.WETH, quote: "USDC", quoteDecimals: 6 },
+            { kind: "spot", pool: MAINNET.UNI_USDC_WETH, poolKind: "uniswap-v3", base: MAINNET.WETH, quote: "USDC", quoteDecimals: 6 },
+        ],
+        SDAI: [{ kind: "erc4626", vault: MAINNET.SDAI, asset: "DAI" }],
+        GNO: [{ kind: "chain", chainId: 100, of: "GNO" }],
+    },
+};
+ORACLE_SOURCES[10200] = { ...PEGS };
+
+// ═══════════════════════════════════════════════════════════════════════════
+// READERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const ABIS = {
+    pool: ["function token0() view returns (address)"],
+    "uniswap-v3": [
+        "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)",
+        "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+    ],
+    algebra: [
+        "function getTimepoints(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulatives, uint112[] volatilityCumulatives, uint256[] volumePerAvgLiquiditys)",
+        "function globalState() view returns (uint160 price, int24 tick, uint16 fee, uint16 timepointIndex, uint8 communityFeeToken0, uint8 communityFeeToken1, bool unlocked)",
+    ],
+    v2: [
+        "function token0() view returns (address)",
+        "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+    ],
+    erc4626: [
+        "function convertToAssets(uint256 shares) view returns (uint256)",
+    ],
+    balancer: [
+        "function getTokenInfo() view returns (address[] tokens, tuple(uint8 tokenType, address rateProvider, bool paysYieldFees)[] tokenInfo, uint256[] balancesRaw, uint256[] lastBalancesLiveScaled18)",
+        "function getNormalizedWeights() view returns (uint256[])",
+    ],
+    rateProvider: [
+        "function getRate() view returns (uint256)",
+    ],
+};
+
+const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Base token price in quote-token units from a tick or raw token1/token0
+ * ratio, whichever side of the pool the base token is on.
+ */
+function orientedPrice(ratio, token0, source) {
+    const scale = 10 ** ((source.baseDecimals ?? 18) - (source.quoteDecimals ?? 18));
+    return (same(token0, source.base) ? ratio : 1 / ratio) * scale;
+}
+
+/** Time-weighted average tick over the last `windowSec` seconds. */
+async function averageTick(pool, poolKind, windowSec) {
+    const result = poolKind === "algebra"
+        ? await pool.getTimepoints([windowSec, 0])
+        : await pool.observe([windowSec, 0]);
+    const [older, newer] = result[0];
+    return Number(newer - older) / windowSec;
+}
+
+const READERS = {
+    peg: async source => ({ price: source.usd }),
+
+    async twap(source, provider) {
+        const abi = [...ABIS.pool, ...ABIS[source.poolKind]];
+        const pool = new ethers.Contract(source.pool, abi, provider);
+        const window = source.windowSec || TWAP_WINDOW_SEC;
+        const [token0, tick] = await Promise.all([pool.token0(), averageTick(pool, source.poolKind, window)]);
+        return { price: orientedPrice(1.0001 ** tick, token0, source), quote: source.quote };
+    },
+
+    async spot(source, provider) {
+        const abi = [...ABIS.pool, ...ABIS[source.poolKind]];
+        const pool = new ethers.Contract(source.pool, abi, provider);
+        const [token0, state] = await Promise.all([
+            pool.token0(),
+            source.poolKind === "algebra" ? pool.globalState() : pool.slot0(),
+        ]);
+        const sqrt = Number(state[0]) / 2 ** 96;
+        return { price: orientedPrice(sqrt * sqrt, token0, source), quote: source.quote };
+    },
+
+    async v2(source, provider) {
+        const pair = new ethers.Contract(source.pair, ABIS.v2, provider);
+        const [token0, reserves] = await Promise.all([pair.token0(), pair.getReserves()]);
+        if (reserves[0] === 0n || reserves[1] === 0n) throw new Error("empty pair");
+        const ratio = Number(reserves[1]) / Number(reserves[0]);
+        return { price: orientedPrice(ratio, token0, source), quote: source.quote };
+    },
+
+    async erc4626(source, provider) {
+        const vault = new ethers.Contract(source.vault, ABIS.erc4626, provider);
+        const shareDecimals = source.shareDecimals ?? 18;
+        const assets = await vault.convertToAssets(10n ** BigInt(shareDecimals));
+        return { price: parseFloat(ethers.formatUnits(assets, source.assetDecimals ?? 18)), quote: source.asset };
+    },
+
+    async "balancer-weighted"(source, provider) {
+        const pool = new ethers.Contract(source.pool, ABIS.balancer, provider);
+        const rateProvider = new ethers.Contract(source.rateProvider, ABIS.rateProvider, provider);
+        const [info, weights, rate] = await Promise.all([pool.getTokenInfo(), pool.getNormalizedWeights(), rateProvider.getRate()]);
+        const tokens = info[0];
+        const i = tokens.findIndex(t => same(t, source.token));
+        const j = tokens.findIndex(t => same(t, source.quoteToken));
+        if (i < 0 || j < 0) throw new Error("token not in pool");
+        const balance = k => parseFloat(ethers.formatEther(info[2][k])) / parseFloat(ethers.formatEther(weights[k]));
+        // wrapped token in quote units, then per underlying: 1 wrapped = rate underlying
+        const wrappedPrice = balance(j) / balance(i);
+        return { price: wrappedPrice / parseFloat(ethers.formatEther(rate)), quote: source.quote };
+    },
+};
+
+function describeSource(source) {
+    switch (source.kind) {
+    case "peg": return `peg ${source.usd}`;
+    case "alias": return `= ${source.of}`;
+    case "chain": return `${source.of} on chain ${source.chainId}`;
+    case "erc4626": return `erc4626 ${source.vault.slice(0, 10)} → ${source.asset}`;
+    case "v2": return `v2 ${source.pair.slice(0, 10)} in ${source.quote}`;
+    case "balancer-weighted": return `balancer ${source.pool.slice(0, 10)} in ${source.quote}`;
+    default: return `${source.kind} ${source.poolKind} ${source.pool.slice(0, 10)} in ${source.quote}`;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SANITY CHECKS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Reconcile one symbol's quotes.
+ * @param {Array<{ usd }>} quotes  successful quotes (each gets `outlier` set)
+ * @returns {{ price: number|null, status: "ok"|"outliers"|"disagree"|"unavailable" }}
+ */
+function reconcile(quotes, maxDeviation) {
+    if (quotes.length === 0) return { price: null, status: "unavailable" };
+    if (quotes.length === 1) return { price: quotes[0].usd, status: "ok" };
+    const mid = median(quotes.map(q => q.usd));
+    for (const q of quotes) q.outlier = Math.abs(q.usd / mid - 1) > maxDeviation;
+    const kept = quotes.filter(q => !q.outlier);
+    if (kept.length === 0) return { price: null, status: "disagree" };
+    return { price: median(kept.map(q => q.usd)), status: kept.length < quotes.length ? "outliers" : "ok" };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ORACLE
+// ═══════════════════════════════════════════════════════════════════════════
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * @param {number} chainId            chain whose source table to use
+ * @param {object} [options]
+ * @param {object} [options.sources]  { SYMBOL: [source] } instead of ORACLE_SOURCES[chainId]
+ * @param {Function} [options.providerFor] chainId → provider (default chains.js getProvider)
+ * @param {Function} [options.oracleFor]   chainId → oracle, for "chain" sources (default getPriceOracle)
+ * @param {number} [options.maxDeviation=0.02] outlier band around the median
+ * @param {number} [options.ttlMs=60000]       reuse prices younger than this
+ * @param {number} [options.timeoutMs=5000]    per source read
+ */
+function createPriceOracle(chainId, options = {}) {
+    const sources = options.sources || ORACLE_SOURCES[chainId] || PEGS;
+    const providerFor = options.providerFor || getProvider;
+    const oracleFor = options.oracleFor || getPriceOracle;
+    const maxDeviation = options.maxDeviation ?? 0.02;
+    const ttlMs = options.ttlMs ?? 60000;
+    const timeoutMs = options.timeoutMs ?? 5000;
+    const now = options.now || Date.now;
+    const log = options.log || console.log;
+
+    const cache = new Map();      // SYMBOL → { price, status, quotes, at }
+
+    /** Read one source; { usd } or { error }. */
+    async function quote(source, resolving) {
+        if (source.kind === "alias") {
+            const entry = await resolve(source.of, resolving);
+            return entry.price === null ? { error: `${source.of} unpriced` } : { usd: entry.price };
+        }
+        try {
+            if (source.kind === "chain") {
+                const price = (await oracleFor(source.chainId).prices([source.of]))[source.of.toUpperCase()];
+                return price === undefined ? { error: `${source.of} unpriced on chain ${source.chainId}` } : { usd: price };
+            }
+            const provider = source.kind === "peg" ? null : await providerFor(chainId);
+            const { price, quote: quoteSymbol } = await withTimeout(READERS[source.kind](source, provider), timeoutMs);
+            if (!(price > 0) || !Number.isFinite(price)) return { error: `bad price ${price}` };
+            if (!quoteSymbol) return { usd: price };
+            const quoted = await resolve(quoteSymbol, resolving);
+            if (quoted.price === null) return { error: `${quoteSymbol} unpriced` };
+            return { usd: price * quoted.price, inQuote: price };
+        } catch (e) {
+            return { error: (e.shortMessage || e.message || String(e)).slice(0, 120) };
+        }
+    }
+
+    /** Price one symbol (its quote symbols first), from the cache when fresh. */
+    async function resolve(symbol, resolving = new Set()) {
+        const key = String(symbol).toUpperCase();
+        const cached = cache.get(key);
+        if (cached && now() - cached.at < ttlMs) return cached;
+        if (resolving.has(key)) return { price: null, status: "unavailable", quotes: [] };
+        if (!sources[key]) return { price: null, status: "unknown", quotes: [] };
+
+        resolving.add(key);
+        const quotes = [];
+        for (const source of sources[key]) {
+            quotes.push({ source: describeSource(source), ...(await quote(source, resolving)) });
+        }
+        resolving.delete(key);
+
+        const ok = quotes.filter(q => q.usd !== undefined);
+        const { price, status } = reconcile(ok, maxDeviation);
+        if (status === "outliers" || status === "disagree") {
+            const detail = ok.map(q => `${q.source}: ${q.usd.toFixed(4)}${q.outlier ? " ✗" : ""}`).join(", ");
+            log(`   ⚠️  Oracle ${key}: ${status === "disagree" ? "sources disagree, unpriced" : "outlier dropped"} (${detail})`);
+        }
+        const entry = { price, status, quotes, at: now() };
+        cache.set(key, entry);
+        return entry;
+    }
+
+    return {
+        chainId,
+        sources,
+
+        /** Symbols with at least one source. */
+        symbols() {
+            return Object.keys(sources);
+        },
+
+        /**
+         * USD prices for `symbols` (default: every configured symbol); symbols
+         * that are unknown or failed their sanity checks are left out.
+         */
+        async prices(symbols = Object.keys(sources)) {
+            const prices = {};
+            for (const symbol of symbols) {
+                const { price } = await resolve(symbol);
+                if (price !== null) prices[String(symbol).toUpperCase()] = price;
+            }
+            return prices;
+        },
+
+        /** `amount` of `from` in `to` units at `prices` (default: the last refresh); null if unpriced. */
+        convert(amount, from, to, prices = null) {
+            const usd = symbol => {
+                const key = String(symbol).toUpperCase();
+                if (prices) return prices[key] ?? null;
+                return cache.get(key)?.price ?? null;
+            };
+            const a = usd(from);
+            const b = usd(to);
+            return a && b ? (amount * a) / b : null;
+        },
+
+        /** Last refresh per symbol: { SYMBOL: { price, status, quotes: [{ source, usd?, inQuote?, outlier?, error? }] } }. */
+        report() {
+            const out = {};
+            for (const [symbol, entry] of cache) out[symbol] = { price: entry.price, status: entry.status, quotes: entry.quotes };
+            return out;
+        },
+
+        /** Forget cached prices (next prices() call reads every source). */
+        clear() {
+            cache.clear();
+        },
+    };
+}
+
+const oracles = new Map();
+
+/** Shared oracle per chain, so markets on one chain read each source once per ttl. */
+function getPriceOracle(chainId) {
+    const id = Number(chainId);
+    if (!oracles.has(id)) oracles.set(id, createPriceOracle(id));
+    return oracles.get(id);
+}
+
+module.exports = {
+    ORACLE_SOURCES,
+    createPriceOracle,
+    getPriceOracle,
+    reconcile,
+};
@@ -0,0 +1,222 @@
+/**
+ * 📈 Gas-adjusted PnL from the trade ledger
+ *
+ * Every mined trade is valued in a reference currency: profit in its own
+ * token (realized from the ArbitrageExecuted event when the receipt had it,
+ * else the simulation) minus the gas actually paid in the chain's native
+ * token, each converted with the USD prices recorded next to the trade
+ * (ledger "prices" records, closest in time). Trades whose token or gas
+ * token was never priced keep their token amounts but count as unpriced
+ * instead of being valued at a guess; PRICES-style overrides fill the gaps,
+ * and fallback prices (the oracle's current ones) cover tokens never recorded.
+ * Trades logged without a gas price (old logs) are counted, gas left out.
+ *
+ * Usage:
+ *   const report = buildPnlReport(ledger, { reference: "xDAI", since: "2025-01-01" });
+ *   console.log(formatPnlReport(report));
+ *   fs.writeFileSync("pnl.csv", pnlCsv(report));
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REPORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** "GNO=120,SDAI=1.15" → { GNO: 120, SDAI: 1.15 } (USD per token). */
+function parsePriceList(text) {
+    const prices = {};
+    for (const part of String(text || "").split(",")) {
+        if (!part.trim()) continue;
+        const [symbol, value] = part.split("=").map(s => s.trim());
+        const price = Number(value);
+        if (!symbol || !(price > 0)) throw new Error(`Bad price "${part}" (expected SYMBOL=usd)`);
+        prices[symbol.toUpperCase()] = price;
+    }
+    return prices;
+}
+
+function emptyGroup(key) {
+    return { ...key, trades: 0, failed: 0, unpriced: 0, gasUnknown: 0, profit: {}, gas: {}, profitRef: 0, gasRef: 0, netRef: 0 };
+}
+
+function addTrade(group, t) {
+    group.trades++;
+    if (t.status !== "success") group.failed++;
+    if (t.profit) group.profit[t.unit] = (group.profit[t.unit] || 0) + t.profit;
+    if (t.gas) group.gas[t.gasSymbol] = (group.gas[t.gasSymbol] || 0) + t.gas;
+    if (!t.gasKnown) group.gasUnknown++;
+    if (t.netRef === null) {
+        group.unpriced++;
+        return;
+    }
+    group.profitRef += t.profitRef;
+    group.gasRef += t.gasRef;
+    group.netRef += t.netRef;
+}
+
+function groupBy(trades, keyOf) {
+    const groups = new Map();
+    for (const t of trades) {
+        const key = keyOf(t);
+        const id = Object.values(key).join(" / ");
+        if (!groups.has(id)) groups.set(id, emptyGroup(key));
+        addTrade(groups.get(id), t);
+    }
+    return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([, group]) => group);
+}
+
+/**
+ * Value the ledger's mined trades (status success / failed / cancelled: a
+ * cancelled trade earned nothing but paid for its cancel transaction).
+ * @param {object} ledger             openLedger() result
+ * @param {object} [options]
+ * @param {string} [options.market]   one market id
+ * @param {string} [options.since]    ISO date/time, inclusive
+ * @param {string} [options.until]    ISO date/time, exclusive
+ * @param {string} [options.reference] currency to report in (default USD; any priced symbol, e.g. xDAI, ETH)
+ * @param {object} [options.prices]   { SYMBOL: USD } overriding recorded prices
+ * @param {object} [options.fallbackPrices] { SYMBOL: USD } for symbols with no recorded price
+ * @param {object} [options.gasSymbols] { market: native symbol } for trades recorded without one
+ */
+function buildPnlReport(ledger, options = {}) {
+    const reference = options.reference || "USD";
+    const upper = prices => Object.fromEntries(Object.entries(prices || {}).map(([k, v]) => [k.toUpperCase(), v]));
+    const overrides = upper(options.prices);
+    const fallbacks = upper(options.fallbackPrices);
+    const missing = new Set();
+    // ledger timestamps are toISOString(); compare like with like
+    const since = options.since ? new Date(options.since).toISOString() : undefined;
+    const until = options.until ? new Date(options.until).toISOString() : undefined;
+
+    const usdAt = (symbol, time) => {
+        const key = String(symbol).toUpperCase();
+        if (key === "USD") return 1;
+        if (overrides[key] !== undefined) return overrides[key];
+        return ledger.priceAt(key, time) ?? fallbacks[key] ?? null;
+    };
+    const toReference = (symbol, amount, time) => {
+        if (!amount) return 0;
+        if (!symbol) {
+            missing.add("(unknown token)");
+            return null;
+        }
+        const usd = usdAt(symbol, time);
+        const ref = usdAt(reference, time);
+        if (usd === null || ref === null) {
+            missing.add(String(usd === null ? symbol : reference).toUpperCase());
+            return null;
+        }
+        return (amount * usd) / ref;
+    };
+
+    const trades = ledger.trades({ market: options.market, since })
+        .filter(t => ["success", "failed", "cancelled"].includes(t.status))
+        .map(t => ({ ...t, time: t.submitted_at || t.updated_at }))
+        .filter(t => !until || t.time < until)
+        .map(t => {
+            const profit = t.status === "success" ? (t.realized_profit ?? t.simulated_profit ?? 0) : 0;
+            const gas = t.gas_paid ? Number(BigInt(t.gas_paid)) / 1e18 : 0;
+            const gasSymbol = t.gas_symbol || options.gasSymbols?.[t.market] || null;
+            const profitRef = toReference(t.unit, profit, t.time);
+            const gasRef = toReference(gasSymbol, gas, t.time);
+            return {
+                time: t.time,
+                day: t.time.slice(0, 10),
+                market: t.market,
+                strategy: t.strategy || "?",
+                status: t.status,
+                txHash: t.tx_hash,
+                unit: t.unit || "?",
+                profit,
+                realized: t.realized_profit !== null,
+                gasSymbol: gasSymbol || "?",
+                gas,
+                gasKnown: t.gas_paid !== null,
+                profitRef,
+                gasRef,
+                netRef: profitRef === null || gasRef === null ? null : profitRef - gasRef,
+            };
+        });
+
+    const total = emptyGroup({});
+    trades.forEach(t => addTrade(total, t));
+    return {
+        reference,
+        market: options.market || null,
+        since: since || null,
+        until: until || null,
+        total,
+        byMarket: groupBy(trades, t => ({ market: t.market })),
+        byStrategy: groupBy(trades, t => ({ market: t.market, strategy: t.strategy })),
+        byDay: groupBy(trades, t => ({ day: t.day })),
+        unpricedSymbols: [...missing].sort(),
+        trades,
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// OUTPUT
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fmt = (value, digits = 6) => (value === null || value === undefined ? "n/a" : value.toFixed(digits));
+const amounts = map => Object.entries(map).map(([sym, v]) => `${fmt(v)} ${sym}`).join(" + ") || "-";
+
+function table(title, groups, keyColumns, reference) {
+    const header = [...keyColumns, "trades", "failed", "profit", "gas", `gross ${reference}`, `gas ${reference}`, `net ${reference}`];
+    const rows = groups.map(g => [
+        ...keyColumns.map(k => String(g[k])),
+        String(g.trades),
+        String(g.failed),
+        amounts(g.profit),
+        amounts(g.gas),
+        fmt(g.profitRef, 2),
+        fmt(g.gasRef, 2),
+        fmt(g.netRef, 2) + (g.unpriced ? ` (${g.unpriced} unpriced)` : ""),
+    ]);
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    const line = cells => "   " + cells.map((c, i) => c.padEnd(widths[i])).join("  ");
+    return [`\n🔹 ${title}`, line(header), "   " + widths.map(w => "─".repeat(w)).join("  "), ...rows.map(line)].join("\n");
+}
+
+/** Plain-text tables: totals, per market, per strategy, per day. */
+function formatPnlReport(report) {
+    const { total, reference } = report;
+    const lines = [
+        `📊 PROFIT REPORT${report.market ? ` — ${report.market}` : ""} (reference: ${reference})`,
+        "=".repeat(60),
+        `✅ Trades mined:   ${total.trades} (${total.failed} failed)`,
+        `💰 Profit:         ${amounts(total.profit)}`,
+        `⛽ Gas paid:       ${amounts(total.gas)}` +
+            (total.gasUnknown ? ` (+ unknown for ${total.gasUnknown} trade(s) logged without a gas price)` : ""),
+        `📈 Net:            ${fmt(total.netRef, 2)} ${reference} (gross ${fmt(total.profitRef, 2)} − gas ${fmt(total.gasRef, 2)})`,
+    ];
+    if (report.since || report.until) lines.push(`🗓️  Period:         ${report.since || "…"} → ${report.until || "…"}`);
+    if (report.unpricedSymbols.length > 0) {
+        lines.push(`⚠️  ${total.unpriced} trade(s) left out of ${reference} totals, no recorded price for: ` +
+            `${report.unpricedSymbols.join(", ")} (set PRICES=SYMBOL=usd,…)`);
+    }
+    if (total.trades > 0) {
+        lines.push(table("Per market", report.byMarket, ["market"], reference));
+        lines.push(table("Per strategy", report.byStrategy, ["market", "strategy"], reference));
+        lines.push(table("Per day (UTC)", report.byDay, ["day"], reference));
+    }
+    lines.push("=".repeat(60));
+    return lines.join("\n");
+}
+
+const CSV_COLUMNS = [
+    "time", "market", "strategy", "status", "txHash", "unit", "profit", "realized",
+    "gasSymbol", "gas", "profitRef", "gasRef", "netRef",
+];
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** One row per trade; the ref columns are in report.reference. */
+function pnlCsv(report) {
+    const rows = report.trades.map(t => CSV_COLUMNS.map(c => csvCell(t[c])).join(","));
+    return [[...CSV_COLUMNS, "reference"].join(","), ...rows.map(r => `${r},${report.reference}`)].join("\n") + "\n";
+}
+
+module.exports = { parsePriceList, buildPnlReport, formatPnlReport, pnlCsv };
@@ -0,0 +1,571 @@
+/**
+ * Post-mortems of reverted trades.
+ *
+ * A reverted executeArbitrage is replayed on an in-process Hardhat fork of
+ * its chain at the parent block, with every call frame recorded:
+ *
+ *   1. the same calldata as an eth_call on the parent block's state, which is
+ *      what the bot's pre-trade staticCall would have seen had it run there
+ *   2. the transaction itself, mined after the transactions that came before
+ *      it in its block (same base fee, timestamp and coinbase)
+ *
+ * The reverting path of the call tree is followed down to the frame that
+ * raised the error: the call our contract made on that path is the failing
+ * leg (a pool swap, the router's split, the vault's settle...), and its
+ * revert data is decoded (scripts/lib/reverts.js). The report sets that next
+ * to the staticCall the bot ran before sending and is written as markdown to
+ * logs/postmortems/, one file per transaction.
+ *
+ *   openFork({ rpcUrl, blockNumber, chainId })   local chain, forked when rpcUrl is set
+ *   recordCalls(fork)                           call trees of the txs / eth_calls it runs
+ *   failurePath(frame)                          root → frame that raised the revert
+ *   generatePostmortem({ provider, hash, ... }) replay, report, markdown file
+ *
+ * Usage:
+ *   const { generatePostmortem } = require("./postmortem");
+ *   const { file } = await generatePostmortem({ provider, hash, adapter, simulation });
+ *
+ * Forking needs state at the parent block: recent blocks work on any RPC,
+ * older ones need an archive node (FORK_RPC, else the chain's read RPC).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { CHAINS, getRpcUrl, getTxExplorerUrl } = require("./chains");
+const { decodeRevert, formatRevert } = require("./reverts");
+
+const POSTMORTEM_DIR = path.join(__dirname, "../../logs/postmortems");
+const MAX_TRACE_LINES = 400;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// KNOWN CONTRACTS AND CALLS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Protocol contracts our arbitrage contracts call (market configs add theirs)
+const PROTOCOL_LABELS = {
+    "0xba12222222228d8ba445958a75a0704d566bf2c8": "Balancer V2 Vault",
+    "0xba1333333333a1ba1108e8412f11850a5c319ba9": "Balancer V3 Vault",
+    "0xae563e3f8219521950555f5962419c8919758ea2": "Balancer V3 Router",
+    "0x136f1efcc3f8f88516b9e94110d56fdbfb1778d1": "Balancer V3 Batch Router",
+    "0x000000000022d473030f116ddee9f6b43ac78ba3": "Permit2",
+    "0x66a9893cc07d91d95644aedd05d03f95e1dba8af": "Universal Router",
+    "0xe592427a0aece92de3edee1f18e0157c05861564": "Uniswap V3 SwapRouter",
+    "0xffb643e73f280b97809a8b41f7232ab401a04ee1": "Swapr Router",
+    "0x7495a583ba85875d59407781b4958ed6e0e1228f": "FutarchyRouter",
+    "0xac9bf8eba6bd31f8e8c76f8e8b2aad0bd93f98dc": "FutarchyRouter",
+};
+
+// Functions the trade path calls, to name frames by selector
+const KNOWN_CALLS = new ethers.Interface([
+    "function transfer(address to, uint256 amount)",
+    "function transferFrom(address from, address to, uint256 amount)",
+    "function approve(address spender, uint256 amount)",
+    "function balanceOf(address account)",
+    "function allowance(address owner, address spender)",
+    "function deposit(uint256 assets, address receiver)",
+    "function redeem(uint256 shares, address receiver, address owner)",
+    "function withdraw(uint256 assets, address receiver, address owner)",
+    "function splitPosition(address proposal, address collateralToken, uint256 amount)",
+    "function mergePositions(address proposal, address collateralToken, uint256 amount)",
+    "function swap(address recipient, bool zeroToOne, int256 amountRequired, uint160 limitSqrtPrice, bytes data)",
+    "function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes data)",
+    "function uniswapV3SwapCallback(int256 amount0Delta, int256 amount1Delta, bytes data)",
+    "function algebraSwapCallback(int256 amount0Delta, int256 amount1Delta, bytes data)",
+    "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)",
+    "function exactInputSingle((address tokenIn, address tokenOut, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 limitSqrtPrice) params)",
+    "function execute(bytes commands, bytes[] inputs, uint256 deadline)",
+    "function approve(address token, address spender, uint160 amount, uint48 expiration)",
+    "function unlock(bytes data)",
+    "function sendTo(address token, address to, uint256 amount)",
+    "function settle(address token, uint256 amountHint)",
+    "function flashLoan(address recipient, address[] tokens, uint256[] amounts, bytes userData)",
+    "function receiveFlashLoan(address[] tokens, uint256[] amounts, uint256[] feeAmounts, bytes userData)",
+    "function buyGem(address usr, uint256 gemAmt)",
+    "function sellGem(address usr, uint256 gemAmt)",
+]);
+
+/** Lower-cased address → name: protocols, then the market's contract, tokens and pools. */
+function addressLabels(market) {
+    const labels = { ...PROTOCOL_LABELS };
+    if (!market) return labels;
+    const add = (address, name) => {
+        if (typeof address === "string" && ethers.isAddress(address)) labels[address.toLowerCase()] = name;
+    };
+    for (const [symbol, address] of Object.entries({ ...market.tokens, ...market.outcomeTokens })) add(address, symbol);
+    for (const [name, address] of Object.entries(market.pools || {})) add(address, `${name} pool`);
+    add(market.proposalAddress, "proposal");
+    add(market.contractAddress, "arbitrage contract");
+    return labels;
+}
+
+/** "yes pool.swap" style name of a frame: callee label and function. */
+function frameName(frame, labels, iface) {
+    const to = frame.to ? labels[frame.to] || `${frame.to.slice(0, 6)}…${frame.to.slice(-4)}` : "new contract";
+    if (frame.input.length < 10) return frame.type === "create" ? `create ${to}` : `${to} (no calldata)`;
+    const selector = frame.input.slice(0, 10);
+    const fragment = (iface && iface.getFunction(selector)) || KNOWN_CALLS.getFunction(selector);
+    return `${to}.${fragment ? fragment.name : selector}`;
+}
+
+/** One line for a failed frame's error: decoded revert data, or the halt. */
+function frameError(frame, options = {}) {
+    if (frame.success) return null;
+    if (frame.halt && frame.halt !== "Revert") return frame.halt;
+    return formatRevert(decodeRevert(frame.output, { iface: options.iface, source: options.source }), options);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LOCAL FORK AND CALL TRACES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * In-process Hardhat network: a fork of rpcUrl at blockNumber (a plain local
+ * chain without rpcUrl). Blocks are mined on request only (evm_mine), with
+ * pending transactions in the order they were sent; `automine` mines each
+ * transaction as it arrives instead (local nodes, scripts/lib/mock-protocols.js).
+ * close() resets it to an empty local chain, dropping the forked state and
+ * its RPC cache.
+ * @returns {Promise<{ request(method, params), provider, vm, close() }>}
+ */
+async function openFork({ rpcUrl, blockNumber, chainId, automine = false } = {}) {
+    // Loaded on demand: bots only pay for Hardhat when a trade reverts
+    const hre = require("hardhat");
+    const { createProvider } = require("hardhat/internal/core/providers/construction");
+    const base = hre.config.networks.hardhat;
+    const hardhat = {
+        ...base,
+        chainId: chainId ?? base.chainId,
+        forking: rpcUrl ? { url: rpcUrl, blockNumber, enabled: true } : undefined,
+        mining: { auto: automine, interval: 0, mempool: { order: "fifo" } },
+        allowBlocksWithSameTimestamp: true,
+        loggingEnabled: false,
+    };
+    const provider = await createProvider({ ...hre.config, networks: { ...hre.config.networks, hardhat } }, "hardhat");
+
+    // The EDR provider under the wrappers re-emits each trace as VM events
+    let inner = provider;
+    while (inner && !inner._node) inner = inner._wrappedProvider || inner._provider;
+    if (!inner || !inner._node._vm) throw new Error("this Hardhat version exposes no VM events: call tracing unavailable");
+
+    return {
+        provider,
+        vm: inner._node._vm,
+        request: (method, params = []) => provider.request({ method, params }),
+        close: () => provider.request({ method: "hardhat_reset", params: [{}] }),
+    };
+}
+
+const hex = bytes => (bytes && bytes.length ? ethers.hexlify(bytes) : "0x");
+
+/**
+ * Record the call tree of every transaction and eth_call the fork runs until
+ * stop(): frames { type, from, to, value, input, gas, gasUsed, success,
+ * output, halt, calls[] }, addresses lower-cased, one root per transaction.
+ */
+function recordCalls(fork) {
+    const roots = [];
+    let stack = [];
+
+    const onTx = () => { stack = []; };
+    const onMessage = message => {
+        const to = message.to ? message.to.toString().toLowerCase() : null;
+        const code = message.codeAddress ? message.codeAddress.toString().toLowerCase() : to;
+        const frame = {
+            type: !to ? "create" : message.isStaticCall ? "staticcall" : code !== to ? "delegatecall" : "call",
+            from: message.caller.toString().toLowerCase(),
+            to,
+            value: message.value ?? 0n,
+            input: hex(message.data),
+            gas: message.gasLimit,
+            gasUsed: null,
+            success: null,
+            output: "0x",
+            halt: null,
+            calls: [],
+        };
+        if (stack.length) stack[stack.length - 1].calls.push(frame);
+        else roots.push(frame);
+        stack.push(frame);
+    };
+    const onResult = result => {
+        const frame = stack.pop();
+        if (!frame) return;
+        const exec = result.execResult;
+        frame.success = exec.success;
+        frame.gasUsed = exec.executionGasUsed;
+        frame.output = hex(exec.output);
+        if (!exec.success) frame.halt = exec.reason ?? "Revert";
+    };
+
+    fork.vm.events.on("beforeTx", onTx);
+    fork.vm.evm.events.on("beforeMessage", onMessage);
+    fork.vm.evm.events.on("afterMessage", onResult);
+    return {
+        roots,
+        stop() {
+            fork.vm.events.off("beforeTx", onTx);
+            fork.vm.evm.events.off("beforeMessage", onMessage);
+            fork.vm.evm.events.off("afterMessage", onResult);
+        },
+    };
+}
+
+/**
+ * Frames from a failed root down to the one that raised its revert: each
+ * step follows the failed child whose revert data the parent passed on
+ * (bubbled as is, or wrapped like ExecutionFailed), or the last failed child
+ * when the parent reverted without data. A parent that raised an error of
+ * its own after a caught failure is the end of the path.
+ */
+function failurePath(root) {
+    const trail = [root];
+    for (let frame = root; ;) {
+        const failed = frame.calls.filter(call => call.success === false);
+        if (!failed.length) break;
+        const passedOn = failed.filter(call => call.output !== "0x" && frame.output.includes(call.output.slice(2)));
+        const next = passedOn.length ? passedOn[passedOn.length - 1]
+            : frame.output === "0x" ? failed[failed.length - 1]
+            : null;
+        if (!next) break;
+        trail.push(next);
+        frame = next;
+    }
+    return trail;
+}
+
+/**
+ * The failing leg of a trace: the last frame on the failure path that the
+ * contract itself called, and the frame that raised the error.
+ */
+function failingLeg(root, contract) {
+    const trail = failurePath(root);
+    const own = contract.toLowerCase();
+    const legs = trail.filter(frame => frame.from === own);
+    return { trail, leg: legs.length ? legs[legs.length - 1] : root, origin: trail[trail.length - 1] };
+}
+
+/** Indented tree lines, ✅ / ❌ per frame, failed frames with their error. */
+function formatTrace(root, labels, options = {}) {
+    const lines = [];
+    const onPath = new Set(options.trail || []);
+    const walk = (frame, depth) => {
+        if (lines.length >= MAX_TRACE_LINES) return;
+        const mark = frame.success ? "✅" : onPath.has(frame) ? "❌" : "✖️";
+        const value = frame.value > 0n ? ` value ${ethers.formatEther(frame.value)}` : "";
+        const gas = frame.gasUsed !== null ? ` [${frame.gasUsed} gas]` : "";
+        const error = frame.success ? "" : ` → ${frameError(frame, options)}`;
+        lines.push(`${"   ".repeat(depth)}${mark} ${frame.type.toUpperCase()} ${frameName(frame, labels, options.iface)}${value}${gas}${error}`);
+        for (const call of frame.calls) walk(call, depth + 1);
+    };
+    walk(root, 0);
+    if (lines.length >= MAX_TRACE_LINES) lines.push(`… trace cut at ${MAX_TRACE_LINES} frames`);
+    return lines;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REPLAY
+// ═══════════════════════════════════════════════════════════════════════════
+
+const quantity = value => (value === null || value === undefined ? undefined : ethers.toQuantity(value));
+
+/** eth_sendTransaction fields that reproduce a mined transaction from its sender. */
+function sendParams(tx) {
+    const params = {
+        from: tx.from,
+        to: tx.to || undefined,
+        data: tx.data,
+        value: quantity(tx.value),
+        gas: quantity(tx.gasLimit),
+        nonce: quantity(tx.nonce),
+    };
+    if (tx.maxFeePerGas !== null && tx.maxFeePerGas !== undefined) {
+        params.maxFeePerGas = quantity(tx.maxFeePerGas);
+        params.maxPriorityFeePerGas = quantity(tx.maxPriorityFeePerGas);
+    } else {
+        params.gasPrice = quantity(tx.gasPrice);
+    }
+    return params;
+}
+
+/**
+ * On a fork at the parent block: the transaction's calldata as an eth_call,
+ * then the transaction mined after the block's earlier transactions (senders
+ * impersonated; blob transactions skipped). Both runs are call-traced.
+ * @returns {Promise<{ parentCall, replay }>}
+ */
+async function replayOnFork(fork, { tx, block, iface }) {
+    const recorder = recordCalls(fork);
+    try {
+        // 1. The calldata against the parent block's state
+        const call = { from: tx.from, to: tx.to, data: tx.data, value: quantity(tx.value), gas: quantity(tx.gasLimit) };
+        const parentCall = { ok: false, output: null, profit: null, trace: null };
+        try {
+            parentCall.output = await fork.request("eth_call", [call, "latest"]);
+            parentCall.ok = true;
+        } catch (error) {
+            parentCall.error = error;
+        }
+        parentCall.trace = recorder.roots[recorder.roots.length - 1] || null;
+        if (parentCall.ok && iface) {
+            try {
+                const [result] = iface.decodeFunctionResult("executeArbitrage", parentCall.output);
+                parentCall.profit = result.profit;
+            } catch (_) { /* not an executeArbitrage call */ }
+        }
+
+        // 2. The block up to and including the transaction
+        const earlier = (block.prefetchedTransactions || []).filter(t => t.index < tx.index);
+        if (block.baseFeePerGas !== null && block.baseFeePerGas !== undefined) {
+            await fork.request("hardhat_setNextBlockBaseFeePerGas", [quantity(block.baseFeePerGas)]);
+        }
+        if (block.miner) await fork.request("hardhat_setCoinbase", [block.miner]);
+        const sent = [];
+        let skipped = 0;
+        for (const t of [...earlier, tx]) {
+            if (t.type === 3 && t !== tx) {
+                skipped++;
+                continue;
+            }
+            try {
+                await fork.request("hardhat_impersonateAccount", [t.from]);
+                sent.push({ original: t.hash, local: await fork.request("eth_sendTransaction", [sendParams(t)]) });
+            } catch (error) {
+                if (t === tx) throw error;
+                skipped++;
+            }
+        }
+        const firstTraced = recorder.roots.length;
+        await fork.request("evm_setNextBlockTimestamp", [quantity(block.timestamp)]);
+        await fork.request("evm_mine", []);
+
+        const ours = sent[sent.length - 1];
+        const receipt = await fork.request("eth_getTransactionReceipt", [ours.local]);
+        const traces = recorder.roots.slice(firstTraced);
+        // Earlier transactions that touched the same contracts as the trade
+        const touched = new Set();
+        if (traces.length) {
+            const walk = frame => { if (frame.to) touched.add(frame.to); frame.calls.forEach(walk); };
+            walk(traces[traces.length - 1]);
+        }
+        const interfering = [];
+        for (const [i, s] of sent.slice(0, -1).entries()) {
+            const r = await fork.request("eth_getTransactionReceipt", [s.local]);
+            const addresses = [...new Set((r?.logs || []).map(log => log.address.toLowerCase()))].filter(a => touched.has(a));
+            if (addresses.length) interfering.push({ hash: s.original, index: earlier[i]?.index, addresses });
+        }
+
+        return {
+            parentCall,
+            replay: {
+                earlier: earlier.length,
+                skipped,
+                status: receipt ? Number(receipt.status) : null,
+                gasUsed: receipt ? BigInt(receipt.gasUsed) : null,
+                trace: traces.length ? traces[traces.length - 1] : null,
+                interfering,
+            },
+        };
+    } finally {
+        recorder.stop();
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REPORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** What went wrong, in one sentence, from the two runs and the receipt. */
+function verdictOf(report) {
+    const { parentCall, replay, outOfGas, simulation } = report;
+    if (outOfGas && replay.status !== 1) return `Ran out of gas: the trade used its whole ${report.gasLimit} gas limit.`;
+    if (!parentCall.ok) {
+        const since = simulation && Number.isInteger(simulation.block) ? ` between the bot's simulation at block ${simulation.block} and the parent block` : " before the parent block";
+        return `Already failing at the parent block ${report.block - 1}: state moved${since} (${parentCall.error}).`;
+    }
+    if (replay.status === 0) {
+        return `Passes at the parent block but reverts after the ${replay.earlier} earlier transaction(s) of block ${report.block}: ` +
+            (replay.interfering.length ? `${replay.interfering.length} of them touched the trade's contracts first.` : "state changed inside the block.");
+    }
+    return "Does not reproduce locally: the fork replay succeeds (nondeterministic state, or a transaction the replay skipped).";
+}
+
+/** Markdown post-mortem from generatePostmortem's report. */
+function renderPostmortem(report) {
+    const { labels, iface, unit, decimals } = report.format;
+    const name = address => (address && labels[address.toLowerCase()] ? ` (${labels[address.toLowerCase()]})` : "");
+    const amount = raw => `${ethers.formatUnits(raw, decimals)} ${unit}`.trim();
+    const lines = [];
+    const push = (...l) => lines.push(...l);
+
+    push(`# Post-mortem: reverted ${report.market ? report.market.id + " " : ""}trade ${report.hash.slice(0, 10)}`, "");
+    push(`**Date:** ${new Date(report.timestamp * 1000).toISOString().replace("T", " ").slice(0, 19)} UTC  `);
+    push(`**Network:** ${CHAINS[report.chainId]?.name || `chain ${report.chainId}`}  `);
+    if (report.market) push(`**Market:** ${report.market.id} (${report.market.label})  `);
+    push(`**Verdict:** ${report.verdict}`, "", "---", "");
+
+    push("## Transaction", "", "| Field | Value |", "|-------|-------|");
+    push(`| **TX Hash** | [\`${report.hash}\`](${report.txUrl}) |`);
+    push(`| **Block** | ${report.block} (index ${report.index}) |`);
+    push(`| **From** | \`${report.from}\`${name(report.from)} |`);
+    push(`| **To** | \`${report.to}\`${name(report.to)} |`);
+    if (report.call) push(`| **Function** | \`${report.call.name}()\` |`);
+    push(`| **Gas Used** | ${report.gasUsed} / ${report.gasLimit} (${Math.round(Number(report.gasUsed) * 100 / Number(report.gasLimit))}%) |`, "");
+    if (report.call) {
+        push("Arguments:", "");
+        report.call.args.forEach(arg => push(`- \`${arg.name}\`: \`${arg.value}\`${name(String(arg.value))}`));
+        push("");
+    }
+    push("---", "");
+
+    push("## Pre-trade Simulation vs. Replay", "", "| Run | Block | Result |", "|-----|-------|--------|");
+    const sim = report.simulation;
+    if (sim) {
+        const result = sim.success === false ? `❌ ${sim.error}` : `✅ profit ${sim.profit} ${sim.unit || unit}`;
+        push(`| Bot staticCall before sending${sim.timestamp ? ` (${sim.timestamp})` : ""} | ${sim.block ?? "?"} | ${result} |`);
+    } else {
+        push("| Bot staticCall before sending | ? | not recorded |");
+    }
+    const parent = report.parentCall;
+    push(`| Same calldata on the parent block's state | ${report.block - 1} | ${parent.ok ? `✅ passes${parent.profit !== null ? `, profit ${amount(parent.profit)}` : ""}` : `❌ ${parent.error}`} |`);
+    const replay = report.replay;
+    const replayed = replay.status === 1 ? "✅ succeeds" : replay.status === 0 ? `❌ reverts${replay.error ? `: ${replay.error}` : ""}` : "not mined";
+    push(`| Replay after the block's ${replay.earlier} earlier tx(s)${replay.skipped ? ` (${replay.skipped} skipped)` : ""} | ${report.block} | ${replayed} |`, "");
+    if (replay.interfering.length) {
+        push("Earlier transactions in the block that touched the trade's contracts:", "");
+        replay.interfering.forEach(t => push(`- [\`${t.hash}\`](${getTxExplorerUrl(report.chainId, t.hash)}) (index ${t.index}): ${t.addresses.map(a => labels[a] || a).join(", ")}`));
+        push("");
+    }
+    push("---", "");
+
+    push("## Failing Leg", "");
+    if (report.failure) {
+        const { leg, origin, trail } = report.failure;
+        push(`- **Leg:** \`${frameName(leg, labels, iface)}\` (${leg.type}, \`${leg.to}\`)`);
+        push(`- **Error:** ${frameError(origin, { iface, unit, decimals })}`);
+        if (origin !== leg) push(`- **Raised by:** \`${frameName(origin, labels, iface)}\` (\`${origin.to}\`)`);
+        push(`- **Revert path:** ${trail.map(frame => `\`${frameName(frame, labels, iface)}\``).join(" → ")}`);
+        if (origin.output !== "0x") push(`- **Revert data:** \`${origin.output.length > 330 ? origin.output.slice(0, 330) + "…" : origin.output}\``);
+    } else {
+        push("No reverting call to trace: the replay did not fail.");
+    }
+    push("", "---", "");
+
+    push("## Call Trace", "");
+    if (report.failure) {
+        push(`${report.failure.source}:`, "", "```");
+        push(...formatTrace(report.failure.trail[0], labels, { iface, unit, decimals, trail: report.failure.trail }));
+        push("```");
+    } else {
+        push("No trace recorded.");
+    }
+    push("");
+    return lines.join("\n");
+}
+
+/**
+ * Replay a reverted transaction on a local fork and write its post-mortem.
+ * @param {object} options
+ * @param {object} options.provider      provider of the chain the tx was mined on
+ * @param {string} options.hash
+ * @param {object} [options.adapter]     market adapter: labels, contract ABI
+ * @param {object} [options.simulation]  the bot's pre-trade staticCall:
+ *                                       { block, success, profit, unit, error, timestamp }
+ * @param {string} [options.unit]        borrow token symbol, for amounts
+ * @param {number} [options.decimals]
+ * @param {string} [options.rpcUrl]      fork source (default FORK_RPC, else the chain's RPC)
+ * @param {object} [options.fork]        an openFork() at the parent block (tests)
+ * @param {string} [options.dir]         output directory (default logs/postmortems)
+ * @returns {Promise<{ file, report }>}
+ */
+async function generatePostmortem(options) {
+    const { provider, hash, adapter } = options;
+    const [tx, receipt] = await Promise.all([provider.getTransaction(hash), provider.getTransactionReceipt(hash)]);
+    if (!tx || !receipt) throw new Error(`transaction ${hash} is not mined`);
+    if (receipt.status !== 0) throw new Error(`transaction ${hash} did not revert`);
+    const block = await provider.getBlock(receipt.blockNumber, true);
+    const chainId = Number((await provider.getNetwork()).chainId);
+
+    const market = adapter ? adapter.market : null;
+    const iface = adapter && adapter.contract ? adapter.contract.interface : null;
+    const unit = options.unit || "";
+    const decimals = options.decimals ?? 18;
+    const labels = addressLabels(market);
+    if (tx.to && !labels[tx.to.toLowerCase()]) labels[tx.to.toLowerCase()] = "arbitrage contract";
+
+    const fork = options.fork || await openFork({
+        rpcUrl: options.rpcUrl || process.env.FORK_RPC || getRpcUrl(chainId),
+        blockNumber: receipt.blockNumber - 1,
+        chainId,
+    });
+    let replayed;
+    try {
+        replayed = await replayOnFork(fork, { tx, block, iface });
+    } finally {
+        if (!options.fork) await fork.close();
+    }
+    const { parentCall, replay } = replayed;
+
+    const errorOptions = { iface, unit, decimals, source: adapter ? adapter.id : undefined };
+    if (!parentCall.ok) {
+        parentCall.error = parentCall.trace ? frameError(parentCall.trace, errorOptions) : parentCall.error.message;
+    }
+    // The replay in block position when it reverts, else the parent-state call
+    let failure = null;
+    if (replay.status === 0 && replay.trace) {
+        failure = { ...failingLeg(replay.trace, tx.to), source: `Replay in block ${receipt.blockNumber}` };
+        replay.error = frameError(replay.trace, errorOptions);
+    } else if (!parentCall.ok && parentCall.trace) {
+        failure = { ...failingLeg(parentCall.trace, tx.to), source: `eth_call on block ${receipt.blockNumber - 1}` };
+    }
+
+    let call = null;
+    if (iface) {
+        const parsed = iface.parseTransaction({ data: tx.data, value: tx.value });
+        if (parsed) call = { name: parsed.name, args: parsed.fragment.inputs.map((input, i) => ({ name: input.name, value: parsed.args[i].toString() })) };
+    }
+
+    const report = {
+        chainId,
+        market: market ? { id: market.id, label: market.label || market.id } : null,
+        hash,
+        block: receipt.blockNumber,
+        index: receipt.index,
+        timestamp: block.timestamp,
+        txUrl: getTxExplorerUrl(chainId, hash),
+        from: tx.from,
+        to: tx.to,
+        gasUsed: receipt.gasUsed,
+        gasLimit: tx.gasLimit,
+        outOfGas: receipt.gasUsed >= tx.gasLimit,
+        call,
+        simulation: options.simulation || null,
+        parentCall,
+        replay,
+        failure,
+        format: { labels, iface, unit, decimals },
+    };
+    report.verdict = verdictOf(report);
+
+    const dir = options.dir || POSTMORTEM_DIR;
+    fs.mkdirSync(dir, { recursive: true });
+    const date = new Date(block.timestamp * 1000).toISOString().slice(0, 10);
+    const file = path.join(dir, `${date}-${market ? market.id : chainId}-${hash.slice(0, 10)}.md`);
+    fs.writeFileSync(file, renderPostmortem(report));
+    return { file, report };
+}
+
+module.exports = {
+    POSTMORTEM_DIR,
+    PROTOCOL_LABELS,
+    addressLabels,
+    frameName,
+    openFork,
+    recordCalls,
+    failurePath,
+    failingLeg,
+    formatTrace,
+    replayOnFork,
+    renderPostmortem,
+    generatePostmortem,
+};
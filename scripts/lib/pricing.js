@@ -0,0 +1,188 @@
+/**
+ * Route pricing and optimal trade sizing.
+ *
+ * The arb contracts run fixed routes: split/merge at 1:1, concentrated
+ * liquidity swaps (scripts/lib/clmm.js), constant-product pairs and ERC4626
+ * vaults. Each leg here is a pure bigint function of a state snapshot, so an
+ * adapter can price a whole route for any borrow amount without an RPC call
+ * and pick the profit-maximizing size; the contract staticCall then only
+ * confirms that one size.
+ *
+ * Usage:
+ *   const quote = amount => splitSellMerge(yesPool, noPool, yesIn, noIn, amount);
+ *   const best = optimizeBorrow(amount => spotLeg(quote(amount)) - amount, { start, max });
+ */
+
+const { ethers } = require("ethers");
+const { swapExactInput } = require("./clmm");
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LEGS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Exact-input swap on a CLMM pool snapshot; returns the amount out. */
+function clmmOut(pool, tokenIn, amountIn) {
+    if (amountIn === 0n) return 0n;
+    return swapExactInput(pool, tokenIn, amountIn).amountOut;
+}
+
+/**
+ * Split `amount` collateral 1:1 into YES/NO, sell both legs on their pools
+ * and merge the smaller output back (the larger leg's excess is leftover,
+ * not profit). `out` swaps one leg (default: quote with clmmOut).
+ */
+function splitSellMerge(yesPool, noPool, yesTokenIn, noTokenIn, amount, out = clmmOut) {
+    const yesOut = out(yesPool, yesTokenIn, amount);
+    const noOut = out(noPool, noTokenIn, amount);
+    return yesOut < noOut ? yesOut : noOut;
+}
+
+/** UniswapV2-style getAmountOut with the pair's own fee (DXswap 9975/10000, Honeyswap 997/1000). */
+function v2Out(pair, tokenIn, amountIn) {
+    if (amountIn === 0n) return 0n;
+    const zeroForOne = tokenIn.toLowerCase() === pair.token0.toLowerCase();
+    const [reserveIn, reserveOut] = zeroForOne ? [pair.reserve0, pair.reserve1] : [pair.reserve1, pair.reserve0];
+    const amountInWithFee = amountIn * pair.feeNum;
+    return (amountInWithFee * reserveOut) / (reserveIn * pair.feeDenom + amountInWithFee);
+}
+
+/** ERC4626 deposit/redeem at the vault's snapshot rate (OpenZeppelin rounding, virtual offset 0). */
+function vaultDeposit(vault, assets) {
+    return (assets * (vault.totalSupply + 1n)) / (vault.totalAssets + 1n);
+}
+
+function vaultRedeem(vault, shares) {
+    return (shares * (vault.totalAssets + 1n)) / (vault.totalSupply + 1n);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SNAPSHOTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PAIR_ABI = [
+    "function token0() view returns (address)",
+    "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+];
+
+const VAULT_ABI = [
+    "function totalAssets() view returns (uint256)",
+    "function totalSupply() view returns (uint256)",
+];
+
+async function loadV2Pair(provider, address, feeNum, feeDenom) {
+    const pair = new ethers.Contract(address, PAIR_ABI, provider);
+    const [token0, reserves] = await Promise.all([pair.token0(), pair.getReserves()]);
+    return {
+        address,
+        token0,
+        reserve0: reserves[0],
+        reserve1: reserves[1],
+        feeNum: BigInt(feeNum),
+        feeDenom: BigInt(feeDenom),
+    };
+}
+
+async function loadVault(provider, address) {
+    const vault = new ethers.Contract(address, VAULT_ABI, provider);
+    const [totalAssets, totalSupply] = await Promise.all([vault.totalAssets(), vault.totalSupply()]);
+    return { address, totalAssets, totalSupply };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// OPTIMIZER
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * profitFn(amount) for an amount past the loaded pool data: treated as
+ * "too large" so the search stays inside what the model can price.
+ */
+function safeProfit(profitFn, amount) {
+    try {
+        return profitFn(amount);
+    } catch (e) {
+        if (e.code === "TICKS_NOT_LOADED" || /insufficient liquidity/.test(e.message)) return null;
+        throw e;
+    }
+}
+
+/**
+ * Maximize profitFn over the borrow amount. Profit of a round trip through
+ * pools is concave in size (every leg has non-increasing marginal output),
+ * so: double from `start` until profit stops rising, then golden-section
+ * search inside the bracket. Returns null when even `start` is not
+ * profitable; throws when `start` itself cannot be priced.
+ *
+ * @param {Function} profitFn  bigint amount → bigint profit (may throw TICKS_NOT_LOADED)
+ * @param {object} options
+ * @param {bigint} options.start       smallest size worth trading
+ * @param {bigint} [options.max]       hard cap (e.g. flash-loan limit)
+ * @param {bigint} [options.tolerance] stop when the bracket is this narrow (default start)
+ * @returns {{ amount: bigint, profit: bigint, evaluations: number } | null}
+ */
+function optimizeBorrow(profitFn, options) {
+    const { start } = options;
+    const max = options.max ?? 10n ** 36n;
+    const tolerance = options.tolerance ?? start;
+    let evaluations = 0;
+    const cache = new Map();
+    const f = amount => {
+        if (!cache.has(amount)) {
+            evaluations++;
+            cache.set(amount, safeProfit(profitFn, amount));
+        }
+        return cache.get(amount);
+    };
+    const better = (a, b) => a !== null && (b === null || a > b);
+
+    if (start > max) return null;
+    // Not guarded: if even the smallest size cannot be priced the model is unusable
+    const first = profitFn(start);
+    evaluations++;
+    cache.set(start, first);
+    if (first <= 0n) return null;
+
+    // 1. Bracket: lo < peak < hi
+    let lo = 0n;
+    let mid = start;
+    let hi = null;
+    while (hi === null) {
+        const next = mid * 2n > max ? max : mid * 2n;
+        if (next === mid || !better(f(next), f(mid))) {
+            hi = next;
+        } else {
+            lo = mid;
+            mid = next;
+        }
+    }
+
+    // 2. Golden-section on [lo, hi]
+    let a = lo;
+    let b = hi;
+    const split = (x, y) => x + ((y - x) * 382n) / 1000n;
+    while (b - a > tolerance && b - a > 2n) {
+        const c = split(a, b);
+        const d = b - (c - a);
+        if (better(f(c), f(d)) || f(c) === f(d)) {
+            b = d;
+        } else {
+            a = c;
+        }
+    }
+
+    let best = { amount: start, profit: first };
+    for (const [amount, profit] of cache) {
+        if (better(profit, best.profit) || (profit === best.profit && amount < best.amount)) best = { amount, profit };
+    }
+    return best.profit > 0n ? { ...best, evaluations } : null;
+}
+
+module.exports = {
+    clmmOut,
+    splitSellMerge,
+    v2Out,
+    vaultDeposit,
+    vaultRedeem,
+    loadV2Pair,
+    loadVault,
+    optimizeBorrow,
+};
@@ -0,0 +1,171 @@
+/**
+ * Gas-aware net profit, shared by every market.
+ *
+ * A trade is worth sending when its profit, in the borrowed token, beats the
+ * gas it burns — paid in the chain's native token (xDAI, ETH) — times a
+ * safety margin:
+ *
+ *   net = profit − gas × gasPrice × margin × (native USD / borrow token USD)
+ *
+ * Prices come from the adapter's referencePrices(state), the same USD quotes
+ * recorded with each trade; a token that quotes the native one directly
+ * (WETH on mainnet) needs no conversion.
+ *
+ * Two places use it:
+ *   - adapters/base.js evaluate(): every size of the ladder, with the
+ *     configured gas figure (estimatedGas, else gasLimit) and the scan's
+ *     fee data, so sizes are compared net of gas;
+ *   - checkNetProfit(): the execution gate for the chosen size, with
+ *     eth_estimateGas at that size and fresh fee data. A failed estimate
+ *     fails the gate; only markets with "estimateGas": false (contracts
+ *     that estimate badly) use the configured gas figure instead, as do
+ *     dry runs without a key, reported as "unestimated".
+ *
+ * The margin is the market's "gasMargin" (default GAS_MARGIN env, else 1).
+ */
+
+const { ethers } = require("ethers");
+const { CHAINS } = require("./chains");
+
+// Tokens worth one native token each (gas needs no price conversion)
+const NATIVE_EQUIVALENTS = {
+    ETH: ["ETH", "WETH"],
+    XDAI: ["XDAI", "WXDAI"],
+};
+
+function gasMargin(market) {
+    if (market.gasMargin !== undefined) return market.gasMargin;
+    return process.env.GAS_MARGIN ? Number(process.env.GAS_MARGIN) : 1;
+}
+
+/** Gas figure for ladder evaluation (no RPC). */
+function configuredGas(market) {
+    return market.estimatedGas ?? market.gasLimit ?? null;
+}
+
+/** Price per gas to budget with: the node's gasPrice (base fee + tip on EIP-1559 chains). */
+function gasPriceOf(feeData) {
+    return feeData?.gasPrice ?? feeData?.maxFeePerGas ?? 0n;
+}
+
+function nativeSymbolOf(market) {
+    return CHAINS[market.chainId]?.nativeSymbol ?? null;
+}
+
+/** Native tokens → `unit` at the reference prices; null when a price is missing. */
+function nativeToUnit(amount, gasSymbol, unit, prices = {}) {
+    const gas = String(gasSymbol || "").toUpperCase();
+    const token = String(unit || "").toUpperCase();
+    if ((NATIVE_EQUIVALENTS[gas] || [gas]).includes(token)) return amount;
+    const gasUsd = prices[gas] ?? prices[gasSymbol];
+    const unitUsd = prices[token] ?? prices[unit];
+    if (!(gasUsd > 0) || !(unitUsd > 0)) return null;
+    return (amount * gasUsd) / unitUsd;
+}
+
+/**
+ * Net profit of one simulated size.
+ * @param {object} p  { profit, unit, gasUnits, gasPrice (wei), gasSymbol, prices, margin }
+ * @returns {{ gasUnits, gasPrice, gasNative, gasInUnit, netProfit }}  gasInUnit / netProfit
+ *          null when the gas token or the unit has no price
+ */
+function netOfGas({ profit, unit, gasUnits, gasPrice, gasSymbol, prices, margin = 1 }) {
+    const gasNative = parseFloat(ethers.formatEther(BigInt(gasUnits ?? 0) * BigInt(gasPrice ?? 0n)));
+    const gasInUnit = nativeToUnit(gasNative, gasSymbol, unit, prices);
+    return {
+        gasUnits: gasUnits === null || gasUnits === undefined ? null : Number(gasUnits),
+        gasPrice: BigInt(gasPrice ?? 0n),
+        gasNative,
+        gasInUnit,
+        netProfit: gasInUnit === null ? null : profit - gasInUnit * margin,
+    };
+}
+
+/**
+ * Gas for executing `candidate`: eth_estimateGas, or the configured figure
+ * for markets with "estimateGas": false and for adapters that cannot
+ * estimate without a signer.
+ * { gasUnits, source: "estimateGas" | "configured" | "unestimated", error? }:
+ * gasUnits is null with the error when the estimate failed.
+ */
+async function estimateTradeGas(adapter, candidate) {
+    if (adapter.market.estimateGas === false) return { gasUnits: configuredGas(adapter.market), source: "configured" };
+    if (!adapter.estimateGas) return { gasUnits: null, source: "estimateGas", error: "adapter has no estimateGas" };
+    try {
+        const gas = await adapter.estimateGas(candidate);
+        if (gas === null) return { gasUnits: configuredGas(adapter.market), source: "unestimated" };
+        return { gasUnits: Number(gas), source: "estimateGas" };
+    } catch (e) {
+        return { gasUnits: null, source: "estimateGas", error: e.shortMessage || e.message };
+    }
+}
+
+/**
+ * Execution gate for the selected size: fresh fee data, estimated gas, margin.
+ * @param {object} adapter   connected market adapter
+ * @param {object} selected  { candidate, sim, minNetProfit } from the ladder walk
+ * @param {object} state     the scan's state (feeData, prices for referencePrices)
+ * @returns {Promise<{ pass, reason, netProfit, gasUnits, gasSource, gasPrice,
+ *                     gasNative, gasInUnit, gasSymbol, margin }>}
+ */
+async function checkNetProfit(adapter, selected, state) {
+    const { candidate, sim } = selected;
+    const market = adapter.market;
+    let feeData = state.feeData;
+    try {
+        feeData = await adapter.provider.getFeeData();
+    } catch (_) { /* keep the scan's */ }
+
+    const estimate = await estimateTradeGas(adapter, candidate);
+    const gasSymbol = nativeSymbolOf(market);
+    const margin = gasMargin(market);
+    const result = {
+        ...netOfGas({
+            profit: sim.profit,
+            unit: candidate.unit,
+            gasUnits: estimate.gasUnits,
+            gasPrice: gasPriceOf(feeData),
+            gasSymbol,
+            prices: adapter.referencePrices ? adapter.referencePrices(state) : {},
+            margin,
+        }),
+        gasSource: estimate.source,
+        gasSymbol,
+        margin,
+    };
+
+    let reason = null;
+    if (estimate.error) {
+        reason = `estimateGas failed: ${estimate.error.slice(0, 100)}`;
+    } else if (result.gasUnits === null) {
+        reason = "no gas figure (no estimatedGas / gasLimit)";
+    } else if (market.gasLimit && result.gasUnits > market.gasLimit) {
+        reason = `needs ${result.gasUnits} gas > gasLimit ${market.gasLimit}`;
+    } else if (result.netProfit === null) {
+        reason = `no price to convert ${gasSymbol} gas to ${candidate.unit}`;
+    } else if (!(result.netProfit > selected.minNetProfit)) {
+        reason = `net ${result.netProfit.toFixed(6)} ${candidate.unit} ≤ threshold ${selected.minNetProfit}`;
+    }
+    return { ...result, pass: reason === null, reason, estimateError: estimate.error };
+}
+
+/** One-line summary for the scan log. */
+function formatGate(gate, unit) {
+    const gwei = parseFloat(ethers.formatUnits(gate.gasPrice, "gwei"));
+    const cost = gate.gasInUnit === null ? "unpriced" : `${(gate.gasInUnit * gate.margin).toFixed(6)} ${unit}`;
+    const net = gate.netProfit === null ? "n/a" : `${gate.netProfit.toFixed(6)} ${unit}`;
+    return `⛽ ${gate.gasUnits ?? "?"} gas (${gate.gasSource}) @ ${gwei.toFixed(2)} gwei = ${gate.gasNative.toFixed(6)} ${gate.gasSymbol}` +
+        ` → ${cost} (x${gate.margin}) | net ${net}`;
+}
+
+module.exports = {
+    gasMargin,
+    configuredGas,
+    gasPriceOf,
+    nativeSymbolOf,
+    nativeToUnit,
+    netOfGas,
+    estimateTradeGas,
+    checkNetProfit,
+    formatGate,
+};
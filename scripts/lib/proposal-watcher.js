@@ -0,0 +1,275 @@
+/**
+ * 🔭 Proposal watcher
+ *
+ * Finds new futarchy proposals for a market's collateral pair and hot-swaps
+ * them into a running bot engine; retires proposals that stop validating
+ * (pools removed, condition resolved, dropped from the registry file).
+ *
+ * Enabled per market with a "discovery" block in markets/<id>.json:
+ *
+ *   "discovery": {
+ *     "factory": "0x…",             FutarchyFactory emitting NewProposal (optional)
+ *     "event": "event NewProposal(address indexed proposal, …)",   (optional)
+ *     "fromBlock": 38000000,        first block to scan for the event
+ *     "registryFile": "markets/proposals/pnk.json",   JSON array of addresses (optional)
+ *     "conditionalTokens": "0x…",   retire once payoutDenominator(conditionId) > 0 (optional)
+ *     "pollMs": 300000
+ *   }
+ *
+ * Candidates are validated through the adapter's loadProposal (the arb
+ * contract's loadProposal view), which checks the collateral pair and that
+ * the YES/NO pools exist. Each accepted proposal runs as its own market,
+ * "<base id>:<first 8 hex chars>", with the base market's settings.
+ *
+ * A factory event is only read once, so a factory candidate that fails to
+ * start stays pending and is retried every poll: until its pools exist, or
+ * for MAX_FAILURES polls on any other error, like a running proposal. A
+ * registry candidate is re-read every poll; after MAX_FAILURES failed starts
+ * it is skipped until the registry file changes.
+ */
+
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { getProvider } = require("./chains");
+
+const REPO_ROOT = path.join(__dirname, "../..");
+
+// Seer FutarchyFactory
+const DEFAULT_EVENT = "event NewProposal(address indexed proposal, string marketName, bytes32 conditionId, bytes32 questionId)";
+const DEFAULT_POLL_MS = 300000;
+const LOG_CHUNK = 10000;
+const MAX_FAILURES = 3;   // consecutive validation failures before retiring (or dropping a candidate)
+
+const PROPOSAL_ABI = ["function conditionId() view returns (bytes32)"];
+const CTF_ABI = ["function payoutDenominator(bytes32) view returns (uint256)"];
+
+function proposalMarketId(base, proposal) {
+    return `${base.id}:${proposal.slice(2, 10).toLowerCase()}`;
+}
+
+/** Base market settings with a different proposal; drops pinned per-proposal addresses. */
+function deriveMarket(base, proposal) {
+    const { yes, no, ...pools } = base.pools || {};
+    return {
+        ...structuredClone(base),
+        id: proposalMarketId(base, proposal),
+        label: `${base.label} [${proposal.slice(0, 10)}]`,
+        proposalAddress: ethers.getAddress(proposal),
+        outcomeTokens: undefined,
+        pools,
+        heartbeatFile: undefined,
+        baseMarket: base.id,
+    };
+}
+
+const registryPath = file => (path.isAbsolute(file) ? file : path.join(REPO_ROOT, file));
+
+function readRegistryFile(file) {
+    const full = registryPath(file);
+    if (!fs.existsSync(full)) return [];
+    const list = JSON.parse(fs.readFileSync(full, "utf8"));
+    return list
+        .map(entry => (typeof entry === "string" ? entry : entry.address))
+        .filter(addr => ethers.isAddress(addr));
+}
+
+/** The registry file's content, to tell when it was edited (null while there is none). */
+function registryVersion(file) {
+    const full = registryPath(file);
+    return fs.existsSync(full) ? fs.readFileSync(full, "utf8") : null;
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.engine   bot engine (createBotEngine)
+ * @param {object[]} options.markets base markets with a discovery block
+ * @param {Function} [options.getProvider]  chainId → provider (tests)
+ */
+function createProposalWatcher(options) {
+    const watcher = new EventEmitter();
+    const { engine } = options;
+    const providerFor = options.getProvider || getProvider;
+
+    // base id → { base, lastBlock, pending: Map(addr → { source, failures }),
+    //             failed: Map(registry addr → { failures, version }),
+    //             proposals: Map(lowercase addr → { id, sources:Set, failures }) }
+    const tracked = new Map();
+    let timer = null;
+
+    for (const base of options.markets) {
+        const entry = { base, lastBlock: (base.discovery.fromBlock ?? 0) - 1, pending: new Map(), failed: new Map(), proposals: new Map() };
+        if (base.proposalAddress) {
+            // The pinned proposal is managed like any discovered one
+            entry.proposals.set(base.proposalAddress.toLowerCase(), { id: base.id, sources: new Set(["config"]), failures: 0 });
+        }
+        tracked.set(base.id, entry);
+    }
+
+    async function factoryProposals(entry, provider) {
+        const { discovery } = entry.base;
+        if (!discovery.factory) return [];
+        const iface = new ethers.Interface([discovery.event || DEFAULT_EVENT]);
+        const event = iface.fragments.find(f => f.type === "event");
+        const latest = await provider.getBlockNumber();
+        const found = [];
+
+        for (let from = entry.lastBlock + 1; from <= latest; from += LOG_CHUNK) {
+            const to = Math.min(from + LOG_CHUNK - 1, latest);
+            const logs = await provider.getLogs({
+                address: discovery.factory,
+                topics: [event.topicHash],
+                fromBlock: from,
+                toBlock: to,
+            });
+            for (const log of logs) {
+                const parsed = iface.parseLog(log);
+                found.push(parsed.args.proposal ?? parsed.args[0]);
+            }
+            entry.lastBlock = to;
+        }
+        return found;
+    }
+
+    async function isResolved(entry, provider, proposal) {
+        const ctf = entry.base.discovery.conditionalTokens;
+        if (!ctf) return false;
+        const conditionId = await new ethers.Contract(proposal, PROPOSAL_ABI, provider).conditionId();
+        const denominator = await new ethers.Contract(ctf, CTF_ABI, provider).payoutDenominator(conditionId);
+        return denominator > 0n;
+    }
+
+    async function retire(entry, key, reason) {
+        const state = entry.proposals.get(key);
+        entry.proposals.delete(key);
+        engine.removeMarket(state.id, reason);
+        watcher.emit("retired", { market: state.id, base: entry.base.id, proposal: key, reason });
+    }
+
+    async function pollMarket(entry) {
+        const { base } = entry;
+        const provider = await providerFor(base.chainId);
+
+        // 1. Sources: factory events + local registry file + earlier
+        //    candidates that failed to start
+        const seen = new Map([...entry.pending].map(([key, { source }]) => [key, source]));
+        const failures = new Map([...entry.pending].map(([key, p]) => [key, p.failures]));
+        entry.pending.clear();
+        for (const addr of await factoryProposals(entry, provider)) seen.set(addr.toLowerCase(), "factory");
+        const { registryFile } = base.discovery;
+        if (registryFile) {
+            // An edited file gives every candidate that failed in it a fresh start
+            const version = registryVersion(registryFile);
+            for (const [key, failed] of entry.failed) {
+                if (failed.version !== version) entry.failed.delete(key);
+            }
+            for (const addr of readRegistryFile(registryFile)) {
+                const key = addr.toLowerCase();
+                if (seen.has(key) || entry.failed.get(key)?.failures >= MAX_FAILURES) continue;
+                seen.set(key, "registry");
+            }
+        }
+
+        // 2. New candidates: validate by starting them (connect + loadProposal)
+        for (const [key, source] of seen) {
+            const known = entry.proposals.get(key);
+            if (known) {
+                known.sources.add(source);
+                continue;
+            }
+            if (await isResolved(entry, provider, key).catch(() => false)) continue;
+
+            const market = deriveMarket(base, key);
+            try {
+                await engine.addMarket(market);
+                entry.proposals.set(key, { id: market.id, sources: new Set([source]), failures: 0 });
+                entry.failed.delete(key);
+                console.log(`\n🆕 [${base.label}] proposal ${market.proposalAddress} added (${source})`);
+                watcher.emit("added", { market: market.id, base: base.id, proposal: market.proposalAddress, source });
+            } catch (e) {
+                let reason = e.shortMessage || e.message;
+                if (e.code === "POOLS_MISSING") {
+                    entry.pending.set(key, { source, failures: 0 });
+                } else if (source === "factory") {
+                    // Its log is behind lastBlock: this is the only copy
+                    const count = (failures.get(key) || 0) + 1;
+                    if (count < MAX_FAILURES) entry.pending.set(key, { source, failures: count });
+                    else reason = `${reason} (dropped after ${count} attempts)`;
+                } else if (source === "registry") {
+                    const failed = entry.failed.get(key) || { failures: 0, version: registryVersion(registryFile) };
+                    failed.failures++;
+                    entry.failed.set(key, failed);
+                    if (failed.failures >= MAX_FAILURES) {
+                        reason = `${reason} (skipped after ${failed.failures} attempts until ${registryFile} changes)`;
+                    }
+                }
+                watcher.emit("rejected", { base: base.id, proposal: key, reason, pending: entry.pending.has(key) });
+            }
+        }
+
+        // 3. Re-validate what is running
+        const registry = registryFile ? new Set(readRegistryFile(registryFile).map(a => a.toLowerCase())) : null;
+        for (const [key, state] of [...entry.proposals]) {
+            if (registry && state.sources.size === 1 && state.sources.has("registry") && !registry.has(key)) {
+                await retire(entry, key, "removed from registry");
+                continue;
+            }
+            const adapter = engine.adapters.get(state.id);
+            if (!adapter) {
+                entry.proposals.delete(key);
+                continue;
+            }
+            try {
+                if (await isResolved(entry, provider, key)) {
+                    await retire(entry, key, "condition resolved");
+                    continue;
+                }
+                await adapter.loadProposal();
+                state.failures = 0;
+            } catch (e) {
+                state.failures++;
+                if (state.failures >= MAX_FAILURES) {
+                    await retire(entry, key, `no longer valid: ${e.shortMessage || e.message}`);
+                }
+            }
+        }
+    }
+
+    watcher.poll = async function poll() {
+        for (const entry of tracked.values()) {
+            try {
+                await pollMarket(entry);
+            } catch (e) {
+                console.error(`\n⚠️  [${entry.base.label}] proposal discovery failed: ${e.shortMessage || e.message}`);
+                watcher.emit("error", e);
+            }
+        }
+    };
+
+    watcher.start = function start() {
+        const pollMs = Math.min(...options.markets.map(m => m.discovery.pollMs || DEFAULT_POLL_MS));
+        const loop = async () => {
+            await watcher.poll();
+            if (timer !== null) timer = setTimeout(loop, pollMs);
+        };
+        timer = setTimeout(loop, 0);
+        engine.once("stop", () => watcher.stop());
+    };
+
+    watcher.stop = function stop() {
+        clearTimeout(timer);
+        timer = null;
+    };
+
+    watcher.proposals = () => [...tracked.values()].flatMap(entry =>
+        [...entry.proposals].map(([proposal, s]) => ({ base: entry.base.id, market: s.id, proposal, sources: [...s.sources] }))
+    );
+
+    // EventEmitter throws on unhandled "error"; discovery failures are non-fatal
+    watcher.on("error", () => {});
+
+    return watcher;
+}
+
+module.exports = { createProposalWatcher, deriveMarket, proposalMarketId };
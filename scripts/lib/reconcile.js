@@ -0,0 +1,319 @@
+/**
+ * 🔎 Reconcile the ledger against the contracts' ArbitrageExecuted events
+ *
+ * Every arbitrage contract emits ArbitrageExecuted on a successful trade, with
+ * a contract-specific layout (see each adapter's ABI): V4/V5 log the borrow
+ * token and direction, PNK / AAVE V6 the direction, ETH V1 / VLR V3 have no
+ * proposal, the old AAVE contract logs only the token. Events are fetched in
+ * chunked getLogs ranges (halved when the RPC refuses a range), decoded into
+ * one shape and matched to ledger trades by tx hash:
+ *
+ *   matched          in both; realized profit, borrow token, direction and
+ *                    caller are written onto the ledger row
+ *   chain-only       event without a ledger trade (another process, a manual
+ *                    call, logs lost in a crash); added to the ledger with
+ *                    gas from its receipt
+ *   missing-onchain  ledger "success" inside the scanned range with no event
+ *
+ * Markets that share a contract (proposal watcher) are reconciled together:
+ * an event goes to the market whose ledger has the tx, else the one whose
+ * proposal it names, else the first market.
+ *
+ * Usage:
+ *   const result = await reconcileContract(adapter, ledger, { fromBlock, toBlock });
+ *   console.log(formatReconcile(result));
+ */
+
+const { ethers } = require("ethers");
+const { CHAINS } = require("./chains");
+
+const STRATEGIES = ["SPOT_SPLIT", "MERGE_SPOT"];
+const DEFAULT_CHUNK = 5000;
+const HEADER_BATCH = 20;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EVENTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** RPC refusals that a smaller block range fixes. */
+function isRangeError(error) {
+    const msg = `${error?.shortMessage || ""} ${error?.message || ""} ${error?.error?.message || ""}`;
+    return /range|limit|too many|exceed|10000 results|response size|timeout/i.test(msg);
+}
+
+/**
+ * ArbitrageExecuted logs of one contract, fromBlock..toBlock inclusive.
+ * @param {object} provider
+ * @param {string} address
+ * @param {ethers.Interface} iface  contract interface with the event
+ * @param {object} options { fromBlock, toBlock, chunk, onChunk(from, to, count) }
+ */
+async function fetchArbitrageLogs(provider, address, iface, options) {
+    const topic = iface.getEvent("ArbitrageExecuted").topicHash;
+    const logs = [];
+    let size = options.chunk || DEFAULT_CHUNK;
+    for (let from = options.fromBlock; from <= options.toBlock;) {
+        const to = Math.min(from + size - 1, options.toBlock);
+        let batch;
+        try {
+            batch = await provider.getLogs({ address, topics: [topic], fromBlock: from, toBlock: to });
+        } catch (e) {
+            if (size === 1 || !isRangeError(e)) throw e;
+            size = Math.max(1, Math.floor(size / 2));
+            continue;
+        }
+        logs.push(...batch);
+        if (options.onChunk) options.onChunk(from, to, batch.length);
+        from = to + 1;
+    }
+    return logs;
+}
+
+/** Market token symbol of an address ("SDAI"), or null. */
+function tokenSymbol(market, address) {
+    const entry = Object.entries(market.tokens || {}).find(([, a]) => a.toLowerCase() === String(address).toLowerCase());
+    return entry ? entry[0] : null;
+}
+
+/** Market token address of a unit symbol, case-insensitively ("sDAI" → tokens.SDAI). */
+function tokenAddress(market, unit) {
+    const entry = Object.entries(market.tokens || {}).find(([symbol]) => symbol.toUpperCase() === String(unit).toUpperCase());
+    return entry ? entry[1] : null;
+}
+
+/** Decimals of a market token by unit symbol, case-insensitively: "decimals" in the registry, else 18. */
+function tokenDecimals(market, unit) {
+    const entry = Object.entries(market.decimals || {}).find(([symbol]) => symbol.toUpperCase() === String(unit).toUpperCase());
+    return entry ? entry[1] : 18;
+}
+
+/**
+ * One ArbitrageExecuted log in a contract-independent shape. Fields the
+ * contract does not log come from the market: the borrow token from the
+ * strategy's unit, the strategy from the logged token. Amounts are in the
+ * borrow token's decimals (the market's "decimals", e.g. 6 for USDC).
+ * @param {object} adapter  market adapter (market, units)
+ * @param {ethers.Interface} iface
+ * @param {object} log
+ */
+function decodeArbitrageEvent(adapter, iface, log) {
+    const parsed = iface.parseLog(log);
+    const logged = name => parsed.fragment.inputs.some(input => input.name === name);
+    const args = parsed.args;
+    const units = adapter.units || {};
+
+    const direction = logged("direction") ? Number(args.direction) : null;
+    let strategy = direction === null ? null : STRATEGIES[direction] || null;
+    let borrowToken = logged("borrowToken") ? args.borrowToken : logged("token") ? args.token : null;
+    let unit = borrowToken ? tokenSymbol(adapter.market, borrowToken) : null;
+    if (unit) {
+        // keep the adapter's spelling of the unit ("sDAI")
+        unit = Object.values(units).find(u => u.toUpperCase() === unit.toUpperCase()) || unit;
+        strategy = strategy || Object.keys(units).find(s => units[s].toUpperCase() === unit.toUpperCase()) || null;
+    } else if (strategy && units[strategy]) {
+        unit = units[strategy];
+        borrowToken = tokenAddress(adapter.market, unit);
+    }
+
+    const decimals = unit ? tokenDecimals(adapter.market, unit) : 18;
+
+    return {
+        txHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        logIndex: log.index ?? log.logIndex,
+        caller: args.caller,
+        proposal: logged("proposal") ? args.proposal : null,
+        direction: direction ?? (strategy ? STRATEGIES.indexOf(strategy) : null),
+        strategy,
+        borrowToken,
+        unit,
+        borrowAmount: logged("borrowAmount") ? ethers.formatUnits(args.borrowAmount, decimals) : null,
+        profitRaw: args.profit,
+        profit: parseFloat(ethers.formatUnits(args.profit, decimals)),
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MATCHING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Compare one market's decoded events with its ledger trades (no writes).
+ * @param {object} ledger
+ * @param {string} marketId
+ * @param {object[]} events    decodeArbitrageEvent() results for this market
+ * @param {object} range       { fromBlock, toBlock } scanned; ledger trades
+ *                             without a block only count when fromHistoryStart
+ */
+function matchMarket(ledger, marketId, events, range) {
+    const local = new Map();
+    for (const t of ledger.trades({ market: marketId })) {
+        if (t.tx_hash) local.set(t.tx_hash.toLowerCase(), t);
+    }
+    const result = { market: marketId, events: events.length, matched: [], chainOnly: [], missingOnchain: [], mismatches: [] };
+    const seen = new Set();
+
+    for (const e of events) {
+        const key = e.txHash.toLowerCase();
+        seen.add(key);
+        const row = local.get(key);
+        if (!row) {
+            result.chainOnly.push(e);
+            continue;
+        }
+        result.matched.push(e);
+        const differs = (field, mine, chain) => result.mismatches.push({ txHash: e.txHash, field, ledger: mine, chain });
+        if (row.status !== "success") differs("status", row.status, "success");
+        if (row.strategy && e.strategy && row.strategy !== e.strategy) differs("strategy", row.strategy, e.strategy);
+        if (row.realized_profit !== null && Math.abs(row.realized_profit - e.profit) > 1e-9 * Math.max(1, Math.abs(e.profit))) {
+            differs("profit", row.realized_profit, e.profit);
+        }
+    }
+
+    for (const [key, row] of local) {
+        if (row.status !== "success" || seen.has(key)) continue;
+        const inRange = row.block_number !== null
+            ? row.block_number >= range.fromBlock && row.block_number <= range.toBlock
+            : Boolean(range.fromHistoryStart);
+        if (inRange) result.missingOnchain.push({ txHash: row.tx_hash, blockNumber: row.block_number, strategy: row.strategy, profit: row.simulated_profit });
+    }
+    return result;
+}
+
+/** The market (of those sharing a contract) an event belongs to. */
+function marketOfEvent(ledger, markets, event) {
+    const owner = ledger.getTrade(event.txHash);
+    if (owner && markets.some(m => m.id === owner.market)) return owner.market;
+    if (event.proposal) {
+        const byProposal = markets.find(m => m.proposalAddress && m.proposalAddress.toLowerCase() === event.proposal.toLowerCase());
+        if (byProposal) return byProposal.id;
+    }
+    return markets[0].id;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RECONCILE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Fetch, match and (unless options.record === false) write back one contract.
+ * @param {object} adapter   connected adapter of the first market (provider, contract)
+ * @param {object} ledger
+ * @param {object} options
+ * @param {number} options.fromBlock
+ * @param {number} options.toBlock
+ * @param {boolean} [options.fromHistoryStart] fromBlock is the deploy block
+ * @param {object[]} [options.markets]  market configs sharing the contract (default [adapter.market])
+ * @param {number} [options.chunk]      getLogs block range
+ * @param {boolean} [options.record]    write to the ledger (default true)
+ * @param {Function} [options.onChunk]
+ * @returns {Promise<object>} { contract, chainId, fromBlock, toBlock, markets: matchMarket()[] }
+ */
+async function reconcileContract(adapter, ledger, options) {
+    const { provider, contract } = adapter;
+    const iface = contract.interface;
+    const address = await contract.getAddress();
+    const markets = options.markets || [adapter.market];
+    const range = { fromBlock: options.fromBlock, toBlock: options.toBlock, fromHistoryStart: options.fromHistoryStart };
+
+    const logs = await fetchArbitrageLogs(provider, address, iface, { ...range, chunk: options.chunk, onChunk: options.onChunk });
+    const events = logs.map(log => decodeArbitrageEvent(adapter, iface, log));
+
+    const byMarket = new Map(markets.map(m => [m.id, []]));
+    for (const e of events) byMarket.get(marketOfEvent(ledger, markets, e)).push(e);
+    const results = markets.map(m => matchMarket(ledger, m.id, byMarket.get(m.id), range));
+
+    if (options.record !== false) {
+        const chainOnly = results.flatMap(r => r.chainOnly);
+        const times = await blockTimes(provider, [...new Set(events.map(e => e.blockNumber))]);
+        const receipts = new Map();
+        for (const e of chainOnly) receipts.set(e.txHash, await provider.getTransactionReceipt(e.txHash));
+
+        const gasSymbol = CHAINS[adapter.market.chainId]?.nativeSymbol;
+        for (const r of results) {
+            for (const e of [...r.matched, ...r.chainOnly]) {
+                const receipt = receipts.get(e.txHash);
+                ledger.record(r.market, {
+                    type: "trade_onchain",
+                    timestamp: times.get(e.blockNumber),
+                    txHash: e.txHash,
+                    blockNumber: e.blockNumber,
+                    strategy: e.strategy,
+                    direction: e.direction,
+                    borrowToken: e.borrowToken,
+                    amount: e.borrowAmount,
+                    unit: e.unit,
+                    realizedProfit: e.profit,
+                    realizedProfitRaw: e.profitRaw.toString(),
+                    caller: e.caller,
+                    gasSymbol,
+                    gasUsed: receipt ? receipt.gasUsed.toString() : undefined,
+                    effectiveGasPrice: receipt ? (receipt.gasPrice ?? 0n).toString() : undefined,
+                    reconciled: r.matched.includes(e) ? "matched" : "chain-only",
+                });
+            }
+            for (const m of r.missingOnchain) {
+                ledger.record(r.market, { type: "trade_unconfirmed", txHash: m.txHash });
+            }
+        }
+        ledger.recordReconcileScan({
+            chainId: adapter.market.chainId, contract: address, fromBlock: range.fromBlock, toBlock: range.toBlock, events: events.length,
+        });
+    }
+    return { contract: address, chainId: adapter.market.chainId, fromBlock: range.fromBlock, toBlock: range.toBlock, markets: results };
+}
+
+/** block number → ISO timestamp, in batches. */
+async function blockTimes(provider, numbers) {
+    const times = new Map();
+    for (let i = 0; i < numbers.length; i += HEADER_BATCH) {
+        const headers = await Promise.all(numbers.slice(i, i + HEADER_BATCH).map(n => provider.getBlock(n)));
+        headers.forEach((b, j) => times.set(numbers[i + j], new Date(b.timestamp * 1000).toISOString()));
+    }
+    return times;
+}
+
+/**
+ * First block with code at `address` (binary search over eth_getCode; needs
+ * an archive node for old blocks).
+ */
+async function findDeployBlock(provider, address, latest) {
+    let lo = 0;
+    let hi = latest;
+    while (lo < hi) {
+        const mid = Math.floor((lo + hi) / 2);
+        const code = await provider.getCode(address, mid);
+        if (code && code !== "0x") hi = mid;
+        else lo = mid + 1;
+    }
+    return lo;
+}
+
+/** Console summary of reconcileContract() results. */
+function formatReconcile(result) {
+    const lines = [`📜 ${result.contract} (chain ${result.chainId}) blocks ${result.fromBlock}–${result.toBlock}`];
+    for (const r of result.markets) {
+        lines.push(`   🔹 ${r.market}: ${r.events} events | ✅ ${r.matched.length} matched | ` +
+            `➕ ${r.chainOnly.length} chain-only | ❓ ${r.missingOnchain.length} missing on-chain | ⚠️  ${r.mismatches.length} mismatches`);
+        for (const e of r.chainOnly) {
+            lines.push(`      ➕ ${e.txHash} block ${e.blockNumber} ${e.strategy || "?"} +${e.profit.toFixed(6)} ${e.unit || "?"} (caller ${e.caller})`);
+        }
+        for (const m of r.missingOnchain) {
+            lines.push(`      ❓ ${m.txHash} block ${m.blockNumber ?? "?"} ${m.strategy || "?"}: recorded as success, no event`);
+        }
+        for (const m of r.mismatches) {
+            lines.push(`      ⚠️  ${m.txHash} ${m.field}: ledger ${m.ledger} vs chain ${m.chain}`);
+        }
+    }
+    return lines.join("\n");
+}
+
+module.exports = {
+    isRangeError,
+    fetchArbitrageLogs,
+    decodeArbitrageEvent,
+    matchMarket,
+    reconcileContract,
+    findDeployBlock,
+    formatReconcile,
+};
@@ -0,0 +1,389 @@
+/**
+ * Revert decoder: custom errors, require strings and panics from our
+ * arbitrage contracts and every protocol they call.
+ *
+ * An executeArbitrage revert carries the data of whichever contract failed
+ * first, bubbled up unchanged: our own errors (ArbitrageFailed,
+ * SlippageExceeded, InvalidProposal, require strings), Balancer V2's
+ * "BAL#nnn" codes, Balancer V3 vault errors, Algebra / Uniswap V3 pool codes
+ * ("SPL", "IIA") and Algebra Integral errors, Permit2 and Universal Router
+ * errors (ExecutionFailed wraps the failing command's own revert, decoded in
+ * turn), OpenZeppelin token errors and Solidity panics.
+ *
+ *   decodeRevert(data)                   { name, source, args, reason, meaning, inner } | null
+ *   formatRevert(decoded, { unit })      one line for logs and the ledger
+ *   describeRevert(error, { unit })      the line for a thrown ethers error
+ *   replayRevert(provider, txHash)       re-run a mined revert at its parent block
+ *
+ * Usage:
+ *   const { describeRevert } = require("./reverts");
+ *   try { await contract.executeArbitrage.staticCall(...) }
+ *   catch (e) { console.log(describeRevert(e, { unit: "GNO" })) }
+ *       → ArbitrageFailed: Insufficient to repay (delta -0.0012 GNO)
+ *       → Balancer V2 BAL#507 SWAP_LIMIT
+ *       → SPL: sqrtPriceLimit out of range (Uniswap V3 / Algebra pool)
+ */
+
+const { ethers } = require("ethers");
+
+// ═══════════════════════════════════════════════════════════════════════════
+// KNOWN ERRORS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Custom errors by source. Keep "Arbitrage contracts" in step with
+// contracts/*.sol (test/reverts.test.js checks every declaration).
+const CUSTOM_ERRORS = {
+    "Arbitrage contracts": [
+        "error ArbitrageFailed(uint256 balanceAfter, uint256 required, string reason)",
+        "error SlippageExceeded(uint256 expected, uint256 actual)",
+        "error InvalidProposal(address proposal)",
+    ],
+    "Balancer V3": [
+        "error VaultIsNotUnlocked()",
+        "error BalanceNotSettled()",
+        "error VaultPaused()",
+        "error PoolNotRegistered(address pool)",
+        "error PoolNotInitialized(address pool)",
+        "error PoolPaused(address pool)",
+        "error TokenNotRegistered(address token)",
+        "error SwapLimit(uint256 amount, uint256 limit)",
+        "error SwapDeadline()",
+        "error AmountGivenZero()",
+        "error CannotSwapSameToken()",
+        "error AmountInAboveMax(address tokenIn, uint256 amountIn, uint256 maxAmountIn)",
+        "error AmountOutBelowMin(address tokenOut, uint256 amountOut, uint256 minAmountOut)",
+        "error BptAmountInAboveMax(uint256 amount, uint256 limit)",
+        "error BptAmountOutBelowMin(uint256 amount, uint256 limit)",
+        "error TradeAmountTooSmall()",
+        "error QueriesDisabled()",
+        "error SenderIsNotVault(address sender)",
+        "error NotVaultDelegateCall()",
+        "error WrapAmountTooSmall(address wrappedToken)",
+        "error BufferNotInitialized(address wrappedToken)",
+        "error NotEnoughBufferShares()",
+        "error InvalidUnderlyingToken(address wrappedToken)",
+        "error NotStaticCall()",
+    ],
+    "Algebra pool": [
+        "error locked()",
+        "error alreadyInitialized()",
+        "error notInitialized()",
+        "error zeroAmountRequired()",
+        "error invalidAmountRequired()",
+        "error insufficientInputAmount()",
+        "error zeroLiquidityDesired()",
+        "error zeroLiquidityActual()",
+        "error flashInsufficientPaid0()",
+        "error flashInsufficientPaid1()",
+        "error invalidLimitSqrtPrice()",
+        "error tickIsNotSpaced()",
+        "error notAllowed()",
+        "error pluginIsNotConnected()",
+        "error invalidHookResponse(bytes4 selector)",
+        "error liquiditySub()",
+        "error liquidityAdd()",
+        "error liquidityOverflow()",
+        "error topTickLowerOrEqBottomTick()",
+        "error bottomTickLowerThanMIN()",
+        "error topTickAboveMAX()",
+        "error priceOutOfRange()",
+        "error transferFailed()",
+    ],
+    Permit2: [
+        "error AllowanceExpired(uint256 deadline)",
+        "error InsufficientAllowance(uint256 amount)",
+        "error ExcessiveInvalidation()",
+        "error InvalidAmount(uint256 maxAmount)",
+        "error InvalidNonce()",
+        "error InvalidSignature()",
+        "error InvalidSignatureLength()",
+        "error InvalidSigner()",
+        "error InvalidContractSignature()",
+        "error SignatureExpired(uint256 signatureDeadline)",
+        "error LengthMismatch()",
+    ],
+    "Universal Router": [
+        "error ExecutionFailed(uint256 commandIndex, bytes message)",
+        "error ETHNotAccepted()",
+        "error TransactionDeadlinePassed()",
+        "error LengthMismatch()",
+        "error InvalidCommandType(uint256 commandType)",
+        "error BalanceTooLow()",
+        "error InvalidBips()",
+        "error InvalidEthSender()",
+        "error ContractLocked()",
+        "error FromAddressIsNotOwner()",
+        "error InsufficientETH()",
+        "error InsufficientToken()",
+        "error SliceOutOfBounds()",
+        "error UnsafeCast()",
+        "error InvalidPath()",
+        "error InvalidReserves()",
+        "error V2InvalidPath()",
+        "error V2TooLittleReceived()",
+        "error V2TooMuchRequested()",
+        "error V3InvalidAmountOut()",
+        "error V3InvalidCaller()",
+        "error V3InvalidSwap()",
+        "error V3TooLittleReceived()",
+        "error V3TooMuchRequested()",
+    ],
+    OpenZeppelin: [
+        "error SafeERC20FailedOperation(address token)",
+        "error ReentrancyGuardReentrantCall()",
+        "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+        "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+        "error ERC20InvalidSender(address sender)",
+        "error ERC20InvalidReceiver(address receiver)",
+        "error AddressEmptyCode(address target)",
+        "error FailedInnerCall()",
+        "error FailedCall()",
+    ],
+};
+
+// Balancer V2 _require() codes (BAL#nnn), from its Errors.sol
+const BAL_CODES = {
+    0: "ADD_OVERFLOW", 1: "SUB_OVERFLOW", 2: "SUB_UNDERFLOW", 3: "MUL_OVERFLOW", 4: "ZERO_DIVISION",
+    5: "DIV_INTERNAL", 6: "X_OUT_OF_BOUNDS", 7: "Y_OUT_OF_BOUNDS", 8: "PRODUCT_OUT_OF_BOUNDS", 9: "INVALID_EXPONENT",
+    100: "OUT_OF_BOUNDS", 101: "UNSORTED_ARRAY", 102: "UNSORTED_TOKENS", 103: "INPUT_LENGTH_MISMATCH", 104: "ZERO_TOKEN",
+    200: "MIN_TOKENS", 201: "MAX_TOKENS", 202: "MAX_SWAP_FEE_PERCENTAGE", 203: "MIN_SWAP_FEE_PERCENTAGE",
+    204: "MINIMUM_BPT", 205: "CALLER_NOT_VAULT", 206: "UNINITIALIZED", 207: "BPT_IN_MAX_AMOUNT",
+    208: "BPT_OUT_MIN_AMOUNT", 209: "EXPIRED_PERMIT", 210: "NOT_TWO_TOKENS", 211: "DISABLED",
+    304: "MAX_IN_RATIO", 305: "MAX_OUT_RATIO",
+    400: "REENTRANCY", 401: "SENDER_NOT_ALLOWED", 402: "PAUSED", 403: "PAUSE_WINDOW_EXPIRED",
+    406: "INSUFFICIENT_BALANCE", 407: "INSUFFICIENT_ALLOWANCE",
+    414: "ERC20_TRANSFER_EXCEEDS_ALLOWANCE", 416: "ERC20_TRANSFER_EXCEEDS_BALANCE",
+    418: "SAFE_ERC20_CALL_FAILED", 419: "ADDRESS_INSUFFICIENT_BALANCE", 420: "ADDRESS_CANNOT_SEND_VALUE",
+    500: "INVALID_POOL_ID", 501: "CALLER_NOT_POOL", 502: "SENDER_NOT_ASSET_MANAGER", 503: "USER_DOESNT_ALLOW_RELAYER",
+    504: "INVALID_SIGNATURE", 505: "EXIT_BELOW_MIN", 506: "JOIN_ABOVE_MAX", 507: "SWAP_LIMIT", 508: "SWAP_DEADLINE",
+    509: "CANNOT_SWAP_SAME_TOKEN", 510: "UNKNOWN_AMOUNT_IN_FIRST_SWAP", 511: "MALCONSTRUCTED_MULTIHOP_SWAP",
+    512: "INTERNAL_BALANCE_OVERFLOW", 513: "INSUFFICIENT_INTERNAL_BALANCE", 514: "INVALID_ETH_INTERNAL_BALANCE",
+    515: "INVALID_POST_LOAN_BALANCE", 516: "INSUFFICIENT_ETH", 517: "UNALLOCATED_ETH", 518: "ETH_TRANSFER",
+    519: "CANNOT_USE_ETH_SENTINEL", 520: "TOKENS_MISMATCH", 521: "TOKEN_NOT_REGISTERED",
+    522: "TOKEN_ALREADY_REGISTERED", 523: "TOKENS_ALREADY_SET", 524: "TOKENS_LENGTH_MUST_BE_2",
+    525: "NONZERO_TOKEN_BALANCE", 526: "BALANCE_TOTAL_OVERFLOW", 527: "POOL_NO_TOKENS",
+    528: "INSUFFICIENT_FLASH_LOAN_BALANCE",
+    600: "SWAP_FEE_PERCENTAGE_TOO_HIGH", 601: "FLASH_LOAN_FEE_PERCENTAGE_TOO_HIGH", 602: "INSUFFICIENT_FLASH_LOAN_FEE_AMOUNT",
+};
+
+// Short require() codes of Uniswap V3 / Algebra V1 pools and routers
+const POOL = "Uniswap V3 / Algebra pool";
+const PERIPHERY = "Uniswap V3 / Algebra router";
+const SHORT_REASONS = {
+    LOK: [POOL, "pool locked (reentrant call)"],
+    TLU: [POOL, "tickLower not below tickUpper"],
+    TLM: [POOL, "tickLower below MIN_TICK"],
+    TUM: [POOL, "tickUpper above MAX_TICK"],
+    AI: [POOL, "already initialized"],
+    M0: [POOL, "mint: token0 not paid"],
+    M1: [POOL, "mint: token1 not paid"],
+    AS: [POOL, "amountSpecified is zero"],
+    SPL: [POOL, "sqrtPriceLimit out of range"],
+    IIA: [POOL, "insufficient input amount (callback underpaid)"],
+    L: [POOL, "no liquidity"],
+    LO: [POOL, "liquidity overflow"],
+    LS: [POOL, "liquidity underflow"],
+    LA: [POOL, "liquidity overflow"],
+    F0: [POOL, "flash: token0 not repaid"],
+    F1: [POOL, "flash: token1 not repaid"],
+    TF: [POOL, "token transfer failed"],
+    STF: [PERIPHERY, "safeTransferFrom failed (balance or allowance)"],
+    ST: [PERIPHERY, "safeTransfer failed"],
+    SA: [PERIPHERY, "safeApprove failed"],
+    STE: [PERIPHERY, "ETH transfer failed"],
+    "Too little received": [PERIPHERY, "output below amountOutMinimum"],
+    "Too much requested": [PERIPHERY, "input above amountInMaximum"],
+    "Transaction too old": [PERIPHERY, "deadline passed"],
+};
+
+// Long-form require() strings: source by prefix
+const REASON_SOURCES = [
+    [/^UniswapV2/, "Uniswap V2"],
+    [/^DXswap/, "Swapr V2"],
+    [/^SafeERC20|^ERC20:|^Address:/, "OpenZeppelin"],
+];
+
+const PANICS = {
+    0x01: "assert failed",
+    0x11: "arithmetic overflow or underflow",
+    0x12: "division or modulo by zero",
+    0x21: "invalid enum value",
+    0x22: "bad storage byte array",
+    0x31: "pop on empty array",
+    0x32: "array index out of bounds",
+    0x41: "out of memory",
+    0x51: "call to uninitialized function",
+};
+
+const ERROR_STRING = "0x08c379a0";   // Error(string)
+const PANIC = "0x4e487b71";          // Panic(uint256)
+
+// selector → { fragment, source }; a selector two sources share names both
+const registry = new Map();
+for (const [source, signatures] of Object.entries(CUSTOM_ERRORS)) {
+    for (const signature of signatures) {
+        const fragment = ethers.ErrorFragment.from(signature);
+        const known = registry.get(fragment.selector);
+        if (known) known.source = `${known.source} / ${source}`;
+        else registry.set(fragment.selector, { fragment, source });
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DECODING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Revert data of a thrown ethers / hardhat / JSON-RPC error, or null. */
+function revertData(error) {
+    for (const candidate of [error?.data, error?.error?.data, error?.info?.error?.data, error?.error?.error?.data]) {
+        const data = typeof candidate === "object" && candidate !== null ? candidate.data : candidate;
+        if (typeof data === "string" && ethers.isHexString(data) && data !== "0x") return data;
+    }
+    return null;
+}
+
+function decodeReason(reason) {
+    const bal = /^BAL#(\d{3})$/.exec(reason);
+    if (bal) return { source: "Balancer V2", code: reason, meaning: BAL_CODES[Number(bal[1])] || null };
+    if (SHORT_REASONS[reason]) {
+        const [source, meaning] = SHORT_REASONS[reason];
+        return { source, code: reason, meaning };
+    }
+    const prefixed = REASON_SOURCES.find(([pattern]) => pattern.test(reason));
+    return { source: prefixed ? prefixed[1] : null, code: null, meaning: null };
+}
+
+/**
+ * Decode revert data.
+ * @param {string} data         hex revert data
+ * @param {object} [options]    { iface: the called contract's Interface, tried first }
+ * @returns {object|null}       { selector, name, source, signature, args: [{ name, type, value }],
+ *                              reason (Error(string)), code, meaning, inner (decoded nested revert) };
+ *                              null without data
+ */
+function decodeRevert(data, options = {}) {
+    if (typeof data !== "string" || !ethers.isHexString(data) || data.length < 10) return null;
+    const selector = data.slice(0, 10).toLowerCase();
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const base = { selector, data };
+
+    if (selector === ERROR_STRING) {
+        const [reason] = coder.decode(["string"], ethers.dataSlice(data, 4));
+        const known = decodeReason(reason);
+        return { ...base, name: "Error", signature: "Error(string)", source: known.source, args: [{ name: "reason", type: "string", value: reason }], reason, code: known.code, meaning: known.meaning };
+    }
+    if (selector === PANIC) {
+        const [code] = coder.decode(["uint256"], ethers.dataSlice(data, 4));
+        return { ...base, name: "Panic", signature: "Panic(uint256)", source: "Solidity", args: [{ name: "code", type: "uint256", value: code }], code: `0x${code.toString(16).padStart(2, "0")}`, meaning: PANICS[Number(code)] || null };
+    }
+
+    let fragment = null;
+    let source = null;
+    if (options.iface) {
+        fragment = options.iface.getError(selector);
+        if (fragment) source = options.source || "called contract";
+    }
+    if (!fragment && registry.has(selector)) ({ fragment, source } = registry.get(selector));
+    if (!fragment) return { ...base, name: null, signature: null, source: null, args: [] };
+
+    let values;
+    try {
+        values = coder.decode(fragment.inputs, ethers.dataSlice(data, 4));
+    } catch (_) {
+        return { ...base, name: fragment.name, signature: fragment.format(), source, args: [], malformed: true };
+    }
+    const args = fragment.inputs.map((input, i) => ({ name: input.name, type: input.type, value: values[i] }));
+    const decoded = { ...base, name: fragment.name, signature: fragment.format(), source, args };
+    // Universal Router: the failing command's own revert
+    if (fragment.name === "ExecutionFailed") decoded.inner = decodeRevert(values[1], options);
+    return decoded;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FORMATTING
+// ═══════════════════════════════════════════════════════════════════════════
+
+const argValue = value => (typeof value === "string" && value.length > 66 ? `${value.slice(0, 66)}…` : String(value));
+
+/**
+ * One line for a decoded revert.
+ * @param {object} decoded     decodeRevert's result
+ * @param {object} [options]   { unit, decimals (18): ArbitrageFailed / SlippageExceeded amounts }
+ */
+function formatRevert(decoded, options = {}) {
+    if (!decoded) return "reverted without data";
+    const { unit = "", decimals = 18 } = options;
+    const amount = value => `${ethers.formatUnits(value, decimals)}${unit ? " " + unit : ""}`;
+    const value = name => decoded.args.find(a => a.name === name)?.value;
+
+    switch (decoded.name) {
+        case "Error": {
+            if (decoded.source === "Balancer V2") return `Balancer V2 ${decoded.code}${decoded.meaning ? " " + decoded.meaning : ""}`;
+            if (decoded.meaning) return `${decoded.reason}: ${decoded.meaning} (${decoded.source})`;
+            return decoded.source ? `${decoded.reason} (${decoded.source})` : decoded.reason;
+        }
+        case "Panic":
+            return `Panic ${decoded.code}: ${decoded.meaning || "unknown panic code"}`;
+        case "ArbitrageFailed": {
+            const [balanceAfter, required, reason] = decoded.args.map(a => a.value);
+            return `ArbitrageFailed: ${reason} (delta ${amount(balanceAfter - required)})`;
+        }
+        case "SlippageExceeded":
+            return `SlippageExceeded: expected ${amount(value("expected"))}, got ${amount(value("actual"))}`;
+        case "ExecutionFailed":
+            return `Universal Router command ${value("commandIndex")} failed: ${formatRevert(decoded.inner, options)}`;
+        case null:
+            return `unknown error ${decoded.selector}`;
+        default: {
+            const args = decoded.args.map(a => argValue(a.value)).join(", ");
+            return `${decoded.name}(${args})${decoded.source ? ` (${decoded.source})` : ""}`;
+        }
+    }
+}
+
+/**
+ * Short reason for a failed staticCall / estimateGas / send.
+ * @param {Error} error
+ * @param {object} [options]  { iface, unit, decimals }
+ */
+function describeRevert(error, options = {}) {
+    const data = revertData(error);
+    if (data) return formatRevert(decodeRevert(data, options), options);
+
+    const msg = error?.shortMessage || error?.message || "";
+    if (msg.includes("reverted")) return "reverted";
+    if (msg.includes("BAD_DATA")) return "BAD_DATA";
+    return msg.slice(0, 60) || "unknown";
+}
+
+/**
+ * Re-run a mined, reverted transaction as an eth_call at its parent block to
+ * get the revert data receipts do not carry. A revert caused by an earlier
+ * transaction of the same block does not reproduce (error: null); a tx that
+ * used all its gas limit ran out of gas (outOfGas).
+ * @returns {Promise<{ tx, receipt, blockTag, outOfGas, error }>}
+ */
+async function replayRevert(provider, txHash, options = {}) {
+    const [tx, receipt] = await Promise.all([provider.getTransaction(txHash), provider.getTransactionReceipt(txHash)]);
+    if (!tx) throw new Error(`transaction ${txHash} not found`);
+    if (!receipt || receipt.status !== 0) return { tx, receipt, blockTag: null, outOfGas: false, error: null };
+
+    const blockTag = options.blockTag ?? receipt.blockNumber - 1;
+    const outOfGas = receipt.gasUsed >= tx.gasLimit;
+    try {
+        await provider.call({ to: tx.to, from: tx.from, data: tx.data, value: tx.value, gasLimit: tx.gasLimit, blockTag });
+        return { tx, receipt, blockTag, outOfGas, error: null };
+    } catch (error) {
+        return { tx, receipt, blockTag, outOfGas, error };
+    }
+}
+
+module.exports = {
+    CUSTOM_ERRORS,
+    BAL_CODES,
+    revertData,
+    decodeRevert,
+    formatRevert,
+    describeRevert,
+    replayRevert,
+};
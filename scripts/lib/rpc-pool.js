@@ -0,0 +1,315 @@
+/**
+ * RPC provider pool: several endpoints per chain behind one ethers provider.
+ *
+ * getProvider(chainId) (chains.js) returns a pool over every URL configured
+ * for the chain, so adapters, the oracle and the watchers use it like any
+ * JsonRpcProvider. Each JSON-RPC request goes to the first usable endpoint
+ * in config order:
+ *
+ *   health      every `healthMs` each endpoint's eth_blockNumber (and once
+ *               eth_chainId: an endpoint on the wrong chain is dropped);
+ *               latency and head are kept per endpoint
+ *   failover    rate limits (HTTP 429, -32005, "too many requests"), timeouts,
+ *               5xx and "header not found" (a node behind the pinned block)
+ *               move the request to the next endpoint and put the failing
+ *               one on backoff: backoffMs, doubling, up to maxBackoffMs. With
+ *               every endpoint on backoff the request waits for the first to
+ *               come back, `retries` times
+ *   lag         an endpoint more than `maxLagBlocks` behind the highest head
+ *               any endpoint reported serves no reads; with only lagging
+ *               endpoints left requests fail (RPC_LAGGING) instead of
+ *               scanning, and trading, on stale state
+ *   sends       eth_sendRawTransaction and pending-nonce reads go to the
+ *               send endpoints (a private or low-latency RPC), else to the
+ *               read endpoints; an "already known" reply from a second
+ *               endpoint is the same transaction, not an error
+ *
+ * Reverts, nonce and funds errors are answers, not endpoint failures: they
+ * are returned from the first endpoint that gives them.
+ *
+ * Usage:
+ *   const provider = createProviderPool(100, { urls: ["https://a", "https://b"], sendUrls: ["https://c"] });
+ *   await provider.pool.ready();
+ *   provider.pool.status()        [{ url, role, head, lag, latencyMs, state, lastError }]
+ */
+
+const { ethers } = require("ethers");
+
+const DEFAULTS = {
+    maxLagBlocks: 3,
+    healthMs: 30000,
+    timeoutMs: 10000,
+    retries: 3,
+    backoffMs: 1000,
+    maxBackoffMs: 60000,
+};
+
+const SEND_METHODS = ["eth_sendRawTransaction"];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ERRORS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const RATE_LIMIT = /rate.?limit|too many requests|request limit|exceeded .*(limit|capacity|quota)|compute units|throughput/;
+const TRANSIENT = /timeout|timed out|econnrefused|econnreset|enotfound|eai_again|socket hang up|network error|bad gateway|service unavailable|gateway time|header not found|unknown block|missing trie node|block not found|not yet available/;
+
+function errorText(error) {
+    const inner = error?.error || error?.info?.error || {};
+    return `${error?.shortMessage || ""} ${error?.message || ""} ${inner.message || ""}`.toLowerCase();
+}
+
+/**
+ * "rate-limit" and "transient" errors are the endpoint's fault and fail over;
+ * anything else ("fatal": reverts, nonce, funds, bad params) is the answer.
+ */
+function classifyError(error) {
+    const status = error?.response?.statusCode ?? error?.info?.response?.statusCode;
+    const rpcCode = error?.error?.code ?? error?.info?.error?.code;
+    const text = errorText(error);
+    if (status === 429 || rpcCode === -32005 || rpcCode === 429 || RATE_LIMIT.test(text)) return "rate-limit";
+    if (error?.code === "CALL_EXCEPTION" || error?.code === "INSUFFICIENT_FUNDS" || error?.code === "NONCE_EXPIRED" ||
+        error?.code === "REPLACEMENT_UNDERPRICED" || error?.code === "INVALID_ARGUMENT") return "fatal";
+    if (status >= 500 || ["TIMEOUT", "NETWORK_ERROR", "SERVER_ERROR"].includes(error?.code) || TRANSIENT.test(text)) return "transient";
+    return "fatal";
+}
+
+const alreadyKnown = error => /already known|already imported|known transaction|already exists/.test(errorText(error));
+
+// ═══════════════════════════════════════════════════════════════════════════
+// POOL
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Plain JsonRpcProvider for one endpoint: no network detection, no ethers 429 retry loop. */
+function endpointProvider(url, chainId, timeoutMs) {
+    const request = new ethers.FetchRequest(url);
+    request.timeout = timeoutMs;
+    request.setThrottleParams({ maxAttempts: 1 });
+    const network = ethers.Network.from(Number(chainId));
+    return new ethers.JsonRpcProvider(request, network, { staticNetwork: network, batchMaxCount: 1 });
+}
+
+/** Log-safe endpoint name: host only (paths and query strings carry API keys). */
+function endpointName(url) {
+    try {
+        return new URL(url).host;
+    } catch (_) {
+        return "rpc";
+    }
+}
+
+/**
+ * @param {number} chainId
+ * @param {object} options  { urls (reads, in priority order), sendUrls, name (for logs),
+ *                          maxLagBlocks, healthMs, timeoutMs, retries, backoffMs,
+ *                          maxBackoffMs, createProvider(url) (tests), log, now }
+ * @returns {JsonRpcProvider} with `.pool` = { ready, check, status, endpoints }
+ */
+function createProviderPool(chainId, options) {
+    const config = { ...DEFAULTS };
+    for (const [key, value] of Object.entries(options)) if (value !== undefined) config[key] = value;
+    const id = Number(chainId);
+    const name = options.name || `chain ${id}`;
+    const log = options.log || console.log;
+    const now = options.now || Date.now;
+    const createProvider = options.createProvider || (url => endpointProvider(url, id, config.timeoutMs));
+    if (!options.urls || options.urls.length === 0) throw new Error(`No RPC URL for ${name}`);
+
+    const endpoint = (url, role) => ({
+        url,
+        role,
+        label: endpointName(url),
+        provider: createProvider(url),
+        chainChecked: false,
+        head: null,
+        latencyMs: null,
+        failures: 0,
+        backoffUntil: 0,
+        state: "unchecked",      // ok | backoff | down | wrong-chain
+        lastError: null,
+    });
+    const reads = [...new Set(options.urls)].map(url => endpoint(url, "read"));
+    const sends = [...new Set(options.sendUrls || [])].map(url => endpoint(url, "send"));
+    const endpoints = [...reads, ...sends];
+
+    let bestHead = null;
+    let checking = null;
+    let timer = null;
+
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const lagOf = e => (bestHead === null || e.head === null ? 0 : bestHead - e.head);
+    const available = e => e.state !== "wrong-chain" && e.backoffUntil <= now();
+
+    function noteHead(e, head) {
+        e.head = head;
+        if (bestHead === null || head > bestHead) bestHead = head;
+    }
+
+    function succeeded(e, latencyMs) {
+        e.failures = 0;
+        e.backoffUntil = 0;
+        e.state = "ok";
+        if (latencyMs !== undefined) e.latencyMs = latencyMs;
+    }
+
+    function failed(e, kind, error) {
+        e.failures++;
+        e.backoffUntil = now() + Math.min(config.backoffMs * 2 ** (e.failures - 1), config.maxBackoffMs);
+        e.lastError = `${kind === "rate-limit" ? "rate limited: " : ""}${error.shortMessage || error.message}`;
+        if (e.state !== "backoff" && e.state !== "down") {
+            log(`⚠️ RPC ${name} ${e.label}: ${e.lastError.slice(0, 80)}, backing off`);
+        }
+        e.state = kind === "rate-limit" ? "backoff" : "down";
+    }
+
+    // ───────────────────────────────────────────────────────────────────────
+    // Health checks
+    // ───────────────────────────────────────────────────────────────────────
+
+    async function checkEndpoint(e) {
+        if (e.state === "wrong-chain") return;
+        const started = now();
+        try {
+            if (!e.chainChecked) {
+                const remote = Number(await e.provider.send("eth_chainId", []));
+                if (remote !== id) {
+                    e.state = "wrong-chain";
+                    e.lastError = `chain ${remote}`;
+                    log(`⚠️ RPC ${e.label} is chain ${remote}, not ${name} - not used`);
+                    return;
+                }
+                e.chainChecked = true;
+            }
+            noteHead(e, Number(await e.provider.send("eth_blockNumber", [])));
+            succeeded(e, now() - started);
+        } catch (error) {
+            failed(e, classifyError(error), error);
+        }
+    }
+
+    /** Probe every endpoint; resolves to status(). */
+    function check() {
+        if (!checking) {
+            checking = Promise.all(endpoints.map(checkEndpoint)).then(() => {
+                checking = null;
+                return status();
+            });
+        }
+        return checking;
+    }
+
+    let started = null;
+    /** First health check; throws when no read endpoint is on the right chain and up. */
+    function ready() {
+        if (!started) {
+            started = check().then(() => {
+                if (!reads.some(e => e.state === "ok")) {
+                    started = null;
+                    const reasons = reads.map(e => `${e.label}: ${e.lastError || e.state}`).join("; ");
+                    throw new Error(`No ${name} RPC available (${reasons})`);
+                }
+                if (config.healthMs > 0 && !timer) {
+                    timer = setInterval(check, config.healthMs);
+                    timer.unref();
+                }
+            });
+        }
+        return started;
+    }
+
+    function status() {
+        return endpoints.map(e => ({
+            url: e.label,
+            role: e.role,
+            head: e.head,
+            lag: lagOf(e),
+            latencyMs: e.latencyMs,
+            state: e.state === "ok" && lagOf(e) > config.maxLagBlocks ? "lagging" : e.state,
+            lastError: e.lastError,
+        }));
+    }
+
+    // ───────────────────────────────────────────────────────────────────────
+    // Routing
+    // ───────────────────────────────────────────────────────────────────────
+
+    const isSend = (method, params) => SEND_METHODS.includes(method) ||
+        (method === "eth_getTransactionCount" && params?.[1] === "pending");
+
+    /** Endpoints to try, in order; lagging read endpoints are left out. */
+    function candidates(send) {
+        if (send) {
+            const pool = sends.length > 0 ? sends : reads;
+            return pool.filter(available);
+        }
+        return reads.filter(e => available(e) && lagOf(e) <= config.maxLagBlocks);
+    }
+
+    function lagError() {
+        const lagging = reads.filter(e => available(e) && lagOf(e) > config.maxLagBlocks);
+        if (lagging.length === 0) return null;
+        const error = new Error(`every available ${name} RPC lags more than ${config.maxLagBlocks} blocks behind ${bestHead} (${lagging.map(e => `${e.label} at ${e.head}`).join(", ")})`);
+        error.code = "RPC_LAGGING";
+        return error;
+    }
+
+    async function send(method, params) {
+        await ready();
+        const toSend = isSend(method, params);
+        let lastError = null;
+        for (let round = 0; round <= config.retries; round++) {
+            let list = candidates(toSend);
+            if (list.length === 0 && !toSend && lagError()) {
+                // heads between health checks are only those of the endpoints in use
+                await check();
+                list = candidates(toSend);
+            }
+            if (list.length === 0) {
+                const lagging = toSend ? null : lagError();
+                if (lagging) throw lagging;
+                // all on backoff: wait for the first to come back
+                const pool = toSend && sends.length > 0 ? sends : reads;
+                const next = Math.min(...pool.filter(e => e.state !== "wrong-chain").map(e => e.backoffUntil));
+                if (!Number.isFinite(next)) break;
+                await sleep(Math.max(0, Math.min(next - now(), config.maxBackoffMs)));
+                list = candidates(toSend);
+            }
+            for (const e of list) {
+                const started = now();
+                try {
+                    const result = await e.provider.send(method, params);
+                    succeeded(e, now() - started);
+                    if (method === "eth_blockNumber") noteHead(e, Number(result));
+                    return result;
+                } catch (error) {
+                    // a transaction a previous endpoint accepted before failing
+                    if (method === "eth_sendRawTransaction" && lastError && alreadyKnown(error)) {
+                        return ethers.keccak256(params[0]);
+                    }
+                    const kind = classifyError(error);
+                    if (kind === "fatal") {
+                        succeeded(e);
+                        throw error;
+                    }
+                    failed(e, kind, error);
+                    lastError = error;
+                }
+            }
+        }
+        throw lastError || new Error(`No ${name} RPC available`);
+    }
+
+    // The pool is an ordinary JsonRpcProvider whose requests go through send()
+    const network = ethers.Network.from(id);
+    const provider = new ethers.JsonRpcProvider(undefined, network, { staticNetwork: network, cacheTimeout: -1 });
+    provider.send = send;
+    const destroy = provider.destroy.bind(provider);
+    provider.destroy = () => {
+        clearInterval(timer);
+        endpoints.forEach(e => e.provider.destroy());
+        destroy();
+    };
+    provider.pool = { ready, check, status, endpoints: () => endpoints.map(e => e.url) };
+    return provider;
+}
+
+module.exports = { createProviderPool, classifyError, endpointName, DEFAULTS };
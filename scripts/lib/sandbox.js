@@ -0,0 +1,519 @@
+/**
+ * 🧪 Bot rehearsal sandbox
+ *
+ * Starts a local chain with the mock markets (scripts/lib/mock-protocols.js),
+ * adds one market's bot to a bot engine pointed at it, and plays a scenario
+ * of price shocks while the bot scans and trades, so a bot can be watched
+ * in a controlled world before it goes near mainnet. The result is a
+ * scorecard: when each shock was detected and executed, and what it made.
+ *
+ * Scenario file (JSON):
+ *
+ *   {
+ *     "market": "gnosis-v5",                   gnosis-v4, gnosis-v5, pnk, eth-v1, vlr-v3, aave-v6
+ *     "blocks": 30,                            length (default: last shock + 5)
+ *     "blockMs": 2000,                         wall time per block (default: the chain's)
+ *     "prices": { "GNO": 120 },                token prices the markets start at
+ *     "pools": { "yes": { "depth": 50 } },     per pool: price, depth, fee, rangeFactor
+ *     "shocks": [
+ *       { "block": 10, "pool": "yes", "change": 5 },          price +5%
+ *       { "block": 12, "pool": ["yes", "no"], "change": -3 }
+ *       { "block": 15, "pool": "spot", "price": 118 },        quote per base
+ *       { "block": 20, "pool": "no", "drain": 100 },          remove 100% of the depth
+ *       { "block": 25, "pool": "no", "depth": 100 }           base tokens in the position
+ *     ]
+ *   }
+ *
+ * Pools are named from the market's side ("yes", "no", "spot"; see
+ * MARKET_POOLS) or by their mock-protocols name ("ethSpot", "usdsUsdc", …).
+ * Depths are in base tokens, as in mock-protocols.
+ *
+ * Timeline: the bot runs its own engine loop (engine.start()) with the
+ * pool-log triggers of triggers.js, polling the local node once per block,
+ * so when it scans is up to the bot, as in production. Scenario blocks count
+ * from the finished deployment: every blockMs the sandbox mines a block and
+ * applies that block's shocks (from a deployer account of its own), whose
+ * Swap / Mint / Burn logs are what wakes the bot. Shock and trade
+ * transactions mine blocks of their own, so chain block numbers run ahead of
+ * scenario blocks; the scorecard shows both, and how long after each shock
+ * the bot detected and executed it.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getChain, closeProviders } = require("./chains");
+const { createBotEngine } = require("./bot-engine");
+const { openLedger } = require("./ledger");
+const { getPriceOracle } = require("./oracle");
+const { createTriggers } = require("./triggers");
+const { quietly } = require("./backtest");
+const {
+    startLocalNode, deployGnosisMarkets, deployMainnetMarkets, poolPrice, setPoolPrice, setPoolDepth,
+} = require("./mock-protocols");
+
+// Blocks run after the last shock when the scenario sets no length
+const DEFAULT_TAIL_BLOCKS = 5;
+
+// Blocks waited after the last one for the bot to finish reacting
+const SETTLE_BLOCKS = 2;
+
+// Default accounts: the bot trades from the first, shocks come from the second
+const BOT_ACCOUNT = 0;
+const DEPLOYER_ACCOUNT = 1;
+
+const SHOCK_ACTIONS = ["change", "price", "depth", "drain"];
+
+// Market → chain and its pools by role (mock-protocols pool names)
+const MARKET_POOLS = {
+    "gnosis-v5": { chainId: 100, pools: { yes: "yes", no: "no", spot: "spot" } },
+    "gnosis-v4": { chainId: 100, pools: { yes: "yes", no: "no" } },
+    pnk: { chainId: 100, pools: { yes: "pnkYes", no: "pnkNo" } },
+    "eth-v1": { chainId: 1, pools: { yes: "ethYes", no: "ethNo", spot: "ethSpot" } },
+    "vlr-v3": { chainId: 1, pools: { yes: "vlrYes", no: "vlrNo", spot: "vlrUsdc" } },
+    "aave-v6": { chainId: 1, pools: { yes: "aaveYes", no: "aaveNo", spot: "aaveWeth" } },
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCENARIOS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validate a scenario object: shocks sorted by block, pool names as lists,
+ * `blocks` filled in. Throws listing every problem.
+ */
+function parseScenario(raw, name = "scenario") {
+    const problems = [];
+    if (!raw || typeof raw !== "object") throw new Error(`${name}: not a JSON object`);
+    if (!MARKET_POOLS[raw.market]) {
+        problems.push(`market "${raw.market}" is not one of ${Object.keys(MARKET_POOLS).join(", ")}`);
+    }
+
+    const shocks = (raw.shocks || []).map((shock, i) => {
+        const where = `shocks[${i}]`;
+        if (!Number.isInteger(shock.block) || shock.block < 1) problems.push(`${where}: block must be a positive integer`);
+        const pools = [].concat(shock.pool ?? []);
+        if (pools.length === 0 || pools.some(p => typeof p !== "string")) problems.push(`${where}: pool must be a name or a list of names`);
+        const actions = SHOCK_ACTIONS.filter(action => shock[action] !== undefined);
+        if (actions.length !== 1) {
+            problems.push(`${where}: needs exactly one of ${SHOCK_ACTIONS.join(", ")}`);
+        } else if (typeof shock[actions[0]] !== "number" || !Number.isFinite(shock[actions[0]])) {
+            problems.push(`${where}: ${actions[0]} must be a number`);
+        } else if (actions[0] === "drain" && !(shock.drain >= 0 && shock.drain <= 100)) {
+            problems.push(`${where}: drain is a percentage (0-100)`);
+        } else if (actions[0] === "price" && !(shock.price > 0)) {
+            problems.push(`${where}: price must be positive`);
+        } else if (actions[0] === "change" && !(shock.change > -100)) {
+            problems.push(`${where}: change must be above -100%`);
+        } else if (actions[0] === "depth" && !(shock.depth >= 0)) {
+            problems.push(`${where}: depth must not be negative`);
+        }
+        return { ...shock, pool: pools, action: actions[0] };
+    }).sort((a, b) => a.block - b.block);
+
+    const lastShock = shocks.length > 0 ? shocks[shocks.length - 1].block : 0;
+    const blocks = raw.blocks ?? lastShock + DEFAULT_TAIL_BLOCKS;
+    if (!Number.isInteger(blocks) || blocks < 1) problems.push("blocks must be a positive integer");
+    else if (blocks < lastShock) problems.push(`blocks (${blocks}) ends before the last shock (block ${lastShock})`);
+
+    if (raw.blockMs !== undefined && !(Number.isInteger(raw.blockMs) && raw.blockMs > 0)) {
+        problems.push("blockMs must be a positive integer (milliseconds)");
+    }
+
+    if (problems.length > 0) throw new Error(`${name}: ${problems.join("; ")}`);
+    return {
+        name,
+        market: raw.market,
+        blocks,
+        blockMs: raw.blockMs,
+        prices: raw.prices || {},
+        pools: raw.pools || {},
+        shocks,
+    };
+}
+
+/** Read and validate a scenario file; it is named after the file. */
+function readScenario(file) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+        throw new Error(`${file}: ${e.message}`);
+    }
+    return parseScenario(raw, path.basename(file, ".json"));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WORLD
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** mock-protocols pool name for a scenario pool name (role or pool name). */
+function resolvePool(world, marketId, name) {
+    const resolved = MARKET_POOLS[marketId].pools[name] || name;
+    if (!world.pools[resolved]) {
+        const roles = Object.keys(MARKET_POOLS[marketId].pools);
+        throw new Error(`Unknown pool "${name}" (${marketId} roles: ${roles.join(", ")}; pools: ${Object.keys(world.pools).join(", ")})`);
+    }
+    return resolved;
+}
+
+/** Deploy the scenario market's chain with the scenario's prices and pools. */
+async function deployWorld(node, scenario) {
+    const { chainId, pools: roles } = MARKET_POOLS[scenario.market];
+    const pools = Object.fromEntries(Object.entries(scenario.pools).map(([name, spec]) => [roles[name] || name, spec]));
+    const signer = await node.provider.getSigner(DEPLOYER_ACCOUNT);
+    const world = chainId === 100
+        ? await deployGnosisMarkets(signer, { prices: scenario.prices, pools })
+        // The mainnet contracts only trade for their admin: the bot's account
+        : await deployMainnetMarkets(signer, { prices: scenario.prices, pools, admin: await node.provider.getSigner(BOT_ACCOUNT) });
+
+    // An override that matched no pool is a typo, not a default
+    for (const name of Object.keys(pools)) resolvePool(world, scenario.market, name);
+    return world;
+}
+
+/** Apply one shock; returns a line per pool describing the move. */
+async function applyShock(world, marketId, shock) {
+    const lines = [];
+    for (const name of shock.pool) {
+        const poolName = resolvePool(world, marketId, name);
+        const pool = world.pools[poolName];
+        if (shock.action === "change" || shock.action === "price") {
+            const before = await poolPrice(world, poolName);
+            const price = shock.action === "price" ? shock.price : before * (1 + shock.change / 100);
+            await setPoolPrice(world, poolName, price);
+            const after = await poolPrice(world, poolName);
+            const pct = (after / before - 1) * 100;
+            lines.push(`${name} price ${formatNumber(before)} → ${formatNumber(after)} ${pool.quote.symbol}/${pool.base.symbol}` +
+                ` (${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%)`);
+        } else {
+            const before = pool.depth;
+            const depth = shock.action === "depth" ? shock.depth : before * (1 - shock.drain / 100);
+            await setPoolDepth(world, poolName, depth);
+            lines.push(`${name} depth ${formatNumber(before)} → ${formatNumber(depth)} ${pool.base.symbol}`);
+        }
+    }
+    return lines;
+}
+
+/**
+ * Point the chain's RPC variables at the node and the bot key at its first
+ * account; returns a restore().
+ */
+function useLocalNode(node) {
+    const chain = getChain(node.chainId);
+    const env = { PUBLIC_RPC: "false", PRIVATE_KEY: node.accountKey(BOT_ACCOUNT) };
+    for (const name of [...chain.rpcEnv, ...chain.sendEnv, ...chain.wsEnv]) env[name] = undefined;
+    env[chain.rpcEnv[0]] = node.url;
+
+    const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+    const apply = values => {
+        for (const [name, value] of Object.entries(values)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    };
+    apply(env);
+    return () => apply(saved);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RUN
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Did the scan find an opportunity above its threshold (sent or not)? */
+function detected(summary) {
+    return Boolean(summary && summary.bestOpportunity && summary.action !== "none");
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+
+/** One line describing how the engine schedules the market's scans. */
+function describeLoop(adapter, blockMs) {
+    const trigger = adapter && adapter.trigger;
+    if (!trigger) return `interval scans every ${adapter.market.scanIntervalMs / 1000}s (no triggers)`;
+    const { maxIdleMs } = trigger.status();
+    return `${Object.keys(trigger.pools).join(", ")} pool-log triggers, polled every ${blockMs / 1000}s,` +
+        ` idle scan every ${Math.round(trigger.idleMs() / 1000)}s (max idle ${maxIdleMs / 1000}s)`;
+}
+
+/**
+ * Run a scenario against its market's bot on a fresh local chain.
+ * @param {object} options
+ * @param {object} options.scenario   parseScenario() / readScenario() result
+ * @param {string} options.logDir     the bot's JSON logs and <logDir>/sandbox.sqlite
+ *                                    ledger (rewritten each run)
+ * @param {boolean} [options.confirm] send trades (default true; false = dry run)
+ * @param {number} [options.blockMs]  wall time per scenario block (default: the scenario's)
+ * @param {boolean} [options.verbose] keep the engine's console output
+ * @param {Function} [options.log]    progress lines: shocks and trades as they happen
+ *                                    (default console.log, kept when the engine is silenced)
+ * @returns {Promise<object>} scorecard (see summarize)
+ */
+async function runSandbox(options) {
+    const { scenario } = options;
+    const log = options.log || console.log;
+    const run = fn => (options.verbose ? fn() : quietly(fn));
+    const { chainId } = MARKET_POOLS[scenario.market];
+    const blockMs = options.blockMs ?? scenario.blockMs ?? getChain(chainId).blockTimeMs;
+
+    const node = await startLocalNode({ chainId });
+    const restoreEnv = useLocalNode(node);
+    // The chain's shared oracle may hold prices read from an earlier world
+    getPriceOracle(chainId).clear();
+    fs.mkdirSync(options.logDir, { recursive: true });
+    const ledgerFile = path.join(options.logDir, "sandbox.sqlite");
+    for (const suffix of ["", "-wal", "-shm"]) fs.rmSync(ledgerFile + suffix, { force: true });
+    const ledger = openLedger(ledgerFile);
+    let triggers = null;
+
+    try {
+        return await run(async () => {
+            const world = await deployWorld(node, scenario);
+            const market = { ...world.markets[scenario.market], heartbeatFile: undefined };
+
+            // The bot's own loop: scans on its pools' logs, polled once per block
+            triggers = createTriggers({ pollMs: blockMs });
+            const engine = createBotEngine({
+                markets: [market],
+                confirm: options.confirm ?? true,
+                logDir: options.logDir,
+                ledger,
+                heartbeat: false,
+                postmortems: false,
+                triggers,
+            });
+            const blocks = [];
+            const scans = [];
+            const trades = [];
+            const errors = [];
+            const scanErrors = [];
+            engine.on("scan", summary => scans.push(summary));
+            engine.on("scan-error", ({ error }) => scanErrors.push({ at: Date.now(), error: (error.shortMessage || error.message).slice(0, 200) }));
+            engine.on("trade", t => {
+                trades.push({ ...t, at: Date.now() });
+                const profit = t.realizedProfit ?? t.profit ?? 0;
+                log(`   block ${String(blocks.length).padStart(3)}: ${t.status === "success" ? "✅" : "❌"} ${t.strategy} ${t.amount} ${t.unit} → ${profit.toFixed(6)}`);
+            });
+            engine.on("trade-error", t => {
+                errors.push({ ...t, at: Date.now() });
+                log(`   block ${String(blocks.length).padStart(3)}: ❌ ${t.error}`);
+            });
+
+            const started = engine.start();
+            await Promise.race([new Promise(resolve => engine.once("start", resolve)), started]);
+            const loop = describeLoop(engine.adapters.get(market.id), blockMs);
+            log(`   Bot loop: ${loop}`);
+
+            const startBlock = await node.provider.getBlockNumber();
+            let next = Date.now();
+            for (let block = 1; block <= scenario.blocks; block++) {
+                next += blockMs;
+                await sleep(next - Date.now());
+                await node.request("evm_mine");
+                const entry = { block, chainBlock: await node.provider.getBlockNumber(), at: Date.now(), shocks: [], shockBlock: null, shockedAt: null };
+                for (const shock of scenario.shocks.filter(s => s.block === block)) {
+                    entry.shocks.push(...await applyShock(world, scenario.market, shock));
+                }
+                if (entry.shocks.length > 0) {
+                    entry.shockBlock = await node.provider.getBlockNumber();
+                    entry.shockedAt = Date.now();
+                    log(`   block ${String(block).padStart(3)}: ⚡ ${entry.shocks.join(" | ")}`);
+                }
+                blocks.push(entry);
+            }
+            // Let the bot react to the last shock before stopping it
+            await sleep(SETTLE_BLOCKS * blockMs);
+            engine.stop();
+            await started;
+
+            return summarize({ scenario, chainId, blockMs, loop, startBlock, blocks, scans, trades, errors, scanErrors });
+        });
+    } finally {
+        if (triggers) triggers.close();
+        ledger.close();
+        restoreEnv();
+        // The bot's RPC pool would keep health-checking the stopped node
+        closeProviders(chainId);
+        await node.close();
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCORECARD
+// ═══════════════════════════════════════════════════════════════════════════
+
+function addProfit(totals, trade) {
+    if (trade.status === "success") totals[trade.unit] = (totals[trade.unit] || 0) + trade.profit;
+}
+
+/**
+ * Scorecard: totals, the timeline by scenario block, and per shock block the
+ * first scan (up to the next shock) that detected an opportunity after the
+ * shock landed and the first trade that mined after it, with the wall time
+ * from the shock to the start of that scan and to the trade.
+ */
+function summarize({ scenario, chainId, blockMs, loop, startBlock, blocks, scans, trades, errors, scanErrors }) {
+    // Scenario block a chain block or a wall-clock time falls in (0: before the first)
+    const blockAt = chainBlock => blocks.filter(e => e.chainBlock <= chainBlock).pop()?.block ?? 0;
+    const blockWhen = at => blocks.filter(e => e.at <= at).pop()?.block ?? 0;
+
+    const scanRecords = scans.map(s => ({
+        block: blockAt(s.block),
+        chainBlock: s.block,
+        // When the scan started: a scan that trades reports after its trade
+        at: Date.parse(s.timestamp),
+        divergence: s.divergence,
+        opportunity: s.bestOpportunity || null,
+        detected: detected(s),
+        action: s.action,
+    }));
+    const tradeRecords = trades.map(t => ({
+        block: t.blockNumber ? blockAt(t.blockNumber) : blockWhen(t.at),
+        chainBlock: t.blockNumber ?? null,
+        at: t.at,
+        strategy: t.strategy,
+        status: t.status,
+        amount: t.amount,
+        unit: t.unit,
+        profit: t.realizedProfit ?? t.profit ?? 0,
+        gasUsed: t.gasUsed,
+        txHash: t.txHash,
+    }));
+    const errorRecords = [
+        ...errors.map(t => ({ block: blockWhen(t.at), error: `trade: ${t.error}` })),
+        ...scanErrors.map(e => ({ block: blockWhen(e.at), error: `scan: ${e.error}` })),
+    ];
+
+    const pnl = {};
+    let gasUsed = 0n;
+    for (const t of tradeRecords) {
+        addProfit(pnl, t);
+        gasUsed += BigInt(t.gasUsed || 0);
+    }
+
+    const shockEntries = blocks.filter(e => e.shocks.length > 0);
+    const shocks = shockEntries.map((entry, i) => {
+        const until = shockEntries[i + 1]?.block ?? Infinity;
+        const inWindow = r => r.block < until;
+        const windowScans = scanRecords.filter(s => s.chainBlock >= entry.shockBlock && inWindow(s));
+        const windowTrades = tradeRecords.filter(t => t.at >= entry.shockedAt && inWindow(t));
+        const detection = windowScans.find(s => s.detected);
+        const execution = windowTrades.find(t => t.status === "success");
+        const profit = {};
+        windowTrades.forEach(t => addProfit(profit, t));
+        let outcome = "not detected";
+        if (execution) outcome = "executed";
+        else if (detection) outcome = `detected, not executed: ${detection.action}`;
+        return {
+            block: entry.block,
+            chainBlock: entry.shockBlock,
+            moves: entry.shocks,
+            scans: windowScans.length,
+            detectedAt: detection ? detection.block : null,
+            detectedAfterMs: detection ? detection.at - entry.shockedAt : null,
+            executedAt: execution ? execution.block : null,
+            executedAfterMs: execution ? execution.at - entry.shockedAt : null,
+            trades: windowTrades.length,
+            profit,
+            outcome,
+        };
+    });
+
+    const timeline = blocks.map(e => ({
+        block: e.block,
+        chainBlock: e.chainBlock,
+        shocks: e.shocks,
+        scans: scanRecords.filter(s => s.block === e.block),
+        trades: tradeRecords.filter(t => t.block === e.block),
+        errors: errorRecords.filter(r => r.block === e.block).map(r => r.error),
+    }));
+
+    const count = status => tradeRecords.filter(t => t.status === status).length;
+    return {
+        scenario: scenario.name,
+        market: scenario.market,
+        chainId,
+        blocks: scenario.blocks,
+        blockMs,
+        loop,
+        chainBlocks: [startBlock + 1, blocks.length > 0 ? Math.max(blocks[blocks.length - 1].chainBlock, ...tradeRecords.map(t => t.chainBlock || 0)) : startBlock],
+        scans: scanRecords.length,
+        scanErrors: scanErrors.length,
+        detections: scanRecords.filter(s => s.detected).length,
+        trades: {
+            total: tradeRecords.length,
+            success: count("success"),
+            failed: count("failed"),
+            cancelled: count("cancelled"),
+            errors: errors.length,
+        },
+        pnl,
+        gas: { used: gasUsed.toString(), symbol: getChain(chainId).nativeSymbol },
+        shocks,
+        timeline,
+    };
+}
+
+function formatNumber(value) {
+    if (value === 0) return "0";
+    return Math.abs(value) >= 1000 || Math.abs(value) < 0.001 ? value.toPrecision(6) : Number(value.toFixed(6)).toString();
+}
+
+const formatMs = ms => `+${(ms / 1000).toFixed(1)}s`;
+
+/** Human-readable scorecard lines. */
+function formatScorecard(card) {
+    const fmt = obj => Object.entries(obj).map(([unit, v]) => `${v.toFixed(6)} ${unit}`).join(", ") || "0";
+    const t = card.trades;
+    const lines = [
+        `🧪 SANDBOX ${card.market} | scenario ${card.scenario} | ${card.blocks} blocks of ${card.blockMs / 1000}s` +
+            ` (chain ${card.chainId}, blocks ${card.chainBlocks[0]}–${card.chainBlocks[1]})`,
+        "=".repeat(60),
+        `Bot loop:         ${card.loop}`,
+        `Scans:            ${card.scans}` + (card.scanErrors ? ` (${card.scanErrors} failed)` : ""),
+        `Detected:         ${card.detections} scans above threshold`,
+        `Trades:           ${t.total} (${t.success} success, ${t.failed} reverted` +
+            (t.cancelled ? `, ${t.cancelled} cancelled` : "") + (t.errors ? `, ${t.errors} send errors` : "") + ")",
+        `Realized PnL:     ${fmt(card.pnl)}`,
+        `Gas:              ${card.gas.used} gas`,
+    ];
+
+    if (card.shocks.length > 0) lines.push("", "Shocks:");
+    for (const s of card.shocks) {
+        lines.push(`   [${s.block}] ${s.moves.join("; ")}`);
+        const when = [
+            s.detectedAt !== null ? `detected at ${s.detectedAt} (${formatMs(s.detectedAfterMs)})` : null,
+            s.executedAt !== null ? `executed at ${s.executedAt} (${formatMs(s.executedAfterMs)})` : null,
+        ].filter(Boolean).join(", ");
+        lines.push(`        ${s.outcome === "executed" ? "✅" : s.detectedAt !== null ? "🟡" : "⚪"} ${s.outcome}` +
+            (when && s.outcome !== "not detected" ? ` (${when})` : "") +
+            ` | ${s.scans} scan${s.scans === 1 ? "" : "s"}` +
+            (s.trades ? `, ${s.trades} trade${s.trades === 1 ? "" : "s"}, ${fmt(s.profit)}` : ""));
+    }
+
+    const notable = card.timeline.filter(e => e.shocks.length > 0 || e.scans.length > 0 || e.trades.length > 0 || e.errors.length > 0);
+    if (notable.length > 0) lines.push("", "Timeline:");
+    for (const e of notable) {
+        const parts = [`   ${String(e.block).padStart(4)} (chain ${e.chainBlock})`];
+        if (e.shocks.length > 0) parts.push(`⚡ ${e.shocks.length} move${e.shocks.length === 1 ? "" : "s"}`);
+        for (const s of e.scans) {
+            const scan = [`scan @${s.chainBlock}`];
+            if (s.divergence !== undefined) scan.push(`div ${(s.divergence * 100).toFixed(2)}%`);
+            if (s.opportunity) scan.push(`${s.opportunity.strategy} ${s.opportunity.amount} ${s.opportunity.unit} → net ${s.opportunity.netProfit.toFixed(6)}`);
+            if (s.action && s.action !== "none") scan.push(s.action);
+            parts.push(scan.join(" "));
+        }
+        for (const trade of e.trades) parts.push(`${trade.status === "success" ? "✅" : "❌"} ${trade.strategy} → ${trade.profit.toFixed(6)} ${trade.unit}`);
+        for (const error of e.errors) parts.push(`⚠️  ${error}`);
+        lines.push(parts.join(" | "));
+    }
+    return lines.join("\n");
+}
+
+module.exports = {
+    MARKET_POOLS,
+    parseScenario,
+    readScenario,
+    runSandbox,
+    formatScorecard,
+};
@@ -0,0 +1,248 @@
+/**
+ * Read-only HTTP/JSON status API for a running bot engine.
+ *
+ * Keeps what the engine reports in memory (the last scan of each market, the
+ * last N simulations, trade counts) and serves it with the markets' config
+ * and in-flight transactions. Nothing here writes or sends anything; by
+ * default it binds to 127.0.0.1.
+ *
+ *   GET /api/status                      mode, uptime, markets, RPC endpoints per chain
+ *   GET /api/markets                     one line per market: last scan, pending, session PnL
+ *   GET /api/markets/:id                 everything below for one market
+ *   GET /api/markets/:id/simulations     last simulations (?limit=N)
+ *   GET /api/markets/:id/pending         in-flight transactions
+ *   GET /api/prices                      latest prices and divergence, oracle verdicts
+ *   GET /api/pnl                         session profit and trade counts
+ *   GET /api/config                      config in effect (env overrides applied,
+ *                                        URLs reduced to their host)
+ *
+ * Usage:
+ *   const api = await startStatusServer(engine, { port: 8080 });
+ *   curl http://127.0.0.1:8080/api/markets
+ *
+ *   STATUS_PORT=8080 node scripts/arb-bots.js      (runBots starts it)
+ */
+
+const http = require("http");
+const { endpointName } = require("./rpc-pool");
+
+const DEFAULT_HISTORY = 50;
+
+// JSON with bigints (fees, raw amounts) as strings and Errors as messages
+function toJson(value) {
+    return JSON.stringify(value, (_, v) => {
+        if (typeof v === "bigint") return v.toString();
+        if (v instanceof Error) return v.shortMessage || v.message;
+        return v;
+    }, 2);
+}
+
+/**
+ * Market config as served: URLs are reduced to their host, as in the RPC
+ * pool's logs. Credentials and query strings are not the only place for API
+ * keys: Alchemy and Infura put theirs in the path.
+ */
+function publicConfig(market) {
+    return JSON.parse(JSON.stringify(market, (_, v) => {
+        if (typeof v === "bigint") return v.toString();
+        if (typeof v !== "string" || !/^(https?|wss?):\/\//.test(v)) return v;
+        return endpointName(v);
+    }));
+}
+
+/**
+ * Subscribe to the engine and answer API paths.
+ * @param {EventEmitter} engine   createBotEngine() result
+ * @param {object} [options]      { history: simulations kept per market (default 50), now }
+ * @returns {{ handle: (url: string) => Promise<{ status, body }> }}
+ */
+function createStatusApi(engine, options = {}) {
+    const history = options.history ?? DEFAULT_HISTORY;
+    const now = options.now || Date.now;
+    let startedAt = null;
+    const scans = new Map();        // market id → last scan summary
+    const errors = new Map();       // market id → { timestamp, error } of the last failed scan
+    const simulations = new Map();  // market id → last `history` simulations, newest first
+    const trades = new Map();       // market id → { submitted, success, failed, cancelled, errors }
+
+    const tradeCounts = id => {
+        if (!trades.has(id)) trades.set(id, { submitted: 0, success: 0, failed: 0, cancelled: 0, errors: 0 });
+        return trades.get(id);
+    };
+
+    engine.on("start", () => { startedAt = new Date(now()).toISOString(); });
+    engine.on("scan", s => scans.set(s.market, s));
+    engine.on("scan-error", e => errors.set(e.market, { timestamp: new Date(now()).toISOString(), error: e.error }));
+    engine.on("simulation", s => {
+        const list = simulations.get(s.market) || [];
+        list.unshift(s);
+        simulations.set(s.market, list.slice(0, history));
+    });
+    engine.on("trade-submitted", t => tradeCounts(t.market).submitted++);
+    engine.on("trade-error", t => tradeCounts(t.market).errors++);
+    engine.on("trade", t => {
+        const counts = tradeCounts(t.market);
+        if (counts[t.status] !== undefined) counts[t.status]++;
+    });
+    engine.on("market-removed", m => {
+        scans.delete(m.market);
+        errors.delete(m.market);
+        simulations.delete(m.market);
+    });
+
+    // ───────────────────────────────────────────────────────────────────────
+    // Views
+    // ───────────────────────────────────────────────────────────────────────
+
+    const pendingOf = adapter => (adapter.txManager ? adapter.txManager.pending() : []);
+
+    function lastScan(id) {
+        const s = scans.get(id);
+        if (!s) return null;
+        const { market, type, prices, pendingTxs, ...rest } = s;
+        return rest;
+    }
+
+    function marketLine(adapter) {
+        return {
+            id: adapter.id,
+            label: adapter.label,
+            adapter: adapter.market.adapter,
+            chainId: adapter.market.chainId,
+            proposal: adapter.market.proposalAddress ?? null,
+            contract: adapter.market.contractAddress || null,
+            signer: adapter.signer?.address ?? null,
+            canExecute: Boolean(adapter.canExecute),
+            scanIntervalMs: adapter.market.scanIntervalMs,
+            trigger: adapter.trigger ? adapter.trigger.status() : null,
+            lastScan: lastScan(adapter.id),
+            lastError: errors.get(adapter.id) ?? null,
+            pending: pendingOf(adapter).length,
+            session: engine.sessions.get(adapter.id) || {},
+        };
+    }
+
+    function pricesOf(adapter) {
+        const s = scans.get(adapter.id);
+        return {
+            timestamp: s?.timestamp ?? null,
+            block: s?.block ?? null,
+            prices: s?.prices ?? null,
+            divergence: s?.divergence ?? null,
+        };
+    }
+
+    function oracles() {
+        const byChain = {};
+        for (const adapter of engine.adapters.values()) {
+            if (adapter.oracle?.report && !byChain[adapter.market.chainId]) byChain[adapter.market.chainId] = adapter.oracle.report();
+        }
+        return byChain;
+    }
+
+    function rpcs() {
+        const byChain = {};
+        for (const adapter of engine.adapters.values()) {
+            if (adapter.provider?.pool && !byChain[adapter.market.chainId]) byChain[adapter.market.chainId] = adapter.provider.pool.status();
+        }
+        return byChain;
+    }
+
+    const routes = [
+        [/^\/api\/?$/, () => ({
+            routes: ["/api/status", "/api/markets", "/api/markets/:id", "/api/markets/:id/simulations",
+                "/api/markets/:id/pending", "/api/prices", "/api/pnl", "/api/config"],
+        })],
+        [/^\/api\/status$/, () => ({
+            mode: engine.confirm ? "live" : "dry-run",
+            running: Boolean(engine.running),
+            startedAt,
+            uptimeSec: startedAt ? Math.round((now() - new Date(startedAt).getTime()) / 1000) : 0,
+            markets: [...engine.adapters.keys()],
+            rpc: rpcs(),
+        })],
+        [/^\/api\/markets$/, () => [...engine.adapters.values()].map(marketLine)],
+        [/^\/api\/markets\/([^/]+)$/, (adapter, query) => ({
+            ...marketLine(adapter),
+            ...pricesOf(adapter),
+            pendingTxs: pendingOf(adapter),
+            trades: tradeCounts(adapter.id),
+            simulations: (simulations.get(adapter.id) || []).slice(0, query.limit),
+            config: publicConfig(adapter.market),
+        })],
+        [/^\/api\/markets\/([^/]+)\/simulations$/, (adapter, query) => (simulations.get(adapter.id) || []).slice(0, query.limit)],
+        [/^\/api\/markets\/([^/]+)\/pending$/, adapter => pendingOf(adapter)],
+        [/^\/api\/prices$/, () => ({
+            markets: Object.fromEntries([...engine.adapters.values()].map(a => [a.id, pricesOf(a)])),
+            oracles: oracles(),
+        })],
+        [/^\/api\/pnl$/, () => Object.fromEntries([...engine.adapters.keys()].map(id => [id, {
+            session: engine.sessions.get(id) || {},
+            trades: tradeCounts(id),
+        }]))],
+        [/^\/api\/config$/, () => ({
+            confirm: Boolean(engine.confirm),
+            markets: Object.fromEntries([...engine.adapters.values()].map(a => [a.id, publicConfig(a.market)])),
+        })],
+    ];
+
+    /** Route one GET; unknown paths and markets are 404s. */
+    async function handle(url) {
+        const { pathname, searchParams } = new URL(url, "http://localhost");
+        const limit = Number(searchParams.get("limit"));
+        const query = { limit: limit > 0 ? limit : history };
+        for (const [pattern, view] of routes) {
+            const match = pathname.match(pattern);
+            if (!match) continue;
+            if (match[1] === undefined) return { status: 200, body: view(null, query) };
+            const adapter = engine.adapters.get(decodeURIComponent(match[1]));
+            if (!adapter) return { status: 404, body: { error: `unknown market ${match[1]}` } };
+            return { status: 200, body: view(adapter, query) };
+        }
+        return { status: 404, body: { error: `no route ${pathname}, see /api` } };
+    }
+
+    return { handle };
+}
+
+/**
+ * Serve the status API on http://host:port/api.
+ * @param {EventEmitter} engine
+ * @param {object} [options]  { port (0 = any free), host (default 127.0.0.1), history }
+ * @returns {Promise<{ url, port, api, close() }>}
+ */
+async function startStatusServer(engine, options = {}) {
+    const api = createStatusApi(engine, options);
+    const server = http.createServer(async (req, res) => {
+        const headers = { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" };
+        if (req.method !== "GET") {
+            res.writeHead(405, headers);
+            res.end(toJson({ error: "read-only API: GET only" }));
+            return;
+        }
+        try {
+            const { status, body } = await api.handle(req.url);
+            res.writeHead(status, headers);
+            res.end(toJson(body));
+        } catch (e) {
+            res.writeHead(500, headers);
+            res.end(toJson({ error: e.message }));
+        }
+    });
+
+    const host = options.host || "127.0.0.1";
+    // A taken port rejects instead of crashing the process
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(options.port || 0, host, resolve);
+    });
+    const { port } = server.address();
+    return {
+        url: `http://${host}:${port}/api`,
+        port,
+        api,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+module.exports = { createStatusApi, startStatusServer };
@@ -0,0 +1,229 @@
+/**
+ * Transaction submission: public mempool or private relay bundles.
+ *
+ * adapter.execute() hands the populated executeArbitrage request to the
+ * market's submitter instead of sending it from the signer directly. Markets
+ * pick a mode with "submission" in markets/*.json:
+ *
+ *   "submission": {
+ *       "mode": "relay",                        "public" (default) | "relay"
+ *       "relayUrl": "https://relay.flashbots.net",
+ *       "targetBlocks": 3,                      blocks to try before giving up
+ *       "allowPublicFallback": false            broadcast publicly if never included
+ *   }
+ *
+ * Relay mode speaks the Flashbots-style bundle JSON-RPC: every target block
+ * N+1..N+targetBlocks the signed tx is first simulated (eth_callBundle) and,
+ * if it does not revert, sent as a one-tx bundle for that block
+ * (eth_sendBundle). A simulated revert aborts the trade: the opportunity is
+ * gone and the public mempool would only burn gas. If no target block
+ * includes it (or the relay is unreachable) the trade fails with
+ * RELAY_NOT_INCLUDED, unless the public fallback is explicitly allowed.
+ *
+ * Requests are signed with X-Flashbots-Signature by RELAY_AUTH_KEY (a
+ * reputation key that holds no funds; a throwaway key when unset).
+ *
+ * Env overrides: SUBMISSION=public|relay, RELAY_URL, ALLOW_PUBLIC_FALLBACK=true.
+ * They apply only to markets that declare a "submission" block, so pointing
+ * the Mainnet markets at another relay leaves the Gnosis markets public.
+ * scripts/lib/mock-relay.js serves the same API locally for tests.
+ */
+
+const { ethers } = require("ethers");
+const { createTxManager } = require("./tx-manager");
+
+const DEFAULT_TARGET_BLOCKS = 3;
+const DEFAULT_POLL_MS = 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function submissionError(message, code, extra = {}) {
+    return Object.assign(new Error(message), { code, ...extra });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RELAY CLIENT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Header value the relay checks: signer address and signature of the body hash. */
+async function signRelayBody(authSigner, body) {
+    return `${authSigner.address}:${await authSigner.signMessage(ethers.id(body))}`;
+}
+
+/**
+ * Minimal bundle relay JSON-RPC client.
+ * @param {string} url
+ * @param {ethers.Wallet} authSigner   signs every request body
+ */
+function createRelayClient(url, authSigner = ethers.Wallet.createRandom()) {
+    let nextId = 1;
+
+    async function call(method, params) {
+        const body = JSON.stringify({ jsonrpc: "2.0", id: nextId++, method, params });
+        const response = await fetch(url, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "X-Flashbots-Signature": await signRelayBody(authSigner, body),
+            },
+            body,
+        });
+        let json = null;
+        try {
+            json = await response.json();
+        } catch (_) { /* non-JSON error page */ }
+        if (json && json.error) {
+            throw submissionError(`${method}: ${json.error.message || JSON.stringify(json.error)}`, "RELAY_ERROR");
+        }
+        if (!response.ok || !json) throw submissionError(`${method}: HTTP ${response.status}`, "RELAY_ERROR");
+        return json.result;
+    }
+
+    return {
+        url,
+        authAddress: authSigner.address,
+        call,
+
+        /** Simulate the bundle on top of the state before blockNumber. */
+        callBundle(txs, blockNumber) {
+            return call("eth_callBundle", [{
+                txs,
+                blockNumber: ethers.toQuantity(blockNumber),
+                stateBlockNumber: "latest",
+            }]);
+        },
+
+        /** Submit the bundle for inclusion in exactly blockNumber. */
+        sendBundle(txs, blockNumber) {
+            return call("eth_sendBundle", [{ txs, blockNumber: ethers.toQuantity(blockNumber) }]);
+        },
+    };
+}
+
+/** First reverting tx of an eth_callBundle result, or null. */
+function bundleRevert(simulation) {
+    for (const result of simulation?.results || []) {
+        if (result.error || result.revert) return result;
+    }
+    return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SUBMITTERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** The subset of TransactionResponse the engine uses, for a hash we signed ourselves. */
+function submittedTx(provider, hash, via, targetBlock = null) {
+    return {
+        hash,
+        via,
+        targetBlock,
+        wait: (confirms = 1, timeout) => provider.waitForTransaction(hash, confirms, timeout),
+    };
+}
+
+/** Effective submission config: market "submission" plus env overrides, public without one. */
+function resolveSubmissionConfig(config) {
+    if (!config) return { mode: "public" };
+    const resolved = { ...config };
+    if (process.env.SUBMISSION) resolved.mode = process.env.SUBMISSION;
+    if (process.env.RELAY_URL) resolved.relayUrl = process.env.RELAY_URL;
+    if (process.env.ALLOW_PUBLIC_FALLBACK === "true") resolved.allowPublicFallback = true;
+    resolved.mode = resolved.mode || "public";
+    return resolved;
+}
+
+/**
+ * @param {ethers.Signer} signer     connected signer (its provider watches blocks)
+ * @param {object} config            market "submission" (see file header)
+ * @param {object} options           { txManager (nonces, fee bumps; see tx-manager.js),
+ *                                    authSigner, pollMs, log }
+ * @returns {{ mode, txManager, send(request) }} send resolves to { hash, via, wait() };
+ *          publicly sent txs also have settle() (tx-manager.js)
+ */
+function createSubmitter(signer, config, options = {}) {
+    const settings = resolveSubmissionConfig(config);
+    const log = options.log || console.log;
+    const txManager = options.txManager || createTxManager(signer, { log });
+
+    if (settings.mode === "public") {
+        return {
+            mode: "public",
+            txManager,
+            send: request => txManager.send(request),
+        };
+    }
+    if (settings.mode !== "relay") throw new Error(`Unknown submission mode "${settings.mode}"`);
+    if (!settings.relayUrl) throw new Error("submission mode \"relay\" needs a relayUrl (or RELAY_URL)");
+
+    const authSigner = options.authSigner
+        || (process.env.RELAY_AUTH_KEY ? new ethers.Wallet(process.env.RELAY_AUTH_KEY) : ethers.Wallet.createRandom());
+    const relay = createRelayClient(settings.relayUrl, authSigner);
+    const targetBlocks = settings.targetBlocks || DEFAULT_TARGET_BLOCKS;
+    const pollMs = options.pollMs ?? DEFAULT_POLL_MS;
+
+    async function waitForBlock(provider, blockNumber) {
+        while (await provider.getBlockNumber() < blockNumber) await sleep(pollMs);
+    }
+
+    async function fallback(provider, prepared, raw, hash, reason) {
+        if (!settings.allowPublicFallback) throw submissionError(reason, "RELAY_NOT_INCLUDED", { txHash: hash });
+        log(`   ⚠️  ${reason}; falling back to the public mempool`);
+        await provider.broadcastTransaction(raw);
+        return txManager.track(prepared, hash, "public");
+    }
+
+    async function sendBundles(prepared) {
+        const provider = signer.provider;
+        const raw = await signer.signTransaction(await signer.populateTransaction(prepared));
+        const hash = ethers.keccak256(raw);
+        const startBlock = await provider.getBlockNumber();
+
+        for (let i = 1; i <= targetBlocks; i++) {
+            const target = startBlock + i;
+            try {
+                const simulation = await relay.callBundle([raw], target);
+                const revert = bundleRevert(simulation);
+                if (revert) {
+                    throw submissionError(`Bundle simulation reverted: ${revert.revert || revert.error}`, "BUNDLE_REVERTED", { txHash: hash });
+                }
+                await relay.sendBundle([raw], target);
+            } catch (e) {
+                if (e.code === "BUNDLE_REVERTED") throw e;
+                return fallback(provider, prepared, raw, hash, `Relay unavailable (${e.message})`);
+            }
+            log(`   🔒 Bundle sent for block ${target} (${i}/${targetBlocks})`);
+
+            await waitForBlock(provider, target);
+            if (await provider.getTransactionReceipt(hash)) return submittedTx(provider, hash, "relay", target);
+        }
+        return fallback(provider, prepared, raw, hash, `Bundle not included in blocks ${startBlock + 1}–${startBlock + targetBlocks}`);
+    }
+
+    return {
+        mode: "relay",
+        txManager,
+        relay,
+        targetBlocks,
+        allowPublicFallback: Boolean(settings.allowPublicFallback),
+
+        /** Bundle through the relay; the nonce is given back if nothing was broadcast. */
+        async send(request) {
+            const prepared = await txManager.prepare(request);
+            try {
+                return await sendBundles(prepared);
+            } catch (e) {
+                txManager.release(prepared.nonce);
+                throw e;
+            }
+        },
+    };
+}
+
+module.exports = {
+    createSubmitter,
+    createRelayClient,
+    resolveSubmissionConfig,
+    signRelayBody,
+    bundleRevert,
+};
@@ -0,0 +1,384 @@
+/**
+ * Token-flow breakdown of an executed flash arbitrage transaction.
+ *
+ * Reads the receipt's logs in order and rebuilds the trade as legs seen from
+ * the arbitrage contract:
+ *
+ *   borrow     flash loan in: Balancer V2 / Aave FlashLoan events, else the
+ *              first transfer in from an address that is paid back later
+ *              (Balancer V3 sendTo / settle emits no event of its own)
+ *   split      ConditionalTokens PositionSplit: collateral → YES + NO
+ *   swap       Uniswap V3 / Algebra, Uniswap V2 / Swapr, Balancer V2 / V3
+ *              Swap events, labelled "YES sell", "NO buy", "spot swap"...
+ *   merge      ConditionalTokens PositionsMerge: YES + NO → collateral
+ *   deposit    ERC4626 Deposit / Withdraw (sDAI)
+ *   repay      the loan (plus fee) going back to the lender
+ *   payout     profit and leftovers sent to the caller
+ *
+ * Swaps carry the effective price (out per in), the fee paid (pool fee ×
+ * amount in, or the event's fee) and the price impact: effective price
+ * against the pool's mid price just before the swap (the parent block's
+ * state, then each earlier swap's post-swap price in the same tx).
+ *
+ *   loadFlowContext(provider, tx, receipt, options)  tokens and pool state at the parent block
+ *   decodeFlow(receipt, context)                    legs, transfers, per-token net (pure)
+ *   formatFlow(flow)                                printable lines
+ *
+ * Usage:
+ *   const context = await loadFlowContext(provider, tx, receipt, { outcomeTokens, poolNames });
+ *   const flow = decodeFlow(receipt, context);
+ *   formatFlow(flow).forEach(line => console.log(line));
+ */
+
+const { ethers } = require("ethers");
+const { createBatchReader } = require("./multicall");
+const { spotPrice } = require("./clmm");
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EVENTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const EVENTS = new ethers.Interface([
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    // Uniswap V3 and Algebra V1 share this signature; Algebra Integral adds its fees
+    "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 price, uint128 liquidity, int24 tick)",
+    "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 price, uint128 liquidity, int24 tick, uint24 overrideFee, uint24 pluginFee)",
+    "event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)",
+    "event Sync(uint112 reserve0, uint112 reserve1)",
+    "event Swap(bytes32 indexed poolId, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut)",
+    "event Swap(address indexed pool, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut, uint256 swapFeePercentage, uint256 swapFeeAmount)",
+    "event FlashLoan(address indexed recipient, address indexed token, uint256 amount, uint256 feeAmount)",
+    "event FlashLoan(address indexed target, address initiator, address indexed asset, uint256 amount, uint8 interestRateMode, uint256 premium, uint16 indexed referralCode)",
+    "event PositionSplit(address indexed stakeholder, address collateralToken, bytes32 indexed parentCollectionId, bytes32 indexed conditionId, uint256[] partition, uint256 amount)",
+    "event PositionsMerge(address indexed stakeholder, address collateralToken, bytes32 indexed parentCollectionId, bytes32 indexed conditionId, uint256[] partition, uint256 amount)",
+    "event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)",
+    "event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)",
+]);
+
+// topic → short kind
+const KINDS = {};
+EVENTS.forEachEvent(event => {
+    const kind = {
+        "Transfer(address,address,uint256)": "transfer",
+        "Swap(address,address,int256,int256,uint160,uint128,int24)": "clmm-swap",
+        "Swap(address,address,int256,int256,uint160,uint128,int24,uint24,uint24)": "clmm-swap",
+        "Swap(address,uint256,uint256,uint256,uint256,address)": "v2-swap",
+        "Sync(uint112,uint112)": "v2-sync",
+        "Swap(bytes32,address,address,uint256,uint256)": "balancer-v2-swap",
+        "Swap(address,address,address,uint256,uint256,uint256,uint256)": "balancer-v3-swap",
+        "FlashLoan(address,address,uint256,uint256)": "balancer-flash",
+        "FlashLoan(address,address,address,uint256,uint8,uint256,uint16)": "aave-flash",
+        "PositionSplit(address,address,bytes32,bytes32,uint256[],uint256)": "split",
+        "PositionsMerge(address,address,bytes32,bytes32,uint256[],uint256)": "merge",
+        "Deposit(address,address,uint256,uint256)": "deposit",
+        "Withdraw(address,address,address,uint256,uint256)": "withdraw",
+    }[event.format("sighash")];
+    KINDS[event.topicHash] = kind;
+});
+
+const ERC20_ABI = [
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+];
+
+const POOL_ABI = [
+    "function token0() view returns (address)",
+    "function token1() view returns (address)",
+    // Algebra V1 and Integral both start with (price, tick, fee)
+    "function globalState() view returns (uint160 price, int24 tick, uint16 fee)",
+    "function slot0() view returns (uint160 sqrtPriceX96, int24 tick)",
+    "function fee() view returns (uint24)",
+    "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+    "function swapFee() view returns (uint32)",
+    "function getSwapFeePercentage() view returns (uint256)",
+];
+
+const V2_DEFAULT_FEE = 0.003;
+const OUTCOME_SYMBOL = /^(YES|NO)[_\s-]/i;
+
+/** Decode one log into { kind, args } (null: not an event we follow). */
+function parse(log) {
+    const kind = KINDS[log.topics[0]];
+    if (!kind) return null;
+    try {
+        return { kind, args: EVENTS.parseLog(log).args };
+    } catch (_) {
+        return null;     // same topic, other layout (ERC721 Transfer)
+    }
+}
+
+const lower = address => (address || "").toLowerCase();
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONTEXT (RPC)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Token symbols / decimals and the swapped pools' state at the parent block.
+ * @param {object} provider
+ * @param {object} tx        TransactionResponse (caller, contract)
+ * @param {object} receipt
+ * @param {object} [options] { outcomeTokens: { YES_GNO: address, ... },
+ *                           poolNames: { address: name } }
+ * @returns {Promise<object>} context for decodeFlow
+ */
+async function loadFlowContext(provider, tx, receipt, options = {}) {
+    const reads = createBatchReader(provider, { blockTag: receipt.blockNumber - 1 });
+    const tokenAddresses = new Set();
+    const pools = new Map();       // address → kind
+    for (const log of receipt.logs) {
+        const event = parse(log);
+        if (!event) continue;
+        if (event.kind === "transfer") tokenAddresses.add(lower(log.address));
+        if (event.kind === "clmm-swap") pools.set(lower(log.address), "clmm");
+        if (event.kind === "v2-swap") pools.set(lower(log.address), "v2");
+        if (event.kind === "balancer-v2-swap") pools.set(lower(event.args.poolId.slice(0, 42)), "balancer-v2");
+        if (event.kind === "balancer-v3-swap") pools.set(lower(event.args.pool), "balancer-v3");
+        if (event.kind === "balancer-v2-swap" || event.kind === "balancer-v3-swap") {
+            tokenAddresses.add(lower(event.args.tokenIn));
+            tokenAddresses.add(lower(event.args.tokenOut));
+        }
+    }
+
+    const sides = {};
+    for (const [name, address] of Object.entries(options.outcomeTokens || {})) {
+        sides[lower(address)] = name.toUpperCase().startsWith("YES") ? "YES" : "NO";
+    }
+    const poolNames = Object.fromEntries(Object.entries(options.poolNames || {}).map(([address, name]) => [lower(address), name]));
+
+    const tokens = {};
+    await Promise.all([...tokenAddresses].map(async address => {
+        const token = new ethers.Contract(address, ERC20_ABI, reads);
+        const [symbol, decimals] = await Promise.all([token.symbol().catch(() => null), token.decimals().catch(() => 18n)]);
+        const outcome = OUTCOME_SYMBOL.exec(symbol || "");
+        tokens[address] = {
+            symbol: symbol || `${address.slice(0, 8)}…`,
+            decimals: Number(decimals),
+            side: sides[address] || (outcome ? outcome[1].toUpperCase() : null),
+        };
+    }));
+
+    const poolState = {};
+    await Promise.all([...pools].map(async ([address, kind]) => {
+        const pool = new ethers.Contract(address, POOL_ABI, reads);
+        const state = { kind, name: poolNames[address] || null };
+        if (kind === "clmm") {
+            const [token0, token1, algebra] = await Promise.all([pool.token0(), pool.token1(), pool.globalState().catch(() => null)]);
+            Object.assign(state, { token0: lower(token0), token1: lower(token1) });
+            if (algebra) Object.assign(state, { sqrtPriceX96: algebra.price, feeRate: Number(algebra.fee) / 1e6 });
+            else {
+                const [slot0, fee] = await Promise.all([pool.slot0(), pool.fee()]);
+                Object.assign(state, { sqrtPriceX96: slot0.sqrtPriceX96, feeRate: Number(fee) / 1e6 });
+            }
+        } else if (kind === "v2") {
+            const [token0, token1, reserves, swapFee] = await Promise.all([pool.token0(), pool.token1(), pool.getReserves(), pool.swapFee().catch(() => null)]);
+            Object.assign(state, {
+                token0: lower(token0),
+                token1: lower(token1),
+                reserve0: reserves[0],
+                reserve1: reserves[1],
+                feeRate: swapFee === null ? V2_DEFAULT_FEE : Number(swapFee) / 10000,
+            });
+        } else if (kind === "balancer-v2") {
+            const fee = await pool.getSwapFeePercentage().catch(() => null);
+            state.feeRate = fee === null ? null : Number(ethers.formatEther(fee));
+        }
+        poolState[address] = state;
+    }).map(p => p.catch(() => null)));
+
+    return { contract: lower(tx.to), caller: lower(tx.from), tokens, pools: poolState };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DECODING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * The trade as legs, from the receipt and loadFlowContext's context.
+ * Amounts are floats in token units with the raw amount as a string, so the
+ * result is JSON as is.
+ * @returns {{ hash, block, status, contract, caller, legs, transfers, net }}
+ */
+function decodeFlow(receipt, context) {
+    const contract = lower(context.contract || receipt.to);
+    const caller = lower(context.caller || receipt.from);
+    const tokenOf = address => context.tokens[lower(address)] || { symbol: `${lower(address).slice(0, 8)}…`, decimals: 18, side: null };
+    const amount = (token, raw) => ({ symbol: tokenOf(token).symbol, token: lower(token), amount: Number(ethers.formatUnits(raw, tokenOf(token).decimals)), raw: raw.toString() });
+    // pool prices and reserves move swap by swap: work on copies
+    const pools = Object.fromEntries(Object.entries(context.pools || {}).map(([address, pool]) => [address, { ...pool }]));
+
+    const events = receipt.logs.map(log => ({ log, ...parse(log) })).filter(e => e.kind);
+    const transfers = events.filter(e => e.kind === "transfer").map(e => ({ token: lower(e.log.address), from: lower(e.args.from), to: lower(e.args.to), value: e.args.value, index: e.log.index }));
+
+    // ── flash loans: events first, else a transfer in that is paid back ───
+    const loans = [];
+    for (const e of events) {
+        if (e.kind === "balancer-flash" && lower(e.args.recipient) === contract) loans.push({ token: lower(e.args.token), amount: e.args.amount, fee: e.args.feeAmount, lender: lower(e.log.address) });
+        if (e.kind === "aave-flash" && lower(e.args.target) === contract) loans.push({ token: lower(e.args.asset), amount: e.args.amount, fee: e.args.premium, lender: lower(e.log.address) });
+    }
+    const firstIn = transfers.find(t => t.to === contract && t.from !== caller && t.from !== ethers.ZeroAddress);
+    if (loans.length === 0 && firstIn && transfers.some(t => t.index > firstIn.index && t.from === contract && t.to === firstIn.from && t.token === firstIn.token && t.value >= firstIn.value)) {
+        loans.push({ token: firstIn.token, amount: firstIn.value, fee: null, lender: firstIn.from });
+    }
+
+    const borrowAt = new Map();    // transfer index → loan
+    const repayAt = new Map();
+    for (const loan of loans) {
+        const inbound = transfers.find(t => t.to === contract && t.token === loan.token && t.value === loan.amount);
+        const outbound = transfers.filter(t => t.from === contract && t.token === loan.token && t.value >= loan.amount && t.to !== caller).pop();
+        if (inbound) borrowAt.set(inbound.index, loan);
+        if (outbound) {
+            repayAt.set(outbound.index, loan);
+            if (loan.fee === null) loan.fee = outbound.value - loan.amount;
+        }
+    }
+
+    // ── legs, in log order ────────────────────────────────────────────────
+    const legs = [];
+    const net = {};
+    const addNet = (token, delta) => {
+        const key = lower(token);
+        net[key] = (net[key] || 0n) + delta;
+    };
+
+    for (const e of events) {
+        const { kind, args, log } = e;
+        if (kind === "transfer") {
+            const t = transfers.find(x => x.index === log.index);
+            if (t.to === contract) addNet(t.token, t.value);
+            if (t.from === contract) addNet(t.token, -t.value);
+            if (borrowAt.has(t.index)) {
+                const loan = borrowAt.get(t.index);
+                legs.push({ kind: "borrow", label: "borrow", from: t.from, lender: loan.lender, ...amount(t.token, t.value), fee: loan.fee === null ? null : amount(t.token, loan.fee) });
+            } else if (repayAt.has(t.index)) {
+                legs.push({ kind: "repay", label: "repay", to: t.to, ...amount(t.token, t.value) });
+            } else if (t.from === contract && t.to === caller) {
+                legs.push({ kind: "payout", label: tokenOf(t.token).side ? "leftover" : "payout", to: t.to, ...amount(t.token, t.value) });
+            }
+            continue;
+        }
+        if (kind === "split" || kind === "merge") {
+            if (args.parentCollectionId !== ethers.ZeroHash) continue;    // nested position of the same split
+            legs.push({ kind, label: kind, ...amount(args.collateralToken, args.amount) });
+            continue;
+        }
+        if (kind === "deposit" || kind === "withdraw") {
+            const owner = kind === "deposit" ? args.owner : args.receiver;
+            if (lower(owner) !== contract && lower(args.sender) !== contract) continue;
+            legs.push({ kind, label: kind === "deposit" ? "vault deposit" : "vault redeem", vault: lower(log.address), assets: args.assets.toString(), shares: args.shares.toString() });
+            continue;
+        }
+        if (kind === "v2-sync") {
+            const pool = pools[lower(log.address)];
+            if (pool) pool.next = [args.reserve0, args.reserve1];
+            continue;
+        }
+        if (kind.endsWith("swap")) legs.push(swapLeg(e, pools, tokenOf, amount));
+    }
+
+    return {
+        hash: receipt.hash,
+        block: receipt.blockNumber,
+        status: receipt.status === 1 ? "success" : "reverted",
+        contract,
+        caller,
+        legs,
+        transfers: transfers.map(t => ({ from: t.from, to: t.to, ...amount(t.token, t.value) })),
+        net: Object.fromEntries(Object.entries(net).filter(([, v]) => v !== 0n).map(([token, v]) => [tokenOf(token).symbol, Number(ethers.formatUnits(v, tokenOf(token).decimals))])),
+    };
+}
+
+/** One Swap event as a leg: amounts, effective price, fee and price impact. */
+function swapLeg({ kind, args, log }, pools, tokenOf, amount) {
+    let address = lower(log.address);
+    let tokenIn, tokenOut, amountIn, amountOut, feeRaw = null, mid = null;
+    const pool = () => pools[address] || {};
+
+    if (kind === "clmm-swap") {
+        const { token0, token1, sqrtPriceX96 } = pool();
+        const zeroForOne = args.amount0 > 0n;
+        [tokenIn, tokenOut] = zeroForOne ? [token0, token1] : [token1, token0];
+        [amountIn, amountOut] = zeroForOne ? [args.amount0, -args.amount1] : [args.amount1, -args.amount0];
+        if (sqrtPriceX96 && token0) {
+            const price = spotPrice({ sqrtPriceX96 }, tokenOf(token0).decimals, tokenOf(token1).decimals);
+            mid = zeroForOne ? price : 1 / price;
+            pools[address].sqrtPriceX96 = args.price;
+        }
+    } else if (kind === "v2-swap") {
+        const p = pool();
+        const zeroForOne = args.amount0In > 0n;
+        [tokenIn, tokenOut] = zeroForOne ? [p.token0, p.token1] : [p.token1, p.token0];
+        [amountIn, amountOut] = zeroForOne ? [args.amount0In, args.amount1Out] : [args.amount1In, args.amount0Out];
+        if (p.reserve0 !== undefined && p.token0) {
+            const r0 = Number(ethers.formatUnits(p.reserve0, tokenOf(p.token0).decimals));
+            const r1 = Number(ethers.formatUnits(p.reserve1, tokenOf(p.token1).decimals));
+            mid = zeroForOne ? r1 / r0 : r0 / r1;
+        }
+        if (p.next) [pools[address].reserve0, pools[address].reserve1] = p.next;
+    } else {
+        if (kind === "balancer-v2-swap") address = lower(args.poolId.slice(0, 42));
+        else {
+            address = lower(args.pool);
+            feeRaw = args.swapFeeAmount;
+        }
+        [tokenIn, tokenOut, amountIn, amountOut] = [lower(args.tokenIn), lower(args.tokenOut), args.amountIn, args.amountOut];
+    }
+
+    const feeRate = pool().feeRate;
+    if (feeRaw === null && typeof feeRate === "number" && tokenIn) feeRaw = (amountIn * BigInt(Math.round(feeRate * 1e6))) / 1000000n;
+
+    const leg = { kind: "swap", label: swapLabel(tokenOf, tokenIn, tokenOut), pool: address, poolName: pool().name || null, dex: kind.replace(/-swap$/, "") };
+    if (!tokenIn) return { ...leg, error: "pool tokens unknown" };
+    leg.in = amount(tokenIn, amountIn);
+    leg.out = amount(tokenOut, amountOut);
+    leg.price = leg.in.amount > 0 ? leg.out.amount / leg.in.amount : null;
+    leg.fee = feeRaw === null ? null : amount(tokenIn, feeRaw);
+    leg.midPrice = mid;
+    leg.priceImpact = mid && leg.price !== null ? 1 - leg.price / mid : null;
+    return leg;
+}
+
+function swapLabel(tokenOf, tokenIn, tokenOut) {
+    const sideIn = tokenIn && tokenOf(tokenIn).side;
+    const sideOut = tokenOut && tokenOf(tokenOut).side;
+    if (sideIn) return `${sideIn} sell`;
+    if (sideOut) return `${sideOut} buy`;
+    return "spot swap";
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// OUTPUT
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fmt = (value, digits = 6) => (value === null || value === undefined ? "n/a" : Number(value.toPrecision(digits)).toString());
+const pct = value => (value === null || value === undefined ? "n/a" : `${(value * 100).toFixed(3)}%`);
+const short = address => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+/** Printable lines: one per leg, then the contract's net token change. */
+function formatFlow(flow) {
+    const lines = [];
+    flow.legs.forEach((leg, i) => {
+        const n = `${String(i + 1).padStart(2)}.`;
+        if (leg.kind === "swap") {
+            if (leg.error) {
+                lines.push(`${n} ${leg.label.padEnd(10)} ${short(leg.pool)}: ${leg.error}`);
+                return;
+            }
+            lines.push(`${n} ${leg.label.padEnd(10)} ${fmt(leg.in.amount)} ${leg.in.symbol} → ${fmt(leg.out.amount)} ${leg.out.symbol}  (${leg.poolName || leg.dex} ${short(leg.pool)})`);
+            lines.push(`    ${"".padEnd(10)} price ${fmt(leg.price)} ${leg.out.symbol}/${leg.in.symbol}` +
+                ` | fee ${leg.fee ? `${fmt(leg.fee.amount)} ${leg.fee.symbol}` : "n/a"}` +
+                ` | impact ${pct(leg.priceImpact)}${leg.midPrice ? ` (mid ${fmt(leg.midPrice)})` : ""}`);
+        } else if (leg.kind === "deposit" || leg.kind === "withdraw") {
+            lines.push(`${n} ${leg.label.padEnd(10)} ${short(leg.vault)} assets ${leg.assets} shares ${leg.shares}`);
+        } else {
+            const party = leg.from ? ` from ${short(leg.from)}` : leg.to ? ` to ${short(leg.to)}` : "";
+            const fee = leg.fee ? ` (fee ${fmt(leg.fee.amount)} ${leg.fee.symbol})` : "";
+            lines.push(`${n} ${leg.label.padEnd(10)} ${fmt(leg.amount)} ${leg.symbol}${party}${fee}`);
+        }
+    });
+    const net = Object.entries(flow.net);
+    lines.push(`Net to contract: ${net.length ? net.map(([symbol, value]) => `${value > 0 ? "+" : ""}${fmt(value)} ${symbol}`).join(", ") : "none (everything forwarded)"}`);
+    return lines;
+}
+
+module.exports = { EVENTS, loadFlowContext, decodeFlow, formatFlow };
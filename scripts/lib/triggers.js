@@ -0,0 +1,410 @@
+/**
+ * Event-driven scan triggers.
+ *
+ * Instead of sleeping a fixed scanIntervalMs, a market's loop is woken when
+ * something it trades on changes:
+ *
+ *   - a Swap / Mint / Burn log of one of its pools (YES, NO, spot and route
+ *     pools: Uniswap V3 / Algebra and Uniswap V2 layouts);
+ *   - a new block, for markets with "triggers.blocks" (true: every block,
+ *     N: every Nth block).
+ *
+ * Wake-ups are debounced per market (the logs of one block are one scan) and
+ * the market still scans after `maxIdleMs` without any, so quiet markets idle
+ * instead of polling. One watcher per chain serves every market on it:
+ *
+ *   WebSocket   eth_subscribe newHeads + logs on the chain's WS URL
+ *               (GNOSIS_WS_URL, ETH_WS_URL, …); blocks missed across a
+ *               reconnect are fetched with eth_getLogs
+ *   polling     eth_blockNumber every block time and one eth_getLogs over
+ *               the new blocks for every watched pool; used without a WS URL,
+ *               and while the socket is down or silent (retried every
+ *               reconnectMs)
+ *
+ * If polling fails too, markets fall back to their scanIntervalMs.
+ *
+ * Market config:
+ *   "triggers": { "mode": "events" | "interval", "blocks": false | true | N,
+ *                 "debounceMs": 500, "maxIdleMs": 60000 }
+ * TRIGGERS=interval turns it off for every market.
+ *
+ * Balancer pools swap through the Vault and emit no logs of their own; a
+ * market priced off one (gnosis-v4's spot) is only rescanned on its other
+ * pools' events, new blocks or maxIdleMs.
+ *
+ * Usage:
+ *   const triggers = createTriggers();
+ *   const engine = createBotEngine({ markets, triggers });   (runBots does this)
+ */
+
+const { ethers } = require("ethers");
+const { CHAINS, getWsUrl } = require("./chains");
+
+const DEFAULTS = {
+    mode: "events",
+    blocks: false,
+    debounceMs: 500,
+    maxIdleMs: 60000,
+};
+
+const WATCHER_DEFAULTS = {
+    reconnectMs: 60000,
+    maxFailures: 3,          // polling errors in a row before markets fall back to their interval
+    maxLogRange: 100,        // blocks per catch-up eth_getLogs
+};
+
+// topic → event name, for the pool layouts the markets trade on
+const POOL_EVENTS = Object.fromEntries([
+    ["Swap", "Swap(address,address,int256,int256,uint160,uint128,int24)"],     // Uniswap V3, Algebra
+    ["Mint", "Mint(address,address,int24,int24,uint128,uint256,uint256)"],
+    ["Burn", "Burn(address,int24,int24,uint128,uint256,uint256)"],
+    ["Swap", "Swap(address,uint256,uint256,uint256,uint256,address)"],         // Uniswap V2 (Honeyswap, DXswap)
+    ["Mint", "Mint(address,uint256,uint256)"],
+    ["Burn", "Burn(address,uint256,uint256,address)"],
+].map(([name, signature]) => [ethers.id(signature), name]));
+
+const POOL_TOPICS = Object.keys(POOL_EVENTS);
+
+/** Longest a market may go without a scan: maxIdleMs when event-driven, else its interval. */
+function scanPeriodMs(market) {
+    const config = { ...DEFAULTS, ...(market.triggers || {}) };
+    if (config.mode === "interval" || process.env.TRIGGERS === "interval") return market.scanIntervalMs;
+    return Math.max(market.scanIntervalMs, config.maxIdleMs);
+}
+
+/**
+ * Pools whose logs should wake the market: the adapter's pool model, the
+ * proposal's *Pool / *Pair addresses and the config's "pools" map.
+ * @returns {object} { name: address }
+ */
+function watchedPools(adapter) {
+    const pools = {};
+    const add = (name, address) => {
+        if (typeof address !== "string" || !ethers.isAddress(address) || address === ethers.ZeroAddress) return;
+        if (Object.values(pools).some(a => a.toLowerCase() === address.toLowerCase())) return;
+        pools[name] = address;
+    };
+    if (adapter.poolModel) {
+        try {
+            for (const [name, address] of Object.entries(adapter.poolModel.addresses())) add(name, address);
+        } catch (_) { /* proposal not loaded */ }
+    }
+    for (const [key, address] of Object.entries(adapter.proposal || {})) {
+        const match = key.match(/^(.+?)(Pool|Pair)$/);
+        if (match) add(match[1], address);
+    }
+    for (const [name, address] of Object.entries(adapter.market.pools || {})) add(name, address);
+    return pools;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CHAIN WATCHER
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * newHeads and pool logs of one chain, over WebSocket or polling.
+ * @param {number} chainId
+ * @param {object} options  { provider (HTTP, for polling and catch-up), wsUrl,
+ *                          pollMs (default the chain's block time), reconnectMs,
+ *                          openWebSocket(url) (tests), log }
+ */
+function createChainWatcher(chainId, options) {
+    const { provider } = options;
+    const { reconnectMs, maxFailures, maxLogRange } = { ...WATCHER_DEFAULTS, ...options };
+    const pollMs = options.pollMs || CHAINS[chainId]?.blockTimeMs || 5000;
+    const wsUrl = options.wsUrl === undefined ? getWsUrl(chainId) : options.wsUrl;
+    const openWebSocket = options.openWebSocket || (url => new ethers.WebSocketProvider(url, Number(chainId)));
+    const log = options.log || console.log;
+    const name = CHAINS[chainId]?.name || `chain ${chainId}`;
+
+    const subscribers = new Map();   // market id → { pools: Map(lower address → name), onBlock, onLog }
+    let mode = null;                 // "ws" | "polling"
+    let lastBlock = null;
+    let failures = 0;
+    let closed = false;
+    let pollTimer = null;
+    let polling = false;
+    let retryTimer = null;
+    let silenceTimer = null;
+    let ws = null;
+    let wsFilter = null;
+
+    const addresses = () => [...new Set([...subscribers.values()].flatMap(s => [...s.pools.keys()]))];
+
+    function dispatchBlock(number) {
+        for (const s of subscribers.values()) s.onBlock(number);
+    }
+
+    function dispatchLog(entry) {
+        const address = entry.address.toLowerCase();
+        for (const s of subscribers.values()) {
+            if (s.pools.has(address)) s.onLog(entry, s.pools.get(address));
+        }
+    }
+
+    /** Pool logs of blocks from..to over HTTP (polling, and gaps after a reconnect). */
+    async function fetchLogs(from, to) {
+        const address = addresses();
+        if (address.length === 0 || from > to) return;
+        for (let start = Math.max(from, to - maxLogRange + 1); start <= to; start += maxLogRange) {
+            const logs = await provider.getLogs({ address, topics: [POOL_TOPICS], fromBlock: start, toBlock: Math.min(to, start + maxLogRange - 1) });
+            logs.forEach(dispatchLog);
+        }
+    }
+
+    // ───────────────────────────────────────────────────────────────────────
+    // Polling
+    // ───────────────────────────────────────────────────────────────────────
+
+    async function poll() {
+        if (polling || closed) return;
+        polling = true;
+        try {
+            const head = await provider.getBlockNumber();
+            if (lastBlock !== null && head > lastBlock) {
+                await fetchLogs(lastBlock + 1, head);
+                dispatchBlock(head);
+            }
+            if (lastBlock === null || head > lastBlock) lastBlock = head;
+            failures = 0;
+        } catch (e) {
+            failures++;
+            if (failures === maxFailures) log(`⚠️ Triggers ${name}: polling failing (${e.shortMessage || e.message}), markets fall back to their scan interval`);
+        } finally {
+            polling = false;
+        }
+    }
+
+    function startPolling() {
+        mode = "polling";
+        if (!pollTimer) {
+            pollTimer = setInterval(poll, pollMs);
+            pollTimer.unref();
+        }
+        return poll();
+    }
+
+    function stopPolling() {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+
+    // ───────────────────────────────────────────────────────────────────────
+    // WebSocket
+    // ───────────────────────────────────────────────────────────────────────
+
+    function resubscribeLogs() {
+        if (!ws) return;
+        if (wsFilter) ws.off(wsFilter);
+        const address = addresses();
+        wsFilter = address.length > 0 ? { address, topics: [POOL_TOPICS] } : null;
+        if (wsFilter) ws.on(wsFilter, dispatchLog);
+    }
+
+    /** No head for 3 block times: treat the socket as dead. */
+    function armSilenceTimer() {
+        clearTimeout(silenceTimer);
+        silenceTimer = setTimeout(() => dropWebSocket("no new block"), 3 * pollMs + 5000);
+        silenceTimer.unref();
+    }
+
+    async function onHead(number) {
+        failures = 0;
+        armSilenceTimer();
+        if (lastBlock !== null && number <= lastBlock) return;
+        // logs of blocks the socket missed (reconnects) come from eth_getLogs
+        if (lastBlock !== null && number > lastBlock + 1) {
+            await fetchLogs(lastBlock + 1, number - 1).catch(e => log(`⚠️ Triggers ${name}: catch-up failed: ${e.shortMessage || e.message}`));
+        }
+        lastBlock = number;
+        dispatchBlock(number);
+    }
+
+    async function connectWebSocket() {
+        retryTimer = null;
+        if (closed) return;
+        let socket = null;
+        try {
+            socket = openWebSocket(wsUrl);
+            // until connected a socket error fails the attempt, afterwards it drops the socket
+            let failConnect = () => {};
+            const failed = new Promise((_, reject) => { failConnect = reject; });
+            const onFailure = reason => (ws === socket ? dropWebSocket(reason) : failConnect(new Error(reason)));
+            if (socket.websocket) {
+                socket.websocket.onerror = e => onFailure(e.message || "socket error");
+                if (socket.websocket.addEventListener) socket.websocket.addEventListener("close", () => onFailure("socket closed"));
+            }
+            await Promise.race([
+                socket.getBlockNumber(),
+                failed,
+                new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), 10000).unref()),
+            ]);
+        } catch (e) {
+            if (socket) socket.destroy();
+            if (mode !== "polling") log(`⚠️ Triggers ${name}: WebSocket unavailable (${e.shortMessage || e.message}), polling every ${pollMs / 1000}s`);
+            await startPolling();
+            scheduleReconnect();
+            return;
+        }
+        if (closed) {
+            socket.destroy();
+            return;
+        }
+        ws = socket;
+        stopPolling();
+        mode = "ws";
+        ws.on("block", number => { onHead(number); });
+        resubscribeLogs();
+        armSilenceTimer();
+        log(`⚡ Triggers ${name}: WebSocket subscription (newHeads + pool logs)`);
+    }
+
+    function dropWebSocket(reason) {
+        if (!ws || closed) return;
+        log(`⚠️ Triggers ${name}: WebSocket lost (${reason}), polling until it reconnects`);
+        const socket = ws;
+        ws = null;
+        wsFilter = null;
+        clearTimeout(silenceTimer);
+        Promise.resolve(socket.destroy()).catch(() => {});
+        startPolling();
+        scheduleReconnect();
+    }
+
+    function scheduleReconnect() {
+        if (closed || retryTimer || !wsUrl) return;
+        retryTimer = setTimeout(connectWebSocket, reconnectMs);
+        retryTimer.unref();
+    }
+
+    let started = null;
+    function start() {
+        if (!started) started = wsUrl ? connectWebSocket() : startPolling();
+        return started;
+    }
+
+    return {
+        chainId,
+
+        /**
+         * Watch `pools` ({ name: address }) for a market.
+         * @returns {Function} unsubscribe
+         */
+        subscribe(id, { pools = {}, onBlock = () => {}, onLog = () => {} }) {
+            subscribers.set(id, {
+                pools: new Map(Object.entries(pools).map(([poolName, address]) => [address.toLowerCase(), poolName])),
+                onBlock,
+                onLog,
+            });
+            resubscribeLogs();
+            start();
+            return () => {
+                subscribers.delete(id);
+                resubscribeLogs();
+            };
+        },
+
+        /** False while neither the socket nor polling works. */
+        healthy: () => !closed && (mode === "ws" || (mode === "polling" && failures < maxFailures)),
+
+        status: () => ({ mode, lastBlock, healthy: !closed && (mode === "ws" || (mode === "polling" && failures < maxFailures)), markets: [...subscribers.keys()] }),
+
+        /** Resolves once the first connection attempt (WS or polling) is done. */
+        ready: () => start(),
+
+        close() {
+            closed = true;
+            stopPolling();
+            clearTimeout(retryTimer);
+            clearTimeout(silenceTimer);
+            if (ws) Promise.resolve(ws.destroy()).catch(() => {});
+            ws = null;
+            subscribers.clear();
+        },
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MARKET TRIGGERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Trigger layer for the bot engine: watch(adapter, wake) per market.
+ * @param {object} [options]  { watcherFor(chainId, provider) (tests), log, ...createChainWatcher options }
+ * @returns {{ watch, watchers, close }}
+ */
+function createTriggers(options = {}) {
+    const log = options.log || console.log;
+    const watchers = new Map();
+
+    function watcherFor(chainId, provider) {
+        if (!watchers.has(chainId)) {
+            watchers.set(chainId, options.watcherFor
+                ? options.watcherFor(chainId, provider)
+                : createChainWatcher(chainId, { ...options, provider, log }));
+        }
+        return watchers.get(chainId);
+    }
+
+    /**
+     * Wake the market's loop on its pools' logs (and blocks, if configured).
+     * @param {object} adapter   connected, proposal loaded
+     * @param {Function} wake    (reason) => void, debounced here
+     * @returns {object|null}    { pools, idleMs(), status(), close() }; null: interval scanning
+     */
+    function watch(adapter, wake) {
+        const config = { ...DEFAULTS, ...(adapter.market.triggers || {}) };
+        if (config.mode === "interval" || process.env.TRIGGERS === "interval") return null;
+        const pools = watchedPools(adapter);
+        if (Object.keys(pools).length === 0 && !config.blocks) {
+            log(`   Triggers: no pools to watch, scanning every ${adapter.market.scanIntervalMs / 1000}s`);
+            return null;
+        }
+
+        const watcher = watcherFor(adapter.market.chainId, adapter.provider);
+        let reasons = [];
+        let timer = null;
+        const fire = reason => {
+            reasons.push(reason);
+            if (timer) return;
+            timer = setTimeout(() => {
+                timer = null;
+                const [first, ...rest] = reasons;
+                reasons = [];
+                wake(rest.length > 0 ? `${first} +${rest.length} more` : first);
+            }, config.debounceMs);
+        };
+
+        const unsubscribe = watcher.subscribe(adapter.id, {
+            pools,
+            onBlock: number => {
+                if (config.blocks === true || (config.blocks > 0 && number % config.blocks === 0)) fire(`block ${number}`);
+            },
+            onLog: (entry, poolName) => fire(`${POOL_EVENTS[entry.topics[0]] || "log"} on ${poolName} pool (block ${entry.blockNumber})`),
+        });
+        const names = Object.keys(pools);
+        log(`   Triggers: ${names.length ? `${names.join(", ")} pool logs` : ""}${names.length && config.blocks ? " + " : ""}` +
+            `${config.blocks ? (config.blocks === true ? "every block" : `every ${config.blocks} blocks`) : ""}, idle scan every ${config.maxIdleMs / 1000}s`);
+
+        return {
+            pools,
+            idleMs: () => (watcher.healthy() ? Math.max(adapter.market.scanIntervalMs, config.maxIdleMs) : adapter.market.scanIntervalMs),
+            status: () => ({ ...watcher.status(), pools, blocks: config.blocks, debounceMs: config.debounceMs, maxIdleMs: config.maxIdleMs }),
+            close() {
+                clearTimeout(timer);
+                unsubscribe();
+            },
+        };
+    }
+
+    return {
+        watch,
+        watchers,
+        close() {
+            for (const watcher of watchers.values()) watcher.close();
+            watchers.clear();
+        },
+    };
+}
+
+module.exports = { createTriggers, createChainWatcher, watchedPools, scanPeriodMs, POOL_EVENTS, DEFAULTS };
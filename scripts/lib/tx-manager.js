@@ -0,0 +1,281 @@
+/**
+ * Nonce tracking and stuck-transaction replacement for one signer.
+ *
+ * Every live trade goes out with a nonce the manager hands out (the larger
+ * of the node's pending count and the last one it used), so consecutive
+ * scans never collide. settle() then watches the trade instead of blocking
+ * on tx.wait(): if no block includes it within `stallMs`, the opportunity is
+ * re-checked (stillValid) and the same nonce is re-sent with bumped fees —
+ * the same call if it is still profitable, a 0-value self-transfer (cancel)
+ * if it is not. Fees are EIP-1559 (maxFee + priority fee) on chains that
+ * have it enabled in chains.js and legacy gasPrice otherwise; each bump is
+ * at least `bumpPercent` over the previous send (nodes reject replacements
+ * under +10%) and never below the current network fee.
+ *
+ * A trade that is still unmined after `maxBumps` replacements or the settle
+ * timeout stays in pending(), which the engine checks every scan before it
+ * sends anything else.
+ *
+ * Usage:
+ *   const manager = createTxManager(signer, { eip1559: true, stallMs: 36000 });
+ *   const tx = await manager.send(request);
+ *   const { receipt, hash, outcome } = await tx.settle({ stillValid, timeoutMs, onReplace });
+ *   // outcome: "mined" | "replaced" (a fee bump mined) | "cancelled"
+ */
+
+const DEFAULTS = {
+    eip1559: true,
+    stallMs: 36000,
+    bumpPercent: 15,
+    maxBumps: 3,
+    maxFeeGwei: null,      // no bump above this maxFee / gasPrice
+    pollMs: 2000,
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const maxBig = (a, b) => (a > b ? a : b);
+
+function txError(message, code, extra = {}) {
+    return Object.assign(new Error(message), { code, ...extra });
+}
+
+/**
+ * @param {ethers.Signer} signer   connected signer
+ * @param {object} options         DEFAULTS overrides; { now } for tests
+ */
+function createTxManager(signer, options = {}) {
+    const settings = { ...DEFAULTS };
+    for (const [key, value] of Object.entries(options)) if (value !== undefined) settings[key] = value;
+    const now = options.now || Date.now;
+    const log = options.log || console.log;
+    const provider = signer.provider;
+
+    const pending = new Map();     // nonce → entry
+    let nextNonce = null;
+
+    // ───────────────────────────────────────────────────────────────────────
+    // Nonces and fees
+    // ───────────────────────────────────────────────────────────────────────
+
+    async function allocateNonce() {
+        const onChain = await provider.getTransactionCount(await signer.getAddress(), "pending");
+        const nonce = nextNonce === null ? onChain : Math.max(onChain, nextNonce);
+        nextNonce = nonce + 1;
+        return nonce;
+    }
+
+    async function networkFees() {
+        const fee = await provider.getFeeData();
+        if (settings.eip1559) {
+            return { type: 2, maxFeePerGas: fee.maxFeePerGas ?? fee.gasPrice, maxPriorityFeePerGas: fee.maxPriorityFeePerGas ?? 0n };
+        }
+        return { type: 0, gasPrice: fee.gasPrice };
+    }
+
+    function feesOf(tx) {
+        return tx.type === 2 || tx.maxFeePerGas != null
+            ? { type: 2, maxFeePerGas: BigInt(tx.maxFeePerGas), maxPriorityFeePerGas: BigInt(tx.maxPriorityFeePerGas) }
+            : { type: 0, gasPrice: BigInt(tx.gasPrice) };
+    }
+
+    /** Fees for a replacement: +bumpPercent (rounded up), at least the network's; null over the cap. */
+    function bumpFees(previous, network) {
+        const up = v => (v * BigInt(100 + settings.bumpPercent) + 99n) / 100n;
+        const cap = settings.maxFeeGwei ? BigInt(Math.round(settings.maxFeeGwei * 1e9)) : null;
+        let fees;
+        if (previous.type === 2) {
+            const priority = maxBig(up(previous.maxPriorityFeePerGas), network.maxPriorityFeePerGas ?? 0n);
+            const maxFee = maxBig(maxBig(up(previous.maxFeePerGas), network.maxFeePerGas ?? network.gasPrice ?? 0n), priority);
+            fees = { type: 2, maxFeePerGas: maxFee, maxPriorityFeePerGas: priority };
+        } else {
+            fees = { type: 0, gasPrice: maxBig(up(previous.gasPrice), network.gasPrice ?? 0n) };
+        }
+        if (cap !== null && (fees.maxFeePerGas ?? fees.gasPrice) > cap) return null;
+        return fees;
+    }
+
+    // ───────────────────────────────────────────────────────────────────────
+    // Sending
+    // ───────────────────────────────────────────────────────────────────────
+
+    /** Request with a reserved nonce and current fees (kept if already set). */
+    async function prepare(request) {
+        const prepared = { ...request };
+        if (prepared.nonce == null) prepared.nonce = await allocateNonce();
+        else nextNonce = Math.max(nextNonce ?? 0, prepared.nonce + 1);
+        if (prepared.maxFeePerGas == null && prepared.gasPrice == null) Object.assign(prepared, await networkFees());
+        return prepared;
+    }
+
+    /** Give back a prepared nonce that was never broadcast. */
+    function release(nonce) {
+        if (![...pending.keys()].some(n => n > nonce)) nextNonce = nextNonce === null ? null : Math.min(nextNonce, nonce);
+    }
+
+    /** Start watching a broadcast transaction; returns its managed handle. */
+    function track(request, hash, via = "public") {
+        const entry = {
+            nonce: request.nonce,
+            request,
+            kind: "trade",
+            fees: feesOf(request),
+            hashes: [hash],
+            cancelHashes: [],
+            bumps: 0,
+            sentAt: now(),
+            via,
+        };
+        pending.set(entry.nonce, entry);
+        return handle(entry);
+    }
+
+    function handle(entry) {
+        return {
+            hash: entry.hashes[0],
+            nonce: entry.nonce,
+            via: entry.via,
+            wait: (confirms = 1, timeout) => provider.waitForTransaction(entry.hashes[0], confirms, timeout),
+            settle: (opts) => settle(entry, opts),
+        };
+    }
+
+    async function send(request) {
+        const prepared = await prepare(request);
+        let tx;
+        try {
+            tx = await signer.sendTransaction(prepared);
+        } catch (e) {
+            release(prepared.nonce);
+            throw e;
+        }
+        return track(prepared, tx.hash);
+    }
+
+    /** Re-send the entry's nonce with bumped fees: the same call, or a cancel. */
+    async function replace(entry, kind) {
+        const fees = bumpFees(entry.fees, await networkFees());
+        if (!fees) {
+            log(`   ⛽ nonce ${entry.nonce}: fee bump would exceed ${settings.maxFeeGwei} gwei, not replacing`);
+            return null;
+        }
+        const base = kind === "cancel"
+            ? { to: await signer.getAddress(), value: 0n, data: "0x", gasLimit: 21000n, chainId: entry.request.chainId }
+            : { ...entry.request };
+        delete base.gasPrice;
+        delete base.maxFeePerGas;
+        delete base.maxPriorityFeePerGas;
+        const request = { ...base, ...fees, nonce: entry.nonce };
+
+        const tx = await signer.sendTransaction(request);
+        entry.fees = fees;
+        entry.kind = kind;
+        entry.bumps++;
+        entry.hashes.push(tx.hash);
+        if (kind === "cancel") entry.cancelHashes.push(tx.hash);
+        const price = fees.maxFeePerGas ?? fees.gasPrice;
+        log(`   ⛽ nonce ${entry.nonce}: ${kind === "cancel" ? "cancel" : "fee bump"} #${entry.bumps} at ${Number(price) / 1e9} gwei → ${tx.hash}`);
+        return tx.hash;
+    }
+
+    // ───────────────────────────────────────────────────────────────────────
+    // Settling
+    // ───────────────────────────────────────────────────────────────────────
+
+    async function findReceipt(entry) {
+        for (const hash of [...entry.hashes].reverse()) {
+            const receipt = await provider.getTransactionReceipt(hash);
+            if (receipt) return receipt;
+        }
+        return null;
+    }
+
+    function outcomeOf(entry, hash) {
+        if (entry.cancelHashes.includes(hash)) return "cancelled";
+        return hash === entry.hashes[0] ? "mined" : "replaced";
+    }
+
+    /** Nonce consumed on-chain (by one of ours or by another process). */
+    async function nonceUsed(entry) {
+        return await provider.getTransactionCount(await signer.getAddress(), "latest") > entry.nonce;
+    }
+
+    /**
+     * Wait for one of the entry's transactions to mine, replacing it every
+     * stallMs without inclusion.
+     * @param {object} opts  { stillValid: async () => boolean, timeoutMs,
+     *                         onReplace({ from, to, kind, nonce }) }
+     * @returns {{ receipt, hash, outcome }}
+     */
+    async function settle(entry, opts = {}) {
+        const deadline = opts.timeoutMs ? now() + opts.timeoutMs : Infinity;
+        let stallAt = now() + settings.stallMs;
+
+        for (;;) {
+            let receipt = await findReceipt(entry);
+            if (!receipt && await nonceUsed(entry)) {
+                receipt = await findReceipt(entry);   // mined between the two reads
+                if (!receipt) {
+                    pending.delete(entry.nonce);
+                    throw txError(`nonce ${entry.nonce} was used by another transaction`, "NONCE_EXPIRED", { txHash: entry.hashes[entry.hashes.length - 1] });
+                }
+            }
+            if (receipt) {
+                pending.delete(entry.nonce);
+                return { receipt, hash: receipt.hash, outcome: outcomeOf(entry, receipt.hash) };
+            }
+            if (now() >= deadline) {
+                throw txError(`nonce ${entry.nonce} still pending`, "TIMEOUT", { txHash: entry.hashes[entry.hashes.length - 1] });
+            }
+
+            if (now() >= stallAt) {
+                stallAt = now() + settings.stallMs;
+                if (entry.bumps < settings.maxBumps) {
+                    // once cancelled, keep cancelling; otherwise re-check the opportunity
+                    const valid = entry.kind === "trade" && (opts.stillValid ? await opts.stillValid() : true);
+                    const previous = entry.hashes[entry.hashes.length - 1];
+                    try {
+                        const hash = await replace(entry, valid ? "trade" : "cancel");
+                        if (hash && opts.onReplace) opts.onReplace({ from: previous, to: hash, kind: entry.kind, nonce: entry.nonce });
+                    } catch (e) {
+                        // already mined / replaced meanwhile: the next poll sees it
+                        log(`   ⚠️  nonce ${entry.nonce}: replacement rejected: ${e.shortMessage || e.message}`);
+                    }
+                }
+            }
+            await sleep(settings.pollMs);
+        }
+    }
+
+    /** Drop entries whose nonce has been mined since (checked by the scan loop). */
+    async function refresh() {
+        if (pending.size === 0) return [];
+        const done = [];
+        const latest = await provider.getTransactionCount(await signer.getAddress(), "latest");
+        for (const [nonce, entry] of pending) {
+            if (latest > nonce) {
+                pending.delete(nonce);
+                done.push(entry);
+            }
+        }
+        return done;
+    }
+
+    return {
+        settings,
+        prepare,
+        release,
+        track,
+        send,
+        refresh,
+        bumpFees,
+
+        /** In-flight transactions: { nonce, kind, hashes, bumps, sentAt, via }. */
+        pending() {
+            return [...pending.values()].map(e => ({
+                nonce: e.nonce, kind: e.kind, hashes: [...e.hashes], bumps: e.bumps, sentAt: e.sentAt, via: e.via,
+            }));
+        },
+    };
+}
+
+module.exports = { createTxManager, DEFAULTS };
@@ -0,0 +1,101 @@
+/**
+ * 🧾 Post-mortem of a reverted trade
+ *
+ * What the bots do on their own when a trade reverts, for any transaction:
+ * replays it on a local Hardhat fork at its parent block with call tracing,
+ * finds the failing leg and its error, compares it with the staticCall the
+ * bot ran before sending (from the ledger, when the bot sent it) and writes
+ * the markdown report to logs/postmortems/ (scripts/lib/postmortem.js).
+ *
+ * Usage:
+ *   node scripts/postmortem.js <txHash>                      looks on Gnosis, then Mainnet
+ *   node scripts/postmortem.js <txHash> gnosis-v5            market id (chain, labels, ABI)
+ *   node scripts/postmortem.js <txHash> 1                    chain id
+ *   FORK_RPC=https://archive.example node scripts/postmortem.js <txHash>   older blocks
+ *   LEDGER_DB=/tmp/ledger.sqlite node scripts/postmortem.js <txHash>
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { CHAINS, findTransaction } = require("./lib/chains");
+const { getMarket } = require("./lib/markets");
+const { findAdapterByContract } = require("./lib/adapters");
+const { openLedger, DEFAULT_FILE } = require("./lib/ledger");
+const { generatePostmortem, frameName } = require("./lib/postmortem");
+
+/** The bot's pre-trade simulation of this trade, if the ledger has it. */
+function ledgerSimulation(hash) {
+    const file = process.env.LEDGER_DB || DEFAULT_FILE;
+    if (!fs.existsSync(file)) return null;
+    const ledger = openLedger(file);
+    try {
+        const trade = ledger.getTrade(hash);
+        if (!trade) return null;
+        const sims = ledger.simulations(trade.market, { until: trade.submitted_at || trade.updated_at })
+            .filter(s => s.success && s.strategy === trade.strategy && s.amount === trade.amount);
+        const sim = sims[sims.length - 1];
+        return {
+            trade,
+            simulation: {
+                block: sim ? sim.block : null,
+                timestamp: sim ? sim.timestamp : trade.submitted_at,
+                success: true,
+                profit: trade.simulated_profit,
+                unit: trade.unit,
+            },
+        };
+    } finally {
+        ledger.close();
+    }
+}
+
+async function main() {
+    const [hash, where] = process.argv.slice(2);
+    if (!hash || !ethers.isHexString(hash, 32)) {
+        console.log("Usage: node scripts/postmortem.js <txHash> [chainId | marketId]");
+        process.exit(1);
+    }
+
+    const chainIds = !where ? undefined : CHAINS[Number(where)] ? [Number(where)] : [getMarket(where).chainId];
+    const found = await findTransaction(hash, chainIds);
+    if (!found) {
+        console.log("❌ Transaction not found.");
+        return;
+    }
+    const { chainId, provider, tx } = found;
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (!receipt || receipt.status !== 0) {
+        console.log(receipt ? "✅ The transaction succeeded: see scripts/trace-arb-tx.js" : "⏳ Not mined yet.");
+        return;
+    }
+
+    const adapter = await findAdapterByContract(chainId, tx.to);
+    const recorded = ledgerSimulation(hash);
+    console.log(`\n🧾 POST-MORTEM: ${hash}`);
+    console.log(`   ${CHAINS[chainId].name} block ${receipt.blockNumber}${adapter ? ` | ${adapter.id}` : ""}`);
+    console.log(`   Pre-trade simulation: ${recorded ? `profit ${recorded.simulation.profit} ${recorded.simulation.unit} at block ${recorded.simulation.block ?? "?"}` : "not in the ledger"}`);
+    console.log(`   Forking at block ${receipt.blockNumber - 1}...`);
+
+    const { file, report } = await generatePostmortem({
+        provider,
+        hash,
+        adapter,
+        simulation: recorded ? recorded.simulation : null,
+        unit: recorded ? recorded.trade.unit : undefined,
+        decimals: recorded && recorded.trade.decimals !== null ? recorded.trade.decimals : undefined,
+    });
+
+    console.log(`\n   Verdict: ${report.verdict}`);
+    if (report.failure) {
+        const { labels, iface } = report.format;
+        console.log(`   Failing leg: ${frameName(report.failure.leg, labels, iface)} (${report.failure.leg.to})`);
+        console.log(`   Error: ${report.replay.error || report.parentCall.error}`);
+    }
+    console.log(`\n📄 ${file}`);
+}
+
+main().then(() => process.exit(0)).catch(error => {
+    console.error(error);
+    process.exit(1);
+});
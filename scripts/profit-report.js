@@ -1,67 +1,81 @@
 /**
  * 📈 Arbitrage Profit Reporter
- * 
- * Reads the JSON log file and calculates total profits and trade stats.
+ *
+ * Gas-adjusted PnL of every market in the trade ledger (scripts/lib/ledger.js):
+ * profit per token, gas paid per native token, and the net in a reference
+ * currency from the prices recorded with each trade, per market, per strategy
+ * and per day. See scripts/lib/pnl.js for how trades are valued. Load the old
+ * per-bot logs/*.json first with scripts/import-logs.js.
+ *
+ * Usage:
+ *   node scripts/profit-report.js [market]
+ *   REFERENCE=xDAI SINCE=2025-06-01 UNTIL=2025-07-01 node scripts/profit-report.js
+ *   PRICES=GNO=120,SDAI=1.15 node scripts/profit-report.js gnosis-v4
+ *   LIVE_PRICES=true node scripts/profit-report.js      tokens never priced in the
+ *                                                        ledger at today's oracle prices
+ *   REPORT_CSV=pnl.csv REPORT_JSON=pnl.json node scripts/profit-report.js
+ *   LEDGER_DB=logs/backtest/gnosis-v5/backtest.sqlite node scripts/profit-report.js
  */
 
 const fs = require("fs");
-const path = require("path");
-const { ethers } = require("ethers");
+const { openLedger, DEFAULT_FILE } = require("./lib/ledger");
+const { listMarkets, getMarket } = require("./lib/markets");
+const { CHAINS } = require("./lib/chains");
+const { parsePriceList, buildPnlReport, formatPnlReport, pnlCsv } = require("./lib/pnl");
+const { getPriceOracle } = require("./lib/oracle");
 
-const LOG_FILE = path.join(__dirname, "../logs/arbitrage-bot.json");
+/** Current oracle prices of every chain with a market (Gnosis first: sDAI there is Savings xDAI). */
+async function livePrices() {
+    const chainIds = [...new Set(listMarkets().map(id => getMarket(id).chainId))].sort((a, b) => b - a);
+    const prices = {};
+    for (const chainId of chainIds) {
+        const chainPrices = await getPriceOracle(chainId).prices();
+        for (const [symbol, usd] of Object.entries(chainPrices)) if (prices[symbol] === undefined) prices[symbol] = usd;
+    }
+    console.log(`💱 Live oracle prices: ${Object.entries(prices).map(([s, p]) => `${s}=${p.toFixed(4)}`).join(", ")}`);
+    return prices;
+}
 
-function main() {
-    if (!fs.existsSync(LOG_FILE)) {
-        console.error("❌ Log file not found at " + LOG_FILE);
+async function main() {
+    const market = process.argv[2];
+    const file = process.env.LEDGER_DB || DEFAULT_FILE;
+    if (!fs.existsSync(file)) {
+        console.error("❌ Ledger not found at " + file);
         return;
     }
+    const ledger = openLedger(file);
 
-    const lines = fs.readFileSync(LOG_FILE, "utf8").split("\n").filter(l => l.trim());
-    const events = lines.map(line => {
-        try {
-            return JSON.parse(line);
-        } catch (e) {
-            return null;
-        }
-    }).filter(e => e !== null);
-
-    const trades = events.filter(e => e.type === "trade" && e.status === "success");
-    const fails = events.filter(e => e.type === "trade" && e.status === "failed");
-    const scans = events.filter(e => e.type === "scan");
-
-    console.log("\n📊 ARBITRAGE BOT PERFORMANCE REPORT");
-    console.log("=".repeat(50));
-
-    let totalProfit = 0;
-    const strategyStats = {};
+    // Gas token of trades imported from logs that did not record it
+    const gasSymbols = {};
+    for (const id of listMarkets()) gasSymbols[id] = CHAINS[getMarket(id).chainId]?.nativeSymbol;
 
-    trades.forEach(t => {
-        totalProfit += t.profit;
-        strategyStats[t.strategy] = (strategyStats[t.strategy] || 0) + t.profit;
+    const report = buildPnlReport(ledger, {
+        market,
+        since: process.env.SINCE,
+        until: process.env.UNTIL,
+        reference: process.env.REFERENCE || "USD",
+        prices: parsePriceList(process.env.PRICES),
+        fallbackPrices: process.env.LIVE_PRICES === "true" ? await livePrices() : {},
+        gasSymbols,
     });
+    const counts = ledger.counts(market);
+    ledger.close();
 
-    console.log(`⏱️ Total Scans:    ${scans.length}`);
-    console.log(`✅ Successful Trades: ${trades.length}`);
-    console.log(`❌ Failed Trades:     ${fails.length}`);
-    console.log(`💰 Total Profit:      ${totalProfit.toFixed(6)} GNO`);
+    console.log("\n" + formatPnlReport(report));
+    console.log(`⏱️ Scans: ${counts.scans} | 🧪 Simulations: ${counts.simulations}` +
+        (counts.pending > 0 ? ` | ⏳ Pending trades: ${counts.pending}` : "") + "\n");
 
-    if (trades.length > 0) {
-        console.log(`📈 Avg Profit/Trade:  ${(totalProfit / trades.length).toFixed(6)} GNO`);
+    if (process.env.REPORT_CSV) {
+        fs.writeFileSync(process.env.REPORT_CSV, pnlCsv(report));
+        console.log(`📝 Trades CSV written to ${process.env.REPORT_CSV}`);
     }
-
-    console.log("\n🔹 Profits by Strategy:");
-    Object.entries(strategyStats).forEach(([strategy, profit]) => {
-        console.log(`   - ${strategy}: ${profit.toFixed(6)} GNO`);
-    });
-
-    if (trades.length > 0) {
-        console.log("\n📜 Recent Successful Trades:");
-        trades.slice(-5).reverse().forEach(t => {
-            console.log(`   [${t.timestamp}] ${t.strategy} | ${t.amount} GNO | +${t.profit.toFixed(6)} GNO | TX: ${t.txHash.slice(0, 10)}...`);
-        });
+    if (process.env.REPORT_JSON) {
+        fs.writeFileSync(process.env.REPORT_JSON, JSON.stringify(report, null, 2) + "\n");
+        console.log(`📝 Report written to ${process.env.REPORT_JSON}`);
     }
-
-    console.log("=".repeat(50) + "\n");
 }
 
-main();
+main().then(() => process.exit(0)).catch(error => {
+    console.error("Error:", error);
+    process.exit(1);
+});
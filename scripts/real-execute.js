@@ -3,14 +3,21 @@
  * 
  * Strategy: SPOT_SPLIT (Borrow GNO)
  * Amount: 2 GNO
+ *
+ * Usage: npx hardhat run scripts/real-execute.js --network gnosis
+ *        MARKET=<id> selects another entry in markets/*.json with a "V3" deployment
  */
 
 const { ethers } = require("hardhat");
+const { getMarket, deploymentAddress } = require("./lib/markets");
+
+// Proposal and token addresses: markets/<MARKET>.json; the contract is its "V3" deployment
+const market = getMarket(process.env.MARKET || "gnosis-v4");
 
 const CONFIG = {
-    contractAddress: "0x5649CA18945a8cf36945aA2674f74db3634157cC",
-    proposalAddress: "0x45e1064348fD8A407D6D1F59Fc64B05F633b28FC",
-    gnoAddress: "0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb",
+    contractAddress: deploymentAddress(market, "V3"),
+    proposalAddress: market.proposalAddress,
+    gnoAddress: market.tokens.GNO,
 
     // Trade Params
     amount: "0.000001",
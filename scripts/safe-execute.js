@@ -5,14 +5,20 @@
  * BEFORE executing the actual transaction on Gnosis Chain.
  * 
  * Usage: npx hardhat run scripts/safe-execute.js --network gnosis
+ *        MARKET=<id> picks the contract/proposal from markets/*.json
  */
 
 const { ethers } = require("hardhat");
+const { getMarket } = require("./lib/markets");
+const { describeRevert, replayRevert } = require("./lib/reverts");
+
+// Contract, proposal and token addresses: markets/<MARKET>.json
+const market = getMarket(process.env.MARKET || "gnosis-v4");
 
 const CONFIG = {
-    contractAddress: "0x0ECD7369cFe4CD2f35b47B3c66e32AaC2016B25a",  // V4 PERMISSIONLESS
-    proposalAddress: "0x45e1064348fD8A407D6D1F59Fc64B05F633b28FC",
-    gnoAddress: "0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb",
+    contractAddress: market.contractAddress,
+    proposalAddress: market.proposalAddress,
+    gnoAddress: market.tokens.GNO,
 
     // Parameters for this execution
     amount: "0.01",
@@ -72,7 +78,7 @@ async function main() {
         console.log(`      Return Rate:     ${((profitNum / Number(CONFIG.amount)) * 100).toFixed(2)}%`);
 
     } catch (error) {
-        console.error(`   ❌ Static call failed: ${error.message.slice(0, 100)}`);
+        console.error(`   ❌ Static call failed: ${describeRevert(error, { iface: contract.interface, unit: "GNO" })}`);
         return;
     }
 
@@ -110,7 +116,7 @@ async function main() {
         console.log(`   🔥 Max Gas Cost:   ${Number(totalGasCostXdai).toFixed(6)} xDAI`);
 
     } catch (error) {
-        console.error(`   ❌ Gas estimation failed: ${error.message.slice(0, 100)}`);
+        console.error(`   ❌ Gas estimation failed: ${describeRevert(error, { iface: contract.interface, unit: "GNO" })}`);
         return;
     }
 
@@ -174,10 +180,13 @@ async function main() {
                 console.log(`📦 Any leftovers (YES/NO tokens) were also sent to your address.`);
             } else {
                 console.log("\n❌ TRANSACTION REVERTED on-chain.");
+                const replay = await replayRevert(ethers.provider, receipt.hash);
+                if (replay.error) console.log(`   Reason: ${describeRevert(replay.error, { iface: contract.interface, unit: "GNO" })}`);
+                else if (replay.outOfGas) console.log("   Reason: out of gas");
             }
 
         } catch (error) {
-            console.error(`\n❌ Execution failed: ${error.message}`);
+            console.error(`\n❌ Execution failed: ${describeRevert(error, { iface: contract.interface, unit: "GNO" })}`);
         }
     } else {
         console.log("\n" + "=".repeat(60));
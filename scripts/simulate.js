@@ -8,11 +8,17 @@
  * Key insight: 1 YES_SDAI + 1 NO_SDAI = 1 sDAI (always, by merging)
  * Similarly: 1 YES_GNO + 1 NO_GNO = 1 GNO (always, by merging)
  * 
+ * The profit table walks each loan through the YES/NO pools tick by tick
+ * (scripts/lib/clmm.js), so larger loans show their price impact instead of
+ * scaling the mid-price.
+ *
  * Usage:
  *   node scripts/simulate.js <PROPOSAL_ADDRESS>
  */
 
 const { ethers } = require("hardhat");
+const { loadPoolState } = require("./lib/clmm");
+const { splitSellMerge } = require("./lib/pricing");
 require("dotenv").config();
 
 // ============================================================================
@@ -344,6 +350,24 @@ async function main() {
     console.log("📊 PROFIT SIMULATION (RISK-FREE ONLY)");
     console.log("=".repeat(80) + "\n");
 
+    // Tick-level snapshots of the conditional pools; mid-price fallback if they can't be read
+    let snapshots = null;
+    try {
+        snapshots = await Promise.all([yesPool, noPool].map(a => loadPoolState(provider, a, { kind: "algebra" })));
+    } catch (e) {
+        console.log(`   ⚠️  Could not load pool ticks (${e.message.slice(0, 60)}), using mid-prices\n`);
+    }
+
+    const mergeReturnFor = gnoBought => {
+        if (!snapshots) return gnoBought * minPrice;
+        const gnoWei = ethers.parseEther(gnoBought.toFixed(18));
+        try {
+            return Number(ethers.formatEther(splitSellMerge(snapshots[0], snapshots[1], yesGno, noGno, gnoWei)));
+        } catch (e) {
+            return NaN; // past the loaded ticks / pool liquidity
+        }
+    };
+
     console.log("┌─────────────┬──────────────┬──────────────┬──────────────┬──────────────┐");
     console.log("│ Flash Loan  │ GNO Bought   │ Merge Return │ Est. Profit  │ ROI %        │");
     console.log("│ (sDAI)      │ (at spot)    │ (sDAI)       │ (sDAI)       │              │");
@@ -352,7 +376,7 @@ async function main() {
     for (const loanStr of LOAN_AMOUNTS) {
         const loan = parseFloat(loanStr);
         const gnoBought = loan / spotPrice;
-        const mergeReturn = gnoBought * minPrice;
+        const mergeReturn = mergeReturnFor(gnoBought);
         const profit = mergeReturn - loan;
         const roi = (profit / loan) * 100;
 
@@ -5,10 +5,12 @@
  * 1. Loads the wrapped outcome tokens from the proposal
  * 2. Finds the Uniswap V3 YES and NO pools using the 500 fee tier
  * 
- * Example proposal: 0xFb45aE9d8e5874e85b8e23D735EB9718EfEF47Fa
+ * Usage: node scripts/test-mainnet-pools.js [proposal]
+ *        (default: the proposal of markets/<MARKET>.json, aave-v6)
  */
 
 const { ethers } = require("ethers");
+const { getMarket } = require("./lib/markets");
 
 // ============================================================================
 // CONFIGURATION - Ethereum Mainnet
@@ -25,7 +27,7 @@ const FUTARCHY_ROUTER = "0xAc9Bf8EbA6Bd31f8E8c76f8E8B2AAd0BD93f98Dc";
 const DEFAULT_FEE_TIER = 500;
 
 // Example proposal on Mainnet
-const EXAMPLE_PROPOSAL = "0xFb45aE9d8e5874e85b8e23D735EB9718EfEF47Fa";
+const EXAMPLE_PROPOSAL = getMarket(process.env.MARKET || "aave-v6").proposalAddress;
 
 // ============================================================================
 // ABIs
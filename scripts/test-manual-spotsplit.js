@@ -6,16 +6,20 @@
 
 const { ethers } = require('ethers');
 require('dotenv').config();
+const { getMarket } = require('./lib/markets');
+
+// Proposal and VLR / USDC: markets/<MARKET>.json
+const market = getMarket(process.env.MARKET || 'vlr-v3');
 
 // Addresses
-const VLR = '0x4e107a0000DB66f0E9Fd2039288Bf811dD1f9c74';
+const VLR = market.tokens.VLR;
 const USDS = '0xdC035D45d973E3EC169d2276DDab16f1e407384F';
-const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const USDC = market.tokens.USDC;
 const YES_VLR = '0x354582ff9f500f05b506666b75B33dbc90A8708d';
 const NO_VLR = '0x4B53aE333bB337c0C8123aD84CE2F541ed53746E';
 const YES_USDS = '0xa51aFa14963FaE9696b6844D652196959Eb5b9F6';
 const NO_USDS = '0x1a9c528Bc34a7267b1c51a8CD3fad9fC99136171';
-const PROPOSAL = '0x4e018f1D8b93B91a0Ce186874eDb53CB6fFfCa62';
+const PROPOSAL = market.proposalAddress;
 const FUTARCHY_ROUTER = '0xAc9Bf8EbA6Bd31f8E8c76f8E8B2AAd0BD93f98Dc';
 const QUOTER_V2 = '0x61fFE014bA17989E743c5F6cB21bF9697530B21e';
 const PERMIT2 = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
@@ -1,17 +1,22 @@
 /**
  * Test MERGE_SPOT with real on-chain transaction (tiny amount)
  * Usage: node scripts/test-merge-real.js
+ *        MARKET=<id> selects another entry in markets/*.json (default aave-v2)
  */
 
 const { ethers } = require("ethers");
 require("dotenv").config();
+const { getMarket } = require("./lib/markets");
+
+// Contract, proposal and token addresses: markets/<MARKET>.json
+const market = getMarket(process.env.MARKET || "aave-v2");
 
 const CONFIG = {
     rpcUrl: process.env.RPC_URL || "https://ethereum.publicnode.com",
-    contractAddress: "0x098321F3f0d20dD4fc9559267a9B1c88AaDd2876",  // AaveFlashArbitrageV2
-    proposalAddress: "0xFb45aE9d8e5874e85b8e23D735EB9718EfEF47Fa",
+    contractAddress: market.contractAddress,  // AaveFlashArbitrageV2
+    proposalAddress: market.proposalAddress,
     tokens: {
-        GHO: "0x40D16FC0246aD3160Ccc09B8D0D3A2cD28aE6C2f"
+        GHO: market.tokens.GHO
     }
 };
 
@@ -1,13 +1,18 @@
 /**
  * Test sDAI Borrow (MERGE_SPOT strategy)
+ *
+ * Usage: npx hardhat run scripts/test-sdai.js --network gnosis
+ *        MARKET=<id> selects another entry in markets/*.json with a "V3" deployment
  */
 
 const { ethers } = require("hardhat");
+const { getMarket, deploymentAddress } = require("./lib/markets");
 
-const CONTRACT = "0x5649CA18945a8cf36945aA2674f74db3634157cC";
-const PROPOSAL = "0x45e1064348fD8A407D6D1F59Fc64B05F633b28FC";
-const GNO = "0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb";
-const SDAI = "0xaf204776c7245bF4147c2612BF6e5972Ee483701";
+// Proposal and token addresses: markets/<MARKET>.json; the contract is its "V3" deployment
+const market = getMarket(process.env.MARKET || "gnosis-v4");
+const CONTRACT = deploymentAddress(market, "V3");
+const PROPOSAL = market.proposalAddress;
+const { GNO, SDAI } = market.tokens;
 
 async function main() {
     console.log("\n🔍 Testing sDAI Borrow (MERGE_SPOT)\n");
@@ -1,12 +1,18 @@
 /**
  * Test Futarchy Router splitPosition with static call
+ *
+ * Usage: npx hardhat run scripts/test-split.js --network gnosis
+ *        MARKET=<id> selects another Gnosis entry in markets/*.json
  */
 
 const { ethers } = require("hardhat");
+const { getMarket } = require("./lib/markets");
 
+// Proposal and token addresses: markets/<MARKET>.json
+const market = getMarket(process.env.MARKET || "gnosis-v4");
 const FUTARCHY_ROUTER = "0x7495a583ba85875d59407781b4958ED6e0E1228f";
-const PROPOSAL = "0x45e1064348fD8A407D6D1F59Fc64B05F633b28FC";
-const GNO = "0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb";
+const PROPOSAL = market.proposalAddress;
+const { GNO } = market.tokens;
 
 async function main() {
     console.log("\n🧪 Testing Futarchy Router splitPosition (Static Call)\n");
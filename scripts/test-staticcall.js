@@ -3,19 +3,20 @@
  * 
  * This script tests the deployed contract using static calls
  * to simulate profitability before actual execution.
+ *
+ * Usage: npx hardhat run scripts/test-staticcall.js --network gnosis
+ *        MARKET=<id> selects another entry in markets/*.json with a "V2" deployment
  */
 
 const { ethers } = require("hardhat");
 require("dotenv").config();
+const { getMarket, deploymentAddress } = require("./lib/markets");
 
-// Contract deployed address
-const CONTRACT_ADDRESS = "0x16e07953f0673C696771aA0409bE9C4d57870851";
-
-// Test proposal address (FutarchyProposal-1)
-const PROPOSAL_ADDRESS = "0x45e1064348fD8A407D6D1F59Fc64B05F633b28FC";
-
-// sDAI token address
-const SDAI_ADDRESS = "0xaf204776c7245bF4147c2612BF6e5972Ee483701";
+// Proposal and token addresses: markets/<MARKET>.json; the contract is its "V2" deployment
+const market = getMarket(process.env.MARKET || "gnosis-v4");
+const CONTRACT_ADDRESS = deploymentAddress(market, "V2");
+const PROPOSAL_ADDRESS = market.proposalAddress;
+const SDAI_ADDRESS = market.tokens.SDAI;
 
 // ArbitrageDirection enum values
 const ArbitrageDirection = {
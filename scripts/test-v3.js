@@ -1,13 +1,18 @@
 /**
  * Test GnosisFlashArbitrageV3 Contract
+ *
+ * Usage: npx hardhat run scripts/test-v3.js --network gnosis
+ *        MARKET=<id> selects another entry in markets/*.json with a "V3_TEST" deployment
  */
 
 const { ethers } = require("hardhat");
+const { getMarket, deploymentAddress } = require("./lib/markets");
 
-const CONTRACT = "0x4fa55bd3fa3e66b85a7ac7880a42d8fab272f921";
-const PROPOSAL = "0x45e1064348fD8A407D6D1F59Fc64B05F633b28FC";
-const GNO = "0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb";
-const SDAI = "0xaf204776c7245bF4147c2612BF6e5972Ee483701";
+// Proposal and token addresses: markets/<MARKET>.json; the contract is its "V3_TEST" deployment
+const market = getMarket(process.env.MARKET || "gnosis-v4");
+const CONTRACT = deploymentAddress(market, "V3_TEST");
+const PROPOSAL = market.proposalAddress;
+const { GNO, SDAI } = market.tokens;
 
 async function main() {
     console.log("\n🧪 Testing GnosisFlashArbitrageV3\n");
@@ -3,13 +3,16 @@
  * Uses staticCall to check if MERGE_SPOT with 50 sDAI is now profitable.
  *
  * Usage: npx hardhat run scripts/test-v5-simulation.js --network gnosis
+ *        MARKET=<id> selects another V5 entry in markets/*.json
  */
 const { ethers } = require("hardhat");
+const { getMarket } = require("./lib/markets");
 
-const V5_ADDRESS = "0x59D327033035E16cEB95cd554D26886B59E4086e";
-const PROPOSAL = "0x47c80f5f701ebc5f25cab64e660f0577890729c2";  // GIP-149
-const SDAI = "0xaf204776c7245bF4147c2612BF6e5972Ee483701";
-const GNO = "0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb";
+// Contract, proposal and token addresses: markets/<MARKET>.json (default: GIP-149)
+const market = getMarket(process.env.MARKET || "gnosis-v5");
+const V5_ADDRESS = market.contractAddress;
+const PROPOSAL = market.proposalAddress;
+const { SDAI, GNO } = market.tokens;
 
 const ARB_FAILED_IFACE = new ethers.Interface([
     "error ArbitrageFailed(uint256 balanceAfter, uint256 borrowAmount, string reason)"
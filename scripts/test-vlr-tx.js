@@ -5,12 +5,15 @@
  * This will show the revert reason in the transaction trace.
  * 
  * Usage: node scripts/test-vlr-tx.js
+ *        MARKET=<id> selects another entry in markets/*.json with a "V1" deployment
  */
 
 const { ethers } = require('ethers');
 require('dotenv').config();
+const { getMarket, deploymentAddress } = require('./lib/markets');
 
-const CONTRACT = '0xC6BF0047710cD512b24a5E9472CA1665d70171b0';
+// markets/<MARKET>.json, its "V1" deployment (the legacy VLR contract)
+const CONTRACT = deploymentAddress(getMarket(process.env.MARKET || 'vlr-v3'), 'V1');
 const ABI = [
     'function executeArbitrage(uint256 borrowAmount, uint8 direction, uint256 minProfit) external returns (tuple(bool success, uint256 profit, uint256 borrowAmount) result)'
 ];
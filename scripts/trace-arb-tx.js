@@ -0,0 +1,80 @@
+/**
+ * 🔬 Token-flow breakdown of an executed arbitrage transaction
+ *
+ * Decodes the receipt's Transfer, Swap, split/merge and flash-loan events
+ * (scripts/lib/token-flow.js) and prints the trade leg by leg: borrow, split,
+ * YES / NO sells, merge, spot swap, repay and the payout, with amounts,
+ * effective prices, fees paid and price impact against the pools' state at
+ * the parent block. traceArbReal.js / traceArbMath.js simulate a trade before
+ * it is sent; this reads one that was mined, for any tx against our contracts.
+ *
+ * Usage:
+ *   node scripts/trace-arb-tx.js <txHash>                      looks on Gnosis, then Mainnet
+ *   node scripts/trace-arb-tx.js <txHash> gnosis-v5            market id (chain, pool names, outcome tokens)
+ *   node scripts/trace-arb-tx.js <txHash> 1                    chain id
+ *   REPORT_JSON=flow.json node scripts/trace-arb-tx.js <txHash>
+ *
+ * Reverted transactions have no events to trace: see scripts/debug-tx.js.
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { CHAINS, findTransaction, getTxExplorerUrl } = require("./lib/chains");
+const { getMarket } = require("./lib/markets");
+const { findAdapterByContract } = require("./lib/adapters");
+const { loadFlowContext, decodeFlow, formatFlow } = require("./lib/token-flow");
+
+async function main() {
+    const [hash, where] = process.argv.slice(2);
+    if (!hash || !ethers.isHexString(hash, 32)) {
+        console.log("Usage: node scripts/trace-arb-tx.js <txHash> [chainId | marketId]");
+        process.exit(1);
+    }
+
+    const chainIds = !where ? undefined : CHAINS[Number(where)] ? [Number(where)] : [getMarket(where).chainId];
+    const found = await findTransaction(hash, chainIds);
+    if (!found) {
+        console.log("❌ Transaction not found.");
+        return;
+    }
+    const { chainId, provider, tx } = found;
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (!receipt) {
+        console.log("⏳ Not mined yet.");
+        return;
+    }
+    if (receipt.status !== 1) {
+        console.log(`❌ Reverted in block ${receipt.blockNumber}: no token flow. Run node scripts/debug-tx.js ${hash}`);
+        return;
+    }
+
+    const adapter = await findAdapterByContract(chainId, tx.to);
+    const market = adapter ? adapter.market : null;
+    const poolNames = Object.fromEntries(Object.entries(market?.pools || {}).map(([name, address]) => [address, `${name} pool`]));
+    const context = await loadFlowContext(provider, tx, receipt, { outcomeTokens: market?.outcomeTokens, poolNames });
+    const flow = decodeFlow(receipt, context);
+
+    console.log(`\n🔬 TOKEN FLOW: ${hash}`);
+    console.log(`   ${CHAINS[chainId].name} block ${receipt.blockNumber} | gas ${receipt.gasUsed} | ${getTxExplorerUrl(chainId, hash)}`);
+    console.log(`   Contract: ${tx.to}${market ? ` (${market.id}: ${market.label})` : " (not a configured market)"}`);
+    console.log(`   Caller:   ${tx.from}\n`);
+    formatFlow(flow).forEach(line => console.log(`   ${line}`));
+
+    // ArbitrageExecuted: the profit the contract itself reports
+    const borrow = flow.legs.find(leg => leg.kind === "borrow");
+    const decimals = borrow ? context.tokens[borrow.token].decimals : 18;
+    const realized = adapter ? adapter.realizedProfit(receipt, { decimals }) : null;
+    if (realized) console.log(`\n   💰 ArbitrageExecuted profit: ${realized.profit} ${borrow ? borrow.symbol : ""}`.trimEnd());
+
+    if (process.env.REPORT_JSON) {
+        const report = { chainId, market: market ? market.id : null, ...flow, reportedProfit: realized ? realized.raw.toString() : null };
+        fs.writeFileSync(process.env.REPORT_JSON, JSON.stringify(report, null, 2));
+        console.log(`\n📄 JSON: ${process.env.REPORT_JSON}`);
+    }
+}
+
+main().then(() => process.exit(0)).catch(error => {
+    console.error(error);
+    process.exit(1);
+});
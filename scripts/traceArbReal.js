@@ -1,18 +1,16 @@
 /**
  * Trace SPOT_SPLIT arb using REAL router staticCall quotes.
  * Usage: npx hardhat run scripts/traceArbReal.js --network gnosis
+ *        MARKET=<id> selects another markets/*.json entry (needs outcomeTokens + yes/no/spot pools)
  */
 const { ethers } = require("hardhat");
+const { getMarket } = require("./lib/markets");
 
-const GNO = "0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb";
-const SDAI = "0xaf204776c7245bF4147c2612BF6e5972Ee483701";
-const YES_GNO = "0xcBD75765B52c278a61a481E8c79C16D8D9b08Cca";
-const NO_GNO = "0x4339E3e5168C9bB2EC6e7Ab66bce64487f2FcaC4";
-const YES_SDAI = "0x75C292EB27E33D36B087c84Ad3131197dE03B483";
-const NO_SDAI = "0x26853F7B8F70DCe83326A12317B7aEE5a20D0404";
-const YES_POOL = "0x5Ce6E5Bb8866B30ffbA342A9D988788A4011182F";
-const NO_POOL = "0xd78Ea40dC62E763a41dBDAC744005192b57412E6";
-const SPOT_POOL = "0x80086B6A53249277961c8672F0C22B3f54AC85FB";
+// Proposal addresses from markets/<MARKET>.json (default: GIP-149)
+const market = getMarket(process.env.MARKET || "gnosis-v5");
+const { GNO, SDAI } = market.tokens;
+const { YES_GNO, NO_GNO, YES_SDAI, NO_SDAI } = market.outcomeTokens;
+const { yes: YES_POOL, no: NO_POOL, spot: SPOT_POOL } = market.pools;
 
 const SWAPR_ROUTER = "0xfFB643E73f280B97809A8b41f7232AB401a04ee1";
 const BALANCER_V2 = "0xBA12222222228d8Ba445958a75a0704d566BF2C8";
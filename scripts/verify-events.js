@@ -1,45 +1,98 @@
 /**
- * 📊 Verify Arbitrage Execution Results
+ * 📊 Reconcile recorded trades with on-chain ArbitrageExecuted events
+ *
+ * Scans each market contract's ArbitrageExecuted history in chunked getLogs
+ * ranges and matches the events to the trade ledger by tx hash (see
+ * scripts/lib/reconcile.js): realized profit, borrow token and direction are
+ * written onto matched trades, events the ledger never saw are added, and
+ * ledger successes without an event are flagged. Runs are incremental: the
+ * next run starts after the last reconciled block of each contract.
+ *
+ * Usage:
+ *   node scripts/verify-events.js                       every market with a contract
+ *   node scripts/verify-events.js gnosis-v5 pnk
+ *   FULL=true node scripts/verify-events.js aave-v6     rescan from the deploy block
+ *   FROM_BLOCK=38000000 TO_BLOCK=38100000 CHUNK=2000 node scripts/verify-events.js gnosis-v4
+ *   RECORD=false REPORT_JSON=reconcile.json node scripts/verify-events.js
+ *
+ * The first run needs the deploy block: the market's "deployBlock", or a
+ * binary search over eth_getCode (archive RPC).
  */
 
-const { ethers } = require("hardhat");
-
-const CONTRACT_ADDRESS = "0x5590349f7a460aff6c04f2c70a9d1eedab94f6eb";
+require("dotenv").config();
+const fs = require("fs");
+const { listMarkets, getMarket } = require("./lib/markets");
+const { createAdapter } = require("./lib/adapters");
+const { openLedger } = require("./lib/ledger");
+const { reconcileContract, findDeployBlock, formatReconcile } = require("./lib/reconcile");
 
 async function main() {
-    console.log("\n📊 FETCHING ON-CHAIN EXECUTION LOGS\n");
-    console.log("=".repeat(60));
+    const ids = process.argv.length > 2 ? process.argv.slice(2) : listMarkets();
+    const record = process.env.RECORD !== "false";
+    const ledger = openLedger();
 
-    const [signer] = await ethers.getSigners();
-    const contract = await ethers.getContractAt("GnosisFlashArbitrageV3", CONTRACT_ADDRESS, signer);
+    // Markets sharing a deployed contract are reconciled together
+    const groups = new Map();
+    for (const id of ids) {
+        const market = getMarket(id);
+        const adapter = await createAdapter(market).connect();
+        if (!adapter.contract) {
+            console.log(`⚪ ${id}: not deployed (markets/*.json "contractAddress" is empty), skipped`);
+            continue;
+        }
+        const key = `${market.chainId}:${(await adapter.contract.getAddress()).toLowerCase()}`;
+        if (!groups.has(key)) groups.set(key, { adapter, markets: [] });
+        groups.get(key).markets.push(market);
+    }
 
-    // Get latest block
-    const latestBlock = await ethers.provider.getBlockNumber();
-    console.log(`Current Block: ${latestBlock}`);
+    const results = [];
+    for (const { adapter, markets } of groups.values()) {
+        const address = await adapter.contract.getAddress();
+        const toBlock = process.env.TO_BLOCK ? Number(process.env.TO_BLOCK) : await adapter.provider.getBlockNumber();
 
-    // Fetch ArbitrageExecuted events from the last 100 blocks
-    const filter = contract.filters.ArbitrageExecuted();
-    const events = await contract.queryFilter(filter, latestBlock - 100, latestBlock);
+        let fromBlock;
+        let fromHistoryStart = false;
+        const last = ledger.lastReconciledBlock(adapter.market.chainId, address);
+        if (process.env.FROM_BLOCK) {
+            fromBlock = Number(process.env.FROM_BLOCK);
+        } else if (last !== null && process.env.FULL !== "true") {
+            fromBlock = last + 1;
+        } else {
+            const configured = markets.map(m => m.deployBlock).filter(b => b !== undefined);
+            fromBlock = configured.length ? Math.min(...configured) : await findDeployBlock(adapter.provider, address, toBlock);
+            fromHistoryStart = true;
+        }
+        if (fromBlock > toBlock) {
+            console.log(`✅ ${address} (${markets.map(m => m.id).join(", ")}): up to date at block ${toBlock}`);
+            continue;
+        }
 
-    if (events.length === 0) {
-        console.log("❌ No ArbitrageExecuted events found in the last 100 blocks.");
-        return;
+        console.log(`\n🔎 ${markets.map(m => m.id).join(", ")}: ${address} blocks ${fromBlock}–${toBlock}`);
+        const result = await reconcileContract(adapter, ledger, {
+            fromBlock,
+            toBlock,
+            fromHistoryStart,
+            markets,
+            record,
+            chunk: process.env.CHUNK ? Number(process.env.CHUNK) : undefined,
+            onChunk: (from, to, count) => { if (count > 0) console.log(`   📜 ${from}–${to}: ${count} events`); },
+        });
+        console.log(formatReconcile(result));
+        results.push(result);
     }
+    ledger.close();
 
-    console.log(`Found ${events.length} arbitrage events:\n`);
-
-    for (const event of events) {
-        const { proposal, direction, borrowToken, borrowAmount, profit, profitRecipient } = event.args;
-        console.log(`🔹 TX: ${event.transactionHash}`);
-        console.log(`   Proposal:  ${proposal}`);
-        console.log(`   Strategy:  ${direction === 0n ? 'SPOT_SPLIT' : 'MERGE_SPOT'}`);
-        console.log(`   Borrow:    ${ethers.formatUnits(borrowAmount, 18)} ${borrowToken === "0x9C58BAcC331c9aa871AFD802DB6379a98e80CEdb" ? 'GNO' : 'Token'}`);
-        console.log(`   Profit:    ${ethers.formatUnits(profit, 18)} GNO`);
-        console.log(`   Recipient: ${profitRecipient}`);
-        console.log("-".repeat(40));
+    if (!record) console.log("\n⚠️  RECORD=false: ledger not updated");
+    if (process.env.REPORT_JSON) {
+        const json = JSON.stringify(results, (_key, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+        fs.writeFileSync(process.env.REPORT_JSON, json + "\n");
+        console.log(`📝 Report written to ${process.env.REPORT_JSON}`);
     }
-
-    console.log("\nDone!");
 }
 
-main().then(() => process.exit(0)).catch(console.error);
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error("Error:", error);
+        process.exit(1);
+    });
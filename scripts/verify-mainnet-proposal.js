@@ -1,20 +1,23 @@
 /**
  * Verify Mainnet Proposal Infrastructure
  * 
- * Target: Proposal 0xFb45aE9d8e5874e85b8e23D735EB9718EfEF47Fa
+ * Target: the proposal of markets/<MARKET>.json (default aave-v6)
  * Network: Ethereum Mainnet
  * 
  * Usage: node scripts/verify-mainnet-proposal.js
+ *        MARKET=<id> node scripts/verify-mainnet-proposal.js
  */
 
 const { ethers } = require("ethers");
+require("dotenv").config();
+const { getMarket } = require("./lib/markets");
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-const RPC_URL = "https://ethereum.publicnode.com";
-const PROPOSAL_ADDRESS = "0xFb45aE9d8e5874e85b8e23D735EB9718EfEF47Fa";
+const RPC_URL = process.env.RPC_URL || "https://ethereum.publicnode.com";
+const PROPOSAL_ADDRESS = getMarket(process.env.MARKET || "aave-v6").proposalAddress;
 const FUTARCHY_ROUTER = "0xAc9Bf8EbA6Bd31f8E8c76f8E8B2AAd0BD93f98Dc";
 const PERMIT2_ADDRESS = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
 const UNISWAP_FACTORY = "0x1F98431c8aD98523631AE4a59f267346ea31F984";
@@ -0,0 +1,179 @@
+/**
+ * Offline tests for the replay backtester (scripts/lib/backtest.js).
+ *
+ * A hand-written dump for the gnosis-v5 market (snapshots + Swap events)
+ * is replayed through the real adapter and engine: the tests pin that a
+ * divergence is traded at the model size, that the trade moves the replayed
+ * pools, that gas is charged per trade and that an opportunity the
+ * thresholds reject is reported as missed.
+ *
+ * Run:  npx mocha test/backtest.test.js
+ */
+
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const clmm = require("../scripts/lib/clmm");
+const { getMarket } = require("../scripts/lib/markets");
+const { createAdapter } = require("../scripts/lib/adapters");
+const { openLedger } = require("../scripts/lib/ledger");
+const {
+    POOL_EVENTS, recordFromLog, toJsonLine, readEventDump, poolFromSnapshot, applyPoolEvent, runBacktest, quietly,
+} = require("../scripts/lib/backtest");
+
+const E18 = 10n ** 18n;
+const GWEI = 10n ** 9n;
+
+/** Snapshot record of a full-range pool at `tick` (token1 per token0 = 1.0001^tick). */
+function snapshot(address, token0, token1, tick, blockNumber = 99) {
+    const pool = { tick, tickSpacing: 60 };
+    return {
+        type: "snapshot",
+        blockNumber,
+        address,
+        kind: "algebra",
+        token0,
+        token1,
+        fee: 500,
+        tickSpacing: 60,
+        sqrtPriceX96: clmm.getSqrtRatioAtTick(tick),
+        tick,
+        liquidity: 1000n * E18,
+        words: clmm.wordBounds(pool, "all"),
+        ticks: { "-887220": 1000n * E18, "887220": -1000n * E18 },
+    };
+}
+
+/** Swap record that leaves `pool` at `tick` (what the chain would have logged). */
+function swapTo(address, tick, blockNumber, logIndex) {
+    return {
+        type: "Swap", blockNumber, logIndex, txHash: "0x01", address,
+        amount0: 1n, amount1: -1n, sqrtPriceX96: clmm.getSqrtRatioAtTick(tick), liquidity: 1000n * E18, tick,
+    };
+}
+
+describe("backtest replay", function () {
+    const market = getMarket("gnosis-v5");
+    const t = market.outcomeTokens;
+    // sDAI per GNO 100 at spot; the YES/NO pools (token0 = outcome sDAI) jump to ~110
+    const SPOT_TICK = 46054;
+    const COND_TICK = -47007;
+    let logDir;
+
+    const dump = () => [
+        snapshot(market.pools.spot, market.tokens.GNO, market.tokens.SDAI, SPOT_TICK),
+        snapshot(market.pools.yes, t.YES_SDAI, t.YES_GNO, -SPOT_TICK),
+        snapshot(market.pools.no, t.NO_SDAI, t.NO_GNO, -SPOT_TICK),
+        { type: "block", blockNumber: 100, timestamp: 1700000000, baseFeePerGas: 2n * GWEI },
+        swapTo(market.pools.yes, COND_TICK, 100, 0),
+        swapTo(market.pools.no, COND_TICK, 100, 1),
+        { type: "block", blockNumber: 101, timestamp: 1700000005, baseFeePerGas: 2n * GWEI },
+        { ...swapTo(market.pools.spot, SPOT_TICK, 101, 0), amount0: -(E18 / 10n), amount1: 10n * E18 },
+    ];
+
+    beforeEach(function () {
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), "backtest-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    it("prices YES/NO pools by their token order, as discovered proposals come in either", async function () {
+        const adapter = createAdapter(market);
+        adapter.proposal = adapter.poolModel.proposalFromConfig();
+        const pools = dump().filter(r => r.type === "snapshot").map(poolFromSnapshot);
+        const [spot, yes, no] = pools;
+        const state = await quietly(() => adapter.poolModel.stateFromPools({ spot, yes, no }));
+
+        // the same YES pool with the outcome GNO as token0
+        const flipped = poolFromSnapshot(snapshot(market.pools.yes, t.YES_GNO, t.YES_SDAI, SPOT_TICK));
+        const reversed = await quietly(() => adapter.poolModel.stateFromPools({ spot, yes: flipped, no }));
+        expect(state.prices.yes).to.be.closeTo(100, 0.01);
+        expect(reversed.prices.yes).to.be.closeTo(state.prices.yes, 1e-9);
+        expect(reversed.divergence).to.be.closeTo(state.divergence, 1e-9);
+    });
+
+    it("round-trips pool logs through the JSONL dump", function () {
+        const log = {
+            ...POOL_EVENTS.encodeEventLog("Mint", [market.pools.yes, market.pools.yes, -600, 600, 5n * E18, 1n, 2n]),
+            blockNumber: 7, index: 3, transactionHash: "0x02", address: market.pools.yes,
+        };
+        const record = recordFromLog(log);
+        expect(record).to.include({ type: "Mint", blockNumber: 7, logIndex: 3, tickLower: -600, tickUpper: 600 });
+        expect(record.amount).to.equal(5n * E18);
+
+        const file = path.join(logDir, "dump.jsonl");
+        fs.writeFileSync(file, [record, ...dump()].map(toJsonLine).join("\n") + "\n");
+        const records = readEventDump(file);
+        expect(records.map(r => r.type)).to.deep.equal(["Mint", "snapshot", "snapshot", "snapshot", "block", "Swap", "Swap", "block", "Swap"]);
+        expect(records[1].sqrtPriceX96).to.equal(clmm.getSqrtRatioAtTick(SPOT_TICK));
+        expect(records[1].ticks["-887220"]).to.equal(1000n * E18);
+    });
+
+    it("applies Mint/Burn to ticks and in-range liquidity", function () {
+        const pool = poolFromSnapshot(snapshot(market.pools.yes, t.YES_SDAI, t.YES_GNO, 0));
+        applyPoolEvent(pool, { type: "Mint", tickLower: -600, tickUpper: 600, amount: 5n * E18 });
+        applyPoolEvent(pool, { type: "Mint", tickLower: 600, tickUpper: 1200, amount: E18 });
+        expect(pool.liquidity).to.equal(1005n * E18);
+        expect(pool.ticks.get(600)).to.equal(-4n * E18);
+        applyPoolEvent(pool, { type: "Burn", tickLower: -600, tickUpper: 600, amount: 5n * E18 });
+        expect(pool.liquidity).to.equal(1000n * E18);
+        // the 600 tick is still crossed at its remaining liquidityNet
+        expect(clmm.swapExactInput(pool, t.YES_GNO, 100n * E18).ticksCrossed).to.be.greaterThan(0);
+    });
+
+    it("trades the divergence at the model size, charges gas and moves the pools", async function () {
+        const report = await runBacktest({ market, records: dump(), logDir });
+
+        expect(report.blocksScanned).to.equal(2);
+        expect(report.trades).to.have.length(1);
+        const [trade] = report.trades;
+        expect(trade).to.include({ block: 100, strategy: "SPOT_SPLIT", unit: "GNO" });
+        expect(trade.timestamp).to.equal(new Date(1700000000 * 1000).toISOString());
+        expect(trade.profit).to.be.greaterThan(0);
+        expect(report.pnl.GNO).to.equal(trade.profit);
+
+        // gasLimit per trade (no estimatedGas) at the block's 2 gwei base fee
+        expect(report.gas.perTradeSource).to.equal("gasLimit");
+        expect(report.gas.cost).to.be.closeTo((market.gasLimit * 2) / 1e9, 1e-12);
+        expect(report.gas.symbol).to.equal("xDAI");
+
+        // captured once; the trade closed the gap, so block 101 (the spot swap
+        // replayed by amount on the moved pools) has no opportunity left
+        expect(report.opportunities).to.include({ windows: 1, captured: 1, missed: 0 });
+        expect(report.replayErrors).to.equal(0);
+        expect(report.events).to.deep.equal({ Swap: 3 });
+
+        const ledger = openLedger(path.join(logDir, "backtest.sqlite"));
+        const logged = ledger.trades({ market: market.id });
+        ledger.close();
+        expect(logged).to.have.length(1);
+        expect(logged[0]).to.include({ status: "success", strategy: "SPOT_SPLIT", block_number: 100 });
+    });
+
+    it("reports opportunities the thresholds reject as missed", async function () {
+        const strict = { ...market, minNetProfit: { SPOT_SPLIT: 1e9, MERGE_SPOT: 1e9 } };
+        const report = await runBacktest({ market: strict, records: dump(), logDir, gasPrice: GWEI });
+
+        expect(report.trades).to.have.length(0);
+        expect(report.gas.cost).to.equal(0);
+        const o = report.opportunities;
+        expect(o.missed).to.equal(1);
+        expect(o.byReason).to.deep.equal({ "below threshold": 1 });
+        expect(o.topMissed[0]).to.include({ strategy: "SPOT_SPLIT", fromBlock: 100, toBlock: 101 });
+        expect(o.missedProfit.GNO).to.be.greaterThan(0);
+    });
+
+    it("refuses a dump without the market's pools", async function () {
+        const records = dump().filter(r => r.address !== market.pools.spot);
+        let error;
+        try {
+            await runBacktest({ market, records, logDir });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.match(/no snapshot for pool "spot"/);
+    });
+});
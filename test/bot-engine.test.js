@@ -0,0 +1,322 @@
+/**
+ * Offline tests for the multi-market bot engine (scripts/lib/bot-engine.js).
+ *
+ * A fake adapter stands in for the contract, so these run without an RPC:
+ * they pin the size-ladder stop rules, threshold check and dry-run gating,
+ * the net-profit gate, crash recovery, and how stalled / cancelled trades
+ * reach the ledger.
+ *
+ * Run:  npx mocha test/bot-engine.test.js
+ */
+
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createBotEngine } = require("../scripts/lib/bot-engine");
+const { openLedger } = require("../scripts/lib/ledger");
+
+/** profit curve by amount; null => revert */
+function fakeAdapter(market, curve) {
+    const simulated = [];
+    return {
+        id: market.id,
+        label: market.id,
+        market,
+        canExecute: true,
+        simulated,
+        provider: {
+            getFeeData: async () => ({ gasPrice: 1000000000n }),
+            getBlockNumber: async () => 123,
+        },
+        contract: null,
+        signer: null,
+        connect: async () => {},
+        loadProposal: async () => {},
+        readState: async () => ({ prices: { spot: 1 } }),
+        buildSizeCandidates: () => market.ladders,
+        simulate: async candidate => {
+            simulated.push(candidate.amount);
+            const profit = curve[candidate.amount];
+            return profit === null
+                ? { success: false, amount: candidate.amount, error: "reverted" }
+                : { success: true, amount: candidate.amount, profit };
+        },
+        evaluate: sim => ({ netProfit: sim.profit, value: sim.profit }),
+        execute: async () => { throw new Error("execute must not be called in dry run"); },
+        describeError: e => e.message,
+        txUrl: hash => hash,
+    };
+}
+
+describe("bot engine", function () {
+    let logDir;
+    let log;
+
+    beforeEach(function () {
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), "bot-engine-"));
+        log = console.log;
+        console.log = () => {};
+    });
+
+    afterEach(function () {
+        console.log = log;
+        fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    async function scanOnce(market, curve) {
+        let adapter;
+        const engine = createBotEngine({
+            markets: [market],
+            confirm: false,
+            once: true,
+            logDir,
+            createAdapter: m => (adapter = fakeAdapter(m, curve)),
+        });
+        const scans = [];
+        engine.on("scan", s => scans.push(s));
+        await engine.start();
+        return { adapter, scan: scans[0] };
+    }
+
+    it("stops the ladder after maxDeclines past the peak and picks the best size", async function () {
+        const market = {
+            id: "fake", logFile: "fake.json", scanIntervalMs: 1000,
+            ladders: [{
+                strategy: "SPOT_SPLIT", direction: 0, unit: "X",
+                amounts: ["1", "2", "3", "4", "5", "6"], minNetProfit: 0, maxDeclines: 2,
+            }],
+        };
+        const { adapter, scan } = await scanOnce(market, { 1: 1, 2: 3, 3: 2, 4: 1, 5: 9, 6: 9 });
+
+        expect(adapter.simulated).to.deep.equal(["1", "2", "3", "4"]);
+        expect(scan.bestOpportunity.amount).to.equal("2");
+        expect(scan.action).to.match(/^SPOT_SPLIT: dry-run/);
+    });
+
+    it("stops after maxReverts consecutive reverts and respects the threshold", async function () {
+        const market = {
+            id: "fake", logFile: "fake.json", scanIntervalMs: 1000,
+            ladders: [
+                { strategy: "SPOT_SPLIT", direction: 0, unit: "X", amounts: ["1", "2", "3"], minNetProfit: 5 },
+                { strategy: "MERGE_SPOT", direction: 1, unit: "X", amounts: ["7"], minNetProfit: 0, skip: "below-threshold" },
+            ],
+        };
+        const { adapter, scan } = await scanOnce(market, { 1: 1, 2: null, 3: 100 });
+
+        expect(adapter.simulated).to.deep.equal(["1", "2"]);
+        expect(scan.action).to.equal("none");
+
+        const ledger = openLedger(path.join(logDir, "ledger.sqlite"));
+        const [row] = ledger.db.prepare("SELECT * FROM scans").all();
+        ledger.close();
+        expect(row).to.include({ market: "fake", block: 123, action: "none" });
+    });
+
+    it("resolves trades a previous run left pending from their receipts", async function () {
+        const ledger = openLedger(path.join(logDir, "ledger.sqlite"));
+        ledger.record("fake", { type: "trade_submitted", txHash: "0x01", strategy: "SPOT_SPLIT", amount: "1", unit: "X" });
+        ledger.record("fake", { type: "trade_submitted", txHash: "0x02", strategy: "SPOT_SPLIT", amount: "2", unit: "X" });
+
+        const market = { id: "fake", scanIntervalMs: 1000, ladders: [] };
+        const engine = createBotEngine({
+            markets: [],
+            confirm: false,
+            logDir,
+            ledger,
+            createAdapter: m => {
+                const adapter = fakeAdapter(m, {});
+                adapter.provider.getTransactionReceipt = async hash => (hash === "0x01"
+                    ? { status: 1, gasUsed: 100n, gasPrice: 2n, blockNumber: 120, logs: [] }
+                    : null);
+                return adapter;
+            },
+        });
+        await engine.addMarket(market);
+
+        expect(ledger.trades({ status: "success" })[0]).to.include({ tx_hash: "0x01", block_number: 120, gas_paid: "200" });
+        expect(ledger.pendingTrades("fake").map(t => t.tx_hash)).to.deep.equal(["0x02"]);
+        ledger.close();
+    });
+
+    /** One live scan of a market whose single ladder step is profitable. */
+    async function liveScan(configure, engineOptions = {}) {
+        const ledger = openLedger(":memory:");
+        const market = {
+            id: "fake", scanIntervalMs: 1000,
+            ladders: [{ strategy: "SPOT_SPLIT", direction: 0, unit: "X", amounts: ["1"], minNetProfit: 0 }],
+        };
+        let adapter;
+        const engine = createBotEngine({
+            markets: [market],
+            confirm: true,
+            once: true,
+            logDir,
+            ledger,
+            heartbeat: false,
+            createAdapter: m => {
+                adapter = fakeAdapter(m, { 1: 2 });
+                configure(adapter);
+                return adapter;
+            },
+            ...engineOptions,
+        });
+        const scans = [];
+        engine.on("scan", s => scans.push(s));
+        await engine.start();
+        return { adapter, ledger, scan: scans[0] };
+    }
+
+    it("records a stalled trade that was cancelled under its cancel tx hash", async function () {
+        const { adapter, ledger, scan } = await liveScan(a => {
+            a.simulate = async candidate => {
+                a.simulated.push(candidate.amount);
+                // profitable at scan time, gone when the tx stalls
+                return a.simulated.length === 1 ? { success: true, amount: "1", profit: 2, profitRaw: 2n } : { success: false, error: "reverted" };
+            };
+            a.execute = async () => ({
+                hash: "0xaa",
+                async settle({ stillValid, onReplace }) {
+                    expect(await stillValid()).to.equal(false);
+                    onReplace({ from: "0xaa", to: "0xcc", kind: "cancel", nonce: 5 });
+                    return { receipt: { status: 1, gasUsed: 21000n, gasPrice: 3n, blockNumber: 9 }, hash: "0xcc", outcome: "cancelled" };
+                },
+            });
+        });
+
+        expect(adapter.simulated).to.deep.equal(["1", "1"]);
+        expect(scan.action).to.equal("SPOT_SPLIT: SENT 1 X, tx 0xaa");
+        expect(ledger.getTrade("0xaa")).to.equal(null);
+        expect(ledger.getTrade("0xcc")).to.include({ status: "cancelled", replaced_hashes: "0xaa", gas_paid: "63000", strategy: "SPOT_SPLIT" });
+        ledger.close();
+    });
+
+    it("writes a post-mortem of a reverted trade against the simulation it was sent on", async function () {
+        const postmortems = [];
+        const { ledger, scan } = await liveScan(a => {
+            a.readState = async state => ({ ...state, prices: { spot: 1 } });
+            a.simulate = async candidate => ({ success: true, amount: candidate.amount, profit: 2, profitRaw: 2n });
+            a.execute = async () => ({ hash: "0xbad", wait: async () => ({ hash: "0xbad", status: 0, gasUsed: 90000n, gasPrice: 1n, blockNumber: 125 }) });
+            a.revertReason = async () => "SPL: sqrtPriceLimit out of range (Uniswap V3 / Algebra pool)";
+            a.postmortem = async (receipt, options) => {
+                postmortems.push({ hash: receipt.hash, ...options });
+                return { file: path.join(options.dir, "report.md") };
+            };
+        });
+
+        expect(scan.action).to.equal("SPOT_SPLIT: SENT 1 X, tx 0xbad");
+        expect(postmortems).to.have.length(1);
+        expect(postmortems[0]).to.deep.include({ hash: "0xbad", unit: "X", decimals: 18, dir: path.join(logDir, "postmortems") });
+        expect(postmortems[0].simulation).to.include({ block: 123, success: true, profit: 2, unit: "X" });
+        expect(ledger.getTrade("0xbad")).to.include({
+            status: "failed",
+            error: "SPL: sqrtPriceLimit out of range (Uniswap V3 / Algebra pool)",
+            postmortem: path.join(logDir, "postmortems", "report.md"),
+        });
+        ledger.close();
+    });
+
+    it("gives up on a post-mortem that outlives its time limit", async function () {
+        const { ledger, scan } = await liveScan(a => {
+            a.readState = async state => ({ ...state, prices: { spot: 1 } });
+            a.simulate = async candidate => ({ success: true, amount: candidate.amount, profit: 2, profitRaw: 2n });
+            a.execute = async () => ({ hash: "0xbad", wait: async () => ({ hash: "0xbad", status: 0, gasUsed: 90000n, gasPrice: 1n, blockNumber: 125 }) });
+            a.postmortem = () => new Promise(() => {});   // a fork that never answers
+        }, { postmortemTimeoutMs: 20 });
+
+        expect(scan.action).to.equal("SPOT_SPLIT: SENT 1 X, tx 0xbad");
+        expect(ledger.getTrade("0xbad")).to.include({ status: "failed", postmortem: null });
+        ledger.close();
+    });
+
+    it("does not send a trade the net-profit gate rejects", async function () {
+        const { ledger, scan } = await liveScan(a => {
+            a.checkProfit = async () => ({
+                pass: false, reason: "net -0.5 X ≤ threshold 0", netProfit: -0.5, gasUnits: 2500000, gasSource: "estimateGas",
+                gasPrice: 1000000000n, gasNative: 0.0025, gasInUnit: 2.5, gasSymbol: "xDAI", margin: 1,
+            });
+            a.execute = async () => { throw new Error("execute must not be called past a failed gate"); };
+        });
+
+        expect(scan.action).to.equal("SPOT_SPLIT: not sent, net -0.5 X ≤ threshold 0");
+        expect(scan.gate).to.include({ pass: false, gasUnits: 2500000, gasSource: "estimateGas", netProfit: -0.5 });
+        expect(ledger.trades()).to.deep.equal([]);
+        ledger.close();
+    });
+
+    it("keeps scanning but sends nothing while the market has a transaction in flight", async function () {
+        const { ledger, scan } = await liveScan(a => {
+            a.txManager = {
+                refresh: async () => [],
+                pending: () => [{ nonce: 5, kind: "trade", bumps: 2, hashes: ["0x01", "0x02", "0x03"] }],
+            };
+        });
+
+        expect(scan.action).to.equal("SPOT_SPLIT: waiting on pending tx (nonce 5)");
+        expect(scan.pendingTxs).to.deep.equal([{ nonce: 5, kind: "trade", bumps: 2, hashes: ["0x01", "0x02", "0x03"] }]);
+        ledger.close();
+    });
+
+    it("keeps scanning other markets while a trade is stalled", async function () {
+        const ledger = openLedger(":memory:");
+        const ladders = [{ strategy: "SPOT_SPLIT", direction: 0, unit: "X", amounts: ["1"], minNetProfit: 0 }];
+        let release;
+        const stalled = new Promise(resolve => { release = resolve; });
+        let sends = 0;
+        const engine = createBotEngine({
+            markets: [{ id: "stuck", scanIntervalMs: 5, ladders }, { id: "other", scanIntervalMs: 5, ladders }],
+            confirm: true,
+            logDir,
+            ledger,
+            heartbeat: false,
+            createAdapter: m => {
+                const adapter = fakeAdapter(m, { 1: m.id === "stuck" ? 2 : 0 });
+                adapter.execute = async () => {
+                    sends++;
+                    return { hash: "0xaa", settle: async () => stalled };
+                };
+                return adapter;
+            },
+        });
+        const scans = { stuck: [], other: [] };
+        engine.on("scan", s => {
+            scans[s.market].push(s.action);
+            if (scans.other.length === 5) release({ receipt: { status: 1, gasUsed: 100n, gasPrice: 1n, blockNumber: 130 }, hash: "0xaa", outcome: "mined" });
+        });
+        engine.on("trade", () => engine.stop());
+        await engine.start();
+
+        // the other market scanned while the first one's trade was unsettled
+        expect(scans.other.length >= 5).to.equal(true);
+        expect(sends).to.equal(1);
+        expect(scans.stuck[0]).to.equal("SPOT_SPLIT: SENT 1 X, tx 0xaa");
+        expect(scans.stuck.slice(1).every(a => a === "SPOT_SPLIT: waiting on pending tx 0xaa")).to.equal(true);
+        expect(ledger.getTrade("0xaa")).to.include({ status: "success", block_number: 130 });
+        ledger.close();
+    });
+
+    it("recovers a trade whose fee bump was mined under the replacement hash", async function () {
+        const ledger = openLedger(path.join(logDir, "ledger.sqlite"));
+        ledger.record("fake", { type: "trade_submitted", txHash: "0x01", strategy: "SPOT_SPLIT", amount: "1", unit: "X" });
+        ledger.record("fake", { type: "trade_replaced", txHash: "0x01", replacementHash: "0x02" });
+
+        const engine = createBotEngine({
+            markets: [],
+            logDir,
+            ledger,
+            createAdapter: m => {
+                const adapter = fakeAdapter(m, {});
+                // the original won the race against its bump
+                adapter.provider.getTransactionReceipt = async hash => (hash === "0x01"
+                    ? { status: 1, from: "0xme", to: "0xarb", gasUsed: 100n, gasPrice: 2n, blockNumber: 120, logs: [] }
+                    : null);
+                return adapter;
+            },
+        });
+        await engine.addMarket({ id: "fake", scanIntervalMs: 1000, ladders: [] });
+
+        expect(ledger.getTrade("0x01")).to.include({ status: "success", replaced_hashes: "0x02" });
+        expect(ledger.pendingTrades("fake")).to.deep.equal([]);
+        ledger.close();
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Offline tests for the market dashboard (scripts/lib/dashboard.js).
+ *
+ * An in-memory ledger gets a few scans, one size ladder per scan and a trade;
+ * the tests pin the plotted series (implied probability, thinning, profit
+ * curves, trade markers) and the routes the page reads.
+ *
+ * Run:  npx mocha test/dashboard.test.js
+ */
+
+const { expect } = require("chai");
+const { openLedger } = require("../scripts/lib/ledger");
+const { buildMarketData, impliedProbability, startDashboardServer } = require("../scripts/lib/dashboard");
+
+const NOW = Date.parse("2026-03-01T12:00:00.000Z");
+const at = minutes => new Date(NOW - minutes * 60000).toISOString();
+
+function seed(ledger) {
+    for (const [minutes, spot] of [[180, 100], [30, 104], [20, 106], [10, 108]]) {
+        ledger.record("gnosis-v5", {
+            type: "scan", timestamp: at(minutes), block: 1000 - minutes, gasPrice: 1, divergence: 110 / spot - 1,
+            prices: { yes: 110, no: 90, spot },
+            bestOpportunity: { strategy: "SPOT_SPLIT", amount: "1", unit: "SDAI", profit: spot / 100, netProfit: spot / 100 - 0.5 },
+            action: "dry run",
+        });
+        for (const [amount, profit] of [["2", 0.4], ["1", 0.3], ["4", null]]) {
+            ledger.record("gnosis-v5", {
+                type: "simulation", timestamp: at(minutes), block: 1000 - minutes, strategy: "SPOT_SPLIT", amount, unit: "SDAI",
+                success: profit !== null, profit, error: profit === null ? "reverted" : undefined,
+            });
+        }
+    }
+    ledger.record("gnosis-v5", { type: "trade_submitted", timestamp: at(15), txHash: "0x01", strategy: "SPOT_SPLIT", amount: "2", unit: "SDAI", profit: 0.4 });
+    ledger.record("gnosis-v5", { type: "trade", timestamp: at(14), txHash: "0x01", status: "success", realizedProfit: 0.38, gasUsed: "1", effectiveGasPrice: "1" });
+    ledger.record("pnk", { type: "scan", timestamp: at(5), block: 1, prices: { spot: 1 }, action: "no ladder" });
+}
+
+describe("dashboard", function () {
+    let ledger;
+
+    beforeEach(function () {
+        ledger = openLedger(":memory:");
+        seed(ledger);
+    });
+
+    afterEach(function () {
+        ledger.close();
+    });
+
+    it("derives the implied probability from YES, NO and spot", function () {
+        expect(impliedProbability({ yes: 110, no: 90, spot: 105 })).to.equal(0.75);
+        expect(impliedProbability({ yes: 110, no: 90, spot: 120 })).to.equal(1);
+        expect(impliedProbability({ yes: 100, no: 100, spot: 100 })).to.equal(null);
+        expect(impliedProbability({ spot: 1 })).to.equal(null);
+    });
+
+    it("builds price, profit, curve and trade series for the window", function () {
+        const data = buildMarketData(ledger, "gnosis-v5", { hours: 1, curves: 2, now: () => NOW });
+        expect(data.points.map(p => p.spot)).to.deep.equal([104, 106, 108]);
+        expect(data.points[0]).to.include({ yes: 110, no: 90, probability: 0.7, bestProfit: 1.04, unit: "SDAI" });
+
+        expect(data.curves.map(c => c.t)).to.deep.equal([at(20), at(10)]);
+        expect(data.curves[1].points).to.deep.equal([
+            { amount: 1, profit: 0.3, error: null },
+            { amount: 2, profit: 0.4, error: null },
+            { amount: 4, profit: null, error: "reverted" },
+        ]);
+        expect(data.trades).to.deep.equal([{
+            t: at(15), txHash: "0x01", status: "success", strategy: "SPOT_SPLIT", amount: "2", unit: "SDAI", profit: 0.38, txUrl: null,
+        }]);
+
+        // thinned to maxPoints, keeping the latest scan
+        const thin = buildMarketData(ledger, "gnosis-v5", { hours: 24, maxPoints: 2, now: () => NOW });
+        expect(thin.points.map(p => p.spot)).to.deep.equal([100, 106, 108]);
+    });
+
+    it("serves the page, the market list and the data", async function () {
+        const dash = await startDashboardServer({ ledger, port: 0 });
+        try {
+            const page = await fetch(dash.url);
+            expect(page.headers.get("content-type")).to.match(/^text\/html/);
+            expect(await page.text()).to.include("<svg id=\"prices\">");
+
+            const { markets } = await (await fetch(`${dash.url}dashboard/markets`)).json();
+            expect(markets).to.deep.equal(["gnosis-v5", "pnk"]);
+
+            const data = await (await fetch(`${dash.url}dashboard/data/pnk?hours=100000`)).json();
+            expect(data.points).to.have.length(1);
+            expect(data.points[0]).to.include({ spot: 1, yes: null, probability: null });
+            expect((await fetch(`${dash.url}nope`)).status).to.equal(404);
+        } finally {
+            await dash.close();
+        }
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Offline tests for the SQLite trade ledger (scripts/lib/ledger.js).
+ *
+ * Pins the migration bookkeeping, the submitted → receipt lifecycle of a
+ * trade (gas paid, realized profit, dedup on tx hash), what crash recovery
+ * sees as pending, and that importing old JSON-lines logs is idempotent.
+ *
+ * Run:  npx mocha test/ledger.test.js
+ */
+
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openLedger, MIGRATIONS } = require("../scripts/lib/ledger");
+
+const TX = "0x" + "ab".repeat(32);
+
+describe("trade ledger", function () {
+    let dir;
+    let ledger;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "ledger-"));
+        ledger = openLedger(path.join(dir, "ledger.sqlite"));
+    });
+
+    afterEach(function () {
+        ledger.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("migrates a new file to the latest schema version once", function () {
+        expect(ledger.version).to.equal(MIGRATIONS.length);
+        expect(ledger.db.pragma("user_version", { simple: true })).to.equal(MIGRATIONS.length);
+        ledger.record("m", { type: "scan", timestamp: "2024-01-01T00:00:00Z", block: 1, action: "none" });
+        ledger.close();
+
+        // reopening runs no migration again and keeps the data
+        ledger = openLedger(path.join(dir, "ledger.sqlite"));
+        expect(ledger.counts("m").scans).to.equal(1);
+    });
+
+    it("fills a submitted trade in from its receipt and dedups on tx hash", function () {
+        ledger.record("gnosis-v5", {
+            type: "trade_submitted", timestamp: "2024-01-01T00:00:00Z", txHash: TX,
+            strategy: "SPOT_SPLIT", direction: 0, amount: "1.5", unit: "GNO", decimals: 18, profit: 0.02, netProfit: 0.019,
+        });
+        expect(ledger.pendingTrades("gnosis-v5")).to.have.length(1);
+        expect(ledger.pendingTrades("other")).to.have.length(0);
+
+        const receipt = {
+            type: "trade", timestamp: "2024-01-01T00:00:10Z", txHash: TX, status: "success",
+            gasUsed: "1000000", effectiveGasPrice: "2000000000", blockNumber: 42, realizedProfit: 0.021,
+        };
+        ledger.record("gnosis-v5", receipt);
+        ledger.record("gnosis-v5", receipt);
+
+        const trades = ledger.trades();
+        expect(trades).to.have.length(1);
+        expect(trades[0]).to.include({
+            status: "success", strategy: "SPOT_SPLIT", amount: "1.5", unit: "GNO", simulated_profit: 0.02,
+            realized_profit: 0.021, block_number: 42, gas_paid: "2000000000000000", submitted_at: "2024-01-01T00:00:00Z",
+        });
+        expect(ledger.pendingTrades()).to.have.length(0);
+    });
+
+    it("keeps timed-out sends pending and errors out failed sends", function () {
+        ledger.record("m", { type: "trade_submitted", txHash: TX, strategy: "MERGE_SPOT", unit: "SDAI" });
+        ledger.record("m", { type: "trade_error", txHash: TX, error: "timeout", pending: true });
+        ledger.record("m", { type: "trade_error", strategy: "MERGE_SPOT", error: "nonce too low" });
+
+        expect(ledger.pendingTrades("m").map(t => t.tx_hash)).to.deep.equal([TX]);
+        expect(ledger.trades({ status: "error" })[0]).to.include({ tx_hash: null, error: "nonce too low" });
+        expect(ledger.counts("m")).to.include({ trades: 2, failed: 1, pending: 1 });
+    });
+
+    it("sums realized profit per market and token, falling back to the simulation", function () {
+        const trade = (hash, unit, extra) => ledger.record("m", {
+            type: "trade", txHash: hash, status: "success", strategy: "S", unit, gasUsed: "1", effectiveGasPrice: "1", ...extra,
+        });
+        trade("0x01", "GNO", { profit: 1, realizedProfit: 1.5 });
+        trade("0x02", "GNO", { profit: 2 });
+        trade("0x03", "SDAI", { profit: 10 });
+        ledger.record("m", { type: "trade", txHash: "0x04", status: "failed", unit: "GNO", profit: 100 });
+
+        const rows = ledger.realizedProfit("m");
+        expect(rows.map(r => [r.unit, r.trades, r.profit])).to.deep.equal([["GNO", 2, 3.5], ["SDAI", 1, 10]]);
+    });
+
+    it("imports JSON-lines logs once", function () {
+        const lines = [
+            { timestamp: "2024-01-01T00:00:00Z", type: "scan", block: 7, action: "none" },
+            { timestamp: "2024-01-01T00:00:01Z", type: "trade", txHash: TX, status: "success", strategy: "S", unit: "GNO", profit: 0.5 },
+            { timestamp: "2024-01-01T00:00:02Z", market: "eth-v1", type: "scan", block: 8 },
+            { timestamp: "2024-01-01T00:00:03Z", type: "retired", reason: "resolved" },
+        ].map(e => JSON.stringify(e)).join("\n") + "\nnot json\n";
+
+        expect(ledger.importLines(lines, "gnosis-v4")).to.deep.equal({ imported: 4, skipped: 0, invalid: 1 });
+        expect(ledger.importLines(lines, "gnosis-v4")).to.deep.equal({ imported: 0, skipped: 4, invalid: 1 });
+
+        expect(ledger.counts("gnosis-v4")).to.include({ scans: 1, trades: 1 });
+        expect(ledger.counts("eth-v1").scans).to.equal(1);
+        expect(ledger.realizedProfit("gnosis-v4")[0]).to.include({ unit: "GNO", profit: 0.5 });
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Offline tests for the market registry loader (scripts/lib/markets.js).
+ *
+ * Run:  npx mocha test/markets.test.js
+ */
+
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadMarkets, recordContractAddress } = require("../scripts/lib/markets");
+
+const REGISTRY = path.join(__dirname, "../markets");
+
+describe("market registry", function () {
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "markets-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+        delete process.env.TEST_ARB_CONTRACT;
+    });
+
+    function writeMarket(name, patch) {
+        const market = JSON.parse(fs.readFileSync(path.join(REGISTRY, "pnk.json"), "utf8"));
+        fs.writeFileSync(path.join(dir, name), JSON.stringify({ ...market, ...patch }));
+    }
+
+    it("loads every checked-in market", function () {
+        const markets = loadMarkets(REGISTRY);
+        expect(Object.keys(markets)).to.include.members(["gnosis-v4", "gnosis-v5", "pnk", "aave-v6", "eth-v1", "vlr-v3"]);
+    });
+
+    it("reports every invalid field, file by file", function () {
+        writeMarket("a.json", { id: "a", proposalAddress: "0x1234", gasLimit: -1 });
+        writeMarket("b.json", { id: "b", adapter: "nope" });
+
+        expect(() => loadMarkets(dir)).to.throw(/a\.json:[\s\S]*proposalAddress[\s\S]*gasLimit[\s\S]*b\.json:[\s\S]*unknown "nope"/);
+    });
+
+    it("applies env overrides with the JSON default's type", function () {
+        writeMarket("a.json", {
+            id: "a",
+            env: { contractAddress: "TEST_ARB_CONTRACT", depthFractions: "TEST_ARB_CONTRACT_UNSET" },
+        });
+        process.env.TEST_ARB_CONTRACT = "0x0ECD7369cFe4CD2f35b47B3c66e32AaC2016B25a";
+
+        const market = loadMarkets(dir).a;
+        expect(market.contractAddress).to.equal(process.env.TEST_ARB_CONTRACT);
+        expect(market.depthFractions[0]).to.be.a("number");
+    });
+
+    it("records a deployed contract in the market's file, layout untouched", function () {
+        const before = fs.readFileSync(path.join(REGISTRY, "pnk.json"), "utf8")
+            .replace(/"contractAddress": "[^"]*"/, "\"contractAddress\": \"\"");
+        fs.writeFileSync(path.join(dir, "pnk.json"), before);
+
+        recordContractAddress("pnk", "0x0ecd7369cfe4cd2f35b47b3c66e32aac2016b25a", dir);
+
+        const after = fs.readFileSync(path.join(dir, "pnk.json"), "utf8");
+        expect(loadMarkets(dir).pnk.contractAddress).to.equal("0x0ECD7369cFe4CD2f35b47B3c66e32AaC2016B25a");
+        expect(after.replace("0x0ECD7369cFe4CD2f35b47B3c66e32AaC2016B25a", "")).to.equal(before);
+
+        try {
+            recordContractAddress("nope", "0x0ECD7369cFe4CD2f35b47B3c66e32AaC2016B25a", dir);
+            expect.fail("should have thrown");
+        } catch (e) {
+            expect(e.message).to.match(/Unknown market "nope"/);
+        }
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Offline tests for the Prometheus metrics (scripts/lib/metrics.js).
+ *
+ * A bare EventEmitter stands in for the engine: the tests emit the engine's
+ * events and read /metrics over HTTP, pinning the text format, the trade
+ * outcome counters, gas spent and the signer balance read at scrape time.
+ *
+ * Run:  npx mocha test/metrics.test.js
+ */
+
+const { expect } = require("chai");
+const { EventEmitter } = require("events");
+const { createRegistry, startMetricsServer } = require("../scripts/lib/metrics");
+
+function fakeEngine() {
+    const engine = new EventEmitter();
+    let balanceReads = 0;
+    engine.adapters = new Map([["gnosis-v4", {
+        id: "gnosis-v4",
+        market: { chainId: 100 },
+        signer: { getAddress: async () => "0x0000000000000000000000000000000000000001" },
+        provider: { getBalance: async () => { balanceReads++; return 2500000000000000000n; } },
+    }]]);
+    engine.balanceReads = () => balanceReads;
+    return engine;
+}
+
+describe("metrics", function () {
+    it("renders counters, gauges and histograms in the text format", function () {
+        const registry = createRegistry();
+        registry.counter("c_total", "A counter").inc({ market: "a\"b" }, 2);
+        const gauge = registry.gauge("g", "A gauge");
+        gauge.set({}, 1.5);
+        gauge.set({ market: "x" }, null);                         // ignored
+        const h = registry.histogram("h_seconds", "A histogram", [1, 5]);
+        h.observe({ market: "m" }, 0.5);
+        h.observe({ market: "m" }, 3);
+
+        expect(registry.render().split("\n")).to.include.members([
+            "# HELP c_total A counter",
+            "# TYPE c_total counter",
+            "c_total{market=\"a\\\"b\"} 2",
+            "g 1.5",
+            "# TYPE h_seconds histogram",
+            "h_seconds_bucket{market=\"m\",le=\"1\"} 1",
+            "h_seconds_bucket{market=\"m\",le=\"5\"} 2",
+            "h_seconds_bucket{market=\"m\",le=\"+Inf\"} 2",
+            "h_seconds_sum{market=\"m\"} 3.5",
+            "h_seconds_count{market=\"m\"} 2",
+        ]);
+        expect(registry.render()).to.not.match(/^g\{market="x"\}/m);
+    });
+
+    it("serves scan, trade and balance metrics of the engine on /metrics", async function () {
+        const engine = fakeEngine();
+        const server = await startMetricsServer(engine, { port: 0 });
+        try {
+            engine.emit("scan", {
+                market: "gnosis-v4", timestamp: "2026-01-01T00:00:00.000Z", block: 123, gasPrice: 1.5,
+                divergence: 0.04, durationMs: 1500, reads: { calls: 38, requests: 3 }, pendingTxs: [{ nonce: 7 }],
+                bestOpportunity: { strategy: "SPOT_SPLIT", unit: "SDAI", profit: 0.3, netProfit: 0.25 },
+            });
+            engine.emit("scan-error", { market: "gnosis-v4", error: "boom" });
+            engine.emit("trade-submitted", { market: "gnosis-v4", strategy: "SPOT_SPLIT", txHash: "0x01" });
+            engine.emit("trade", { market: "gnosis-v4", strategy: "SPOT_SPLIT", unit: "SDAI", status: "success", profit: 0.3, realizedProfit: 0.28, gasUsed: "2000000", effectiveGasPrice: "1000000000" });
+            engine.emit("trade", { market: "gnosis-v4", strategy: "SPOT_SPLIT", unit: "SDAI", status: "failed", gasUsed: "1000000", effectiveGasPrice: "1000000000" });
+            engine.emit("trade-error", { market: "gnosis-v4", error: "nonce too low" });
+
+            const res = await fetch(server.url);
+            expect(res.status).to.equal(200);
+            expect(res.headers.get("content-type")).to.match(/^text\/plain; version=0\.0\.4/);
+            const lines = (await res.text()).split("\n");
+            expect(lines).to.include.members([
+                "arb_scans_total{market=\"gnosis-v4\"} 1",
+                "arb_scan_errors_total{market=\"gnosis-v4\"} 1",
+                "arb_scan_duration_seconds_bucket{market=\"gnosis-v4\",le=\"1\"} 0",
+                "arb_scan_duration_seconds_bucket{market=\"gnosis-v4\",le=\"2\"} 1",
+                "arb_last_scan_timestamp_seconds{market=\"gnosis-v4\"} 1767225600",
+                "arb_last_block{market=\"gnosis-v4\"} 123",
+                "arb_state_reads_total{market=\"gnosis-v4\"} 38",
+                "arb_state_read_requests_total{market=\"gnosis-v4\"} 3",
+                "arb_divergence_ratio{market=\"gnosis-v4\"} 0.04",
+                "arb_best_net_profit{market=\"gnosis-v4\",strategy=\"SPOT_SPLIT\",unit=\"SDAI\"} 0.25",
+                "arb_pending_transactions{market=\"gnosis-v4\"} 1",
+                "arb_trades_sent_total{market=\"gnosis-v4\",strategy=\"SPOT_SPLIT\"} 1",
+                "arb_trades_total{market=\"gnosis-v4\",strategy=\"SPOT_SPLIT\",status=\"success\"} 1",
+                "arb_trades_total{market=\"gnosis-v4\",strategy=\"SPOT_SPLIT\",status=\"reverted\"} 1",
+                "arb_trade_errors_total{market=\"gnosis-v4\"} 1",
+                "arb_realized_profit_total{market=\"gnosis-v4\",unit=\"SDAI\"} 0.28",
+                "arb_gas_spent_total{market=\"gnosis-v4\",symbol=\"xDAI\"} 0.003",
+                "arb_signer_balance{market=\"gnosis-v4\",symbol=\"xDAI\"} 2.5",
+                "arb_markets 1",
+            ]);
+
+            // balances are cached between scrapes; a retired market drops its gauges
+            await fetch(server.url);
+            expect(engine.balanceReads()).to.equal(1);
+            engine.emit("market-removed", { market: "gnosis-v4" });
+            engine.adapters.clear();
+            const after = await (await fetch(server.url)).text();
+            expect(after).to.not.match(/arb_last_block\{/);
+            expect(after).to.match(/^arb_scans_total\{market="gnosis-v4"\} 1$/m);
+
+            expect((await fetch(server.url.replace("/metrics", "/"))).status).to.equal(404);
+        } finally {
+            await server.close();
+        }
+    });
+});
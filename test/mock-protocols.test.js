@@ -0,0 +1,174 @@
+/**
+ * Offline tests for the mock protocols (scripts/lib/mock-protocols.js).
+ *
+ * The Gnosis and Mainnet mock markets are deployed on two in-process Hardhat
+ * chains. The mock pools must quote exactly what the off-chain CLMM model
+ * (scripts/lib/clmm.js) predicts from their state, and every arbitrage
+ * contract must take a profit on them once the conditional pools are pushed
+ * away from spot. Each test runs on a snapshot of the freshly deployed
+ * markets.
+ *
+ * Needs compiled artifacts (npx hardhat compile).
+ *
+ * Run:  npx mocha test/mock-protocols.test.js
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { loadPoolState, swapExactInput } = require("../scripts/lib/clmm");
+const {
+    startLocalNode, deployGnosisMarkets, deployMainnetMarkets, setPoolPrice, poolPrice,
+} = require("../scripts/lib/mock-protocols");
+
+const SPOT_SPLIT = 0;
+const MERGE_SPOT = 1;
+
+/** Push a market's YES and NO pools `factor` away from their price. */
+async function shiftOutcomes(world, [yes, no], factor) {
+    await setPoolPrice(world, yes, (await poolPrice(world, yes)) * factor);
+    await setPoolPrice(world, no, (await poolPrice(world, no)) * factor);
+}
+
+async function revertOf(promise) {
+    try {
+        await promise;
+    } catch (e) {
+        return e;
+    }
+    throw new Error("expected a revert");
+}
+
+async function expectProfit(contract, args) {
+    const result = await contract.executeArbitrage.staticCall(...args);
+    expect(result.profit > 0n, `profit ${result.profit}`).to.equal(true);
+    const receipt = await (await contract.executeArbitrage(...args)).wait();
+    expect(receipt.status).to.equal(1);
+    return result.profit;
+}
+
+describe("mock protocols", function () {
+    this.timeout(120000);
+    let gnosisNode, mainnetNode, gnosis, mainnet, snapshots;
+
+    before(async function () {
+        gnosisNode = await startLocalNode({ chainId: 100 });
+        mainnetNode = await startLocalNode({ chainId: 1 });
+        gnosis = await deployGnosisMarkets(await gnosisNode.provider.getSigner(0));
+        mainnet = await deployMainnetMarkets(await mainnetNode.provider.getSigner(0));
+    });
+
+    after(async function () {
+        await gnosisNode?.close();
+        await mainnetNode?.close();
+    });
+
+    beforeEach(async function () {
+        snapshots = [await gnosisNode.request("evm_snapshot"), await mainnetNode.request("evm_snapshot")];
+    });
+
+    afterEach(async function () {
+        await gnosisNode.request("evm_revert", [snapshots[0]]);
+        await mainnetNode.request("evm_revert", [snapshots[1]]);
+    });
+
+    it("quotes and swaps on Algebra and Uniswap V3 pools exactly as the CLMM model predicts", async function () {
+        const cases = [
+            [gnosis, gnosisNode, "yes", "base", "30"],
+            [gnosis, gnosisNode, "yes", "quote", "5000"],
+            [mainnet, mainnetNode, "ethSpot", "base", "200"],
+            [mainnet, mainnetNode, "ethSpot", "quote", "300000"],
+        ];
+        for (const [world, node, name, side, amount] of cases) {
+            const pool = world.pools[name];
+            const tokenIn = pool[side];
+            const amountIn = ethers.parseUnits(amount, tokenIn.decimals);
+            const model = swapExactInput(await loadPoolState(node.provider, pool.address, { kind: pool.kind }), tokenIn.address, amountIn);
+
+            const zeroForOne = BigInt(tokenIn.address) < BigInt((side === "base" ? pool.quote : pool.base).address);
+            const limit = zeroForOne ? 4295128740n : 1461446703485210103287273052203988822378723970341n;
+            const [amount0, amount1] = await pool.contract.quote(zeroForOne, amountIn, limit);
+            expect(-(zeroForOne ? amount1 : amount0), `${name} ${side}`).to.equal(model.amountOut);
+        }
+
+        // A routed swap pays out the quote and moves the price to where the model ends
+        const pool = gnosis.pools.spot;
+        const signer = gnosis.signer;
+        const amountIn = ethers.parseEther("10");
+        const model = swapExactInput(await loadPoolState(gnosisNode.provider, pool.address, { kind: "algebra" }), pool.base.address, amountIn);
+        await (await pool.base.contract.mint(gnosis.deployer, amountIn)).wait();
+        await (await pool.base.contract.approve(gnosis.swaprRouter.target, amountIn)).wait();
+        const before = await pool.quote.contract.balanceOf(gnosis.deployer);
+        await (await gnosis.swaprRouter.connect(signer).exactInputSingle({
+            tokenIn: pool.base.address, tokenOut: pool.quote.address, recipient: gnosis.deployer,
+            deadline: 2n ** 40n, amountIn, amountOutMinimum: 0, limitSqrtPrice: 0,
+        })).wait();
+        expect((await pool.quote.contract.balanceOf(gnosis.deployer)) - before).to.equal(model.amountOut);
+        expect((await pool.contract.globalState()).price).to.equal(model.sqrtPriceX96);
+    });
+
+    it("takes a profit with GnosisFlashArbitrageV5 in both directions", async function () {
+        const { v5 } = gnosis.contracts;
+        const proposal = gnosis.proposals.gno.address;
+        const { GNO, SDAI } = gnosis.tokens;
+
+        await shiftOutcomes(gnosis, ["yes", "no"], 1.05);
+        // Profit goes to the caller
+        const gnoProfit = await expectProfit(v5, [proposal, GNO.address, ethers.parseEther("1"), SPOT_SPLIT, 0]);
+        expect(await GNO.contract.balanceOf(gnosis.deployer)).to.equal(gnoProfit);
+
+        await shiftOutcomes(gnosis, ["yes", "no"], 0.9 / 1.05);
+        const sdaiProfit = await expectProfit(v5, [proposal, SDAI.address, ethers.parseEther("100"), MERGE_SPOT, 0]);
+        expect(await SDAI.contract.balanceOf(gnosis.deployer)).to.equal(sdaiProfit);
+    });
+
+    it("takes a profit with GnosisFlashArbitrageV4 through the Balancer V2 spot route", async function () {
+        await shiftOutcomes(gnosis, ["yes", "no"], 1.05);
+        await expectProfit(gnosis.contracts.v4, [
+            gnosis.proposals.gno.address, gnosis.tokens.GNO.address, ethers.parseEther("1"), SPOT_SPLIT, 0,
+        ]);
+    });
+
+    it("takes a profit with PNKFlashArbitrage through the V2 pairs and the sDAI vault", async function () {
+        const proposal = gnosis.proposals.pnk.address;
+        await shiftOutcomes(gnosis, ["pnkYes", "pnkNo"], 1.05);
+        await expectProfit(gnosis.contracts.pnk, [proposal, ethers.parseEther("0.5"), SPOT_SPLIT, 0]);
+
+        await shiftOutcomes(gnosis, ["pnkYes", "pnkNo"], 0.9 / 1.05);
+        await expectProfit(gnosis.contracts.pnk, [proposal, ethers.parseEther("0.5"), MERGE_SPOT, 0]);
+    });
+
+    it("takes a profit with the Universal Router contracts (ETH V1, VLR V3, AAVE V6)", async function () {
+        const { eth, vlr, aave } = mainnet.contracts;
+
+        await shiftOutcomes(mainnet, ["ethYes", "ethNo"], 1.05);
+        await expectProfit(eth, [ethers.parseEther("1"), SPOT_SPLIT, 0, 0]);
+        await shiftOutcomes(mainnet, ["ethYes", "ethNo"], 0.9 / 1.05);
+        await expectProfit(eth, [ethers.parseEther("1"), MERGE_SPOT, 0, 0]);
+
+        await shiftOutcomes(mainnet, ["vlrYes", "vlrNo"], 1.05);
+        await expectProfit(vlr, [ethers.parseEther("10000"), SPOT_SPLIT, 0, 0]);
+
+        const proposal = mainnet.proposals.aave.address;
+        await shiftOutcomes(mainnet, ["aaveYes", "aaveNo"], 1.05);
+        await expectProfit(aave, [proposal, ethers.parseEther("1"), SPOT_SPLIT, 0]);
+        await shiftOutcomes(mainnet, ["aaveYes", "aaveNo"], 0.9 / 1.05);
+        await expectProfit(aave, [proposal, ethers.parseEther("1"), MERGE_SPOT, 0]);
+    });
+
+    it("reverts like the live protocols on aligned markets and misused vaults", async function () {
+        const { v5 } = gnosis.contracts;
+        const aligned = await revertOf(v5.executeArbitrage.staticCall(
+            gnosis.proposals.gno.address, gnosis.tokens.GNO.address, ethers.parseEther("1"), SPOT_SPLIT, 0,
+        ));
+        expect(v5.interface.parseError(aligned.data)?.name).to.equal("ArbitrageFailed");
+
+        // Outside unlock(), the V3 vault refuses to lend
+        const locked = await revertOf(gnosis.v3Vault.sendTo.staticCall(gnosis.tokens.GNO.address, gnosis.deployer, 1n));
+        expect(gnosis.v3Vault.interface.parseError(locked.data)?.name).to.equal("VaultIsNotUnlocked");
+
+        // Permit2 pulls need an unexpired allowance
+        const { permit2, tokens, deployer } = mainnet;
+        const expired = await revertOf(permit2.transferFrom.staticCall(deployer, deployer, 1n, tokens.WETH.address));
+        expect(permit2.interface.parseError(expired.data)?.name).to.equal("AllowanceExpired");
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Offline tests for Multicall3 batched reads (scripts/lib/multicall.js).
+ *
+ * A fake provider answers eth_call for a few in-memory contracts and for
+ * Multicall3.aggregate3 on top of them, recording every request and the
+ * block it was made at. The tests pin that parallel reads become one
+ * request at one block, that failed calls reject like a direct eth_call, and
+ * the one-call-per-read fallback where Multicall3 is not deployed.
+ *
+ * Run:  npx mocha test/multicall.test.js
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { MULTICALL3_ADDRESS, createBatchReader } = require("../scripts/lib/multicall");
+const { loadV2Pair, loadVault } = require("../scripts/lib/pricing");
+
+const PAIR = "0x00000000000000000000000000000000000000aa";
+const VAULT = "0x00000000000000000000000000000000000000bb";
+const TOKEN0 = "0x00000000000000000000000000000000000000cc";
+
+const CONTRACTS = {
+    [PAIR]: {
+        iface: new ethers.Interface([
+            "function token0() view returns (address)",
+            "function getReserves() view returns (uint112, uint112, uint32)",
+        ]),
+        token0: () => [TOKEN0],
+        getReserves: block => [1000n + BigInt(block), 2000n, 0],
+    },
+    [VAULT]: {
+        iface: new ethers.Interface([
+            "function totalAssets() view returns (uint256)",
+            "function totalSupply() view returns (uint256)",
+            "function decimals() view returns (uint8)",
+        ]),
+        totalAssets: () => [110n],
+        totalSupply: () => [100n],
+        decimals: () => { throw new Error("vault has no decimals"); },
+    },
+};
+
+const aggregate3 = new ethers.Interface([
+    "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+]);
+
+// Error(string) revert data, as a require() failure returns it
+const revertData = message => ethers.concat(["0x08c379a0", ethers.AbiCoder.defaultAbiCoder().encode(["string"], [message])]);
+
+function execute(to, data, block) {
+    const contract = CONTRACTS[to.toLowerCase()];
+    if (!contract) return { success: true, returnData: "0x" };
+    const fn = contract.iface.parseTransaction({ data });
+    try {
+        return { success: true, returnData: contract.iface.encodeFunctionResult(fn.name, contract[fn.name](block)) };
+    } catch (e) {
+        return { success: false, returnData: revertData(e.message) };
+    }
+}
+
+function fakeProvider({ multicall = true } = {}) {
+    const provider = {
+        head: 123,
+        requests: [],
+        getBlockNumber: async () => provider.head,
+        getCode: async address => (multicall && address === MULTICALL3_ADDRESS ? "0x6080" : "0x"),
+        call: async tx => {
+            provider.requests.push({ to: tx.to, blockTag: tx.blockTag });
+            if (provider.down) throw new Error("503 Service Unavailable");
+            if (tx.to === MULTICALL3_ADDRESS) {
+                const [calls] = aggregate3.decodeFunctionData("aggregate3", tx.data);
+                const results = calls.map(c => execute(c.target, c.callData, tx.blockTag));
+                return aggregate3.encodeFunctionResult("aggregate3", [results]);
+            }
+            const result = execute(tx.to, tx.data, tx.blockTag);
+            if (!result.success) throw ethers.makeError("execution reverted", "CALL_EXCEPTION", { action: "call", data: result.returnData, transaction: tx });
+            return result.returnData;
+        },
+    };
+    return provider;
+}
+
+describe("multicall reads", function () {
+    it("batches parallel reads into one aggregate3 at the block pinned by the first one", async function () {
+        const provider = fakeProvider();
+        const reads = createBatchReader(provider);
+        const [pair, vault] = await Promise.all([loadV2Pair(reads, PAIR, 997, 1000), loadVault(reads, VAULT)]);
+        expect(pair).to.include({ token0: TOKEN0, reserve0: 1123n, reserve1: 2000n });
+        expect(vault).to.include({ totalAssets: 110n, totalSupply: 100n });
+        expect(provider.requests).to.deep.equal([{ to: MULTICALL3_ADDRESS, blockTag: 123 }]);
+
+        provider.head = 130;                 // later rounds stay on the pinned block
+        const again = await loadV2Pair(reads, PAIR, 997, 1000);
+        expect(again.reserve0).to.equal(1123n);
+        expect(reads.stats).to.deep.equal({ calls: 6, requests: 2, blockTag: 123 });
+
+        const scan = createBatchReader(provider, { blockTag: 125, maxCalls: 2 });
+        await Promise.all([loadV2Pair(scan, PAIR, 997, 1000), loadVault(scan, VAULT)]);
+        expect(provider.requests.slice(2)).to.deep.equal([
+            { to: MULTICALL3_ADDRESS, blockTag: 125 },
+            { to: MULTICALL3_ADDRESS, blockTag: 125 },
+        ]);
+    });
+
+    it("rejects a failed call like a direct eth_call and the whole batch when the request fails", async function () {
+        const provider = fakeProvider();
+        const reads = createBatchReader(provider, { blockTag: 123 });
+        const vault = new ethers.Contract(VAULT, CONTRACTS[VAULT].iface, reads);
+        const [assets, decimals, fallback] = await Promise.all([
+            vault.totalAssets(),
+            vault.decimals().catch(e => e),
+            vault.decimals().catch(() => 18),
+        ]);
+        expect(assets).to.equal(110n);
+        expect(decimals).to.include({ code: "CALL_EXCEPTION", reason: "vault has no decimals" });
+        expect(fallback).to.equal(18);
+        expect(provider.requests).to.have.length(1);
+
+        const pair = new ethers.Contract("0x00000000000000000000000000000000000000dd", CONTRACTS[PAIR].iface, reads);
+        const empty = await pair.token0().catch(e => e);
+        expect(empty.code).to.equal("BAD_DATA");      // no code at the address, as with eth_call
+
+        provider.down = true;
+        const results = await Promise.all([vault.totalAssets().catch(e => e.message), vault.totalSupply().catch(e => e.message)]);
+        expect(results).to.deep.equal(["503 Service Unavailable", "503 Service Unavailable"]);
+    });
+
+    it("falls back to one eth_call per read where Multicall3 is not deployed", async function () {
+        const provider = fakeProvider({ multicall: false });
+        const reads = createBatchReader(provider);
+        const vault = await loadVault(reads, VAULT);
+        expect(vault.totalAssets).to.equal(110n);
+        expect(provider.requests).to.deep.equal([{ to: VAULT, blockTag: 123 }, { to: VAULT, blockTag: 123 }]);
+        const decimals = await new ethers.Contract(VAULT, CONTRACTS[VAULT].iface, reads).decimals().catch(e => e);
+        expect(decimals.reason).to.equal("vault has no decimals");
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * Offline tests for the alert notifier (scripts/lib/notifier.js).
+ *
+ * Alerts go to the local webhook and SMTP stubs (scripts/lib/mock-notify.js);
+ * a bare EventEmitter stands in for the engine and a settable clock drives
+ * cooldowns and staleness. The tests pin which engine events alert, the
+ * per-market routing, rate limiting and the email the SMTP sink sends.
+ *
+ * Run:  npx mocha test/notifier.test.js
+ */
+
+const { expect } = require("chai");
+const { EventEmitter } = require("events");
+const { createNotifier, loadNotifyConfig } = require("../scripts/lib/notifier");
+const { startWebhookStub, startSmtpStub } = require("../scripts/lib/mock-notify");
+
+function fakeEngine(balanceWei) {
+    const engine = new EventEmitter();
+    const adapter = (id, chainId) => ({
+        id,
+        market: { id, chainId, scanIntervalMs: 60000 },
+        signer: { getAddress: async () => "0x0000000000000000000000000000000000000001" },
+        provider: { getBalance: async () => balanceWei },
+    });
+    engine.adapters = new Map([["pnk", adapter("pnk", 100)], ["eth-v1", adapter("eth-v1", 1)]]);
+    return engine;
+}
+
+describe("notifier", function () {
+    let hook;
+    let chat;
+    let clock;
+    const quiet = { log: () => {} };
+
+    beforeEach(async function () {
+        hook = await startWebhookStub();
+        chat = await startWebhookStub();
+        clock = 1767225600000;
+    });
+
+    afterEach(async function () {
+        await hook.close();
+        await chat.close();
+    });
+
+    it("alerts on mined trades and repeated scan errors, routed per market", async function () {
+        const notifier = createNotifier({
+            sinks: {
+                ops: { type: "webhook", url: hook.url },
+                chat: { type: "chat", format: "discord", url: chat.url },
+            },
+            routes: [
+                { markets: ["pnk"], kinds: ["trade-reverted", "scan-errors"], sinks: ["chat"] },
+                { sinks: ["ops"] },
+            ],
+            scanErrors: 2,
+        }, { ...quiet, now: () => clock });
+        const engine = fakeEngine(10n ** 19n);
+        notifier.attach(engine);
+
+        engine.emit("trade", { market: "eth-v1", status: "success", strategy: "SPOT_SPLIT", amount: 1, unit: "WETH", profit: 0.01, realizedProfit: 0.012, txHash: "0x01", blockNumber: 5 });
+        engine.emit("trade", { market: "pnk", status: "failed", strategy: "MERGE_SPOT", amount: 2, unit: "WETH", txHash: "0x02", blockNumber: 6 });
+        engine.emit("trade", { market: "pnk", status: "cancelled", txHash: "0x03" });       // no alert
+        engine.emit("scan-error", { market: "pnk", error: new Error("boom") });
+        engine.emit("scan", { market: "pnk" });                                           // resets the count
+        engine.emit("scan-error", { market: "pnk", error: new Error("boom") });
+        engine.emit("scan-error", { market: "pnk", error: new Error("missing revert data") });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        notifier.close();
+
+        const ops = hook.requests.map(r => r.body);
+        expect(ops.map(a => [a.kind, a.market])).to.have.deep.members([
+            ["trade-executed", "eth-v1"], ["trade-reverted", "pnk"], ["scan-errors", "pnk"],
+        ]);
+        const executed = ops.find(a => a.kind === "trade-executed");
+        expect(executed).to.include({ severity: "info", title: "eth-v1: trade executed" });
+        expect(executed.message).to.include("profit 0.012 WETH");
+
+        const texts = chat.requests.map(r => r.body.content);
+        expect(texts).to.have.length(2);
+        expect(texts.join("\n")).to.include("pnk: trade reverted").and.include("pnk: 2 failed scans in a row\nlast error: missing revert data");
+    });
+
+    it("rate limits each alert kind per market and reports what it held back", async function () {
+        const notifier = createNotifier({
+            sinks: { ops: { type: "webhook", url: hook.url } },
+            cooldownMs: { "trade-reverted": 60000 },
+            maxPerHour: 3,
+        }, { ...quiet, now: () => clock });
+        const reverted = market => ({ kind: "trade-reverted", market, title: `${market}: trade reverted`, message: "tx" });
+
+        expect(await notifier.notify(reverted("pnk"))).to.deep.equal(["ops"]);
+        expect(await notifier.notify(reverted("pnk"))).to.deep.equal([]);
+        expect(await notifier.notify(reverted("pnk"))).to.deep.equal([]);
+        expect(await notifier.notify(reverted("eth-v1"))).to.deep.equal(["ops"]);   // own cooldown
+        clock += 60000;
+        expect(await notifier.notify(reverted("pnk"))).to.deep.equal(["ops"]);
+        expect(hook.requests[2].body.message).to.equal("tx\n(2 similar alerts suppressed)");
+
+        clock += 60000;
+        expect(await notifier.notify(reverted("pnk"))).to.deep.equal([]);           // 4th this hour
+        expect(hook.requests).to.have.length(3);
+    });
+
+    it("keeps only the last `history` deliveries", async function () {
+        const notifier = createNotifier({ sinks: { ops: { type: "webhook", url: hook.url } }, history: 2 }, { ...quiet, now: () => clock });
+        for (const market of ["a", "b", "c"]) {
+            await notifier.notify({ kind: "trade-executed", market, title: `${market}: trade executed`, message: "tx" });
+        }
+
+        expect(hook.requests).to.have.length(3);
+        expect(notifier.sent.map(s => s.alert.market)).to.deep.equal(["b", "c"]);
+    });
+
+    it("alerts on stale markets and low signer balances", async function () {
+        const notifier = createNotifier({
+            sinks: { ops: { type: "webhook", url: hook.url } },
+            minBalance: { 100: 1, "eth-v1": 0.001 },
+        }, { ...quiet, now: () => clock });
+        const engine = fakeEngine(5n * 10n ** 17n);    // 0.5 native
+        notifier.attach(engine);
+
+        engine.emit("scan", { market: "pnk" });
+        engine.emit("scan", { market: "eth-v1" });
+        await notifier.check();
+        expect(hook.requests.map(r => r.body.kind)).to.deep.equal(["low-balance"]);
+        expect(hook.requests[0].body).to.deep.include({ market: "pnk", severity: "critical", title: "pnk: signer balance 0.5000 xDAI" });
+
+        clock += 4 * 60000;                            // under the 5 min floor
+        await notifier.check();
+        expect(hook.requests).to.have.length(1);
+        clock += 2 * 60000;
+        engine.emit("scan", { market: "eth-v1" });
+        await notifier.check();
+        const stale = hook.requests.slice(1).map(r => r.body);
+        expect(stale.map(a => [a.kind, a.market])).to.deep.equal([["stale-heartbeat", "pnk"]]);
+        expect(stale[0].title).to.equal("pnk: no scan for 6 min");
+        notifier.close();
+    });
+
+    it("sends alerts as email over SMTP and survives a failing sink", async function () {
+        const smtp = await startSmtpStub();
+        const logs = [];
+        try {
+            const mail = { type: "smtp", host: smtp.host, port: smtp.port, user: "bot", pass: "secret", from: "bot@example.com", to: ["ops@example.com"] };
+            // The stub offers no STARTTLS: the password stays unsent unless the sink opts in
+            const refusing = createNotifier({ sinks: { mail } }, { log: line => logs.push(line), now: () => clock });
+            expect(await refusing.notify({ kind: "low-balance", market: "pnk", title: "t", message: "m" })).to.deep.equal([]);
+            expect(logs.join("\n")).to.match(/refusing AUTH over an unencrypted connection/);
+            expect(smtp.messages).to.have.length(0);
+
+            const notifier = createNotifier({
+                sinks: { mail: { ...mail, insecureAuth: true } },
+            }, { log: line => logs.push(line), now: () => clock });
+            const delivered = await notifier.notify({ kind: "low-balance", market: "pnk", title: "pnk: signer balance 0.1 xDAI", message: "top up\n.leading dot", data: { balance: 0.1 } });
+            expect(delivered).to.deep.equal(["mail"]);
+            const [sent] = smtp.messages;
+            expect(sent).to.deep.include({ from: "bot@example.com", to: ["ops@example.com"], auth: { user: "bot", pass: "secret" } });
+            expect(sent.data).to.include("Subject: [futarchy-arb] pnk: signer balance 0.1 xDAI");
+            expect(sent.data).to.include("top up\r\n.leading dot");
+        } finally {
+            await smtp.close();
+        }
+
+        const bad = createNotifier({ sinks: { hook: { type: "webhook", url: hook.url.replace(/:\d+/, ":1") } } }, { log: line => logs.push(line) });
+        expect(await bad.notify({ kind: "scan-errors", market: "pnk", title: "t", message: "m" })).to.deep.equal([]);
+        expect(logs.join("\n")).to.match(/notify hook failed/);
+    });
+
+    it("builds a sink from each env shortcut and none without them", function () {
+        expect(loadNotifyConfig({})).to.equal(null);
+        const config = loadNotifyConfig({
+            NOTIFY_WEBHOOK_URL: "http://127.0.0.1/hook",
+            NOTIFY_CHAT_URL: "http://127.0.0.1/chat",
+            SMTP_HOST: "smtp.example.com",
+            SMTP_PORT: "2525",
+            SMTP_USER: "bot@example.com",
+            NOTIFY_EMAIL_TO: "a@example.com, b@example.com",
+        });
+        expect(Object.keys(config.sinks)).to.deep.equal(["webhook", "chat", "email"]);
+        expect(config.sinks.chat.format).to.equal("slack");
+        expect(config.sinks.email).to.include({ port: 2525, from: "bot@example.com", secure: false, insecureAuth: false });
+        expect(config.sinks.email.to).to.deep.equal(["a@example.com", "b@example.com"]);
+        expect(() => createNotifier({ sinks: config.sinks, routes: [{ sinks: ["pager"] }] })).to.throw(/unknown sink "pager"/);
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Offline end-to-end tests of the bots on the mock protocols.
+ *
+ * Local Gnosis (chain 100) and Mainnet (chain 1) nodes serve the mock markets
+ * of scripts/lib/mock-protocols.js over HTTP; the bot engine reaches them
+ * through GNOSIS_RPC_URL / ETH_RPC_URL with PUBLIC_RPC=false, exactly as it
+ * would a live RPC, and trades from Hardhat's first account. A deployer on
+ * the second account moves the pools between runs.
+ *
+ * Needs compiled artifacts (npx hardhat compile).
+ *
+ * Run:  npx mocha test/offline-bots.test.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { createBotEngine } = require("../scripts/lib/bot-engine");
+const { openLedger } = require("../scripts/lib/ledger");
+const { closeProviders } = require("../scripts/lib/chains");
+const { startLocalNode, deployGnosisMarkets, deployMainnetMarkets, setPoolPrice, poolPrice } = require("../scripts/lib/mock-protocols");
+
+/** One live scan of `market`: the engine's scan summary and trades. */
+async function runOnce(market, logDir) {
+    const ledger = openLedger(":memory:");
+    const engine = createBotEngine({
+        markets: [market],
+        confirm: true,
+        once: true,
+        logDir,
+        ledger,
+        heartbeat: false,
+        postmortems: false,
+    });
+    const scans = [];
+    const trades = [];
+    engine.on("scan", s => scans.push(s));
+    engine.on("trade", t => trades.push(t));
+    await engine.start();
+    ledger.close();
+    return { scan: scans[0], trades };
+}
+
+async function shiftOutcomes(world, [yes, no], factor) {
+    await setPoolPrice(world, yes, (await poolPrice(world, yes)) * factor);
+    await setPoolPrice(world, no, (await poolPrice(world, no)) * factor);
+}
+
+describe("bots on the mock protocols", function () {
+    this.timeout(180000);
+    let gnosisNode, mainnetNode, gnosis, mainnet, bot, logDir, savedEnv;
+
+    before(async function () {
+        gnosisNode = await startLocalNode({ chainId: 100 });
+        mainnetNode = await startLocalNode({ chainId: 1 });
+        bot = new ethers.Wallet(gnosisNode.accountKey(0)).address;
+        gnosis = await deployGnosisMarkets(await gnosisNode.provider.getSigner(1));
+        mainnet = await deployMainnetMarkets(await mainnetNode.provider.getSigner(1), {
+            admin: await mainnetNode.provider.getSigner(0),
+        });
+
+        const env = {
+            GNOSIS_RPC_URL: gnosisNode.url,
+            ETH_RPC_URL: mainnetNode.url,
+            PUBLIC_RPC: "false",
+            PRIVATE_KEY: gnosisNode.accountKey(0),
+            RPC_URL: undefined,
+            MAINNET_RPC_URL: undefined,
+            GNOSIS_SEND_RPC_URL: undefined,
+            ETH_SEND_RPC_URL: undefined,
+        };
+        savedEnv = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+        for (const [name, value] of Object.entries(env)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), "offline-bots-"));
+    });
+
+    after(async function () {
+        for (const [name, value] of Object.entries(savedEnv || {})) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+        closeProviders(100);
+        closeProviders(1);
+        await gnosisNode?.close();
+        await mainnetNode?.close();
+        if (logDir) fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    it("leaves an aligned Gnosis market alone", async function () {
+        const { scan, trades } = await runOnce(gnosis.markets["gnosis-v5"], logDir);
+        expect(trades).to.have.length(0);
+        expect(scan.action).to.not.match(/executed/i);
+        expect(await gnosis.tokens.GNO.contract.balanceOf(bot)).to.equal(0n);
+    });
+
+    it("executes SPOT_SPLIT on gnosis-v5 when the conditional pools trade above spot", async function () {
+        await shiftOutcomes(gnosis, ["yes", "no"], 1.05);
+        const { trades } = await runOnce(gnosis.markets["gnosis-v5"], logDir);
+
+        expect(trades).to.have.length(1);
+        expect(trades[0]).to.include({ market: "gnosis-v5", strategy: "SPOT_SPLIT", status: "success" });
+        expect(trades[0].realizedProfit).to.be.greaterThan(0);
+        const balance = parseFloat(ethers.formatEther(await gnosis.tokens.GNO.contract.balanceOf(bot)));
+        expect(balance).to.be.closeTo(trades[0].realizedProfit, 1e-9);
+
+        // The trade closed the gap: the next scan finds nothing worth sending
+        expect((await runOnce(gnosis.markets["gnosis-v5"], logDir)).trades).to.have.length(0);
+    });
+
+    it("executes MERGE_SPOT on eth-v1 through the Universal Router when the conditional pools trade below spot", async function () {
+        await shiftOutcomes(mainnet, ["ethYes", "ethNo"], 0.95);
+        const { trades } = await runOnce(mainnet.markets["eth-v1"], logDir);
+
+        expect(trades).to.have.length(1);
+        expect(trades[0]).to.include({ market: "eth-v1", strategy: "MERGE_SPOT", status: "success" });
+        expect(await mainnet.tokens.WETH.contract.balanceOf(bot) > 0n).to.equal(true);
+    });
+
+    it("executes SPOT_SPLIT on gnosis-v4 through the Balancer V2 spot route", async function () {
+        await shiftOutcomes(gnosis, ["yes", "no"], 1.05);
+        const { trades } = await runOnce(gnosis.markets["gnosis-v4"], logDir);
+
+        expect(trades).to.have.length(1);
+        expect(trades[0]).to.include({ market: "gnosis-v4", strategy: "SPOT_SPLIT", status: "success" });
+        expect(trades[0].realizedProfit).to.be.greaterThan(0);
+    });
+
+    it("executes MERGE_SPOT on pnk through the V2 pairs and the sDAI vault", async function () {
+        await shiftOutcomes(gnosis, ["pnkYes", "pnkNo"], 0.95);
+        const { trades } = await runOnce(gnosis.markets.pnk, logDir);
+
+        expect(trades).to.have.length(1);
+        expect(trades[0]).to.include({ market: "pnk", strategy: "MERGE_SPOT", status: "success" });
+        expect(await gnosis.tokens.WETH.contract.balanceOf(bot) > 0n).to.equal(true);
+    });
+
+    it("executes SPOT_SPLIT on vlr-v3 when the conditional pools trade above spot", async function () {
+        await shiftOutcomes(mainnet, ["vlrYes", "vlrNo"], 1.05);
+        const { trades } = await runOnce(mainnet.markets["vlr-v3"], logDir);
+
+        expect(trades).to.have.length(1);
+        expect(trades[0]).to.include({ market: "vlr-v3", strategy: "SPOT_SPLIT", status: "success" });
+        expect(await mainnet.tokens.VLR.contract.balanceOf(bot) > 0n).to.equal(true);
+    });
+
+    it("executes MERGE_SPOT on aave-v6 when the conditional pools trade below spot", async function () {
+        await shiftOutcomes(mainnet, ["aaveYes", "aaveNo"], 0.95);
+        const { trades } = await runOnce(mainnet.markets["aave-v6"], logDir);
+
+        expect(trades).to.have.length(1);
+        expect(trades[0]).to.include({ market: "aave-v6", strategy: "MERGE_SPOT", status: "success" });
+        expect(trades[0].realizedProfit).to.be.greaterThan(0);
+    });
+});
@@ -0,0 +1,189 @@
+/**
+ * Offline tests for the price oracle (scripts/lib/oracle.js).
+ *
+ * A fake provider answers eth_call for a few contracts by ABI-decoding the
+ * call and encoding a scripted result, so every source kind reads real
+ * calldata. The tests pin the price math of each source, the median /
+ * outlier / disagreement rules, cross-chain sources and the valuations the
+ * adapters and the PnL report get from it.
+ *
+ * Run:  npx mocha test/oracle.test.js
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { createPriceOracle, reconcile } = require("../scripts/lib/oracle");
+const { buildPnlReport } = require("../scripts/lib/pnl");
+const { openLedger } = require("../scripts/lib/ledger");
+const { getMarket } = require("../scripts/lib/markets");
+const { createAdapter } = require("../scripts/lib/adapters");
+
+const IFACE = new ethers.Interface([
+    "function token0() view returns (address)",
+    "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)",
+    "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+    "function getTimepoints(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulatives, uint112[] volatilityCumulatives, uint256[] volumePerAvgLiquiditys)",
+    "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+    "function convertToAssets(uint256 shares) view returns (uint256)",
+    "function getTokenInfo() view returns (address[] tokens, tuple(uint8 tokenType, address rateProvider, bool paysYieldFees)[] tokenInfo, uint256[] balancesRaw, uint256[] lastBalancesLiveScaled18)",
+    "function getNormalizedWeights() view returns (uint256[])",
+    "function getRate() view returns (uint256)",
+]);
+
+const addr = n => ethers.getAddress("0x" + n.toString(16).padStart(40, "0"));
+const A = { GNO: addr(1), SDAI: addr(2), WAGNO: addr(3), WETH: addr(4), USDC: addr(5), POOL: addr(10), VAULT: addr(11), BAL: addr(12), RATE: addr(13), PAIR: addr(14) };
+const E = v => ethers.parseEther(String(v));
+
+/** Provider whose contracts answer `calls[address][function](args)`. */
+function fakeProvider(calls) {
+    return {
+        calls: 0,
+        async call(tx) {
+            this.calls++;
+            const fn = IFACE.parseTransaction({ data: tx.data });
+            const handler = calls[ethers.getAddress(tx.to)]?.[fn.name];
+            if (!handler) throw new Error(`no ${fn.name} at ${tx.to}`);
+            return IFACE.encodeFunctionResult(fn.fragment, handler(...fn.args));
+        },
+    };
+}
+
+/** Algebra pool (token0 GNO) whose average tick over any window is `tick`. */
+const twapPool = tick => ({
+    token0: () => [A.GNO],
+    getTimepoints: ([ago]) => [[0n, BigInt(tick) * ago], [0n, 0n], [0n, 0n], [0n, 0n]],
+});
+
+const GNO_TWAP = { kind: "twap", pool: A.POOL, poolKind: "algebra", base: A.GNO, quote: "SDAI" };
+const SDAI_VAULT = { kind: "erc4626", vault: A.VAULT, asset: "XDAI" };
+const PEG = { kind: "peg", usd: 1 };
+
+describe("price oracle", function () {
+    const quiet = { log: () => {} };
+
+    it("prices through TWAP, ERC4626 and Balancer rate sources", async function () {
+        // tick 47000 → 1.0001^47000 ≈ 109.9 sDAI per GNO
+        const tick = 47000;
+        const sdaiPerGno = 1.0001 ** tick;
+        const provider = fakeProvider({
+            [A.POOL]: twapPool(tick),
+            [A.VAULT]: { convertToAssets: () => [E("1.2")] },
+            // 50/50 pool: 100 waGNO vs 11870 sDAI, 1 waGNO = 1.08 GNO
+            [A.BAL]: {
+                getTokenInfo: () => [[A.WAGNO, A.SDAI], [], [E(100), E(sdaiPerGno * 108)], []],
+                getNormalizedWeights: () => [[E("0.5"), E("0.5")]],
+            },
+            [A.RATE]: { getRate: () => [E("1.08")] },
+        });
+        const oracle = createPriceOracle(100, {
+            ...quiet,
+            providerFor: async () => provider,
+            sources: {
+                XDAI: [PEG],
+                SDAI: [SDAI_VAULT],
+                GNO: [
+                    GNO_TWAP,
+                    { kind: "balancer-weighted", pool: A.BAL, token: A.WAGNO, quote: "SDAI", quoteToken: A.SDAI, rateProvider: A.RATE },
+                ],
+            },
+        });
+
+        const prices = await oracle.prices(["GNO", "sDAI", "XDAI", "VLR"]);
+        expect(prices.SDAI).to.be.closeTo(1.2, 1e-12);
+        expect(prices.GNO).to.be.closeTo(sdaiPerGno * 1.2, 1e-6);
+        expect(prices).to.not.have.property("VLR");
+        expect(oracle.report().GNO.quotes.map(q => q.inQuote)).to.satisfy(([a, b]) => Math.abs(a - b) < 1e-6);
+        expect(oracle.convert(1, "GNO", "SDAI")).to.be.closeTo(sdaiPerGno, 1e-6);
+
+        // cached within the ttl: no further RPC reads
+        const reads = provider.calls;
+        await oracle.prices(["GNO"]);
+        expect(provider.calls).to.equal(reads);
+    });
+
+    it("orients pool prices by token0 and decimals", async function () {
+        // USDC (6 dec) / WETH (18 dec) pool, token0 USDC, 2500 USDC per WETH
+        const ratio = 1e12 / 2500;            // WETH raw per USDC raw
+        const sqrt = BigInt(Math.round(Math.sqrt(ratio) * 2 ** 96));
+        const provider = fakeProvider({
+            [A.POOL]: {
+                token0: () => [A.USDC],
+                slot0: () => [sqrt, 0, 0, 0, 0, 0, true],
+                observe: ([ago]) => [[0n, BigInt(Math.round(Math.log(ratio) / Math.log(1.0001))) * ago], [0n, 0n]],
+            },
+            [A.PAIR]: { token0: () => [A.WETH], getReserves: () => [E(10), 25000n * 10n ** 6n, 0] },
+        });
+        const source = { pool: A.POOL, poolKind: "uniswap-v3", base: A.WETH, quote: "USDC", quoteDecimals: 6 };
+        const oracle = createPriceOracle(1, {
+            ...quiet,
+            providerFor: async () => provider,
+            sources: {
+                USDC: [PEG],
+                WETH: [
+                    { kind: "twap", ...source },
+                    { kind: "spot", ...source },
+                    { kind: "v2", pair: A.PAIR, base: A.WETH, quote: "USDC", quoteDecimals: 6 },
+                ],
+                ETH: [{ kind: "alias", of: "WETH" }],
+            },
+        });
+
+        const { WETH, ETH } = await oracle.prices(["WETH", "ETH"]);
+        expect(WETH).to.be.closeTo(2500, 0.5);
+        expect(ETH).to.equal(WETH);
+        const quotes = oracle.report().WETH.quotes.map(q => q.usd);
+        quotes.forEach(q => expect(q).to.be.closeTo(2500, 0.5));
+    });
+
+    it("drops outliers around the median and leaves disagreeing sources unpriced", function () {
+        const three = [{ usd: 100 }, { usd: 101 }, { usd: 150 }];
+        expect(reconcile(three, 0.02)).to.deep.equal({ price: 100.5, status: "outliers" });
+        expect(three.map(q => q.outlier)).to.deep.equal([false, false, true]);
+
+        expect(reconcile([{ usd: 100 }, { usd: 101 }], 0.02)).to.deep.equal({ price: 100.5, status: "ok" });
+        expect(reconcile([{ usd: 100 }, { usd: 110 }], 0.02)).to.deep.equal({ price: null, status: "disagree" });
+        expect(reconcile([], 0.02)).to.deep.equal({ price: null, status: "unavailable" });
+    });
+
+    it("refuses a price whose sources disagree and keeps going when one fails", async function () {
+        const warnings = [];
+        const provider = fakeProvider({
+            [A.POOL]: twapPool(47000),
+            [A.VAULT]: { convertToAssets: () => [E("1.2")] },
+        });
+        const oracle = createPriceOracle(100, {
+            providerFor: async () => provider,
+            log: line => warnings.push(line),
+            sources: {
+                XDAI: [PEG],
+                SDAI: [SDAI_VAULT, { kind: "v2", pair: A.PAIR, base: A.SDAI, quote: "XDAI" }],
+                GNO: [GNO_TWAP, { kind: "chain", chainId: 1, of: "GNO" }],
+            },
+            oracleFor: () => ({ prices: async () => ({ GNO: 60 }) }),
+        });
+
+        const prices = await oracle.prices(["SDAI", "GNO"]);
+        expect(prices.SDAI).to.equal(1.2);                       // the pair read failed, vault alone
+        expect(oracle.report().SDAI.quotes[1].error).to.match(/no token0/);
+        expect(prices).to.not.have.property("GNO");             // ~132 vs 60 USD
+        expect(oracle.report().GNO.status).to.equal("disagree");
+        expect(warnings[0]).to.match(/Oracle GNO: sources disagree, unpriced/);
+    });
+
+    it("feeds adapter reference prices and fills gaps in the PnL report", async function () {
+        const adapter = createAdapter(getMarket("gnosis-v4"));
+        adapter.oracle = { prices: async () => ({ GNO: 130, SDAI: 1.2, XDAI: 1 }) };
+        const state = await adapter.readState({ feeData: { gasPrice: 10n ** 9n } });
+        // oracle beats the configured gnoPriceSdai
+        expect(adapter.referencePrices(state)).to.deep.equal({ GNO: 130, SDAI: 1.2, XDAI: 1 });
+
+        const ledger = openLedger(":memory:");
+        ledger.record("eth-v1", { type: "trade_submitted", txHash: "0x01", strategy: "SPOT_SPLIT", unit: "WETH", profit: 0.01, gasSymbol: "ETH" });
+        ledger.record("eth-v1", { type: "trade", txHash: "0x01", status: "success", profit: 0.01, gasUsed: "100000", effectiveGasPrice: "1000000000" });
+        const unpriced = buildPnlReport(ledger);
+        const priced = buildPnlReport(ledger, { fallbackPrices: { weth: 2000, ETH: 2000 } });
+        ledger.close();
+        expect(unpriced.total.unpriced).to.equal(1);
+        expect(priced.total.netRef).to.be.closeTo(0.01 * 2000 - 0.0001 * 2000, 1e-9);
+    });
+});
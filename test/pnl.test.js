@@ -0,0 +1,109 @@
+/**
+ * Offline tests for the gas-adjusted profit report (scripts/lib/pnl.js).
+ *
+ * Trades of a Gnosis market (GNO and sDAI profits, xDAI gas) and a mainnet
+ * market (WETH profit, ETH gas) go into an in-memory ledger with the prices
+ * their adapters recorded; the tests pin the conversion to a reference
+ * currency, the per-market / per-strategy / per-day grouping, unpriced
+ * tokens and the CSV export.
+ *
+ * Run:  npx mocha test/pnl.test.js
+ */
+
+const { expect } = require("chai");
+const { openLedger } = require("../scripts/lib/ledger");
+const { parsePriceList, buildPnlReport, formatPnlReport, pnlCsv } = require("../scripts/lib/pnl");
+
+const GWEI = 10n ** 9n;
+
+describe("profit report", function () {
+    let ledger;
+
+    /** Mined trade plus the prices recorded with it. */
+    function trade(market, { hash, time, strategy, unit, profit, gas, gasSymbol, prices, status = "success" }) {
+        ledger.record(market, {
+            type: "trade_submitted", timestamp: time, txHash: hash, strategy, unit, profit, gasSymbol,
+        });
+        if (prices) ledger.record(market, { type: "prices", timestamp: time, prices });
+        ledger.record(market, {
+            type: "trade", timestamp: time, txHash: hash, status, strategy, unit, profit,
+            gasUsed: gas.toString(), effectiveGasPrice: GWEI.toString(),
+        });
+    }
+
+    beforeEach(function () {
+        ledger = openLedger(":memory:");
+        const gnosisPrices = { GNO: 100, SDAI: 1, XDAI: 1 };
+        // 0.001 xDAI gas each (1e6 gas at 1 gwei)
+        trade("gnosis-v5", { hash: "0x01", time: "2025-01-01T10:00:00.000Z", strategy: "SPOT_SPLIT", unit: "GNO", profit: 0.02, gas: 1000000n, gasSymbol: "xDAI", prices: gnosisPrices });
+        trade("gnosis-v5", { hash: "0x02", time: "2025-01-02T10:00:00.000Z", strategy: "MERGE_SPOT", unit: "sDAI", profit: 3, gas: 1000000n, gasSymbol: "xDAI", prices: gnosisPrices });
+        trade("gnosis-v5", { hash: "0x03", time: "2025-01-02T11:00:00.000Z", strategy: "MERGE_SPOT", unit: "sDAI", profit: 5, gas: 1000000n, gasSymbol: "xDAI", status: "failed" });
+        // 0.0005 ETH gas at 3000 USD
+        trade("eth-v1", { hash: "0x04", time: "2025-01-02T12:00:00.000Z", strategy: "SPOT_SPLIT", unit: "WETH", profit: 0.01, gas: 500000n, gasSymbol: "ETH", prices: { WETH: 3000, ETH: 3000 } });
+    });
+
+    afterEach(function () {
+        ledger.close();
+    });
+
+    it("nets gas paid out of profit in the reference currency, per market, strategy and day", function () {
+        const report = buildPnlReport(ledger);
+
+        expect(report.total).to.include({ trades: 4, failed: 1, unpriced: 0 });
+        // 2 + 3 + 30 USD gross; 3 x 0.001 xDAI + 1.5 USD gas
+        expect(report.total.profitRef).to.be.closeTo(35, 1e-9);
+        expect(report.total.gasRef).to.be.closeTo(1.503, 1e-9);
+        expect(report.total.profit).to.deep.equal({ GNO: 0.02, sDAI: 3, WETH: 0.01 });
+        expect(report.total.gas.xDAI).to.be.closeTo(0.003, 1e-12);
+
+        const [eth, gnosis] = report.byMarket;
+        expect(eth).to.include({ market: "eth-v1", trades: 1 });
+        expect(eth.netRef).to.be.closeTo(28.5, 1e-9);
+        expect(gnosis.netRef).to.be.closeTo(4.997, 1e-9);
+
+        const merge = report.byStrategy.find(g => g.market === "gnosis-v5" && g.strategy === "MERGE_SPOT");
+        expect(merge).to.include({ trades: 2, failed: 1 });
+        expect(merge.profit).to.deep.equal({ sDAI: 3 });   // the failed trade earned nothing
+
+        expect(report.byDay.map(d => [d.day, d.trades])).to.deep.equal([["2025-01-01", 1], ["2025-01-02", 3]]);
+    });
+
+    it("converts to another reference and filters by market and period", function () {
+        const inEth = buildPnlReport(ledger, { reference: "ETH", market: "eth-v1" });
+        expect(inEth.total.netRef).to.be.closeTo(0.0095, 1e-12);
+
+        const day2 = buildPnlReport(ledger, { since: "2025-01-02", until: "2025-01-02T12:00:00Z" });
+        expect(day2.trades.map(t => t.txHash)).to.deep.equal(["0x02", "0x03"]);
+    });
+
+    it("reports tokens without a recorded price as unpriced until overridden", function () {
+        trade("pnk", { hash: "0x05", time: "2025-01-03T00:00:00.000Z", strategy: "SPOT_SPLIT", unit: "PNK", profit: 50, gas: 1000000n, gasSymbol: "xDAI" });
+
+        const report = buildPnlReport(ledger, { market: "pnk" });
+        expect(report.total.unpriced).to.equal(1);
+        expect(report.unpricedSymbols).to.deep.equal(["PNK"]);
+        expect(formatPnlReport(report)).to.match(/no recorded price for: PNK/);
+
+        const priced = buildPnlReport(ledger, { market: "pnk", prices: parsePriceList("pnk=0.02") });
+        expect(priced.total.unpriced).to.equal(0);
+        expect(priced.total.netRef).to.be.closeTo(0.999, 1e-9);
+    });
+
+    it("uses the registry gas token for imported trades that lack one", function () {
+        ledger.importLines(JSON.stringify({
+            timestamp: "2025-01-04T00:00:00.000Z", type: "trade", txHash: "0x06", status: "success",
+            strategy: "MERGE_SPOT", profit: 2, gasUsed: "1000000", effectiveGasPrice: GWEI.toString(),
+        }), "gnosis-v4", { units: { SPOT_SPLIT: "GNO", MERGE_SPOT: "sDAI" } });
+
+        const report = buildPnlReport(ledger, { market: "gnosis-v4", gasSymbols: { "gnosis-v4": "xDAI" } });
+        expect(report.trades[0]).to.include({ unit: "sDAI", gasSymbol: "xDAI" });
+        expect(report.total.netRef).to.be.closeTo(1.999, 1e-9);
+    });
+
+    it("exports one CSV row per trade", function () {
+        const csv = pnlCsv(buildPnlReport(ledger, { market: "eth-v1" })).trim().split("\n");
+        expect(csv[0]).to.equal("time,market,strategy,status,txHash,unit,profit,realized,gasSymbol,gas,profitRef,gasRef,netRef,reference");
+        expect(csv).to.have.length(2);
+        expect(csv[1]).to.match(/^2025-01-02T12:00:00.000Z,eth-v1,SPOT_SPLIT,success,0x04,WETH,0.01,false,ETH,0.0005,30,1.5,28.5,USD$/);
+    });
+});
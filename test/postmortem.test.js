@@ -0,0 +1,126 @@
+/**
+ * Offline tests for reverted-trade post-mortems (scripts/lib/postmortem.js).
+ *
+ * Two in-process Hardhat chains stand in for the live chain and the fork of
+ * its parent block. A stub "pool" reverts with an Algebra error once another
+ * transaction earlier in the same block has poked it, and a stub "arbitrage
+ * contract" calls it and bubbles the revert, so the tests pin the call
+ * tracing, the failing leg, the parent-block comparison and the markdown.
+ *
+ * Run:  npx mocha test/postmortem.test.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { openFork, failurePath, generatePostmortem } = require("../scripts/lib/postmortem");
+
+const POOL = "0x00000000000000000000000000000000000000a1";
+const CONTRACT = "0x00000000000000000000000000000000000000c0";
+const POOL_ERROR = ethers.id("invalidLimitSqrtPrice()").slice(2, 10);
+const SWAP = ethers.id("swap(address,bool,int256,uint160,bytes)").slice(2, 10);
+
+// Pool: calldata longer than 4 bytes pokes it (SSTORE 1 + LOG0); a 4-byte
+// call then reverts with invalidLimitSqrtPrice(), else stops.
+const POOL_CODE = "0x" + [
+    "6004", "36", "11", "600e", "57",             // 4 < CALLDATASIZE → poke
+    "600054", "601a", "57", "00",                 // slot 0 set → revert
+    "5b", "6001600055", "60006000a0", "00",       // poke
+    "5b", `63${POOL_ERROR}`, "60e01b", "600052", "60046000fd",
+].join("");
+// Arbitrage contract: calls pool.swap() and bubbles its revert
+const CONTRACT_CODE = "0x" + [
+    `63${SWAP}`, "60e01b", "600052",
+    "6000", "6000", "6004", "6000", "6000", `73${POOL.slice(2)}`, "5a", "f1",
+    "6039", "57", "3d60006000" + "3e", "3d6000fd",
+    "5b", "00",
+].join("");
+
+const IFACE = new ethers.Interface(["function executeArbitrage(uint256 borrowAmount) returns (tuple(bool success, uint256 profit) result)"]);
+const ADAPTER = {
+    id: "test-market",
+    market: { id: "test-market", label: "Test market", contractAddress: CONTRACT, pools: { yes: POOL }, tokens: {} },
+    contract: { interface: IFACE },
+};
+
+async function chainWithStubs() {
+    const chain = await openFork();
+    await chain.request("hardhat_setCode", [POOL, POOL_CODE]);
+    await chain.request("hardhat_setCode", [CONTRACT, CONTRACT_CODE]);
+    return chain;
+}
+
+describe("post-mortems", function () {
+    this.timeout(60000);
+    let live, provider, accounts, hash, dir, timestamp;
+
+    before(async function () {
+        live = await chainWithStubs();
+        accounts = await live.request("eth_accounts");
+        const block = await live.request("eth_getBlockByNumber", ["latest", false]);
+        timestamp = Number(block.timestamp) + 100;
+        // a competing tx pokes the pool first, then our trade is mined in the same block
+        await live.request("eth_sendTransaction", [{ from: accounts[1], to: POOL, data: ethers.ZeroHash, gas: "0x30000" }]);
+        hash = await live.request("eth_sendTransaction", [{ from: accounts[0], to: CONTRACT, data: IFACE.encodeFunctionData("executeArbitrage", [5n]), gas: "0x40000" }]);
+        await live.request("evm_setNextBlockTimestamp", [ethers.toQuantity(timestamp)]);
+        await live.request("evm_mine", []);
+        provider = new ethers.BrowserProvider(live.provider);
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "postmortem-"));
+    });
+
+    after(function () {
+        provider.destroy();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("replays the trade after its block's earlier transactions and names the failing leg", async function () {
+        const fork = await chainWithStubs();
+        const simulation = { block: 0, success: true, profit: 0.25, unit: "GNO" };
+        const { file, report } = await generatePostmortem({ provider, hash, adapter: ADAPTER, simulation, unit: "GNO", fork, dir });
+
+        expect(report.parentCall.ok).to.equal(true);
+        expect(report.replay).to.include({ earlier: 1, skipped: 0, status: 0 });
+        expect(report.replay.interfering.map(t => t.addresses)).to.deep.equal([[POOL]]);
+        expect(report.failure.trail.map(frame => frame.to)).to.deep.equal([CONTRACT, POOL]);
+        expect(report.failure.leg).to.equal(report.failure.origin);
+        expect(report.replay.error).to.equal("invalidLimitSqrtPrice() (Algebra pool)");
+        expect(report.verdict).to.match(/^Passes at the parent block but reverts after the 1 earlier transaction\(s\) of block 1: 1 of them/);
+
+        expect(path.basename(file)).to.equal(`${new Date(timestamp * 1000).toISOString().slice(0, 10)}-test-market-${hash.slice(0, 10)}.md`);
+        const markdown = fs.readFileSync(file, "utf8");
+        expect(markdown).to.include("- **Leg:** `yes pool.swap` (call");
+        expect(markdown).to.include("| Bot staticCall before sending | 0 | ✅ profit 0.25 GNO |");
+        expect(markdown).to.include("❌ CALL arbitrage contract.executeArbitrage");
+        expect(markdown).to.include("- `borrowAmount`: `5`");
+    });
+
+    it("reports a trade that was already failing at the parent block", async function () {
+        const fork = await chainWithStubs();
+        await fork.request("hardhat_setStorageAt", [POOL, "0x0", ethers.toBeHex(1, 32)]);
+        const simulation = { block: 0, success: true, profit: 0.25, unit: "GNO" };
+        const { report } = await generatePostmortem({ provider, hash, adapter: ADAPTER, simulation, fork, dir });
+
+        expect(report.parentCall).to.include({ ok: false, error: "invalidLimitSqrtPrice() (Algebra pool)" });
+        expect(report.verdict).to.match(/^Already failing at the parent block 0: state moved between the bot's simulation at block 0/);
+        expect(report.parentCall.trace.calls.map(frame => frame.to)).to.deep.equal([POOL]);
+        expect(report.failure.source).to.equal("Replay in block 1");
+        expect(report.failure.origin.to).to.equal(POOL);
+    });
+
+    it("follows bubbled and wrapped reverts, and stops at a contract's own error", function () {
+        const frame = (to, success, output, calls = []) => ({ to, success, output, calls });
+        const inner = frame("pool", false, "0xdeadbeef");
+        const caught = frame("quoter", false, "0x01020304");
+        // Universal Router style: ExecutionFailed(index, inner) contains the inner data
+        const router = frame("router", false, "0x2c4029e9" + "00".repeat(31) + "01deadbeef", [inner]);
+        const root = frame("contract", false, "0x" + "2c4029e9" + "00".repeat(31) + "01deadbeef", [caught, router]);
+        expect(failurePath(root).map(f => f.to)).to.deep.equal(["contract", "router", "pool"]);
+
+        const ownError = frame("contract", false, "0xabcdef01", [caught]);
+        expect(failurePath(ownError).map(f => f.to)).to.deep.equal(["contract"]);
+        const silent = frame("contract", false, "0x", [caught, frame("vault", true, "0x")]);
+        expect(failurePath(silent).map(f => f.to)).to.deep.equal(["contract", "quoter"]);
+    });
+});
@@ -0,0 +1,228 @@
+/**
+ * Offline tests for the pool model and trade sizing (scripts/lib/clmm.js,
+ * scripts/lib/pricing.js).
+ *
+ * Pools are built by hand from a list of positions, so these run without an
+ * RPC: they pin the TickMath/SwapMath port to Uniswap v3-core's own test
+ * vectors (to the wei), tick crossing, exact-output quotes, the "ticks not
+ * loaded" guard and that the optimizer lands on the best size of a round trip.
+ *
+ * Run:  npx mocha test/pricing.test.js
+ */
+
+const { expect } = require("chai");
+const clmm = require("../scripts/lib/clmm");
+const { clmmOut, splitSellMerge, v2Out, optimizeBorrow } = require("../scripts/lib/pricing");
+
+const TOKEN0 = "0x0000000000000000000000000000000000000001";
+const TOKEN1 = "0x0000000000000000000000000000000000000002";
+const E18 = 10n ** 18n;
+
+/** Pool snapshot from positions [{ lower, upper, liquidity }] with every word in ±wordRange loaded. */
+function makePool({ tick, positions, tickSpacing = 60, fee = 3000, wordRange = 2 }) {
+    const ticks = new Map();
+    const bitmap = new Map();
+    const centre = Math.floor(Math.floor(tick / tickSpacing) / 256);
+    for (let w = centre - wordRange; w <= centre + wordRange; w++) bitmap.set(w, 0n);
+
+    let liquidity = 0n;
+    for (const { lower, upper, liquidity: L } of positions) {
+        ticks.set(lower, (ticks.get(lower) || 0n) + L);
+        ticks.set(upper, (ticks.get(upper) || 0n) - L);
+        if (lower <= tick && tick < upper) liquidity += L;
+        for (const t of [lower, upper]) {
+            const compressed = t / tickSpacing;
+            const word = Math.floor(compressed / 256);
+            if (bitmap.has(word)) bitmap.set(word, bitmap.get(word) | (1n << BigInt(compressed - word * 256)));
+        }
+    }
+    return {
+        address: "0xpool",
+        token0: TOKEN0,
+        token1: TOKEN1,
+        fee,
+        tickSpacing,
+        sqrtPriceX96: clmm.getSqrtRatioAtTick(tick),
+        tick,
+        liquidity,
+        bitmap,
+        ticks,
+    };
+}
+
+describe("clmm pool model", function () {
+    it("matches TickMath at the bounds and round-trips ticks", function () {
+        expect(clmm.getSqrtRatioAtTick(0)).to.equal(clmm.Q96);
+        expect(clmm.getSqrtRatioAtTick(clmm.MIN_TICK)).to.equal(clmm.MIN_SQRT_RATIO);
+        expect(clmm.getSqrtRatioAtTick(clmm.MAX_TICK)).to.equal(clmm.MAX_SQRT_RATIO);
+        for (const tick of [-887271, -200000, -1, 1, 12345, 600000]) {
+            expect(clmm.getTickAtSqrtRatio(clmm.getSqrtRatioAtTick(tick))).to.equal(tick);
+            expect(clmm.getTickAtSqrtRatio(clmm.getSqrtRatioAtTick(tick) - 1n)).to.equal(tick - 1);
+        }
+    });
+
+    it("prices a swap inside one range like the constant-L formula", function () {
+        const L = 1000n * E18;
+        const pool = makePool({ tick: 0, positions: [{ lower: -6000, upper: 6000, liquidity: L }] });
+        const amountIn = E18;
+        const { amountOut, ticksCrossed } = clmm.swapExactInput(pool, TOKEN0, amountIn);
+
+        // token0 in: 1/√P' = 1/√P + Δx/L ; Δy = L (√P - √P')
+        const inLessFee = Number(amountIn) * (1 - 0.003);
+        const expected = 1000e18 * (1 - 1 / (1 + inLessFee / 1000e18));
+        expect(ticksCrossed).to.equal(0);
+        expect(Number(amountOut) / expected).to.be.closeTo(1, 1e-9);
+    });
+
+    it("crosses initialized ticks and gives less out per unit in", function () {
+        const pool = makePool({
+            tick: 0,
+            positions: [
+                { lower: -600, upper: 600, liquidity: 100n * E18 },
+                { lower: -6000, upper: 6000, liquidity: 10n * E18 },
+            ],
+        });
+        const small = clmm.swapExactInput(pool, TOKEN1, E18 / 10n);
+        const large = clmm.swapExactInput(pool, TOKEN1, 5n * E18);
+        expect(small.ticksCrossed).to.equal(0);
+        expect(large.ticksCrossed).to.equal(1);
+        expect(large.liquidity).to.equal(10n * E18);
+        expect(large.amountOut * (E18 / 10n) < small.amountOut * 5n * E18).to.equal(true);
+        // snapshot is untouched
+        expect(pool.liquidity).to.equal(110n * E18);
+    });
+
+    it("refuses to price past the loaded tick words", function () {
+        const pool = makePool({ tick: 0, positions: [{ lower: -887220, upper: 887220, liquidity: E18 }], wordRange: 0 });
+        expect(() => clmm.swapExactInput(pool, TOKEN0, 1000n * E18))
+            .to.throw().with.property("code", "TICKS_NOT_LOADED");
+    });
+});
+
+describe("clmm swap math (v3-core vectors)", function () {
+    /** encodePriceSqrt from v3-core's test utils, in bigint */
+    function encodePriceSqrt(reserve1, reserve0) {
+        const n = (BigInt(reserve1) << 192n) / BigInt(reserve0);
+        let x = n;
+        let y = (x + 1n) / 2n;
+        while (y < x) {
+            x = y;
+            y = (x + n / x) / 2n;
+        }
+        return x;
+    }
+
+    it("computeSwapStep: exact in capped at the price target", function () {
+        const target = encodePriceSqrt(101, 100);
+        const step = clmm.computeSwapStep(encodePriceSqrt(1, 1), target, 2n * E18, E18, 600);
+        expect(step.amountIn).to.equal(9975124224178055n);
+        expect(step.feeAmount).to.equal(5988667735148n);
+        expect(step.amountOut).to.equal(9925619580021728n);
+        expect(step.sqrtNext).to.equal(target);
+    });
+
+    it("computeSwapStep: amount in that is all fee", function () {
+        const step = clmm.computeSwapStep(2413n, 79887613182836312n, 1985041575832132834610021537970n, 10n, 1872);
+        expect(step.amountIn).to.equal(0n);
+        expect(step.feeAmount).to.equal(10n);
+        expect(step.amountOut).to.equal(0n);
+        expect(step.sqrtNext).to.equal(2413n);
+    });
+
+    it("computeSwapStep: exact out with insufficient liquidity", function () {
+        const price = 20282409603651670423947251286016n;
+        const up = clmm.computeSwapStep(price, (price * 11n) / 10n, 1024n, -4n, 3000);
+        expect([up.amountIn, up.feeAmount, up.amountOut]).to.deep.equal([26215n, 79n, 0n]);
+
+        const down = clmm.computeSwapStep(price, (price * 9n) / 10n, 1024n, -263000n, 3000);
+        expect([down.amountIn, down.feeAmount, down.amountOut]).to.deep.equal([1n, 1n, 26214n]);
+    });
+
+    it("computeSwapStep: target price of 1 uses partial input", function () {
+        const step = clmm.computeSwapStep(2n, 1n, 1n, 3915081100057732413702495386755767n, 1);
+        expect(step.amountIn).to.equal(39614081257132168796771975168n);
+        expect(step.feeAmount).to.equal(39614120871253040049813n);
+        expect(step.amountOut).to.equal(0n);
+        expect(step.sqrtNext).to.equal(1n);
+    });
+
+    it("getAmount0Delta / getAmount1Delta round like SqrtPriceMath", function () {
+        const a = clmm.Q96;
+        const b = encodePriceSqrt(121, 100);
+        expect(clmm.getAmount0Delta(a, b, E18, true)).to.equal(90909090909090910n);
+        expect(clmm.getAmount0Delta(a, b, E18, false)).to.equal(90909090909090909n);
+        expect(clmm.getAmount1Delta(a, b, E18, true)).to.equal(100000000000000000n);
+        expect(clmm.getAmount1Delta(a, b, E18, false)).to.equal(99999999999999999n);
+    });
+
+    const pool = makePool({
+        tick: 0,
+        positions: [
+            { lower: -600, upper: 600, liquidity: 100n * E18 },
+            { lower: -6000, upper: 6000, liquidity: 10n * E18 },
+        ],
+    });
+
+    it("exact output quotes invert exact input across ticks", function () {
+        const out = clmm.swapExactOutput(pool, TOKEN0, 5n * E18);
+        expect(out.amountOut).to.equal(5n * E18);
+        expect(out.ticksCrossed).to.equal(1);
+
+        // paying the quoted input buys at least the requested output, one wei less does not
+        expect(clmm.swapExactInput(pool, TOKEN1, out.amountIn).amountOut >= 5n * E18).to.equal(true);
+        expect(clmm.swapExactInput(pool, TOKEN1, out.amountIn - 1n).amountOut < 5n * E18).to.equal(true);
+
+        expect(() => clmm.swapExactOutput(pool, TOKEN0, 10n ** 30n)).to.throw(/cannot deliver|not loaded/);
+    });
+
+    it("depth walks ticks instead of assuming full-range liquidity", function () {
+        const depth = clmm.poolDepth(pool, 0.5);
+        // +50% price is tick ~4055: past the ±600 range, so mostly the thin 10e18 range
+        const fullRange = 110 * (Math.sqrt(1.5) - 1);
+        const token1 = Number(depth.token1Amount) / 1e18;
+        expect(depth.truncated).to.equal(false);
+        expect(token1).to.be.lessThan(fullRange);
+        expect(token1).to.be.greaterThan(10 * (Math.sqrt(1.5) - 1));
+        // the depth amount moves the price to (just past) the +50% target
+        const moved = clmm.swapExactInput(pool, TOKEN1, depth.token1Amount);
+        expect(clmm.spotPrice(moved)).to.be.closeTo(1.5, 1e-6);
+    });
+});
+
+describe("pricing / optimal sizing", function () {
+    // token0 is cheaper on `cheap` than on `rich`: buy token0 on cheap, sell on rich
+    const cheap = makePool({ tick: -200, positions: [{ lower: -60000, upper: 60000, liquidity: 500n * E18 }] });
+    const rich = makePool({ tick: 200, positions: [{ lower: -60000, upper: 60000, liquidity: 500n * E18 }] });
+    const roundTrip = amount => clmmOut(rich, TOKEN0, clmmOut(cheap, TOKEN1, amount)) - amount;
+
+    it("finds the profit-maximizing size of a round trip", function () {
+        const best = optimizeBorrow(roundTrip, { start: 10n ** 12n });
+        expect(best).to.not.equal(null);
+        expect(best.profit).to.equal(roundTrip(best.amount));
+        expect(best.evaluations).to.be.lessThan(150);
+
+        // no size on a fine grid does better (beyond rounding)
+        for (let i = 1n; i <= 100n; i++) {
+            const amount = (best.amount * i) / 50n;
+            expect(roundTrip(amount) <= best.profit + 1000n).to.equal(true);
+        }
+    });
+
+    it("returns null when the round trip loses money", function () {
+        const flat = amount => clmmOut(cheap, TOKEN0, clmmOut(cheap, TOKEN1, amount)) - amount;
+        expect(optimizeBorrow(flat, { start: 10n ** 12n })).to.equal(null);
+    });
+
+    it("respects the size cap", function () {
+        const best = optimizeBorrow(roundTrip, { start: 10n ** 12n, max: 10n ** 15n });
+        expect(best.amount <= 10n ** 15n).to.equal(true);
+    });
+
+    it("merges the smaller split leg and applies V2 fees", function () {
+        const out = splitSellMerge(cheap, rich, TOKEN1, TOKEN1, E18);
+        expect(out).to.equal(clmmOut(rich, TOKEN1, E18));
+
+        const pair = { token0: TOKEN0, reserve0: 1000n * E18, reserve1: 2000n * E18, feeNum: 997n, feeDenom: 1000n };
+        expect(v2Out(pair, TOKEN0, E18)).to.equal((E18 * 997n * 2000n * E18) / (1000n * E18 * 1000n + E18 * 997n));
+    });
+});
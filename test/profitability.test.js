@@ -0,0 +1,109 @@
+/**
+ * Offline tests for the shared gas-aware net-profit gate
+ * (scripts/lib/profitability.js).
+ *
+ * Real market configs and adapters, with the contract's estimateGas and the
+ * provider's fee data stubbed: the tests pin the gas conversion into the
+ * profit unit, the margin, the estimateGas opt-out and what keeps a trade
+ * from being sent.
+ *
+ * Run:  npx mocha test/profitability.test.js
+ */
+
+const { expect } = require("chai");
+const { getMarket } = require("../scripts/lib/markets");
+const { createAdapter } = require("../scripts/lib/adapters");
+const { netOfGas, checkNetProfit } = require("../scripts/lib/profitability");
+
+const GWEI = 10n ** 9n;
+
+/** Adapter with stubbed fee data and estimateGas (number, or an Error to throw). */
+function stubbedAdapter(id, { gasPrice = 2n * GWEI, estimate } = {}) {
+    const adapter = createAdapter(getMarket(id));
+    adapter.provider = { getFeeData: async () => ({ gasPrice }) };
+    adapter.estimateGas = async () => {
+        if (estimate instanceof Error) throw estimate;
+        return BigInt(estimate);
+    };
+    return adapter;
+}
+
+describe("net-profit gate", function () {
+    it("converts native gas into the profit unit at the reference prices", function () {
+        // 1M gas at 2 gwei = 0.002 xDAI = 0.00002 GNO at 100 USD/GNO
+        const gno = netOfGas({ profit: 0.01, unit: "GNO", gasUnits: 1000000, gasPrice: 2n * GWEI, gasSymbol: "xDAI", prices: { GNO: 100, XDAI: 1 }, margin: 2 });
+        expect(gno.gasNative).to.be.closeTo(0.002, 1e-12);
+        expect(gno.gasInUnit).to.be.closeTo(0.00002, 1e-12);
+        expect(gno.netProfit).to.be.closeTo(0.01 - 0.00004, 1e-12);
+
+        // WETH is the native token: no price needed
+        const weth = netOfGas({ profit: 0.01, unit: "WETH", gasUnits: 1000000, gasPrice: 2n * GWEI, gasSymbol: "ETH", prices: {} });
+        expect(weth.netProfit).to.be.closeTo(0.008, 1e-12);
+
+        const unpriced = netOfGas({ profit: 50, unit: "PNK", gasUnits: 1000000, gasPrice: GWEI, gasSymbol: "xDAI", prices: { XDAI: 1 } });
+        expect(unpriced.netProfit).to.equal(null);
+    });
+
+    it("nets every adapter's ladder sizes at the configured gas and values them in USD", function () {
+        const v5 = createAdapter(getMarket("gnosis-v5"));
+        const state = { feeData: { gasPrice: GWEI }, spotPrice: 100 };
+        // 3.5M gasLimit at 1 gwei = 0.0035 xDAI
+        const spot = v5.evaluate({ profit: 0.01 }, { unit: "GNO" }, state);
+        expect(spot.netProfit).to.be.closeTo(0.01 - 0.000035, 1e-12);
+        expect(spot.value).to.be.closeTo(spot.netProfit * 100, 1e-9);
+        const merge = v5.evaluate({ profit: 1 }, { unit: "sDAI" }, state);
+        expect(merge.netProfit).to.be.closeTo(0.9965, 1e-12);
+
+        // eth-v1: 1.3M estimatedGas x gasMargin 1.5
+        const eth = createAdapter(getMarket("eth-v1"));
+        const e = eth.evaluate({ profit: 0.01 }, { unit: "WETH" }, { feeData: { gasPrice: GWEI }, spotPrice: 3000 });
+        expect(e.netProfit).to.be.closeTo(0.01 - 0.0013 * 1.5, 1e-12);
+        expect(e.value).to.be.closeTo(e.netProfit * 3000, 1e-9);
+    });
+
+    it("gates the chosen size on estimated gas, fresh fee data and the margin", async function () {
+        const adapter = stubbedAdapter("eth-v1", { gasPrice: 10n * GWEI, estimate: 900000 });
+        const selected = { candidate: { unit: "WETH", amount: "1" }, sim: { profit: 0.02 }, minNetProfit: 0 };
+
+        const gate = await checkNetProfit(adapter, selected, { feeData: { gasPrice: GWEI }, spotPrice: 3000 });
+        expect(gate).to.include({ pass: true, gasUnits: 900000, gasSource: "estimateGas", gasSymbol: "ETH", margin: 1.5 });
+        // 900k x 10 gwei = 0.009 ETH, x1.5
+        expect(gate.netProfit).to.be.closeTo(0.02 - 0.0135, 1e-12);
+
+        const pricey = stubbedAdapter("eth-v1", { gasPrice: 20n * GWEI, estimate: 900000 });
+        const rejected = await checkNetProfit(pricey, selected, { spotPrice: 3000 });
+        expect(rejected.pass).to.equal(false);
+        expect(rejected.reason).to.match(/^net -0\.007000 WETH ≤ threshold 0$/);
+    });
+
+    it("fails on a failed estimate unless the market opts into its configured gas, and refuses what it cannot price", async function () {
+        const selected = { candidate: { unit: "WETH", amount: "1" }, sim: { profit: 1 }, minNetProfit: 0 };
+        const failed = await checkNetProfit(stubbedAdapter("eth-v1", { estimate: new Error("missing revert data") }), selected, { spotPrice: 3000 });
+        expect(failed).to.include({ pass: false, gasUnits: null, gasSource: "estimateGas", reason: "estimateGas failed: missing revert data" });
+
+        const overLimit = await checkNetProfit(stubbedAdapter("eth-v1", { estimate: 4000000 }), selected, { spotPrice: 3000 });
+        expect(overLimit.reason).to.equal("needs 4000000 gas > gasLimit 3000000");
+
+        // vlr-v3 sets "estimateGas": false: its estimate is never asked for
+        const vlr = stubbedAdapter("vlr-v3", { gasPrice: GWEI, estimate: new Error("not called") });
+        const vlrSelected = { candidate: { unit: "VLR", amount: "1000" }, sim: { profit: 100 }, minNetProfit: 1 };
+        const gate = await checkNetProfit(vlr, vlrSelected, { vlrUsd: 0.01, prices: { eth: 3000 } });
+        // 1.3M x 1 gwei = 0.0013 ETH = 3.9 USD = 390 VLR
+        expect(gate).to.include({ gasUnits: 1300000, gasSource: "configured", estimateError: undefined, pass: false });
+        expect(gate.netProfit).to.be.closeTo(100 - 390, 1e-9);
+
+        const pnk = stubbedAdapter("pnk", { estimate: 1000000 });
+        const unpriced = await checkNetProfit(pnk, { candidate: { unit: "WETH" }, sim: { profit: 1 }, minNetProfit: 0 }, {});
+        expect(unpriced.reason).to.equal("no price to convert xDAI gas to WETH");
+    });
+
+    it("prices the configured gas as unestimated in a dry run without a key", async function () {
+        // No signer: eth_estimateGas would run from the zero address, which eth-v1's admin gate rejects
+        const adapter = createAdapter(getMarket("eth-v1"));
+        adapter.provider = { getFeeData: async () => ({ gasPrice: GWEI }) };
+        const selected = { candidate: { unit: "WETH", amount: "1" }, sim: { profit: 1 }, minNetProfit: 0 };
+
+        const gate = await checkNetProfit(adapter, selected, { spotPrice: 3000 });
+        expect(gate).to.include({ pass: true, gasUnits: 1300000, gasSource: "unestimated" });
+    });
+});
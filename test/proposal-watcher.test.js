@@ -0,0 +1,141 @@
+/**
+ * Offline tests for proposal discovery / hot-swap (scripts/lib/proposal-watcher.js).
+ *
+ * A local registry file stands in for the factory, and fake adapters accept or
+ * reject proposals the way the contracts' loadProposal view would.
+ *
+ * Run:  npx mocha test/proposal-watcher.test.js
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createBotEngine } = require("../scripts/lib/bot-engine");
+const { createProposalWatcher } = require("../scripts/lib/proposal-watcher");
+
+const PINNED = "0x1111111111111111111111111111111111111111";
+const NEW_OK = "0x2222222222222222222222222222222222222222";
+const WRONG_PAIR = "0x3333333333333333333333333333333333333333";
+const FACTORY = "0x4444444444444444444444444444444444444444";
+const FLAKY = "0x5555555555555555555555555555555555555555";
+
+describe("proposal watcher", function () {
+    let dir;
+    let registryFile;
+    let valid;
+    let log;
+
+    function fakeAdapter(market) {
+        return {
+            id: market.id,
+            label: market.id,
+            market,
+            connect: async () => {},
+            loadProposal: async () => {
+                if (!valid.has(market.proposalAddress.toLowerCase())) throw new Error("Proposal is not valid");
+            },
+        };
+    }
+
+    function setup({ discovery = { registryFile }, provider = {} } = {}) {
+        const base = {
+            id: "gno", label: "GNO", chainId: 100, proposalAddress: PINNED,
+            logFile: "gno.json", scanIntervalMs: 60000,
+            pools: { spot: PINNED, yes: PINNED, no: PINNED },
+            discovery,
+        };
+        const engine = createBotEngine({ markets: [], logDir: dir, createAdapter: fakeAdapter, once: false });
+        const watcher = createProposalWatcher({ engine, markets: [base], getProvider: async () => provider });
+        return { base, engine, watcher };
+    }
+
+    /** Provider whose factory emitted NewProposal for each address at block 10. */
+    function factoryProvider(proposals) {
+        const iface = new ethers.Interface(["event NewProposal(address indexed proposal, string marketName, bytes32 conditionId, bytes32 questionId)"]);
+        const logs = proposals.map(p => ({ ...iface.encodeEventLog("NewProposal", [p, "m", ethers.ZeroHash, ethers.ZeroHash]), address: FACTORY, blockNumber: 10 }));
+        return {
+            getBlockNumber: async () => 20,
+            getLogs: async ({ fromBlock, toBlock }) => logs.filter(l => l.blockNumber >= fromBlock && l.blockNumber <= toBlock),
+        };
+    }
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "watcher-"));
+        registryFile = path.join(dir, "proposals.json");
+        valid = new Set([PINNED, NEW_OK]);
+        log = console.log;
+        console.log = () => {};
+    });
+
+    afterEach(function () {
+        console.log = log;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("adds registry proposals that pass loadProposal and skips the rest", async function () {
+        const { base, engine, watcher } = setup();
+        await engine.addMarket(base);
+        fs.writeFileSync(registryFile, JSON.stringify([NEW_OK, WRONG_PAIR]));
+
+        const rejected = [];
+        watcher.on("rejected", r => rejected.push(r.proposal));
+        await watcher.poll();
+
+        expect([...engine.adapters.keys()]).to.deep.equal(["gno", "gno:22222222"]);
+        expect(engine.adapters.get("gno:22222222").market.pools).to.deep.equal({ spot: PINNED });
+        expect(rejected).to.deep.equal([WRONG_PAIR]);
+    });
+
+    it("retires proposals dropped from the registry or failing validation", async function () {
+        const { base, engine, watcher } = setup();
+        await engine.addMarket(base);
+        fs.writeFileSync(registryFile, JSON.stringify([NEW_OK]));
+        await watcher.poll();
+
+        fs.writeFileSync(registryFile, "[]");
+        valid.delete(PINNED);
+        const retired = [];
+        watcher.on("retired", r => retired.push(r.market));
+        for (let i = 0; i < 3; i++) await watcher.poll();
+
+        expect(retired).to.have.members(["gno:22222222", "gno"]);
+        expect(engine.adapters.size).to.equal(0);
+    });
+
+    it("retries factory proposals that failed to start and drops them after three attempts", async function () {
+        const { watcher, engine } = setup({ discovery: { factory: FACTORY, fromBlock: 1 }, provider: factoryProvider([FLAKY, WRONG_PAIR]) });
+        const rejected = [];
+        watcher.on("rejected", r => rejected.push([r.proposal, r.pending]));
+
+        await watcher.poll();
+        await watcher.poll();
+        valid.add(FLAKY);
+        await watcher.poll();
+        await watcher.poll();
+
+        expect([...engine.adapters.keys()]).to.deep.equal(["gno:55555555"]);
+        expect(rejected).to.deep.equal([
+            [FLAKY, true], [WRONG_PAIR, true],
+            [FLAKY, true], [WRONG_PAIR, true],
+            [WRONG_PAIR, false],
+        ]);
+    });
+
+    it("skips a registry proposal after three failed starts until the file changes", async function () {
+        const { watcher, engine } = setup();
+        fs.writeFileSync(registryFile, JSON.stringify([WRONG_PAIR]));
+        const rejected = [];
+        watcher.on("rejected", r => rejected.push(r.reason));
+
+        for (let i = 0; i < 5; i++) await watcher.poll();
+        expect(rejected).to.have.length(3);
+        expect(rejected[2]).to.match(/skipped after 3 attempts until .*proposals\.json changes/);
+
+        valid.add(WRONG_PAIR);
+        fs.writeFileSync(registryFile, JSON.stringify([WRONG_PAIR, NEW_OK]));
+        await watcher.poll();
+        expect([...engine.adapters.keys()]).to.have.members(["gno:33333333", "gno:22222222"]);
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Offline tests for the on-chain reconciler (scripts/lib/reconcile.js).
+ *
+ * A fake provider serves ArbitrageExecuted logs encoded with the adapters'
+ * own ABIs (and refuses wide getLogs ranges like public RPCs do); the tests
+ * pin the decoding of each event layout, the tx-hash matching against the
+ * ledger in both directions and what gets written back.
+ *
+ * Run:  npx mocha test/reconcile.test.js
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { getMarket } = require("../scripts/lib/markets");
+const { createAdapter } = require("../scripts/lib/adapters");
+const { GNOSIS_ARB_ABI } = require("../scripts/lib/adapters/gnosis-v4");
+const { PNK_ARB_ABI } = require("../scripts/lib/adapters/pnk");
+const { AAVE_V2_ABI } = require("../scripts/lib/adapters/aave-v2");
+const { openLedger } = require("../scripts/lib/ledger");
+const { decodeArbitrageEvent, fetchArbitrageLogs, reconcileContract } = require("../scripts/lib/reconcile");
+
+const E18 = 10n ** 18n;
+const CALLER = ethers.getAddress("0x00000000000000000000000000000000000000c0");
+const hash = n => ethers.zeroPadValue(ethers.toBeHex(n), 32);
+
+/** An ArbitrageExecuted log as getLogs returns it. */
+function arbLog(iface, address, args, blockNumber, txHash) {
+    const { data, topics } = iface.encodeEventLog("ArbitrageExecuted", args);
+    return { address, data, topics, blockNumber, transactionHash: txHash, index: 0 };
+}
+
+/** getLogs over `logs`, refusing ranges wider than maxRange blocks. */
+function fakeProvider(logs, maxRange = 1000) {
+    const calls = [];
+    return {
+        calls,
+        async getLogs({ fromBlock, toBlock }) {
+            calls.push([fromBlock, toBlock]);
+            if (toBlock - fromBlock + 1 > maxRange) throw new Error("query exceeds max block range 1000");
+            return logs.filter(l => l.blockNumber >= fromBlock && l.blockNumber <= toBlock);
+        },
+        async getBlock(n) {
+            return { number: n, timestamp: 1700000000 + n };
+        },
+        async getTransactionReceipt() {
+            return { status: 1, gasUsed: 1000000n, gasPrice: 2n * 10n ** 9n, blockNumber: 0, logs: [] };
+        },
+    };
+}
+
+describe("on-chain reconciliation", function () {
+    const v5 = getMarket("gnosis-v5");
+    const gnosisIface = new ethers.Interface(GNOSIS_ARB_ABI);
+
+    it("decodes each contract's event layout into strategy, unit and borrow token", function () {
+        const gnosis = createAdapter(v5);
+        const e1 = decodeArbitrageEvent(gnosis, gnosisIface, arbLog(gnosisIface, v5.contractAddress,
+            [CALLER, v5.proposalAddress, 1, v5.tokens.SDAI, 3n * E18, E18 / 2n], 10, hash(1)));
+        expect(e1).to.include({ strategy: "MERGE_SPOT", direction: 1, unit: "sDAI", borrowToken: v5.tokens.SDAI, profit: 0.5, borrowAmount: "3.0" });
+
+        // PNK logs the direction only: borrow token from the strategy unit
+        const pnk = createAdapter(getMarket("pnk"));
+        const pnkIface = new ethers.Interface(PNK_ARB_ABI);
+        const e2 = decodeArbitrageEvent(pnk, pnkIface, arbLog(pnkIface, v5.contractAddress, [CALLER, v5.proposalAddress, 0, E18, E18 / 1000n], 11, hash(2)));
+        expect(e2).to.include({ strategy: "SPOT_SPLIT", unit: "WETH", borrowToken: getMarket("pnk").tokens.WETH, profit: 0.001 });
+
+        // the old AAVE contract logs the token only: strategy from the token
+        const aave = getMarket("aave-v2");
+        const aaveIface = new ethers.Interface(AAVE_V2_ABI);
+        const e3 = decodeArbitrageEvent(createAdapter(aave), aaveIface, arbLog(aaveIface, aave.contractAddress, [CALLER, aave.proposalAddress, 2n * E18, aave.tokens.GHO], 12, hash(3)));
+        expect(e3).to.include({ strategy: "MERGE_SPOT", direction: 1, unit: "GHO", profit: 2 });
+    });
+
+    it("formats amounts in the borrow token's registry decimals", function () {
+        const USDC = ethers.getAddress("0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48");
+        const usdcMarket = { ...v5, tokens: { ...v5.tokens, USDC }, decimals: { USDC: 6 } };
+        const event = decodeArbitrageEvent(createAdapter(usdcMarket), gnosisIface, arbLog(gnosisIface, v5.contractAddress,
+            [CALLER, v5.proposalAddress, 0, USDC, 2500n * 10n ** 6n, 1250000n], 13, hash(4)));
+        expect(event).to.include({ unit: "USDC", borrowAmount: "2500.0", profit: 1.25 });
+        expect(event.profitRaw).to.equal(1250000n);
+    });
+
+    it("walks the history in chunks and halves ranges the RPC refuses", async function () {
+        const logs = [5, 2500, 9999].map((block, i) =>
+            arbLog(gnosisIface, v5.contractAddress, [CALLER, v5.proposalAddress, 0, v5.tokens.GNO, E18, 1n], block, hash(i + 1)));
+        const provider = fakeProvider(logs);
+        const found = await fetchArbitrageLogs(provider, v5.contractAddress, gnosisIface, { fromBlock: 0, toBlock: 9999, chunk: 5000 });
+
+        expect(found.map(l => l.blockNumber)).to.deep.equal([5, 2500, 9999]);
+        const served = provider.calls.filter(([from, to]) => to - from + 1 <= 1000);
+        expect(served[0]).to.deep.equal([0, 624]);
+        expect(served[served.length - 1][1]).to.equal(9999);
+    });
+
+    it("matches events to ledger trades by tx hash and records both sides", async function () {
+        const ledger = openLedger(":memory:");
+        const adapter = createAdapter(v5);
+        adapter.contract = new ethers.Contract(v5.contractAddress, GNOSIS_ARB_ABI);
+        adapter.provider = fakeProvider([
+            arbLog(gnosisIface, v5.contractAddress, [CALLER, v5.proposalAddress, 0, v5.tokens.GNO, E18, E18 / 50n], 100, hash(1)),
+            arbLog(gnosisIface, v5.contractAddress, [CALLER, v5.proposalAddress, 1, v5.tokens.SDAI, E18, 3n * E18], 150, hash(2)),
+        ]);
+
+        // hash(1): logged by the bot (simulated 0.019); hash(3): logged as mined but never on-chain;
+        // hash(4): before the scanned range
+        ledger.record(v5.id, { type: "trade", txHash: hash(1), status: "success", strategy: "SPOT_SPLIT", unit: "GNO", profit: 0.019, blockNumber: 100 });
+        ledger.record(v5.id, { type: "trade", txHash: hash(3), status: "success", strategy: "SPOT_SPLIT", unit: "GNO", profit: 1, blockNumber: 120 });
+        ledger.record(v5.id, { type: "trade", txHash: hash(4), status: "success", strategy: "SPOT_SPLIT", unit: "GNO", profit: 1, blockNumber: 50 });
+
+        const result = await reconcileContract(adapter, ledger, { fromBlock: 90, toBlock: 200 });
+        const [r] = result.markets;
+        expect(r.matched.map(e => e.txHash)).to.deep.equal([hash(1)]);
+        expect(r.chainOnly.map(e => e.txHash)).to.deep.equal([hash(2)]);
+        expect(r.missingOnchain.map(m => m.txHash)).to.deep.equal([hash(3)]);
+
+        expect(ledger.getTrade(hash(1))).to.include({
+            reconciled: "matched", realized_profit: 0.02, simulated_profit: 0.019, direction: 0,
+            borrow_token: v5.tokens.GNO, caller: CALLER,
+        });
+        expect(ledger.getTrade(hash(2))).to.include({
+            market: v5.id, status: "success", reconciled: "chain-only", strategy: "MERGE_SPOT", unit: "sDAI",
+            realized_profit: 3, gas_paid: (2n * 10n ** 15n).toString(), gas_symbol: "xDAI",
+            submitted_at: new Date((1700000000 + 150) * 1000).toISOString(),
+        });
+        expect(ledger.getTrade(hash(3)).reconciled).to.equal("missing-onchain");
+        expect(ledger.getTrade(hash(4)).reconciled).to.equal(null);
+        expect(ledger.lastReconciledBlock(100, v5.contractAddress)).to.equal(200);
+
+        // a rerun keeps the chain-only flag
+        await reconcileContract(adapter, ledger, { fromBlock: 90, toBlock: 200 });
+        expect(ledger.getTrade(hash(2)).reconciled).to.equal("chain-only");
+        ledger.close();
+    });
+
+    it("splits a shared contract's events between markets by ledger tx and proposal", async function () {
+        const ledger = openLedger(":memory:");
+        const other = { ...v5, id: "gnosis-v5:other", proposalAddress: "0x00000000000000000000000000000000000000aa" };
+        const adapter = createAdapter(v5);
+        adapter.contract = new ethers.Contract(v5.contractAddress, GNOSIS_ARB_ABI);
+        adapter.provider = fakeProvider([
+            arbLog(gnosisIface, v5.contractAddress, [CALLER, other.proposalAddress, 0, v5.tokens.GNO, E18, 1n], 10, hash(1)),
+            arbLog(gnosisIface, v5.contractAddress, [CALLER, v5.proposalAddress, 0, v5.tokens.GNO, E18, 1n], 11, hash(2)),
+            arbLog(gnosisIface, v5.contractAddress, [CALLER, v5.proposalAddress, 0, v5.tokens.GNO, E18, 1n], 12, hash(3)),
+        ]);
+        ledger.record(other.id, { type: "trade", txHash: hash(3), status: "success", strategy: "SPOT_SPLIT", blockNumber: 12 });
+
+        const result = await reconcileContract(adapter, ledger, { fromBlock: 0, toBlock: 20, markets: [v5, other], record: false });
+        const byMarket = Object.fromEntries(result.markets.map(r => [r.market, r]));
+        expect(byMarket[v5.id].chainOnly.map(e => e.txHash)).to.deep.equal([hash(2)]);
+        expect(byMarket[other.id].chainOnly.map(e => e.txHash)).to.deep.equal([hash(1)]);
+        expect(byMarket[other.id].matched.map(e => e.txHash)).to.deep.equal([hash(3)]);
+        expect(ledger.getTrade(hash(1))).to.equal(null);   // record: false
+        ledger.close();
+    });
+});
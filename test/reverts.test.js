@@ -0,0 +1,107 @@
+/**
+ * Offline tests for the revert decoder (scripts/lib/reverts.js).
+ *
+ * Revert data is built with ethers the way each contract encodes it, so the
+ * tests pin the decoding of every custom error declared in contracts/, the
+ * Balancer V2 / pool require codes, nested Universal Router failures, and
+ * how thrown errors and mined reverts are turned into one line.
+ *
+ * Run:  npx mocha test/reverts.test.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { decodeRevert, formatRevert, describeRevert, replayRevert } = require("../scripts/lib/reverts");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const encodeError = (signature, values) => new ethers.Interface([`error ${signature}`]).encodeErrorResult(signature.split("(")[0], values);
+const errorString = reason => ethers.concat(["0x08c379a0", coder.encode(["string"], [reason])]);
+
+/** Every `error X(...)` declared in contracts/**.sol, minus the protocol mocks. */
+function declaredErrors(dir) {
+    const found = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory() && entry.name === "mocks") continue;
+        if (entry.isDirectory()) found.push(...declaredErrors(file));
+        else if (entry.name.endsWith(".sol")) {
+            for (const [, signature] of fs.readFileSync(file, "utf8").matchAll(/^\s*error\s+(\w+\([^)]*\))\s*;/gm)) found.push({ file: entry.name, signature });
+        }
+    }
+    return found;
+}
+
+describe("revert decoder", function () {
+    it("knows every custom error declared in contracts/ and formats ours with amounts", function () {
+        const declared = declaredErrors(path.join(__dirname, "..", "contracts"));
+        expect(declared.length).to.be.greaterThan(5);
+        for (const { file, signature } of declared) {
+            const fragment = ethers.ErrorFragment.from(`error ${signature}`);
+            const decoded = decodeRevert(fragment.selector + "0".repeat(64 * fragment.inputs.length));
+            expect(decoded.name, `${file}: ${signature}`).to.equal(fragment.name);
+            expect(decoded.source).to.equal("Arbitrage contracts");
+        }
+
+        const failed = encodeError("ArbitrageFailed(uint256,uint256,string)", [ethers.parseEther("0.9"), ethers.parseEther("1"), "Insufficient to repay"]);
+        expect(formatRevert(decodeRevert(failed), { unit: "GNO" })).to.equal("ArbitrageFailed: Insufficient to repay (delta -0.1 GNO)");
+        const slippage = encodeError("SlippageExceeded(uint256 expected,uint256 actual)", [ethers.parseEther("2"), ethers.parseEther("1.5")]);
+        expect(formatRevert(decodeRevert(slippage), { unit: "VLR" })).to.equal("SlippageExceeded: expected 2.0 VLR, got 1.5 VLR");
+    });
+
+    it("names Balancer V2 codes, pool require codes and panics", function () {
+        const describe = data => formatRevert(decodeRevert(data));
+        expect(describe(errorString("BAL#507"))).to.equal("Balancer V2 BAL#507 SWAP_LIMIT");
+        expect(describe(errorString("BAL#528"))).to.equal("Balancer V2 BAL#528 INSUFFICIENT_FLASH_LOAN_BALANCE");
+        expect(describe(errorString("SPL"))).to.equal("SPL: sqrtPriceLimit out of range (Uniswap V3 / Algebra pool)");
+        expect(describe(errorString("STF"))).to.match(/^STF: safeTransferFrom failed/);
+        expect(describe(errorString("UniswapV2: K"))).to.equal("UniswapV2: K (Uniswap V2)");
+        expect(describe(errorString("Only admin"))).to.equal("Only admin");
+        expect(describe(ethers.concat(["0x4e487b71", coder.encode(["uint256"], [0x11])]))).to.equal("Panic 0x11: arithmetic overflow or underflow");
+    });
+
+    it("decodes protocol custom errors and the revert inside a Universal Router command", function () {
+        const tooLittle = encodeError("V3TooLittleReceived()", []);
+        const wrapped = encodeError("ExecutionFailed(uint256 commandIndex,bytes message)", [2, tooLittle]);
+        const decoded = decodeRevert(wrapped);
+        expect(decoded).to.include({ name: "ExecutionFailed", source: "Universal Router" });
+        expect(decoded.inner).to.include({ name: "V3TooLittleReceived" });
+        expect(formatRevert(decoded)).to.equal("Universal Router command 2 failed: V3TooLittleReceived() (Universal Router)");
+        const nestedString = encodeError("ExecutionFailed(uint256 commandIndex,bytes message)", [0, errorString("STF")]);
+        expect(formatRevert(decodeRevert(nestedString))).to.match(/^Universal Router command 0 failed: STF: /);
+
+        expect(formatRevert(decodeRevert(encodeError("AllowanceExpired(uint256 deadline)", [1700000000])))).to.equal("AllowanceExpired(1700000000) (Permit2)");
+        expect(formatRevert(decodeRevert(encodeError("SwapLimit(uint256 amount,uint256 limit)", [100, 90])))).to.equal("SwapLimit(100, 90) (Balancer V3)");
+        expect(formatRevert(decodeRevert(encodeError("invalidLimitSqrtPrice()", [])))).to.equal("invalidLimitSqrtPrice() (Algebra pool)");
+        expect(decodeRevert(encodeError("LengthMismatch()", [])).source).to.equal("Permit2 / Universal Router");
+        expect(formatRevert(decodeRevert("0xdeadbeef"))).to.equal("unknown error 0xdeadbeef");
+    });
+
+    it("describes thrown errors and replays mined reverts at the parent block", async function () {
+        const data = errorString("BAL#508");
+        expect(describeRevert(ethers.makeError("execution reverted", "CALL_EXCEPTION", { data }))).to.equal("Balancer V2 BAL#508 SWAP_DEADLINE");
+        expect(describeRevert({ message: "rpc error", error: { code: 3, data: { data } } })).to.equal("Balancer V2 BAL#508 SWAP_DEADLINE");
+        expect(describeRevert(ethers.makeError("execution reverted (no data)", "CALL_EXCEPTION", { data: "0x" }))).to.equal("reverted");
+
+        const iface = new ethers.Interface(["error ArbitrageFailed(uint256 balanceAfter, uint256 borrowAmount, string reason)"]);
+        const failed = iface.encodeErrorResult("ArbitrageFailed", [5n, 7n, "Profit below minimum"]);
+        expect(decodeRevert(failed, { iface, source: "gnosis-v4" }).source).to.equal("gnosis-v4");
+
+        const calls = [];
+        const provider = {
+            getTransaction: async hash => ({ hash, to: "0x01", from: "0x02", data: "0x", value: 0n, gasLimit: hash === "0xoog" ? 100n : 500n }),
+            getTransactionReceipt: async hash => ({ hash, status: hash === "0xok" ? 1 : 0, blockNumber: 50, gasUsed: 100n }),
+            call: async tx => {
+                calls.push(tx.blockTag);
+                throw ethers.makeError("execution reverted", "CALL_EXCEPTION", { data: failed });
+            },
+        };
+        const replay = await replayRevert(provider, "0xbad");
+        expect(replay).to.include({ blockTag: 49, outOfGas: false });
+        expect(describeRevert(replay.error, { unit: "sDAI" })).to.equal("ArbitrageFailed: Profit below minimum (delta -0.000000000000000002 sDAI)");
+        expect((await replayRevert(provider, "0xoog")).outOfGas).to.equal(true);
+        expect((await replayRevert(provider, "0xok")).error).to.equal(null);
+        expect(calls).to.deep.equal([49, 49]);
+    });
+});
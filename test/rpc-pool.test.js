@@ -0,0 +1,180 @@
+/**
+ * Offline tests for the RPC provider pool (scripts/lib/rpc-pool.js).
+ *
+ * Each endpoint is a local JSON-RPC stub whose answers the test sets per
+ * method (a result, a JSON-RPC error or a bare HTTP status), so requests go
+ * through the real ethers HTTP path. The tests pin failover and backoff on
+ * rate limits, the refusal to read from lagging endpoints, send routing and
+ * which errors are answers rather than endpoint failures.
+ *
+ * Run:  npx mocha test/rpc-pool.test.js
+ */
+
+const http = require("http");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { createProviderPool, classifyError } = require("../scripts/lib/rpc-pool");
+const { getProvider, closeProviders } = require("../scripts/lib/chains");
+
+const ADDRESS = "0x0000000000000000000000000000000000000001";
+
+/** JSON-RPC stub; `answers[method]` is { result } | { error } | { status } or a function of params. */
+async function startRpcStub(answers) {
+    const stub = { answers, calls: [] };
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => { body += chunk; });
+        req.on("end", () => {
+            const { id, method, params } = JSON.parse(body);
+            stub.calls.push(method);
+            const answer = typeof stub.answers[method] === "function" ? stub.answers[method](params) : stub.answers[method];
+            if (!answer || answer.status) {
+                res.writeHead(answer ? answer.status : 404);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ jsonrpc: "2.0", id, ...answer }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    stub.url = `http://127.0.0.1:${server.address().port}/v1/secret-key`;
+    stub.close = () => new Promise(resolve => server.close(resolve));
+    return stub;
+}
+
+const gnosis = (head, extra = {}) => ({
+    eth_chainId: { result: "0x64" },
+    eth_blockNumber: { result: ethers.toQuantity(head) },
+    ...extra,
+});
+
+describe("rpc provider pool", function () {
+    const stubs = [];
+    const pools = [];
+    const logs = [];
+    const stub = async answers => { const s = await startRpcStub(answers); stubs.push(s); return s; };
+    const pool = (urls, options = {}) => {
+        const p = createProviderPool(100, { urls, name: "gnosis", healthMs: 0, backoffMs: 50, log: line => logs.push(line), ...options });
+        pools.push(p);
+        return p;
+    };
+
+    afterEach(async function () {
+        pools.splice(0).forEach(p => p.destroy());
+        await Promise.all(stubs.splice(0).map(s => s.close()));
+        logs.length = 0;
+    });
+
+    it("fails over from a rate-limited endpoint and goes back to it after its backoff", async function () {
+        const primary = await stub(gnosis(100, { eth_getBalance: { status: 429 } }));
+        const secondary = await stub(gnosis(100, { eth_getBalance: { result: "0x5" } }));
+        const provider = pool([primary.url, secondary.url]);
+
+        expect(await provider.getBalance(ADDRESS)).to.equal(5n);
+        const [first, second] = provider.pool.status();
+        expect(first).to.include({ url: primary.url.replace("http://", "").split("/")[0], state: "backoff" });
+        expect(first.lastError).to.match(/^rate limited/);
+        expect(second.state).to.equal("ok");
+        expect(logs.join("\n")).to.include("rate limited").and.not.include("secret-key");
+
+        // inside the backoff the secondary takes the reads
+        expect(await provider.getBalance(ADDRESS)).to.equal(5n);
+        expect(primary.calls.filter(m => m === "eth_getBalance")).to.have.length(1);
+
+        primary.answers.eth_getBalance = { result: "0x7" };
+        await new Promise(resolve => setTimeout(resolve, 60));
+        expect(await provider.getBalance(ADDRESS)).to.equal(7n);
+    });
+
+    it("reads only from endpoints within maxLagBlocks of the best head and refuses when only laggards remain", async function () {
+        const fresh = await stub(gnosis(110, { eth_getBalance: { result: "0x1" } }));
+        const stale = await stub(gnosis(100, { eth_getBalance: { result: "0x2" } }));
+        const provider = pool([stale.url, fresh.url], { maxLagBlocks: 3 });
+        await provider.pool.ready();
+
+        expect(await provider.getBalance(ADDRESS)).to.equal(1n);    // not the first-listed, lagging one
+        expect(provider.pool.status().map(s => [s.state, s.lag])).to.deep.equal([["lagging", 10], ["ok", 0]]);
+
+        fresh.answers.eth_getBalance = { status: 503 };
+        fresh.answers.eth_blockNumber = { status: 503 };
+        const error = await provider.getBalance(ADDRESS).catch(e => e);
+        expect(error.code).to.equal("RPC_LAGGING");
+        expect(error.message).to.match(/lags more than 3 blocks behind 110/);
+        expect(stale.calls).to.not.include("eth_getBalance");
+
+        stale.answers.eth_blockNumber = { result: ethers.toQuantity(109) };   // caught up
+        await new Promise(resolve => setTimeout(resolve, 60));
+        expect(await provider.getBalance(ADDRESS)).to.equal(2n);
+    });
+
+    it("routes sends and pending nonces to the send endpoints and treats reverts as answers", async function () {
+        const revert = { error: { code: 3, message: "execution reverted", data: "0x08c379a0" + ethers.AbiCoder.defaultAbiCoder().encode(["string"], ["boom"]).slice(2) } };
+        const read = await stub(gnosis(100, { eth_getTransactionCount: { result: "0x1" }, eth_call: revert }));
+        const wrongChain = await stub({ eth_chainId: { result: "0x1" }, eth_blockNumber: { result: "0x1" } });
+        const relayA = await stub(gnosis(100, { eth_sendRawTransaction: { status: 502 }, eth_getTransactionCount: { result: "0x9" } }));
+        const relayB = await stub(gnosis(100, { eth_sendRawTransaction: { error: { code: -32000, message: "already known" } } }));
+        const provider = pool([wrongChain.url, read.url], { sendUrls: [relayA.url, relayB.url] });
+
+        expect(await provider.getTransactionCount(ADDRESS, "latest")).to.equal(1);
+        expect(await provider.getTransactionCount(ADDRESS, "pending")).to.equal(9);
+
+        const raw = "0x02f86a6401";
+        expect(await provider.send("eth_sendRawTransaction", [raw])).to.equal(ethers.keccak256(raw));
+        expect(read.calls).to.not.include("eth_sendRawTransaction");
+        expect(provider.pool.status().find(s => s.state === "wrong-chain")).to.include({ lastError: "chain 1" });
+
+        const call = await provider.call({ to: ADDRESS, data: "0x" }).catch(e => e);
+        expect(call.code).to.equal("CALL_EXCEPTION");
+        expect(call.reason).to.equal("boom");
+        expect(provider.pool.status()[1].state).to.equal("ok");
+    });
+
+    it("waits out the backoff when every endpoint is rate limited, then retries", async function () {
+        let limited = 2;
+        const only = await stub(gnosis(100, {
+            eth_getBalance: () => (limited-- > 0 ? { error: { code: -32005, message: "daily request limit exceeded" } } : { result: "0x3" }),
+        }));
+        const provider = pool([only.url], { retries: 3 });
+        expect(await provider.getBalance(ADDRESS)).to.equal(3n);
+        expect(only.calls.filter(m => m === "eth_getBalance")).to.have.length(3);
+
+        expect(classifyError({ code: "TIMEOUT", message: "timeout" })).to.equal("transient");
+        expect(classifyError({ code: "UNKNOWN_ERROR", error: { code: -32000, message: "header not found" } })).to.equal("transient");
+        expect(classifyError({ code: "INSUFFICIENT_FUNDS", message: "insufficient funds" })).to.equal("fatal");
+
+        const down = createProviderPool(100, { urls: ["http://127.0.0.1:1"], name: "gnosis", timeoutMs: 1000, log: () => {} });
+        pools.push(down);
+        const error = await down.pool.ready().catch(e => e);
+        expect(error.message).to.match(/^No gnosis RPC available \(127\.0\.0\.1:1: /);
+    });
+
+    it("caches a pool per chain and RPC list until closeProviders destroys it", async function () {
+        const names = ["GNOSIS_RPC_URL", "RPC_URL", "GNOSIS_SEND_RPC_URL", "PUBLIC_RPC"];
+        const saved = Object.fromEntries(names.map(name => [name, process.env[name]]));
+        const [first, second] = [await stub(gnosis(100)), await stub(gnosis(100))];
+        try {
+            names.forEach(name => delete process.env[name]);
+            process.env.PUBLIC_RPC = "false";
+            process.env.GNOSIS_RPC_URL = first.url;
+            const provider = await getProvider(100);
+            expect(await getProvider(100)).to.equal(provider);
+
+            // A repointed env gets its own pool
+            process.env.GNOSIS_RPC_URL = second.url;
+            const other = await getProvider(100);
+            expect(other).to.not.equal(provider);
+
+            closeProviders(100);
+            expect(provider.destroyed).to.equal(true);
+            expect(other.destroyed).to.equal(true);
+            expect(await getProvider(100)).to.not.equal(other);
+            closeProviders(100);
+        } finally {
+            for (const [name, value] of Object.entries(saved)) {
+                if (value === undefined) delete process.env[name];
+                else process.env[name] = value;
+            }
+        }
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Offline tests for the rehearsal sandbox (scripts/lib/sandbox.js).
+ *
+ * Scenario files are validated up front, and a short scenario runs the
+ * gnosis-v5 bot against shocked mock pools on a local chain: the scorecard
+ * must credit each shock with what the bot did about it.
+ *
+ * Needs compiled artifacts (npx hardhat compile).
+ *
+ * Run:  npx mocha test/sandbox.test.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { parseScenario, runSandbox, formatScorecard } = require("../scripts/lib/sandbox");
+
+describe("sandbox", function () {
+    this.timeout(180000);
+
+    it("orders shocks, defaults the length and lists every problem in a scenario", function () {
+        const scenario = parseScenario({
+            market: "gnosis-v5",
+            shocks: [
+                { block: 8, pool: "no", drain: 100 },
+                { block: 3, pool: ["yes", "no"], change: 5 },
+            ],
+        }, "test");
+        expect(scenario.shocks.map(s => s.block)).to.deep.equal([3, 8]);
+        expect(scenario.shocks[0]).to.include({ action: "change" });
+        expect(scenario.shocks[1].pool).to.deep.equal(["no"]);
+        expect(scenario.blocks).to.equal(13);
+
+        let error = null;
+        try {
+            parseScenario({
+                market: "gnosis-v9",
+                blocks: 4,
+                shocks: [
+                    { block: 0, pool: "yes", change: 5 },
+                    { block: 2, pool: "no", change: 5, price: 100 },
+                    { block: 5, pool: "no", drain: 150 },
+                ],
+            }, "broken");
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.not.equal(null);
+        expect(error.message).to.match(/^broken: /);
+        expect(error.message).to.include('market "gnosis-v9"');
+        expect(error.message).to.include("shocks[0]: block must be a positive integer");
+        expect(error.message).to.include("shocks[1]: needs exactly one of");
+        expect(error.message).to.include("shocks[2]: drain is a percentage");
+        expect(error.message).to.include("ends before the last shock");
+    });
+
+    it("plays shocks against the gnosis-v5 bot and scores what it detected and executed", async function () {
+        const logDir = fs.mkdtempSync(path.join(os.tmpdir(), "sandbox-"));
+        const savedUrl = process.env.GNOSIS_RPC_URL;
+        try {
+            const scenario = parseScenario({
+                market: "gnosis-v5",
+                blocks: 6,
+                blockMs: 1000,
+                shocks: [
+                    { block: 2, pool: "no", drain: 100 },
+                    { block: 3, pool: ["yes", "no"], change: 5 },
+                    { block: 4, pool: "no", depth: 100 },
+                ],
+            }, "test");
+            const lines = [];
+            const card = await runSandbox({ scenario, logDir, log: line => lines.push(line) });
+
+            // The engine's own loop scanned on start and on the shocks' pool logs
+            expect(card.loop).to.include("pool-log triggers");
+            expect(card.timeline.map(e => e.block)).to.deep.equal([1, 2, 3, 4, 5, 6]);
+            expect(card.scans >= 4).to.equal(true);
+            expect(card.scanErrors).to.equal(0);
+            expect(lines.some(line => line.includes("⚡ no depth 100 → 0"))).to.equal(true);
+
+            // Nothing to take until the NO pool has liquidity again
+            const [drained, shifted, refilled] = card.shocks;
+            expect(drained.moves).to.deep.equal(["no depth 100 → 0 NO_GNO"]);
+            expect(drained.outcome).to.equal("not detected");
+            expect(shifted.moves).to.have.length(2);
+            expect(shifted.outcome).to.equal("not detected");
+
+            expect(refilled.outcome).to.equal("executed");
+            expect(refilled.trades).to.equal(1);
+            expect([4, 5]).to.include(refilled.detectedAt);
+            expect(refilled.executedAt >= refilled.detectedAt && refilled.executedAt <= 5).to.equal(true);
+            expect(refilled.detectedAfterMs <= refilled.executedAfterMs).to.equal(true);
+            expect(refilled.profit.GNO > 0).to.equal(true);
+            expect(card.trades).to.include({ total: 1, success: 1, failed: 0 });
+            expect(card.pnl).to.deep.equal(refilled.profit);
+            const traded = card.timeline.find(e => e.trades.length > 0);
+            expect(traded.trades[0]).to.include({ strategy: "SPOT_SPLIT", status: "success" });
+
+            expect(formatScorecard(card)).to.include(`✅ executed (detected at ${refilled.detectedAt} (+`);
+            // The caller's environment is left as it was
+            expect(process.env.GNOSIS_RPC_URL).to.equal(savedUrl);
+        } finally {
+            fs.rmSync(logDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Offline tests for the read-only status API (scripts/lib/status-api.js).
+ *
+ * A bare EventEmitter stands in for the engine; the tests emit scans,
+ * simulations and trades and read them back over HTTP.
+ *
+ * Run:  npx mocha test/status-api.test.js
+ */
+
+const { expect } = require("chai");
+const { EventEmitter } = require("events");
+const { startStatusServer } = require("../scripts/lib/status-api");
+
+function fakeEngine() {
+    const engine = new EventEmitter();
+    engine.confirm = false;
+    engine.running = true;
+    engine.sessions = new Map([["pnk", { WETH: 0.012 }]]);
+    engine.adapters = new Map([["pnk", {
+        id: "pnk",
+        label: "PNK/sDAI",
+        canExecute: true,
+        market: {
+            id: "pnk", adapter: "pnk", chainId: 100, scanIntervalMs: 15000, contractAddress: "0x0000000000000000000000000000000000000002",
+            submission: { mode: "private", relayUrl: "https://user:pw@relay.example.com/rpc?apiKey=secret" },
+            rpcUrl: "https://eth-mainnet.g.alchemy.com/v2/secretKeyInPath",
+        },
+        signer: { address: "0x0000000000000000000000000000000000000001" },
+        txManager: { pending: () => [{ nonce: 7, kind: "trade", hashes: ["0xaa"], bumps: 1, maxFeePerGas: 3000000000n }] },
+        oracle: { report: () => ({ GNO: { price: 130, status: "ok", quotes: [] } }) },
+    }]]);
+    return engine;
+}
+
+describe("status API", function () {
+    let engine;
+    let server;
+    const get = async path => {
+        const res = await fetch(server.url.replace(/\/api$/, "") + path);
+        return { status: res.status, body: await res.json() };
+    };
+
+    beforeEach(async function () {
+        engine = fakeEngine();
+        server = await startStatusServer(engine, { port: 0, history: 3 });
+        engine.emit("start");
+    });
+
+    afterEach(async function () {
+        await server.close();
+    });
+
+    it("serves the markets with their last scan, pending txs and session PnL", async function () {
+        engine.emit("scan", {
+            market: "pnk", type: "scan", timestamp: "2026-01-01T00:00:00.000Z", block: 42, gasPrice: 1.2,
+            prices: { spot: 0.021, yes: 0.024 }, divergence: 0.14, action: "no opportunity",
+            bestOpportunity: { strategy: "SPOT_SPLIT", amount: "0.01", unit: "WETH", profit: 0.0004, netProfit: 0.0003 },
+        });
+        engine.emit("trade-submitted", { market: "pnk", txHash: "0xaa" });
+        engine.emit("trade", { market: "pnk", status: "success" });
+
+        const status = await get("/api/status");
+        expect(status.body).to.include({ mode: "dry-run", running: true });
+        expect(status.body.markets).to.deep.equal(["pnk"]);
+
+        const [line] = (await get("/api/markets")).body;
+        expect(line).to.deep.include({ id: "pnk", chainId: 100, pending: 1, session: { WETH: 0.012 } });
+        expect(line.lastScan).to.deep.include({ block: 42, divergence: 0.14, action: "no opportunity" });
+
+        const pending = await get("/api/markets/pnk/pending");
+        expect(pending.body).to.deep.equal([{ nonce: 7, kind: "trade", hashes: ["0xaa"], bumps: 1, maxFeePerGas: "3000000000" }]);
+
+        const prices = await get("/api/prices");
+        expect(prices.body.markets.pnk).to.deep.equal({ timestamp: "2026-01-01T00:00:00.000Z", block: 42, prices: { spot: 0.021, yes: 0.024 }, divergence: 0.14 });
+        expect(prices.body.oracles["100"].GNO.price).to.equal(130);
+
+        const pnl = await get("/api/pnl");
+        expect(pnl.body.pnk).to.deep.equal({ session: { WETH: 0.012 }, trades: { submitted: 1, success: 1, failed: 0, cancelled: 0, errors: 0 } });
+    });
+
+    it("keeps the last simulations per market and hides URL secrets in the config", async function () {
+        for (const amount of ["0.01", "0.02", "0.05", "0.1"]) {
+            engine.emit("simulation", { market: "pnk", type: "simulation", amount, success: true, profit: Number(amount) / 100 });
+        }
+        const sims = await get("/api/markets/pnk/simulations?limit=2");
+        expect(sims.body.map(s => s.amount)).to.deep.equal(["0.1", "0.05"]);
+        const detail = await get("/api/markets/pnk");
+        expect(detail.body.simulations.map(s => s.amount)).to.deep.equal(["0.1", "0.05", "0.02"]);
+        expect(detail.body.config.submission.relayUrl).to.equal("relay.example.com");
+        expect(detail.body.config.rpcUrl).to.equal("eth-mainnet.g.alchemy.com");
+
+        const config = await get("/api/config");
+        expect(config.body.confirm).to.equal(false);
+        expect(JSON.stringify(config.body)).to.not.include("secret");
+    });
+
+    it("answers unknown markets and routes with 404 and writes with 405", async function () {
+        expect((await get("/api/markets/nope")).status).to.equal(404);
+        expect((await get("/api/nope")).status).to.equal(404);
+        const res = await fetch(`${server.url}/status`, { method: "POST" });
+        expect(res.status).to.equal(405);
+        expect((await get("/api")).body.routes).to.include("/api/pnl");
+    });
+
+    it("rejects when the port is taken instead of crashing", async function () {
+        try {
+            await startStatusServer(engine, { port: server.port });
+            expect.fail("should have thrown");
+        } catch (e) {
+            expect(e.code).to.equal("EADDRINUSE");
+        }
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * Offline tests for private transaction submission (scripts/lib/submission.js).
+ *
+ * The relay submitter talks to the local mock relay (scripts/lib/mock-relay.js)
+ * over HTTP; a fake chain advances one block per getBlockNumber poll and
+ * "mines" whatever the relay includes. The tests pin the simulate-then-send
+ * loop over target blocks, aborting on a simulated revert, and the public
+ * fallback being used only when allowed.
+ *
+ * Run:  npx mocha test/submission.test.js
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { createSubmitter, resolveSubmissionConfig } = require("../scripts/lib/submission");
+const { startMockRelay } = require("../scripts/lib/mock-relay");
+const { validateMarket, getMarket } = require("../scripts/lib/markets");
+
+const REQUEST = {
+    to: "0x00000000000000000000000000000000000000a1",
+    data: "0x1234",
+    nonce: 7,
+    chainId: 1,
+    type: 2,
+    gasLimit: 3000000,
+    maxFeePerGas: 30n * 10n ** 9n,
+    maxPriorityFeePerGas: 2n * 10n ** 9n,
+};
+
+/** Chain at block 100 that moves one block per poll; relay-included txs are mined. */
+function fakeChain() {
+    const chain = {
+        block: 100,
+        mined: new Set(),
+        broadcast: [],
+        async getBlockNumber() {
+            return chain.block++;
+        },
+        async getTransactionReceipt(hash) {
+            return chain.mined.has(hash) ? { hash, status: 1 } : null;
+        },
+        async broadcastTransaction(raw) {
+            chain.broadcast.push(raw);
+        },
+        async waitForTransaction(hash) {
+            return { hash, status: 1 };
+        },
+        async getNetwork() {
+            return new ethers.Network("mainnet", 1n);
+        },
+    };
+    return chain;
+}
+
+describe("transaction submission", function () {
+    let relay;
+    let chain;
+    let wallet;
+    const options = { pollMs: 0, log: () => {} };
+
+    /** Relay that lands the bundle of attempt `landAt` (0-based), simulating txs as `sim`. */
+    async function setup({ landAt = 0, sim } = {}) {
+        chain = fakeChain();
+        wallet = new ethers.Wallet(ethers.id("submitter"), chain);
+        relay = await startMockRelay({
+            simulate: sim,
+            include: (bundle, index) => {
+                if (index !== landAt) return false;
+                for (const raw of bundle.txs) chain.mined.add(ethers.keccak256(raw));
+                return true;
+            },
+        });
+    }
+
+    afterEach(async function () {
+        if (relay) await relay.close();
+        relay = null;
+    });
+
+    it("simulates and sends a signed bundle per target block until one includes it", async function () {
+        await setup({ landAt: 1 });
+        const auth = new ethers.Wallet(ethers.id("relay-auth"));
+        const submitter = createSubmitter(wallet, { mode: "relay", relayUrl: relay.url, targetBlocks: 3 }, { ...options, authSigner: auth });
+
+        const tx = await submitter.send(REQUEST);
+        expect(tx).to.include({ via: "relay", targetBlock: 102 });
+        expect(relay.calls.map(c => c.method)).to.deep.equal(["eth_callBundle", "eth_sendBundle", "eth_callBundle", "eth_sendBundle"]);
+        expect(relay.calls.every(c => c.signer === auth.address)).to.equal(true);
+        expect(relay.bundles.map(b => b.blockNumber)).to.deep.equal([101, 102]);
+
+        const sent = ethers.Transaction.from(relay.bundles[1].txs[0]);
+        expect(sent).to.include({ hash: tx.hash, from: wallet.address, nonce: 7, data: "0x1234" });
+        expect((await tx.wait(1)).status).to.equal(1);
+        expect(chain.broadcast).to.have.length(0);
+    });
+
+    it("cancels the trade when the bundle simulation reverts", async function () {
+        await setup({ sim: txs => ({ results: txs.map(() => ({ error: "execution reverted", revert: "ArbitrageFailed" })) }) });
+        const submitter = createSubmitter(wallet, { mode: "relay", relayUrl: relay.url, allowPublicFallback: true }, options);
+
+        let error = null;
+        try {
+            await submitter.send(REQUEST);
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.include({ code: "BUNDLE_REVERTED" });
+        expect(error.message).to.match(/ArbitrageFailed/);
+        expect(relay.bundles).to.have.length(0);
+        expect(chain.broadcast).to.have.length(0);
+    });
+
+    it("falls back to the public mempool only when explicitly allowed", async function () {
+        await setup({ landAt: -1 });
+        const strict = createSubmitter(wallet, { mode: "relay", relayUrl: relay.url, targetBlocks: 2 }, options);
+        let error = null;
+        try {
+            await strict.send(REQUEST);
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.include({ code: "RELAY_NOT_INCLUDED" });
+        expect(relay.bundles.map(b => b.blockNumber)).to.deep.equal([101, 102]);
+        expect(chain.broadcast).to.have.length(0);
+
+        const lenient = createSubmitter(wallet, { mode: "relay", relayUrl: relay.url, targetBlocks: 2, allowPublicFallback: true }, options);
+        const tx = await lenient.send(REQUEST);
+        expect(tx.via).to.equal("public");
+        expect(chain.broadcast).to.have.length(1);
+        expect(ethers.keccak256(chain.broadcast[0])).to.equal(tx.hash);
+    });
+
+    it("rejects requests without a valid relay signature", async function () {
+        await setup();
+        const response = await fetch(relay.url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", "X-Flashbots-Signature": `${wallet.address}:0x00` },
+            body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_sendBundle", params: [{ txs: [], blockNumber: "0x1" }] }),
+        });
+        expect((await response.json()).error.message).to.match(/X-Flashbots-Signature/);
+        expect(relay.bundles).to.have.length(0);
+    });
+
+    it("validates the market submission block", function () {
+        const market = getMarket("eth-v1");
+        expect(market.submission).to.include({ mode: "relay" });
+        expect(validateMarket(market)).to.deep.equal([]);
+        expect(validateMarket({ ...market, submission: { mode: "relay" } })).to.deep.equal(["submission: relay mode needs a relayUrl"]);
+        expect(validateMarket({ ...market, submission: { mode: "private" } })[0]).to.match(/^submission.mode: expected "public" or "relay"/);
+    });
+
+    it("applies the env overrides only to markets with a submission block", function () {
+        const saved = { SUBMISSION: process.env.SUBMISSION, RELAY_URL: process.env.RELAY_URL };
+        process.env.SUBMISSION = "relay";
+        process.env.RELAY_URL = "https://relay.example";
+        try {
+            expect(resolveSubmissionConfig(getMarket("gnosis-v5").submission)).to.deep.equal({ mode: "public" });
+            expect(resolveSubmissionConfig(getMarket("eth-v1").submission)).to.include({ mode: "relay", relayUrl: "https://relay.example" });
+        } finally {
+            for (const [name, value] of Object.entries(saved)) {
+                if (value === undefined) delete process.env[name];
+                else process.env[name] = value;
+            }
+        }
+    });
+});
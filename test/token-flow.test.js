@@ -0,0 +1,170 @@
+/**
+ * Offline tests for the token-flow breakdown (scripts/lib/token-flow.js).
+ *
+ * Receipts are assembled from encoded events the way our contracts' trades
+ * emit them (Balancer V3 sendTo / settle, FutarchyRouter split and merge
+ * through ConditionalTokens, Algebra swaps, a Balancer V2 flash loan with a
+ * Swapr pair), so the tests pin the legs, amounts, fees and price impact, and
+ * the pool and token reads at the parent block.
+ *
+ * Run:  npx mocha test/token-flow.test.js
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { EVENTS, loadFlowContext, decodeFlow, formatFlow } = require("../scripts/lib/token-flow");
+
+const address = n => ethers.getAddress(`0x${n.toString(16).padStart(40, "0")}`);
+const [CONTRACT, CALLER, VAULT, ROUTER, CT] = [0xc0, 0xca, 0xba, 0x70, 0xc7].map(address);
+const [GNO, SDAI, YES_GNO, NO_GNO, YES_SDAI, NO_SDAI] = [0x10, 0x11, 0x21, 0x22, 0x23, 0x24].map(address);
+const [YES_POOL, NO_POOL, SPOT_POOL] = [0x31, 0x32, 0x33].map(address);
+
+const e18 = value => ethers.parseEther(String(value));
+const sqrtPriceX96 = price => BigInt(Math.round(Math.sqrt(price) * 2 ** 48)) * 2n ** 48n;
+
+const CLMM_SWAP = "Swap(address,address,int256,int256,uint160,uint128,int24)";
+
+/** Receipt whose logs are [emitter, event signature, args] in order. */
+function receiptOf(entries) {
+    const logs = entries.map(([emitter, signature, args], index) => {
+        const { data, topics } = EVENTS.encodeEventLog(EVENTS.getEvent(signature), args);
+        return { address: emitter, data, topics, index };
+    });
+    return { hash: "0x" + "ab".repeat(32), blockNumber: 101, status: 1, to: CONTRACT, from: CALLER, logs };
+}
+
+const transfer = (token, from, to, value) => [token, "Transfer", [from, to, value]];
+const split = (collateral, amount) => [CT, "PositionSplit", [ROUTER, collateral, ethers.ZeroHash, ethers.id("condition"), [1, 2], amount]];
+const merge = (collateral, amount) => [CT, "PositionsMerge", [ROUTER, collateral, ethers.ZeroHash, ethers.id("condition"), [1, 2], amount]];
+
+describe("token flow", function () {
+    const tokens = {
+        [GNO]: { symbol: "GNO", decimals: 18, side: null },
+        [SDAI]: { symbol: "sDAI", decimals: 18, side: null },
+        [YES_GNO]: { symbol: "YES_GNO", decimals: 18, side: "YES" },
+        [NO_GNO]: { symbol: "NO_GNO", decimals: 18, side: "NO" },
+        [YES_SDAI]: { symbol: "YES_sDAI", decimals: 18, side: "YES" },
+        [NO_SDAI]: { symbol: "NO_sDAI", decimals: 18, side: "NO" },
+    };
+    const lowerKeys = map => Object.fromEntries(Object.entries(map).map(([k, v]) => [k.toLowerCase(), v]));
+
+    it("rebuilds a SPOT_SPLIT: borrow, split, YES and NO sells, merge, spot swap, repay, payout", function () {
+        const receipt = receiptOf([
+            transfer(GNO, VAULT, CONTRACT, e18(1)),                                           // Balancer V3 sendTo
+            transfer(GNO, CONTRACT, ROUTER, e18(1)),
+            split(GNO, e18(1)),
+            transfer(YES_GNO, ROUTER, CONTRACT, e18(1)),
+            transfer(NO_GNO, ROUTER, CONTRACT, e18(1)),
+            transfer(YES_GNO, CONTRACT, YES_POOL, e18(1)),
+            transfer(YES_SDAI, YES_POOL, CONTRACT, e18(100)),
+            [YES_POOL, CLMM_SWAP, [CONTRACT, CONTRACT, e18(1), -e18(100), sqrtPriceX96(99), 10n ** 21n, 0]],
+            transfer(NO_GNO, CONTRACT, NO_POOL, e18(1)),
+            transfer(NO_SDAI, NO_POOL, CONTRACT, e18(98)),
+            [NO_POOL, CLMM_SWAP, [CONTRACT, CONTRACT, e18(1), -e18(98), sqrtPriceX96(97), 10n ** 21n, 0]],
+            transfer(YES_SDAI, CONTRACT, ROUTER, e18(98)),
+            transfer(NO_SDAI, CONTRACT, ROUTER, e18(98)),
+            merge(SDAI, e18(98)),
+            transfer(SDAI, ROUTER, CONTRACT, e18(98)),
+            transfer(SDAI, CONTRACT, SPOT_POOL, e18(98)),
+            transfer(GNO, SPOT_POOL, CONTRACT, e18(1.02)),
+            [SPOT_POOL, CLMM_SWAP, [CONTRACT, CONTRACT, -e18(1.02), e18(98), sqrtPriceX96(96.5), 10n ** 21n, 0]],
+            transfer(GNO, CONTRACT, VAULT, e18(1)),                                           // settle
+            transfer(GNO, CONTRACT, CALLER, e18(0.02)),
+            transfer(YES_SDAI, CONTRACT, CALLER, e18(2)),
+        ]);
+        const pools = lowerKeys({
+            [YES_POOL]: { kind: "clmm", name: "yes pool", token0: YES_GNO.toLowerCase(), token1: YES_SDAI.toLowerCase(), sqrtPriceX96: sqrtPriceX96(102), feeRate: 0.003 },
+            [NO_POOL]: { kind: "clmm", name: "no pool", token0: NO_GNO.toLowerCase(), token1: NO_SDAI.toLowerCase(), sqrtPriceX96: sqrtPriceX96(99), feeRate: 0.003 },
+            [SPOT_POOL]: { kind: "clmm", name: "spot pool", token0: GNO.toLowerCase(), token1: SDAI.toLowerCase(), sqrtPriceX96: sqrtPriceX96(95), feeRate: 0.0005 },
+        });
+        const flow = decodeFlow(receipt, { contract: CONTRACT, caller: CALLER, tokens: lowerKeys(tokens), pools });
+
+        expect(flow.legs.map(l => l.label)).to.deep.equal(["borrow", "split", "YES sell", "NO sell", "merge", "spot swap", "repay", "payout", "leftover"]);
+        const [borrow, splitLeg, yes, , mergeLeg, spot, repay, payout] = flow.legs;
+        expect(borrow).to.include({ symbol: "GNO", amount: 1, from: VAULT.toLowerCase() });
+        expect(borrow.fee.amount).to.equal(0);
+        expect(splitLeg).to.include({ symbol: "GNO", amount: 1 });
+        expect(mergeLeg).to.include({ symbol: "sDAI", amount: 98 });
+        expect(yes.in).to.include({ symbol: "YES_GNO", amount: 1 });
+        expect(yes.out).to.include({ symbol: "YES_sDAI", amount: 100 });
+        expect(yes).to.include({ price: 100, poolName: "yes pool" });
+        expect(yes.fee.amount).to.equal(0.003);
+        expect(yes.midPrice).to.be.closeTo(102, 1e-9);
+        expect(yes.priceImpact).to.be.closeTo(1 - 100 / 102, 1e-9);
+        expect(spot.in.symbol).to.equal("sDAI");
+        expect(spot.midPrice).to.be.closeTo(1 / 95, 1e-12);              // GNO per sDAI before the swap
+        expect(repay).to.include({ symbol: "GNO", amount: 1 });
+        expect(payout).to.include({ symbol: "GNO", amount: 0.02 });
+        expect(flow.net).to.deep.equal({});                               // everything forwarded
+    });
+
+    it("reads pool and token state at the parent block and uses flash-loan events, Sync reserves and Balancer fees", async function () {
+        const PAIR = address(0x41);
+        const BAL_POOL = address(0x42);
+        const poolId = ethers.zeroPadBytes(BAL_POOL, 32);
+        const receipt = receiptOf([
+            transfer(GNO, VAULT, CONTRACT, e18(2)),
+            transfer(GNO, CONTRACT, PAIR, e18(2)),
+            transfer(SDAI, PAIR, CONTRACT, e18(190)),
+            [PAIR, "Sync", [e18(12), e18(1810)]],
+            [PAIR, "Swap(address,uint256,uint256,uint256,uint256,address)", [CONTRACT, e18(2), 0n, 0n, e18(190), CONTRACT]],
+            [VAULT, "Swap(bytes32,address,address,uint256,uint256)", [poolId, SDAI, GNO, e18(190), e18(2.01)]],
+            transfer(SDAI, CONTRACT, VAULT, e18(190)),
+            transfer(GNO, VAULT, CONTRACT, e18(2.01)),
+            transfer(GNO, CONTRACT, VAULT, e18(2.002)),
+            [VAULT, "FlashLoan(address,address,uint256,uint256)", [CONTRACT, GNO, e18(2), e18(0.002)]],
+        ]);
+
+        const iface = new ethers.Interface([
+            "function symbol() view returns (string)", "function decimals() view returns (uint8)",
+            "function token0() view returns (address)", "function token1() view returns (address)",
+            "function getReserves() view returns (uint112, uint112, uint32)", "function swapFee() view returns (uint32)",
+            "function getSwapFeePercentage() view returns (uint256)",
+        ]);
+        const answers = {
+            [GNO]: { symbol: ["GNO"], decimals: [18] },
+            [SDAI]: { symbol: ["sDAI"], decimals: [18] },
+            [PAIR]: { token0: [GNO], token1: [SDAI], getReserves: [e18(10), e18(2000), 0], swapFee: [25] },
+            [BAL_POOL]: { getSwapFeePercentage: [e18(0.001)] },
+        };
+        const blocks = new Set();
+        const provider = {
+            getCode: async () => "0x",                                   // no Multicall3: direct eth_calls
+            call: async tx => {
+                blocks.add(tx.blockTag);
+                const fn = iface.parseTransaction({ data: tx.data });
+                const result = answers[ethers.getAddress(tx.to)]?.[fn.name];
+                if (!result) throw ethers.makeError("execution reverted", "CALL_EXCEPTION", { data: "0x" });
+                return iface.encodeFunctionResult(fn.name, result);
+            },
+        };
+        const context = await loadFlowContext(provider, { to: CONTRACT, from: CALLER }, receipt);
+        expect([...blocks]).to.deep.equal([100]);
+        expect(context.pools[PAIR.toLowerCase()]).to.include({ kind: "v2", feeRate: 0.0025 });
+
+        const flow = decodeFlow(receipt, context);
+        expect(flow.legs.map(l => l.label)).to.deep.equal(["borrow", "spot swap", "spot swap", "repay"]);
+        const [borrow, pair, balancer, repay] = flow.legs;
+        expect(borrow.fee.amount).to.equal(0.002);                        // from the FlashLoan event
+        expect(pair).to.include({ dex: "v2", price: 95 });
+        expect(pair.midPrice).to.equal(200);                              // reserves before the Sync
+        expect(pair.fee.amount).to.equal(0.005);
+        expect(balancer).to.include({ dex: "balancer-v2", pool: BAL_POOL.toLowerCase(), priceImpact: null });
+        expect(balancer.fee.amount).to.equal(0.19);
+        expect(repay.amount).to.equal(2.002);
+        expect(flow.net).to.deep.equal({ GNO: 0.008 });
+    });
+
+    it("prints one line per leg plus the swap details and exports as plain JSON", function () {
+        const receipt = receiptOf([
+            transfer(GNO, VAULT, CONTRACT, e18(1)),
+            transfer(GNO, CONTRACT, VAULT, e18(1)),
+            transfer(GNO, CONTRACT, CALLER, e18(0.5)),
+        ]);
+        const flow = decodeFlow(receipt, { contract: CONTRACT, caller: CALLER, tokens: lowerKeys(tokens), pools: {} });
+        const lines = formatFlow(flow);
+        expect(lines[0]).to.match(/^ 1\. borrow\s+1 GNO from 0x0000…00ba \(fee 0 GNO\)$/);
+        expect(lines[lines.length - 1]).to.equal("Net to contract: -0.5 GNO");
+        expect(JSON.parse(JSON.stringify(flow)).legs).to.have.length(3);
+    });
+});
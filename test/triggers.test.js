@@ -0,0 +1,216 @@
+/**
+ * Offline tests for event-driven scan triggers (scripts/lib/triggers.js).
+ *
+ * A fake HTTP provider (eth_blockNumber / eth_getLogs over an in-memory
+ * chain) and a fake WebSocket provider stand in for the RPC. The tests pin
+ * which pool logs wake which market, the debounce, the fallback from the
+ * socket to polling with catch-up of missed blocks, and the engine scanning
+ * again when woken instead of waiting out its interval.
+ *
+ * Run:  npx mocha test/triggers.test.js
+ */
+
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+const { createChainWatcher, createTriggers, watchedPools, scanPeriodMs } = require("../scripts/lib/triggers");
+const { createBotEngine } = require("../scripts/lib/bot-engine");
+
+const SWAP_V3 = ethers.id("Swap(address,address,int256,int256,uint160,uint128,int24)");
+const SWAP_V2 = ethers.id("Swap(address,uint256,uint256,uint256,uint256,address)");
+const POOL_A = "0x00000000000000000000000000000000000000aa";
+const POOL_B = "0x00000000000000000000000000000000000000bb";
+const OTHER = "0x00000000000000000000000000000000000000cc";
+
+const tick = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** HTTP provider over `logs`; the head moves with `chain.head`. */
+function fakeChain() {
+    const chain = { head: 100, logs: [], queries: [] };
+    chain.provider = {
+        getBlockNumber: async () => chain.head,
+        getLogs: async filter => {
+            chain.queries.push(filter);
+            const wanted = filter.address.map(a => a.toLowerCase());
+            return chain.logs.filter(l => wanted.includes(l.address.toLowerCase()) &&
+                l.blockNumber >= filter.fromBlock && l.blockNumber <= filter.toBlock && filter.topics[0].includes(l.topics[0]));
+        },
+    };
+    return chain;
+}
+
+/** WebSocketProvider stand-in: on/off/destroy plus the raw socket's onerror. */
+function fakeSocket() {
+    const socket = new EventEmitter();
+    socket.websocket = { onerror: null, addEventListener: () => {} };
+    socket.getBlockNumber = async () => 100;
+    socket.destroyed = false;
+    socket.destroy = () => { socket.destroyed = true; };
+    const on = socket.on.bind(socket);
+    socket.filters = [];
+    socket.on = (event, listener) => {
+        if (typeof event === "object") socket.filters.push(event);
+        return on(typeof event === "object" ? "logs" : event, listener);
+    };
+    socket.off = event => {
+        if (typeof event === "object") socket.filters = socket.filters.filter(f => f !== event);
+        socket.removeAllListeners(typeof event === "object" ? "logs" : event);
+        return socket;
+    };
+    return socket;
+}
+
+describe("scan triggers", function () {
+    const quiet = () => {};
+
+    it("polls new blocks and routes each pool's logs to the markets watching it", async function () {
+        const chain = fakeChain();
+        const watcher = createChainWatcher(100, { provider: chain.provider, wsUrl: null, pollMs: 10, log: quiet });
+        const seen = { m1: [], m2: [] };
+        watcher.subscribe("m1", { pools: { yes: POOL_A }, onLog: (l, pool) => seen.m1.push(`${pool}@${l.blockNumber}`), onBlock: b => seen.m1.push(b) });
+        watcher.subscribe("m2", { pools: { spot: POOL_A, no: POOL_B }, onLog: (l, pool) => seen.m2.push(`${pool}@${l.blockNumber}`) });
+        await watcher.ready();
+
+        chain.logs.push(
+            { address: POOL_A, blockNumber: 101, topics: [SWAP_V3] },
+            { address: POOL_B.toUpperCase().replace("0X", "0x"), blockNumber: 102, topics: [SWAP_V2] },
+            { address: OTHER, blockNumber: 102, topics: [SWAP_V3] },
+        );
+        chain.head = 102;
+        await tick(40);
+        watcher.close();
+
+        expect(watcher.status()).to.include({ mode: "polling", lastBlock: 102 });
+        expect(seen.m1).to.deep.equal(["yes@101", 102]);
+        expect(seen.m2).to.deep.equal(["spot@101", "no@102"]);
+        expect(chain.queries[0]).to.deep.include({ fromBlock: 101, toBlock: 102 });
+        expect(chain.queries[0].address).to.have.members([POOL_A, POOL_B].map(a => a.toLowerCase()));
+    });
+
+    it("subscribes over WebSocket, falls back to polling when it drops and catches up on gaps", async function () {
+        const chain = fakeChain();
+        const sockets = [];
+        const logs = [];
+        const watcher = createChainWatcher(1, {
+            provider: chain.provider,
+            wsUrl: "ws://127.0.0.1:1",
+            pollMs: 10,
+            reconnectMs: 30,
+            openWebSocket: () => { const s = fakeSocket(); sockets.push(s); return s; },
+            log: line => logs.push(line),
+        });
+        const blocks = [];
+        const events = [];
+        watcher.subscribe("m1", { pools: { yes: POOL_A }, onBlock: b => blocks.push(b), onLog: l => events.push(l.blockNumber) });
+        await watcher.ready();
+        expect(watcher.status().mode).to.equal("ws");
+        expect(sockets[0].filters[0].address).to.deep.equal([POOL_A]);
+
+        sockets[0].emit("block", 101);
+        sockets[0].emit("logs", { address: POOL_A, blockNumber: 101, topics: [SWAP_V3] });
+        // blocks 102-103 never arrive over the socket: fetched when 104 does
+        chain.logs.push({ address: POOL_A, blockNumber: 103, topics: [SWAP_V3] });
+        sockets[0].emit("block", 104);
+        await tick();
+        expect(blocks).to.deep.equal([101, 104]);
+        expect(events).to.deep.equal([101, 103]);
+
+        sockets[0].websocket.onerror(new Error("ECONNRESET"));
+        expect(sockets[0].destroyed).to.equal(true);
+        chain.head = 105;
+        await tick();
+        expect(watcher.status()).to.include({ mode: "polling", lastBlock: 105, healthy: true });
+        expect(blocks).to.deep.equal([101, 104, 105]);
+
+        await tick(60);                      // reconnectMs: back on a new socket
+        expect(sockets).to.have.length(2);
+        expect(watcher.status().mode).to.equal("ws");
+        watcher.close();
+        expect(sockets[1].destroyed).to.equal(true);
+        expect(logs.join("\n")).to.include("WebSocket lost (ECONNRESET)");
+    });
+
+    it("debounces a market's wake-ups and skips markets left on interval scanning", async function () {
+        let subscription;
+        const triggers = createTriggers({
+            log: quiet,
+            watcherFor: () => ({
+                subscribe: (id, s) => { subscription = s; return () => { subscription = null; }; },
+                healthy: () => true,
+                status: () => ({ mode: "ws" }),
+                close: () => {},
+            }),
+        });
+        const adapter = {
+            id: "m1",
+            market: { id: "m1", chainId: 100, scanIntervalMs: 10000, pools: { spot: POOL_B }, triggers: { debounceMs: 20, blocks: 2 } },
+            proposal: { yesPool: POOL_A, noPool: ethers.ZeroAddress, collateralToken: OTHER },
+        };
+        expect(watchedPools(adapter)).to.deep.equal({ yes: POOL_A, spot: POOL_B });
+
+        const wakes = [];
+        const trigger = triggers.watch(adapter, reason => wakes.push(reason));
+        subscription.onLog({ blockNumber: 7, topics: [SWAP_V3] }, "yes");
+        subscription.onLog({ blockNumber: 7, topics: [SWAP_V2] }, "spot");
+        subscription.onBlock(7);             // not a multiple of 2
+        subscription.onBlock(8);
+        await tick(40);
+        expect(wakes).to.deep.equal(["Swap on yes pool (block 7) +2 more"]);
+        expect(trigger.idleMs()).to.equal(60000);
+        expect(scanPeriodMs(adapter.market)).to.equal(60000);
+        trigger.close();
+        expect(subscription).to.equal(null);
+
+        const intervalMarket = { id: "m2", chainId: 100, scanIntervalMs: 10000, triggers: { mode: "interval" } };
+        expect(triggers.watch({ id: "m2", market: intervalMarket }, () => {})).to.equal(null);
+        expect(triggers.watch({ id: "m3", market: { id: "m3", chainId: 100, scanIntervalMs: 10000 } }, () => {})).to.equal(null);
+        expect(scanPeriodMs(intervalMarket)).to.equal(10000);
+    });
+
+    it("wakes a sleeping market's loop and rescans when woken mid-scan", async function () {
+        const logDir = fs.mkdtempSync(path.join(os.tmpdir(), "triggers-"));
+        const log = console.log;
+        console.log = () => {};
+        let wake;
+        const market = { id: "m1", chainId: 100, scanIntervalMs: 3600000, heartbeatFile: null, ladders: [] };
+        const engine = createBotEngine({
+            markets: [market],
+            confirm: false,
+            once: false,
+            logDir,
+            triggers: { watch: (adapter, w) => { wake = w; return { idleMs: () => 3600000, close: () => {} }; } },
+            createAdapter: m => ({
+                id: m.id,
+                label: m.id,
+                market: m,
+                provider: { getBlockNumber: async () => 1, getFeeData: async () => ({ gasPrice: 1000000000n }) },
+                connect: async () => {},
+                loadProposal: async () => {},
+                readState: async () => {
+                    // the first scan is woken while it runs
+                    if (scans.length === 0) wake("Swap on yes pool (block 1)");
+                    return { prices: { spot: 1 } };
+                },
+                buildSizeCandidates: () => [],
+            }),
+        });
+        const scans = [];
+        engine.on("scan", s => scans.push(s));
+        const run = engine.start();
+        try {
+            await tick(50);
+            expect(scans).to.have.length(2);  // rescanned without sleeping
+            wake("block 2");
+            await tick(50);
+            expect(scans).to.have.length(3);
+        } finally {
+            engine.stop();
+            await run;
+            console.log = log;
+            fs.rmSync(logDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * Offline tests for nonce tracking and stuck-transaction replacement
+ * (scripts/lib/tx-manager.js).
+ *
+ * A real wallet signs against a fake chain whose mempool enforces the +10%
+ * replacement rule and mines a transaction as soon as its fee reaches the
+ * chain's inclusion price. The clock advances 1 ms per read, so `stallMs`
+ * counts loop iterations. The tests pin nonce allocation, EIP-1559 and
+ * legacy fee bumps, cancelling a vanished opportunity, the fee cap and
+ * what is left pending after a timeout.
+ *
+ * Run:  npx mocha test/tx-manager.test.js
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { createTxManager } = require("../scripts/lib/tx-manager");
+
+const GWEI = 10n ** 9n;
+const CONTRACT = "0x00000000000000000000000000000000000000a1";
+
+const feeOf = tx => tx.maxFeePerGas ?? tx.gasPrice;
+
+/** Chain at nonce 5 that mines any tx paying at least `inclusionPrice`. */
+function fakeChain({ eip1559 = true, fee = 10n * GWEI, inclusionPrice = 100n * GWEI } = {}) {
+    const chain = {
+        nonce: 5,
+        inclusionPrice,
+        mempool: new Map(),    // nonce → tx
+        receipts: new Map(),
+        sent: [],
+        fees: eip1559
+            ? { maxFeePerGas: fee, maxPriorityFeePerGas: fee / 10n, gasPrice: fee }
+            : { maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: fee },
+        async getNetwork() {
+            return new ethers.Network("test", 1n);
+        },
+        async getFeeData() {
+            return chain.fees;
+        },
+        async getTransactionCount(_address, tag) {
+            return tag === "pending" ? chain.nonce + chain.mempool.size : chain.nonce;
+        },
+        async broadcastTransaction(raw) {
+            const tx = ethers.Transaction.from(raw);
+            const queued = chain.mempool.get(tx.nonce);
+            if (tx.nonce < chain.nonce) throw Object.assign(new Error("nonce too low"), { code: "NONCE_EXPIRED" });
+            if (queued && feeOf(tx) * 10n < feeOf(queued) * 11n) {
+                throw Object.assign(new Error("replacement transaction underpriced"), { code: "REPLACEMENT_UNDERPRICED" });
+            }
+            chain.mempool.set(tx.nonce, tx);
+            chain.sent.push(tx);
+            if (feeOf(tx) >= chain.inclusionPrice) chain.mine(tx.nonce);
+            return { hash: tx.hash };
+        },
+        mine(nonce) {
+            const tx = chain.mempool.get(nonce);
+            chain.mempool.delete(nonce);
+            chain.nonce = nonce + 1;
+            chain.receipts.set(tx.hash, {
+                hash: tx.hash, status: 1, from: tx.from, to: tx.to, blockNumber: 1, gasUsed: tx.gasLimit, gasPrice: feeOf(tx),
+            });
+        },
+        async getTransactionReceipt(hash) {
+            return chain.receipts.get(hash) || null;
+        },
+    };
+    return chain;
+}
+
+describe("transaction manager", function () {
+    let chain;
+    let wallet;
+    let t;
+
+    function manager(options = {}) {
+        return createTxManager(wallet, { stallMs: 3, pollMs: 0, now: () => t++, log: () => {}, ...options });
+    }
+
+    function setup(chainOptions) {
+        t = 0;
+        chain = fakeChain(chainOptions);
+        wallet = new ethers.Wallet(ethers.id("tx-manager"), chain);
+    }
+
+    const request = () => ({ to: CONTRACT, data: "0xabcd", gasLimit: 3000000n, chainId: 1n });
+
+    it("hands out consecutive nonces while earlier trades are pending and takes back unsent ones", async function () {
+        setup();
+        const txm = manager();
+        const a = await txm.send(request());
+        const b = await txm.send(request());
+        expect([a.nonce, b.nonce]).to.deep.equal([5, 6]);
+        expect(txm.pending().map(p => p.nonce)).to.deep.equal([5, 6]);
+
+        const prepared = await txm.prepare(request());
+        expect(prepared.nonce).to.equal(7);
+        txm.release(prepared.nonce);
+        expect((await txm.prepare(request())).nonce).to.equal(7);
+    });
+
+    it("bumps EIP-1559 fees on the same nonce until a replacement is mined", async function () {
+        setup({ inclusionPrice: 13n * GWEI });
+        const txm = manager();
+        const tx = await txm.send(request());
+        const replaced = [];
+
+        const { receipt, hash, outcome } = await tx.settle({ stillValid: async () => true, onReplace: r => replaced.push(r) });
+
+        expect(outcome).to.equal("replaced");
+        expect(chain.sent.map(s => s.nonce)).to.deep.equal([5, 5, 5]);
+        const [first, second, third] = chain.sent;
+        expect(second.maxFeePerGas).to.equal(11500000000n);              // +15%
+        expect(second.maxPriorityFeePerGas).to.equal(1150000000n);
+        expect(third.maxFeePerGas).to.equal(13225000000n);
+        expect(third.data).to.equal(first.data);
+        expect(hash).to.equal(third.hash);
+        expect(receipt.hash).to.equal(third.hash);
+        expect(replaced.map(r => [r.from, r.to])).to.deep.equal([[first.hash, second.hash], [second.hash, third.hash]]);
+        expect(txm.pending()).to.deep.equal([]);
+    });
+
+    it("uses legacy gasPrice on chains without EIP-1559 and never bumps below the network price", async function () {
+        setup({ eip1559: false, inclusionPrice: 20n * GWEI });
+        const txm = manager({ eip1559: false });
+        const tx = await txm.send(request());
+        chain.fees = { ...chain.fees, gasPrice: 25n * GWEI };   // the network moved on
+
+        const { outcome } = await tx.settle();
+        expect(outcome).to.equal("replaced");
+        expect(chain.sent.map(s => [s.type, s.gasPrice])).to.deep.equal([[0, 10n * GWEI], [0, 25n * GWEI]]);
+    });
+
+    it("cancels with a 0-value self-transfer when the opportunity has vanished", async function () {
+        setup({ inclusionPrice: 11n * GWEI });
+        const txm = manager();
+        const tx = await txm.send(request());
+        let checks = 0;
+
+        const { receipt, outcome } = await tx.settle({ stillValid: async () => { checks++; return false; } });
+
+        expect(outcome).to.equal("cancelled");
+        expect(checks).to.equal(1);
+        const cancel = chain.sent[1];
+        expect(cancel).to.include({ nonce: 5, to: wallet.address, value: 0n, data: "0x", gasLimit: 21000n });
+        expect(receipt.to).to.equal(wallet.address);
+    });
+
+    it("stops bumping at the fee cap and leaves the trade pending after the timeout", async function () {
+        setup();
+        const txm = manager({ maxFeeGwei: 12, maxBumps: 5 });
+        const tx = await txm.send(request());
+
+        let error = null;
+        try {
+            await tx.settle({ timeoutMs: 40 });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.include({ code: "TIMEOUT" });
+        expect(chain.sent).to.have.length(2);                  // 11.5 gwei ok, 13.2 over the cap
+        expect(error.txHash).to.equal(chain.sent[1].hash);
+        expect(txm.pending()).to.have.length(1);
+
+        chain.mine(5);
+        expect((await txm.refresh()).map(e => e.nonce)).to.deep.equal([5]);
+        expect(txm.pending()).to.deep.equal([]);
+    });
+});